@@ -119,6 +119,18 @@ export function CoverageCard({ data, onRefresh, isRefreshing = false }) {
                 </Text>
               </InlineStack>
             )}
+
+            {counts.inherited > 0 && (
+              <InlineStack gap="100">
+                <Text variant="bodyMd" fontWeight="semibold">{t('coverage.inheritedLabel')}:</Text>
+                <Text variant="bodyMd">
+                  {t('coverage.inheritedSplit', { inherited: counts.inherited, native: counts.native ?? 0 })}
+                </Text>
+                {data.inheritedFrom && (
+                  <Badge tone="info">{t('coverage.inheritedFrom', { language: data.inheritedFrom })}</Badge>
+                )}
+              </InlineStack>
+            )}
           </InlineStack>
         </BlockStack>
 
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useFetcher } from '@remix-run/react';
 import {
@@ -36,6 +36,17 @@ export function LanguageManager({
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedRegion, setSelectedRegion] = useState('all');
   const [selectedLanguages, setSelectedLanguages] = useState([]);
+  // 移除语言：待确认的语言及是否同时移除已发布译文 / 删除本地译文
+  const removeFetcher = useFetcher();
+  const [pendingRemoval, setPendingRemoval] = useState(null);
+  const [unpublishOnRemove, setUnpublishOnRemove] = useState(true);
+  const [deleteOnRemove, setDeleteOnRemove] = useState(false);
+  // 地区变体继承：正在编辑的语言及其父语言、继承方式与词汇替换
+  const inheritFetcher = useFetcher();
+  const [pendingInheritance, setPendingInheritance] = useState(null);
+  // 已处理过的移除 / 继承结果，避免依赖变化（如切换界面语言）时重复提示与刷新
+  const handledRemovalRef = useRef(null);
+  const handledInheritRef = useRef(null);
 
   const [languageData, setLanguageData] = useState({
     shop: { primary: primaryLanguage ? { ...primaryLanguage } : null, locales: [], count: 0 },
@@ -208,6 +219,123 @@ export function LanguageManager({
     );
   };
 
+  // 移除语言（可选同时从 Shopify 移除已发布译文）
+  const confirmRemoveLanguage = () => {
+    if (!pendingRemoval) return;
+
+    removeFetcher.submit(
+      {
+        action: 'disable',
+        locale: pendingRemoval.value,
+        unpublish: unpublishOnRemove,
+        deleteTranslations: unpublishOnRemove && deleteOnRemove,
+        ...(shopId ? { shop: shopId } : {})
+      },
+      {
+        method: 'POST',
+        action: shopId ? `/api/locales?shop=${encodeURIComponent(shopId)}` : '/api/locales',
+        encType: 'application/json'
+      }
+    );
+  };
+
+  useEffect(() => {
+    if (removeFetcher.state !== 'idle' || !removeFetcher.data || handledRemovalRef.current === removeFetcher.data) {
+      return;
+    }
+    handledRemovalRef.current = removeFetcher.data;
+
+    if (!removeFetcher.data.success) {
+      setError(removeFetcher.data.message || t('languages.removeFailed'));
+      return;
+    }
+
+    if (typeof shopify !== 'undefined' && shopify?.toast) {
+      shopify.toast.show(removeFetcher.data.message || t('languages.removed'));
+    }
+    setPendingRemoval(null);
+    setDeleteOnRemove(false);
+    loadLanguageData();
+  }, [removeFetcher.state, removeFetcher.data, loadLanguageData, t]);
+
+  const localesEndpoint = shopId ? `/api/locales?shop=${encodeURIComponent(shopId)}` : '/api/locales';
+  const getBaseCode = (code = '') => code.split(/[-_]/)[0].toLowerCase();
+  const databaseLanguages = new Map((languageData?.database?.languages ?? []).map((lang) => [lang.value, lang]));
+
+  // 同一基础语言的其他已启用语言可作为父语言（fr-CA ← fr）
+  const getParentCandidates = (locale) => (languageData?.shop?.locales ?? []).filter(
+    (candidate) => candidate.value !== locale.value && getBaseCode(candidate.value) === getBaseCode(locale.value)
+  );
+
+  const openInheritance = (locale) => {
+    const saved = databaseLanguages.get(locale.value);
+    const candidates = getParentCandidates(locale);
+    setPendingInheritance({
+      locale,
+      parentCode: saved?.parentCode || candidates[0]?.value || '',
+      mode: saved?.inheritanceMode || 'none',
+      rulesText: (saved?.inheritanceRules ?? []).map((rule) => `${rule.from} => ${rule.to}`).join('\n')
+    });
+  };
+
+  const parseRulesText = (text = '') => text
+    .split('\n')
+    .map((line) => line.split('=>'))
+    .filter((parts) => parts.length === 2 && parts[0].trim())
+    .map(([from, to]) => ({ from: from.trim(), to: to.trim() }));
+
+  const saveInheritance = () => {
+    if (!pendingInheritance) return;
+    inheritFetcher.submit(
+      {
+        action: 'inheritance',
+        locale: pendingInheritance.locale.value,
+        parentCode: pendingInheritance.parentCode,
+        mode: pendingInheritance.mode,
+        rules: parseRulesText(pendingInheritance.rulesText),
+        ...(shopId ? { shop: shopId } : {})
+      },
+      { method: 'POST', action: localesEndpoint, encType: 'application/json' }
+    );
+  };
+
+  const deriveInherited = () => {
+    if (!pendingInheritance) return;
+    inheritFetcher.submit(
+      {
+        action: 'deriveInherited',
+        locale: pendingInheritance.locale.value,
+        ...(shopId ? { shop: shopId } : {})
+      },
+      { method: 'POST', action: localesEndpoint, encType: 'application/json' }
+    );
+  };
+
+  useEffect(() => {
+    if (inheritFetcher.state !== 'idle' || !inheritFetcher.data || handledInheritRef.current === inheritFetcher.data) {
+      return;
+    }
+    handledInheritRef.current = inheritFetcher.data;
+
+    if (!inheritFetcher.data.success) {
+      setError(inheritFetcher.data.message || t('languages.inheritFailed'));
+      return;
+    }
+
+    const result = inheritFetcher.data.data || {};
+    const message = result.inheritance
+      ? t('languages.inheritSaved')
+      : t('languages.inheritDerived', {
+        derived: result.derived ?? 0,
+        unchanged: result.unchanged ?? 0,
+        skippedNative: result.skippedNative ?? 0
+      });
+    if (typeof shopify !== 'undefined' && shopify?.toast) {
+      shopify.toast.show(message);
+    }
+    loadLanguageData();
+  }, [inheritFetcher.state, inheritFetcher.data, loadLanguageData, t]);
+
   // 过滤语言列表
   const getFilteredLanguages = () => {
     const grouped = languageData?.available?.grouped ?? {};
@@ -340,14 +468,134 @@ export function LanguageManager({
                     </Badge>
                   )}
                   {(languageData?.shop?.locales ?? []).map((locale) => (
-                    <Badge
-                      key={locale.value}
-                      tone={locale.isPublished ? 'info' : undefined}
-                    >
-                      {locale.label}
-                    </Badge>
+                    <InlineStack key={locale.value} gap="100" blockAlign="center" wrap={false}>
+                      <Badge tone={locale.isPublished ? 'info' : undefined}>
+                        {locale.label}
+                      </Badge>
+                      {databaseLanguages.get(locale.value)?.inheritanceMode &&
+                        databaseLanguages.get(locale.value).inheritanceMode !== 'none' && (
+                        <Badge tone="magic">
+                          {t('languages.inheritBadge', { parent: databaseLanguages.get(locale.value).parentCode })}
+                        </Badge>
+                      )}
+                      {getParentCandidates(locale).length > 0 && (
+                        <Button
+                          variant="plain"
+                          size="slim"
+                          accessibilityLabel={t('languages.inheritLabel', { label: locale.label })}
+                          onClick={() => openInheritance(locale)}
+                          disabled={inheritFetcher.state !== 'idle'}
+                        >
+                          {t('languages.inherit')}
+                        </Button>
+                      )}
+                      <Button
+                        variant="plain"
+                        tone="critical"
+                        size="slim"
+                        accessibilityLabel={t('languages.removeLabel', { label: locale.label })}
+                        onClick={() => setPendingRemoval(locale)}
+                        disabled={removeFetcher.state !== 'idle'}
+                      >
+                        {t('languages.remove')}
+                      </Button>
+                    </InlineStack>
                   ))}
                 </InlineStack>
+                {pendingInheritance && (
+                  <Banner
+                    tone="info"
+                    title={t('languages.inheritTitle', { label: pendingInheritance.locale.label })}
+                    onDismiss={() => setPendingInheritance(null)}
+                  >
+                    <BlockStack gap="200">
+                      <Text variant="bodySm">{t('languages.inheritHelp')}</Text>
+                      <InlineStack gap="300">
+                        <Select
+                          label={t('languages.inheritParent')}
+                          options={getParentCandidates(pendingInheritance.locale).map((candidate) => ({
+                            label: `${candidate.label} (${candidate.value})`,
+                            value: candidate.value
+                          }))}
+                          value={pendingInheritance.parentCode}
+                          onChange={(value) => setPendingInheritance((prev) => ({ ...prev, parentCode: value }))}
+                        />
+                        <Select
+                          label={t('languages.inheritMode')}
+                          options={['none', 'copy', 'localize'].map((mode) => ({
+                            label: t(`languages.inheritModes.${mode}`),
+                            value: mode
+                          }))}
+                          value={pendingInheritance.mode}
+                          onChange={(value) => setPendingInheritance((prev) => ({ ...prev, mode: value }))}
+                        />
+                      </InlineStack>
+                      {pendingInheritance.mode === 'localize' && (
+                        <TextField
+                          label={t('languages.inheritRules')}
+                          helpText={t('languages.inheritRulesHelp')}
+                          value={pendingInheritance.rulesText}
+                          onChange={(value) => setPendingInheritance((prev) => ({ ...prev, rulesText: value }))}
+                          multiline={4}
+                          autoComplete="off"
+                        />
+                      )}
+                      <InlineStack gap="200">
+                        <Button
+                          variant="primary"
+                          onClick={saveInheritance}
+                          loading={inheritFetcher.state !== 'idle'}
+                        >
+                          {t('languages.inheritSave')}
+                        </Button>
+                        <Button
+                          onClick={deriveInherited}
+                          disabled={
+                            inheritFetcher.state !== 'idle' ||
+                            (databaseLanguages.get(pendingInheritance.locale.value)?.inheritanceMode ?? 'none') === 'none'
+                          }
+                        >
+                          {t('languages.inheritDerive')}
+                        </Button>
+                      </InlineStack>
+                    </BlockStack>
+                  </Banner>
+                )}
+                {pendingRemoval && (
+                  <Banner
+                    tone="warning"
+                    title={t('languages.removeTitle', { label: pendingRemoval.label })}
+                    onDismiss={() => setPendingRemoval(null)}
+                  >
+                    <BlockStack gap="200">
+                      <Checkbox
+                        label={t('languages.removeUnpublish')}
+                        helpText={t('languages.removeUnpublishHelp')}
+                        checked={unpublishOnRemove}
+                        onChange={setUnpublishOnRemove}
+                      />
+                      <Checkbox
+                        label={t('languages.removeDeleteLocal')}
+                        checked={unpublishOnRemove && deleteOnRemove}
+                        disabled={!unpublishOnRemove}
+                        onChange={setDeleteOnRemove}
+                      />
+                      <InlineStack gap="200">
+                        <Button
+                          tone="critical"
+                          variant="primary"
+                          onClick={confirmRemoveLanguage}
+                          loading={removeFetcher.state !== 'idle'}
+                        >
+                          {t('languages.removeConfirm')}
+                        </Button>
+                        <Button onClick={() => setPendingRemoval(null)} disabled={removeFetcher.state !== 'idle'}>
+                          {t('languages.cancel')}
+                        </Button>
+                      </InlineStack>
+                    </BlockStack>
+                  </Banner>
+                )}
               </BlockStack>
             </Card>
 
@@ -28,6 +28,7 @@ import { parseSyncError } from '../utils/sync-error-helper';
  * @param {Array} selectedResources - selected resource IDs
  * @param {Function} onSelectionChange - selection change handler
  * @param {String} currentLanguage - current language
+ * @param {Function} onUnpublishCategory - remove a category's published translations from Shopify
  */
 export function ResourceCategoryDisplay({
   resources = [],
@@ -37,8 +38,10 @@ export function ResourceCategoryDisplay({
   currentLanguage = 'zh-CN',
   onTranslateCategory,
   onSyncCategory, // deprecated, use publish management instead
+  onUnpublishCategory,
   translatingCategories = new Set(),
   syncingCategories = new Set(), // deprecated
+  unpublishingCategories = new Set(),
   clearCache = false,
   showOtherLanguageHints = true // whether to show other-language translation hints
 }) {
@@ -121,6 +124,9 @@ export function ResourceCategoryDisplay({
       if (resource.translationSyncStatus === 'failed') {
         return <Badge tone="critical">{t('resources.status.failed')}</Badge>;
       }
+      if (resource.translationSyncStatus === 'unpublished') {
+        return <Badge>{t('resources.status.unpublished')}</Badge>;
+      }
       // Unknown translation status but translation exists
       return <Badge tone="info">{t('resources.status.processing')}</Badge>;
     }
@@ -304,6 +310,17 @@ export function ResourceCategoryDisplay({
                       >
                         {translatingCategories.has(categoryKey) ? t('resources.actions.translating') : t('resources.actions.translate')}
                       </Button>
+                    )}
+                    {onUnpublishCategory && category.translatedCount > 0 && (
+                      <Button
+                        size="slim"
+                        tone="critical"
+                        onClick={() => onUnpublishCategory(categoryKey, category)}
+                        loading={unpublishingCategories.has(categoryKey)}
+                        disabled={unpublishingCategories.size > 0}
+                      >
+                        {t('resources.actions.unpublish')}
+                      </Button>
                     )}
                                         {onSelectionChange && (
                       <Button
@@ -396,7 +413,15 @@ export function ResourceCategoryDisplay({
                                         </Box>
                                       </InlineStack>
                                       <InlineStack gap="1">
+                                        {resource.metaobjectType && (
+                                          <Badge tone="info">{resource.metaobjectType}</Badge>
+                                        )}
                                         {getResourceStatusBadge(resource)}
+                                        {resource.hasTranslationForLanguage && resource.outdatedFields?.length > 0 && (
+                                          <Tooltip content={t('resources.tooltip.outdatedFields', { fields: resource.outdatedFields.join(', ') })}>
+                                            <Badge tone="warning">{t('resources.status.outdated', { count: resource.outdatedFields.length })}</Badge>
+                                          </Tooltip>
+                                        )}
                                         {isProduct(resource) && resource.gid && (
                                           <Button size="micro" variant="plain" onClick={() => toggleProductOptions(resource)}>
                                             {expandedProducts[resource.id] ? t('resources.actions.collapseOptions') : t('resources.actions.expandOptions')}
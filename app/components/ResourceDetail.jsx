@@ -12,11 +12,14 @@ import {
   Divider,
   Box,
   Checkbox,
-  Banner
+  Banner,
+  TextField,
+  Tooltip
 } from '@shopify/polaris';
 import { createResourceAdapter } from '../utils/resource-adapters';
 import { STANDARD_TRANSLATION_MAP } from '../routes/api.resource-detail';
 import { getSyncErrorMessage } from '../utils/sync-error-helper.js';
+import { diffMarkup } from '../utils/markup-diff.js';
 
 /**
  * Generic resource detail component (supports all resource types).
@@ -54,6 +57,56 @@ const BadgeGroup = ({ badges }) => {
   );
 };
 
+// HTML / placeholder difference badges
+const MarkupDiffBadges = ({ original, translated, t }) => {
+  if (typeof original !== 'string' || typeof translated !== 'string' || !translated) return null;
+  const diff = diffMarkup(original, translated);
+  if (!diff.hasDifferences) return null;
+
+  const missing = [...diff.missingTags, ...diff.missingPlaceholders];
+  const extra = [...diff.extraTags, ...diff.extraPlaceholders];
+  return (
+    <InlineStack gap="100" wrap>
+      {missing.length > 0 && (
+        <Badge tone="critical">{t('resources.detail.markupMissing', { tokens: missing.join(' '), defaultValue: 'Missing: {{tokens}}' })}</Badge>
+      )}
+      {extra.length > 0 && (
+        <Badge tone="warning">{t('resources.detail.markupExtra', { tokens: extra.join(' '), defaultValue: 'Extra: {{tokens}}' })}</Badge>
+      )}
+    </InlineStack>
+  );
+};
+
+// Editable target column (kept outside ResourceDetail so inputs keep focus)
+const TranslationFieldEditor = ({ label, original, value, onChange, isHtml = false, isManual = false, t }) => (
+  <Box paddingBlockEnd="200">
+    <InlineStack gap="200" blockAlign="center">
+      <Text variant="bodyMd" fontWeight="semibold">{label}</Text>
+      {isManual && <Badge tone="attention">{t('resources.detail.manualOverride', { defaultValue: 'Manual' })}</Badge>}
+    </InlineStack>
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginTop: 8 }}>
+      <Box style={{ padding: '8px', backgroundColor: '#f9f9f9', borderRadius: '4px', minWidth: 0 }}>
+        <Text variant="bodySm" tone="subdued">{t('resources.detail.source')}</Text>
+        <Box paddingBlockStart="100">
+          <pre style={{ whiteSpace: 'pre-wrap', margin: 0, fontFamily: 'inherit' }}>{original || ''}</pre>
+        </Box>
+      </Box>
+      <BlockStack gap="100">
+        <TextField
+          label={label}
+          labelHidden
+          value={value ?? ''}
+          onChange={onChange}
+          multiline={isHtml ? 6 : false}
+          monospaced={isHtml}
+          autoComplete="off"
+        />
+        <MarkupDiffBadges original={original} translated={value} t={t} />
+      </BlockStack>
+    </div>
+  </Box>
+);
+
 // Translation status card
 const TranslationCard = ({ translations, currentLanguage, t }) => {
   if (!currentLanguage) return null;
@@ -136,7 +189,12 @@ export function ResourceDetail({
   onEdit,
   onViewHistory,
   translatableKeys = [],
-  billingInfo = {}
+  billingInfo = {},
+  onSaveOverride,
+  savingOverride = false,
+  fieldLocks = [],
+  onToggleFieldLock,
+  updatingLock = false
 }) {
   const { t, i18n } = useTranslation();
   const locale = i18n.language || 'en';
@@ -151,6 +209,50 @@ export function ResourceDetail({
   // Theme JSON差异展示状态
   const [showOnlyDifferences, setShowOnlyDifferences] = useState(false);
 
+  // 人工编辑状态：草稿按译文字段名（titleTrans 等）保存
+  const [isEditing, setIsEditing] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const currentTranslation = resource?.translations?.[currentLanguage] || null;
+  const manualFields = useMemo(() => new Set(currentTranslation?.manualFields || []), [currentTranslation]);
+  const outdatedFields = useMemo(() => new Set(currentTranslation?.outdatedFields || []), [currentTranslation]);
+  const canEditTranslation = Boolean(onSaveOverride && currentLanguage && !hasNoSecondaryLanguages);
+  const lockedFieldSet = useMemo(() => new Set(fieldLocks), [fieldLocks]);
+
+  // 字段锁标识与切换按钮
+  const renderLockControl = (lockKey) => {
+    if (!lockKey || !currentLanguage || hasNoSecondaryLanguages) return null;
+    const locked = lockedFieldSet.has(lockKey);
+    return (
+      <InlineStack gap="100" blockAlign="center">
+        {locked && <Badge tone="info">{t('resources.detail.fieldLocked', { defaultValue: '🔒 Locked' })}</Badge>}
+        {onToggleFieldLock && (
+          <Button size="micro" variant="plain" onClick={() => onToggleFieldLock(lockKey, locked)} disabled={updatingLock}>
+            {locked
+              ? t('resources.detail.unlockField', { defaultValue: 'Unlock' })
+              : t('resources.detail.lockField', { defaultValue: 'Lock' })}
+          </Button>
+        )}
+      </InlineStack>
+    );
+  };
+
+  useEffect(() => {
+    setDrafts({});
+    setIsEditing(false);
+  }, [resource?.id, currentLanguage, currentTranslation?.fields]);
+
+  const changedDrafts = useMemo(() => {
+    const fields = currentTranslation?.fields || {};
+    return Object.fromEntries(
+      Object.entries(drafts).filter(([field, value]) => value !== (fields[field] ?? ''))
+    );
+  }, [drafts, currentTranslation]);
+
+  const handleSaveOverride = () => {
+    if (Object.keys(changedDrafts).length === 0) return;
+    onSaveOverride(changedDrafts);
+  };
+
   // 分析JSON字段的翻译状态（轻量版）
   const analyzeThemeFieldsStatus = useMemo(() => {
     const translation = resource?.translations?.[currentLanguage] || null;
@@ -197,7 +299,7 @@ export function ResourceDetail({
   }, [adapter, resource?.fields?.extended]);
 
   // 渲染双语对照的字段行
-  const BilingualRow = ({ label, original, translated, isHtml = false }) => {
+  const BilingualRow = ({ label, original, translated, isHtml = false, isManual = false, isOutdated = false, lockKey = null }) => {
     // 不再过滤null值，显示所有字段
     const renderValue = (val, html, isOriginal = false) => {
       if (val == null || val === '') {
@@ -217,7 +319,19 @@ export function ResourceDetail({
     };
     return (
       <Box paddingBlockEnd="200">
-        <Text variant="bodyMd" fontWeight="semibold">{label}</Text>
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="bodyMd" fontWeight="semibold">{label}</Text>
+          {isManual && <Badge tone="attention">{t('resources.detail.manualOverride', { defaultValue: 'Manual' })}</Badge>}
+          {isOutdated && (
+            <Tooltip content={t('resources.detail.outdatedHint', { defaultValue: 'The source text changed after this field was translated.' })}>
+              <Badge tone="warning">{t('resources.detail.outdated', { defaultValue: 'Outdated' })}</Badge>
+            </Tooltip>
+          )}
+          {renderLockControl(lockKey)}
+          {!hasNoSecondaryLanguages && currentLanguage && (
+            <MarkupDiffBadges original={original} translated={translated} t={t} />
+          )}
+        </InlineStack>
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginTop: 8 }}>
           <Box style={{ padding: '8px', backgroundColor: '#f9f9f9', borderRadius: '4px', minWidth: 0 }}>
             <Text variant="bodySm" tone="subdued">{t('resources.detail.source')}</Text>
@@ -246,14 +360,31 @@ export function ResourceDetail({
     const type = String(resource?.type || '').toUpperCase();
 
     const hasAny = (candidates) => candidates.find(k => keysSet.has(k));
-    const pushRow = (label, key, original, translated, isHtml = false) => {
-      rows.push(<BilingualRow key={key} label={label} original={original} translated={translated} isHtml={isHtml} />);
+    const pushRow = (label, key, original, translated, isHtml = false, transField = null, lockKey = null) => {
+      const isManual = Boolean(transField && manualFields.has(transField));
+      if (isEditing && transField) {
+        rows.push(
+          <TranslationFieldEditor
+            key={key}
+            label={label}
+            original={original}
+            value={drafts[transField] ?? translated ?? ''}
+            onChange={(value) => setDrafts(prev => ({ ...prev, [transField]: value }))}
+            isHtml={isHtml}
+            isManual={isManual}
+            t={t}
+          />
+        );
+      } else {
+        const isOutdated = Boolean(transField && outdatedFields.has(transField));
+        rows.push(<BilingualRow key={key} label={label} original={original} translated={translated} isHtml={isHtml} isManual={isManual} isOutdated={isOutdated} lockKey={lockKey || transField} />);
+      }
       if (key) used.add(key);
     };
 
     // 标题
     if (keysSet.has('title')) {
-      pushRow(t('resources.detail.titleLabel'), 'title', content.title, translationFields['titleTrans']);
+      pushRow(t('resources.detail.titleLabel'), 'title', content.title, translationFields['titleTrans'], false, 'titleTrans');
     }
 
     // 正文（优先 body_html）
@@ -261,12 +392,12 @@ export function ResourceDetail({
     if (bodyKey) {
       const isHtml = bodyKey === 'body_html';
       const original = isHtml ? content.descriptionHtml : (content.description || content.body);
-      pushRow(t('resources.detail.body'), bodyKey, original, translationFields['descTrans'], isHtml);
+      pushRow(t('resources.detail.body'), bodyKey, original, translationFields['descTrans'], isHtml, 'descTrans');
     }
 
     // Handle
     if (keysSet.has('handle')) {
-      pushRow('Handle', 'handle', content.handle, translationFields['handleTrans']);
+      pushRow('Handle', 'handle', content.handle, translationFields['handleTrans'], false, 'handleTrans');
     }
 
     // 资源特有：摘要（Article）
@@ -274,23 +405,56 @@ export function ResourceDetail({
       const summaryKey = hasAny(['summary_html', 'excerpt_html', 'summary', 'excerpt']);
       if (summaryKey) {
         const isHtml = summaryKey.endsWith('html');
-        pushRow(t('resources.detail.summary'), summaryKey, content.summary, translationFields['summaryTrans'], isHtml);
+        pushRow(t('resources.detail.summary'), summaryKey, content.summary, translationFields['summaryTrans'], isHtml, 'summaryTrans');
       }
     }
 
     // 资源特有：标签（Filter）
     if (type === 'FILTER' && keysSet.has('label')) {
-      pushRow(t('resources.detail.label'), 'label', content.label, translationFields['labelTrans']);
+      pushRow(t('resources.detail.label'), 'label', content.label, translationFields['labelTrans'], false, 'labelTrans');
     }
 
     // SEO（优先/回退）
     const seoTitleKey = hasAny(['seo.title', 'meta_title']);
     if (seoTitleKey) {
-      pushRow(t('resources.detail.seoTitle'), seoTitleKey, content.seoTitle, translationFields['seoTitleTrans']);
+      pushRow(t('resources.detail.seoTitle'), seoTitleKey, content.seoTitle, translationFields['seoTitleTrans'], false, 'seoTitleTrans');
     }
     const seoDescKey = hasAny(['seo.description', 'meta_description']);
     if (seoDescKey) {
-      pushRow(t('resources.detail.seoDesc'), seoDescKey, content.seoDescription, translationFields['seoDescTrans']);
+      pushRow(t('resources.detail.seoDesc'), seoDescKey, content.seoDescription, translationFields['seoDescTrans'], false, 'seoDescTrans');
+    }
+
+    // 媒体替代文本（产品图片 / 文章图片）
+    const mediaAltEntries = Array.isArray(fields?.extended?.mediaAlt) ? fields.extended.mediaAlt : [];
+    mediaAltEntries.forEach((entry, index) => {
+      const translated = translationFields.mediaAlt?.[entry.id];
+      pushRow(
+        t('resources.detail.mediaAlt', { index: index + 1, defaultValue: 'Image alt text {{index}}' }),
+        `mediaAlt-${entry.id}`,
+        entry.alt,
+        typeof translated === 'string' ? translated : translated?.value,
+        false,
+        null,
+        'mediaAlt'
+      );
+    });
+
+    // Metaobject 文本字段；引用 / URL 等非文本字段不翻译，也不在回退展示中列出
+    if (type === 'METAOBJECT') {
+      const metaobjectFields = Array.isArray(fields?.extended?.fields) ? fields.extended.fields : [];
+      metaobjectFields.forEach((field) => {
+        const translated = translationFields[field.key];
+        pushRow(
+          field.key,
+          field.key,
+          field.value,
+          typeof translated === 'string' ? translated : translated?.value,
+          field.type === 'HTML',
+          null,
+          field.key
+        );
+      });
+      (fields?.extended?.skippedFields || []).forEach((field) => used.add(field.key));
     }
 
     // 动态字段双语（Theme等）
@@ -298,7 +462,7 @@ export function ResourceDetail({
       const dynamicEntries = Object.entries(fields.extended.dynamicFields);
       for (const [key, value] of dynamicEntries) {
         const translated = translationFields[key]; // 动态字段在 translationFields 中同名存储
-        pushRow(key, `dyn-${key}`, value, translated);
+        pushRow(key, `dyn-${key}`, value, translated, false, null, `dynamicFields.${key}`);
       }
     }
 
@@ -563,8 +727,33 @@ export function ResourceDetail({
                   <Button onClick={onViewHistory} plain>
                     {t('resources.detail.viewHistory')}
                   </Button>
+                  {canEditTranslation && !isEditing && (
+                    <Button onClick={() => setIsEditing(true)}>
+                      {t('resources.detail.editTranslation', { defaultValue: 'Edit translation' })}
+                    </Button>
+                  )}
                 </InlineStack>
               </InlineStack>
+              {currentTranslation?.locked && (
+                <Banner tone="info">
+                  <p>{t('resources.detail.overrideLocked', { defaultValue: 'This translation was edited manually and is locked against automatic re-translation.' })}</p>
+                </Banner>
+              )}
+              {isEditing && (
+                <InlineStack align="end" gap="200">
+                  <Button onClick={() => { setDrafts({}); setIsEditing(false); }} disabled={savingOverride}>
+                    {t('resources.detail.cancelEdit', { defaultValue: 'Cancel' })}
+                  </Button>
+                  <Button
+                    variant="primary"
+                    onClick={handleSaveOverride}
+                    loading={savingOverride}
+                    disabled={Object.keys(changedDrafts).length === 0}
+                  >
+                    {t('resources.detail.saveOverride', { defaultValue: 'Save & publish' })}
+                  </Button>
+                </InlineStack>
+              )}
               <Divider />
               {renderMainContent()}
             </BlockStack>
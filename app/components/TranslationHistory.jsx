@@ -0,0 +1,251 @@
+/**
+ * 译文修订历史弹窗
+ * - 列出资源当前语言的译文版本（来源、操作人 / 会话、变更字段）
+ * - 任选两个版本按字段展示词级差异
+ * - 恢复到指定版本并重新同步到 Shopify
+ */
+
+import { useState, useEffect, useMemo, useCallback, useRef } from "react";
+import { useFetcher } from "@remix-run/react";
+import {
+  Modal,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Select,
+  Banner,
+  Box,
+  Divider,
+  Spinner
+} from "@shopify/polaris";
+import { useTranslation } from "react-i18next";
+import { diffWords } from "../utils/text-diff.js";
+
+const SOURCE_TONES = {
+  model: "info",
+  manual: "attention",
+  import: "magic",
+  session: "success",
+  rollback: "warning"
+};
+
+const FIELD_LABEL_KEYS = {
+  titleTrans: "resources.detail.titleLabel",
+  descTrans: "resources.detail.body",
+  summaryTrans: "resources.detail.summary",
+  labelTrans: "resources.detail.label",
+  seoTitleTrans: "resources.detail.seoTitle",
+  seoDescTrans: "resources.detail.seoDesc",
+  handleTrans: "resources.history.handle"
+};
+
+const DELETE_STYLE = { background: "#fed3d1", textDecoration: "line-through" };
+const INSERT_STYLE = { background: "#cdfee1" };
+
+function withShopQuery(url, shopQueryParam) {
+  if (!shopQueryParam) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}${shopQueryParam}`;
+}
+
+function FieldDiff({ change, label }) {
+  const parts = diffWords(change.before || "", change.after || "");
+  return (
+    <BlockStack gap="100">
+      <Text variant="bodySm" fontWeight="semibold" as="p">{label}</Text>
+      <Box padding="200" background="bg-surface-secondary" borderRadius="200">
+        <div style={{ whiteSpace: "pre-wrap", wordBreak: "break-word", fontSize: 13 }}>
+          {parts.map((part, index) => {
+            if (part.type === "delete") return <del key={index} style={DELETE_STYLE}>{part.value}</del>;
+            if (part.type === "insert") return <ins key={index} style={INSERT_STYLE}>{part.value}</ins>;
+            return <span key={index}>{part.value}</span>;
+          })}
+        </div>
+      </Box>
+    </BlockStack>
+  );
+}
+
+export function TranslationHistory({ open, onClose, resourceId, language, shopQueryParam = "", onRestored }) {
+  const { t } = useTranslation();
+  const listFetcher = useFetcher();
+  const compareFetcher = useFetcher();
+  const rollbackFetcher = useFetcher();
+  const [fromId, setFromId] = useState("");
+  const [toId, setToId] = useState("");
+  // 已提示过的回滚结果，避免父组件重新渲染时重复提示与刷新
+  const handledRollbackRef = useRef(null);
+  const { load: loadList } = listFetcher;
+  const { load: loadComparison } = compareFetcher;
+
+  const revisions = useMemo(
+    () => (listFetcher.data?.success ? listFetcher.data.data.revisions : []),
+    [listFetcher.data]
+  );
+  const comparison = compareFetcher.data?.success ? compareFetcher.data.data.comparison : null;
+
+  const loadRevisions = useCallback(() => {
+    const query = `resourceId=${encodeURIComponent(resourceId)}&language=${encodeURIComponent(language)}`;
+    loadList(withShopQuery(`/api/translation-revisions?${query}`, shopQueryParam));
+  }, [loadList, resourceId, language, shopQueryParam]);
+
+  useEffect(() => {
+    if (open && resourceId && language) {
+      loadRevisions();
+    }
+  }, [open, resourceId, language, loadRevisions]);
+
+  // 默认对比最近两个版本
+  useEffect(() => {
+    setToId(revisions[0]?.id || "");
+    setFromId(revisions[1]?.id || "");
+  }, [revisions]);
+
+  useEffect(() => {
+    if (fromId && toId && fromId !== toId) {
+      const query = `from=${encodeURIComponent(fromId)}&to=${encodeURIComponent(toId)}`;
+      loadComparison(withShopQuery(`/api/translation-revisions?${query}`, shopQueryParam));
+    }
+  }, [fromId, toId, loadComparison, shopQueryParam]);
+
+  useEffect(() => {
+    if (rollbackFetcher.state !== "idle" || !rollbackFetcher.data || handledRollbackRef.current === rollbackFetcher.data) {
+      return;
+    }
+    handledRollbackRef.current = rollbackFetcher.data;
+    const { success, message, data } = rollbackFetcher.data;
+    const restoredMessage = data?.reviewBlocked
+      ? t("resources.history.restoredPendingReview", { defaultValue: "Revision restored; it will be published after review approval" })
+      : t("resources.history.restored", { defaultValue: "Revision restored and queued for sync" });
+    if (typeof shopify !== "undefined" && shopify?.toast) {
+      shopify.toast.show(
+        success
+          ? restoredMessage
+          : (message || t("resources.history.restoreFailed", { defaultValue: "Failed to restore revision" })),
+        { isError: !success }
+      );
+    }
+    if (success) {
+      loadRevisions();
+      onRestored?.();
+    }
+  }, [rollbackFetcher.state, rollbackFetcher.data, loadRevisions, onRestored, t]);
+
+  const revisionOptions = useMemo(() => revisions.map((revision) => ({
+    label: `${new Date(revision.createdAt).toLocaleString()} · ${t(`resources.history.source.${revision.source}`, { defaultValue: revision.source })}`,
+    value: revision.id
+  })), [revisions, t]);
+
+  const fieldLabel = (field) => {
+    if (field.startsWith("translationFields.")) {
+      return field.slice("translationFields.".length);
+    }
+    return FIELD_LABEL_KEYS[field] ? t(FIELD_LABEL_KEYS[field], { defaultValue: field }) : field;
+  };
+
+  const restore = (revisionId) => {
+    rollbackFetcher.submit(
+      { action: "rollback", revisionId },
+      { method: "post", action: withShopQuery("/api/translation-revisions", shopQueryParam) }
+    );
+  };
+
+  const restoring = rollbackFetcher.state !== "idle";
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      large
+      title={t("resources.history.title", { language, defaultValue: "Translation history ({{language}})" })}
+      secondaryActions={[{ content: t("resources.history.close", { defaultValue: "Close" }), onAction: onClose }]}
+    >
+      <Modal.Section>
+        {listFetcher.state === "loading" && revisions.length === 0 ? (
+          <InlineStack align="center"><Spinner size="small" /></InlineStack>
+        ) : revisions.length === 0 ? (
+          <Text tone="subdued" as="p">
+            {t("resources.history.empty", { defaultValue: "No revisions recorded for this language yet." })}
+          </Text>
+        ) : (
+          <BlockStack gap="300">
+            {revisions.map((revision, index) => (
+              <InlineStack key={revision.id} align="space-between" blockAlign="center" wrap={false}>
+                <BlockStack gap="100">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Badge tone={SOURCE_TONES[revision.source]}>
+                      {t(`resources.history.source.${revision.source}`, { defaultValue: revision.source })}
+                    </Badge>
+                    <Text variant="bodySm" as="span">{new Date(revision.createdAt).toLocaleString()}</Text>
+                    {index === 0 && (
+                      <Badge tone="success">{t("resources.history.current", { defaultValue: "Current" })}</Badge>
+                    )}
+                  </InlineStack>
+                  <Text variant="bodySm" tone="subdued" as="p">
+                    {[
+                      revision.actor,
+                      revision.sessionId && t("resources.history.session", { id: revision.sessionId, defaultValue: "Session {{id}}" }),
+                      t("resources.history.changedFields", {
+                        count: (revision.changedFields || []).length,
+                        defaultValue: "{{count}} field(s) changed"
+                      })
+                    ].filter(Boolean).join(" · ")}
+                  </Text>
+                </BlockStack>
+                {index > 0 && (
+                  <Button size="slim" onClick={() => restore(revision.id)} loading={restoring} disabled={restoring}>
+                    {t("resources.history.restore", { defaultValue: "Restore" })}
+                  </Button>
+                )}
+              </InlineStack>
+            ))}
+          </BlockStack>
+        )}
+      </Modal.Section>
+
+      {revisions.length > 1 && (
+        <Modal.Section>
+          <BlockStack gap="300">
+            <Text variant="headingSm" as="h3">{t("resources.history.compare", { defaultValue: "Compare revisions" })}</Text>
+            <InlineStack gap="300" wrap={false}>
+              <div style={{ flex: 1 }}>
+                <Select
+                  label={t("resources.history.from", { defaultValue: "From" })}
+                  options={revisionOptions}
+                  value={fromId}
+                  onChange={setFromId}
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <Select
+                  label={t("resources.history.to", { defaultValue: "To" })}
+                  options={revisionOptions}
+                  value={toId}
+                  onChange={setToId}
+                />
+              </div>
+            </InlineStack>
+            <Divider />
+            {compareFetcher.data?.success === false && (
+              <Banner tone="critical">{compareFetcher.data.message}</Banner>
+            )}
+            {fromId === toId ? (
+              <Text tone="subdued" as="p">
+                {t("resources.history.sameRevision", { defaultValue: "Select two different revisions to compare." })}
+              </Text>
+            ) : comparison && comparison.changes.length === 0 ? (
+              <Text tone="subdued" as="p">
+                {t("resources.history.noChanges", { defaultValue: "These revisions have identical content." })}
+              </Text>
+            ) : (
+              comparison?.changes.map((change) => (
+                <FieldDiff key={change.field} change={change} label={fieldLabel(change.field)} />
+              ))
+            )}
+          </BlockStack>
+        </Modal.Section>
+      )}
+    </Modal>
+  );
+}
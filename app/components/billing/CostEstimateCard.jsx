@@ -0,0 +1,166 @@
+import { useState, useCallback } from "react";
+import { useFetcher } from "@remix-run/react";
+import { Card, BlockStack, InlineStack, Text, Button, Banner, ChoiceList, Checkbox, DataTable, Spinner } from "@shopify/polaris";
+import { useTranslation } from "react-i18next";
+import { RESOURCE_CATEGORIES } from "../../config/resource-categories.js";
+import { formatCompactNumber } from "../../utils/pricing-config.js";
+
+function formatDuration(seconds, t) {
+  if (!seconds) return t('estimate.durationNone', { defaultValue: '< 1 min' });
+  if (seconds < 3600) {
+    return t('estimate.durationMinutes', { count: Math.max(1, Math.round(seconds / 60)), defaultValue: '~{{count}} min' });
+  }
+  return t('estimate.durationHours', { count: (seconds / 3600).toFixed(1), defaultValue: '~{{count}} h' });
+}
+
+function toRows(breakdown, t) {
+  return Object.entries(breakdown || {}).map(([key, bucket]) => [
+    key,
+    bucket.resources.toLocaleString(),
+    bucket.fields.toLocaleString(),
+    formatCompactNumber(bucket.characters),
+    formatCompactNumber(bucket.credits),
+    (bucket.skippedResources + bucket.unchangedFields + bucket.lockedFields).toLocaleString(),
+    formatDuration(bucket.estimatedSeconds, t)
+  ]);
+}
+
+/**
+ * 全店翻译成本预估卡片：选择语言与分类后调用 /api/billing/estimate，
+ * 与剩余额度对比，不足时提供充值入口
+ */
+export function CostEstimateCard({ languages = [], onTopUp }) {
+  const { t } = useTranslation('billing');
+  const fetcher = useFetcher();
+  const [selectedLanguages, setSelectedLanguages] = useState([]);
+  const [selectedCategories, setSelectedCategories] = useState([]);
+  const [useMemory, setUseMemory] = useState(true);
+
+  const loading = fetcher.state !== 'idle';
+  const estimate = fetcher.data?.success ? fetcher.data.data : null;
+  const error = fetcher.data && !fetcher.data.success ? fetcher.data.message : null;
+
+  const runEstimate = useCallback(() => {
+    const params = new URLSearchParams({
+      languages: selectedLanguages.join(','),
+      categories: selectedCategories.join(','),
+      useMemory: String(useMemory)
+    });
+    fetcher.load(`/api/billing/estimate?${params.toString()}`);
+  }, [fetcher, selectedLanguages, selectedCategories, useMemory]);
+
+  const categoryChoices = Object.entries(RESOURCE_CATEGORIES).map(([key, category]) => ({
+    label: `${category.icon} ${category.name}`,
+    value: key
+  }));
+
+  const headings = [
+    '',
+    t('estimate.colResources', { defaultValue: 'Resources' }),
+    t('estimate.colFields', { defaultValue: 'Fields' }),
+    t('estimate.colChars', { defaultValue: 'Characters' }),
+    t('estimate.colCredits', { defaultValue: 'Credits' }),
+    t('estimate.colSkipped', { defaultValue: 'Skipped / unchanged' }),
+    t('estimate.colDuration', { defaultValue: 'Duration' })
+  ];
+  const columnTypes = ['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'text'];
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <BlockStack gap="100">
+          <Text variant="headingSm" as="h2">{t('estimate.title', { defaultValue: 'Estimate a full translation' })}</Text>
+          <Text variant="bodySm" tone="subdued">
+            {t('estimate.description', { defaultValue: 'Dry run: nothing is translated or charged. Resources the skip engine would skip and fields whose source has not changed are excluded.' })}
+          </Text>
+        </BlockStack>
+
+        <InlineStack gap="600" blockAlign="start">
+          <ChoiceList
+            allowMultiple
+            title={t('estimate.languages', { defaultValue: 'Languages' })}
+            choices={languages}
+            selected={selectedLanguages}
+            onChange={setSelectedLanguages}
+          />
+          <ChoiceList
+            allowMultiple
+            title={t('estimate.categories', { defaultValue: 'Categories (none = all)' })}
+            choices={categoryChoices}
+            selected={selectedCategories}
+            onChange={setSelectedCategories}
+          />
+        </InlineStack>
+        <Checkbox
+          label={t('estimate.useMemory', { defaultValue: 'Reuse translation memory' })}
+          checked={useMemory}
+          onChange={setUseMemory}
+        />
+        <InlineStack>
+          <Button onClick={runEstimate} loading={loading} disabled={selectedLanguages.length === 0}>
+            {t('estimate.run', { defaultValue: 'Estimate cost' })}
+          </Button>
+        </InlineStack>
+
+        {loading && !estimate && <Spinner size="small" accessibilityLabel={t('estimate.run', { defaultValue: 'Estimate cost' })} />}
+        {error && <Banner tone="critical">{error}</Banner>}
+
+        {estimate && (
+          <BlockStack gap="300">
+            <InlineStack gap="600">
+              <Text variant="headingMd" as="p">
+                {t('estimate.totalCredits', { credits: formatCompactNumber(estimate.totals.credits), defaultValue: '{{credits}} credits' })}
+              </Text>
+              <Text variant="bodyMd" as="p">
+                {t('estimate.totalChars', { chars: formatCompactNumber(estimate.totals.characters), defaultValue: '{{chars}} characters' })}
+              </Text>
+              <Text variant="bodyMd" as="p">{formatDuration(estimate.totals.estimatedSeconds, t)}</Text>
+            </InlineStack>
+            <Text variant="bodySm" tone="subdued">
+              {t('estimate.excluded', {
+                skipped: estimate.totals.skippedResources,
+                unchanged: estimate.totals.unchangedFields,
+                locked: estimate.totals.lockedFields,
+                memory: estimate.totals.memoryHits,
+                defaultValue: 'Excluded: {{skipped}} skipped resources, {{unchanged}} unchanged fields, {{locked}} locked fields, {{memory}} translation-memory hits'
+              })}
+            </Text>
+
+            {estimate.credits.sufficient === false ? (
+              <Banner
+                tone="warning"
+                title={t('estimate.insufficientTitle', { defaultValue: 'Not enough credits' })}
+                action={onTopUp ? {
+                  content: t('estimate.topUp', { credits: formatCompactNumber(estimate.credits.shortfall), defaultValue: 'Buy {{credits}} credits' }),
+                  onAction: () => onTopUp(estimate.credits.shortfall)
+                } : undefined}
+              >
+                <p>
+                  {t('estimate.insufficientDesc', {
+                    available: formatCompactNumber(estimate.credits.available),
+                    shortfall: formatCompactNumber(estimate.credits.shortfall),
+                    defaultValue: 'You have {{available}} credits remaining, {{shortfall}} short of this job.'
+                  })}
+                </p>
+              </Banner>
+            ) : estimate.credits.sufficient && (
+              <Banner tone="success">
+                <p>
+                  {t('estimate.sufficientDesc', {
+                    available: formatCompactNumber(estimate.credits.available),
+                    defaultValue: 'Your {{available}} remaining credits cover this job.'
+                  })}
+                </p>
+              </Banner>
+            )}
+
+            <Text variant="headingSm" as="h3">{t('estimate.byResourceType', { defaultValue: 'By resource type' })}</Text>
+            <DataTable columnContentTypes={columnTypes} headings={headings} rows={toRows(estimate.byResourceType, t)} />
+            <Text variant="headingSm" as="h3">{t('estimate.byLanguage', { defaultValue: 'By language' })}</Text>
+            <DataTable columnContentTypes={columnTypes} headings={headings} rows={toRows(estimate.byLanguage, t)} />
+          </BlockStack>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
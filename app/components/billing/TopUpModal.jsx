@@ -1,9 +1,9 @@
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect } from "react";
 import { Modal, BlockStack, Text, TextField, InlineStack, Button, Banner, Box } from "@shopify/polaris";
 import { useTranslation } from "react-i18next";
 import { PRICING_CONFIG, formatCompactNumber } from "../../utils/pricing-config.js";
 
-export function TopUpModal({ open, onClose, onPurchase, loading }) {
+export function TopUpModal({ open, onClose, onPurchase, loading, suggestedCredits = 0 }) {
     const { t } = useTranslation('billing');
 
     // Guard against undefined / NaN configuration values to avoid runtime crashes
@@ -16,6 +16,14 @@ export function TopUpModal({ open, onClose, onPurchase, loading }) {
     const [amount, setAmount] = useState(minPurchase > 0 ? `${minPurchase}` : '0');
     const [error, setError] = useState(null);
 
+    // 成本预估额度不足时，按缺口预填购买数量（不低于起购量）
+    useEffect(() => {
+        if (open && suggestedCredits > 0) {
+            setAmount(`${Math.max(minPurchase, Math.ceil(suggestedCredits))}`);
+            setError(null);
+        }
+    }, [open, suggestedCredits, minPurchase]);
+
     const handleAmountChange = useCallback((value) => {
         setAmount(value);
         setError(null);
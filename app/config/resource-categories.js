@@ -26,9 +26,10 @@ export const RESOURCE_CATEGORIES = {
       FILTERS: { name: 'Filters', resources: ['FILTER'] },
       PAGES: { name: 'Pages', resources: ['PAGE'] },
       POLICIES: { name: 'Policies', resources: ['SHOP_POLICY'] },
-      STORE_METADATA: { name: 'Store metadata', resources: ['SHOP'] }
+      STORE_METADATA: { name: 'Store metadata', resources: ['SHOP'] },
+      // Metaobjects：只翻译文本 / 富文本字段
+      METAOBJECTS: { name: 'Metaobjects', resources: ['METAOBJECT'] }
       // Cookie banner（非翻译项）不纳入
-      // Metaobjects（按要求先隐藏）不纳入
     }
   },
 
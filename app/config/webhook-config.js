@@ -26,6 +26,7 @@ export const webhookConfig = {
     COLLECTION: process.env.WEBHOOK_COLLECTION_PRIORITY || 'HIGH',
     PAGE: process.env.WEBHOOK_PAGE_PRIORITY || 'NORMAL',
     ARTICLE: process.env.WEBHOOK_ARTICLE_PRIORITY || 'NORMAL',
+    BLOG: process.env.WEBHOOK_BLOG_PRIORITY || 'NORMAL',
     THEME: process.env.WEBHOOK_THEME_PRIORITY || 'LOW'
   },
   
@@ -36,7 +37,15 @@ export const webhookConfig = {
   notification: {
     slackWebhook: process.env.SLACK_WEBHOOK_URL,
     alertEmail: process.env.ALERT_EMAIL,
-    alertWebhook: process.env.ALERT_WEBHOOK_URL
+    alertWebhook: process.env.ALERT_WEBHOOK_URL,
+    // 通用 Webhook 签名密钥（HMAC-SHA256）
+    webhookSecret: process.env.ALERT_WEBHOOK_SECRET,
+    // 默认渠道接收的最低告警级别
+    minLevel: process.env.NOTIFICATION_MIN_LEVEL || 'CRITICAL',
+    // 聚合窗口（毫秒），窗口内的告警合并为一条摘要
+    aggregationWindowMs: parseInt(process.env.NOTIFICATION_AGGREGATION_WINDOW_MS || '60000'),
+    // 每个渠道每小时最多发送条数
+    maxPerHour: parseInt(process.env.NOTIFICATION_MAX_PER_HOUR || '6')
   }
 };
 
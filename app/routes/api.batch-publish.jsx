@@ -4,13 +4,16 @@ import { updateResourceTranslation } from "../services/shopify-graphql.server.js
 import { ensureValidResourceGid } from "../services/resource-gid-resolver.server.js";
 import { createApiRoute } from "../utils/base-route.server.js";
 import { formatSyncError } from "../utils/sync-error-helper.server.js";
+import { getReviewSettings, buildReviewSyncFilter } from "../services/translation-review.server.js";
 
 /**
  * 批量发布API处理函数 - 支持更高级的批量发布功能
  * 包含进度跟踪、部分失败处理等高级功能
  */
-async function handleBatchPublish({ request, admin }) {
+async function handleBatchPublish({ request, admin, session }) {
   const formData = await request.formData();
+  // 审核模式下仅发布已审核通过的翻译
+  const reviewFilter = buildReviewSyncFilter(await getReviewSettings(session.shop));
 
     const batchSize = parseInt(formData.get("batchSize")) || 10; // 每批处理数量
     const delayMs = parseInt(formData.get("delayMs")) || 1000; // 批次间延迟
@@ -19,9 +22,13 @@ async function handleBatchPublish({ request, admin }) {
     console.log('🚀 批量发布请求:', { batchSize, delayMs, filters });
 
     // Build query conditions
+    // 客户端筛选与审核条件用 AND 组合，避免 filters 中的 OR 覆盖审核条件；始终限定当前店铺
     const whereCondition = {
-      syncStatus: 'pending',
-      ...filters
+      AND: [
+        { syncStatus: 'pending', ...filters },
+        reviewFilter
+      ],
+      shopId: session.shop
     };
 
     // 获取所有待发布的翻译
@@ -0,0 +1,28 @@
+import { createApiRoute } from "../utils/base-route.server.js";
+import { estimateShopTranslationCost } from "../services/cost-estimator.server.js";
+
+function parseList(searchParams, name) {
+  return searchParams.getAll(name)
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 全店翻译成本预估（不实际翻译）
+ * GET ?languages=de,fr&categories=PRODUCTS,PAGES&resourceTypes=ARTICLE&useMemory=false
+ */
+async function handleEstimate({ session, searchParams }) {
+  return estimateShopTranslationCost(session.shop, {
+    languages: parseList(searchParams, 'languages'),
+    categories: parseList(searchParams, 'categories'),
+    resourceTypes: parseList(searchParams, 'resourceTypes'),
+    useMemory: searchParams.get('useMemory') !== 'false'
+  });
+}
+
+export const loader = createApiRoute(handleEstimate, {
+  requireAuth: true,
+  operationName: 'billing:estimate',
+  metricKey: 'billing.estimate.loader'
+});
@@ -0,0 +1,88 @@
+/**
+ * 字段级翻译锁API
+ * GET  - ?resourceId=xxx&language=de 查询锁定字段
+ * POST - action=lock|unlock（resourceId、language、fieldKeys JSON 数组）
+ *        action=lockManualEdits 批量锁定所有人工编辑过的字段（可选 language、resourceIds）
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  listFieldLocks,
+  lockFields,
+  unlockFields,
+  lockManuallyEditedFields
+} from "../services/field-lock.server.js";
+
+function parseJsonList(formData, name) {
+  const raw = formData.get(name);
+  if (!raw) return [];
+  try {
+    const parsed = JSON.parse(raw);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON`);
+  }
+}
+
+async function handleGetFieldLocks({ session, searchParams }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const locks = await listFieldLocks(shop.id, {
+    resourceId: searchParams.get("resourceId") || undefined,
+    language: searchParams.get("language") || undefined
+  });
+  return { locks };
+}
+
+async function handleFieldLockAction({ request, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const lockedBy = session.onlineAccessInfo?.associated_user?.email || null;
+  const language = formData.get("language") || undefined;
+
+  switch (action) {
+    case "lock": {
+      const added = await lockFields({
+        shopId: shop.id,
+        resourceId: formData.get("resourceId"),
+        language,
+        fieldKeys: parseJsonList(formData, "fieldKeys"),
+        lockedBy
+      });
+      return { locked: added };
+    }
+
+    case "unlock": {
+      const count = await unlockFields({
+        shopId: shop.id,
+        resourceId: formData.get("resourceId"),
+        language,
+        fieldKeys: parseJsonList(formData, "fieldKeys")
+      });
+      return { unlocked: count };
+    }
+
+    case "lockManualEdits": {
+      const result = await lockManuallyEditedFields(shop.id, {
+        language,
+        resourceIds: parseJsonList(formData, "resourceIds"),
+        lockedBy
+      });
+      return result;
+    }
+
+    default:
+      throw new Error(`Unsupported field lock action: ${action}`);
+  }
+}
+
+export const loader = createApiRoute(handleGetFieldLocks, {
+  requireAuth: true,
+  operationName: "查询字段锁"
+});
+
+export const action = createApiRoute(handleFieldLockAction, {
+  requireAuth: true,
+  operationName: "更新字段锁"
+});
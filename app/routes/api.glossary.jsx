@@ -0,0 +1,96 @@
+/**
+ * 术语表API
+ * GET  - 列出术语；?format=csv 时导出 CSV
+ * POST - action=upsert|delete|import
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  listGlossaryTerms,
+  upsertGlossaryTerm,
+  deleteGlossaryTerm,
+  importGlossaryCsv,
+  exportGlossaryCsv
+} from "../services/glossary.server.js";
+
+async function handleGetGlossary({ session, searchParams }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+
+  if (searchParams.get("format") === "csv") {
+    const csv = await exportGlossaryCsv(shop.id);
+    return new Response(csv, {
+      status: 200,
+      headers: {
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="glossary-${shop.id}.csv"`
+      }
+    });
+  }
+
+  const terms = await listGlossaryTerms(shop.id);
+  return { terms, total: terms.length };
+}
+
+async function handleGlossaryAction({ request, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+
+  switch (action) {
+    case "upsert": {
+      let translations = {};
+      try {
+        translations = JSON.parse(formData.get("translations") || "{}");
+      } catch (error) {
+        throw new Error("translations must be valid JSON");
+      }
+
+      const term = await upsertGlossaryTerm(shop.id, {
+        sourceTerm: formData.get("sourceTerm"),
+        translations,
+        caseSensitive: formData.get("caseSensitive") === "true",
+        doNotTranslate: formData.get("doNotTranslate") === "true",
+        partOfSpeech: formData.get("partOfSpeech") || undefined,
+        notes: formData.get("notes") || undefined,
+        isActive: formData.get("isActive") !== "false"
+      });
+      return { term };
+    }
+
+    case "delete": {
+      const id = formData.get("id");
+      if (!id) {
+        throw new Error("id is required");
+      }
+      const deleted = await deleteGlossaryTerm(shop.id, id);
+      return { deleted };
+    }
+
+    case "import": {
+      const file = formData.get("file");
+      const csv = typeof file === "string"
+        ? file
+        : (file && typeof file.text === "function" ? await file.text() : formData.get("csv"));
+      if (!csv) {
+        throw new Error("csv content is required");
+      }
+      return importGlossaryCsv(shop.id, String(csv), {
+        replace: formData.get("replace") === "true"
+      });
+    }
+
+    default:
+      throw new Error(`Unsupported glossary action: ${action}`);
+  }
+}
+
+export const loader = createApiRoute(handleGetGlossary, {
+  requireAuth: true,
+  operationName: "获取术语表"
+});
+
+export const action = createApiRoute(handleGlossaryAction, {
+  requireAuth: true,
+  operationName: "更新术语表"
+});
@@ -0,0 +1,26 @@
+import { createApiRoute } from "../utils/base-route.server.js";
+import { buildLinkConversionReport } from "../services/structured-link-converter.server.js";
+
+function parseList(searchParams, name) {
+  return searchParams.getAll(name)
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 结构化链接转换 dry-run 报告（主题设置、富文本、菜单），不写入任何数据
+ * GET ?locales=fr,de
+ */
+async function handleReport({ session, admin, searchParams }) {
+  return buildLinkConversionReport(session.shop, {
+    locales: parseList(searchParams, 'locales'),
+    admin
+  });
+}
+
+export const loader = createApiRoute(handleReport, {
+  requireAuth: true,
+  operationName: 'link-conversion:report',
+  metricKey: 'link-conversion.report.loader'
+});
@@ -13,6 +13,11 @@ import {
   formatLocalesForUI,
   groupLocalesByRegion
 } from '../services/shopify-locales.server.js';
+import { unpublishTranslations } from '../services/sync-to-shopify.server.js';
+import {
+  configureLocaleInheritance,
+  deriveInheritedTranslations
+} from '../services/locale-inheritance.server.js';
 import { createApiRoute } from '../utils/base-route.server.js';
 import prisma from '../db.server.js';
 
@@ -58,7 +63,9 @@ async function handleGetLocales({ request, admin, session, searchParams }) {
       const formattedLanguages = languages.map(lang => ({
         value: lang.code,
         label: lang.name,
-        isActive: lang.isActive
+        isActive: lang.isActive,
+        parentCode: lang.parentCode,
+        inheritanceMode: lang.inheritanceMode
       }));
       
       return {
@@ -111,7 +118,10 @@ async function handleGetLocales({ request, admin, session, searchParams }) {
           languages: dbLanguages.map((l) => ({
             value: l.code,
             label: l.name,
-            isActive: l.isActive
+            isActive: l.isActive,
+            parentCode: l.parentCode,
+            inheritanceMode: l.inheritanceMode,
+            inheritanceRules: l.inheritanceRules || []
           })),
           count: dbLanguages.length
         },
@@ -134,7 +144,7 @@ export const loader = createApiRoute(handleGetLocales, {
  */
 async function handleLocaleAction({ request, admin, session }) {
   const formData = await request.json();
-  const { action: operation, locale, locales } = formData;
+  const { action: operation, locale, locales, unpublish, deleteTranslations, parentCode, mode, rules, resourceIds } = formData;
   
   // 获取店铺信息
   const shop = await prisma.shop.findUnique({
@@ -244,6 +254,19 @@ async function handleLocaleAction({ request, admin, session }) {
         throw new Error('缺少locale参数');
       }
       
+      // 可选：先移除已发布的译文并更新本地同步状态，避免旧译文残留在店面上
+      let unpublished = null;
+      if (unpublish) {
+        unpublished = await unpublishTranslations(admin, shop.id, {
+          language: locale,
+          deleteLocal: Boolean(deleteTranslations)
+        });
+        
+        if (unpublished.failedCount > 0) {
+          throw new Error(`移除 ${locale} 译文时有 ${unpublished.failedCount} 条失败，已取消禁用语言`);
+        }
+      }
+      
       const result = await disableLocale(admin, locale);
       
       // 更新数据库
@@ -261,7 +284,10 @@ async function handleLocaleAction({ request, admin, session }) {
       
       return {
         locale: result.locale,
-        message: `成功禁用语言: ${locale}`
+        unpublished,
+        message: unpublished
+          ? `成功禁用语言: ${locale}，已移除 ${unpublished.unpublishedCount} 个资源的译文`
+          : `成功禁用语言: ${locale}`
       };
     }
     
@@ -280,6 +306,36 @@ async function handleLocaleAction({ request, admin, session }) {
       };
     }
     
+    case 'inheritance': {
+      // 配置地区变体继承父语言（fr-CA ← fr）
+      if (!locale) {
+        throw new Error('缺少locale参数');
+      }
+
+      const inheritance = await configureLocaleInheritance(shop.id, locale, { parentCode, mode, rules });
+
+      return {
+        inheritance,
+        message: `已更新 ${locale} 的继承设置`
+      };
+    }
+
+    case 'deriveInherited': {
+      // 从父语言派生地区变体译文
+      if (!locale) {
+        throw new Error('缺少locale参数');
+      }
+
+      const summary = await deriveInheritedTranslations(shop.id, locale, { resourceIds });
+
+      return {
+        ...summary,
+        message: summary.stoppedReason === 'insufficient_credits'
+          ? `额度不足，已派生 ${summary.derived} 条 ${locale} 译文后停止`
+          : `已从 ${summary.parentCode} 派生 ${summary.derived} 条 ${locale} 译文`
+      };
+    }
+
     default:
       throw new Error('无效的操作');
   }
@@ -0,0 +1,98 @@
+/**
+ * 提示词配置（品牌语气）API
+ * GET  - 列出配置（?profileId=xxx 同时返回该配置的版本历史）
+ * POST - action=create|update（name、locale、resourceTypes/forbiddenWords/brandNames JSON 数组、tone、addressForm、audience、instructions、isActive）
+ *        action=delete（profileId）、action=restore（profileId、version）
+ *        action=preview（配置字段 + sampleText、targetLang、resourceType），不保存
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  listPromptProfiles,
+  listPromptProfileVersions,
+  createPromptProfile,
+  updatePromptProfile,
+  restorePromptProfileVersion,
+  deletePromptProfile,
+  previewPromptProfile
+} from "../services/prompt-profile.server.js";
+
+const PROFILE_FIELDS = ["name", "locale", "tone", "addressForm", "audience", "instructions", "isActive"];
+const PROFILE_LIST_FIELDS = ["resourceTypes", "forbiddenWords", "brandNames"];
+
+function parseProfileInput(formData) {
+  const input = {};
+  for (const field of PROFILE_FIELDS) {
+    if (formData.has(field)) input[field] = formData.get(field);
+  }
+  for (const field of PROFILE_LIST_FIELDS) {
+    if (!formData.has(field)) continue;
+    try {
+      input[field] = JSON.parse(formData.get(field) || "[]");
+    } catch (error) {
+      throw new Error(`${field} must be valid JSON`);
+    }
+  }
+  return input;
+}
+
+async function handleGetProfiles({ session, searchParams }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const profileId = searchParams.get("profileId");
+  const [profiles, versions] = await Promise.all([
+    listPromptProfiles(shop.id),
+    profileId ? listPromptProfileVersions(shop.id, profileId) : Promise.resolve([])
+  ]);
+  return { profiles, versions };
+}
+
+async function handleProfileAction({ request, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const profileId = formData.get("profileId");
+  const actor = session.onlineAccessInfo?.associated_user?.email || null;
+
+  switch (action) {
+    case "create": {
+      const profile = await createPromptProfile(shop.id, parseProfileInput(formData), actor);
+      return { profile };
+    }
+
+    case "update": {
+      const profile = await updatePromptProfile(shop.id, profileId, parseProfileInput(formData), actor);
+      return { profile };
+    }
+
+    case "restore": {
+      const profile = await restorePromptProfileVersion(shop.id, profileId, formData.get("version"), actor);
+      return { profile };
+    }
+
+    case "delete":
+      return deletePromptProfile(shop.id, profileId);
+
+    case "preview": {
+      const preview = await previewPromptProfile(shop.id, parseProfileInput(formData), {
+        sampleText: formData.get("sampleText"),
+        targetLang: formData.get("targetLang") || undefined,
+        resourceType: formData.get("resourceType") || undefined
+      });
+      return { preview };
+    }
+
+    default:
+      throw new Error(`Unsupported prompt profile action: ${action}`);
+  }
+}
+
+export const loader = createApiRoute(handleGetProfiles, {
+  requireAuth: true,
+  operationName: "查询提示词配置"
+});
+
+export const action = createApiRoute(handleProfileAction, {
+  requireAuth: true,
+  operationName: "更新提示词配置"
+});
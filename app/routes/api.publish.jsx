@@ -4,13 +4,16 @@ import { updateResourceTranslation } from "../services/shopify-graphql.server.js
 import { ensureValidResourceGid } from "../services/resource-gid-resolver.server.js";
 import { createApiRoute } from "../utils/base-route.server.js";
 import { formatSyncError } from "../utils/sync-error-helper.server.js";
+import { getReviewSettings, buildReviewSyncFilter } from "../services/translation-review.server.js";
 
 /**
  * 发布API - 将pending状态的翻译同步到Shopify
  * 支持单个翻译发布和批量发布
  */
-async function handlePublish({ request, admin }) {
+async function handlePublish({ request, admin, session }) {
   const formData = await request.formData();
+  // 审核模式下仅发布已审核通过的翻译
+  const reviewFilter = buildReviewSyncFilter(await getReviewSettings(session.shop));
 
     // 参数验证
     const params = {
@@ -31,7 +34,8 @@ async function handlePublish({ request, admin }) {
       translationsToPublish = await prisma.translation.findMany({
         where: {
           id: { in: translationIds },
-          syncStatus: 'pending'
+          syncStatus: 'pending',
+          ...reviewFilter
         },
         include: {
           resource: true
@@ -43,7 +47,8 @@ async function handlePublish({ request, admin }) {
       translationsToPublish = await prisma.translation.findMany({
         where: {
           language: params.language,
-          syncStatus: 'pending'
+          syncStatus: 'pending',
+          ...reviewFilter
         },
         include: {
           resource: true
@@ -56,7 +61,8 @@ async function handlePublish({ request, admin }) {
       translationsToPublish = await prisma.translation.findMany({
         where: {
           resourceId: { in: resourceIds },
-          syncStatus: 'pending'
+          syncStatus: 'pending',
+          ...reviewFilter
         },
         include: {
           resource: true
@@ -67,7 +73,8 @@ async function handlePublish({ request, admin }) {
       // 发布所有pending翻译
       translationsToPublish = await prisma.translation.findMany({
         where: {
-          syncStatus: 'pending'
+          syncStatus: 'pending',
+          ...reviewFilter
         },
         include: {
           resource: true
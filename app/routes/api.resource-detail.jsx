@@ -1,5 +1,6 @@
 import prisma from "../db.server";
 import { createApiRoute } from "../utils/base-route.server.js";
+import { getOutdatedFields } from "../services/content-digest-tracker.server.js";
 
 /**
  * 统一资源详情API - Linus哲学实现
@@ -127,13 +128,29 @@ class ResourceDetailAdapter {
           syncStatus: trans.syncStatus,
           fields: this.getTranslationFields(trans),
           qualityScore: trans.qualityScore || 0,
-          lastSync: trans.syncedAt
+          lastSync: trans.syncedAt,
+          locked: trans.skipReason === 'MANUAL_OVERRIDE',
+          manualFields: this.getManualFields(trans),
+          outdatedFields: getOutdatedFields(this.resource, trans)
         };
       });
     }
     return translations;
   }
   
+  getManualFields(translation) {
+    // 人工覆盖记录在 skipConditions.manualFields（可能是 JSON 字符串）
+    if (translation.skipReason !== 'MANUAL_OVERRIDE' || !translation.skipConditions) return [];
+    try {
+      const conditions = typeof translation.skipConditions === 'string'
+        ? JSON.parse(translation.skipConditions)
+        : translation.skipConditions;
+      return Array.isArray(conditions?.manualFields) ? conditions.manualFields : [];
+    } catch {
+      return [];
+    }
+  }
+
   getTranslationFields(translation) {
     // 合并所有翻译字段
     const fields = {};
@@ -14,7 +14,8 @@ const CORE_RESOURCE_TYPES = [
   'PAGE',
   'MENU',
   'LINK',
-  'FILTER'
+  'FILTER',
+  'METAOBJECT'
 ];
 
 const SETTING_RESOURCE_TYPES = ['SHOP', 'SHOP_POLICY'];
@@ -2,6 +2,8 @@ import { getOrCreateShop, getAllResources, getTranslationStats, getResourceStats
 import { getJobStatus, getQueueStats } from "../services/queue.server.js";
 import { getTranslationServiceStatus, getTranslationStats as getTranslationServiceStats } from "../services/translation.server.js";
 import { getResourceCategory } from "../config/resource-categories.js";
+import { getMetaobjectDefinitionType } from "../services/metaobject-translation.server.js";
+import { getOutdatedFields } from "../services/content-digest-tracker.server.js";
 import { createApiRoute } from "../utils/base-route.server.js";
 
 /**
@@ -54,6 +56,9 @@ async function handleGetStatus({ session, params }) {
       const currentLangCount = langTranslation ? 1 : 0;
       const hasOtherLanguageTranslations = totalTranslationCount > currentLangCount;
 
+      // 源内容在翻译后变更的字段（译文已过期）
+      const outdatedFields = getOutdatedFields(r, langTranslation);
+
       return {
         id: r.id,
         resourceType: r.resourceType,
@@ -62,6 +67,7 @@ async function handleGetStatus({ session, params }) {
         title: r.title,
         handle: r.handle,
         name: r.name,
+        metaobjectType: getMetaobjectDefinitionType(r),
         status: r.status,
         translationCount: r.translations?.length || 0,  // 当前查询返回的翻译数
         totalTranslationCount,  // 所有语言的翻译总数
@@ -70,6 +76,7 @@ async function handleGetStatus({ session, params }) {
         translationStatus: langTranslation?.status || null,
         translationSyncStatus: langTranslation?.syncStatus || null,
         translationSyncError: langTranslation?.syncError || null,
+        outdatedFields,
         createdAt: r.createdAt,
         updatedAt: r.updatedAt,
         category: categoryInfo ? {
@@ -1,6 +1,7 @@
 /**
  * API端点：同步翻译到Shopify
  * 从数据库读取缓存的翻译并批量提交到Shopify
+ * action=unpublish 按资源 / 语言 / 分类从 Shopify 移除已发布的译文
  */
 
 import { createApiRoute } from "../utils/base-route.server.js";
@@ -8,7 +9,8 @@ import {
   syncTranslationsToShopify,
   getSyncStatusStats,
   retryFailedSync,
-  clearSyncErrors
+  clearSyncErrors,
+  unpublishTranslations
 } from "../services/sync-to-shopify.server.js";
 
 /**
@@ -90,6 +92,39 @@ async function handleSyncAction({ request, admin, session }) {
       };
     }
     
+    case "unpublish": {
+      // 从 Shopify 移除已发布的译文
+      const language = formData.get("language");
+      const resourceIds = formData.get("resourceIds");
+      
+      if (!language) {
+        throw new Error("语言不能为空");
+      }
+      
+      const options = {
+        language,
+        categoryKey: formData.get("categoryKey") || undefined,
+        subcategoryKey: formData.get("subcategoryKey") || undefined,
+        deleteLocal: formData.get("deleteLocal") === "true"
+      };
+      
+      if (resourceIds) {
+        try {
+          options.resourceIds = JSON.parse(resourceIds);
+        } catch (e) {
+          console.error('解析resourceIds失败:', e);
+        }
+      }
+      
+      console.log('开始取消发布Shopify译文:', options);
+      const result = await unpublishTranslations(admin, shopId, options);
+      
+      return {
+        message: `取消发布完成：成功 ${result.unpublishedCount}，失败 ${result.failedCount}`,
+        result
+      };
+    }
+    
     case "retry": {
       // 重试失败的同步
       console.log('重试失败的同步');
@@ -5,11 +5,13 @@
 
 import {
   performIncrementalTranslation,
-  detectUntranslatedFields
+  detectUntranslatedFields,
+  INCREMENTAL_FIELD_STATUSES
 } from '../services/incremental-translation.server.js';
 import { getOrCreateShop, getAllResources } from '../services/database.server.js';
 import { createApiRoute } from '../utils/base-route.server.js';
 import { getShopLocales } from '../services/shopify-locales.server.js';
+import { syncShopPrimaryLocale } from '../services/source-language.server.js';
 
 async function handleIncrementalTranslationAction({ request, admin, session }) {
     const formData = await request.formData();
@@ -18,7 +20,8 @@ async function handleIncrementalTranslationAction({ request, admin, session }) {
     const params = {
       language: formData.get("language") || "zh-CN",
       resourceIds: formData.get("resourceIds") || "[]",
-      analyzeOnly: formData.get("analyzeOnly") === "true" // 只分析不翻译
+      analyzeOnly: formData.get("analyzeOnly") === "true", // 只分析不翻译
+      fieldStatus: formData.get("fieldStatus") || "all" // all / outdated / missing / unverified
     };
 
     if (!params.language) {
@@ -45,6 +48,8 @@ async function handleIncrementalTranslationAction({ request, admin, session }) {
       );
     }
 
+    const fieldStatuses = parseFieldStatus(params.fieldStatus);
+
     let resourceIds;
     try {
       resourceIds = JSON.parse(params.resourceIds);
@@ -54,24 +59,43 @@ async function handleIncrementalTranslationAction({ request, admin, session }) {
 
     // 获取店铺记录
     const shop = await getOrCreateShop(session.shop, session.accessToken);
+    // 店铺主语言即翻译源语言
+    await syncShopPrimaryLocale(shop.id, shopLocales);
 
     if (params.analyzeOnly) {
       // 分析模式：只检测未翻译字段，不执行翻译
-      return await analyzeTranslationNeeds(shop.id, targetLanguage, resourceIds);
+      return await analyzeTranslationNeeds(shop.id, targetLanguage, resourceIds, fieldStatuses);
     } else {
       // 翻译模式：执行增量翻译
-      return await executeIncrementalTranslation(shop.id, targetLanguage, resourceIds);
+      return await executeIncrementalTranslation(shop.id, targetLanguage, resourceIds, fieldStatuses);
     }
 }
 
+/**
+ * 解析字段状态筛选（逗号分隔，all 表示不筛选）
+ * @param {string} value
+ * @returns {Array<string>|null}
+ */
+function parseFieldStatus(value) {
+  const statuses = String(value || 'all').split(',').map((item) => item.trim()).filter(Boolean);
+  if (statuses.length === 0 || statuses.includes('all')) return null;
+
+  const invalid = statuses.filter((status) => !INCREMENTAL_FIELD_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw new Error(`fieldStatus must be one of: all, ${INCREMENTAL_FIELD_STATUSES.join(', ')}`);
+  }
+  return statuses;
+}
+
 /**
  * 分析翻译需求
  * @param {string} shopId - 店铺ID
  * @param {string} language - 目标语言
  * @param {Array} resourceIds - 资源ID列表
+ * @param {Array<string>|null} fieldStatuses - 字段状态筛选
  * @returns {Promise<Response>} 分析结果
  */
-async function analyzeTranslationNeeds(shopId, language, resourceIds) {
+async function analyzeTranslationNeeds(shopId, language, resourceIds, fieldStatuses = null) {
   // 获取所有资源
   const allResources = await getAllResources(shopId);
 
@@ -82,10 +106,11 @@ async function analyzeTranslationNeeds(shopId, language, resourceIds) {
 
   const analysisResults = [];
   let totalUntranslatedFields = 0;
+  let totalOutdatedFields = 0;
 
   for (const resource of resourcesToAnalyze) {
     try {
-      const untranslatedFields = await detectUntranslatedFields(resource, language);
+      const untranslatedFields = await detectUntranslatedFields(resource, language, null, { statuses: fieldStatuses });
 
       if (untranslatedFields.length > 0) {
         analysisResults.push({
@@ -94,11 +119,13 @@ async function analyzeTranslationNeeds(shopId, language, resourceIds) {
           title: resource.title,
           untranslatedFields: untranslatedFields.map(f => ({
             field: f.field,
+            status: f.status,
             reason: f.reason,
             contentPreview: f.content.substring(0, 100) + (f.content.length > 100 ? '...' : '')
           }))
         });
         totalUntranslatedFields += untranslatedFields.length;
+        totalOutdatedFields += untranslatedFields.filter(f => f.status === 'outdated').length;
       }
     } catch (error) {
       console.error(`分析资源 ${resource.id} 时出错:`, error);
@@ -113,6 +140,8 @@ async function analyzeTranslationNeeds(shopId, language, resourceIds) {
         totalResources: resourcesToAnalyze.length,
         resourcesNeedingTranslation: analysisResults.length,
         totalUntranslatedFields,
+        totalOutdatedFields,
+        fieldStatus: fieldStatuses || 'all',
         language,
         mode: 'analyze_only'
       }
@@ -126,10 +155,11 @@ async function analyzeTranslationNeeds(shopId, language, resourceIds) {
  * @param {string} shopId - 店铺ID
  * @param {string} language - 目标语言
  * @param {Array} resourceIds - 资源ID列表
+ * @param {Array<string>|null} fieldStatuses - 字段状态筛选（例如只重译 outdated）
  * @returns {Promise<Response>} 翻译结果
  */
-async function executeIncrementalTranslation(shopId, language, resourceIds) {
-  const result = await performIncrementalTranslation(shopId, language, resourceIds);
+async function executeIncrementalTranslation(shopId, language, resourceIds, fieldStatuses = null) {
+  const result = await performIncrementalTranslation(shopId, language, resourceIds, { fieldStatuses });
 
   return {
     success: true,
@@ -139,6 +169,7 @@ async function executeIncrementalTranslation(shopId, language, resourceIds) {
         resourcesProcessed: result.resourcesProcessed,
         fieldsTranslated: result.fieldsTranslated,
         successRate: result.successCount / (result.successCount + result.failureCount),
+        fieldStatus: fieldStatuses || 'all',
         language,
         mode: 'incremental_translation'
       }
@@ -159,12 +190,20 @@ async function handleIncrementalTranslationLoader({ request, admin, session, sea
     let fullyTranslatedResources = 0;
     let partiallyTranslatedResources = 0;
     let untranslatedResources = 0;
+    let outdatedResources = 0;
+    let outdatedFields = 0;
 
     for (const resource of allResources) {
       totalResources++;
       try {
         const untranslatedFields = await detectUntranslatedFields(resource, language);
 
+        const outdatedCount = untranslatedFields.filter(f => f.status === 'outdated').length;
+        if (outdatedCount > 0) {
+          outdatedResources++;
+          outdatedFields += outdatedCount;
+        }
+
         if (untranslatedFields.length === 0) {
           fullyTranslatedResources++;
         } else {
@@ -195,6 +234,8 @@ async function handleIncrementalTranslationLoader({ request, admin, session, sea
           fullyTranslated: fullyTranslatedResources,
           partiallyTranslated: partiallyTranslatedResources,
           untranslated: untranslatedResources,
+          outdatedResources,
+          outdatedFields,
           translationCoverage: (fullyTranslatedResources / totalResources * 100).toFixed(1)
         }
       },
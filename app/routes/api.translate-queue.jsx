@@ -3,6 +3,7 @@ import { addBatchTranslationJob, addTranslationJob } from "../services/queue.ser
 import { createApiRoute } from "../utils/base-route.server.js";
 import { validateRequiredParams } from "../utils/api-response.server.js";
 import { getShopLocales } from "../services/shopify-locales.server.js";
+import { syncShopPrimaryLocale } from "../services/source-language.server.js";
 import { logger } from "../utils/logger.server.js";
 
 /**
@@ -17,7 +18,8 @@ async function handleTranslateQueue({ request, admin, session }) {
     const params = {
       language: formData.get("language") || "zh-CN",
       resourceIds: formData.get("resourceIds") || "[]",
-      mode: formData.get("mode") || "batch" // batch 或 individual
+      mode: formData.get("mode") || "batch", // batch 或 individual
+      sessionId: formData.get("sessionId") || null // 归属的翻译会话，写入译文修订记录
     };
     
     const validationErrors = validateRequiredParams(params, ['language']);
@@ -62,6 +64,8 @@ async function handleTranslateQueue({ request, admin, session }) {
 
     // Fetch shop record
     const shop = await getOrCreateShop(shopDomain, session.accessToken);
+    // 店铺主语言即翻译源语言，队列任务翻译时按店铺读取
+    await syncShopPrimaryLocale(shop.id, shopLocales);
 
     
     // Fetch all resources
@@ -93,7 +97,9 @@ async function handleTranslateQueue({ request, admin, session }) {
       });
       const startTime = Date.now();
 
-      jobResult = await addBatchTranslationJob(resourceIdsToTranslate, shop.id, targetLanguage, shopDomain);
+      jobResult = await addBatchTranslationJob(resourceIdsToTranslate, shop.id, targetLanguage, shopDomain, {
+        sessionId: params.sessionId
+      });
 
       logger.info('[批量翻译] 队列任务创建完成', {
         jobId: jobResult.jobId,
@@ -115,7 +121,8 @@ async function handleTranslateQueue({ request, admin, session }) {
       
       for (const resourceId of resourceIdsToTranslate) {
         const jobInfo = await addTranslationJob(resourceId, shop.id, targetLanguage, shopDomain, {
-          delay: jobs.length * 2000 // 每个任务间隔2秒
+          delay: jobs.length * 2000, // 每个任务间隔2秒
+          sessionId: params.sessionId
         });
         jobs.push(jobInfo);
       }
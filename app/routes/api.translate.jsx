@@ -6,6 +6,8 @@ import { createApiRoute } from "../utils/base-route.server.js";
 import { getLocalizedErrorMessage } from "../utils/error-messages.server.js";
 import { getLinkConversionConfig } from "../services/market-urls.server.js";
 import { getShopLocales } from "../services/shopify-locales.server.js";
+import { syncShopPrimaryLocale } from "../services/source-language.server.js";
+import { getLocaleInheritance } from "../services/locale-inheritance.server.js";
 import { prisma } from "../db.server.js";
 
 /**
@@ -57,6 +59,17 @@ async function handleTranslate({ request, admin, session }) {
     
     // Fetch shop record
     const shop = await getOrCreateShop(session.shop, session.accessToken);
+    // 店铺主语言即翻译源语言
+    const sourceLanguage = await syncShopPrimaryLocale(shop.id, shopLocales);
+
+    // Inherited regional variants are derived from their parent locale, never translated directly
+    const inheritance = await getLocaleInheritance(shop.id, targetLanguage);
+    if (inheritance) {
+      throw new Error(
+        `${targetLanguage} inherits translations from ${inheritance.parentCode}. ` +
+        `Translate ${inheritance.parentCode} instead; ${targetLanguage} is derived automatically.`
+      );
+    }
 
     // 🔒 语言数限制：若套餐有限制且当前语言已达上限，拒绝新增语言翻译
     const shopSubscription = await prisma.shopSubscription.findUnique({
@@ -388,7 +401,8 @@ async function handleTranslate({ request, admin, session }) {
         // 🆕 构建翻译选项（统一处理）
         const translationOptions = {
           admin,
-          shopId: session.shop
+          shopId: session.shop,
+          sourceLanguage
         };
         if (linkConversionConfig) {
           translationOptions.linkConversion = linkConversionConfig;
@@ -471,7 +485,10 @@ async function handleTranslate({ request, admin, session }) {
         // 防御性检查：确保传递正确的数据结构给 saveTranslation
         // translateResource 可能返回 { translations: {...} } 或直接返回翻译数据
         const translationData = translations.translations || translations;
-        await saveTranslation(resource.id, shop.id, targetLanguage, translationData);
+        await saveTranslation(resource.id, shop.id, targetLanguage, translationData, {
+          promptProfileAudit: translations.promptProfileAudit,
+          glossaryViolations: translations.glossaryViolations
+        });
 
         console.log(`✅ 翻译完成，状态设为pending等待发布: ${resource.title} -> ${targetLanguage}`);
 
@@ -482,7 +499,8 @@ async function handleTranslate({ request, admin, session }) {
           resourceType: resource.resourceType,
           title: resource.title,
           success: true,
-          translations: translations.translations
+          translations: translations.translations,
+          ...(translations.languageFlags ? { languageFlags: translations.languageFlags } : {})
         };
 
         if (resourceTypeUpper === 'PRODUCT' && translations.relatedSummary) {
@@ -546,6 +564,8 @@ async function handleTranslate({ request, admin, session }) {
     const successCount = results.filter(r => r.success && !r.skipped).length;
     const failureCount = results.filter(r => !r.success).length;
     const skippedCount = results.filter(r => r.skipped).length;
+    // 原文已是目标语言、保留原文的字段数
+    const alreadyTargetCount = results.reduce((sum, r) => sum + (r.languageFlags?.length || 0), 0);
     
     // 获取翻译统计和日志
     const translationStats = getTranslationStats();
@@ -557,7 +577,8 @@ async function handleTranslate({ request, admin, session }) {
         total: results.length,
         success: successCount,
         failure: failureCount,
-        skipped: skippedCount
+        skipped: skippedCount,
+        alreadyTargetLanguage: alreadyTargetCount
       },
       translationStats,
       recentLogs
@@ -0,0 +1,75 @@
+/**
+ * 译文交换API（供外部 CAT 工具使用）
+ * GET  - 导出 XLIFF 2.0 / PO：?language=de&category=PRODUCTS[&subcategory=PRODUCTS][&format=po]
+ * POST - 导入 XLIFF 2.0 / PO：file|content + language[+format]
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  exportTranslations,
+  importTranslations
+} from "../services/translation-exchange.server.js";
+
+const CONTENT_TYPES = {
+  xliff: "application/xliff+xml; charset=utf-8",
+  po: "text/x-gettext-translation; charset=utf-8"
+};
+
+async function handleExport({ session, searchParams }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const language = searchParams.get("language");
+  const category = searchParams.get("category");
+  const subcategory = searchParams.get("subcategory") || undefined;
+  const format = (searchParams.get("format") || "xliff").toLowerCase();
+
+  const result = await exportTranslations({
+    shopId: shop.id,
+    language,
+    category,
+    subcategory,
+    format,
+    sourceLanguage: searchParams.get("sourceLanguage") || "en"
+  });
+
+  const scope = [category, subcategory].filter(Boolean).join("-").toLowerCase();
+  const extension = result.format === "po" ? "po" : "xlf";
+
+  return new Response(result.content, {
+    status: 200,
+    headers: {
+      "Content-Type": CONTENT_TYPES[result.format],
+      "Content-Disposition": `attachment; filename="translations-${scope}-${language}.${extension}"`,
+      "X-Segment-Count": String(result.segmentCount)
+    }
+  });
+}
+
+async function handleImport({ request, session }) {
+  const formData = await request.formData();
+  const file = formData.get("file");
+  const content = typeof file === "string"
+    ? file
+    : (file && typeof file.text === "function" ? await file.text() : formData.get("content"));
+  if (!content) {
+    throw new Error("file or content is required");
+  }
+
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  return importTranslations({
+    shopId: shop.id,
+    language: formData.get("language") || undefined,
+    content: String(content),
+    format: formData.get("format") || (file && typeof file.name === "string" ? file.name : undefined)
+  });
+}
+
+export const loader = createApiRoute(handleExport, {
+  requireAuth: true,
+  operationName: "导出译文文件"
+});
+
+export const action = createApiRoute(handleImport, {
+  requireAuth: true,
+  operationName: "导入译文文件"
+});
@@ -0,0 +1,50 @@
+/**
+ * 翻译记忆API
+ * GET  - 按语言统计记忆条目与命中次数
+ * POST - action=rebuild（从已完成译文重建）| clear
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  getTranslationMemoryStats,
+  rebuildTranslationMemory,
+  clearTranslationMemory
+} from "../services/translation-memory.server.js";
+
+async function handleGetMemoryStats({ session }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const languages = await getTranslationMemoryStats(shop.id);
+
+  return {
+    languages,
+    totalEntries: languages.reduce((sum, item) => sum + item.entries, 0),
+    totalHits: languages.reduce((sum, item) => sum + item.hits, 0)
+  };
+}
+
+async function handleMemoryAction({ request, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const language = formData.get("language") || undefined;
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+
+  switch (action) {
+    case "rebuild":
+      return rebuildTranslationMemory(shop.id, { language });
+    case "clear":
+      return { deleted: await clearTranslationMemory(shop.id, { language }) };
+    default:
+      throw new Error(`Unsupported translation memory action: ${action}`);
+  }
+}
+
+export const loader = createApiRoute(handleGetMemoryStats, {
+  requireAuth: true,
+  operationName: "获取翻译记忆统计"
+});
+
+export const action = createApiRoute(handleMemoryAction, {
+  requireAuth: true,
+  operationName: "管理翻译记忆"
+});
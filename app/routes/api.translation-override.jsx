@@ -0,0 +1,70 @@
+/**
+ * 人工译文覆盖API
+ * POST - action=save：保存资源详情页编辑器中的人工译文（标记为 MANUAL_OVERRIDE 并锁定编辑过的字段），
+ *        并只对该资源重新发起同步（sync=false 时仅标记待同步）
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import { saveManualOverride, resyncResource } from "../services/manual-translation.server.js";
+import { logger } from "../utils/logger.server.js";
+
+function parseFields(formData) {
+  const raw = formData.get("fields");
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error("fields must be valid JSON");
+  }
+}
+
+async function handleOverrideAction({ request, admin, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action") || "save";
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+
+  switch (action) {
+    case "save": {
+      const resourceId = formData.get("resourceId");
+      const language = formData.get("language");
+      if (!resourceId) {
+        throw new Error("resourceId is required");
+      }
+
+      const result = await saveManualOverride({
+        shopId: shop.id,
+        resourceId,
+        language,
+        fields: parseFields(formData),
+        editedBy: session.onlineAccessInfo?.associated_user?.email || null
+      });
+
+      let sync = null;
+      if (formData.get("sync") !== "false") {
+        try {
+          sync = await resyncResource(admin, shop.id, resourceId, language);
+        } catch (error) {
+          // 同步失败不影响保存，译文保持 pending 等待下次同步
+          logger.warn('[TranslationOverride] 单资源同步失败', { resourceId, language, error: error.message });
+          sync = { error: error.message };
+        }
+      }
+
+      return {
+        translationId: result.translation.id,
+        manualFields: result.manualFields,
+        markupWarnings: result.markupWarnings,
+        sync
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported override action: ${action}`);
+  }
+}
+
+export const action = createApiRoute(handleOverrideAction, {
+  requireAuth: true,
+  operationName: "保存人工译文"
+});
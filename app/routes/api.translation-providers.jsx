@@ -0,0 +1,71 @@
+/**
+ * 翻译引擎配置API
+ * GET  - 列出可用引擎及当前店铺的选择
+ * POST - 保存店铺默认引擎与按语言路由
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import prisma from "../db.server.js";
+import {
+  listTranslationProviders,
+  getTranslationProvider,
+  normalizeProviderSettings,
+  invalidateProviderSettingsCache
+} from "../services/translation/providers.server.js";
+import { config } from "../utils/config.server.js";
+
+async function handleGetProviders({ session }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId: shop.id },
+    select: { translationProviders: true }
+  });
+
+  return {
+    providers: listTranslationProviders(),
+    envDefault: config.translation.provider,
+    settings: normalizeProviderSettings(settings?.translationProviders)
+  };
+}
+
+async function handleSaveProviders({ request, session }) {
+  const formData = await request.formData();
+
+  let payload;
+  try {
+    payload = JSON.parse(formData.get("settings") || "{}");
+  } catch (error) {
+    throw new Error("settings must be valid JSON");
+  }
+
+  const settings = normalizeProviderSettings(payload);
+  const requested = [settings.default, ...Object.values(settings.languages)].filter(Boolean);
+  const unknown = requested.filter((name) => !getTranslationProvider(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown translation provider: ${unknown.join(", ")}`);
+  }
+
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  await prisma.shopSettings.upsert({
+    where: { shopId: shop.id },
+    update: { translationProviders: settings },
+    create: { shopId: shop.id, translationProviders: settings }
+  });
+  invalidateProviderSettingsCache(shop.id);
+
+  return {
+    settings,
+    providers: listTranslationProviders()
+  };
+}
+
+export const loader = createApiRoute(handleGetProviders, {
+  requireAuth: true,
+  operationName: "获取翻译引擎配置"
+});
+
+export const action = createApiRoute(handleSaveProviders, {
+  requireAuth: true,
+  operationName: "保存翻译引擎配置"
+});
@@ -0,0 +1,111 @@
+/**
+ * 翻译审核API
+ * GET  - 审核队列：?status=pending&language=de&resourceType=PRODUCT&limit=50&offset=0
+ * POST - action=approve|reject|update|settings
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  listReviewQueue,
+  getReviewQueueSummary,
+  getReviewSettings,
+  updateReviewSettings,
+  approveTranslation,
+  rejectTranslation,
+  updateTranslationForReview
+} from "../services/translation-review.server.js";
+
+function parseEdits(formData) {
+  const raw = formData.get("edits");
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error("edits must be valid JSON");
+  }
+}
+
+async function handleGetReviewQueue({ session, searchParams }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const limit = Math.min(parseInt(searchParams.get("limit") || "50", 10) || 50, 200);
+  const offset = parseInt(searchParams.get("offset") || "0", 10) || 0;
+
+  const [queue, summary, settings] = await Promise.all([
+    listReviewQueue(shop.id, {
+      status: searchParams.get("status") || undefined,
+      language: searchParams.get("language") || undefined,
+      resourceType: searchParams.get("resourceType") || undefined,
+      limit,
+      offset
+    }),
+    getReviewQueueSummary(shop.id),
+    getReviewSettings(shop.id)
+  ]);
+
+  return { ...queue, summary, settings, limit, offset };
+}
+
+async function handleReviewAction({ request, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const translationId = formData.get("translationId");
+  const reviewer = formData.get("reviewer") || session.onlineAccessInfo?.associated_user?.email || null;
+  const notes = formData.get("notes") ?? undefined;
+
+  if (action !== "settings" && !translationId) {
+    throw new Error("translationId is required");
+  }
+
+  switch (action) {
+    case "approve": {
+      const translation = await approveTranslation(shop.id, translationId, {
+        reviewer,
+        notes,
+        edits: parseEdits(formData)
+      });
+      return { translation };
+    }
+
+    case "reject": {
+      const translation = await rejectTranslation(shop.id, translationId, { reviewer, notes });
+      return { translation };
+    }
+
+    case "update": {
+      const translation = await updateTranslationForReview(shop.id, translationId, parseEdits(formData), {
+        reviewer,
+        notes
+      });
+      return { translation };
+    }
+
+    case "settings": {
+      const reviewRequired = formData.get("reviewRequired");
+      const qualityThreshold = formData.get("qualityThreshold");
+      const deepQualityMode = formData.get("deepQualityMode");
+      const deepQualitySampleSize = formData.get("deepQualitySampleSize");
+      const settings = await updateReviewSettings(shop.id, {
+        reviewRequired: reviewRequired === null ? undefined : reviewRequired === "true",
+        qualityThreshold: qualityThreshold === null || qualityThreshold === "" ? undefined : Number(qualityThreshold),
+        deepQualityMode: deepQualityMode || undefined,
+        deepQualitySampleSize: deepQualitySampleSize === null || deepQualitySampleSize === "" ? undefined : Number(deepQualitySampleSize)
+      });
+      return { settings };
+    }
+
+    default:
+      throw new Error(`Unsupported review action: ${action}`);
+  }
+}
+
+export const loader = createApiRoute(handleGetReviewQueue, {
+  requireAuth: true,
+  operationName: "获取翻译审核队列"
+});
+
+export const action = createApiRoute(handleReviewAction, {
+  requireAuth: true,
+  operationName: "提交翻译审核"
+});
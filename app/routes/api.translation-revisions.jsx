@@ -0,0 +1,72 @@
+/**
+ * 译文修订历史API
+ * GET  - ?resourceId=xxx&language=de 列出译文版本（新 → 旧）
+ *        ?from=revA&to=revB 对比同一译文的两个版本
+ * POST - action=rollback（revisionId）恢复到指定版本并重新同步（sync=false 时仅标记待同步）
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  listTranslationRevisions,
+  compareTranslationRevisions,
+  rollbackToRevision
+} from "../services/translation-revision.server.js";
+
+async function handleGetRevisions({ session, searchParams }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+
+  if (from && to) {
+    const comparison = await compareTranslationRevisions(shop.id, from, to);
+    return { comparison };
+  }
+
+  const revisions = await listTranslationRevisions(
+    shop.id,
+    searchParams.get("resourceId"),
+    searchParams.get("language")
+  );
+  return { revisions };
+}
+
+async function handleRevisionAction({ request, admin, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+
+  switch (action) {
+    case "rollback": {
+      const revisionId = formData.get("revisionId");
+      if (!revisionId) {
+        throw new Error("revisionId is required");
+      }
+
+      const result = await rollbackToRevision(admin, shop.id, revisionId, {
+        actor: session.onlineAccessInfo?.associated_user?.email || null,
+        sync: formData.get("sync") !== "false"
+      });
+
+      return {
+        translationId: result.translation.id,
+        revisionId: result.revision?.id || null,
+        sync: result.sync,
+        reviewBlocked: result.reviewBlocked
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported revision action: ${action}`);
+  }
+}
+
+export const loader = createApiRoute(handleGetRevisions, {
+  requireAuth: true,
+  operationName: "查询译文版本"
+});
+
+export const action = createApiRoute(handleRevisionAction, {
+  requireAuth: true,
+  operationName: "回滚译文版本"
+});
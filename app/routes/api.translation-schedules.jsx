@@ -0,0 +1,98 @@
+/**
+ * 定时翻译计划API
+ * GET  - 列出计划与最近运行记录（?scheduleId=xxx 仅查询该计划的运行记录）
+ * POST - action=create|update（name、cron、timezone、languages/resourceTypes JSON 数组、autoPublish、minCredits、enabled）
+ *        action=delete|toggle|runNow（scheduleId）
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  listSchedules,
+  listScheduleRuns,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow
+} from "../services/translation-scheduler.server.js";
+
+const SCHEDULE_FIELDS = ["name", "cron", "timezone", "autoPublish", "minCredits", "enabled"];
+const SCHEDULE_LIST_FIELDS = ["languages", "resourceTypes"];
+
+function parseScheduleInput(formData) {
+  const input = {};
+  for (const field of SCHEDULE_FIELDS) {
+    if (formData.has(field)) input[field] = formData.get(field);
+  }
+  for (const field of SCHEDULE_LIST_FIELDS) {
+    if (!formData.has(field)) continue;
+    try {
+      input[field] = JSON.parse(formData.get(field) || "[]");
+    } catch (error) {
+      throw new Error(`${field} must be valid JSON`);
+    }
+  }
+  return input;
+}
+
+async function handleGetSchedules({ session, searchParams }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const scheduleId = searchParams.get("scheduleId") || undefined;
+  const [schedules, runs] = await Promise.all([
+    listSchedules(shop.id),
+    listScheduleRuns(shop.id, {
+      scheduleId,
+      limit: Math.min(parseInt(searchParams.get("limit") || "50", 10) || 50, 200)
+    })
+  ]);
+  return { schedules, runs };
+}
+
+async function handleScheduleAction({ request, admin, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const scheduleId = formData.get("scheduleId");
+
+  switch (action) {
+    case "create": {
+      const schedule = await createSchedule(
+        shop.id,
+        parseScheduleInput(formData),
+        session.onlineAccessInfo?.associated_user?.email || null
+      );
+      return { schedule };
+    }
+
+    case "update": {
+      const schedule = await updateSchedule(shop.id, scheduleId, parseScheduleInput(formData));
+      return { schedule };
+    }
+
+    case "toggle": {
+      const schedule = await updateSchedule(shop.id, scheduleId, { enabled: formData.get("enabled") });
+      return { schedule };
+    }
+
+    case "delete":
+      return deleteSchedule(shop.id, scheduleId);
+
+    case "runNow": {
+      const run = await runScheduleNow(shop.id, scheduleId, { admin });
+      return { run };
+    }
+
+    default:
+      throw new Error(`Unsupported schedule action: ${action}`);
+  }
+}
+
+export const loader = createApiRoute(handleGetSchedules, {
+  requireAuth: true,
+  operationName: "查询定时翻译计划"
+});
+
+export const action = createApiRoute(handleScheduleAction, {
+  requireAuth: true,
+  operationName: "更新定时翻译计划"
+});
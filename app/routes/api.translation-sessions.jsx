@@ -1,16 +1,32 @@
 /**
  * API端点：Translation session management
  * 提供Sequential Thinking智能翻译会话的创建、管理和控制
+ * GET ?sessionId=xxx&preview=revert 预览撤销会话影响的译文；POST action=revert 撤销会话
  */
 
 import { createApiRoute } from "../utils/base-route.server.js";
 import {
-  createTranslationSession,
-  startTranslationSession,
   pauseTranslationSession,
   resumeTranslationSession,
   getRecoveryRecommendations
 } from "../services/sequential-thinking.server.js";
+import { translationSessionManager } from "../services/translation-session-manager.server.js";
+import { RESOURCE_CATEGORIES } from "../config/resource-categories.js";
+
+/**
+ * 会话的资源类型：显式列表优先，否则按分类 / 子分类展开（Resource.resourceType 为小写）
+ */
+function resolveSessionResourceTypes({ resourceTypes, categoryKey, subcategoryKey }) {
+  let types = Array.isArray(resourceTypes) ? resourceTypes : [];
+  const category = categoryKey ? RESOURCE_CATEGORIES[categoryKey] : null;
+  if (types.length === 0 && category) {
+    const subcategories = subcategoryKey && category.subcategories[subcategoryKey]
+      ? [category.subcategories[subcategoryKey]]
+      : Object.values(category.subcategories);
+    types = subcategories.flatMap((subcategory) => subcategory.resources);
+  }
+  return types.map((type) => String(type).toLowerCase());
+}
 
 /**
  * GET请求：获取会话列表或单个会话详情
@@ -20,7 +36,15 @@ async function handleTranslationSessionsLoader({ request, admin, session, search
     const sessionId = searchParams.get("sessionId");
     const shopId = session.shop;
     
-    if (sessionId) {
+    if (sessionId && searchParams.get("preview") === "revert") {
+      // 撤销预览：列出会话改动过的译文与额度处理
+      const preview = await translationSessionManager.previewSessionRevert(sessionId, { shopId });
+
+      return {
+        success: true,
+        preview
+      };
+    } else if (sessionId) {
       // 获取单个会话详情
       const { default: prisma } = await import("../db.server.js");
       const translationSession = await prisma.translationSession.findUnique({
@@ -86,23 +110,22 @@ async function handleTranslationSessionsAction({ request, admin, session }) {
         const subcategoryKey = formData.get("subcategoryKey");
         const resourceTypes = formData.get("resourceTypes");
         
-        const options = {
-          name,
-          description,
-          targetLanguage,
-          categoryKey,
-          subcategoryKey
-        };
-        
+        let parsedResourceTypes = [];
         if (resourceTypes) {
           try {
-            options.resourceTypes = JSON.parse(resourceTypes);
+            parsedResourceTypes = JSON.parse(resourceTypes);
           } catch (e) {
             console.error('Failed to parse resourceTypes:', e);
           }
         }
         
-        const translationSession = await createTranslationSession(shopId, options);
+        const translationSession = await translationSessionManager.createSession({
+          shopId,
+          sessionName: name,
+          languages: [targetLanguage],
+          resourceTypes: resolveSessionResourceTypes({ resourceTypes: parsedResourceTypes, categoryKey, subcategoryKey }),
+          translationConfig: description ? { description } : {}
+        });
         
         return {
           success: true,
@@ -119,12 +142,13 @@ async function handleTranslationSessionsAction({ request, admin, session }) {
           throw new Error("Session ID is required");
         }
         
-        const translationSession = await startTranslationSession(sessionId);
+        // 启动时按会话资源创建翻译任务，任务携带 sessionId 以便撤销会话
+        const result = await translationSessionManager.startSession(sessionId, { shopId, shopDomain: session.shop });
         
         return {
           success: true,
           message: "Session started",
-          session: translationSession
+          ...result
         };
       }
       
@@ -187,6 +211,30 @@ async function handleTranslationSessionsAction({ request, admin, session }) {
         };
       }
       
+      case "revert": {
+        // 撤销会话：译文恢复到会话前版本，可选从 Shopify 移除已发布译文
+        const sessionId = formData.get("sessionId");
+        
+        if (!sessionId) {
+          throw new Error("Session ID is required");
+        }
+        
+        const result = await translationSessionManager.revertSession(sessionId, admin, {
+          removeFromShopify: formData.get("removeFromShopify") === "true",
+          sync: formData.get("sync") !== "false",
+          refundCredits: formData.get("refundCredits") !== "false",
+          includeConflicts: formData.get("includeConflicts") === "true",
+          actor: session.onlineAccessInfo?.associated_user?.email || null,
+          shopId
+        });
+        
+        return {
+          success: result.success,
+          message: `Session reverted: ${result.summary.restored} restored, ${result.summary.removed} removed, ${result.summary.skipped} skipped`,
+          ...result
+        };
+      }
+      
       case "delete": {
         // 删除会话
         const sessionId = formData.get("sessionId");
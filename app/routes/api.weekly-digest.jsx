@@ -0,0 +1,54 @@
+/**
+ * 商家周报API
+ * GET  - 列出最近的周报（?digestId=xxx 返回单份周报及邮件预览）
+ * POST - action=generate（重新生成上一完整周的周报，sendEmail=true 时同时发送邮件）
+ */
+
+import { createApiRoute } from "../utils/base-route.server.js";
+import { getOrCreateShop } from "../services/database.server.js";
+import {
+  listWeeklyDigests,
+  getWeeklyDigest,
+  generateWeeklyDigest,
+  renderDigestEmail
+} from "../services/weekly-digest.server.js";
+
+async function handleGetDigests({ session, searchParams }) {
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const digestId = searchParams.get("digestId");
+
+  if (digestId) {
+    const digest = await getWeeklyDigest(shop.id, digestId);
+    return { digest, email: renderDigestEmail(digest.report, { shopDomain: shop.domain }) };
+  }
+
+  return { digests: await listWeeklyDigests(shop.id) };
+}
+
+async function handleDigestAction({ request, session }) {
+  const formData = await request.formData();
+  const action = formData.get("action");
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+
+  switch (action) {
+    case "generate": {
+      const digest = await generateWeeklyDigest(shop.id, {
+        sendEmail: formData.get("sendEmail") === "true"
+      });
+      return { digest };
+    }
+
+    default:
+      throw new Error(`Unsupported digest action: ${action}`);
+  }
+}
+
+export const loader = createApiRoute(handleGetDigests, {
+  requireAuth: true,
+  operationName: "查询商家周报"
+});
+
+export const action = createApiRoute(handleDigestAction, {
+  requireAuth: true,
+  operationName: "生成商家周报"
+});
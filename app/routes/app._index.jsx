@@ -30,6 +30,7 @@ import {
   onLanguagePreferenceChange 
 } from "../utils/storage.client";
 import { getShopLocales } from "../services/shopify-locales.server.js";
+import { syncShopPrimaryLocale } from "../services/source-language.server.js";
 import prisma from "../db.server";
 import { subscriptionManager } from "../services/subscription-manager.server.js";
 import { creditManager } from "../services/credit-manager.server.js";
@@ -114,6 +115,8 @@ export const loader = async ({ request }) => {
   try {
     shopLocales = await getShopLocales(admin);
     primaryLocale = shopLocales.find((locale) => locale.primary) || null;
+    // 店铺主语言即翻译源语言
+    await syncShopPrimaryLocale(session.shop, shopLocales);
     alternateLocales = shopLocales.filter((locale) => !locale.primary);
   } catch (error) {
     logger.warn("[Index Loader] Failed to fetch shop locales, falling back to DB", {
@@ -231,6 +234,7 @@ function Index() {
   const billingFetcher = useFetcher();
   const cancelFetcher = useFetcher();
   const clearFetcher = useFetcher();
+  const unpublishFetcher = useFetcher();
   const revalidator = useRevalidator();
   
   const shopQueryParam = shopId ? `shop=${encodeURIComponent(shopId)}` : '';
@@ -322,6 +326,8 @@ function Index() {
   // 分类翻译状态管理
   const [translatingCategories, setTranslatingCategories] = useState(new Set());
   const [syncingCategories, setSyncingCategories] = useState(new Set());
+  // 取消发布（从 Shopify 移除译文）待确认的范围：{ categoryKey?, name?, resourceIds? }
+  const [pendingUnpublish, setPendingUnpublish] = useState(null);
 
   // Phase 2: 发布相关状态
   const [isPublishing, setIsPublishing] = useState(false);
@@ -710,6 +716,7 @@ function Index() {
     { label: t('resourceTypeOptions.filters'), value: 'FILTER' },
     { label: t('resourceTypeOptions.policies'), value: 'SHOP_POLICY' },
     { label: t('resourceTypeOptions.storeMetadata'), value: 'SHOP' },
+    { label: t('resourceTypeOptions.metaobjects'), value: 'METAOBJECT' },
     { label: t('resourceTypeOptions.menu'), value: 'MENU' },
     { label: t('resourceTypeOptions.appEmbeds'), value: 'ONLINE_STORE_THEME_APP_EMBED' },
     { label: t('resourceTypeOptions.sectionGroups'), value: 'ONLINE_STORE_THEME_SECTION_GROUP' },
@@ -726,6 +733,7 @@ function Index() {
                      scanAllFetcher.state === 'submitting';
   const isTranslating = translateFetcher.state === 'submitting';
   const isClearing = clearFetcher.state === 'submitting';
+  const isUnpublishing = unpublishFetcher.state !== 'idle';
 
   // 🔧 使用 useRef 稳定 loadStatus，避免循环依赖
   const loadStatusRef = useRef();
@@ -1476,6 +1484,9 @@ function Index() {
     if (skippedCount > 0) {
       addLog(t('logs.translationSkippedCount', { ns: 'home', count: skippedCount }), 'info');
     }
+    if (stats.alreadyTargetLanguage > 0) {
+      addLog(t('logs.sourceAlreadyTargetCount', { ns: 'home', count: stats.alreadyTargetLanguage }), 'info');
+    }
     if (failureCount > 0) {
       addLog(t('logs.translationFailureCount', { ns: 'home', count: failureCount }), 'warning');
       showToast(t('home.toasts.translationFailureCount', { count: failureCount }), { isError: true });
@@ -1545,6 +1556,59 @@ function Index() {
     }
   }, [clearFetcher.state, clearFetcher.data, addLog, showToast, loadStatus, selectedLanguage, viewMode]);
 
+  // 取消发布：从 Shopify 移除当前语言已发布的译文（分类 / 选中资源 / 整个语言）
+  const handleCategoryUnpublish = useCallback((categoryKey, category) => {
+    const resourceIds = [];
+    Object.values(category.subcategories).forEach(subcategory => {
+      subcategory.items.forEach(resource => {
+        resourceIds.push(resource.id);
+      });
+    });
+    setPendingUnpublish({ categoryKey, name: category.name, resourceIds });
+  }, []);
+
+  const requestLanguageUnpublish = useCallback(() => {
+    setPendingUnpublish({
+      resourceIds: selectedResources.length > 0 ? selectedResources : null
+    });
+  }, [selectedResources]);
+
+  const confirmUnpublish = useCallback(() => {
+    if (!pendingUnpublish) return;
+
+    addLog(t('logs.unpublishStart', { ns: 'home', language: selectedLanguage }), 'info');
+    unpublishFetcher.submit({
+      action: 'unpublish',
+      language: selectedLanguage,
+      ...(pendingUnpublish.resourceIds ? { resourceIds: JSON.stringify(pendingUnpublish.resourceIds) } : {}),
+      shop: shopId
+    }, {
+      method: 'POST',
+      action: shopQueryParam ? `/api/sync-translations?${shopQueryParam}` : '/api/sync-translations'
+    });
+  }, [pendingUnpublish, selectedLanguage, addLog, unpublishFetcher, shopId, shopQueryParam]);
+
+  useEffect(() => {
+    if (unpublishFetcher.state !== 'idle' || !unpublishFetcher.data) {
+      return;
+    }
+
+    const { success, data, message } = unpublishFetcher.data;
+
+    if (success) {
+      const { unpublishedCount = 0, failedCount = 0 } = data?.result || {};
+      addLog(t('logs.unpublishDone', { ns: 'home', success: unpublishedCount, failed: failedCount }), failedCount > 0 ? 'warning' : 'success');
+      showToast(t('toasts.unpublishDone', { ns: 'home', count: unpublishedCount }), { duration: 3000, isError: failedCount > 0 && unpublishedCount === 0 });
+      loadStatus(selectedLanguage, viewMode);
+    } else {
+      const errorMessage = message || t('logs.unpublishFailed', { ns: 'home' });
+      addLog(`❌ ${errorMessage}`, 'error');
+      showToast(errorMessage, { isError: true });
+    }
+
+    setPendingUnpublish(null);
+  }, [unpublishFetcher.state, unpublishFetcher.data, addLog, showToast, loadStatus, selectedLanguage, viewMode]);
+
   // 处理资源选择
   const handleResourceSelection = useCallback((resourceId, checked) => {
     if (checked) {
@@ -1893,6 +1957,38 @@ function Index() {
           </Modal.Section>
         </Modal>
 
+        <Modal
+          open={Boolean(pendingUnpublish)}
+          onClose={() => !isUnpublishing && setPendingUnpublish(null)}
+          title={t('ui.unpublishTitle', { ns: 'home', language: selectedLanguage })}
+          primaryAction={{
+            content: t('ui.unpublishConfirm', { ns: 'home' }),
+            destructive: true,
+            onAction: confirmUnpublish,
+            loading: isUnpublishing
+          }}
+          secondaryActions={[{
+            content: t('ui.unpublishCancel', { ns: 'home' }),
+            onAction: () => setPendingUnpublish(null),
+            disabled: isUnpublishing
+          }]}
+        >
+          <Modal.Section>
+            <BlockStack gap="300">
+              <Text variant="bodyMd">
+                {pendingUnpublish?.categoryKey
+                  ? t('ui.unpublishCategory', { ns: 'home', name: pendingUnpublish.name, language: selectedLanguage })
+                  : pendingUnpublish?.resourceIds
+                    ? t('ui.unpublishSelected', { ns: 'home', count: pendingUnpublish.resourceIds.length, language: selectedLanguage })
+                    : t('ui.unpublishLanguage', { ns: 'home', language: selectedLanguage })}
+              </Text>
+              <Text variant="bodySm" tone="subdued">
+                {t('ui.unpublishNote', { ns: 'home' })}
+              </Text>
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
+
         {/* Network warning */}
         {appBridgeError && (
           <Layout>
@@ -2104,6 +2200,17 @@ function Index() {
                     >
                       {t('actions.clearData', { ns: 'home' })}
                     </Button>
+                    <Button
+                      onClick={requestLanguageUnpublish}
+                      loading={isUnpublishing && !pendingUnpublish?.categoryKey}
+                      disabled={isUnpublishing}
+                      variant="tertiary"
+                      tone="critical"
+                    >
+                      {selectedResources.length > 0
+                        ? t('actions.unpublishSelected', { ns: 'home', count: selectedResources.length })
+                        : t('actions.unpublishLanguage', { ns: 'home' })}
+                    </Button>
                   </InlineStack>
 
                   <BlockStack gap="150">
@@ -2314,8 +2421,10 @@ function Index() {
             }}
             onTranslateCategory={handleCategoryTranslation}
             onSyncCategory={handleCategorySync}
+            onUnpublishCategory={handleCategoryUnpublish}
             translatingCategories={translatingCategories}
             syncingCategories={syncingCategories}
+            unpublishingCategories={isUnpublishing && pendingUnpublish?.categoryKey ? new Set([pendingUnpublish.categoryKey]) : undefined}
             clearCache={clearCache}
           />
         ) : (
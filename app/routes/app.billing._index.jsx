@@ -30,6 +30,7 @@ import { CreditBar } from "../components/billing/CreditBar.jsx";
 import { PlanCard } from "../components/PlanCard.jsx";
 import { PricingTable } from "../components/PricingTable.jsx";
 import { TopUpModal } from "../components/billing/TopUpModal.jsx";
+import { CostEstimateCard } from "../components/billing/CostEstimateCard.jsx";
 import { useSafeAppBridge } from "../hooks/useSafeAppBridge";
 import { PRICING_CONFIG, formatCompactNumber, ULTRA_PLANS, getEffectivePlan } from "../utils/pricing-config.js";
 
@@ -99,6 +100,13 @@ export async function loader({ request }) {
     };
   }
 
+  // 成本预估可选语言
+  const languages = await prisma.language.findMany({
+    where: { shopId: session.shop, isActive: true, enabled: true },
+    orderBy: { name: 'asc' },
+    select: { code: true, name: true }
+  }).catch(() => []);
+
   // Use ULTRA_PLANS as the source of truth for V2
   const plans = ULTRA_PLANS;
 
@@ -124,7 +132,8 @@ export async function loader({ request }) {
     creditsError,
     shopId: session.shop,
     shop,
-    effectivePlanId: effectivePlan?.id
+    effectivePlanId: effectivePlan?.id,
+    languages: languages.map((language) => ({ label: language.name, value: language.code }))
   };
 }
 
@@ -237,7 +246,7 @@ function UsageSection({ loading, usage }) {
 }
 
 export default function BillingPage() {
-  const { plans, subscription, credits, creditsError, shop, effectivePlanId } = useLoaderData();
+  const { plans, subscription, credits, creditsError, shop, effectivePlanId, languages } = useLoaderData();
   const { t } = useTranslation('billing');
   const usageFetcher = useFetcher();
   const planChangeFetcher = useFetcher();
@@ -250,6 +259,7 @@ export default function BillingPage() {
   const [activeCancelFetchId, setActiveCancelFetchId] = useState(null);
   const [cancelModalOpen, setCancelModalOpen] = useState(false);
   const [topUpModalOpen, setTopUpModalOpen] = useState(false);
+  const [suggestedTopUp, setSuggestedTopUp] = useState(0);
   const [limitError, setLimitError] = useState(null);
   const [validationWarnings, setValidationWarnings] = useState({});
 
@@ -469,7 +479,10 @@ export default function BillingPage() {
       title={t('pageTitle')}
       primaryAction={{
         content: t('topUp.button', { defaultValue: 'Buy Credits' }),
-        onAction: () => setTopUpModalOpen(true)
+        onAction: () => {
+          setSuggestedTopUp(0);
+          setTopUpModalOpen(true);
+        }
       }}
     >
       <BlockStack gap="400">
@@ -552,6 +565,17 @@ export default function BillingPage() {
               </Text>
             )}
           </Layout.Section>
+          <Layout.Section>
+            {!creditsError && (
+              <CostEstimateCard
+                languages={languages}
+                onTopUp={(shortfall) => {
+                  setSuggestedTopUp(shortfall);
+                  setTopUpModalOpen(true);
+                }}
+              />
+            )}
+          </Layout.Section>
         </Layout>
 
         <Layout>
@@ -741,6 +765,7 @@ export default function BillingPage() {
           onClose={() => setTopUpModalOpen(false)}
           onPurchase={handleTopUpPurchase}
           loading={isToppingUp}
+          suggestedCredits={suggestedTopUp}
         />
 
         <Modal
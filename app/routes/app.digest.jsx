@@ -0,0 +1,284 @@
+/**
+ * 商家周报页面
+ * 展示每周翻译完成量、额度消耗、覆盖率变化、过期译文与同步失败，并可预览周报邮件
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useRevalidator, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  Badge,
+  Banner,
+  Select,
+  DataTable,
+  BlockStack,
+  InlineStack,
+  ButtonGroup,
+  EmptyState
+} from "@shopify/polaris";
+import { useTranslation } from "react-i18next";
+
+/**
+ * Loader函数：获取最近的周报与当前选中周报的邮件预览
+ */
+export async function loader({ request }) {
+  const { authenticate } = await import("../shopify.server.js");
+  const { getOrCreateShop } = await import("../services/database.server.js");
+  const { listWeeklyDigests, renderDigestEmail } = await import("../services/weekly-digest.server.js");
+  const { session } = await authenticate.admin(request);
+
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const digests = await listWeeklyDigests(shop.id);
+  const digestId = new URL(request.url).searchParams.get("digestId");
+  const selected = digests.find((digest) => digest.id === digestId) || digests[0] || null;
+
+  return json({
+    digests: digests.map(({ id, periodStart, periodEnd, emailedAt }) => ({ id, periodStart, periodEnd, emailedAt })),
+    selected,
+    emailHtml: selected ? renderDigestEmail(selected.report, { shopDomain: shop.domain }).html : null
+  });
+}
+
+function formatPeriod(start, end) {
+  const lastDay = new Date(new Date(end).getTime() - 24 * 60 * 60 * 1000);
+  return `${new Date(start).toLocaleDateString()} – ${lastDay.toLocaleDateString()}`;
+}
+
+function DeltaBadge({ delta, t }) {
+  if (delta == null) {
+    return <Badge>{t('ui.digestDeltaNew', { defaultValue: 'New' })}</Badge>;
+  }
+  const tone = delta > 0 ? "success" : delta < 0 ? "critical" : undefined;
+  return <Badge tone={tone}>{`${delta > 0 ? "+" : ""}${delta}`}</Badge>;
+}
+
+function StatCard({ label, value, detail }) {
+  return (
+    <Card>
+      <BlockStack gap="100">
+        <Text variant="bodySm" tone="subdued" as="p">{label}</Text>
+        <Text variant="headingLg" as="p">{value}</Text>
+        {detail && <Text variant="bodySm" tone="subdued" as="p">{detail}</Text>}
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function WeeklyDigestPage() {
+  const { digests, selected, emailHtml } = useLoaderData();
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const navigate = useNavigate();
+  const { t } = useTranslation("home");
+  const [showEmail, setShowEmail] = useState(false);
+  const busy = fetcher.state !== "idle";
+  const report = selected?.report;
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      revalidate();
+    }
+  }, [fetcher.state, fetcher.data, revalidate]);
+
+  const generate = useCallback((sendEmail) => {
+    fetcher.submit(
+      { action: "generate", sendEmail: String(sendEmail) },
+      { method: "post", action: "/api/weekly-digest" }
+    );
+  }, [fetcher]);
+
+  const periodOptions = digests.map((digest) => ({
+    label: formatPeriod(digest.periodStart, digest.periodEnd),
+    value: digest.id
+  }));
+
+  return (
+    <Page
+      title={t('ui.digestTitle', { defaultValue: 'Weekly digest' })}
+      subtitle={t('ui.digestSubtitle', { defaultValue: 'What the app translated, spent and published each week' })}
+      backAction={{ url: "/app" }}
+      primaryAction={{
+        content: t('ui.digestGenerate', { defaultValue: 'Regenerate last week' }),
+        onAction: () => generate(false),
+        loading: busy
+      }}
+      secondaryActions={[
+        {
+          content: t('ui.digestGenerateEmail', { defaultValue: 'Regenerate and email' }),
+          onAction: () => generate(true),
+          disabled: busy
+        }
+      ]}
+    >
+      <Layout>
+        {fetcher.data?.success === false && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data.message || fetcher.data.error}</Banner>
+          </Layout.Section>
+        )}
+
+        {!report ? (
+          <Layout.Section>
+            <Card>
+              <EmptyState heading={t('ui.digestEmpty', { defaultValue: 'No digest yet' })} image="">
+                <p>{t('ui.digestEmptyBody', { defaultValue: 'A digest is generated every Monday for the previous week. You can also generate one now.' })}</p>
+              </EmptyState>
+            </Card>
+          </Layout.Section>
+        ) : (
+          <>
+            <Layout.Section>
+              <InlineStack align="space-between" blockAlign="center">
+                <div style={{ minWidth: 260 }}>
+                  <Select
+                    label={t('ui.digestPeriod', { defaultValue: 'Week' })}
+                    labelInline
+                    options={periodOptions}
+                    value={selected.id}
+                    onChange={(value) => navigate(`/app/digest?digestId=${value}`)}
+                  />
+                </div>
+                <InlineStack gap="200" blockAlign="center">
+                  {selected.emailedAt ? (
+                    <Badge tone="success">
+                      {t('ui.digestEmailedAt', { date: new Date(selected.emailedAt).toLocaleString(), defaultValue: 'Emailed {{date}}' })}
+                    </Badge>
+                  ) : (
+                    <Badge>{t('ui.digestNotEmailed', { defaultValue: 'Not emailed' })}</Badge>
+                  )}
+                  {selected.emailError && <Badge tone="critical">{selected.emailError.slice(0, 60)}</Badge>}
+                </InlineStack>
+              </InlineStack>
+            </Layout.Section>
+
+            <Layout.Section>
+              <InlineStack gap="400" wrap>
+                <StatCard
+                  label={t('ui.digestTranslations', { defaultValue: 'Translations completed' })}
+                  value={report.translations.total}
+                />
+                <StatCard
+                  label={t('ui.digestCredits', { defaultValue: 'Credits spent' })}
+                  value={report.credits.spent}
+                  detail={report.credits.planCredits
+                    ? t('ui.digestPlanUsage', {
+                      used: report.credits.monthToDate,
+                      total: report.credits.planCredits,
+                      percent: report.credits.planUsagePercent,
+                      defaultValue: '{{used}} / {{total}} monthly credits ({{percent}}%)'
+                    })
+                    : null}
+                />
+                <StatCard
+                  label={t('ui.digestStale', { defaultValue: 'Outdated after source edits' })}
+                  value={report.stale.total}
+                />
+                <StatCard
+                  label={t('ui.digestSyncFailures', { defaultValue: 'Sync failures' })}
+                  value={report.syncFailures.total}
+                />
+                <StatCard
+                  label={t('ui.digestErrors', { defaultValue: 'Errors logged' })}
+                  value={report.errors.total}
+                />
+              </InlineStack>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text variant="headingMd" as="h2">{t('ui.digestCoverage', { defaultValue: 'Coverage by language' })}</Text>
+                  <DataTable
+                    columnContentTypes={["text", "numeric", "text", "numeric", "numeric", "numeric", "numeric"]}
+                    headings={[
+                      t('ui.digestLanguage', { defaultValue: 'Language' }),
+                      t('ui.digestCoverageValue', { defaultValue: 'Coverage' }),
+                      t('ui.digestChange', { defaultValue: 'Change' }),
+                      t('ui.digestCompleted', { defaultValue: 'Completed' }),
+                      t('ui.digestLanguageCredits', { defaultValue: 'Credits' }),
+                      t('ui.digestOutdated', { defaultValue: 'Outdated' }),
+                      t('ui.digestMissing', { defaultValue: 'Missing' })
+                    ]}
+                    rows={report.coverage.map((row) => [
+                      row.name ? `${row.name} (${row.language})` : row.language,
+                      `${row.coverage}%`,
+                      <DeltaBadge key={`${row.language}-delta`} delta={row.delta} t={t} />,
+                      report.translations.byLanguage.find((item) => item.language === row.language)?.completed || 0,
+                      report.credits.byLanguage.find((item) => item.language === row.language)?.credits || 0,
+                      row.stale,
+                      row.missing
+                    ])}
+                  />
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text variant="headingMd" as="h2">{t('ui.digestSyncFailures', { defaultValue: 'Sync failures' })}</Text>
+                  {report.syncFailures.items.length === 0 ? (
+                    <Text tone="subdued" as="p">{t('ui.digestNoSyncFailures', { defaultValue: 'All translations were published successfully.' })}</Text>
+                  ) : (
+                    <DataTable
+                      columnContentTypes={["text", "text", "text", "text"]}
+                      headings={[
+                        t('ui.digestLanguage', { defaultValue: 'Language' }),
+                        t('ui.digestResource', { defaultValue: 'Resource' }),
+                        t('ui.digestError', { defaultValue: 'Error' }),
+                        t('ui.digestWhen', { defaultValue: 'When' })
+                      ]}
+                      rows={report.syncFailures.items.map((item) => [
+                        item.language,
+                        item.title || item.resourceType || "—",
+                        item.error || "—",
+                        new Date(item.at).toLocaleString()
+                      ])}
+                    />
+                  )}
+                  {report.errors.byType.length > 0 && (
+                    <InlineStack gap="200">
+                      {report.errors.byType.map((row) => (
+                        <Badge key={row.errorType} tone="attention">{`${row.errorType}: ${row.count}`}</Badge>
+                      ))}
+                    </InlineStack>
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <Text variant="headingMd" as="h2">{t('ui.digestEmailPreview', { defaultValue: 'Email preview' })}</Text>
+                    <ButtonGroup>
+                      <Button onClick={() => setShowEmail((value) => !value)}>
+                        {showEmail
+                          ? t('ui.digestHideEmail', { defaultValue: 'Hide' })
+                          : t('ui.digestShowEmail', { defaultValue: 'Show' })}
+                      </Button>
+                    </ButtonGroup>
+                  </InlineStack>
+                  {showEmail && emailHtml && (
+                    <iframe
+                      title="digest-email-preview"
+                      srcDoc={emailHtml}
+                      sandbox=""
+                      style={{ width: "100%", minHeight: 600, border: "1px solid #e3e3e3", borderRadius: 8 }}
+                    />
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -50,6 +50,10 @@ export default function App() {
         </Link>
         <Link to="/app/billing">{t('navigation.billing')}</Link>
         <Link to="/app/language-domains">{t('navigation.languageDomains')}</Link>
+        <Link to="/app/review">{t('navigation.review')}</Link>
+        <Link to="/app/schedules">{t('navigation.schedules')}</Link>
+        <Link to="/app/digest">{t('navigation.digest')}</Link>
+        <Link to="/app/prompt-profiles">{t('navigation.promptProfiles')}</Link>
         <Link to="/app/errors">{t('navigation.errors')}</Link>
       </NavMenu>
       {/* Chat disabled; re-enable by restoring ChatWidget and setting CHAT_ENABLED=true with CRISP_WEBSITE_ID */}
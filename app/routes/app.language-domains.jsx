@@ -198,6 +198,48 @@ export const action = async ({ request }) => {
         });
       }
 
+      case 'setMarketOverride': {
+        const { setMarketOverride } = await import("../services/market-translation.server");
+        const override = await setMarketOverride(session.shop, {
+          marketId: formData.get('marketId'),
+          marketName: formData.get('marketName'),
+          language: formData.get('language'),
+          enabled: formData.get('enabled') === 'true',
+          variant: formData.get('variant'),
+          rules: JSON.parse(formData.get('rules') || '[]')
+        }, { admin });
+
+        return json({ success: true, message: 'Market override saved', override });
+      }
+
+      case 'deriveMarketOverride': {
+        const { deriveMarketTranslations } = await import("../services/market-translation.server");
+        const summary = await deriveMarketTranslations(session.shop, {
+          marketId: formData.get('marketId'),
+          language: formData.get('language')
+        });
+
+        return json({
+          success: true,
+          message: `Generated ${summary.derived} market translations (${summary.unchanged} unchanged, ${summary.identical} identical to the language translation, ${summary.removed} withdrawn)`,
+          summary
+        });
+      }
+
+      case 'syncMarketOverride': {
+        const { syncMarketTranslations } = await import("../services/sync-to-shopify.server");
+        const result = await syncMarketTranslations(admin, session.shop, {
+          marketId: formData.get('marketId'),
+          language: formData.get('language')
+        });
+
+        return json({
+          success: result.failedCount === 0,
+          message: `Published ${result.successCount} market translations, ${result.failedCount} failed`,
+          result
+        });
+      }
+
       case 'deleteDraft':
         const draftCode = formData.get('code');
 
@@ -234,6 +276,8 @@ export const loader = async ({ request }) => {
     clearMarketConfigCache
   } = await import("../services/market-urls.server");
   const { checkLocaleLimit, getAvailableLocales } = await import("../services/shopify-locales.server");
+  const { listMarketOverrides } = await import("../services/market-translation.server");
+  const { getBuiltinVariants } = await import("../services/locale-inheritance.server");
   const { logger } = await import("../utils/logger.server");
 
   try {
@@ -260,6 +304,11 @@ export const loader = async ({ request }) => {
       creditManager.getAvailableCredits(session.shop).catch(() => null)
     ]);
 
+    const marketOverrides = await listMarketOverrides(session.shop).catch((overrideError) => {
+      logger.warn('Failed to load market overrides', { shop: session.shop, error: overrideError.message });
+      return [];
+    });
+
     // Fetch Drafts from DB
     const draftLanguages = await prisma.language.findMany({
       where: {
@@ -498,7 +547,9 @@ export const loader = async ({ request }) => {
         planUsed,
         remainingCredits: credits?.remaining || 0
       },
-      availableLocales: availableLocales.map(l => ({ label: l.name, value: l.isoCode }))
+      availableLocales: availableLocales.map(l => ({ label: l.name, value: l.isoCode })),
+      marketOverrides,
+      overrideVariants: getBuiltinVariants()
     });
   } catch (error) {
     logger.error('Failed to load language domains page', error);
@@ -520,6 +571,8 @@ export const loader = async ({ request }) => {
         planLimit: 2
       },
       availableLocales: [],
+      marketOverrides: [],
+      overrideVariants: [],
       error: error.message
     });
   }
@@ -863,6 +916,154 @@ const LanguageRow = ({ lang, status, onToggle, onAction, planAtOrOverLimit, isPr
   );
 };
 
+const parseOverrideRules = (text = '') => text
+  .split('\n')
+  .map((line) => line.split('=>'))
+  .filter((parts) => parts.length === 2 && parts[0].trim())
+  .map(([from, to]) => ({ from: from.trim(), to: to.trim() }));
+
+const MarketOverrideRow = ({ market, language, override, variantOptions, onSubmit, isProcessing }) => {
+  const { t } = useTranslation();
+  const [enabled, setEnabled] = useState(override?.enabled ?? false);
+  const [variant, setVariant] = useState(override?.variant || '');
+  const [rulesText, setRulesText] = useState(
+    (override?.rules ?? []).map((rule) => `${rule.from} => ${rule.to}`).join('\n')
+  );
+
+  const baseCode = (language.locale || '').split('-')[0].toLowerCase();
+  const options = useMemo(() => [
+    { label: t('languageDomains.marketOverrideNoVariant', { defaultValue: 'Custom rules only' }), value: '' },
+    ...variantOptions
+      .filter((code) => code.split('-')[0].toLowerCase() === baseCode)
+      .map((code) => ({ label: code, value: code }))
+  ], [variantOptions, baseCode, t]);
+
+  const submit = (action, extra = {}) => onSubmit({
+    action,
+    marketId: market.id,
+    marketName: market.name,
+    language: language.locale,
+    ...extra
+  });
+
+  const stats = override?.stats;
+  const isActive = Boolean(override?.enabled);
+
+  return (
+    <Box paddingBlock="300" borderBlockEndWidth="1" borderColor="border-subdued">
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Checkbox
+              label={`${market.name} · ${language.locale}`}
+              checked={enabled}
+              onChange={setEnabled}
+              disabled={isProcessing}
+            />
+            {isActive && stats && (
+              <Badge tone={stats.failed > 0 ? 'critical' : stats.pending > 0 ? 'attention' : 'success'}>
+                {t('languageDomains.marketOverrideStats', {
+                  defaultValue: '{{total}} overrides · {{pending}} pending',
+                  total: stats.total,
+                  pending: stats.pending + stats.failed
+                })}
+              </Badge>
+            )}
+          </InlineStack>
+          <InlineStack gap="200">
+            <Button
+              size="slim"
+              onClick={() => submit('setMarketOverride', {
+                enabled: String(enabled),
+                variant,
+                rules: JSON.stringify(parseOverrideRules(rulesText))
+              })}
+              disabled={isProcessing}
+            >
+              {t('actions.save', { defaultValue: 'Save' })}
+            </Button>
+            <Button size="slim" onClick={() => submit('deriveMarketOverride')} disabled={isProcessing || !isActive}>
+              {t('languageDomains.marketOverrideGenerate', { defaultValue: 'Generate' })}
+            </Button>
+            <Button
+              size="slim"
+              variant="primary"
+              onClick={() => submit('syncMarketOverride')}
+              disabled={isProcessing || !isActive || !stats || stats.pending + stats.failed === 0}
+            >
+              {t('languageDomains.marketOverridePublish', { defaultValue: 'Publish' })}
+            </Button>
+          </InlineStack>
+        </InlineStack>
+        {enabled && (
+          <InlineStack gap="300" wrap={false}>
+            <Box minWidth="200px">
+              <Select
+                label={t('languageDomains.marketOverrideVariant', { defaultValue: 'Regional wording' })}
+                options={options}
+                value={variant}
+                onChange={setVariant}
+                disabled={isProcessing}
+              />
+            </Box>
+            <Box width="100%">
+              <TextField
+                label={t('languageDomains.marketOverrideRules', { defaultValue: 'Custom replacements' })}
+                helpText={t('languageDomains.marketOverrideRulesHelp', { defaultValue: 'One rule per line, e.g. "color => colour"' })}
+                value={rulesText}
+                onChange={setRulesText}
+                multiline={3}
+                autoComplete="off"
+                disabled={isProcessing}
+              />
+            </Box>
+          </InlineStack>
+        )}
+      </BlockStack>
+    </Box>
+  );
+};
+
+const MarketOverridesCard = ({ markets, overrides, variantOptions, onSubmit, isProcessing }) => {
+  const { t } = useTranslation();
+  const overrideMap = useMemo(
+    () => new Map(overrides.map((override) => [`${override.marketId}::${override.language}`, override])),
+    [overrides]
+  );
+
+  return (
+    <Card>
+      <BlockStack gap="200">
+        <Text variant="headingMd">{t('languageDomains.marketOverridesTitle', { defaultValue: 'Market translation overrides' })}</Text>
+        <Text variant="bodySm" color="subdued">
+          {t('languageDomains.marketOverridesDesc', {
+            defaultValue: 'Use market-specific wording for a language (e.g. UK vs. US English). Only fields that differ from the language translation are published to that market.'
+          })}
+        </Text>
+        {markets.length === 0 ? (
+          <Text variant="bodySm" color="subdued">
+            {t('languageDomains.marketOverridesEmpty', { defaultValue: 'No markets with languages found. Sync your Markets configuration first.' })}
+          </Text>
+        ) : (
+          <Box>
+            {markets.flatMap((market) => (market.languages || []).map((language) => (
+              <MarketOverrideRow
+                key={`${market.id}::${language.locale}`}
+                market={market}
+                language={language}
+                override={overrideMap.get(`${market.id}::${language.locale}`)}
+                variantOptions={variantOptions}
+                onSubmit={onSubmit}
+                isProcessing={isProcessing}
+              />
+            )))}
+          </Box>
+        )}
+      </BlockStack>
+    </Card>
+  );
+};
+
 export default function LanguageDomains() {
   const {
     marketsLanguages,
@@ -875,6 +1076,8 @@ export default function LanguageDomains() {
     allLanguages,
     limitInfo,
     availableLocales,
+    marketOverrides,
+    overrideVariants,
     error
   } = useLoaderData();
 
@@ -976,6 +1179,10 @@ export default function LanguageDomains() {
     setIsModalOpen(true);
   };
 
+  const handleMarketOverrideSubmit = useCallback((values) => {
+    fetcher.submit(values, { method: 'post' });
+  }, [fetcher]);
+
   const handleCreateDraft = useCallback(() => {
     const formData = new FormData();
     formData.append('action', 'createDraft');
@@ -1243,6 +1450,15 @@ export default function LanguageDomains() {
             )}
           </Box>
         </Card>
+
+        {/* Market Overrides */}
+        <MarketOverridesCard
+          markets={marketsConfig?.markets || []}
+          overrides={marketOverrides || []}
+          variantOptions={overrideVariants || []}
+          onSubmit={handleMarketOverrideSubmit}
+          isProcessing={fetcher.state !== 'idle'}
+        />
       </BlockStack>
 
       {/* Modals */}
@@ -20,7 +20,8 @@ import {
   Icon,
   Box,
   BlockStack,
-  InlineStack
+  InlineStack,
+  TextField
 } from '@shopify/polaris';
 import {
   RefreshIcon,} from '@shopify/polaris-icons';
@@ -28,6 +29,14 @@ import { authenticate } from '../shopify.server';
 import { prisma } from '../db.server';
 import { withErrorHandling } from '../utils/error-handler.server';
 import { getErrorStats } from '../services/error-collector.server';
+import { getOrCreateShop } from '../services/database.server';
+import {
+  listChannels,
+  createChannel,
+  updateChannel,
+  deleteChannel,
+  sendTestNotification
+} from '../services/notification-channels.server';
 
 // Loader - fetch monitoring data
 export const loader = async ({ request }) => {
@@ -59,7 +68,8 @@ export const loader = async ({ request }) => {
       errorStats,
       recentErrors,
       activeJobs,
-      systemHealth
+      systemHealth,
+      notificationChannels
     ] = await Promise.all([
       // Translation stats
       prisma.translation.groupBy({
@@ -106,7 +116,10 @@ export const loader = async ({ request }) => {
       }),
       
       // System health metrics
-      calculateSystemHealth(since)
+      calculateSystemHealth(since),
+
+      // Notification channels for this shop
+      listChannels(shop)
     ]);
     
     // Compute success rate
@@ -149,11 +162,59 @@ export const loader = async ({ request }) => {
       },
       recentErrors,
       activeJobs,
-      systemHealth
+      systemHealth,
+      notificationChannels
     });
   }, 'load monitoring data');
 };
 
+// Action - manage notification channels and send test notifications
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get('intent');
+  const channelId = formData.get('channelId');
+
+  try {
+    const shop = await getOrCreateShop(session.shop, session.accessToken);
+
+    switch (intent) {
+      case 'createChannel': {
+        const channel = await createChannel(shop.id, {
+          type: formData.get('type'),
+          target: formData.get('target'),
+          name: formData.get('name'),
+          minLevel: formData.get('minLevel')
+        });
+        return json({ success: true, intent, channel });
+      }
+
+      case 'toggleChannel': {
+        const channel = await updateChannel(shop.id, channelId, { enabled: formData.get('enabled') });
+        return json({ success: true, intent, channel });
+      }
+
+      case 'updateChannelLevel': {
+        const channel = await updateChannel(shop.id, channelId, { minLevel: formData.get('minLevel') });
+        return json({ success: true, intent, channel });
+      }
+
+      case 'deleteChannel':
+        return json({ success: true, intent, ...(await deleteChannel(shop.id, channelId)) });
+
+      case 'testChannel': {
+        const result = await sendTestNotification(shop.id, channelId);
+        return json({ success: result.sent, intent, message: result.error || null });
+      }
+
+      default:
+        return json({ success: false, intent, message: `Unknown intent: ${intent}` }, { status: 400 });
+    }
+  } catch (error) {
+    return json({ success: false, intent, message: error.message }, { status: 400 });
+  }
+};
+
 // Compute system health
 async function calculateSystemHealth(since) {
   const [
@@ -204,14 +265,32 @@ async function calculateSystemHealth(since) {
   };
 }
 
+const CHANNEL_TYPES = ['email', 'slack', 'webhook'];
+const CHANNEL_LEVELS = ['INFO', 'WARNING', 'CRITICAL', 'EMERGENCY'];
+
 // Main component
 export default function MonitoringDashboard() {
   const data = useLoaderData();
   const fetcher = useFetcher();
+  const channelFetcher = useFetcher();
   const { t } = useTranslation('monitoring');
   const [selectedTab, setSelectedTab] = useState(0);
   const [autoRefresh, setAutoRefresh] = useState(true);
   const [refreshInterval, setRefreshInterval] = useState(30000); // 30 seconds
+  const [channelForm, setChannelForm] = useState({ type: 'email', target: '', name: '', minLevel: 'CRITICAL' });
+  const notificationChannels = fetcher.data?.notificationChannels || data.notificationChannels || [];
+  const channelBusy = channelFetcher.state !== 'idle';
+
+  const submitChannel = useCallback((intent, fields = {}) => {
+    channelFetcher.submit({ intent, ...fields }, { method: 'post' });
+  }, [channelFetcher]);
+
+  // Reset the form after a channel is created
+  useEffect(() => {
+    if (channelFetcher.state === 'idle' && channelFetcher.data?.success && channelFetcher.data.intent === 'createChannel') {
+      setChannelForm((prev) => ({ ...prev, target: '', name: '' }));
+    }
+  }, [channelFetcher.state, channelFetcher.data]);
   
   // Auto refresh
   useEffect(() => {
@@ -287,8 +366,53 @@ export default function MonitoringDashboard() {
       id: 'jobs',
       content: t('tabs.jobs'),
       panelID: 'jobs-panel'
+    },
+    {
+      id: 'notifications',
+      content: t('tabs.notifications'),
+      panelID: 'notifications-panel'
     }
   ];
+
+  const channelTypeOptions = CHANNEL_TYPES.map((type) => ({ label: t(`notifications.types.${type}`), value: type }));
+  const channelLevelOptions = CHANNEL_LEVELS.map((level) => ({ label: level, value: level }));
+
+  // Channel table rows
+  const channelTableData = notificationChannels.map((channel) => [
+    <BlockStack key="channel" gap="100">
+      <Text fontWeight="semibold">{channel.name || t(`notifications.types.${channel.type}`)}</Text>
+      <Text variant="bodySm" tone="subdued" breakWord>{channel.target}</Text>
+      {channel.secret && (
+        <Text variant="bodySm" tone="subdued" breakWord>{t('notifications.secret')}: {channel.secret}</Text>
+      )}
+    </BlockStack>,
+    <Select
+      key="level"
+      label={t('notifications.minLevel')}
+      labelHidden
+      options={channelLevelOptions}
+      value={channel.minLevel}
+      disabled={channelBusy}
+      onChange={(value) => submitChannel('updateChannelLevel', { channelId: channel.id, minLevel: value })}
+    />,
+    <Badge key="status" tone={channel.enabled ? 'success' : undefined}>
+      {channel.enabled ? t('notifications.enabled') : t('notifications.disabled')}
+    </Badge>,
+    channel.lastError
+      ? <Badge key="lastSent" tone="critical">{channel.lastError.substring(0, 40)}</Badge>
+      : channel.lastSentAt ? new Date(channel.lastSentAt).toLocaleString() : '-',
+    <InlineStack key="actions" gap="200" wrap={false}>
+      <Button size="slim" disabled={channelBusy} onClick={() => submitChannel('testChannel', { channelId: channel.id })}>
+        {t('notifications.test')}
+      </Button>
+      <Button size="slim" disabled={channelBusy} onClick={() => submitChannel('toggleChannel', { channelId: channel.id, enabled: String(!channel.enabled) })}>
+        {channel.enabled ? t('notifications.disable') : t('notifications.enable')}
+      </Button>
+      <Button size="slim" tone="critical" disabled={channelBusy} onClick={() => submitChannel('deleteChannel', { channelId: channel.id })}>
+        {t('notifications.delete')}
+      </Button>
+    </InlineStack>
+  ]);
   
   return (
     <Page
@@ -545,6 +669,81 @@ export default function MonitoringDashboard() {
                   </BlockStack>
                 </Card.Section>
               )}
+
+              {/* Notifications tab */}
+              {selectedTab === 4 && (
+                <Card.Section>
+                  <BlockStack gap="400">
+                    <Text variant="headingMd">{t('notifications.heading')}</Text>
+                    <Text tone="subdued">{t('notifications.description')}</Text>
+
+                    {channelFetcher.state === 'idle' && channelFetcher.data && (
+                      <Banner tone={channelFetcher.data.success ? 'success' : 'critical'}>
+                        <p>
+                          {channelFetcher.data.success
+                            ? t(channelFetcher.data.intent === 'testChannel' ? 'notifications.testSent' : 'notifications.saved')
+                            : channelFetcher.data.message || t('notifications.failed')}
+                        </p>
+                      </Banner>
+                    )}
+
+                    {notificationChannels.length > 0 ? (
+                      <DataTable
+                        columnContentTypes={['text', 'text', 'text', 'text', 'text']}
+                        headings={t('notifications.headings')}
+                        rows={channelTableData}
+                      />
+                    ) : (
+                      <Banner>
+                        <p>{t('notifications.empty')}</p>
+                      </Banner>
+                    )}
+
+                    <Card sectioned>
+                      <BlockStack gap="300">
+                        <Text variant="headingSm">{t('notifications.addHeading')}</Text>
+                        <InlineStack gap="300" wrap>
+                          <Select
+                            label={t('notifications.type')}
+                            options={channelTypeOptions}
+                            value={channelForm.type}
+                            onChange={(value) => setChannelForm((prev) => ({ ...prev, type: value }))}
+                          />
+                          <Select
+                            label={t('notifications.minLevel')}
+                            options={channelLevelOptions}
+                            value={channelForm.minLevel}
+                            onChange={(value) => setChannelForm((prev) => ({ ...prev, minLevel: value }))}
+                          />
+                        </InlineStack>
+                        <TextField
+                          label={t('notifications.name')}
+                          value={channelForm.name}
+                          onChange={(value) => setChannelForm((prev) => ({ ...prev, name: value }))}
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label={t('notifications.target')}
+                          helpText={t(`notifications.targetHelp.${channelForm.type}`)}
+                          value={channelForm.target}
+                          onChange={(value) => setChannelForm((prev) => ({ ...prev, target: value }))}
+                          autoComplete="off"
+                        />
+                        <InlineStack>
+                          <Button
+                            variant="primary"
+                            loading={channelBusy}
+                            disabled={!channelForm.target.trim()}
+                            onClick={() => submitChannel('createChannel', channelForm)}
+                          >
+                            {t('notifications.add')}
+                          </Button>
+                        </InlineStack>
+                      </BlockStack>
+                    </Card>
+                  </BlockStack>
+                </Card.Section>
+              )}
             </Tabs>
           </Card>
         </Layout.Section>
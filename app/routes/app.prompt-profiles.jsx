@@ -0,0 +1,438 @@
+/**
+ * 提示词配置页面
+ * 按语言 / 资源类型维护品牌语气（语气、称呼、受众、禁用词、品牌名单），保存前可用示例文本预览翻译效果
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useRevalidator } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  Badge,
+  Banner,
+  Box,
+  Select,
+  TextField,
+  Checkbox,
+  ChoiceList,
+  Collapsible,
+  BlockStack,
+  InlineStack,
+  ButtonGroup,
+  EmptyState
+} from "@shopify/polaris";
+import { useTranslation } from "react-i18next";
+
+const EMPTY_FORM = {
+  name: "",
+  locale: "",
+  resourceTypes: [],
+  tone: "neutral",
+  addressForm: "default",
+  audience: "",
+  forbiddenWords: "",
+  brandNames: "",
+  instructions: "",
+  isActive: true
+};
+
+const API_PATH = "/api/prompt-profiles";
+
+/**
+ * Loader函数：获取提示词配置与可选语言 / 资源类型
+ */
+export async function loader({ request }) {
+  const { authenticate } = await import("../shopify.server.js");
+  const { getOrCreateShop } = await import("../services/database.server.js");
+  const { prisma } = await import("../db.server.js");
+  const { listPromptProfiles } = await import("../services/prompt-profile.server.js");
+  const { session } = await authenticate.admin(request);
+
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const [profiles, languages, resourceTypes] = await Promise.all([
+    listPromptProfiles(shop.id),
+    prisma.language.findMany({
+      where: { shopId: shop.id, isActive: true, enabled: true },
+      orderBy: { name: "asc" }
+    }),
+    prisma.resource.findMany({
+      where: { shopId: shop.id },
+      distinct: ["resourceType"],
+      select: { resourceType: true }
+    })
+  ]);
+
+  return json({
+    profiles,
+    languages: languages.map((language) => ({ label: language.name, value: language.code })),
+    resourceTypes: resourceTypes.map((row) => row.resourceType).sort()
+  });
+}
+
+function toForm(profile) {
+  if (!profile) return EMPTY_FORM;
+  return {
+    name: profile.name,
+    locale: profile.locale || "",
+    resourceTypes: profile.resourceTypes || [],
+    tone: profile.tone,
+    addressForm: profile.addressForm,
+    audience: profile.audience || "",
+    forbiddenWords: (profile.forbiddenWords || []).join(", "),
+    brandNames: (profile.brandNames || []).join(", "),
+    instructions: profile.instructions || "",
+    isActive: profile.isActive
+  };
+}
+
+function toPayload(form) {
+  return {
+    name: form.name,
+    locale: form.locale,
+    resourceTypes: JSON.stringify(form.resourceTypes),
+    tone: form.tone,
+    addressForm: form.addressForm,
+    audience: form.audience,
+    forbiddenWords: JSON.stringify(form.forbiddenWords.split(/[\n,，]/)),
+    brandNames: JSON.stringify(form.brandNames.split(/[\n,，]/)),
+    instructions: form.instructions,
+    isActive: String(form.isActive)
+  };
+}
+
+function ProfileForm({ profile, languages, resourceTypes, onSubmit, onCancel, busy, t }) {
+  const [form, setForm] = useState(() => toForm(profile));
+  const [sampleText, setSampleText] = useState("");
+  const [previewLang, setPreviewLang] = useState(profile?.locale || languages[0]?.value || "");
+  const [showPrompt, setShowPrompt] = useState(false);
+  const previewFetcher = useFetcher();
+  const update = (key) => (value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  useEffect(() => {
+    setForm(toForm(profile));
+    if (profile?.locale) setPreviewLang(profile.locale);
+  }, [profile]);
+
+  const preview = previewFetcher.data?.success ? previewFetcher.data.data.preview : null;
+  const previewing = previewFetcher.state !== "idle";
+
+  const runPreview = () => {
+    previewFetcher.submit(
+      {
+        action: "preview",
+        ...toPayload(form),
+        sampleText,
+        targetLang: form.locale || previewLang,
+        resourceType: form.resourceTypes[0] || ""
+      },
+      { method: "post", action: API_PATH }
+    );
+  };
+
+  const submit = () => {
+    onSubmit({
+      action: profile ? "update" : "create",
+      ...(profile ? { profileId: profile.id } : {}),
+      ...toPayload(form)
+    });
+  };
+
+  const localeOptions = [
+    { label: t('ui.promptAllLanguages', { defaultValue: 'All languages' }), value: "" },
+    ...languages
+  ];
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text variant="headingMd" as="h2">
+          {profile
+            ? t('ui.promptEdit', { name: profile.name, defaultValue: 'Edit {{name}}' })
+            : t('ui.promptCreate', { defaultValue: 'New prompt profile' })}
+        </Text>
+        <InlineStack gap="300" wrap={false}>
+          <div style={{ flex: 2 }}>
+            <TextField label={t('ui.promptName', { defaultValue: 'Name' })} value={form.name} onChange={update("name")} autoComplete="off" />
+          </div>
+          <div style={{ flex: 1 }}>
+            <Select label={t('ui.promptLocale', { defaultValue: 'Language' })} options={localeOptions} value={form.locale} onChange={update("locale")} />
+          </div>
+          <div style={{ flex: 1 }}>
+            <Select
+              label={t('ui.promptTone', { defaultValue: 'Tone' })}
+              options={[
+                { label: t('ui.promptToneNeutral', { defaultValue: 'Neutral (professional)' }), value: "neutral" },
+                { label: t('ui.promptToneFormal', { defaultValue: 'Formal' }), value: "formal" },
+                { label: t('ui.promptToneCasual', { defaultValue: 'Casual' }), value: "casual" }
+              ]}
+              value={form.tone}
+              onChange={update("tone")}
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <Select
+              label={t('ui.promptAddress', { defaultValue: 'Form of address' })}
+              options={[
+                { label: t('ui.promptAddressDefault', { defaultValue: 'Model default' }), value: "default" },
+                { label: t('ui.promptAddressFormal', { defaultValue: 'Formal (Sie / vous)' }), value: "formal" },
+                { label: t('ui.promptAddressInformal', { defaultValue: 'Informal (du / tu)' }), value: "informal" }
+              ]}
+              value={form.addressForm}
+              onChange={update("addressForm")}
+            />
+          </div>
+        </InlineStack>
+        <TextField
+          label={t('ui.promptAudience', { defaultValue: 'Audience' })}
+          placeholder={t('ui.promptAudiencePlaceholder', { defaultValue: 'e.g. outdoor enthusiasts looking for lightweight gear' })}
+          value={form.audience}
+          onChange={update("audience")}
+          autoComplete="off"
+        />
+        <InlineStack gap="300" wrap={false}>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label={t('ui.promptBrandNames', { defaultValue: 'Brand names to keep' })}
+              helpText={t('ui.promptListHelp', { defaultValue: 'Separate entries with commas or new lines' })}
+              value={form.brandNames}
+              onChange={update("brandNames")}
+              multiline={2}
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label={t('ui.promptForbiddenWords', { defaultValue: 'Forbidden words' })}
+              helpText={t('ui.promptListHelp', { defaultValue: 'Separate entries with commas or new lines' })}
+              value={form.forbiddenWords}
+              onChange={update("forbiddenWords")}
+              multiline={2}
+              autoComplete="off"
+            />
+          </div>
+        </InlineStack>
+        <TextField
+          label={t('ui.promptInstructions', { defaultValue: 'Additional instructions' })}
+          value={form.instructions}
+          onChange={update("instructions")}
+          multiline={3}
+          autoComplete="off"
+        />
+        <InlineStack gap="600" blockAlign="start">
+          <ChoiceList
+            allowMultiple
+            title={t('ui.promptResourceTypes', { defaultValue: 'Resource types (none = all)' })}
+            choices={resourceTypes.map((type) => ({ label: type, value: type }))}
+            selected={form.resourceTypes}
+            onChange={update("resourceTypes")}
+          />
+          <Checkbox
+            label={t('ui.promptActive', { defaultValue: 'Use this profile for new translations' })}
+            checked={form.isActive}
+            onChange={update("isActive")}
+          />
+        </InlineStack>
+
+        <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+          <BlockStack gap="200">
+            <Text variant="headingSm" as="h3">{t('ui.promptPreview', { defaultValue: 'Preview' })}</Text>
+            <InlineStack gap="300" wrap={false} blockAlign="end">
+              <div style={{ flex: 3 }}>
+                <TextField
+                  label={t('ui.promptSampleText', { defaultValue: 'Sample text' })}
+                  value={sampleText}
+                  onChange={setSampleText}
+                  multiline={2}
+                  autoComplete="off"
+                />
+              </div>
+              {!form.locale && (
+                <div style={{ flex: 1 }}>
+                  <Select
+                    label={t('ui.promptPreviewLanguage', { defaultValue: 'Preview language' })}
+                    options={languages}
+                    value={previewLang}
+                    onChange={setPreviewLang}
+                  />
+                </div>
+              )}
+              <Button onClick={runPreview} loading={previewing} disabled={!sampleText.trim() || !form.name.trim() || !(form.locale || previewLang)}>
+                {t('ui.promptRunPreview', { defaultValue: 'Translate sample' })}
+              </Button>
+            </InlineStack>
+            {previewFetcher.data?.success === false && (
+              <Banner tone="critical">{previewFetcher.data.message}</Banner>
+            )}
+            {preview && (
+              <BlockStack gap="200">
+                <Text as="p">{preview.translation}</Text>
+                <Button variant="plain" onClick={() => setShowPrompt((open) => !open)}>
+                  {showPrompt
+                    ? t('ui.promptHidePrompt', { defaultValue: 'Hide generated prompt' })
+                    : t('ui.promptShowPrompt', { defaultValue: 'Show generated prompt' })}
+                </Button>
+                <Collapsible open={showPrompt} id="prompt-preview">
+                  <pre style={{ whiteSpace: "pre-wrap", fontSize: 12, margin: 0 }}>{preview.prompt}</pre>
+                </Collapsible>
+              </BlockStack>
+            )}
+          </BlockStack>
+        </Box>
+
+        <InlineStack gap="200">
+          <Button variant="primary" onClick={submit} loading={busy} disabled={!form.name.trim()}>
+            {profile
+              ? t('ui.promptSave', { defaultValue: 'Save new version' })
+              : t('ui.promptCreateSave', { defaultValue: 'Create profile' })}
+          </Button>
+          {profile && (
+            <Button onClick={onCancel} disabled={busy}>{t('ui.promptCancel', { defaultValue: 'Cancel' })}</Button>
+          )}
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+function VersionHistory({ profile, onRestore, busy, t }) {
+  const versionsFetcher = useFetcher();
+  const { load: loadVersions } = versionsFetcher;
+
+  // profile.version 变化（保存或恢复出新版本）时重新加载历史
+  useEffect(() => {
+    loadVersions(`${API_PATH}?profileId=${encodeURIComponent(profile.id)}`);
+  }, [loadVersions, profile.id, profile.version]);
+
+  const versions = versionsFetcher.data?.success ? versionsFetcher.data.data.versions : [];
+
+  return (
+    <BlockStack gap="200">
+      {versions.map((entry) => (
+        <InlineStack key={entry.id} align="space-between" blockAlign="center">
+          <Text variant="bodySm" as="span">
+            {`v${entry.version} · ${new Date(entry.createdAt).toLocaleString()}${entry.createdBy ? ` · ${entry.createdBy}` : ""}`}
+          </Text>
+          {entry.version === profile.version ? (
+            <Badge tone="success">{t('ui.promptCurrentVersion', { defaultValue: 'Current' })}</Badge>
+          ) : (
+            <Button size="slim" onClick={() => onRestore(entry.version)} loading={busy}>
+              {t('ui.promptRestore', { defaultValue: 'Restore' })}
+            </Button>
+          )}
+        </InlineStack>
+      ))}
+    </BlockStack>
+  );
+}
+
+export default function PromptProfilesPage() {
+  const { profiles, languages, resourceTypes } = useLoaderData();
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const { t } = useTranslation("home");
+  const [editingId, setEditingId] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  const busy = fetcher.state !== "idle";
+  const editing = profiles.find((profile) => profile.id === editingId) || null;
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      if (fetcher.data.success) setEditingId(null);
+      revalidate();
+    }
+  }, [fetcher.state, fetcher.data, revalidate]);
+
+  const submitAction = useCallback((payload) => {
+    fetcher.submit(payload, { method: "post", action: API_PATH });
+  }, [fetcher]);
+
+  return (
+    <Page
+      title={t('ui.promptProfilesTitle', { defaultValue: 'Brand voice' })}
+      subtitle={t('ui.promptProfilesSubtitle', { defaultValue: 'Prompt profiles applied per language and resource type' })}
+      backAction={{ url: "/app" }}
+    >
+      <Layout>
+        {fetcher.data?.success === false && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data.message || fetcher.data.error}</Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <ProfileForm
+            key={editingId || "new"}
+            profile={editing}
+            languages={languages}
+            resourceTypes={resourceTypes}
+            onSubmit={submitAction}
+            onCancel={() => setEditingId(null)}
+            busy={busy}
+            t={t}
+          />
+        </Layout.Section>
+
+        <Layout.Section>
+          {profiles.length === 0 ? (
+            <Card>
+              <EmptyState heading={t('ui.promptEmpty', { defaultValue: 'No prompt profiles yet' })} image="">
+                <p>{t('ui.promptEmptyBody', { defaultValue: 'Without a profile every language uses the default professional tone.' })}</p>
+              </EmptyState>
+            </Card>
+          ) : (
+            <BlockStack gap="300">
+              {profiles.map((profile) => (
+                <Card key={profile.id}>
+                  <BlockStack gap="200">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <BlockStack gap="100">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text variant="headingSm" as="h3">{profile.name}</Text>
+                          <Badge tone={profile.isActive ? "success" : undefined}>
+                            {profile.isActive
+                              ? t('ui.promptActiveBadge', { defaultValue: 'Active' })
+                              : t('ui.promptInactiveBadge', { defaultValue: 'Inactive' })}
+                          </Badge>
+                          <Badge tone="info">{profile.locale || t('ui.promptAllLanguages', { defaultValue: 'All languages' })}</Badge>
+                          <Badge>{`v${profile.version}`}</Badge>
+                        </InlineStack>
+                        <Text variant="bodySm" tone="subdued" as="p">
+                          {[
+                            t(`ui.promptTone${profile.tone.charAt(0).toUpperCase()}${profile.tone.slice(1)}`, { defaultValue: profile.tone }),
+                            profile.addressForm !== "default" && t(`ui.promptAddress${profile.addressForm.charAt(0).toUpperCase()}${profile.addressForm.slice(1)}`, { defaultValue: profile.addressForm }),
+                            (profile.resourceTypes || []).length > 0 ? profile.resourceTypes.join(", ") : t('ui.promptAllResourceTypes', { defaultValue: 'All resource types' })
+                          ].filter(Boolean).join(" · ")}
+                        </Text>
+                      </BlockStack>
+                      <ButtonGroup>
+                        <Button onClick={() => setEditingId(profile.id)}>{t('ui.promptEditAction', { defaultValue: 'Edit' })}</Button>
+                        <Button onClick={() => setHistoryId(historyId === profile.id ? null : profile.id)}>
+                          {t('ui.promptHistory', { defaultValue: 'Versions' })}
+                        </Button>
+                        <Button tone="critical" onClick={() => submitAction({ action: "delete", profileId: profile.id })} loading={busy}>
+                          {t('ui.promptDelete', { defaultValue: 'Delete' })}
+                        </Button>
+                      </ButtonGroup>
+                    </InlineStack>
+                    {historyId === profile.id && (
+                      <VersionHistory
+                        profile={profile}
+                        onRestore={(version) => submitAction({ action: "restore", profileId: profile.id, version: String(version) })}
+                        busy={busy}
+                        t={t}
+                      />
+                    )}
+                  </BlockStack>
+                </Card>
+              ))}
+            </BlockStack>
+          )}
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
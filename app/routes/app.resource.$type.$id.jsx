@@ -1,13 +1,14 @@
 /* eslint-disable react-hooks/exhaustive-deps, no-unused-vars, no-console */
 import { json } from "@remix-run/node";
 import { useLoaderData, useNavigate, useSearchParams, useParams, useFetcher } from "@remix-run/react";
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { Page, Button, BlockStack, Badge, Banner, Card, Text } from "@shopify/polaris";
 import { ArrowLeftIcon } from "@shopify/polaris-icons";
 import { useTranslation } from "react-i18next";
 import { authenticate } from "../shopify.server";
 import { ResourceDetail } from "../components/ResourceDetail";
 import { CoverageCard } from "../components/CoverageCard";
+import { TranslationHistory } from "../components/TranslationHistory";
 import { ResourceDetailAdapter } from "./api.resource-detail";
 import prisma from "../db.server";
 import { useAppRefresh } from "../utils/use-app-refresh.client";
@@ -97,6 +98,18 @@ export const loader = async ({ request, params }) => {
     const url = new URL(request.url);
     const currentLanguage = url.searchParams.get('lang') || 'zh-CN';
 
+    // 字段级翻译锁（失败不阻塞页面）
+    let fieldLocks = [];
+    try {
+      const locks = await prisma.translationFieldLock.findMany({
+        where: { resourceId: resource.id, language: currentLanguage },
+        select: { fieldKey: true }
+      });
+      fieldLocks = locks.map(lock => lock.fieldKey);
+    } catch (error) {
+      console.warn('[字段锁] 获取失败:', error.message);
+    }
+
     // 获取资源覆盖率数据（失败不阻塞页面）
     let coverageData = null;
     try {
@@ -145,6 +158,7 @@ export const loader = async ({ request, params }) => {
       currentLanguage,
       shop: session.shop,
       translatableKeys,
+      fieldLocks,
       coverageData,
       billing: {
         planLimit,
@@ -165,13 +179,16 @@ export const loader = async ({ request, params }) => {
 };
 
 export default function ResourceDetailPage() {
-  const { resource, currentLanguage, translatableKeys, coverageData, shop, billing } = useLoaderData();
+  const { resource, currentLanguage, translatableKeys, fieldLocks, coverageData, shop, billing } = useLoaderData();
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const params = useParams();
   const metafieldsFetcher = useFetcher();
   const translateFetcher = useFetcher();
   const coverageFetcher = useFetcher();
+  const overrideFetcher = useFetcher();
+  const lockFetcher = useFetcher();
+  const [historyOpen, setHistoryOpen] = useState(false);
   const { refresh } = useAppRefresh(); // App Bridge 安全刷新
   const shopQueryParam = shop ? `shop=${encodeURIComponent(shop)}` : '';
   const { t, i18n } = useTranslation(['home', 'common']);
@@ -270,6 +287,72 @@ export default function ResourceDetailPage() {
     showToast(t('home:logs.translationFailed', { error: errorMessage, defaultValue: `Translation failed: ${errorMessage}` }), true);
   }, [translateFetcher.type, translateFetcher.data, t]);
 
+  // 保存人工译文（锁定并只重新同步当前资源）
+  const handleSaveOverride = (fields) => {
+    overrideFetcher.submit(
+      {
+        action: 'save',
+        resourceId: resource.id,
+        language: currentLanguage,
+        fields: JSON.stringify(fields),
+        shop
+      },
+      {
+        method: 'POST',
+        action: shopQueryParam ? `/api/translation-override?${shopQueryParam}` : '/api/translation-override'
+      }
+    );
+  };
+
+  // 锁定/解锁单个字段
+  const handleToggleFieldLock = (fieldKey, locked) => {
+    lockFetcher.submit(
+      {
+        action: locked ? 'unlock' : 'lock',
+        resourceId: resource.id,
+        language: currentLanguage,
+        fieldKeys: JSON.stringify([fieldKey]),
+        shop
+      },
+      {
+        method: 'POST',
+        action: shopQueryParam ? `/api/field-locks?${shopQueryParam}` : '/api/field-locks'
+      }
+    );
+  };
+
+  useEffect(() => {
+    if (lockFetcher.state !== 'idle' || !lockFetcher.data) {
+      return;
+    }
+    if (lockFetcher.data.success) {
+      refresh();
+    } else if (typeof shopify !== 'undefined' && shopify?.toast) {
+      shopify.toast.show(lockFetcher.data.message || t('home:toasts.fieldLockFailed', { defaultValue: 'Failed to update field lock' }), { isError: true });
+    }
+  }, [lockFetcher.state, lockFetcher.data]);
+
+  useEffect(() => {
+    if (overrideFetcher.state !== 'idle' || !overrideFetcher.data) {
+      return;
+    }
+
+    const { success, message, data } = overrideFetcher.data;
+    const warningCount = Object.keys(data?.markupWarnings || {}).length;
+    const text = success
+      ? (warningCount > 0
+        ? t('home:toasts.overrideSavedWithWarnings', { count: warningCount, defaultValue: 'Translation saved. {{count}} field(s) differ from the source markup.' })
+        : t('home:toasts.overrideSaved', { defaultValue: 'Translation saved and queued for sync' }))
+      : (message || t('home:toasts.overrideFailed', { defaultValue: 'Failed to save translation' }));
+
+    if (typeof shopify !== 'undefined' && shopify?.toast) {
+      shopify.toast.show(text, { isError: !success });
+    }
+    if (success) {
+      refresh();
+    }
+  }, [overrideFetcher.state, overrideFetcher.data]);
+
   // 处理编辑操作
   const handleEdit = () => {
     // 根据资源类型跳转到Shopify编辑页面
@@ -462,7 +545,22 @@ export default function ResourceDetailPage() {
           translatableKeys={translatableKeys}
           onTranslate={handleTranslate}
           onEdit={handleEdit}
-          onViewHistory={() => console.log('查看历史：待实现')}
+          onViewHistory={() => setHistoryOpen(true)}
+          onSaveOverride={handleSaveOverride}
+          savingOverride={overrideFetcher.state !== 'idle'}
+          fieldLocks={fieldLocks}
+          onToggleFieldLock={handleToggleFieldLock}
+          updatingLock={lockFetcher.state !== 'idle'}
+        />
+
+        {/* 译文修订历史：版本对比与回滚 */}
+        <TranslationHistory
+          open={historyOpen}
+          onClose={() => setHistoryOpen(false)}
+          resourceId={resource.id}
+          language={currentLanguage}
+          shopQueryParam={shopQueryParam}
+          onRestored={() => refresh()}
         />
         
         {/* 调试信息（开发环境） */}
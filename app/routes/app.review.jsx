@@ -0,0 +1,408 @@
+/**
+ * 翻译审核页面
+ * 按语言 / 资源类型列出待审核译文，支持在线编辑、通过与驳回
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useSearchParams, useRevalidator } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  Badge,
+  Banner,
+  Select,
+  TextField,
+  Checkbox,
+  BlockStack,
+  InlineStack,
+  ButtonGroup,
+  EmptyState,
+  Pagination
+} from "@shopify/polaris";
+import { useTranslation } from "react-i18next";
+
+const PAGE_SIZE = 20;
+
+const FIELD_SOURCES = {
+  titleTrans: "title",
+  descTrans: "descriptionHtml",
+  summaryTrans: "summary",
+  labelTrans: "label",
+  seoTitleTrans: "seoTitle",
+  seoDescTrans: "seoDescription"
+};
+
+/**
+ * Loader函数：获取审核队列
+ */
+export async function loader({ request }) {
+  const { authenticate } = await import("../shopify.server.js");
+  const { getOrCreateShop } = await import("../services/database.server.js");
+  const {
+    listReviewQueue,
+    getReviewQueueSummary,
+    getReviewSettings
+  } = await import("../services/translation-review.server.js");
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const status = url.searchParams.get("status") || "pending";
+  const language = url.searchParams.get("language") || "";
+  const resourceType = url.searchParams.get("resourceType") || "";
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10) || 1, 1);
+
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const [queue, summary, settings] = await Promise.all([
+    listReviewQueue(shop.id, {
+      status,
+      language: language || undefined,
+      resourceType: resourceType || undefined,
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    }),
+    getReviewQueueSummary(shop.id),
+    getReviewSettings(shop.id)
+  ]);
+
+  return json({
+    items: queue.items,
+    total: queue.total,
+    summary,
+    settings,
+    filters: { status, language, resourceType, page }
+  });
+}
+
+function formatPercent(score) {
+  return Number.isFinite(score) ? `${Math.round(score * 100)}%` : "-";
+}
+
+function DeepQualitySummary({ breakdown, t }) {
+  if (!breakdown) return null;
+
+  return (
+    <BlockStack gap="100">
+      <InlineStack gap="200" blockAlign="center">
+        <Text variant="bodySm" fontWeight="semibold" as="span">
+          {t('ui.deepQualityTitle', { defaultValue: 'Deep quality check' })}
+        </Text>
+        <Badge>{t('ui.deepQualityAdequacy', { score: formatPercent(breakdown.adequacy), defaultValue: 'Adequacy {{score}}' })}</Badge>
+        <Badge>{t('ui.deepQualityFluency', { score: formatPercent(breakdown.fluency), defaultValue: 'Fluency {{score}}' })}</Badge>
+      </InlineStack>
+      {breakdown.reasons?.map((reason) => (
+        <Text key={reason} variant="bodySm" tone="subdued" as="p">• {reason}</Text>
+      ))}
+      {breakdown.samples?.filter((sample) => sample.backTranslation).map((sample) => (
+        <Text key={sample.source} variant="bodySm" tone="subdued" as="p">
+          {t('ui.deepQualityBackTranslated', { text: sample.backTranslation, defaultValue: 'Back-translation: {{text}}' })}
+        </Text>
+      ))}
+      {breakdown.errors?.length > 0 && (
+        <Text variant="bodySm" tone="caution" as="p">
+          {t('ui.deepQualityErrors', {
+            evaluators: breakdown.errors.map((error) => error.evaluator).join(', '),
+            defaultValue: 'Not evaluated by: {{evaluators}}'
+          })}
+        </Text>
+      )}
+    </BlockStack>
+  );
+}
+
+function ReviewItem({ item, threshold, onSubmit, busy, t }) {
+  const [edits, setEdits] = useState({});
+  const [notes, setNotes] = useState(item.reviewNotes || "");
+
+  useEffect(() => {
+    setEdits({});
+    setNotes(item.reviewNotes || "");
+  }, [item.id, item.updatedAt, item.reviewNotes]);
+
+  const fields = Object.keys(FIELD_SOURCES).filter((field) => item[field]);
+  const hasEdits = Object.keys(edits).length > 0;
+
+  const submitDecision = (action) => {
+    onSubmit({
+      action,
+      translationId: item.id,
+      notes,
+      edits: JSON.stringify(edits)
+    });
+  };
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingSm" as="h3">{item.resource?.title}</Text>
+            <Badge>{String(item.resource?.resourceType || "").toUpperCase()}</Badge>
+            <Badge tone="info">{item.language}</Badge>
+          </InlineStack>
+          <Badge tone={item.qualityScore < threshold ? "critical" : "success"}>
+            {t('ui.reviewQuality', { score: Math.round((item.qualityScore || 0) * 100), defaultValue: 'Quality {{score}}%' })}
+          </Badge>
+        </InlineStack>
+
+        <DeepQualitySummary breakdown={item.qualityBreakdown} t={t} />
+
+        {fields.map((field) => {
+          const source = item.resource?.[FIELD_SOURCES[field]] ||
+            (field === "descTrans" ? item.resource?.description : "");
+          return (
+            <InlineStack key={field} gap="400" wrap={false} blockAlign="start">
+              <div style={{ flex: 1 }}>
+                <Text variant="bodySm" tone="subdued" as="p">{field}</Text>
+                <Text variant="bodyMd" as="p">{source}</Text>
+              </div>
+              <div style={{ flex: 1 }}>
+                <TextField
+                  label={field}
+                  labelHidden
+                  value={edits[field] ?? item[field] ?? ""}
+                  onChange={(value) => setEdits((prev) => ({ ...prev, [field]: value }))}
+                  multiline={field === "descTrans" ? 4 : false}
+                  autoComplete="off"
+                />
+              </div>
+            </InlineStack>
+          );
+        })}
+
+        <TextField
+          label={t('ui.reviewNotes', { defaultValue: 'Review notes' })}
+          value={notes}
+          onChange={setNotes}
+          multiline={2}
+          autoComplete="off"
+        />
+
+        <ButtonGroup>
+          <Button variant="primary" onClick={() => submitDecision("approve")} loading={busy}>
+            {hasEdits
+              ? t('ui.reviewApproveWithEdits', { defaultValue: 'Save & approve' })
+              : t('ui.reviewApprove', { defaultValue: 'Approve' })}
+          </Button>
+          <Button onClick={() => submitDecision("update")} disabled={!hasEdits} loading={busy}>
+            {t('ui.reviewSaveDraft', { defaultValue: 'Save edits' })}
+          </Button>
+          <Button tone="critical" onClick={() => submitDecision("reject")} disabled={!notes.trim()} loading={busy}>
+            {t('ui.reviewReject', { defaultValue: 'Reject' })}
+          </Button>
+        </ButtonGroup>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function TranslationReviewPage() {
+  const { items, total, summary, settings, filters } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const { t } = useTranslation("home");
+
+  const [threshold, setThreshold] = useState(String(settings.qualityThreshold));
+  const [deepQualityMode, setDeepQualityMode] = useState(settings.deepQualityMode);
+  const [sampleSize, setSampleSize] = useState(String(settings.deepQualitySampleSize));
+  const busy = fetcher.state !== "idle";
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      revalidate();
+    }
+  }, [fetcher.state, fetcher.data, revalidate]);
+
+  const updateFilter = useCallback((key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(key, value);
+    } else {
+      next.delete(key);
+    }
+    next.delete("page");
+    setSearchParams(next);
+  }, [searchParams, setSearchParams]);
+
+  const goToPage = useCallback((page) => {
+    const next = new URLSearchParams(searchParams);
+    next.set("page", String(page));
+    setSearchParams(next);
+  }, [searchParams, setSearchParams]);
+
+  const submitReview = useCallback((payload) => {
+    fetcher.submit(payload, { method: "post", action: "/api/translation-review" });
+  }, [fetcher]);
+
+  const saveSettings = useCallback((reviewRequired) => {
+    submitReview({
+      action: "settings",
+      reviewRequired: String(reviewRequired),
+      qualityThreshold: threshold,
+      deepQualityMode,
+      deepQualitySampleSize: sampleSize
+    });
+  }, [submitReview, threshold, deepQualityMode, sampleSize]);
+
+  const lockManualEdits = useCallback(() => {
+    fetcher.submit(
+      { action: "lockManualEdits", language: filters.language },
+      { method: "post", action: "/api/field-locks" }
+    );
+  }, [fetcher, filters.language]);
+
+  const languageOptions = [
+    { label: t('ui.reviewAllLanguages', { defaultValue: 'All languages' }), value: "" },
+    ...Object.entries(summary.byLanguage).map(([code, count]) => ({ label: `${code} (${count})`, value: code }))
+  ];
+  const typeOptions = [
+    { label: t('ui.reviewAllTypes', { defaultValue: 'All types' }), value: "" },
+    ...Object.entries(summary.byResourceType).map(([type, count]) => ({ label: `${type} (${count})`, value: type }))
+  ];
+  const statusOptions = [
+    { label: t('ui.reviewStatusPending', { defaultValue: 'Needs review' }), value: "pending" },
+    { label: t('ui.reviewStatusRejected', { defaultValue: 'Rejected' }), value: "rejected" },
+    { label: t('ui.reviewStatusApproved', { defaultValue: 'Approved' }), value: "approved" }
+  ];
+  const deepQualityOptions = [
+    { label: t('ui.deepQualityOff', { defaultValue: 'Off (validation rules only)' }), value: "off" },
+    { label: t('ui.deepQualityBackTranslation', { defaultValue: 'Back-translation' }), value: "backtranslation" },
+    { label: t('ui.deepQualityJudge', { defaultValue: 'Judge model' }), value: "judge" },
+    { label: t('ui.deepQualityBoth', { defaultValue: 'Back-translation + judge model' }), value: "both" }
+  ];
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <Page
+      title={t('ui.reviewTitle', { defaultValue: 'Translation review' })}
+      subtitle={t('ui.reviewSubtitle', { count: summary.total, defaultValue: '{{count}} translations waiting for review' })}
+      backAction={{ url: "/app" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Checkbox
+                label={t('ui.reviewRequiredLabel', { defaultValue: 'Review required before publishing' })}
+                helpText={t('ui.reviewRequiredHelp', { defaultValue: 'Only approved translations are published to Shopify' })}
+                checked={settings.reviewRequired}
+                onChange={(checked) => saveSettings(checked)}
+                disabled={busy}
+              />
+              <InlineStack gap="300" blockAlign="end">
+                <TextField
+                  label={t('ui.reviewThresholdLabel', { defaultValue: 'Quality threshold (0-1)' })}
+                  type="number"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={threshold}
+                  onChange={setThreshold}
+                  autoComplete="off"
+                />
+                <Select
+                  label={t('ui.deepQualityModeLabel', { defaultValue: 'Deep quality check' })}
+                  helpText={t('ui.deepQualityModeHelp', { defaultValue: 'Scores a sample of each translation for adequacy and fluency. Uses extra API calls.' })}
+                  options={deepQualityOptions}
+                  value={deepQualityMode}
+                  onChange={setDeepQualityMode}
+                />
+                <TextField
+                  label={t('ui.deepQualitySampleSize', { defaultValue: 'Fields sampled' })}
+                  type="number"
+                  min={1}
+                  max={10}
+                  value={sampleSize}
+                  onChange={setSampleSize}
+                  disabled={deepQualityMode === "off"}
+                  autoComplete="off"
+                />
+                <Button onClick={() => saveSettings(settings.reviewRequired)} loading={busy}>
+                  {t('ui.reviewSaveSettings', { defaultValue: 'Save' })}
+                </Button>
+              </InlineStack>
+              <InlineStack gap="300" blockAlign="center">
+                <Button onClick={lockManualEdits} loading={busy}>
+                  {t('ui.lockManualEdits', { defaultValue: 'Lock all manually edited fields' })}
+                </Button>
+                <Text variant="bodySm" tone="subdued" as="span">
+                  {t('ui.lockManualEditsHelp', { defaultValue: 'Locked fields keep their current translation when resources are re-translated or the source changes.' })}
+                </Text>
+              </InlineStack>
+              {fetcher.data?.success && fetcher.data.data?.locked !== undefined && (
+                <Banner tone="success">
+                  {t('ui.lockManualEditsDone', { count: fetcher.data.data.locked, defaultValue: '{{count}} fields locked' })}
+                </Banner>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {fetcher.data?.success === false && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data.message || fetcher.data.error}</Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <InlineStack gap="400">
+              <div style={{ flex: 1 }}>
+                <Select
+                  label={t('ui.reviewStatusLabel', { defaultValue: 'Status' })}
+                  options={statusOptions}
+                  value={filters.status}
+                  onChange={(value) => updateFilter("status", value)}
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <Select
+                  label={t('ui.reviewLanguageLabel', { defaultValue: 'Language' })}
+                  options={languageOptions}
+                  value={filters.language}
+                  onChange={(value) => updateFilter("language", value)}
+                />
+              </div>
+              <div style={{ flex: 1 }}>
+                <Select
+                  label={t('ui.reviewResourceTypeLabel', { defaultValue: 'Resource type' })}
+                  options={typeOptions}
+                  value={filters.resourceType}
+                  onChange={(value) => updateFilter("resourceType", value)}
+                />
+              </div>
+            </InlineStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          {items.length === 0 ? (
+            <Card>
+              <EmptyState heading={t('ui.reviewEmpty', { defaultValue: 'Nothing to review' })} image="">
+                <p>{t('ui.reviewEmptyBody', { defaultValue: 'Translations that fail validation or fall below the quality threshold will appear here.' })}</p>
+              </EmptyState>
+            </Card>
+          ) : (
+            <BlockStack gap="400">
+              {items.map((item) => (
+                <ReviewItem key={item.id} item={item} threshold={settings.qualityThreshold} onSubmit={submitReview} busy={busy} t={t} />
+              ))}
+              <InlineStack align="center">
+                <Pagination
+                  hasPrevious={filters.page > 1}
+                  hasNext={filters.page < totalPages}
+                  onPrevious={() => goToPage(filters.page - 1)}
+                  onNext={() => goToPage(filters.page + 1)}
+                />
+              </InlineStack>
+            </BlockStack>
+          )}
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,295 @@
+/**
+ * 定时翻译页面
+ * 管理按 cron 周期运行的翻译计划，并查看每次运行扫描、翻译、跳过与发布的数量
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { json } from "@remix-run/node";
+import { useLoaderData, useFetcher, useRevalidator } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  Button,
+  Text,
+  Badge,
+  Banner,
+  TextField,
+  Checkbox,
+  ChoiceList,
+  DataTable,
+  BlockStack,
+  InlineStack,
+  ButtonGroup,
+  EmptyState
+} from "@shopify/polaris";
+import { useTranslation } from "react-i18next";
+
+const RUN_HISTORY_LIMIT = 50;
+
+const RUN_STATUS_TONES = {
+  running: "info",
+  completed: "success",
+  partial: "warning",
+  skipped: "attention",
+  failed: "critical"
+};
+
+const EMPTY_FORM = {
+  name: "",
+  cron: "0 3 * * *",
+  timezone: "UTC",
+  languages: [],
+  resourceTypes: [],
+  autoPublish: true,
+  minCredits: "0"
+};
+
+/**
+ * Loader函数：获取计划、运行记录与可选语言 / 资源类型
+ */
+export async function loader({ request }) {
+  const { authenticate } = await import("../shopify.server.js");
+  const { getOrCreateShop } = await import("../services/database.server.js");
+  const { prisma } = await import("../db.server.js");
+  const { listSchedules, listScheduleRuns } = await import("../services/translation-scheduler.server.js");
+  const { session } = await authenticate.admin(request);
+
+  const shop = await getOrCreateShop(session.shop, session.accessToken);
+  const [schedules, runs, languages, resourceTypes] = await Promise.all([
+    listSchedules(shop.id),
+    listScheduleRuns(shop.id, { limit: RUN_HISTORY_LIMIT }),
+    prisma.language.findMany({
+      where: { shopId: shop.id, isActive: true, enabled: true },
+      orderBy: { name: "asc" }
+    }),
+    prisma.resource.findMany({
+      where: { shopId: shop.id },
+      distinct: ["resourceType"],
+      select: { resourceType: true }
+    })
+  ]);
+
+  return json({
+    schedules,
+    runs,
+    languages: languages.map((language) => ({ label: language.name, value: language.code })),
+    resourceTypes: resourceTypes.map((row) => row.resourceType).sort()
+  });
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function ScheduleForm({ languages, resourceTypes, onSubmit, busy, t }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const update = (key) => (value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const submit = () => {
+    onSubmit({
+      action: "create",
+      name: form.name,
+      cron: form.cron,
+      timezone: form.timezone,
+      languages: JSON.stringify(form.languages),
+      resourceTypes: JSON.stringify(form.resourceTypes),
+      autoPublish: String(form.autoPublish),
+      minCredits: form.minCredits
+    });
+  };
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text variant="headingMd" as="h2">{t('ui.scheduleCreate', { defaultValue: 'New schedule' })}</Text>
+        <InlineStack gap="300" wrap={false}>
+          <div style={{ flex: 2 }}>
+            <TextField label={t('ui.scheduleName', { defaultValue: 'Name' })} value={form.name} onChange={update("name")} autoComplete="off" />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField
+              label={t('ui.scheduleCron', { defaultValue: 'Cron expression' })}
+              helpText={t('ui.scheduleCronHelp', { defaultValue: 'minute hour day month weekday, e.g. 0 3 * * 1' })}
+              value={form.cron}
+              onChange={update("cron")}
+              autoComplete="off"
+            />
+          </div>
+          <div style={{ flex: 1 }}>
+            <TextField label={t('ui.scheduleTimezone', { defaultValue: 'Timezone' })} value={form.timezone} onChange={update("timezone")} autoComplete="off" />
+          </div>
+        </InlineStack>
+        <InlineStack gap="600" blockAlign="start">
+          <ChoiceList
+            allowMultiple
+            title={t('ui.scheduleLanguages', { defaultValue: 'Languages' })}
+            choices={languages}
+            selected={form.languages}
+            onChange={update("languages")}
+          />
+          <ChoiceList
+            allowMultiple
+            title={t('ui.scheduleResourceTypes', { defaultValue: 'Resource types (none = all)' })}
+            choices={resourceTypes.map((type) => ({ label: type, value: type }))}
+            selected={form.resourceTypes}
+            onChange={update("resourceTypes")}
+          />
+          <BlockStack gap="200">
+            <Checkbox
+              label={t('ui.scheduleAutoPublish', { defaultValue: 'Publish to Shopify after translating' })}
+              checked={form.autoPublish}
+              onChange={update("autoPublish")}
+            />
+            <TextField
+              label={t('ui.scheduleMinCredits', { defaultValue: 'Skip when available credits are below' })}
+              type="number"
+              min={0}
+              value={form.minCredits}
+              onChange={update("minCredits")}
+              autoComplete="off"
+            />
+          </BlockStack>
+        </InlineStack>
+        <InlineStack>
+          <Button
+            variant="primary"
+            onClick={submit}
+            loading={busy}
+            disabled={!form.name.trim() || form.languages.length === 0}
+          >
+            {t('ui.scheduleSave', { defaultValue: 'Create schedule' })}
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
+
+export default function TranslationSchedulesPage() {
+  const { schedules, runs, languages, resourceTypes } = useLoaderData();
+  const fetcher = useFetcher();
+  const { revalidate } = useRevalidator();
+  const { t } = useTranslation("home");
+  const busy = fetcher.state !== "idle";
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      revalidate();
+    }
+  }, [fetcher.state, fetcher.data, revalidate]);
+
+  const submitAction = useCallback((payload) => {
+    fetcher.submit(payload, { method: "post", action: "/api/translation-schedules" });
+  }, [fetcher]);
+
+  const runRows = runs.map((run) => [
+    run.schedule?.name || "—",
+    <Badge key={`${run.id}-status`} tone={RUN_STATUS_TONES[run.status]}>
+      {t(`ui.scheduleRunStatus.${run.status}`, { defaultValue: run.status })}
+    </Badge>,
+    formatDate(run.startedAt),
+    run.scanned,
+    run.translated,
+    run.skipped,
+    run.published,
+    run.failed,
+    run.creditsAvailable ?? "—",
+    run.error || (run.details?.languages || [])
+      .filter((entry) => entry.skippedReason || entry.publishSkippedReason)
+      .map((entry) => `${entry.language}: ${entry.skippedReason || entry.publishSkippedReason}`)
+      .join(", ")
+  ]);
+
+  return (
+    <Page
+      title={t('ui.schedulesTitle', { defaultValue: 'Scheduled translations' })}
+      subtitle={t('ui.schedulesSubtitle', { defaultValue: 'Recurring scans that translate and publish new or changed content' })}
+      backAction={{ url: "/app" }}
+    >
+      <Layout>
+        {fetcher.data?.success === false && (
+          <Layout.Section>
+            <Banner tone="critical">{fetcher.data.message || fetcher.data.error}</Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <ScheduleForm languages={languages} resourceTypes={resourceTypes} onSubmit={submitAction} busy={busy} t={t} />
+        </Layout.Section>
+
+        <Layout.Section>
+          <BlockStack gap="300">
+            {schedules.map((schedule) => (
+              <Card key={schedule.id}>
+                <InlineStack align="space-between" blockAlign="center">
+                  <BlockStack gap="100">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text variant="headingSm" as="h3">{schedule.name}</Text>
+                      <Badge tone={schedule.enabled ? "success" : undefined}>
+                        {schedule.enabled
+                          ? t('ui.scheduleEnabled', { defaultValue: 'Active' })
+                          : t('ui.scheduleDisabled', { defaultValue: 'Paused' })}
+                      </Badge>
+                      {(schedule.languages || []).map((code) => <Badge key={code} tone="info">{code}</Badge>)}
+                    </InlineStack>
+                    <Text variant="bodySm" tone="subdued" as="p">
+                      {`${schedule.cron} (${schedule.timezone}) · `}
+                      {t('ui.scheduleNextRun', { date: formatDate(schedule.nextRunAt), defaultValue: 'Next run: {{date}}' })}
+                    </Text>
+                  </BlockStack>
+                  <ButtonGroup>
+                    <Button onClick={() => submitAction({ action: "runNow", scheduleId: schedule.id })} loading={busy}>
+                      {t('ui.scheduleRunNow', { defaultValue: 'Run now' })}
+                    </Button>
+                    <Button
+                      onClick={() => submitAction({ action: "toggle", scheduleId: schedule.id, enabled: String(!schedule.enabled) })}
+                      loading={busy}
+                    >
+                      {schedule.enabled
+                        ? t('ui.schedulePause', { defaultValue: 'Pause' })
+                        : t('ui.scheduleResume', { defaultValue: 'Resume' })}
+                    </Button>
+                    <Button tone="critical" onClick={() => submitAction({ action: "delete", scheduleId: schedule.id })} loading={busy}>
+                      {t('ui.scheduleDelete', { defaultValue: 'Delete' })}
+                    </Button>
+                  </ButtonGroup>
+                </InlineStack>
+              </Card>
+            ))}
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingMd" as="h2">{t('ui.scheduleHistory', { defaultValue: 'Run history' })}</Text>
+              {runs.length === 0 ? (
+                <EmptyState heading={t('ui.scheduleHistoryEmpty', { defaultValue: 'No runs yet' })} image="">
+                  <p>{t('ui.scheduleHistoryEmptyBody', { defaultValue: 'Each scheduled or manual run will be listed here.' })}</p>
+                </EmptyState>
+              ) : (
+                <DataTable
+                  columnContentTypes={["text", "text", "text", "numeric", "numeric", "numeric", "numeric", "numeric", "numeric", "text"]}
+                  headings={[
+                    t('ui.scheduleName', { defaultValue: 'Name' }),
+                    t('ui.scheduleRunStatusLabel', { defaultValue: 'Status' }),
+                    t('ui.scheduleRunStarted', { defaultValue: 'Started' }),
+                    t('ui.scheduleRunScanned', { defaultValue: 'Scanned' }),
+                    t('ui.scheduleRunTranslated', { defaultValue: 'Translated' }),
+                    t('ui.scheduleRunSkipped', { defaultValue: 'Skipped' }),
+                    t('ui.scheduleRunPublished', { defaultValue: 'Published' }),
+                    t('ui.scheduleRunFailed', { defaultValue: 'Failed' }),
+                    t('ui.scheduleRunCredits', { defaultValue: 'Credits' }),
+                    t('ui.scheduleRunNotes', { defaultValue: 'Notes' })
+                  ]}
+                  rows={runRows}
+                />
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,35 @@
+import { authenticate } from "../shopify.server";
+import { processWebhookEvent } from "../services/webhook-manager.server";
+import { logger } from "../utils/logger.server";
+
+/**
+ * 处理文章删除webhook
+ */
+export const action = async ({ request }) => {
+  try {
+    const { shop, topic, payload } = await authenticate.webhook(request);
+
+    logger.info(`收到文章删除webhook`, {
+      shop,
+      articleId: payload.id,
+    });
+
+    // 处理webhook事件
+    const result = await processWebhookEvent(shop, topic, payload);
+
+    logger.info(`文章删除webhook处理完成`, {
+      shop,
+      articleId: payload.id,
+      result
+    });
+
+    return new Response(null, { status: 200 });
+  } catch (error) {
+    logger.error('处理文章删除webhook失败', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    return new Response(null, { status: 200 });
+  }
+};
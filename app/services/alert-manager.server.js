@@ -6,6 +6,7 @@
 import { prisma } from '../db.server.js';
 import { collectError } from './error-collector.server.js';
 import { logger } from '../utils/logger.server.js';
+import { notificationDispatcher, NOTIFICATION_CHANNEL_TYPES } from './notification-channels.server.js';
 import { createServiceErrorHandler } from '../utils/service-error-handler.server.js';
 
 // 告警级别
@@ -76,7 +77,6 @@ export class AlertManager {
   constructor() {
     this.alerts = new Map(); // 当前活跃告警
     this.alertHistory = []; // 告警历史
-    this.notificationChannels = []; // 通知渠道
     this.checkInterval = 60000; // 检查间隔（1分钟）
     this.checkTimer = null;
     this.lastCheck = new Date();
@@ -491,16 +491,20 @@ export class AlertManager {
     }
   }
   
-  // 发送邮件通知（示例）
+  // 发送邮件通知（经通知分发器聚合、限流后发送）
   async sendEmailNotification(alert) {
-    // TODO: 实现邮件发送逻辑
-    logger.info('发送邮件告警', { message: alert.message, alertId: alert.id });
+    await notificationDispatcher.notify(alert, {
+      shopId: alert.details?.shopId,
+      types: [NOTIFICATION_CHANNEL_TYPES.EMAIL]
+    });
   }
   
-  // 发送Webhook通知（示例）
+  // 发送Webhook通知（Slack 与通用 Webhook）
   async sendWebhookNotification(alert) {
-    // TODO: 实现Webhook通知（如Slack、钉钉等）
-    logger.info('发送Webhook告警', { message: alert.message, alertId: alert.id });
+    await notificationDispatcher.notify(alert, {
+      shopId: alert.details?.shopId,
+      types: [NOTIFICATION_CHANNEL_TYPES.SLACK, NOTIFICATION_CHANNEL_TYPES.WEBHOOK]
+    });
   }
   
   // 发送仪表板通知
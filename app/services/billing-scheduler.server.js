@@ -3,7 +3,10 @@ import { subscriptionManager } from './subscription-manager.server.js';
 import shopify from '../shopify.server.js';
 import { logger } from '../utils/logger.server.js';
 
-function createAdminForShop(shop) {
+/**
+ * 使用店铺离线 token 创建 Admin GraphQL 客户端（后台任务无请求会话时使用）
+ */
+export function createAdminForShop(shop) {
   if (!shop?.accessToken || !shop?.domain) {
     logger.warn('[BillingScheduler] Missing shop credentials', {
       shopId: shop?.id,
@@ -4,9 +4,36 @@
  * - 用于在源语言变动后仅翻译变动字段
  */
 
+import crypto from 'crypto';
 import { prisma } from '../db.server.js';
 import { createServiceErrorHandler } from '../utils/service-error-handler.server.js';
 
+// 基础源字段 -> Translation 列
+export const SOURCE_FIELD_COLUMNS = {
+  title: 'titleTrans',
+  description: 'descTrans',
+  seoTitle: 'seoTitleTrans',
+  seoDescription: 'seoDescTrans',
+  summary: 'summaryTrans',
+  label: 'labelTrans'
+};
+
+// Shopify translatableContent key -> 基础源字段（同一字段在 contentDigests 中可能以两种键出现）
+const SHOPIFY_KEY_SOURCE_FIELDS = {
+  body_html: 'description',
+  meta_title: 'seoTitle',
+  meta_description: 'seoDescription',
+  summary_html: 'summary'
+};
+
+// 译文字段状态：outdated 表示译文所依据的源内容已变更
+export const FIELD_TRANSLATION_STATUS = {
+  UP_TO_DATE: 'up_to_date',
+  OUTDATED: 'outdated',
+  MISSING: 'missing',
+  UNVERIFIED: 'unverified'
+};
+
 /**
  * 从 translatableContent 数组提取 key->digest 映射
  * @param {Array<{key: string, digest?: string}>} translatableContent
@@ -62,6 +89,141 @@ export function diffChangedKeys(oldMap = {}, translatableContent = []) {
   return changed;
 }
 
+/**
+ * 计算源内容 digest（md5(trim)，与增量翻译一致）
+ * @param {string} content
+ * @returns {string|null}
+ */
+export function calculateSourceDigest(content) {
+  if (!content || typeof content !== 'string') return null;
+  return crypto.createHash('md5').update(content.trim()).digest('hex');
+}
+
+/**
+ * 将 contentDigests / 覆盖率使用的键归一为源字段名
+ * @param {string} key 例如 body_html / meta_title / title / contentFields.xxx
+ * @returns {string}
+ */
+export function resolveSourceField(key) {
+  return SHOPIFY_KEY_SOURCE_FIELDS[key] || key;
+}
+
+/**
+ * 提取资源中带内容的源字段（基础列 + contentFields 文本字段）
+ * @param {Object} resource
+ * @returns {Array<{field: string, targetField: string, translationFieldKey: string, content: string}>}
+ */
+export function extractSourceFields(resource) {
+  const collected = [];
+
+  for (const [field, targetField] of Object.entries(SOURCE_FIELD_COLUMNS)) {
+    const value = resource?.[field];
+    if (typeof value === 'string' && value.trim() !== '') {
+      collected.push({ field, targetField, translationFieldKey: field, content: value });
+    }
+  }
+
+  const contentFields = resource?.contentFields || {};
+  for (const [key, value] of Object.entries(contentFields)) {
+    const shouldInclude =
+      typeof value === 'string' &&
+      value.trim() !== '' &&
+      (key.includes('text') || key.includes('title') || key.includes('description'));
+
+    if (shouldInclude) {
+      const compoundKey = `contentFields.${key}`;
+      collected.push({ field: compoundKey, targetField: compoundKey, translationFieldKey: compoundKey, content: value });
+    }
+  }
+
+  return collected;
+}
+
+/**
+ * 生成译文所依据的源 digest 快照，写入 Translation.sourceDigests
+ * @param {Object} resource
+ * @param {Array<string>|null} translatedKeys 本次写入的字段（源字段名或 Translation 列名），为空时取全部
+ * @returns {Object} { field: digest }
+ */
+export function buildSourceDigests(resource, translatedKeys = null) {
+  const keys = translatedKeys ? new Set(translatedKeys) : null;
+  const digests = {};
+  for (const entry of extractSourceFields(resource)) {
+    if (keys && !keys.has(entry.field) && !keys.has(entry.targetField)) continue;
+    digests[entry.field] = calculateSourceDigest(entry.content);
+  }
+  return digests;
+}
+
+/**
+ * 合并已有快照与本次快照（未重新翻译的字段保留原 digest）
+ * @param {Object|null} previous
+ * @param {Object} next
+ * @returns {Object}
+ */
+export function mergeSourceDigests(previous, next) {
+  return { ...(previous && typeof previous === 'object' ? previous : {}), ...next };
+}
+
+/**
+ * 逐字段判断译文状态
+ * - 译文依据的 digest 优先取 Translation.sourceDigests
+ * - 历史译文没有快照时可回退到 Resource.contentDigests（增量翻译沿用的旧口径）；
+ *   contentDigests 中混有 Shopify digest，展示与覆盖率统计不回退，视为 unverified
+ * @param {Object} resource 含基础列 / contentFields / contentDigests
+ * @param {Object|null} translation 含译文列 / translationFields / sourceDigests
+ * @param {Object} options
+ * @param {boolean} options.legacyDigests 是否回退到 Resource.contentDigests
+ * @returns {Array<{field: string, targetField: string, content: string, currentDigest: string, translatedFromDigest: string|null, translatedValue: any, hasTranslation: boolean, status: string}>}
+ */
+export function getFieldTranslationStates(resource, translation, { legacyDigests: useLegacyDigests = true } = {}) {
+  const sourceDigests = translation?.sourceDigests || {};
+  const legacyDigests = useLegacyDigests ? resource?.contentDigests || {} : {};
+  const translationFields = translation?.translationFields || {};
+
+  return extractSourceFields(resource).map((entry) => {
+    const currentDigest = calculateSourceDigest(entry.content);
+    const translatedFromDigest = sourceDigests[entry.field] ?? legacyDigests[entry.field] ?? null;
+    const translatedValue = translationFields[entry.translationFieldKey]
+      ?? translationFields[entry.targetField]
+      ?? translation?.[entry.targetField];
+    const hasTranslation = typeof translatedValue === 'string'
+      ? translatedValue.trim() !== ''
+      : translatedValue != null;
+
+    let status = FIELD_TRANSLATION_STATUS.UP_TO_DATE;
+    if (!hasTranslation) {
+      status = FIELD_TRANSLATION_STATUS.MISSING;
+    } else if (!translatedFromDigest) {
+      status = FIELD_TRANSLATION_STATUS.UNVERIFIED;
+    } else if (translatedFromDigest !== currentDigest) {
+      status = FIELD_TRANSLATION_STATUS.OUTDATED;
+    }
+
+    return {
+      ...entry,
+      currentDigest,
+      translatedFromDigest,
+      translatedValue: hasTranslation ? translatedValue : null,
+      hasTranslation,
+      status
+    };
+  });
+}
+
+/**
+ * 返回已过期的译文字段（Translation 列名 / contentFields 路径）
+ * @param {Object} resource
+ * @param {Object|null} translation
+ * @returns {Array<string>}
+ */
+export function getOutdatedFields(resource, translation) {
+  if (!translation) return [];
+  return getFieldTranslationStates(resource, translation, { legacyDigests: false })
+    .filter((state) => state.status === FIELD_TRANSLATION_STATUS.OUTDATED)
+    .map((state) => state.targetField);
+}
+
 /**
  * 给定资源，计算需要“增量翻译”的字段列表
  * @param {string} resourceId Resource.id
@@ -81,4 +243,9 @@ export default {
   updateResourceDigests,
   diffChangedKeys,
   getIncrementalFields,
+  calculateSourceDigest,
+  extractSourceFields,
+  buildSourceDigests,
+  getFieldTranslationStates,
+  getOutdatedFields,
 };
@@ -0,0 +1,213 @@
+/**
+ * 全店翻译成本预估（Dry-run）
+ * - 遍历已扫描的 Resource，按所选分类 / 资源类型和目标语言逐项评估
+ * - 扣除智能跳过引擎会跳过的资源、增量摘要显示未变化的字段、已锁定字段和翻译记忆命中
+ * - 返回额度、字符数和预计耗时，并按资源类型与语言拆分
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { PRICING_CONFIG } from '../utils/pricing-config.js';
+import { RESOURCE_CATEGORIES } from '../config/resource-categories.js';
+import { creditCalculator } from './credit-calculator.server.js';
+import { creditManager } from './credit-manager.server.js';
+import { intelligentSkipEngine } from './intelligent-skip-engine.server.js';
+import { detectUntranslatedFields, extractTranslatableFields } from './incremental-translation.server.js';
+import { getFieldLocksForResources } from './field-lock.server.js';
+import { estimateCreditsWithMemory } from './translation-memory.server.js';
+
+// 跳过评估并发数（batchEvaluate 每批之间会短暂停顿）
+const SKIP_EVALUATION_CONCURRENCY = 20;
+
+function createBucket() {
+  return {
+    resources: 0,
+    skippedResources: 0,
+    fields: 0,
+    unchangedFields: 0,
+    lockedFields: 0,
+    characters: 0,
+    credits: 0,
+    memoryHits: 0,
+    savedCredits: 0
+  };
+}
+
+function addToBucket(bucket, values) {
+  for (const [key, value] of Object.entries(values)) {
+    bucket[key] += value;
+  }
+}
+
+/**
+ * 将分类（PRODUCTS）或子分类（PAGES）键解析为资源类型
+ * @param {{ resourceTypes?: string[], categories?: string[] }} selection
+ * @returns {string[]} 大写资源类型，空数组表示全部
+ */
+export function resolveEstimateResourceTypes({ resourceTypes = [], categories = [] } = {}) {
+  const types = new Set(resourceTypes.filter(Boolean).map((type) => String(type).toUpperCase()));
+
+  for (const key of categories.filter(Boolean)) {
+    const categoryKey = String(key).toUpperCase();
+    const category = RESOURCE_CATEGORIES[categoryKey];
+    for (const [groupKey, group] of Object.entries(RESOURCE_CATEGORIES)) {
+      for (const [subcategoryKey, subcategory] of Object.entries(group.subcategories)) {
+        if (category ? groupKey === categoryKey : subcategoryKey === categoryKey) {
+          subcategory.resources.forEach((type) => types.add(type));
+        }
+      }
+    }
+  }
+
+  return [...types];
+}
+
+/**
+ * 按 GPT 速率限制估算耗时
+ * @param {number} apiCalls - 需要调用翻译 API 的字段数
+ * @returns {number} 秒
+ */
+export function estimateDurationSeconds(apiCalls) {
+  const perMinute = PRICING_CONFIG.GPT_RATE_LIMIT_PER_MIN > 0 ? PRICING_CONFIG.GPT_RATE_LIMIT_PER_MIN : 20;
+  return Math.ceil((apiCalls / perMinute) * 60);
+}
+
+async function estimateFields(shopId, language, resourceType, fields, useMemory) {
+  const segments = fields.map((field) => field.content);
+  if (useMemory) {
+    return estimateCreditsWithMemory({ shopId, targetLang: language, resourceType, segments });
+  }
+  return creditCalculator.summarizeEstimates(
+    segments.map((text) => creditCalculator.calculateEstimated(text, language, resourceType))
+  );
+}
+
+/**
+ * 预估全店翻译成本（不翻译、不写入跳过决策）
+ * @param {string} shopId
+ * @param {Object} options
+ * @param {string[]} options.languages - 目标语言
+ * @param {string[]} [options.resourceTypes] - 资源类型
+ * @param {string[]} [options.categories] - RESOURCE_CATEGORIES 分类或子分类键
+ * @param {boolean} [options.useMemory=true] - 扣除翻译记忆命中
+ * @returns {Promise<Object>} totals / byResourceType / byLanguage / credits
+ */
+export async function estimateShopTranslationCost(shopId, { languages = [], resourceTypes = [], categories = [], useMemory = true } = {}) {
+  const targetLanguages = [...new Set(languages.filter(Boolean))];
+  if (targetLanguages.length === 0) {
+    throw new ValidationError('至少需要一个目标语言', 'languages');
+  }
+
+  const types = resolveEstimateResourceTypes({ resourceTypes, categories });
+  const resources = await prisma.resource.findMany({
+    where: {
+      shopId,
+      ...(types.length > 0 && {
+        resourceType: { in: [...types, ...types.map((type) => type.toLowerCase())] }
+      })
+    },
+    include: {
+      translations: { where: { language: { in: targetLanguages } } }
+    }
+  });
+
+  const decisions = resources.length > 0
+    ? await intelligentSkipEngine.batchEvaluate(resources, targetLanguages, {
+      dryRun: true,
+      concurrency: SKIP_EVALUATION_CONCURRENCY
+    })
+    : new Map();
+
+  const totals = createBucket();
+  const byResourceType = {};
+  const byLanguage = {};
+  const skipReasons = {};
+
+  for (const language of targetLanguages) {
+    const locks = await getFieldLocksForResources(resources.map((resource) => resource.id), language);
+    byLanguage[language] = byLanguage[language] || createBucket();
+
+    for (const resource of resources) {
+      const type = String(resource.resourceType || 'unknown').toUpperCase();
+      byResourceType[type] = byResourceType[type] || createBucket();
+      const buckets = [totals, byResourceType[type], byLanguage[language]];
+
+      const decision = decisions.get(`${resource.id}_${language}`);
+      if (decision?.shouldSkip) {
+        skipReasons[decision.reason] = (skipReasons[decision.reason] || 0) + 1;
+        buckets.forEach((bucket) => addToBucket(bucket, { skippedResources: 1 }));
+        continue;
+      }
+
+      // 译文已随资源一并查询，无译文时传空对象避免逐条回查数据库
+      const translation = resource.translations.find((item) => item.language === language) || {};
+      const translatable = extractTranslatableFields(resource);
+      const untranslated = await detectUntranslatedFields(resource, language, translation);
+      const lockedKeys = locks.get(resource.id);
+      const pending = lockedKeys
+        ? untranslated.filter((field) => !lockedKeys.has(field.targetField))
+        : untranslated;
+
+      const values = {
+        resources: pending.length > 0 ? 1 : 0,
+        fields: pending.length,
+        unchangedFields: translatable.length - untranslated.length,
+        lockedFields: untranslated.length - pending.length,
+        characters: 0,
+        credits: 0,
+        memoryHits: 0,
+        savedCredits: 0
+      };
+
+      if (pending.length > 0) {
+        const estimate = await estimateFields(shopId, language, resource.resourceType, pending, useMemory);
+        values.characters = estimate.effectiveChars;
+        values.credits = estimate.credits;
+        values.memoryHits = estimate.memoryHits;
+        values.savedCredits = estimate.savedCredits;
+      }
+
+      buckets.forEach((bucket) => addToBucket(bucket, values));
+    }
+  }
+
+  const withDuration = (bucket) => ({
+    ...bucket,
+    estimatedSeconds: estimateDurationSeconds(bucket.fields - bucket.memoryHits)
+  });
+
+  let available = null;
+  try {
+    available = (await creditManager.getAvailableCredits(shopId)).available;
+  } catch (error) {
+    logger.warn('[CostEstimator] 读取可用额度失败', { shopId, error: error.message });
+  }
+
+  const result = {
+    languages: targetLanguages,
+    resourceTypes: types,
+    totals: withDuration(totals),
+    byResourceType: Object.fromEntries(Object.entries(byResourceType).map(([key, bucket]) => [key, withDuration(bucket)])),
+    byLanguage: Object.fromEntries(Object.entries(byLanguage).map(([key, bucket]) => [key, withDuration(bucket)])),
+    skipReasons,
+    credits: {
+      available,
+      required: totals.credits,
+      shortfall: available === null ? null : Math.max(0, totals.credits - available),
+      sufficient: available === null ? null : available >= totals.credits
+    },
+    generatedAt: new Date().toISOString()
+  };
+
+  logger.info('[CostEstimator] 成本预估完成', {
+    shopId,
+    languages: targetLanguages,
+    resourceTypes: types,
+    resources: resources.length,
+    credits: totals.credits,
+    shortfall: result.credits.shortfall
+  });
+
+  return result;
+}
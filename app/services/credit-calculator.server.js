@@ -35,10 +35,32 @@ class CreditCalculator {
     return Math.max(credits, PRICING_CONFIG.MIN_CREDIT_CHARGE);
   }
 
+  /**
+   * 预估额度。options.memoryMatch 为翻译记忆精确命中时不收费，仅记录节省的额度；模糊命中仍会调用模型，照常计费。
+   */
   calculateEstimated(sourceText, targetLanguage, resourceType, options = {}) {
-    const charCount = this.countCharacters(sourceText, { stripHtmlTags: true, ...options });
+    const { memoryMatch, ...countOptions } = options;
+    const charCount = this.countCharacters(sourceText, { stripHtmlTags: true, ...countOptions });
     const credits = this.calculateCredits(charCount.effectiveLength);
 
+    if (memoryMatch?.matchType === 'exact') {
+      return {
+        credits: 0,
+        details: {
+          rawChars: charCount.rawLength,
+          effectiveChars: charCount.effectiveLength,
+          multiplier: 0,
+          targetLanguage,
+          resourceType,
+          translationMemory: {
+            matchType: memoryMatch.matchType,
+            score: memoryMatch.score,
+            savedCredits: credits
+          }
+        }
+      };
+    }
+
     return {
       credits,
       details: {
@@ -51,6 +73,22 @@ class CreditCalculator {
     };
   }
 
+  /**
+   * 汇总多段预估（含翻译记忆命中统计）
+   * @param {Array<{credits: number, details: Object}>} estimates
+   */
+  summarizeEstimates(estimates = []) {
+    return estimates.reduce((summary, estimate) => {
+      summary.credits += estimate?.credits || 0;
+      summary.effectiveChars += estimate?.details?.effectiveChars || 0;
+      if (estimate?.details?.translationMemory) {
+        summary.memoryHits += 1;
+        summary.savedCredits += estimate.details.translationMemory.savedCredits || 0;
+      }
+      return summary;
+    }, { credits: 0, effectiveChars: 0, memoryHits: 0, savedCredits: 0 });
+  }
+
   calculateActual(sourceText, translatedText, targetLanguage, resourceType, options = {}) {
     const sourceCount = this.countCharacters(sourceText, { stripHtmlTags: true, ...options });
     const translatedCount = this.countCharacters(translatedText, { stripHtmlTags: false });
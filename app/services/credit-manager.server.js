@@ -377,6 +377,86 @@ class CreditManager {
     }
   }
 
+  /**
+   * 撤销翻译会话时处理其额度消耗：
+   * 本月的消耗退回（订阅额度随 status=refunded 不再计入月用量，Top-up 部分加回余额），
+   * 往月账期已结算，只在记录上标记撤销，不退额度。
+   * 只处理实际撤销的译文（资源 + 语言）对应的消耗，跳过 / 撤销失败的译文仍然有效，不退回。
+   * @param {string} shopId
+   * @param {string} sessionId - TranslationSession.id
+   * @param {Object} options
+   * @param {Array<{ resourceId: string, language: string }>} options.targets - 撤销的译文
+   * @param {boolean} [options.refund=true] - false 时只标记不退回
+   * @param {boolean} [options.dryRun=false] - 只计算不写入（撤销预览）
+   * @returns {Promise<{ usageCount: number, refundable: number, refundedTopUp: number, recorded: number }>}
+   */
+  async refundSessionUsage(shopId, sessionId, { targets = [], refund = true, dryRun = false } = {}) {
+    const targetKeys = new Set(targets.map((target) => `${target.resourceId}:${target.language}`));
+    const candidates = targetKeys.size === 0
+      ? []
+      : await this.prisma.creditUsage.findMany({
+        where: {
+          shopId,
+          sessionId,
+          status: 'completed',
+          resourceId: { in: [...new Set(targets.map((target) => target.resourceId))] }
+        }
+      });
+    const usages = candidates.filter((usage) => targetKeys.has(`${usage.resourceId}:${usage.targetLanguage}`));
+
+    const { start } = getMonthRange();
+    const summary = { usageCount: usages.length, refundable: 0, refundedTopUp: 0, recorded: 0 };
+    const refundIds = [];
+    const recordIds = [];
+
+    for (const usage of usages) {
+      if (refund && usage.usageDate >= start) {
+        summary.refundable += usage.creditsUsed || 0;
+        summary.refundedTopUp += usage.metadata?.sources?.topUp || 0;
+        refundIds.push(usage.id);
+      } else {
+        summary.recorded += usage.creditsUsed || 0;
+        recordIds.push(usage.id);
+      }
+    }
+
+    if (dryRun || usages.length === 0) {
+      return summary;
+    }
+
+    const revertedAt = new Date().toISOString();
+    await this.prisma.$transaction(async (tx) => {
+      for (const usage of usages) {
+        const refunded = refundIds.includes(usage.id);
+        await tx.creditUsage.update({
+          where: { id: usage.id },
+          data: {
+            ...(refunded && { status: 'refunded' }),
+            metadata: { ...(usage.metadata || {}), sessionRevert: { revertedAt, refunded } }
+          }
+        });
+      }
+
+      if (summary.refundedTopUp > 0) {
+        await tx.shop.update({
+          where: { id: shopId },
+          data: { topUpCredits: { increment: summary.refundedTopUp } }
+        });
+      }
+    });
+
+    this.logger.info('[Billing] 会话撤销额度处理完成', {
+      shopId,
+      sessionId,
+      refunded: summary.refundable,
+      refundedTopUp: summary.refundedTopUp,
+      recorded: summary.recorded,
+      recordedUsages: recordIds.length
+    });
+
+    return summary;
+  }
+
   async getAvailableCredits(shopId) {
     assertBillingModels(this.prisma);
 
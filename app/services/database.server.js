@@ -1,5 +1,12 @@
 import { PrismaClient } from "@prisma/client";
 import { invalidateCoverageCache } from "./language-coverage.server.js";
+import { recordTranslationMemoryForResource, isMemoryEligible } from "./translation-memory.server.js";
+import { assessSavedTranslation } from "./translation-review.server.js";
+import { enforceFieldLocks } from "./field-lock.server.js";
+import { buildSourceDigests } from "./content-digest-tracker.server.js";
+import { recordTranslationRevision, REVISION_SOURCE } from "./translation-revision.server.js";
+import { refreshDerivedTranslations } from "./derived-translations.server.js";
+import { toPromptProfileAudit } from "./prompt-profile.server.js";
 import { logger } from "../utils/logger.server.js";
 import { applySoftDeleteMiddleware } from "../utils/prisma-soft-delete.server.js";
 
@@ -243,9 +250,11 @@ export async function getResourceStats(shopId, language = null) {
  * @param {string} shopId - 店铺ID
  * @param {string} language - 目标语言
  * @param {Object} translations - 翻译内容
+ * @param {Object} options - 修订来源：{ source, sessionId, actor }；promptProfileAudit 为翻译时实际使用的提示词配置，
+ *   glossaryViolations 为翻译时检出的术语表违规（写入审核问题）
  * @returns {Promise<Object>} 翻译记录
  */
-export async function saveTranslation(resourceId, shopId, language, translations) {
+export async function saveTranslation(resourceId, shopId, language, translations, options = {}) {
   // 记录语言参数，帮助调试
   logger.info('[saveTranslation] 保存翻译', { resourceId, language, shopId });
 
@@ -265,7 +274,7 @@ export async function saveTranslation(resourceId, shopId, language, translations
   };
 
   // 构建翻译数据对象，使用防御性访问
-  const translationData = {
+  let translationData = {
     titleTrans: extractText(actualTranslations.titleTrans),
     descTrans: extractText(actualTranslations.descTrans),
     handleTrans: extractText(actualTranslations.handleTrans),
@@ -275,10 +284,37 @@ export async function saveTranslation(resourceId, shopId, language, translations
     seoDescTrans: extractText(actualTranslations.seoDescTrans),
     translationFields: deepCleanTranslationFields(actualTranslations.translationFields),
     status: 'completed',
-    syncStatus: 'pending' // 新翻译默认为待同步状态
+    syncStatus: 'pending', // 新翻译默认为待同步状态
+    inheritedFrom: null // 本语言独立翻译，不再视为由父语言派生
   };
+  // 由翻译会话产生的译文关联会话，便于按会话追溯与回退
+  const { sessionId = null, actor = null, promptProfileAudit = null, glossaryViolations = [] } = options;
+  if (sessionId) {
+    translationData.translationSessionId = sessionId;
+  }
   
   try {
+    // 记录每个已翻译字段所依据的源内容 digest，源内容变更后据此判定译文过期
+    const sourceResource = await prisma.resource.findUnique({ where: { id: resourceId } });
+    if (sourceResource) {
+      const translatedKeys = Object.keys(translationData).filter((key) => key.endsWith('Trans') && translationData[key]);
+      translationData.sourceDigests = buildSourceDigests(sourceResource, translatedKeys);
+    }
+
+    // 记录生成译文时实际使用的提示词配置与版本（由翻译策略返回），便于审计
+    Object.assign(translationData, promptProfileAudit || toPromptProfileAudit(null));
+
+    // 字段级锁：已锁定字段保留现有译文，不被自动翻译覆盖
+    translationData = await enforceFieldLocks(resourceId, language, translationData);
+
+    // 质量评分与审核状态：低分/校验未通过或店铺开启审核模式时进入待审核
+    Object.assign(translationData, await assessSavedTranslation(resourceId, shopId, language, translationData, { glossaryViolations }));
+
+    // 覆盖前的译文：还没有版本记录时作为基线快照保留
+    const previous = await prisma.translation.findUnique({
+      where: { resourceId_language: { resourceId, language } }
+    });
+
     const result = await prisma.translation.upsert({
       where: {
         resourceId_language: {
@@ -296,11 +332,23 @@ export async function saveTranslation(resourceId, shopId, language, translations
     });
     
     logger.info('[saveTranslation] 成功保存翻译', { language, translationId: result.id });
+    await recordTranslationRevision(result, {
+      source: options.source || (sessionId ? REVISION_SOURCE.SESSION : REVISION_SOURCE.MODEL),
+      sessionId,
+      actor,
+      previous
+    });
     invalidateCoverageCache(shopId, {
       language,
       scope: 'resource',
       scopeId: resourceId
     });
+    await refreshDerivedTranslations(result);
+    // 已通过或无需审核的译文写入翻译记忆，供后续相同片段复用（失败不影响保存）
+    // 待审核 / 低质量的机器译文不写入，避免未经确认的内容被再次复用
+    if (isMemoryEligible(translationData)) {
+      await recordTranslationMemoryForResource(resourceId, shopId, language, translationData);
+    }
     return result;
     
   } catch (error) {
@@ -0,0 +1,60 @@
+/**
+ * 派生译文同步
+ * - 译文保存（模型翻译 / 增量翻译 / 人工编辑 / 审核修改 / 导入 / 回滚）后，更新由它派生的译文
+ * - 地区变体：重新派生继承该语言的子语言（fr 保存后更新 fr-CA）
+ * - 市场覆盖：按该语言已启用的市场覆盖重新生成市场译文（en 保存后更新英国市场版本）
+ * - 派生失败不影响已保存的译文，只记录日志
+ */
+
+import { logger } from '../utils/logger.server.js';
+
+/**
+ * 同步由已保存译文派生的内容
+ * @param {{ shopId: string, resourceId: string, language: string }} translation 刚保存的译文记录
+ */
+export async function refreshDerivedTranslations(translation) {
+  const { shopId, resourceId, language } = translation || {};
+  if (!shopId || !resourceId || !language) return;
+
+  try {
+    // 动态导入，避免与译文保存、修订模块循环依赖
+    const { rederiveInheritedChildren } = await import('./locale-inheritance.server.js');
+    await rederiveInheritedChildren(shopId, language, [resourceId]);
+  } catch (error) {
+    logger.warn('[DerivedTranslations] 重新派生地区变体译文失败', {
+      shopId,
+      resourceId,
+      language,
+      error: error.message
+    });
+  }
+
+  await refreshMarketOverrides(shopId, language, [resourceId]);
+}
+
+/**
+ * 重新生成某语言译文对应的市场专属译文
+ * @param {string} shopId
+ * @param {string} language - 刚保存的译文语言
+ * @param {Array<string>} resourceIds - 刚保存的资源
+ */
+export async function refreshMarketOverrides(shopId, language, resourceIds) {
+  if (!shopId || !language || !Array.isArray(resourceIds) || resourceIds.length === 0) return;
+
+  try {
+    const { refreshMarketTranslations } = await import('./market-translation.server.js');
+    await refreshMarketTranslations(shopId, language, resourceIds);
+  } catch (error) {
+    logger.warn('[DerivedTranslations] 重新生成市场译文失败', {
+      shopId,
+      language,
+      resources: resourceIds.length,
+      error: error.message
+    });
+  }
+}
+
+export default {
+  refreshDerivedTranslations,
+  refreshMarketOverrides
+};
@@ -0,0 +1,328 @@
+/**
+ * 字段级翻译锁服务
+ * - 锁定粒度：资源 + 语言 + 字段键
+ * - 字段键：译文列名（titleTrans、seoTitleTrans…）、Theme 键（dynamicFields.<key> / translatableFields.<key> /
+ *   localeContent / 扁平键）或增量翻译键（contentFields.<key>）
+ * - translateResource / translateThemeResource / performIncrementalTranslation 不再翻译已锁定字段，
+ *   saveTranslation 保存时保留已锁定字段的现有译文，因此锁在重新翻译和源内容更新后依然有效
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { getManualFields, MANUAL_OVERRIDE_REASON } from './manual-translation.server.js';
+import { SOURCE_FIELD_COLUMNS } from './content-digest-tracker.server.js';
+
+// Translation 列 -> 源字段（Translation.sourceDigests 的键）
+const COLUMN_SOURCE_FIELDS = Object.fromEntries(
+  Object.entries(SOURCE_FIELD_COLUMNS).map(([field, column]) => [column, field])
+);
+
+export const FIELD_LOCK_REASON = {
+  MANUAL: 'manual',
+  MANUAL_EDIT: 'manual_edit'
+};
+
+// Translation 表中的译文列
+export const TRANSLATION_COLUMN_FIELDS = [
+  'titleTrans',
+  'descTrans',
+  'handleTrans',
+  'summaryTrans',
+  'labelTrans',
+  'seoTitleTrans',
+  'seoDescTrans'
+];
+
+const THEME_SECTION_PREFIXES = ['dynamicFields', 'translatableFields'];
+
+/**
+ * 解析字段键在 Translation 中的位置
+ * @param {string} fieldKey
+ * @returns {{ column?: string, section?: string, key: string }}
+ */
+export function resolveLockPath(fieldKey) {
+  if (TRANSLATION_COLUMN_FIELDS.includes(fieldKey)) {
+    return { column: fieldKey, key: fieldKey };
+  }
+  for (const section of THEME_SECTION_PREFIXES) {
+    if (fieldKey.startsWith(`${section}.`)) {
+      return { section, key: fieldKey.slice(section.length + 1) };
+    }
+  }
+  return { key: fieldKey };
+}
+
+/**
+ * Theme 字段的锁定键
+ * @param {string} section - dynamicFields / translatableFields；扁平键传 null
+ * @param {string} key
+ */
+export function buildThemeLockKey(section, key) {
+  return section ? `${section}.${key}` : key;
+}
+
+/**
+ * 读取单个资源 + 语言的锁定字段
+ * @param {string} resourceId
+ * @param {string} language
+ * @returns {Promise<Set<string>>}
+ */
+export async function getFieldLocks(resourceId, language) {
+  if (!resourceId || !language) return new Set();
+  const rows = await prisma.translationFieldLock.findMany({
+    where: { resourceId, language },
+    select: { fieldKey: true }
+  });
+  return new Set(rows.map((row) => row.fieldKey));
+}
+
+/**
+ * 翻译前读取锁定字段；查询失败时不阻断翻译（保存阶段仍会保护已锁定字段）
+ * @param {string} resourceId
+ * @param {string} language
+ * @returns {Promise<Set<string>>}
+ */
+export async function loadFieldLocksSafe(resourceId, language) {
+  try {
+    return await getFieldLocks(resourceId, language);
+  } catch (error) {
+    logger.warn('[FieldLock] 读取字段锁失败，按未锁定处理', { resourceId, language, error: error.message });
+    return new Set();
+  }
+}
+
+/**
+ * 批量读取多个资源的锁定字段
+ * @param {string[]} resourceIds
+ * @param {string} language
+ * @returns {Promise<Map<string, Set<string>>>}
+ */
+export async function getFieldLocksForResources(resourceIds, language) {
+  const locks = new Map();
+  if (!Array.isArray(resourceIds) || resourceIds.length === 0 || !language) return locks;
+
+  const rows = await prisma.translationFieldLock.findMany({
+    where: { resourceId: { in: resourceIds }, language },
+    select: { resourceId: true, fieldKey: true }
+  });
+  for (const row of rows) {
+    if (!locks.has(row.resourceId)) locks.set(row.resourceId, new Set());
+    locks.get(row.resourceId).add(row.fieldKey);
+  }
+  return locks;
+}
+
+/**
+ * 列出店铺的字段锁
+ * @param {string} shopId
+ * @param {{ resourceId?: string, language?: string }} filters
+ */
+export async function listFieldLocks(shopId, { resourceId, language } = {}) {
+  return prisma.translationFieldLock.findMany({
+    where: {
+      shopId,
+      ...(resourceId && { resourceId }),
+      ...(language && { language })
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+function normalizeFieldKeys(fieldKeys) {
+  const keys = [...new Set((Array.isArray(fieldKeys) ? fieldKeys : [fieldKeys])
+    .filter((key) => typeof key === 'string' && key.trim())
+    .map((key) => key.trim()))];
+  if (keys.length === 0) {
+    throw new ValidationError('至少需要一个字段键', 'fieldKeys');
+  }
+  return keys;
+}
+
+/**
+ * 锁定字段
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.resourceId
+ * @param {string} params.language
+ * @param {string[]} params.fieldKeys
+ * @param {string} [params.lockedBy]
+ * @param {string} [params.reason]
+ * @returns {Promise<string[]>} 本次新增锁定的字段键
+ */
+export async function lockFields({ shopId, resourceId, language, fieldKeys, lockedBy = null, reason = FIELD_LOCK_REASON.MANUAL }) {
+  if (!language) {
+    throw new ValidationError('缺少目标语言', 'language');
+  }
+  const keys = normalizeFieldKeys(fieldKeys);
+
+  const resource = await prisma.resource.findFirst({
+    where: { id: resourceId, shopId },
+    select: { id: true }
+  });
+  if (!resource) {
+    throw new ValidationError('资源不存在或不属于当前店铺', 'resourceId');
+  }
+
+  const existing = await getFieldLocks(resourceId, language);
+  const added = keys.filter((key) => !existing.has(key));
+  for (const fieldKey of added) {
+    await prisma.translationFieldLock.create({
+      data: { shopId, resourceId, language, fieldKey, reason, lockedBy }
+    });
+  }
+
+  logger.info('[FieldLock] 锁定字段', { shopId, resourceId, language, added });
+  return added;
+}
+
+/**
+ * 解锁字段
+ * @returns {Promise<number>} 删除的锁数量
+ */
+export async function unlockFields({ shopId, resourceId, language, fieldKeys }) {
+  const keys = normalizeFieldKeys(fieldKeys);
+  const result = await prisma.translationFieldLock.deleteMany({
+    where: { shopId, resourceId, language, fieldKey: { in: keys } }
+  });
+  logger.info('[FieldLock] 解锁字段', { shopId, resourceId, language, fieldKeys: keys, count: result.count });
+  return result.count;
+}
+
+/**
+ * 批量锁定所有人工编辑过的字段
+ * 人工覆盖（MANUAL_OVERRIDE）转换为字段锁后解除资源级锁定，其余字段可继续自动翻译
+ * @param {string} shopId
+ * @param {{ language?: string, resourceIds?: string[], lockedBy?: string }} options
+ * @returns {Promise<{ translations: number, locked: number }>}
+ */
+export async function lockManuallyEditedFields(shopId, { language, resourceIds, lockedBy = null } = {}) {
+  const overrides = await prisma.translation.findMany({
+    where: {
+      shopId,
+      skipReason: MANUAL_OVERRIDE_REASON,
+      ...(language && { language }),
+      ...(Array.isArray(resourceIds) && resourceIds.length > 0 && { resourceId: { in: resourceIds } })
+    },
+    select: { id: true, resourceId: true, language: true, skipReason: true, skipConditions: true }
+  });
+
+  let locked = 0;
+  for (const translation of overrides) {
+    const manualFields = getManualFields(translation);
+    if (manualFields.length === 0) continue;
+
+    const added = await lockFields({
+      shopId,
+      resourceId: translation.resourceId,
+      language: translation.language,
+      fieldKeys: manualFields,
+      lockedBy,
+      reason: FIELD_LOCK_REASON.MANUAL_EDIT
+    });
+    locked += added.length;
+
+    await prisma.translation.update({
+      where: { id: translation.id },
+      data: { skipReason: null, skipConditions: Prisma.DbNull }
+    });
+  }
+
+  logger.info('[FieldLock] 批量锁定人工编辑字段', { shopId, language, translations: overrides.length, locked });
+  return { translations: overrides.length, locked };
+}
+
+/**
+ * 将已锁定字段恢复为现有译文（无现有译文时移除该字段，保持未翻译）
+ * @param {Object} data - 待保存的译文数据
+ * @param {Object|null} existing - 现有 Translation
+ * @param {Set<string>} locks
+ * @returns {Object} 新的译文数据
+ */
+export function applyFieldLocks(data, existing, locks) {
+  if (!locks || locks.size === 0) return data;
+
+  const result = { ...data };
+  const existingFields = existing?.translationFields || {};
+  let translationFields = result.translationFields && typeof result.translationFields === 'object'
+    ? { ...result.translationFields }
+    : null;
+  const sourceDigests = result.sourceDigests && typeof result.sourceDigests === 'object'
+    ? { ...result.sourceDigests }
+    : null;
+
+  for (const fieldKey of locks) {
+    const { column, section, key } = resolveLockPath(fieldKey);
+
+    // 锁定字段沿用现有译文，其依据的源 digest 也沿用现有快照
+    const digestKey = column ? COLUMN_SOURCE_FIELDS[column] : (!section && key.startsWith('contentFields.') ? key : null);
+    if (sourceDigests && digestKey) {
+      if (existing?.sourceDigests?.[digestKey] != null) {
+        sourceDigests[digestKey] = existing.sourceDigests[digestKey];
+      } else {
+        delete sourceDigests[digestKey];
+      }
+    }
+
+    if (column) {
+      if (existing?.[column] != null) {
+        result[column] = existing[column];
+      } else {
+        delete result[column];
+      }
+      continue;
+    }
+
+    if (!translationFields) continue;
+
+    if (section === 'dynamicFields' && translationFields.dynamicFields) {
+      const dynamicFields = { ...translationFields.dynamicFields };
+      if (existingFields.dynamicFields?.[key] !== undefined) {
+        dynamicFields[key] = existingFields.dynamicFields[key];
+      } else {
+        delete dynamicFields[key];
+      }
+      translationFields.dynamicFields = dynamicFields;
+    } else if (section === 'translatableFields' && Array.isArray(translationFields.translatableFields)) {
+      const previous = Array.isArray(existingFields.translatableFields)
+        ? existingFields.translatableFields.find((field) => field?.key === key)
+        : null;
+      translationFields.translatableFields = translationFields.translatableFields
+        .map((field) => (field?.key === key ? previous : field))
+        .filter(Boolean);
+    } else if (!section) {
+      if (existingFields[key] !== undefined) {
+        translationFields[key] = existingFields[key];
+      } else {
+        delete translationFields[key];
+      }
+    }
+  }
+
+  if (translationFields) {
+    result.translationFields = translationFields;
+  }
+  if (sourceDigests) {
+    result.sourceDigests = sourceDigests;
+  }
+  return result;
+}
+
+/**
+ * 保存前强制执行字段锁
+ * @param {string} resourceId
+ * @param {string} language
+ * @param {Object} data
+ * @returns {Promise<Object>}
+ */
+export async function enforceFieldLocks(resourceId, language, data) {
+  const locks = await getFieldLocks(resourceId, language);
+  if (locks.size === 0) return data;
+
+  const existing = await prisma.translation.findUnique({
+    where: { resourceId_language: { resourceId, language } }
+  });
+  logger.debug('[FieldLock] 保留已锁定字段', { resourceId, language, fieldKeys: [...locks] });
+  return applyFieldLocks(data, existing, locks);
+}
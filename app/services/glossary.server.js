@@ -0,0 +1,430 @@
+/**
+ * 店铺术语表服务
+ * - 维护源术语 -> 各语言目标译法（区分大小写、保持原文、词性备注）
+ * - 为提示词筛选命中的术语
+ * - 校验译文是否遵守术语表
+ * - CSV 导入/导出
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { stripHtml } from '../utils/html-utils.server.js';
+
+const CACHE_TTL = 5 * 60 * 1000;
+const glossaryCache = new Map();
+
+const BASE_COLUMNS = ['source_term', 'case_sensitive', 'do_not_translate', 'part_of_speech', 'notes'];
+
+function escapeRegExp(value = '') {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isWordChar(char = '') {
+  return /[A-Za-z0-9]/.test(char);
+}
+
+/**
+ * 构建术语匹配正则：拉丁字符术语使用单词边界，CJK 等术语直接子串匹配
+ */
+function buildTermPattern(term, caseSensitive) {
+  const escaped = escapeRegExp(term);
+  const prefix = isWordChar(term[0]) ? '(?<![\\p{L}\\p{N}])' : '';
+  const suffix = isWordChar(term[term.length - 1]) ? '(?![\\p{L}\\p{N}])' : '';
+  return new RegExp(`${prefix}${escaped}${suffix}`, caseSensitive ? 'u' : 'iu');
+}
+
+function getBaseLanguage(lang = '') {
+  return String(lang).split(/[-_]/)[0];
+}
+
+/**
+ * 获取术语在目标语言下的译法；保持原文的术语返回源术语
+ * @param {Object} term GlossaryTerm
+ * @param {string} targetLang
+ * @returns {string|null}
+ */
+export function resolveTargetTerm(term, targetLang) {
+  if (term.doNotTranslate) {
+    return term.sourceTerm;
+  }
+  const translations = term.translations && typeof term.translations === 'object' ? term.translations : {};
+  const value = translations[targetLang] ?? translations[getBaseLanguage(targetLang)];
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * 从术语表中筛选原文命中且对目标语言有效的条目
+ * @param {string} text 原文
+ * @param {Array} terms GlossaryTerm 列表
+ * @param {string} targetLang
+ * @returns {Array<{sourceTerm: string, targetTerm: string, doNotTranslate: boolean, caseSensitive: boolean, partOfSpeech?: string, notes?: string}>}
+ */
+export function findMatchingTerms(text, terms = [], targetLang) {
+  if (!text || !Array.isArray(terms) || terms.length === 0) {
+    return [];
+  }
+
+  const plainText = /<[^>]+>/.test(text) ? stripHtml(text) : text;
+  const matches = [];
+
+  for (const term of terms) {
+    if (!term?.sourceTerm || term.isActive === false) continue;
+
+    const targetTerm = resolveTargetTerm(term, targetLang);
+    if (!targetTerm) continue;
+
+    if (buildTermPattern(term.sourceTerm, term.caseSensitive).test(plainText)) {
+      matches.push({
+        sourceTerm: term.sourceTerm,
+        targetTerm,
+        doNotTranslate: Boolean(term.doNotTranslate),
+        caseSensitive: Boolean(term.caseSensitive),
+        partOfSpeech: term.partOfSpeech || undefined,
+        notes: term.notes || undefined
+      });
+    }
+  }
+
+  // 长术语优先，避免 "rain jacket" 被 "jacket" 覆盖
+  return matches.sort((a, b) => b.sourceTerm.length - a.sourceTerm.length);
+}
+
+/**
+ * 生成注入提示词的术语表段落
+ * @param {Array} matches findMatchingTerms 的结果
+ * @returns {string}
+ */
+export function buildGlossaryPromptSection(matches = []) {
+  if (!Array.isArray(matches) || matches.length === 0) {
+    return '';
+  }
+
+  const lines = matches.map((entry) => {
+    const hints = [];
+    if (entry.partOfSpeech) hints.push(`词性: ${entry.partOfSpeech}`);
+    if (entry.notes) hints.push(`备注: ${entry.notes}`);
+    if (entry.caseSensitive) hints.push('区分大小写');
+    const suffix = hints.length ? `（${hints.join('；')}）` : '';
+
+    return entry.doNotTranslate
+      ? `- "${entry.sourceTerm}" → 保持原文不翻译${suffix}`
+      : `- "${entry.sourceTerm}" → "${entry.targetTerm}"${suffix}`;
+  });
+
+  return `术语表（必须严格遵守，优先级高于其他规则）：
+${lines.join('\n')}
+`;
+}
+
+/**
+ * 校验译文是否遵守术语表
+ * @param {Object} params
+ * @param {string} params.translatedText
+ * @param {Array} params.matches findMatchingTerms 的结果
+ * @returns {{ passed: boolean, violations: Array<{sourceTerm: string, expected: string, type: string}> }}
+ */
+export function checkGlossaryCompliance({ translatedText, matches = [] }) {
+  if (!translatedText || !Array.isArray(matches) || matches.length === 0) {
+    return { passed: true, violations: [] };
+  }
+
+  const plainText = /<[^>]+>/.test(translatedText) ? stripHtml(translatedText) : translatedText;
+  const violations = [];
+
+  for (const entry of matches) {
+    const pattern = buildTermPattern(entry.targetTerm, entry.caseSensitive);
+    if (!pattern.test(plainText)) {
+      violations.push({
+        sourceTerm: entry.sourceTerm,
+        expected: entry.targetTerm,
+        type: entry.doNotTranslate ? 'do_not_translate' : 'missing_target'
+      });
+    }
+  }
+
+  return { passed: violations.length === 0, violations };
+}
+
+/**
+ * 合并多次翻译调用的术语违规（同一字段的同一术语只保留一条）
+ * @param {Array} existing
+ * @param {Array} violations
+ * @param {string} [field] - 违规所在字段
+ * @returns {Array<{sourceTerm: string, expected: string, type: string, field?: string}>}
+ */
+export function mergeGlossaryViolations(existing = [], violations = [], field) {
+  const merged = [...existing];
+  const seen = new Set(merged.map((item) => `${item.field || ''}|${item.sourceTerm}|${item.expected}`));
+  for (const violation of Array.isArray(violations) ? violations : []) {
+    const entry = field ? { ...violation, field } : violation;
+    const key = `${entry.field || ''}|${entry.sourceTerm}|${entry.expected}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(entry);
+  }
+  return merged;
+}
+
+/**
+ * 获取店铺启用中的术语（带缓存）
+ * @param {string} shopId
+ * @returns {Promise<Array>}
+ */
+export async function getGlossaryTerms(shopId) {
+  if (!shopId) return [];
+
+  const cached = glossaryCache.get(shopId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.terms;
+  }
+
+  try {
+    const terms = await prisma.glossaryTerm.findMany({
+      where: { shopId, isActive: true },
+      orderBy: { sourceTerm: 'asc' }
+    });
+    glossaryCache.set(shopId, { terms, expiresAt: Date.now() + CACHE_TTL });
+    return terms;
+  } catch (error) {
+    logger.warn('[Glossary] 读取术语表失败，本次翻译不使用术语表', { shopId, error: error.message });
+    return [];
+  }
+}
+
+export function invalidateGlossaryCache(shopId) {
+  if (shopId) {
+    glossaryCache.delete(shopId);
+  } else {
+    glossaryCache.clear();
+  }
+}
+
+/**
+ * 规范化术语输入
+ */
+function normalizeTermInput(input = {}) {
+  const sourceTerm = typeof input.sourceTerm === 'string' ? input.sourceTerm.trim() : '';
+  if (!sourceTerm) {
+    throw new ValidationError('sourceTerm is required', 'sourceTerm');
+  }
+
+  const translations = {};
+  for (const [locale, value] of Object.entries(input.translations || {})) {
+    if (locale && typeof value === 'string' && value.trim()) {
+      translations[locale.trim()] = value.trim();
+    }
+  }
+
+  return {
+    sourceTerm,
+    translations,
+    caseSensitive: Boolean(input.caseSensitive),
+    doNotTranslate: Boolean(input.doNotTranslate),
+    partOfSpeech: input.partOfSpeech?.trim() || null,
+    notes: input.notes?.trim() || null,
+    isActive: input.isActive !== false
+  };
+}
+
+export async function listGlossaryTerms(shopId, { includeInactive = true } = {}) {
+  return prisma.glossaryTerm.findMany({
+    where: includeInactive ? { shopId } : { shopId, isActive: true },
+    orderBy: { sourceTerm: 'asc' }
+  });
+}
+
+export async function upsertGlossaryTerm(shopId, input) {
+  const data = normalizeTermInput(input);
+  const term = await prisma.glossaryTerm.upsert({
+    where: { shopId_sourceTerm: { shopId, sourceTerm: data.sourceTerm } },
+    update: data,
+    create: { shopId, ...data }
+  });
+  invalidateGlossaryCache(shopId);
+  return term;
+}
+
+export async function deleteGlossaryTerm(shopId, id) {
+  const result = await prisma.glossaryTerm.deleteMany({ where: { shopId, id } });
+  invalidateGlossaryCache(shopId);
+  return result.count;
+}
+
+function parseBoolean(value) {
+  return ['true', '1', 'yes', 'y'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * 解析 CSV 文本（支持双引号转义与字段内换行）
+ * @param {string} csv
+ * @returns {string[][]}
+ */
+export function parseCsv(csv = '') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const text = csv.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function escapeCsvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV 行 -> 术语输入。表头：source_term,case_sensitive,do_not_translate,part_of_speech,notes,<locale>...
+ * @param {string} csv
+ * @returns {{ terms: Array, errors: Array<{line: number, message: string}> }}
+ */
+export function parseGlossaryCsv(csv) {
+  const rows = parseCsv(csv);
+  if (rows.length === 0) {
+    return { terms: [], errors: [] };
+  }
+
+  const header = rows[0].map((cell) => cell.trim());
+  if (header[0]?.toLowerCase() !== 'source_term') {
+    throw new ValidationError('CSV header must start with source_term', 'csv');
+  }
+
+  const localeColumns = header
+    .map((name, index) => ({ name, index }))
+    .filter(({ name }) => name && !BASE_COLUMNS.includes(name.toLowerCase()));
+  const columnIndex = (name) => header.findIndex((cell) => cell.toLowerCase() === name);
+
+  const terms = [];
+  const errors = [];
+
+  rows.slice(1).forEach((cells, offset) => {
+    const line = offset + 2;
+    const sourceTerm = cells[0]?.trim();
+    if (!sourceTerm) {
+      errors.push({ line, message: 'source_term is empty' });
+      return;
+    }
+
+    const cell = (name) => {
+      const index = columnIndex(name);
+      return index >= 0 ? cells[index] : undefined;
+    };
+
+    const translations = {};
+    for (const { name, index } of localeColumns) {
+      const value = cells[index]?.trim();
+      if (value) translations[name] = value;
+    }
+
+    terms.push({
+      sourceTerm,
+      translations,
+      caseSensitive: parseBoolean(cell('case_sensitive')),
+      doNotTranslate: parseBoolean(cell('do_not_translate')),
+      partOfSpeech: cell('part_of_speech'),
+      notes: cell('notes')
+    });
+  });
+
+  return { terms, errors };
+}
+
+/**
+ * 术语列表 -> CSV 文本（语言列按字母排序）
+ * @param {Array} terms
+ * @returns {string}
+ */
+export function buildGlossaryCsv(terms = []) {
+  const locales = [...new Set(
+    terms.flatMap((term) => Object.keys(term.translations || {}))
+  )].sort();
+
+  const lines = [[...BASE_COLUMNS, ...locales].join(',')];
+  for (const term of terms) {
+    const translations = term.translations || {};
+    lines.push([
+      term.sourceTerm,
+      term.caseSensitive ? 'true' : 'false',
+      term.doNotTranslate ? 'true' : 'false',
+      term.partOfSpeech || '',
+      term.notes || '',
+      ...locales.map((locale) => translations[locale] || '')
+    ].map(escapeCsvField).join(','));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 导入 CSV 术语表
+ * @param {string} shopId
+ * @param {string} csv
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] 是否先清空现有术语
+ * @returns {Promise<{ imported: number, errors: Array }>}
+ */
+export async function importGlossaryCsv(shopId, csv, { replace = false } = {}) {
+  const { terms, errors } = parseGlossaryCsv(csv);
+
+  await prisma.$transaction(async (tx) => {
+    if (replace) {
+      await tx.glossaryTerm.deleteMany({ where: { shopId } });
+    }
+    for (const input of terms) {
+      const data = normalizeTermInput(input);
+      await tx.glossaryTerm.upsert({
+        where: { shopId_sourceTerm: { shopId, sourceTerm: data.sourceTerm } },
+        update: data,
+        create: { shopId, ...data }
+      });
+    }
+  });
+
+  invalidateGlossaryCache(shopId);
+  logger.info('[Glossary] CSV导入完成', { shopId, imported: terms.length, errors: errors.length, replace });
+
+  return { imported: terms.length, errors };
+}
+
+export async function exportGlossaryCsv(shopId) {
+  const terms = await listGlossaryTerms(shopId);
+  return buildGlossaryCsv(terms);
+}
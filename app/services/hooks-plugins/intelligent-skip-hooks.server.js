@@ -120,7 +120,7 @@ export const intelligentSkipHooks = {
           resourceType: context.resourceType,
           fieldName: context.fieldName
         });
-        return true; // HTML内容需要翻译，让protectHtmlTags处理
+        return true; // HTML内容需要翻译，交给 DOM 分段翻译处理
       }
 
       // 8. 特殊内容检查（非HTML的技术内容）
@@ -247,14 +247,6 @@ export const intelligentSkipHooks = {
   }
 };
 
-/**
- * 检查是否为英文文本
- */
-function isLikelyEnglish(text) {
-  const englishPattern = /^[a-zA-Z0-9\s\.,!?'"-]+$/;
-  return englishPattern.test(text.trim());
-}
-
 /**
  * 检查是否为特殊内容（不需要翻译）
  */
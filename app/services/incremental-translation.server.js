@@ -7,72 +7,54 @@ import { prisma } from '../db.server.js';
 import { logger } from '../utils/logger.server.js';
 import { translateTextWithFallback } from './translation.server.js';
 import { getLinkConversionConfig } from './market-urls.server.js';
-import crypto from 'crypto';
+import { getFieldLocksForResources } from './field-lock.server.js';
+import { recordTranslationRevision, REVISION_SOURCE } from './translation-revision.server.js';
+import { refreshDerivedTranslations } from './derived-translations.server.js';
+import { getLocaleInheritance } from './locale-inheritance.server.js';
+import { toPromptProfileAudit } from './prompt-profile.server.js';
+import { mergeGlossaryViolations } from './glossary.server.js';
+import { assessTranslationReview } from './translation-review.server.js';
+import {
+  calculateSourceDigest as calculateContentDigest,
+  extractSourceFields,
+  getFieldTranslationStates,
+  buildSourceDigests,
+  mergeSourceDigests,
+  FIELD_TRANSLATION_STATUS
+} from './content-digest-tracker.server.js';
 
 /**
- * 计算内容摘要
- * @param {string} content - 内容
- * @returns {string} 摘要哈希值
+ * 提取资源中可增量翻译的字段
+ * @param {Object} resource - 资源对象
+ * @returns {Array<{field: string, targetField: string, translationFieldKey: string, content: string}>}
  */
-function calculateContentDigest(content) {
-  if (!content || typeof content !== 'string') {
-    return null;
-  }
-  return crypto.createHash('md5').update(content.trim()).digest('hex');
+export function extractTranslatableFields(resource) {
+  return extractSourceFields(resource);
 }
 
-const BASE_TRANSLATABLE_FIELDS = {
-  title: 'titleTrans',
-  description: 'descTrans',
-  seoTitle: 'seoTitleTrans',
-  seoDescription: 'seoDescTrans',
-  summary: 'summaryTrans',
-  label: 'labelTrans'
+const DETECTION_REASONS = {
+  [FIELD_TRANSLATION_STATUS.MISSING]: 'no_translation',
+  [FIELD_TRANSLATION_STATUS.UNVERIFIED]: 'no_digest',
+  [FIELD_TRANSLATION_STATUS.OUTDATED]: 'content_changed'
 };
 
-function extractTranslatableFields(resource) {
-  const collected = [];
-
-  for (const [field, targetField] of Object.entries(BASE_TRANSLATABLE_FIELDS)) {
-    const value = resource?.[field];
-    if (typeof value === 'string' && value.trim() !== '') {
-      collected.push({
-        field,
-        targetField,
-        translationFieldKey: field,
-        content: value
-      });
-    }
-  }
-
-  const contentFields = resource?.contentFields || {};
-  for (const [key, value] of Object.entries(contentFields)) {
-    const shouldInclude =
-      typeof value === 'string' &&
-      value.trim() !== '' &&
-      (key.includes('text') || key.includes('title') || key.includes('description'));
-
-    if (shouldInclude) {
-      const compoundKey = `contentFields.${key}`;
-      collected.push({
-        field: compoundKey,
-        targetField: compoundKey,
-        translationFieldKey: compoundKey,
-        content: value
-      });
-    }
-  }
-
-  return collected;
-}
+// 可用于筛选重译范围的字段状态
+export const INCREMENTAL_FIELD_STATUSES = [
+  FIELD_TRANSLATION_STATUS.OUTDATED,
+  FIELD_TRANSLATION_STATUS.MISSING,
+  FIELD_TRANSLATION_STATUS.UNVERIFIED
+];
 
 /**
  * 检测资源中未翻译的字段
  * @param {Object} resource - 资源对象
  * @param {string} language - 目标语言
- * @returns {Promise<Array>} 未翻译字段列表
+ * @param {Object|null} existingTranslation - 已查询的译文记录（可选）
+ * @param {Object} options
+ * @param {Array<string>|null} options.statuses - 只返回指定状态的字段（outdated / missing / unverified）
+ * @returns {Promise<Array>} 未翻译字段列表，每项带 status 与 reason
  */
-export async function detectUntranslatedFields(resource, language, existingTranslation = null) {
+export async function detectUntranslatedFields(resource, language, existingTranslation = null, options = {}) {
   try {
     const translationRecord = existingTranslation ?? await prisma.translation.findUnique({
       where: {
@@ -83,36 +65,24 @@ export async function detectUntranslatedFields(resource, language, existingTrans
       }
     });
 
-    const untranslatedFields = [];
-    const contentDigests = resource.contentDigests || {};
-    const translationFields = translationRecord?.translationFields || {};
-    const translatableEntries = extractTranslatableFields(resource);
-
-    for (const entry of translatableEntries) {
-      const { field, targetField, translationFieldKey, content } = entry;
-      const currentDigest = calculateContentDigest(content);
-      const storedDigest = contentDigests[field];
-      const translatedValue = translationFields?.[translationFieldKey] ?? translationRecord?.[targetField];
-
-      const needsTranslation =
-        !translatedValue ||
-        !storedDigest ||
-        storedDigest !== currentDigest;
-
-      if (needsTranslation) {
-        untranslatedFields.push({
-          field,
-          targetField,
-          content,
-          reason: !translatedValue ? 'no_translation' : !storedDigest ? 'no_digest' : 'content_changed'
-        });
-      }
-    }
+    const statuses = options.statuses?.length ? new Set(options.statuses) : null;
+    const fieldStates = getFieldTranslationStates(resource, translationRecord);
+    const untranslatedFields = fieldStates
+      .filter((state) => state.status !== FIELD_TRANSLATION_STATUS.UP_TO_DATE)
+      .filter((state) => !statuses || statuses.has(state.status))
+      .map(({ field, targetField, content, status }) => ({
+        field,
+        targetField,
+        content,
+        status,
+        reason: DETECTION_REASONS[status]
+      }));
 
     logger.info(`检测到 ${untranslatedFields.length} 个未翻译字段`, {
       resourceId: resource.id,
       language,
-      totalTranslatableFields: translatableEntries.length,
+      totalTranslatableFields: fieldStates.length,
+      statuses: statuses ? [...statuses] : 'all',
       fields: untranslatedFields.map((f) => f.field)
     });
 
@@ -137,6 +107,9 @@ export async function translateSpecificFields(resource, untranslatedFields, lang
     const newContentDigests = { ...resource.contentDigests };
     let successCount = 0;
     let failureCount = 0;
+    // 只有实际构建了提示词的策略会返回配置审计字段
+    let promptProfileAudit = toPromptProfileAudit(null);
+    let glossaryViolations = [];
 
     for (const fieldInfo of untranslatedFields) {
       try {
@@ -148,7 +121,8 @@ export async function translateSpecificFields(resource, untranslatedFields, lang
 
         // 🆕 构建翻译选项
         const translationOptions = {
-          shopId: resource.shopId
+          shopId: resource.shopId,
+          resourceType: resource.resourceType
         };
         if (linkConversionConfig) {
           translationOptions.linkConversion = linkConversionConfig;
@@ -159,6 +133,10 @@ export async function translateSpecificFields(resource, untranslatedFields, lang
 
         if (result.success) {
           translationResults[fieldInfo.targetField] = result.text;
+          if (result.promptProfileAudit?.promptProfileId) {
+            promptProfileAudit = result.promptProfileAudit;
+          }
+          glossaryViolations = mergeGlossaryViolations(glossaryViolations, result.glossaryViolations, fieldInfo.targetField);
           // 更新内容摘要
           newContentDigests[fieldInfo.field] = calculateContentDigest(fieldInfo.content);
           successCount++;
@@ -180,6 +158,8 @@ export async function translateSpecificFields(resource, untranslatedFields, lang
     return {
       translationResults,
       newContentDigests,
+      promptProfileAudit,
+      glossaryViolations,
       stats: {
         total: untranslatedFields.length,
         success: successCount,
@@ -198,9 +178,12 @@ export async function translateSpecificFields(resource, untranslatedFields, lang
  * @param {Object} translationResults - 翻译结果
  * @param {Object} newContentDigests - 新的内容摘要
  * @param {string} language - 目标语言
+ * @param {Object} [options]
+ * @param {Object} [options.promptProfileAudit] - 翻译时实际使用的提示词配置
+ * @param {Array} [options.glossaryViolations] - 翻译时检出的术语表违规
  * @returns {Promise<Object>} 保存结果
  */
-export async function saveIncrementalTranslation(resource, translationResults, newContentDigests, language) {
+export async function saveIncrementalTranslation(resource, translationResults, newContentDigests, language, options = {}) {
   try {
     // 获取现有翻译记录
     const existingTranslation = await prisma.translation.findUnique({
@@ -215,6 +198,22 @@ export async function saveIncrementalTranslation(resource, translationResults, n
     // 合并翻译字段
     const existingFields = existingTranslation?.translationFields || {};
     const mergedFields = { ...existingFields, ...translationResults };
+    // 记录本次译文依据的源 digest，未重译字段保留原快照
+    const sourceDigests = mergeSourceDigests(
+      existingTranslation?.sourceDigests,
+      buildSourceDigests(resource, Object.keys(translationResults))
+    );
+    const promptProfileAudit = options.promptProfileAudit || toPromptProfileAudit(null);
+    // 与 saveTranslation 相同的质量评估：重置审核状态，避免旧的 approved 让未审核的新译文直接发布
+    const reviewPairs = extractSourceFields(resource)
+      .filter((entry) => typeof translationResults[entry.targetField] === 'string')
+      .map((entry) => ({ sourceText: entry.content, translatedText: translationResults[entry.targetField] }));
+    const reviewState = await assessTranslationReview({
+      shopId: resource.shopId,
+      language,
+      pairs: reviewPairs,
+      glossaryViolations: options.glossaryViolations || []
+    });
 
     // 使用事务更新资源和翻译
     const result = await prisma.$transaction(async (tx) => {
@@ -237,10 +236,13 @@ export async function saveIncrementalTranslation(resource, translationResults, n
         },
         update: {
           translationFields: mergedFields,
+          sourceDigests,
           status: 'completed',
           syncStatus: 'pending',
+          inheritedFrom: null,
           sourceVersion: resource.contentVersion + 1,
-          qualityScore: 0.8, // 默认质量评分
+          ...reviewState,
+          ...promptProfileAudit,
           updatedAt: new Date()
         },
         create: {
@@ -248,16 +250,21 @@ export async function saveIncrementalTranslation(resource, translationResults, n
           shopId: resource.shopId,
           language: language,
           translationFields: mergedFields,
+          sourceDigests,
           status: 'completed',
           syncStatus: 'pending',
           sourceVersion: resource.contentVersion + 1,
-          qualityScore: 0.8
+          ...reviewState,
+          ...promptProfileAudit
         }
       });
 
       return savedTranslation;
     });
 
+    await recordTranslationRevision(result, { source: REVISION_SOURCE.MODEL, actor: 'incremental', previous: existingTranslation });
+    await refreshDerivedTranslations(result);
+
     logger.info('增量翻译保存成功', {
       resourceId: resource.id,
       language,
@@ -320,6 +327,7 @@ export async function performIncrementalScan({
     let resourcesWithGaps = 0;
     let totalTranslatableFields = 0;
     let totalUntranslatedFields = 0;
+    let totalOutdatedFields = 0;
 
     const details = [];
 
@@ -336,6 +344,7 @@ export async function performIncrementalScan({
       if (untranslated.length > 0) {
         resourcesWithGaps += 1;
         totalUntranslatedFields += untranslated.length;
+        totalOutdatedFields += untranslated.filter((field) => field.status === FIELD_TRANSLATION_STATUS.OUTDATED).length;
 
         if (includeDetails) {
           details.push({
@@ -345,6 +354,7 @@ export async function performIncrementalScan({
             untranslatedCount: untranslated.length,
             untranslatedFields: untranslated.map((field) => ({
               field: field.field,
+              status: field.status,
               reason: field.reason,
               preview: field.content.slice(0, 140)
             }))
@@ -366,6 +376,7 @@ export async function performIncrementalScan({
       resourcesWithGaps,
       totalTranslatableFields,
       totalUntranslatedFields,
+      totalOutdatedFields,
       coverageRate: Number(coverageRate.toFixed(4)),
       reportGeneratedAt: new Date().toISOString()
     };
@@ -386,9 +397,43 @@ export async function performIncrementalScan({
   }
 }
 
-export async function performIncrementalTranslation(shopId, language, resourceIds = []) {
+/**
+ * 执行增量翻译
+ * @param {string} shopId - 店铺ID
+ * @param {string} language - 目标语言
+ * @param {Array} resourceIds - 资源ID列表，为空则处理所有资源
+ * @param {Object} options
+ * @param {Array<string>|null} options.fieldStatuses - 只重译指定状态的字段（如仅 outdated）
+ * @returns {Promise<Object>} 翻译结果统计
+ */
+export async function performIncrementalTranslation(shopId, language, resourceIds = [], options = {}) {
   try {
-    logger.info('开始增量翻译', { shopId, language, resourceCount: resourceIds.length || 'all' });
+    const fieldStatuses = options.fieldStatuses?.length ? options.fieldStatuses : null;
+
+    // 继承父语言的地区变体随父语言译文保存自动派生，不单独翻译
+    const inheritance = await getLocaleInheritance(shopId, language);
+    if (inheritance) {
+      logger.info('语言继承父语言译文，跳过增量翻译', { shopId, language, parentCode: inheritance.parentCode });
+      return {
+        shopId,
+        language,
+        resourcesProcessed: 0,
+        fieldsTranslated: 0,
+        fieldsLocked: 0,
+        fieldStatuses: fieldStatuses || 'all',
+        successCount: 0,
+        failureCount: 0,
+        totalResources: 0,
+        skippedReason: 'inherited_locale',
+        inheritedFrom: inheritance.parentCode
+      };
+    }
+    logger.info('开始增量翻译', {
+      shopId,
+      language,
+      resourceCount: resourceIds.length || 'all',
+      fieldStatuses: fieldStatuses || 'all'
+    });
 
     // 🆕 获取链接转换配置（只调用一次）
     const linkConversionConfig = await getLinkConversionConfig(
@@ -415,10 +460,14 @@ export async function performIncrementalTranslation(shopId, language, resourceId
       }
     });
 
+    // 字段级锁：已锁定字段不参与增量翻译
+    const fieldLocks = await getFieldLocksForResources(resources.map((resource) => resource.id), language);
+
     let totalProcessed = 0;
     let totalSuccess = 0;
     let totalFailure = 0;
     let totalFieldsTranslated = 0;
+    let totalFieldsLocked = 0;
 
     for (const resource of resources) {
       try {
@@ -426,7 +475,14 @@ export async function performIncrementalTranslation(shopId, language, resourceId
         const translationRecord = Array.isArray(resource.translations)
           ? resource.translations.find((item) => item.language === language)
           : null;
-        const untranslatedFields = await detectUntranslatedFields(resource, language, translationRecord);
+        const lockedKeys = fieldLocks.get(resource.id);
+        const detectedFields = await detectUntranslatedFields(resource, language, translationRecord, {
+          statuses: fieldStatuses
+        });
+        const untranslatedFields = lockedKeys
+          ? detectedFields.filter((field) => !lockedKeys.has(field.targetField))
+          : detectedFields;
+        totalFieldsLocked += detectedFields.length - untranslatedFields.length;
 
         if (untranslatedFields.length === 0) {
           logger.debug(`资源 ${resource.id} 无需翻译`);
@@ -441,7 +497,11 @@ export async function performIncrementalTranslation(shopId, language, resourceId
           resource,
           translationResult.translationResults,
           translationResult.newContentDigests,
-          language
+          language,
+          {
+            promptProfileAudit: translationResult.promptProfileAudit,
+            glossaryViolations: translationResult.glossaryViolations
+          }
         );
 
         totalProcessed++;
@@ -462,6 +522,8 @@ export async function performIncrementalTranslation(shopId, language, resourceId
       language,
       resourcesProcessed: totalProcessed,
       fieldsTranslated: totalFieldsTranslated,
+      fieldsLocked: totalFieldsLocked,
+      fieldStatuses: fieldStatuses || 'all',
       successCount: totalSuccess,
       failureCount: totalFailure,
       totalResources: resources.length
@@ -35,7 +35,8 @@ export class IntelligentSkipEngine {
         sessionId,
         forceEvaluation = false,
         skipRules = {},
-        qualityThreshold = 0.7
+        qualityThreshold = 0.7,
+        dryRun = false // 预估时只评估，不写入跳过决策
       } = options;
 
       // 检查是否已有有效的翻译
@@ -47,7 +48,7 @@ export class IntelligentSkipEngine {
         this._evaluateErrorProneness(resource, targetLanguage),
         this._evaluateQualityHistory(resource, targetLanguage),
         this._evaluateUserRules(resource, targetLanguage, skipRules),
-        this._evaluateResourceLock(resource, targetLanguage)
+        this._evaluateResourceLock(resource, targetLanguage, existingTranslation)
       ]);
 
       // 综合评估结果
@@ -59,7 +60,7 @@ export class IntelligentSkipEngine {
       });
 
       // 记录跳过决策
-      if (skipDecision.shouldSkip) {
+      if (skipDecision.shouldSkip && !dryRun) {
         await this._recordSkipDecision(resource.id, targetLanguage, skipDecision, sessionId);
       }
 
@@ -214,11 +215,16 @@ export class IntelligentSkipEngine {
       if (hasChanged) {
         await prisma.translation.updateMany({
           where: { resourceId },
-          data: {
-            sourceVersion: newVersion,
-            // 可选：标记为需要重新翻译
-            skipReason: null
-          }
+          data: { sourceVersion: newVersion }
+        });
+        // 可选：标记为需要重新翻译（人工锁定的译文保持锁定）
+        await prisma.translation.updateMany({
+          where: {
+            resourceId,
+            skipReason: { not: null },
+            NOT: { skipReason: 'MANUAL_OVERRIDE' }
+          },
+          data: { skipReason: null }
         });
 
         logger.info('资源内容变更检测', {
@@ -559,7 +565,26 @@ export class IntelligentSkipEngine {
    * 评估资源锁定状态
    * @private
    */
-  async _evaluateResourceLock(resource, language) {
+  async _evaluateResourceLock(resource, language, existingTranslation = null) {
+    // 人工覆盖的译文已锁定，不再自动翻译
+    if (existingTranslation?.skipReason === 'MANUAL_OVERRIDE') {
+      let details = existingTranslation.skipConditions || {};
+      if (typeof details === 'string') {
+        try {
+          details = JSON.parse(details);
+        } catch {
+          details = {};
+        }
+      }
+      return {
+        type: 'RESOURCE_LOCK',
+        shouldSkip: true,
+        reason: 'MANUAL_OVERRIDE',
+        score: 1.0,
+        details
+      };
+    }
+
     // 检查是否有正在进行的翻译
     const activeTranslation = await prisma.translation.findFirst({
       where: {
@@ -579,6 +604,22 @@ export class IntelligentSkipEngine {
       };
     }
 
+    // 字段级锁只跳过对应字段，资源其余字段仍可翻译
+    const fieldLocks = await prisma.translationFieldLock.findMany({
+      where: { resourceId: resource.id, language },
+      select: { fieldKey: true }
+    });
+
+    if (fieldLocks.length > 0) {
+      return {
+        type: 'RESOURCE_LOCK',
+        shouldSkip: false,
+        reason: 'FIELDS_LOCKED',
+        score: 0,
+        details: { lockedFields: fieldLocks.map(lock => lock.fieldKey) }
+      };
+    }
+
     return {
       type: 'RESOURCE_LOCK',
       shouldSkip: false,
@@ -597,7 +638,7 @@ export class IntelligentSkipEngine {
     // 如果强制评估，忽略大部分跳过建议
     if (forceEvaluation) {
       const criticalSkips = evaluations.filter(e => 
-        e.shouldSkip && ['TRANSLATION_IN_PROGRESS', 'RESOURCE_LOCKED'].includes(e.reason)
+        e.shouldSkip && ['TRANSLATION_IN_PROGRESS', 'RESOURCE_LOCKED', 'MANUAL_OVERRIDE'].includes(e.reason)
       );
       
       if (criticalSkips.length > 0) {
@@ -612,13 +653,14 @@ export class IntelligentSkipEngine {
       // 按优先级排序跳过原因
       const priorityOrder = {
         'TRANSLATION_IN_PROGRESS': 1,
-        'ALREADY_TRANSLATED': 2,
-        'RESOURCE_TYPE_EXCLUDED': 3,
-        'LANGUAGE_EXCLUDED': 4,
-        'ERROR_PRONE': 5,
-        'POOR_QUALITY_HISTORY': 6,
-        'EMPTY_CONTENT': 7,
-        'CONTENT_TOO_SHORT': 8
+        'MANUAL_OVERRIDE': 2,
+        'ALREADY_TRANSLATED': 3,
+        'RESOURCE_TYPE_EXCLUDED': 4,
+        'LANGUAGE_EXCLUDED': 5,
+        'ERROR_PRONE': 6,
+        'POOR_QUALITY_HISTORY': 7,
+        'EMPTY_CONTENT': 8,
+        'CONTENT_TOO_SHORT': 9
       };
 
       skipEvaluations.sort((a, b) => 
@@ -2,6 +2,9 @@ import { prisma } from '../db.server.js';
 import { getMemoryCache } from './memory-cache.server.js';
 import COVERAGE_CONFIG from '../utils/coverage-config.server.js';
 import { logger } from '../utils/logger.server.js';
+import { MEDIA_ALT_FIELD, collectMediaAltTargets } from './media-alt.server.js';
+import { collectMetaobjectTargets, isMetaobjectResource } from './metaobject-translation.server.js';
+import { getFieldTranslationStates, resolveSourceField } from './content-digest-tracker.server.js';
 
 const SKIP_DENOMINATOR_REASONS = COVERAGE_CONFIG.skipReasonsExcludedFromDenominator || new Set(['USER_EXCLUDED', 'TRANSLATION_LOCKED']);
 
@@ -119,6 +122,46 @@ function normaliseFieldSnapshot(fieldEntry, translation) {
   return { value: null, sourceDigest: null, quality: null, translatedAt: null };
 }
 
+/**
+ * 基础源字段按 Translation.sourceDigests 判断：与当前源内容 digest 不一致即为过期（STALE）
+ */
+function resolveTargetSnapshot({ fieldEntry, fieldState }, translation) {
+  const snapshot = normaliseFieldSnapshot(fieldEntry, translation);
+  if (!fieldState) return snapshot;
+
+  return {
+    value: fieldState.translatedValue,
+    sourceDigest: fieldState.translatedFromDigest,
+    quality: snapshot.quality ?? translation?.qualityScore ?? null,
+    translatedAt: snapshot.translatedAt ?? translation?.updatedAt ?? translation?.createdAt ?? null
+  };
+}
+
+/**
+ * 覆盖率统计目标：contentDigests 中的字段 + 媒体 alt（每张图片一个字段）
+ * Metaobject 只统计文本类字段，contentDigests 中的引用 / URL 等字段不计入
+ * @returns {Array<{ key: string, digest: string, fieldEntry: any, fieldState?: Object }>}
+ */
+function collectCoverageTargets(resource, translationFields, translation) {
+  if (isMetaobjectResource(resource)) {
+    return collectMetaobjectTargets(resource, translationFields);
+  }
+  const digestMap = resource.contentDigests || {};
+  const fieldStates = new Map(
+    getFieldTranslationStates(resource, translation, { legacyDigests: false }).map((state) => [state.field, state])
+  );
+  const targets = Object.keys(digestMap).map((key) => {
+    const fieldState = fieldStates.get(resolveSourceField(key));
+    return {
+      key,
+      digest: fieldState ? fieldState.currentDigest : digestMap[key],
+      fieldEntry: extractFieldEntry(translationFields, key),
+      fieldState
+    };
+  });
+  return [...targets, ...collectMediaAltTargets(resource, translationFields)];
+}
+
 function ensureBreakdownBucket(breakdown, resourceType) {
   if (!breakdown[resourceType]) {
     breakdown[resourceType] = {
@@ -127,7 +170,9 @@ function ensureBreakdownBucket(breakdown, resourceType) {
       stale: 0,
       missing: 0,
       lowQuality: 0,
-      unsynced: 0
+      unsynced: 0,
+      inherited: 0,
+      native: 0
     };
   }
   return breakdown[resourceType];
@@ -137,10 +182,12 @@ function buildExplanation() {
   return {
     total: '可翻译字段总数（根据分母口径过滤）',
     upToDate: '译文与源内容指纹一致且质量达标',
-    stale: '译文存在但源内容已变更',
+    stale: '译文已过期：源内容在翻译后发生变更',
     missing: '无译文或译文质量不足，含待同步项目',
     lowQuality: '译文存在但质量分低于阈值',
-    unsynced: '译文已更新但尚未同步上线'
+    unsynced: '译文已更新但尚未同步上线',
+    inherited: '最新译文中由父语言派生（复制或本地化）的字段，如 fr-CA 继承自 fr',
+    native: '最新译文中由本语言独立翻译的字段'
   };
 }
 
@@ -157,7 +204,14 @@ async function fetchResources(shopId, options, language) {
       id: true,
       resourceId: true,
       resourceType: true,
+      title: true,
+      description: true,
+      seoTitle: true,
+      seoDescription: true,
+      summary: true,
+      label: true,
       contentDigests: true,
+      contentFields: true,
       translations: {
         where: { language },
         select: {
@@ -166,7 +220,15 @@ async function fetchResources(shopId, options, language) {
           skipReason: true,
           syncStatus: true,
           qualityScore: true,
+          titleTrans: true,
+          descTrans: true,
+          seoTitleTrans: true,
+          seoDescTrans: true,
+          summaryTrans: true,
+          labelTrans: true,
           translationFields: true,
+          sourceDigests: true,
+          inheritedFrom: true,
           updatedAt: true,
           createdAt: true
         }
@@ -217,36 +279,41 @@ export async function calculateLanguageCoverage(shopId, language, rawOptions = {
     stale: 0,
     missing: 0,
     lowQuality: 0,
-    unsynced: 0
+    unsynced: 0,
+    inherited: 0,
+    native: 0
   };
   const breakdown = {};
 
+  let mediaAltFields = 0;
+
   for (const resource of resources) {
-    const digestMap = resource.contentDigests || {};
-    const digestKeys = Object.keys(digestMap);
-    if (digestKeys.length === 0) {
+    const translation = resource.translations?.[0] || null;
+    const translationFields = normaliseTranslationFields(translation?.translationFields);
+    const targets = collectCoverageTargets(resource, translationFields, translation);
+    if (targets.length === 0) {
       continue;
     }
 
-    const translation = resource.translations?.[0] || null;
     if (options.denominatorPolicy === 'effective' && translation?.skipReason && SKIP_DENOMINATOR_REASONS.has(translation.skipReason)) {
       continue;
     }
 
-    const translationFields = normaliseTranslationFields(translation?.translationFields);
     const bucket = ensureBreakdownBucket(breakdown, resource.resourceType || 'UNKNOWN');
 
-    for (const key of digestKeys) {
-      const digest = digestMap[key];
+    for (const target of targets) {
+      const { key, digest } = target;
       if (digest == null) {
         continue;
       }
 
       totals.total++;
       bucket.total++;
+      if (key.startsWith(`${MEDIA_ALT_FIELD}.`)) {
+        mediaAltFields++;
+      }
 
-      const fieldEntry = extractFieldEntry(translationFields, key);
-      const snapshot = normaliseFieldSnapshot(fieldEntry, translation);
+      const snapshot = resolveTargetSnapshot(target, translation);
       const hasValue = snapshot.value != null && `${snapshot.value}`.trim() !== '';
       const sourceDigest = snapshot.sourceDigest || null;
       const quality = Number.isFinite(Number(snapshot.quality)) ? Number(snapshot.quality) : null;
@@ -287,6 +354,14 @@ export async function calculateLanguageCoverage(shopId, language, rawOptions = {
 
       totals.upToDate++;
       bucket.upToDate++;
+      // 最新译文按来源区分：由父语言派生 / 本语言独立翻译
+      if (translation.inheritedFrom) {
+        totals.inherited++;
+        bucket.inherited++;
+      } else {
+        totals.native++;
+        bucket.native++;
+      }
     }
   }
 
@@ -304,8 +379,11 @@ export async function calculateLanguageCoverage(shopId, language, rawOptions = {
     qualityThreshold: options.qualityThreshold,
     includesSynced: options.includesSynced,
     totalFields: totals.total,
+    mediaAltFields,
     lowQuality: totals.lowQuality,
     unsynced: totals.unsynced,
+    inherited: totals.inherited,
+    native: totals.native,
     cacheHit: false,
     explanation: buildExplanation()
   };
@@ -385,7 +463,14 @@ export async function getResourceCoverage(shopId, resourceId, language, rawOptio
       id: true,
       resourceId: true,
       resourceType: true,
+      title: true,
+      description: true,
+      seoTitle: true,
+      seoDescription: true,
+      summary: true,
+      label: true,
       contentDigests: true,
+      contentFields: true,
       translations: {
         where: { language },
         select: {
@@ -394,7 +479,15 @@ export async function getResourceCoverage(shopId, resourceId, language, rawOptio
           skipReason: true,
           syncStatus: true,
           qualityScore: true,
+          titleTrans: true,
+          descTrans: true,
+          seoTitleTrans: true,
+          seoDescTrans: true,
+          summaryTrans: true,
+          labelTrans: true,
           translationFields: true,
+          sourceDigests: true,
+          inheritedFrom: true,
           updatedAt: true,
           createdAt: true
         }
@@ -406,10 +499,9 @@ export async function getResourceCoverage(shopId, resourceId, language, rawOptio
     throw new Error('未找到指定资源');
   }
 
-  const digestMap = resource.contentDigests || {};
-  const digestKeys = Object.keys(digestMap);
   const translation = resource.translations?.[0] || null;
   const translationFields = normaliseTranslationFields(translation?.translationFields);
+  const targets = collectCoverageTargets(resource, translationFields, translation);
   const fields = [];
   const totals = {
     total: 0,
@@ -417,16 +509,17 @@ export async function getResourceCoverage(shopId, resourceId, language, rawOptio
     stale: 0,
     missing: 0,
     lowQuality: 0,
-    unsynced: 0
+    unsynced: 0,
+    inherited: 0,
+    native: 0
   };
 
-  for (const key of digestKeys) {
-    const digest = digestMap[key];
+  for (const target of targets) {
+    const { key, digest } = target;
     if (digest == null) continue;
     totals.total++;
 
-    const fieldEntry = extractFieldEntry(translationFields, key);
-    const snapshot = normaliseFieldSnapshot(fieldEntry, translation);
+    const snapshot = resolveTargetSnapshot(target, translation);
     const hasValue = snapshot.value != null && `${snapshot.value}`.trim() !== '';
     const sourceDigest = snapshot.sourceDigest || null;
     const quality = Number.isFinite(Number(snapshot.quality)) ? Number(snapshot.quality) : null;
@@ -455,6 +548,11 @@ export async function getResourceCoverage(shopId, resourceId, language, rawOptio
     } else {
       status = 'UP_TO_DATE';
       totals.upToDate++;
+      if (translation.inheritedFrom) {
+        totals.inherited++;
+      } else {
+        totals.native++;
+      }
     }
 
     const syncStatus = translation?.syncStatus || 'unknown';
@@ -489,6 +587,7 @@ export async function getResourceCoverage(shopId, resourceId, language, rawOptio
     percentages,
     fields,
     retriableKeys,
+    inheritedFrom: translation?.inheritedFrom || null,
     metadata: {
       calculatedAt: new Date().toISOString(),
       denominatorPolicy: options.denominatorPolicy,
@@ -41,15 +41,11 @@ export function convertLinksForLocale(html, targetLocale, marketConfig, options
   };
 
   try {
-    // 标准化locale格式（zh-CN → zh, pt-BR → pt）
-    const normalizedLocale = normalizeLocale(targetLocale);
-
     // 获取目标语言的域名配置
-    const targetConfig = marketConfig.mappings?.[targetLocale] ||
-                         marketConfig.mappings?.[normalizedLocale];
+    const targetConfig = resolveTargetConfig(marketConfig, targetLocale);
 
     if (!targetConfig) {
-      logger.debug('未找到目标语言的域名配置', { targetLocale, normalizedLocale });
+      logger.debug('未找到目标语言的域名配置', { targetLocale });
       return html;
     }
 
@@ -174,6 +170,45 @@ export function convertLinksForLocale(html, targetLocale, marketConfig, options
   }
 }
 
+/**
+ * 转换结构化来源中的单个URL（主题 link/url 设置、富文本 JSON 链接节点、菜单链接）
+ * 字段值本身就是链接，不存在误改正文的风险，因此主域名完整URL也按 aggressive 策略转换
+ * @param {string} url - 原始URL
+ * @param {string} targetLocale - 目标语言代码
+ * @param {Object} marketConfig - Markets配置对象
+ * @param {Object} options - 转换选项（preserveQueryParams / preserveAnchors）
+ * @returns {string} 转换后的URL，无法转换时返回原URL
+ */
+export function convertUrlForLocale(url, targetLocale, marketConfig, options = {}) {
+  if (!url || typeof url !== 'string' || !targetLocale || !marketConfig) {
+    return url;
+  }
+
+  const targetConfig = resolveTargetConfig(marketConfig, targetLocale);
+  if (!targetConfig) {
+    return url;
+  }
+
+  try {
+    const trimmed = url.trim();
+    const converted = transformUrl(trimmed, targetConfig, marketConfig.primaryHost, marketConfig.primaryUrl, {
+      ...options,
+      strategy: 'aggressive'
+    });
+    // 未转换时保留原值（含首尾空白），避免被误报为变更
+    return converted === trimmed ? url : converted;
+  } catch (error) {
+    logger.warn('结构化链接转换失败', {
+      eventType: 'linkConversion',
+      phase: 'structured_url_error',
+      originalUrl: url,
+      targetLocale,
+      error: error.message
+    });
+    return url;
+  }
+}
+
 /**
  * 转换单个URL
  * @param {string} originalUrl - 原始URL
@@ -361,6 +396,18 @@ function shouldConvertLink(url, primaryHost) {
   return false;
 }
 
+/**
+ * 获取目标语言的域名配置（精确 locale 优先，其次基础语言：zh-CN → zh）
+ * @param {Object} marketConfig - Markets配置
+ * @param {string} targetLocale - 目标语言
+ * @returns {Object|null}
+ */
+function resolveTargetConfig(marketConfig, targetLocale) {
+  return marketConfig?.mappings?.[targetLocale] ||
+    marketConfig?.mappings?.[normalizeLocale(targetLocale)] ||
+    null;
+}
+
 /**
  * 标准化locale代码
  * @param {string} locale - 语言代码
@@ -446,9 +493,7 @@ export function getSupportedLocales(marketConfig) {
  */
 export function getUrlPreview(originalUrl, targetLocale, marketConfig) {
   try {
-    const normalizedLocale = normalizeLocale(targetLocale);
-    const targetConfig = marketConfig.mappings?.[targetLocale] || 
-                         marketConfig.mappings?.[normalizedLocale];
+    const targetConfig = resolveTargetConfig(marketConfig, targetLocale);
     
     if (!targetConfig) {
       return {
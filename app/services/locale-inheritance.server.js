@@ -0,0 +1,563 @@
+/**
+ * 地区变体语言继承服务
+ * - 地区变体（fr-CA、pt-BR、es-MX 等）可由父语言译文派生，无需整篇重新翻译
+ * - copy：直接复制父语言译文；localize：按拼写、货币用词、词汇替换规则做低成本本地化
+ * - 仅对本地化后与父语言不同的字段计费；本语言独立翻译的记录不会被覆盖
+ * - 父语言译文保存后自动重新派生；继承语言不参与批量、定时与增量翻译
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { InsufficientCreditsError } from '../utils/billing-errors.server.js';
+import { getBaseLanguage } from './translation/language-detection.server.js';
+import {
+  reserveBillingIfNeeded,
+  confirmBillingIfNeeded,
+  ensureReservationReleased
+} from './translation/billing-orchestrator.server.js';
+import { invalidateCoverageCache } from './language-coverage.server.js';
+import { enforceFieldLocks } from './field-lock.server.js';
+import { recordTranslationRevision, REVISION_SOURCE } from './translation-revision.server.js';
+import { refreshMarketOverrides } from './derived-translations.server.js';
+
+export const INHERITANCE_MODES = ['none', 'copy', 'localize'];
+
+// 派生译文计费使用的操作类型
+export const INHERITANCE_OPERATION = 'locale_inheritance';
+
+// 从父语言复制的译文字段；handle 影响 URL，只复制不做本地化替换
+const INHERITED_TEXT_FIELDS = [
+  'titleTrans',
+  'descTrans',
+  'handleTrans',
+  'summaryTrans',
+  'labelTrans',
+  'seoTitleTrans',
+  'seoDescTrans'
+];
+const NON_LOCALIZED_FIELDS = new Set(['handleTrans']);
+
+// translationFields 中不做文本替换的技术字段（含主题设置中的自定义 CSS / 脚本）
+const TECHNICAL_KEY_PATTERN = /(digest|handle|url|id|key|type|css|style|script)$/i;
+
+// 内置的地区变体规则：拼写、货币用词与常见词汇差异（父语言写法 → 变体写法）
+const REGIONAL_VARIANT_RULES = {
+  'fr-CA': [
+    { from: 'e-mail', to: 'courriel' },
+    { from: 'email', to: 'courriel' },
+    // 带冠词的写法优先匹配，保证阴阳性一致
+    { from: 'le week-end', to: 'la fin de semaine' },
+    { from: 'ce week-end', to: 'cette fin de semaine' },
+    { from: 'du week-end', to: 'de la fin de semaine' },
+    { from: 'week-end', to: 'fin de semaine' },
+    { from: 'shopping', to: 'magasinage' },
+    { from: 'parking', to: 'stationnement' },
+    { from: 'chewing-gum', to: 'gomme' },
+    { from: 'centimes', to: 'cents' }
+  ],
+  'pt-BR': [
+    { from: 'acção', to: 'ação' },
+    { from: 'facto', to: 'fato' },
+    { from: 'óptimo', to: 'ótimo' },
+    { from: 'óptima', to: 'ótima' },
+    { from: 'equipa', to: 'equipe' },
+    { from: 'registo', to: 'registro' },
+    { from: 'utilizador', to: 'usuário' },
+    { from: 'telemóvel', to: 'celular' },
+    { from: 'ecrã', to: 'tela' },
+    { from: 'autocarro', to: 'ônibus' },
+    { from: 'pequeno-almoço', to: 'café da manhã' },
+    { from: 'casa de banho', to: 'banheiro' },
+    { from: 'cêntimos', to: 'centavos' }
+  ],
+  'es-MX': [
+    { from: 'ordenador', to: 'computadora' },
+    { from: 'móvil', to: 'celular' },
+    { from: 'coche', to: 'carro' },
+    { from: 'zumo', to: 'jugo' },
+    { from: 'gafas', to: 'lentes' },
+    { from: 'patatas', to: 'papas' },
+    { from: 'patata', to: 'papa' },
+    { from: 'vosotros', to: 'ustedes' },
+    { from: 'céntimos', to: 'centavos' }
+  ],
+  'en-GB': [
+    { from: 'color', to: 'colour' },
+    { from: 'colors', to: 'colours' },
+    { from: 'favorite', to: 'favourite' },
+    { from: 'center', to: 'centre' },
+    { from: 'gray', to: 'grey' },
+    { from: 'jewelry', to: 'jewellery' },
+    { from: 'organize', to: 'organise' }
+  ],
+  // 瑞士德语不使用 ß，按字符替换（partial 规则不要求整词匹配）
+  'de-CH': [
+    { from: 'ß', to: 'ss', partial: true }
+  ]
+};
+
+/**
+ * 内置规则的地区变体列表（供市场覆盖等场景选择）
+ */
+export function getBuiltinVariants() {
+  return Object.keys(REGIONAL_VARIANT_RULES);
+}
+
+// 不参与替换的片段：<script>/<style> 整段、HTML 标签、Liquid 变量与标签、URL 与站内路径、邮箱地址
+const PROTECTED_SEGMENT_PATTERN = new RegExp(`(${[
+  '<script\\b[\\s\\S]*?<\\/script\\s*>',
+  '<style\\b[\\s\\S]*?<\\/style\\s*>',
+  '<[^>]+>',
+  '\\{\\{[^}]*\\}\\}',
+  '\\{%[^%]*%\\}',
+  '(?:https?:)?\\/\\/[^\\s"\'<>]+',
+  '(?:mailto|tel):[^\\s"\'<>]+',
+  '[\\p{L}\\p{N}._%+-]+@[\\p{L}\\p{N}-]+(?:\\.[\\p{L}\\p{N}-]+)+',
+  '(?<![\\p{L}\\p{N}])\\/[\\p{L}\\p{N}._~%/-]+'
+].join('|')})`, 'u');
+
+function normalizeLocaleCode(code = '') {
+  const [base, region] = String(code || '').split(/[-_]/);
+  return region ? `${base.toLowerCase()}-${region.toUpperCase()}` : base.toLowerCase();
+}
+
+/**
+ * 地区变体的默认父语言（fr-CA → fr）；无地区部分时返回 null
+ */
+export function getDefaultParentCode(code) {
+  const normalized = normalizeLocaleCode(code);
+  return normalized.includes('-') ? getBaseLanguage(normalized) : null;
+}
+
+/**
+ * 规范化词汇替换规则，过滤空值与重复项
+ * @param {Array<{ from: string, to: string }>} rules
+ * @returns {Array<{ from: string, to: string }>}
+ */
+export function normalizeInheritanceRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  const seen = new Set();
+  const normalized = [];
+  for (const rule of rules) {
+    const from = typeof rule?.from === 'string' ? rule.from.trim() : '';
+    const to = typeof rule?.to === 'string' ? rule.to.trim() : '';
+    if (!from || from === to || seen.has(from.toLowerCase())) continue;
+    seen.add(from.toLowerCase());
+    normalized.push(rule.partial ? { from, to, partial: true } : { from, to });
+  }
+  return normalized;
+}
+
+/**
+ * 获取地区变体的本地化规则：店铺自定义规则优先，其次为内置规则
+ */
+export function getInheritanceRules(code, customRules = []) {
+  const builtin = REGIONAL_VARIANT_RULES[normalizeLocaleCode(code)] || [];
+  return normalizeInheritanceRules([...normalizeInheritanceRules(customRules), ...builtin]);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function matchCase(source, replacement) {
+  if (source.length > 1 && source === source.toUpperCase() && source !== source.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+  if (source[0] !== source[0].toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+function buildAlternation(keys) {
+  // 长词优先，避免 email 抢先匹配 e-mail 的一部分；单次替换避免规则之间连锁生效
+  return keys.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+}
+
+function compileRules(rules) {
+  if (!rules.length) return null;
+  const lookup = new Map(rules.map((rule) => [rule.from.toLowerCase(), rule.to]));
+  const wordKeys = rules.filter((rule) => !rule.partial).map((rule) => rule.from.toLowerCase());
+  const partialKeys = rules.filter((rule) => rule.partial).map((rule) => rule.from.toLowerCase());
+  return {
+    pattern: wordKeys.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}-])(?:${buildAlternation(wordKeys)})(?![\\p{L}\\p{N}-])`, 'giu')
+      : null,
+    partialPattern: partialKeys.length > 0 ? new RegExp(buildAlternation(partialKeys), 'giu') : null,
+    lookup
+  };
+}
+
+function applyCompiledRules(text, compiled) {
+  const replace = (match) => matchCase(match, compiled.lookup.get(match.toLowerCase()) ?? match);
+  return text
+    .split(PROTECTED_SEGMENT_PATTERN)
+    .map((part, index) => {
+      if (index % 2 === 1) return part;
+      let result = compiled.pattern ? part.replace(compiled.pattern, replace) : part;
+      if (compiled.partialPattern) {
+        result = result.replace(compiled.partialPattern, replace);
+      }
+      return result;
+    })
+    .join('');
+}
+
+/**
+ * 按规则对文本做整词替换（保留 HTML 标签与 Liquid 片段、保留大小写）
+ * @param {string} text
+ * @param {Array<{ from: string, to: string }>} rules
+ * @returns {string}
+ */
+export function localizeText(text, rules = []) {
+  if (typeof text !== 'string' || !text) return text;
+  const compiled = compileRules(normalizeInheritanceRules(rules));
+  return compiled ? applyCompiledRules(text, compiled) : text;
+}
+
+function localizeValue(value, compiled, key = '') {
+  if (typeof value === 'string') {
+    return TECHNICAL_KEY_PATTERN.test(key) ? value : applyCompiledRules(value, compiled);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => localizeValue(item, compiled, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([childKey, childValue]) => [childKey, localizeValue(childValue, compiled, childKey)])
+    );
+  }
+  return value;
+}
+
+function collectStrings(value, output = []) {
+  if (typeof value === 'string') {
+    output.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStrings(item, output));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((item) => collectStrings(item, output));
+  }
+  return output;
+}
+
+function parseFields(rawFields) {
+  if (!rawFields) return null;
+  if (typeof rawFields !== 'string') return rawFields;
+  try {
+    return JSON.parse(rawFields);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 由父语言译文构建子语言译文内容
+ * @returns {{ fields: Object, translationFields: Object|null, localizedFields: string[], billingSource: string, billingTarget: string }}
+ */
+export function buildInheritedContent(parent, mode, rules = []) {
+  const compiled = mode === 'localize' ? compileRules(normalizeInheritanceRules(rules)) : null;
+  const fields = {};
+  const localizedFields = [];
+  const sourceParts = [];
+  const targetParts = [];
+
+  const track = (field, original, derived) => {
+    if (JSON.stringify(original) === JSON.stringify(derived)) return;
+    localizedFields.push(field);
+    sourceParts.push(...collectStrings(original));
+    targetParts.push(...collectStrings(derived));
+  };
+
+  for (const field of INHERITED_TEXT_FIELDS) {
+    const original = parent[field] ?? null;
+    const derived = compiled && original && !NON_LOCALIZED_FIELDS.has(field)
+      ? applyCompiledRules(original, compiled)
+      : original;
+    fields[field] = derived;
+    track(field, original, derived);
+  }
+
+  const parentFields = parseFields(parent.translationFields);
+  let translationFields = parentFields;
+  if (compiled && parentFields && typeof parentFields === 'object') {
+    translationFields = localizeValue(parentFields, compiled);
+    for (const key of Object.keys(parentFields)) {
+      track(`translationFields.${key}`, parentFields[key], translationFields[key]);
+    }
+  }
+
+  return {
+    fields,
+    translationFields,
+    localizedFields,
+    billingSource: sourceParts.join('\n'),
+    billingTarget: targetParts.join('\n')
+  };
+}
+
+function isSameContent(existing, content) {
+  if (!existing) return false;
+  const sameText = INHERITED_TEXT_FIELDS.every((field) => (existing[field] ?? null) === (content.fields[field] ?? null));
+  return sameText &&
+    JSON.stringify(parseFields(existing.translationFields) ?? null) === JSON.stringify(content.translationFields ?? null);
+}
+
+/**
+ * 配置地区变体的继承方式
+ * @param {string} shopId
+ * @param {string} code 地区变体语言代码
+ * @param {{ parentCode?: string, mode: string, rules?: Array<{ from: string, to: string }> }} config
+ */
+export async function configureLocaleInheritance(shopId, code, config = {}) {
+  const mode = config.mode || 'none';
+  if (!INHERITANCE_MODES.includes(mode)) {
+    throw new ValidationError(`无效的继承模式: ${mode}`, 'mode');
+  }
+
+  const language = await prisma.language.findUnique({
+    where: { shopId_code: { shopId, code } }
+  });
+  if (!language) {
+    throw new ValidationError(`语言 ${code} 未启用`, 'locale');
+  }
+
+  const parentCode = config.parentCode || language.parentCode || getDefaultParentCode(code);
+  if (mode !== 'none') {
+    if (!parentCode || parentCode === code || getBaseLanguage(parentCode) !== getBaseLanguage(code)) {
+      throw new ValidationError(`${code} 只能继承同一基础语言的其他语言`, 'parentCode');
+    }
+    const parent = await prisma.language.findUnique({
+      where: { shopId_code: { shopId, code: parentCode } }
+    });
+    if (!parent?.isActive) {
+      throw new ValidationError(`父语言 ${parentCode} 未启用`, 'parentCode');
+    }
+  }
+
+  const rules = config.rules === undefined
+    ? normalizeInheritanceRules(language.inheritanceRules)
+    : normalizeInheritanceRules(config.rules);
+
+  const updated = await prisma.language.update({
+    where: { shopId_code: { shopId, code } },
+    data: {
+      parentCode: parentCode || null,
+      inheritanceMode: mode,
+      inheritanceRules: rules
+    }
+  });
+
+  logger.info('[LocaleInheritance] 更新语言继承配置', { shopId, code, parentCode, mode, rules: rules.length });
+  return {
+    code: updated.code,
+    parentCode: updated.parentCode,
+    inheritanceMode: updated.inheritanceMode,
+    inheritanceRules: rules
+  };
+}
+
+/**
+ * 从父语言派生地区变体译文
+ * - 子语言已有独立译文（inheritedFrom 为空）时保留，不覆盖
+ * - 派生结果与现有继承译文一致时跳过，不重复写入和计费
+ * - localize 模式仅对替换后与父语言不同的字段计费；copy 模式不计费
+ * @param {string} shopId
+ * @param {string} code 地区变体语言代码
+ * @param {{ resourceIds?: string[] }} options 仅派生指定资源
+ */
+export async function deriveInheritedTranslations(shopId, code, options = {}) {
+  const language = await prisma.language.findUnique({
+    where: { shopId_code: { shopId, code } }
+  });
+  if (!language?.parentCode || !language.inheritanceMode || language.inheritanceMode === 'none') {
+    throw new ValidationError(`语言 ${code} 未配置继承`, 'locale');
+  }
+
+  const { parentCode, inheritanceMode: mode } = language;
+  const rules = mode === 'localize' ? getInheritanceRules(code, language.inheritanceRules) : [];
+  const resourceFilter = Array.isArray(options.resourceIds) && options.resourceIds.length > 0
+    ? { resourceId: { in: options.resourceIds } }
+    : {};
+
+  const parents = await prisma.translation.findMany({
+    where: {
+      shopId,
+      language: parentCode,
+      status: 'completed',
+      OR: [{ reviewStatus: null }, { reviewStatus: { not: 'rejected' } }],
+      ...resourceFilter
+    },
+    include: { resource: { select: { resourceType: true } } }
+  });
+  const existing = await prisma.translation.findMany({
+    where: { shopId, language: code, resourceId: { in: parents.map((parent) => parent.resourceId) } }
+  });
+  const existingByResource = new Map(existing.map((translation) => [translation.resourceId, translation]));
+
+  const derivedResourceIds = [];
+  const summary = {
+    language: code,
+    parentCode,
+    mode,
+    total: parents.length,
+    derived: 0,
+    unchanged: 0,
+    skippedNative: 0,
+    localizedFields: 0,
+    billedResources: 0,
+    failed: 0,
+    errors: [],
+    stoppedReason: null
+  };
+
+  for (const parent of parents) {
+    const current = existingByResource.get(parent.resourceId);
+    if (current && !current.inheritedFrom) {
+      summary.skippedNative++;
+      continue;
+    }
+
+    const content = buildInheritedContent(parent, mode, rules);
+    if (current && isSameContent(current, content)) {
+      summary.unchanged++;
+      continue;
+    }
+
+    const billingOptions = {
+      shopId,
+      resourceId: parent.resourceId,
+      resourceType: parent.resource?.resourceType,
+      operation: INHERITANCE_OPERATION,
+      sourceLanguage: parentCode,
+      metadata: { inheritedFrom: parentCode, fields: content.localizedFields }
+    };
+    let billing = { billingEnabled: false };
+
+    try {
+      if (content.localizedFields.length > 0) {
+        billing = await reserveBillingIfNeeded(content.billingSource, code, billingOptions, logger);
+      }
+
+      let data = {
+        ...content.fields,
+        ...(content.translationFields ? { translationFields: content.translationFields } : {}),
+        ...(parent.sourceDigests ? { sourceDigests: parent.sourceDigests } : {}),
+        inheritedFrom: parentCode,
+        status: 'completed',
+        syncStatus: 'pending',
+        syncError: null,
+        skipReason: null,
+        qualityScore: parent.qualityScore,
+        isManualReview: parent.isManualReview,
+        reviewStatus: parent.reviewStatus
+      };
+      data = await enforceFieldLocks(parent.resourceId, code, data);
+
+      const saved = await prisma.translation.upsert({
+        where: { resourceId_language: { resourceId: parent.resourceId, language: code } },
+        update: data,
+        create: { resourceId: parent.resourceId, shopId, language: code, ...data }
+      });
+
+      if (billing.reservationId) {
+        await confirmBillingIfNeeded(
+          billing.reservationId,
+          content.billingSource,
+          content.billingTarget,
+          code,
+          billingOptions,
+          billing.estimatedUsage
+        );
+        summary.billedResources++;
+      }
+
+      await recordTranslationRevision(saved, { source: REVISION_SOURCE.INHERIT, actor: parentCode, previous: current });
+      derivedResourceIds.push(parent.resourceId);
+      summary.derived++;
+      summary.localizedFields += content.localizedFields.length;
+    } catch (error) {
+      if (error instanceof InsufficientCreditsError) {
+        summary.stoppedReason = 'insufficient_credits';
+        break;
+      }
+      summary.failed++;
+      summary.errors.push({ resourceId: parent.resourceId, error: error.message });
+      logger.warn('[LocaleInheritance] 派生译文失败', { shopId, code, resourceId: parent.resourceId, error: error.message });
+    } finally {
+      if (billing.reservationId) {
+        await ensureReservationReleased(billing.reservationId);
+      }
+    }
+  }
+
+  invalidateCoverageCache(shopId, { language: code });
+  // 派生出的子语言译文同样可能有市场覆盖
+  await refreshMarketOverrides(shopId, code, derivedResourceIds);
+  logger.info('[LocaleInheritance] 地区变体译文派生完成', {
+    shopId,
+    code,
+    parentCode,
+    mode,
+    derived: summary.derived,
+    unchanged: summary.unchanged,
+    skippedNative: summary.skippedNative,
+    failed: summary.failed,
+    stoppedReason: summary.stoppedReason
+  });
+
+  return summary;
+}
+
+/**
+ * 获取语言的继承配置；未配置继承（none）时返回 null
+ * 继承父语言的地区变体由父语言派生，批量、定时与增量翻译都应跳过
+ * @param {string} shopId
+ * @param {string} code
+ * @returns {Promise<{ parentCode: string, inheritanceMode: string } | null>}
+ */
+export async function getLocaleInheritance(shopId, code) {
+  if (!shopId || !code) return null;
+  const language = await prisma.language.findUnique({
+    where: { shopId_code: { shopId, code } },
+    select: { parentCode: true, inheritanceMode: true }
+  });
+  if (!language?.parentCode || !language.inheritanceMode || language.inheritanceMode === 'none') {
+    return null;
+  }
+  return { parentCode: language.parentCode, inheritanceMode: language.inheritanceMode };
+}
+
+/**
+ * 父语言译文保存后，重新派生继承它的地区变体（仅限指定资源）
+ * @param {string} shopId
+ * @param {string} parentCode 刚保存译文的语言
+ * @param {string[]} resourceIds
+ * @returns {Promise<Array<Object>>} 每个子语言的派生结果
+ */
+export async function rederiveInheritedChildren(shopId, parentCode, resourceIds) {
+  if (!Array.isArray(resourceIds) || resourceIds.length === 0) return [];
+
+  const children = await prisma.language.findMany({
+    where: { shopId, parentCode, isActive: true, inheritanceMode: { not: 'none' } },
+    select: { code: true }
+  });
+
+  // 派生出的子语言译文不再向下级联，避免互为父语言的配置循环派生
+  const summaries = [];
+  for (const child of children) {
+    summaries.push(await deriveInheritedTranslations(shopId, child.code, { resourceIds }));
+  }
+  return summaries;
+}
+
+export default {
+  configureLocaleInheritance,
+  deriveInheritedTranslations,
+  getLocaleInheritance,
+  rederiveInheritedChildren,
+  getInheritanceRules,
+  localizeText
+};
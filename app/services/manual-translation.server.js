@@ -0,0 +1,184 @@
+/**
+ * 人工译文覆盖服务
+ * - 资源详情页的双语编辑器保存人工修改的译文
+ * - 保存后记录 skipReason=MANUAL_OVERRIDE（IntelligentSkipEngine 将该资源/语言视为已锁定，覆盖率照常统计），
+ *   并为编辑过的字段创建字段锁，自动翻译 / 定时翻译 / 增量翻译不会覆盖人工译文
+ * - 仅将该资源重新标记为待同步，并可立即只同步这一资源
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { diffMarkup } from '../utils/markup-diff.js';
+import { REVIEW_EDITABLE_FIELDS, REVIEW_STATUS } from './translation-review.server.js';
+import { extractMemorySegments, recordTranslationMemoryForResource } from './translation-memory.server.js';
+import { invalidateCoverageCache } from './language-coverage.server.js';
+import { syncTranslationsToShopify } from './sync-to-shopify.server.js';
+import { buildSourceDigests, mergeSourceDigests } from './content-digest-tracker.server.js';
+import { recordTranslationRevision, REVISION_SOURCE } from './translation-revision.server.js';
+import { refreshDerivedTranslations } from './derived-translations.server.js';
+import { lockFields, FIELD_LOCK_REASON } from './field-lock.server.js';
+
+export const MANUAL_OVERRIDE_REASON = 'MANUAL_OVERRIDE';
+
+/**
+ * 解析 skipConditions（历史数据可能是 JSON 字符串）
+ * @param {Object|string|null} raw
+ * @returns {Object}
+ */
+export function parseSkipConditions(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * 判断译文是否为人工覆盖（已锁定）
+ * @param {Object|null} translation
+ * @returns {boolean}
+ */
+export function isManualOverride(translation) {
+  return translation?.skipReason === MANUAL_OVERRIDE_REASON;
+}
+
+/**
+ * 获取人工编辑过的字段列表
+ * @param {Object|null} translation
+ * @returns {string[]}
+ */
+export function getManualFields(translation) {
+  if (!isManualOverride(translation)) return [];
+  const { manualFields } = parseSkipConditions(translation.skipConditions);
+  return Array.isArray(manualFields) ? manualFields : [];
+}
+
+/**
+ * 检查人工译文与原文的 HTML / 占位符差异（仅提示，不阻止保存）
+ * @param {Object} resource
+ * @param {Object} fields - { titleTrans: '...', ... }
+ * @returns {Object} { [field]: diffMarkup 结果 }
+ */
+export function collectMarkupWarnings(resource, fields) {
+  const warnings = {};
+  for (const [field, value] of Object.entries(fields)) {
+    const [segment] = extractMemorySegments(resource, { [field]: value });
+    if (!segment) continue;
+    const diff = diffMarkup(segment.sourceText, segment.translatedText);
+    if (diff.hasDifferences) {
+      warnings[field] = diff;
+    }
+  }
+  return warnings;
+}
+
+function pickOverrideFields(fields = {}) {
+  const picked = {};
+  for (const field of REVIEW_EDITABLE_FIELDS) {
+    if (fields[field] === undefined || fields[field] === null) continue;
+    const value = String(fields[field]);
+    if (!value.trim()) {
+      throw new ValidationError(`字段 ${field} 的译文不能为空`, field);
+    }
+    picked[field] = value;
+  }
+  return picked;
+}
+
+/**
+ * 保存人工译文覆盖
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.resourceId - Resource.id
+ * @param {string} params.language
+ * @param {Object} params.fields - 编辑后的译文字段
+ * @param {string} [params.editedBy]
+ * @returns {Promise<{ translation: Object, manualFields: string[], markupWarnings: Object }>}
+ */
+export async function saveManualOverride({ shopId, resourceId, language, fields, editedBy = null }) {
+  if (!language) {
+    throw new ValidationError('缺少目标语言', 'language');
+  }
+
+  const overrides = pickOverrideFields(fields);
+  if (Object.keys(overrides).length === 0) {
+    throw new ValidationError('没有可保存的译文字段', 'fields');
+  }
+
+  const resource = await prisma.resource.findFirst({
+    where: { id: resourceId, shopId }
+  });
+  if (!resource) {
+    throw new ValidationError('资源不存在或不属于当前店铺', 'resourceId');
+  }
+
+  const existing = await prisma.translation.findUnique({
+    where: { resourceId_language: { resourceId, language } }
+  });
+
+  const manualFields = [...new Set([...getManualFields(existing), ...Object.keys(overrides)])];
+  const editedAt = new Date();
+  const data = {
+    ...overrides,
+    // 人工译文依据的是当前源内容
+    sourceDigests: mergeSourceDigests(existing?.sourceDigests, buildSourceDigests(resource, Object.keys(overrides))),
+    status: 'completed',
+    syncStatus: 'pending',
+    syncError: null,
+    inheritedFrom: null,
+    skipReason: MANUAL_OVERRIDE_REASON,
+    skipConditions: JSON.stringify({ manualOverride: true, manualFields, editedBy, editedAt: editedAt.toISOString() }),
+    // 商家亲自修改的译文视为已审核
+    isManualReview: false,
+    reviewStatus: REVIEW_STATUS.APPROVED,
+    reviewedAt: editedAt,
+    reviewedBy: editedBy
+  };
+
+  const translation = await prisma.translation.upsert({
+    where: { resourceId_language: { resourceId, language } },
+    update: data,
+    create: { resourceId, shopId, language, ...data }
+  });
+
+  // 字段锁由 saveTranslation / 增量翻译等实际翻译路径读取，保证人工译文不被下一次自动翻译覆盖
+  await lockFields({
+    shopId,
+    resourceId,
+    language,
+    fieldKeys: Object.keys(overrides),
+    lockedBy: editedBy,
+    reason: FIELD_LOCK_REASON.MANUAL_EDIT
+  });
+
+  await recordTranslationRevision(translation, { source: REVISION_SOURCE.MANUAL, actor: editedBy, previous: existing });
+  await refreshDerivedTranslations(translation);
+  invalidateCoverageCache(shopId, { language, scope: 'resource', scopeId: resourceId });
+  await recordTranslationMemoryForResource(resourceId, shopId, language, overrides, 'manual');
+
+  const markupWarnings = collectMarkupWarnings(resource, overrides);
+  logger.info('[ManualTranslation] 保存人工译文', {
+    shopId,
+    resourceId,
+    language,
+    fields: Object.keys(overrides),
+    markupWarnings: Object.keys(markupWarnings)
+  });
+
+  return { translation, manualFields, markupWarnings };
+}
+
+/**
+ * 仅同步单个资源的待同步译文
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {string} shopId
+ * @param {string} resourceId
+ * @param {string} [language]
+ */
+export async function resyncResource(admin, shopId, resourceId, language) {
+  return syncTranslationsToShopify(admin, shopId, { resourceId, language });
+}
@@ -0,0 +1,292 @@
+/**
+ * 市场专属译文覆盖服务
+ * - 同一语言在不同 Shopify 市场使用不同措辞（如英国英语 / 美国英语、瑞士德语 / 德语）
+ * - 按「市场 + 语言」启用覆盖，复用地区变体规则从语言译文生成市场版本（纯规则替换，不调用模型、不计费）
+ * - 只保存与语言译文不同的字段，发布时带 marketId 注册为市场专属译文，其余字段继续使用语言译文
+ * - 语言译文保存 / 审核后重新生成；覆盖停用 / 规则清空 / 不再有差异 / 语言译文不可发布时撤回已发布的市场译文
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { getCachedMarketConfig } from './market-urls.server.js';
+import { getBaseLanguage } from './translation/language-detection.server.js';
+import { MEDIA_ALT_FIELD } from './media-alt.server.js';
+import { markMarketTranslationsForRemoval, removeMarketTranslations } from './sync-to-shopify.server.js';
+import { getReviewSettings, buildReviewSyncFilter } from './translation-review.server.js';
+import {
+  buildInheritedContent,
+  getBuiltinVariants,
+  getInheritanceRules,
+  normalizeInheritanceRules
+} from './locale-inheritance.server.js';
+
+const TRANSLATION_FIELDS_PREFIX = 'translationFields.';
+
+function findMarket(marketConfig, marketId) {
+  const markets = Array.isArray(marketConfig?.markets) ? marketConfig.markets : [];
+  return markets.find((market) => market.id === marketId) || null;
+}
+
+/**
+ * 从派生结果中只取出与语言译文不同的字段（媒体 alt 是独立资源，不做市场覆盖）
+ */
+function pickOverrideFields(content) {
+  const fields = {};
+  for (const field of content.localizedFields) {
+    if (!field.startsWith(TRANSLATION_FIELDS_PREFIX)) {
+      fields[field] = content.fields[field];
+      continue;
+    }
+    const key = field.slice(TRANSLATION_FIELDS_PREFIX.length);
+    if (key === MEDIA_ALT_FIELD) continue;
+    fields.translationFields = { ...(fields.translationFields || {}), [key]: content.translationFields[key] };
+  }
+  return fields;
+}
+
+/**
+ * 获取店铺的市场覆盖配置及各覆盖的译文同步统计
+ * @param {string} shopId
+ */
+export async function listMarketOverrides(shopId) {
+  const [overrides, stats] = await Promise.all([
+    prisma.marketTranslationOverride.findMany({
+      where: { shopId },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.marketTranslation.groupBy({
+      by: ['marketId', 'language', 'syncStatus'],
+      where: { shopId },
+      _count: { _all: true }
+    })
+  ]);
+
+  return overrides.map((override) => {
+    const counts = { total: 0, pending: 0, synced: 0, failed: 0, pending_removal: 0 };
+    for (const row of stats) {
+      if (row.marketId !== override.marketId || row.language !== override.language) continue;
+      counts.total += row._count._all;
+      if (row.syncStatus in counts) counts[row.syncStatus] += row._count._all;
+    }
+    return { ...override, stats: counts };
+  });
+}
+
+/**
+ * 启用 / 更新某个市场 + 语言的译文覆盖
+ * 停用或清空规则时撤回该覆盖已生成的市场译文；传入 admin 时立即从 Shopify 移除，否则在下次同步时移除
+ * @param {string} shopId
+ * @param {{ marketId: string, language: string, enabled?: boolean, variant?: string, rules?: Array<{ from: string, to: string }> }} config
+ * @param {{ admin?: Object }} [options]
+ */
+export async function setMarketOverride(shopId, config = {}, options = {}) {
+  const { marketId, language } = config;
+  if (!marketId) {
+    throw new ValidationError('缺少市场ID', 'marketId');
+  }
+  if (!language) {
+    throw new ValidationError('缺少语言代码', 'language');
+  }
+
+  const variant = config.variant || null;
+  if (variant && !getBuiltinVariants().includes(variant)) {
+    throw new ValidationError(`不支持的地区规则: ${variant}`, 'variant');
+  }
+  if (variant && getBaseLanguage(variant) !== getBaseLanguage(language)) {
+    throw new ValidationError(`地区规则 ${variant} 与语言 ${language} 不属于同一基础语言`, 'variant');
+  }
+
+  // 市场配置缓存可能过期，这里只用于校验，不限制缓存时间
+  const marketConfig = await getCachedMarketConfig(shopId, Infinity);
+  const market = findMarket(marketConfig, marketId);
+  if (marketConfig && !market) {
+    throw new ValidationError(`市场 ${marketId} 不存在或未启用`, 'marketId');
+  }
+  if (market && !market.languages?.some((item) => item.locale === language)) {
+    throw new ValidationError(`市场 ${market.name} 未启用语言 ${language}`, 'language');
+  }
+
+  const data = {
+    marketName: market?.name ?? config.marketName ?? null,
+    enabled: config.enabled !== false,
+    variant,
+    rules: normalizeInheritanceRules(config.rules)
+  };
+
+  const override = await prisma.marketTranslationOverride.upsert({
+    where: { shopId_marketId_language: { shopId, marketId, language } },
+    update: data,
+    create: { shopId, marketId, language, ...data }
+  });
+
+  logger.info('[MarketTranslation] 市场译文覆盖已更新', {
+    shopId,
+    marketId,
+    language,
+    enabled: data.enabled,
+    variant,
+    rules: data.rules.length
+  });
+
+  if (!data.enabled || getInheritanceRules(variant || language, data.rules).length === 0) {
+    const withdrawn = await markMarketTranslationsForRemoval({ shopId, marketId, language });
+    if (withdrawn.marked > 0 && options.admin) {
+      await removeMarketTranslations(options.admin, shopId, { marketId, language });
+    }
+  }
+
+  return override;
+}
+
+/**
+ * 按覆盖规则从语言译文生成市场专属译文
+ * 只使用可发布的语言译文（审核模式下仅限已通过审核的译文）；语言译文不可发布或与其完全相同时撤回已有覆盖，
+ * 内容有变化的覆盖重新标记为待发布
+ * @param {string} shopId
+ * @param {{ marketId: string, language: string, resourceIds?: Array<string> }} options
+ */
+export async function deriveMarketTranslations(shopId, options = {}) {
+  const { marketId, language } = options;
+  const override = marketId && language
+    ? await prisma.marketTranslationOverride.findUnique({
+      where: { shopId_marketId_language: { shopId, marketId, language } }
+    })
+    : null;
+  if (!override?.enabled) {
+    throw new ValidationError(`市场 ${marketId} 未启用 ${language} 译文覆盖`, 'marketId');
+  }
+
+  const rules = getInheritanceRules(override.variant || language, override.rules);
+  if (rules.length === 0) {
+    throw new ValidationError('市场覆盖未配置地区规则或自定义替换', 'rules');
+  }
+
+  const resourceFilter = Array.isArray(options.resourceIds) && options.resourceIds.length > 0
+    ? { resourceId: { in: options.resourceIds } }
+    : {};
+  const translations = await prisma.translation.findMany({
+    where: {
+      shopId,
+      language,
+      status: 'completed',
+      ...buildReviewSyncFilter(await getReviewSettings(shopId)),
+      ...resourceFilter
+    }
+  });
+  const existing = await prisma.marketTranslation.findMany({
+    where: { shopId, language, marketId, ...resourceFilter }
+  });
+  const existingByResource = new Map(existing.map((row) => [row.resourceId, row]));
+  const publishableResourceIds = new Set(translations.map((translation) => translation.resourceId));
+
+  const summary = {
+    marketId,
+    language,
+    variant: override.variant,
+    total: translations.length,
+    derived: 0,
+    unchanged: 0,
+    identical: 0,
+    removed: 0,
+    failed: 0,
+    errors: []
+  };
+  // 语言译文已不可发布（被驳回、待审核或已删除）的覆盖同样撤回
+  const obsoleteIds = existing
+    .filter((row) => !publishableResourceIds.has(row.resourceId) && row.syncStatus !== 'pending_removal')
+    .map((row) => row.id);
+
+  for (const translation of translations) {
+    const fields = pickOverrideFields(buildInheritedContent(translation, 'localize', rules));
+    const current = existingByResource.get(translation.resourceId);
+    if (Object.keys(fields).length === 0) {
+      summary.identical++;
+      if (current && current.syncStatus !== 'pending_removal') obsoleteIds.push(current.id);
+      continue;
+    }
+
+    if (current && current.syncStatus !== 'pending_removal' && JSON.stringify(current.fields) === JSON.stringify(fields)) {
+      summary.unchanged++;
+      continue;
+    }
+
+    try {
+      const data = { fields, syncStatus: 'pending', syncError: null };
+      await prisma.marketTranslation.upsert({
+        where: { resourceId_language_marketId: { resourceId: translation.resourceId, language, marketId } },
+        update: data,
+        create: { shopId, resourceId: translation.resourceId, language, marketId, ...data }
+      });
+      summary.derived++;
+    } catch (error) {
+      summary.failed++;
+      summary.errors.push({ resourceId: translation.resourceId, error: error.message });
+      logger.warn('[MarketTranslation] 生成市场译文失败', {
+        shopId,
+        marketId,
+        language,
+        resourceId: translation.resourceId,
+        error: error.message
+      });
+    }
+  }
+
+  // 与语言译文已无差异的覆盖需要撤回，否则 Shopify 上仍保留旧的市场译文
+  if (obsoleteIds.length > 0) {
+    const withdrawn = await markMarketTranslationsForRemoval({ shopId, id: { in: obsoleteIds } });
+    summary.removed = withdrawn.deleted + withdrawn.marked;
+  }
+
+  logger.info('[MarketTranslation] 市场译文生成完成', {
+    shopId,
+    marketId,
+    language,
+    derived: summary.derived,
+    unchanged: summary.unchanged,
+    identical: summary.identical,
+    removed: summary.removed,
+    failed: summary.failed
+  });
+
+  return summary;
+}
+
+/**
+ * 语言译文保存后，按该语言已启用的市场覆盖重新生成市场译文（标记为待发布，随下次同步发布）
+ * 单个覆盖失败只记录日志
+ * @param {string} shopId
+ * @param {string} language - 刚保存的译文语言
+ * @param {Array<string>} resourceIds - 刚保存的资源
+ * @returns {Promise<Array<Object>>} 各覆盖的生成结果
+ */
+export async function refreshMarketTranslations(shopId, language, resourceIds) {
+  if (!Array.isArray(resourceIds) || resourceIds.length === 0) return [];
+
+  const overrides = await prisma.marketTranslationOverride.findMany({
+    where: { shopId, language, enabled: true }
+  });
+
+  const summaries = [];
+  for (const override of overrides) {
+    if (getInheritanceRules(override.variant || language, override.rules).length === 0) continue;
+    try {
+      summaries.push(await deriveMarketTranslations(shopId, { marketId: override.marketId, language, resourceIds }));
+    } catch (error) {
+      logger.warn('[MarketTranslation] 重新生成市场译文失败', {
+        shopId,
+        marketId: override.marketId,
+        language,
+        error: error.message
+      });
+    }
+  }
+  return summaries;
+}
+
+export default {
+  listMarketOverrides,
+  setMarketOverride,
+  deriveMarketTranslations,
+  refreshMarketTranslations
+};
@@ -953,6 +953,28 @@ export async function updateUrlConversionSettings(shopId, settings) {
   }
 }
 
+/**
+ * 解析店铺的链接转换开关与转换选项（数据库设置优先，环境变量兜底）
+ * 翻译写入与链接转换 dry-run 报告共用，保证报告与实际转换结果一致
+ * @param {string} shopId - 店铺ID
+ * @returns {Promise<{ enabled: boolean, options: Object }>}
+ */
+export async function resolveLinkConversionSettings(shopId) {
+  const urlSettings = await getUrlConversionSettings(shopId).catch(() => null);
+
+  const { getConfig } = await import('../utils/config.server.js');
+  const envConfig = getConfig().linkConversion;
+
+  return {
+    enabled: Boolean(urlSettings?.enableLinkConversion ?? envConfig.enabled),
+    options: {
+      strategy: urlSettings?.urlStrategy || envConfig.strategy,
+      preserveQueryParams: true,
+      preserveAnchors: true
+    }
+  };
+}
+
 /**
  * 获取链接转换配置（供翻译路由使用）
  * @param {string} shopId - 店铺ID
@@ -970,33 +992,20 @@ export async function getLinkConversionConfig(shopId, admin, targetLang) {
       marketConfig = await syncMarketConfig(shopId, admin).catch(() => null);
     }
 
-    // 3. 获取URL转换设置
-    const urlSettings = await getUrlConversionSettings(shopId).catch(() => null);
+    // 3. 获取URL转换设置（数据库优先，环境变量兜底）
+    const { enabled, options } = await resolveLinkConversionSettings(shopId);
 
-    // 4. 读取环境变量默认值
-    const { getConfig } = await import('../utils/config.server.js');
-    const config = getConfig();
-    const envConfig = config.linkConversion;
-
-    // 5. 判断是否启用（数据库优先）
-    const enabled = urlSettings?.enableLinkConversion ?? envConfig.enabled;
-
-    // 6. 未启用或无配置，返回null
+    // 4. 未启用或无配置，返回null
     if (!enabled || !marketConfig) {
       return null;
     }
 
-    // 7. 返回完整配置
-    const strategy = urlSettings?.urlStrategy || envConfig.strategy;
+    // 5. 返回完整配置
     return {
       enabled: true,
       locale: targetLang,
       marketConfig: marketConfig,
-      options: {
-        strategy,
-        preserveQueryParams: true,
-        preserveAnchors: true
-      }
+      options
     };
   } catch (error) {
     logger.error('获取链接转换配置失败', error);
@@ -0,0 +1,103 @@
+/**
+ * 媒体替代文本（产品媒体图片 / 文章图片的 alt）
+ * - 扫描时存入 Resource.contentFields.mediaAlt：[{ id, alt, resourceType }]，id 为媒体自身的 GID，
+ *   resourceType 为 MEDIA_IMAGE（产品媒体）或 ARTICLE_IMAGE（文章图片）
+ * - 译文存入 Translation.translationFields.mediaAlt：{ [媒体GID]: { value, sourceDigest } }
+ * - 发布时按媒体 GID 分别调用 translationsRegister（key 为 alt），不走所属资源的 translatableContent
+ */
+
+import crypto from 'crypto';
+
+export const MEDIA_ALT_FIELD = 'mediaAlt';
+
+function parseContentFields(contentFields) {
+  if (!contentFields) return {};
+  if (typeof contentFields === 'string') {
+    try {
+      return JSON.parse(contentFields) || {};
+    } catch {
+      return {};
+    }
+  }
+  return contentFields;
+}
+
+/**
+ * 计算 alt 文本摘要（与增量翻译 contentDigests 的算法一致）
+ * @param {string} alt
+ * @returns {string|null}
+ */
+export function calculateAltDigest(alt) {
+  if (typeof alt !== 'string' || !alt.trim()) return null;
+  return crypto.createHash('md5').update(alt.trim()).digest('hex');
+}
+
+/**
+ * 读取资源中有 alt 文本的媒体
+ * @param {Object} resource - 含 contentFields 的资源
+ * @returns {Array<{ id: string, alt: string, resourceType: string|null }>}
+ */
+export function getMediaAltEntries(resource) {
+  const entries = parseContentFields(resource?.contentFields)[MEDIA_ALT_FIELD];
+  if (!Array.isArray(entries)) return [];
+  return entries.filter((entry) => entry?.id && typeof entry.alt === 'string' && entry.alt.trim());
+}
+
+/**
+ * 覆盖率统计用的字段键
+ * @param {string} mediaGid
+ */
+export function buildMediaAltKey(mediaGid) {
+  return `${MEDIA_ALT_FIELD}.${mediaGid}`;
+}
+
+/**
+ * 覆盖率统计目标：每张有 alt 的图片计为一个字段
+ * @param {Object} resource - 含 contentFields 的资源
+ * @param {Object} translationFields - Translation.translationFields
+ * @returns {Array<{ key: string, digest: string, fieldEntry: any }>}
+ */
+export function collectMediaAltTargets(resource, translationFields = {}) {
+  const translated = translationFields?.[MEDIA_ALT_FIELD] || {};
+  return getMediaAltEntries(resource).map((entry) => ({
+    key: buildMediaAltKey(entry.id),
+    digest: calculateAltDigest(entry.alt),
+    fieldEntry: translated[entry.id] ?? null
+  }));
+}
+
+/**
+ * 逐个翻译媒体 alt 文本
+ * @param {Object} resource
+ * @param {(text: string, fieldName: string) => Promise<string>} translateField
+ * @returns {Promise<Object|null>} { [媒体GID]: { value, sourceDigest } }，无可翻译媒体时返回 null
+ */
+export async function translateMediaAltTexts(resource, translateField) {
+  const entries = getMediaAltEntries(resource);
+  if (entries.length === 0) return null;
+
+  const translated = {};
+  for (const entry of entries) {
+    const value = await translateField(entry.alt, 'mediaAlt');
+    if (typeof value === 'string' && value.trim()) {
+      translated[entry.id] = { value, sourceDigest: calculateAltDigest(entry.alt) };
+    }
+  }
+  return Object.keys(translated).length > 0 ? translated : null;
+}
+
+/**
+ * 展开为可发布的 { 媒体GID: 译文 }
+ * @param {Object} mediaAlt - translationFields.mediaAlt
+ * @returns {Object<string, string>}
+ */
+export function toPublishableMediaAlt(mediaAlt) {
+  const publishable = {};
+  for (const [mediaGid, entry] of Object.entries(mediaAlt || {})) {
+    const value = typeof entry === 'string' ? entry : entry?.value;
+    if (typeof value === 'string' && value.trim()) {
+      publishable[mediaGid] = value;
+    }
+  }
+  return publishable;
+}
@@ -48,7 +48,12 @@ class MemoryQueue {
   }
 
   async add(jobType, data, options = {}) {
-    const jobId = this.jobIdCounter++;
+    // 与 Bull 一致：显式 jobId 已存在时不重复创建，直接返回已有任务
+    if (options.jobId != null && this.jobs.has(options.jobId)) {
+      return this.createPublicJob(this.jobs.get(options.jobId));
+    }
+
+    const jobId = options.jobId ?? this.jobIdCounter++;
     const job = {
       id: jobId,
       name: jobType,
@@ -89,7 +94,8 @@ class MemoryQueue {
 
     if (job.opts.delay && job.opts.delay > 0) {
       logger.info(`Schedule delayed memory queue job: ${jobType} (ID: ${jobId}, delay: ${job.opts.delay}ms)`);
-      setTimeout(() => {
+      job.delayTimer = setTimeout(() => {
+        job.delayTimer = null;
         enqueueJob();
       }, job.opts.delay);
     } else {
@@ -259,13 +265,22 @@ class MemoryQueue {
         };
       },
       remove: async () => {
+        // 取消尚未执行的延迟 / 等待任务，避免被删除的任务仍按计划运行
+        if (job.delayTimer) {
+          clearTimeout(job.delayTimer);
+          job.delayTimer = null;
+        }
+        const queued = self.queue.indexOf(job);
+        if (queued !== -1) {
+          self.queue.splice(queued, 1);
+        }
         self.jobs.delete(job.id);
       }
     };
   }
 
   async getJob(jobId) {
-    const job = this.jobs.get(Number(jobId));
+    const job = this.jobs.get(jobId) ?? this.jobs.get(Number(jobId));
     return job ? this.createPublicJob(job) : null;
   }
 
@@ -0,0 +1,224 @@
+/**
+ * Metaobject 翻译
+ * - translatableResources(resourceType: METAOBJECT) 按字段返回 translatableContent，key 为字段 key，
+ *   type 为 LocalizableContentType；引用、URL、JSON 等非文本字段不翻译
+ * - 扫描时存入 Resource.contentFields：
+ *   { metaobjectType, fields: [{ key, value, type, digest }], skippedFields: [{ key, type }] }
+ * - 译文存入 Translation.translationFields：{ [字段key]: { value, sourceDigest } }，
+ *   发布时按字段 key 走 updateResourceTranslation 的标准 translationFields 分支
+ */
+
+import { logger } from '../utils/logger.server.js';
+
+export const METAOBJECT_RESOURCE_TYPE = 'METAOBJECT';
+
+// 纯文本 / HTML：整段交给 translateText
+const TEXT_FIELD_TYPES = new Set([
+  'SINGLE_LINE_TEXT_FIELD',
+  'MULTI_LINE_TEXT_FIELD',
+  'STRING',
+  'HTML',
+  'INLINE_RICH_TEXT'
+]);
+
+// 富文本：JSON 文档，只翻译 type 为 text 的节点
+const RICH_TEXT_FIELD_TYPES = new Set(['RICH_TEXT_FIELD']);
+
+// 文本列表：JSON 字符串数组，逐项翻译
+const TEXT_LIST_FIELD_TYPES = new Set([
+  'LIST_SINGLE_LINE_TEXT_FIELD',
+  'LIST_MULTI_LINE_TEXT_FIELD'
+]);
+
+function parseContentFields(contentFields) {
+  if (!contentFields) return {};
+  if (typeof contentFields === 'string') {
+    try {
+      return JSON.parse(contentFields) || {};
+    } catch {
+      return {};
+    }
+  }
+  return contentFields;
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * 按 LocalizableContentType 判断字段的翻译方式
+ * @param {string} type
+ * @returns {'text'|'rich_text'|'list'|null} null 表示不翻译
+ */
+export function getMetaobjectFieldKind(type) {
+  const normalized = String(type || '').toUpperCase();
+  if (TEXT_FIELD_TYPES.has(normalized)) return 'text';
+  if (RICH_TEXT_FIELD_TYPES.has(normalized)) return 'rich_text';
+  if (TEXT_LIST_FIELD_TYPES.has(normalized)) return 'list';
+  return null;
+}
+
+export function isMetaobjectResource(resource) {
+  return String(resource?.resourceType || '').toUpperCase() === METAOBJECT_RESOURCE_TYPE;
+}
+
+/**
+ * 由 translatableContent 构建 contentFields，过滤掉非文本字段
+ * @param {Array<{ key: string, value: string, digest: string, type: string }>} translatableContent
+ * @returns {{ fields: Array, skippedFields: Array }}
+ */
+export function buildMetaobjectContentFields(translatableContent = []) {
+  const fields = [];
+  const skippedFields = [];
+
+  for (const item of translatableContent) {
+    if (!item?.key) continue;
+    if (getMetaobjectFieldKind(item.type) && typeof item.value === 'string' && item.value.trim()) {
+      fields.push({ key: item.key, value: item.value, type: item.type, digest: item.digest || null });
+    } else {
+      skippedFields.push({ key: item.key, type: item.type || null });
+    }
+  }
+
+  return { fields, skippedFields };
+}
+
+/**
+ * 将 translatableResources 节点转换为标准资源对象
+ * title / handle / metaobjectType 由 attachMetaobjectDetails 补充
+ * @param {Object} node - { resourceId, translatableContent }
+ */
+export function buildMetaobjectResource(node) {
+  const numericId = node.resourceId.split('/').pop();
+  return {
+    id: numericId,
+    originalId: numericId,
+    gid: node.resourceId,
+    resourceType: METAOBJECT_RESOURCE_TYPE.toLowerCase(),
+    title: '',
+    description: '',
+    descriptionHtml: '',
+    handle: '',
+    seoTitle: '',
+    seoDescription: '',
+    translatableContent: node.translatableContent,
+    contentFields: {
+      metaobjectType: null,
+      ...buildMetaobjectContentFields(node.translatableContent)
+    }
+  };
+}
+
+/**
+ * 读取资源中可翻译的 metaobject 字段
+ * @param {Object} resource - 含 contentFields 的资源
+ * @returns {Array<{ key: string, value: string, type: string, digest: string|null }>}
+ */
+export function getMetaobjectFields(resource) {
+  const fields = parseContentFields(resource?.contentFields).fields;
+  if (!Array.isArray(fields)) return [];
+  return fields.filter((field) => field?.key && getMetaobjectFieldKind(field.type) && typeof field.value === 'string');
+}
+
+/**
+ * 列表页展示用的定义类型（如 size_guide）
+ */
+export function getMetaobjectDefinitionType(resource) {
+  if (!isMetaobjectResource(resource)) return null;
+  return parseContentFields(resource.contentFields).metaobjectType || null;
+}
+
+async function translateRichTextNode(node, translate, fieldKey) {
+  if (!node || typeof node !== 'object') return node;
+  if (node.type === 'text' && typeof node.value === 'string' && node.value.trim()) {
+    return { ...node, value: await translate(node.value, fieldKey) };
+  }
+  if (Array.isArray(node.children)) {
+    const children = [];
+    for (const child of node.children) {
+      children.push(await translateRichTextNode(child, translate, fieldKey));
+    }
+    return { ...node, children };
+  }
+  return node;
+}
+
+/**
+ * 翻译单个字段，返回与源值同格式的译文；无法解析的富文本 / 列表返回 null
+ * @param {{ key: string, value: string, type: string }} field
+ * @param {(text: string, fieldKey: string) => Promise<string>} translate
+ * @returns {Promise<string|null>}
+ */
+export async function translateMetaobjectField(field, translate) {
+  const kind = getMetaobjectFieldKind(field.type);
+
+  if (kind === 'text') {
+    return translate(field.value, field.key);
+  }
+
+  if (kind === 'rich_text') {
+    const document = parseJson(field.value);
+    if (!document || typeof document !== 'object') return null;
+    return JSON.stringify(await translateRichTextNode(document, translate, field.key));
+  }
+
+  if (kind === 'list') {
+    const items = parseJson(field.value);
+    if (!Array.isArray(items)) return null;
+    const translated = [];
+    for (const item of items) {
+      translated.push(typeof item === 'string' && item.trim() ? await translate(item, field.key) : item);
+    }
+    return JSON.stringify(translated);
+  }
+
+  return null;
+}
+
+/**
+ * 翻译 metaobject 的全部文本字段
+ * @param {Object} resource
+ * @param {(text: string, fieldKey: string) => Promise<string>} translate
+ * @param {(fieldKey: string) => boolean} [isLocked] - 已锁定字段不翻译
+ * @returns {Promise<Object|null>} { [字段key]: { value, sourceDigest } }，无可翻译字段时返回 null
+ */
+export async function translateMetaobjectFields(resource, translate, isLocked = () => false) {
+  const translated = {};
+
+  for (const field of getMetaobjectFields(resource)) {
+    if (isLocked(field.key)) continue;
+
+    const value = await translateMetaobjectField(field, translate);
+    if (typeof value === 'string' && value.trim()) {
+      translated[field.key] = { value, sourceDigest: field.digest };
+    } else {
+      logger.warn('[METAOBJECT] 字段译文为空或格式无法解析，已跳过', {
+        resourceId: resource?.id,
+        fieldKey: field.key,
+        type: field.type
+      });
+    }
+  }
+
+  return Object.keys(translated).length > 0 ? translated : null;
+}
+
+/**
+ * 覆盖率统计目标：只统计文本类字段，引用 / URL 等字段不计入分母
+ * @param {Object} resource - 含 contentFields / contentDigests 的资源
+ * @param {Object} translationFields - Translation.translationFields
+ * @returns {Array<{ key: string, digest: string, fieldEntry: any }>}
+ */
+export function collectMetaobjectTargets(resource, translationFields = {}) {
+  const digestMap = resource?.contentDigests || {};
+  return getMetaobjectFields(resource).map((field) => ({
+    key: field.key,
+    digest: digestMap[field.key] ?? field.digest,
+    fieldEntry: translationFields?.[field.key] ?? null
+  }));
+}
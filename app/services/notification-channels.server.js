@@ -0,0 +1,469 @@
+/**
+ * 告警通知渠道服务
+ * - 渠道偏好：每个店铺可配置多个渠道（email / slack / webhook），按最低告警级别过滤
+ * - 默认渠道：环境变量 ALERT_EMAIL / SLACK_WEBHOOK_URL / ALERT_WEBHOOK_URL，接收系统级告警，
+ *   店铺级告警同时发送给店铺渠道与默认渠道
+ * - 聚合：同一渠道在聚合窗口内的告警合并为一条摘要发送，重复消息按次数折叠
+ * - 限流：每个渠道每小时最多发送 maxPerHour 条，超限时告警继续累积，额度恢复后合并发送
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { webhookConfig } from '../config/webhook-config.js';
+import {
+  NOTIFICATION_CHANNEL_TYPES,
+  deliverNotification,
+  getWebhookUrlError
+} from './notification-transports.server.js';
+
+export { NOTIFICATION_CHANNEL_TYPES } from './notification-transports.server.js';
+
+// 与 AlertManager 的 ALERT_LEVELS 一致，按严重程度升序
+export const NOTIFICATION_LEVELS = ['INFO', 'WARNING', 'CRITICAL', 'EMERGENCY'];
+
+const MAX_CHANNELS_PER_SHOP = 10;
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const MAX_DIGEST_LINES = 20;
+const EMAIL_PATTERN = /^[^@\s,;]+@[^@\s,;]+\.[^@\s,;]+$/;
+
+function levelRank(level) {
+  const rank = NOTIFICATION_LEVELS.indexOf(String(level || '').toUpperCase());
+  return rank === -1 ? 0 : rank;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 校验并规范化渠道输入
+ * @param {Object} input - { type, target, secret, minLevel, enabled, name }
+ * @param {{ partial?: boolean }} [options] - partial=true 时只校验传入的字段
+ */
+export function normalizeChannelInput(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || input.type !== undefined) {
+    const type = String(input.type || '').toLowerCase();
+    if (!Object.values(NOTIFICATION_CHANNEL_TYPES).includes(type)) {
+      throw new ValidationError(`不支持的通知渠道类型: ${input.type}`, 'type');
+    }
+    data.type = type;
+  }
+
+  if (!partial || input.target !== undefined) {
+    const target = String(input.target || '').trim();
+    const type = data.type || input.currentType;
+    if (!target) {
+      throw new ValidationError('通知目标不能为空', 'target');
+    }
+    if (type === NOTIFICATION_CHANNEL_TYPES.EMAIL) {
+      const recipients = target.split(/[,;\s]+/).filter(Boolean);
+      const invalid = recipients.find((item) => !EMAIL_PATTERN.test(item));
+      if (invalid) {
+        throw new ValidationError(`无效的邮箱地址: ${invalid}`, 'target');
+      }
+      data.target = recipients.join(', ');
+    } else {
+      const urlError = getWebhookUrlError(target);
+      if (urlError) {
+        throw new ValidationError(urlError, 'target');
+      }
+      data.target = target;
+    }
+  }
+
+  if (input.minLevel !== undefined || !partial) {
+    const minLevel = String(input.minLevel || 'CRITICAL').toUpperCase();
+    if (!NOTIFICATION_LEVELS.includes(minLevel)) {
+      throw new ValidationError(`无效的告警级别: ${input.minLevel}`, 'minLevel');
+    }
+    data.minLevel = minLevel;
+  }
+
+  if (input.name !== undefined) {
+    data.name = String(input.name || '').trim() || null;
+  }
+
+  if (input.secret !== undefined) {
+    data.secret = String(input.secret || '').trim() || null;
+  }
+
+  if (input.enabled !== undefined) {
+    data.enabled = input.enabled === true || input.enabled === 'true';
+  }
+
+  return data;
+}
+
+async function findShopChannel(shopId, channelId) {
+  const channel = await prisma.notificationChannel.findFirst({
+    where: { id: channelId, shopId }
+  });
+  if (!channel) {
+    throw new ValidationError('通知渠道不存在或不属于当前店铺', 'channelId');
+  }
+  return channel;
+}
+
+export async function listChannels(shopId) {
+  return prisma.notificationChannel.findMany({
+    where: { shopId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+export async function createChannel(shopId, input) {
+  const data = normalizeChannelInput(input);
+  const count = await prisma.notificationChannel.count({ where: { shopId } });
+  if (count >= MAX_CHANNELS_PER_SHOP) {
+    throw new ValidationError(`每个店铺最多配置 ${MAX_CHANNELS_PER_SHOP} 个通知渠道`, 'channels');
+  }
+
+  // 通用 Webhook 未提供密钥时自动生成，保证请求始终带签名
+  if (data.type === NOTIFICATION_CHANNEL_TYPES.WEBHOOK && !data.secret) {
+    data.secret = crypto.randomBytes(24).toString('hex');
+  }
+
+  const channel = await prisma.notificationChannel.create({
+    data: { ...data, shopId }
+  });
+  logger.info('[Notification] 创建通知渠道', { shopId, channelId: channel.id, type: channel.type });
+  return channel;
+}
+
+export async function updateChannel(shopId, channelId, input) {
+  const existing = await findShopChannel(shopId, channelId);
+  const data = normalizeChannelInput({ ...input, currentType: existing.type }, { partial: true });
+  if (data.type && data.type !== existing.type) {
+    throw new ValidationError('不能修改通知渠道类型，请删除后重新创建', 'type');
+  }
+  return prisma.notificationChannel.update({
+    where: { id: existing.id },
+    data
+  });
+}
+
+export async function deleteChannel(shopId, channelId) {
+  const existing = await findShopChannel(shopId, channelId);
+  await prisma.notificationChannel.delete({ where: { id: existing.id } });
+  notificationDispatcher.discard(existing.id);
+  return { deleted: true, channelId: existing.id };
+}
+
+/**
+ * 环境变量配置的默认渠道
+ */
+export function getDefaultChannels(notification = webhookConfig.notification) {
+  const minLevel = String(notification.minLevel || 'CRITICAL').toUpperCase();
+  const channels = [];
+  if (notification.alertEmail) {
+    channels.push({ id: 'env:email', type: NOTIFICATION_CHANNEL_TYPES.EMAIL, target: notification.alertEmail, minLevel });
+  }
+  if (notification.slackWebhook) {
+    channels.push({ id: 'env:slack', type: NOTIFICATION_CHANNEL_TYPES.SLACK, target: notification.slackWebhook, minLevel });
+  }
+  if (notification.alertWebhook) {
+    channels.push({
+      id: 'env:webhook',
+      type: NOTIFICATION_CHANNEL_TYPES.WEBHOOK,
+      target: notification.alertWebhook,
+      secret: notification.webhookSecret || null,
+      minLevel
+    });
+  }
+  return channels;
+}
+
+function isPersistedChannel(channel) {
+  return !String(channel.id).startsWith('env:');
+}
+
+/**
+ * 将一个渠道累积的告警组装为消息；多条告警时生成摘要
+ * @param {Array} events - [{ level, type, message, details, shopId, occurredAt }]
+ */
+export function buildNotificationMessage(events) {
+  const grouped = new Map();
+  for (const event of events) {
+    const key = `${event.level}|${event.type}|${event.message}|${event.shopId || ''}`;
+    const group = grouped.get(key);
+    if (group) {
+      group.count++;
+      group.lastAt = event.occurredAt;
+    } else {
+      grouped.set(key, {
+        level: event.level,
+        type: event.type,
+        message: event.message,
+        shopId: event.shopId || null,
+        details: event.details || {},
+        count: 1,
+        firstAt: event.occurredAt,
+        lastAt: event.occurredAt
+      });
+    }
+  }
+
+  const alerts = Array.from(grouped.values())
+    .sort((a, b) => levelRank(b.level) - levelRank(a.level) || a.firstAt - b.firstAt);
+  const highestLevel = alerts[0]?.level || 'INFO';
+  const shops = Array.from(new Set(alerts.map((alert) => alert.shopId).filter(Boolean)));
+  const shopSuffix = shops.length === 1 ? ` · ${shops[0]}` : '';
+
+  const formatLine = (alert) => {
+    const count = alert.count > 1 ? ` ×${alert.count}` : '';
+    const shop = alert.shopId && shops.length > 1 ? ` (${alert.shopId})` : '';
+    return `[${alert.level}] ${alert.message}${count}${shop}`;
+  };
+
+  const visible = alerts.slice(0, MAX_DIGEST_LINES);
+  const hidden = alerts.length - visible.length;
+
+  let subject;
+  let text;
+  if (events.length === 1) {
+    subject = `[Lightsler ${highestLevel}] ${alerts[0].message}${shopSuffix}`;
+    text = `${formatLine(alerts[0])}\n时间: ${alerts[0].firstAt.toISOString()}`;
+  } else {
+    const first = events[0].occurredAt;
+    const last = events[events.length - 1].occurredAt;
+    subject = `[Lightsler ${highestLevel}] ${events.length} 条告警摘要${shopSuffix}`;
+    text = [
+      `${first.toISOString()} - ${last.toISOString()} 共 ${events.length} 条告警：`,
+      ...visible.map((alert) => `• ${formatLine(alert)}`),
+      ...(hidden > 0 ? [`… 另有 ${hidden} 类告警未列出`] : [])
+    ].join('\n');
+  }
+
+  const html = [
+    `<p><strong>${escapeHtml(subject)}</strong></p>`,
+    '<ul>',
+    ...visible.map((alert) => `<li>${escapeHtml(formatLine(alert))}</li>`),
+    '</ul>',
+    ...(hidden > 0 ? [`<p>… 另有 ${hidden} 类告警未列出</p>`] : [])
+  ].join('\n');
+
+  return {
+    subject,
+    text,
+    html,
+    payload: {
+      event: events.length === 1 ? 'alert' : 'alert_digest',
+      highestLevel,
+      total: events.length,
+      alerts: alerts.map((alert) => ({
+        ...alert,
+        firstAt: alert.firstAt.toISOString(),
+        lastAt: alert.lastAt.toISOString()
+      }))
+    }
+  };
+}
+
+/**
+ * 通知分发器：按渠道聚合告警并限流
+ */
+export class NotificationDispatcher {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.windowMs] - 聚合窗口，0 表示立即发送
+   * @param {number} [options.maxPerHour] - 每个渠道每小时最多发送条数
+   * @param {Function} [options.deliver] - (channel, message) => Promise，默认 deliverNotification
+   *   （只有环境变量配置的运维渠道允许访问内网地址）
+   * @param {Function} [options.now] - 当前时间（毫秒）
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs ?? webhookConfig.notification.aggregationWindowMs;
+    this.maxPerHour = options.maxPerHour ?? webhookConfig.notification.maxPerHour;
+    this.deliver = options.deliver || ((channel, message) => deliverNotification(channel, message, {
+      allowPrivateNetwork: !isPersistedChannel(channel)
+    }));
+    this.now = options.now || (() => Date.now());
+    this.getDefaultChannels = options.getDefaultChannels || (() => getDefaultChannels());
+    this.pending = new Map(); // channelId -> { channel, events, timer }
+    this.sentAt = new Map(); // channelId -> 最近一小时的发送时间戳
+  }
+
+  async resolveChannels(shopId, types) {
+    const channels = [...this.getDefaultChannels()];
+    if (shopId) {
+      const shopChannels = await prisma.notificationChannel.findMany({
+        where: { shopId, enabled: true }
+      });
+      channels.push(...shopChannels);
+    }
+    return types ? channels.filter((channel) => types.includes(channel.type)) : channels;
+  }
+
+  /**
+   * 提交一条告警，按渠道偏好入队等待聚合发送
+   * @param {{ level: string, type: string, message: string, details?: Object }} alert
+   * @param {{ shopId?: string, types?: string[] }} [options] - types 限定渠道类型
+   * @returns {Promise<{ queued: number }>}
+   */
+  async notify(alert, { shopId = null, types } = {}) {
+    let channels;
+    try {
+      channels = await this.resolveChannels(shopId, types);
+    } catch (error) {
+      logger.error('[Notification] 读取通知渠道失败', { shopId, error: error.message });
+      return { queued: 0 };
+    }
+
+    const event = {
+      level: String(alert.level || 'INFO').toUpperCase(),
+      type: alert.type || 'GENERAL',
+      message: alert.message,
+      details: alert.details || {},
+      shopId,
+      occurredAt: new Date(this.now())
+    };
+
+    const targets = channels.filter((channel) => levelRank(event.level) >= levelRank(channel.minLevel));
+    for (const channel of targets) {
+      this.enqueue(channel, event);
+    }
+
+    if (this.windowMs <= 0) {
+      await Promise.all(targets.map((channel) => this.flushChannel(channel.id)));
+    }
+
+    return { queued: targets.length };
+  }
+
+  enqueue(channel, event) {
+    let bucket = this.pending.get(channel.id);
+    if (!bucket) {
+      bucket = { channel, events: [], timer: null };
+      this.pending.set(channel.id, bucket);
+    }
+    bucket.channel = channel;
+    bucket.events.push(event);
+    if (!bucket.timer && this.windowMs > 0) {
+      this.schedule(channel.id, this.windowMs);
+    }
+  }
+
+  schedule(channelId, delay) {
+    const bucket = this.pending.get(channelId);
+    if (!bucket) return;
+    if (bucket.timer) clearTimeout(bucket.timer);
+    bucket.timer = setTimeout(() => {
+      bucket.timer = null;
+      this.flushChannel(channelId).catch((error) => {
+        logger.error('[Notification] 定时发送失败', { channelId, error: error.message });
+      });
+    }, delay);
+    bucket.timer.unref?.();
+  }
+
+  recentSends(channelId) {
+    const cutoff = this.now() - RATE_LIMIT_WINDOW_MS;
+    const recent = (this.sentAt.get(channelId) || []).filter((time) => time > cutoff);
+    this.sentAt.set(channelId, recent);
+    return recent;
+  }
+
+  /**
+   * 发送某个渠道累积的告警；超出每小时限额时保留告警并推迟到额度恢复
+   */
+  async flushChannel(channelId) {
+    const bucket = this.pending.get(channelId);
+    if (!bucket || bucket.events.length === 0) return { sent: false };
+
+    const recent = this.recentSends(channelId);
+    if (this.maxPerHour > 0 && recent.length >= this.maxPerHour) {
+      const retryIn = recent[0] + RATE_LIMIT_WINDOW_MS - this.now();
+      this.schedule(channelId, Math.max(retryIn, 1000));
+      logger.warn('[Notification] 渠道触发限流，告警将合并到下一条摘要', {
+        channelId,
+        pending: bucket.events.length,
+        retryInMs: retryIn
+      });
+      return { sent: false, rateLimited: true };
+    }
+
+    if (bucket.timer) clearTimeout(bucket.timer);
+    this.pending.delete(channelId);
+    recent.push(this.now());
+
+    return this.send(bucket.channel, buildNotificationMessage(bucket.events), bucket.events.length);
+  }
+
+  async send(channel, message, count = 1) {
+    try {
+      await this.deliver(channel, message);
+      logger.info('[Notification] 通知已发送', { channelId: channel.id, type: channel.type, count });
+      await this.recordResult(channel, null);
+      return { sent: true, count };
+    } catch (error) {
+      logger.error('[Notification] 通知发送失败', { channelId: channel.id, type: channel.type, error: error.message });
+      await this.recordResult(channel, error.message);
+      return { sent: false, error: error.message };
+    }
+  }
+
+  async recordResult(channel, errorMessage) {
+    if (!isPersistedChannel(channel)) return;
+    try {
+      await prisma.notificationChannel.update({
+        where: { id: channel.id },
+        data: errorMessage
+          ? { lastError: errorMessage.slice(0, 500) }
+          : { lastSentAt: new Date(this.now()), lastError: null }
+      });
+    } catch (error) {
+      logger.warn('[Notification] 更新渠道发送状态失败', { channelId: channel.id, error: error.message });
+    }
+  }
+
+  /**
+   * 立即发送所有渠道的累积告警（仍受限流约束），用于测试和进程退出前
+   */
+  async flush() {
+    const results = [];
+    for (const channelId of Array.from(this.pending.keys())) {
+      results.push(await this.flushChannel(channelId));
+    }
+    return results;
+  }
+
+  discard(channelId) {
+    const bucket = this.pending.get(channelId);
+    if (bucket?.timer) clearTimeout(bucket.timer);
+    this.pending.delete(channelId);
+    this.sentAt.delete(channelId);
+  }
+
+  getPendingCount() {
+    let count = 0;
+    for (const bucket of this.pending.values()) count += bucket.events.length;
+    return count;
+  }
+}
+
+export const notificationDispatcher = new NotificationDispatcher();
+
+/**
+ * 测试发送：绕过聚合与限流，立即发送一条测试消息并返回结果
+ */
+export async function sendTestNotification(shopId, channelId, dispatcher = notificationDispatcher) {
+  const channel = await findShopChannel(shopId, channelId);
+  const now = new Date(dispatcher.now());
+  const message = buildNotificationMessage([{
+    level: 'INFO',
+    type: 'TEST',
+    message: '这是一条测试通知，收到即表示渠道配置正确',
+    details: {},
+    shopId,
+    occurredAt: now
+  }]);
+  return dispatcher.send(channel, { ...message, payload: { ...message.payload, event: 'test' } });
+}
@@ -0,0 +1,485 @@
+/**
+ * 告警通知传输层
+ * - email：基于 net/tls 的最小 SMTP 客户端（EHLO → STARTTLS → AUTH PLAIN → MAIL/RCPT/DATA），
+ *   服务器配置读取 SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS / SMTP_FROM
+ * - slack：Incoming Webhook，POST { text }
+ * - webhook：通用 JSON Webhook，配置 secret 时附带 HMAC-SHA256 签名头
+ * - slack / webhook 只允许 https，发送前解析域名并拒绝回环、内网、链路本地等保留地址（防 SSRF），
+ *   实际连接固定使用校验通过的地址，不再二次解析（防 DNS 重绑定）；
+ *   环境变量配置的运维渠道可通过 allowPrivateNetwork 放行
+ *
+ * 每个传输函数签名一致：(channel, message, options) => Promise<{ delivered: true, ... }>
+ * message 结构：{ subject, text, html?, payload }
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { ConfigError, NetworkError, APIError, TimeoutError } from '../utils/error-handler.server.js';
+
+export const NOTIFICATION_CHANNEL_TYPES = {
+  EMAIL: 'email',
+  SLACK: 'slack',
+  WEBHOOK: 'webhook'
+};
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Lightsler-Signature';
+export const WEBHOOK_TIMESTAMP_HEADER = 'X-Lightsler-Timestamp';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// 回环、私有网络、CGNAT、链路本地（含云厂商元数据地址）、组播与保留地址
+// 按地址族分开：BlockList 会把 IPv4 映射后匹配 IPv6 规则，::ffff:0:0/96 会误伤全部 IPv4
+const BLOCKED_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.ipv4.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.ipv6.addSubnet(prefix, bits, 'ipv6'));
+
+const BLOCKED_HOSTNAME_PATTERN = /(^|\.)(localhost|local|internal)$/i;
+
+/**
+ * 判断 IP 是否属于不允许通知请求访问的地址段
+ * @param {string} address
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  const type = family === 4 ? 'ipv4' : 'ipv6';
+  return BLOCKED_ADDRESSES[type].check(address, type);
+}
+
+/**
+ * 同步校验通知 Webhook 地址：必须是 https，主机名不能是本地名称或保留地址字面量
+ * @param {string} value
+ * @returns {string|null} 不合法时返回原因
+ */
+export function getWebhookUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'Webhook 地址必须是有效的 URL';
+  }
+  if (url.protocol !== 'https:') {
+    return 'Webhook 地址必须使用 https';
+  }
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (BLOCKED_HOSTNAME_PATTERN.test(hostname) || isPrivateAddress(hostname)) {
+    return 'Webhook 地址不能指向本机或内网地址';
+  }
+  return null;
+}
+
+/**
+ * 发送前校验地址并解析域名，任一解析结果落在保留地址段即拒绝
+ * @param {string} value
+ * @param {{ lookup?: Function }} [options] - lookup(hostname, { all: true }) => Promise<[{ address }]>
+ * @returns {Promise<Array<{ address: string, family: number }>>} 校验通过的地址，发送时固定连接这些地址
+ */
+export async function assertPublicWebhookUrl(value, { lookup = dns.promises.lookup } = {}) {
+  const reason = getWebhookUrlError(value);
+  if (reason) {
+    throw new ConfigError(reason, 'target');
+  }
+  const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return [{ address: hostname, family: net.isIP(hostname) }];
+  }
+
+  let addresses;
+  try {
+    addresses = await lookup(hostname, { all: true });
+  } catch (error) {
+    throw new NetworkError(`无法解析通知地址的域名: ${hostname}`, { originalError: error });
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new ConfigError('Webhook 地址不能指向本机或内网地址', 'target');
+  }
+  return addresses.map(({ address }) => ({ address, family: net.isIP(address) }));
+}
+
+/**
+ * 生成只返回已校验地址的 lookup，供 http(s).request 建立连接时使用
+ * 连接阶段不再查询 DNS，短 TTL 的域名无法在校验之后改指向内网地址
+ * @param {Array<{ address: string, family: number }>} addresses
+ * @returns {Function} dns.lookup 兼容签名 (hostname, options, callback)
+ */
+export function createPinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    const done = typeof options === 'function' ? options : callback;
+    const lookupOptions = typeof options === 'object' && options !== null ? options : {};
+    const family = typeof options === 'number' ? options : lookupOptions.family;
+    const candidates = family ? addresses.filter((entry) => entry.family === family) : addresses;
+
+    if (candidates.length === 0) {
+      const error = new Error(`没有可用的已校验地址: ${hostname}`);
+      error.code = 'ENOTFOUND';
+      done(error);
+      return;
+    }
+    if (lookupOptions.all) {
+      done(null, candidates.map(({ address, family: entryFamily }) => ({ address, family: entryFamily })));
+      return;
+    }
+    done(null, candidates[0].address, candidates[0].family);
+  };
+}
+
+/**
+ * 读取 SMTP 配置，未配置 SMTP_HOST 时返回 null
+ */
+export function getSmtpConfig(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  const secure = env.SMTP_SECURE === 'true';
+  return {
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT || (secure ? '465' : '587'), 10),
+    secure,
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null,
+    from: env.SMTP_FROM || env.SMTP_USER || `alerts@${os.hostname()}`,
+    // 服务器宣告 STARTTLS 时默认升级连接，本地中继可用 SMTP_STARTTLS=false 关闭
+    startTls: env.SMTP_STARTTLS !== 'false'
+  };
+}
+
+/**
+ * 逐行读取 SMTP 响应，多行响应（250-xxx）合并为一条
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiters = [];
+  let failure = null;
+
+  const settle = () => {
+    while (replies.length > 0 && waiters.length > 0) {
+      waiters.shift().resolve(replies.shift());
+    }
+    if (failure) {
+      while (waiters.length > 0) waiters.shift().reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      // 第 4 个字符为空格（或行只有状态码）表示响应结束
+      if (line.length <= 3 || line[3] === ' ') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines: lines.map((item) => item.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+
+  const onError = (error) => {
+    failure = error;
+    settle();
+  };
+
+  const onClose = () => onError(new NetworkError('SMTP 连接已关闭'));
+
+  const attach = (target) => {
+    target.on('data', onData);
+    target.on('error', onError);
+    target.on('close', onClose);
+  };
+
+  const detach = (target) => {
+    target.off('data', onData);
+    target.off('error', onError);
+    target.off('close', onClose);
+  };
+
+  attach(socket);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+        settle();
+      });
+    },
+    // STARTTLS 后切换到加密 socket
+    rebind(previous, upgraded) {
+      detach(previous);
+      buffer = '';
+      lines = [];
+      attach(upgraded);
+    }
+  };
+}
+
+function encodeHeader(value) {
+  const text = String(value || '');
+  // 非 ASCII 主题使用 RFC 2047 编码
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+function encodeBody(text) {
+  return Buffer.from(String(text || ''), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+function extractAddress(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim();
+}
+
+/**
+ * 组装 MIME 邮件；正文统一 base64 编码，因此无需处理行首句点
+ */
+export function buildMimeMessage({ from, to, subject, text, html, date = new Date() }) {
+  const domain = extractAddress(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!html) {
+    return [
+      ...headers,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      encodeBody(text)
+    ].join('\r\n');
+  }
+
+  const boundary = `alt_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+function connectSocket(config, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const options = { host: config.host, port: config.port };
+    const socket = config.secure
+      ? tls.connect({ ...options, servername: config.host })
+      : net.connect(options);
+    const onError = (error) => reject(new NetworkError(`SMTP 连接失败: ${error.message}`, { originalError: error }));
+
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy(new TimeoutError(`SMTP 连接超时（${timeoutMs}ms）`, timeoutMs));
+    });
+    socket.once('error', onError);
+    socket.once(config.secure ? 'secureConnect' : 'connect', () => {
+      socket.off('error', onError);
+      resolve(socket);
+    });
+  });
+}
+
+function upgradeToTls(socket, config) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: config.host }, () => resolve(secureSocket));
+    secureSocket.once('error', (error) => reject(new NetworkError(`STARTTLS 握手失败: ${error.message}`, { originalError: error })));
+  });
+}
+
+/**
+ * 通过 SMTP 发送一封邮件
+ * @param {Object} config - getSmtpConfig() 的返回值
+ * @param {{ to: string[], subject: string, text: string, html?: string }} mail
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {Promise<{ accepted: string[], response: string }>}
+ */
+export async function sendSmtpMail(config, mail, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  let socket = await connectSocket(config, timeoutMs);
+  const reader = createReplyReader(socket);
+  const clientName = os.hostname() || 'localhost';
+
+  const expect = async (codes, step) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new APIError(`SMTP ${step} 失败: ${reply.code} ${reply.lines.join(' ')}`, reply.code, {
+        code: 'SMTP_REJECTED',
+        context: { step }
+      });
+    }
+    return reply;
+  };
+
+  const command = async (line, codes, step) => {
+    socket.write(`${line}\r\n`);
+    return expect(codes, step);
+  };
+
+  try {
+    await expect([220], 'greeting');
+    let ehlo = await command(`EHLO ${clientName}`, [250], 'EHLO');
+
+    const supports = (keyword) => ehlo.lines.some((line) => line.toUpperCase().startsWith(keyword));
+
+    if (!config.secure && config.startTls && supports('STARTTLS')) {
+      await command('STARTTLS', [220], 'STARTTLS');
+      const upgraded = await upgradeToTls(socket, config);
+      reader.rebind(socket, upgraded);
+      socket = upgraded;
+      ehlo = await command(`EHLO ${clientName}`, [250], 'EHLO');
+    }
+
+    if (config.user && config.pass) {
+      const token = Buffer.from(`\0${config.user}\0${config.pass}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+    }
+
+    await command(`MAIL FROM:<${extractAddress(config.from)}>`, [250], 'MAIL FROM');
+    for (const recipient of mail.to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354], 'DATA');
+
+    const message = buildMimeMessage({ from: config.from, ...mail });
+    const accepted = await command(`${message}\r\n.`, [250], 'DATA end');
+
+    socket.write('QUIT\r\n');
+    return { accepted: mail.to, response: accepted.lines.join(' ') };
+  } finally {
+    socket.end();
+  }
+}
+
+function parseRecipients(target) {
+  return String(target || '')
+    .split(/[,;\s]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 发送 JSON POST，只返回状态码
+ * 不跟随重定向，避免公网地址 30x 跳转到内网；响应体可能来自任意服务，直接丢弃
+ */
+function sendJsonRequest(url, body, headers, { timeoutMs, lookup }) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      ...(lookup ? { lookup } : {}),
+      signal: AbortSignal.timeout(timeoutMs)
+    }, (response) => {
+      response.resume();
+      resolve({ status: response.statusCode });
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+async function postJson(url, body, headers = {}, { timeoutMs = DEFAULT_TIMEOUT_MS, allowPrivateNetwork = false, lookup } = {}) {
+  const pinnedLookup = allowPrivateNetwork
+    ? null
+    : createPinnedLookup(await assertPublicWebhookUrl(url, { lookup }));
+
+  let response;
+  try {
+    response = await sendJsonRequest(url, body, headers, { timeoutMs, lookup: pinnedLookup });
+  } catch (error) {
+    throw new NetworkError(`通知请求失败: ${error.message}`, { originalError: error });
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    // 不写入响应内容（会回显给商家）
+    throw new APIError(`通知端点返回 ${response.status}`, response.status);
+  }
+
+  return { status: response.status };
+}
+
+/**
+ * 计算通用 Webhook 签名：HMAC-SHA256(secret, `${timestamp}.${body}`)，十六进制
+ * 接收方用同一 secret 复算并比对 X-Lightsler-Signature，同时校验时间戳防重放
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function sendEmail(channel, message, { timeoutMs, smtpConfig = getSmtpConfig() } = {}) {
+  if (!smtpConfig) {
+    throw new ConfigError('未配置 SMTP_HOST，无法发送邮件通知', 'SMTP_HOST');
+  }
+  const to = parseRecipients(channel.target);
+  if (to.length === 0) {
+    throw new ConfigError('邮件通知渠道缺少收件人', 'target');
+  }
+  const result = await sendSmtpMail(smtpConfig, { to, subject: message.subject, text: message.text, html: message.html }, { timeoutMs });
+  return { delivered: true, ...result };
+}
+
+async function sendSlack(channel, message, options = {}) {
+  const text = message.subject ? `*${message.subject}*\n${message.text}` : message.text;
+  const result = await postJson(channel.target, JSON.stringify({ text }), {}, options);
+  return { delivered: true, ...result };
+}
+
+async function sendWebhook(channel, message, { now = Date.now(), ...options } = {}) {
+  const body = JSON.stringify({
+    subject: message.subject,
+    text: message.text,
+    ...message.payload
+  });
+  const headers = {};
+  if (channel.secret) {
+    const timestamp = String(Math.floor(now / 1000));
+    headers[WEBHOOK_TIMESTAMP_HEADER] = timestamp;
+    headers[WEBHOOK_SIGNATURE_HEADER] = `sha256=${signWebhookPayload(channel.secret, timestamp, body)}`;
+  }
+  const result = await postJson(channel.target, body, headers, options);
+  return { delivered: true, ...result };
+}
+
+const TRANSPORTS = {
+  [NOTIFICATION_CHANNEL_TYPES.EMAIL]: sendEmail,
+  [NOTIFICATION_CHANNEL_TYPES.SLACK]: sendSlack,
+  [NOTIFICATION_CHANNEL_TYPES.WEBHOOK]: sendWebhook
+};
+
+/**
+ * 按渠道类型发送通知
+ * @param {{ type: string, target: string, secret?: string }} channel
+ * @param {{ subject: string, text: string, html?: string, payload?: Object }} message
+ * @param {Object} [options] - timeoutMs / smtpConfig / allowPrivateNetwork / lookup 等传输参数
+ */
+export async function deliverNotification(channel, message, options = {}) {
+  const transport = TRANSPORTS[channel?.type];
+  if (!transport) {
+    throw new ConfigError(`不支持的通知渠道类型: ${channel?.type}`, 'type');
+  }
+  return transport(channel, message, options);
+}
@@ -498,7 +498,10 @@ async function translateProductOptionsIfExists(product, targetLang, admin) {
         const translationResult = await translateResource(optionInput, targetLang);
         // 确保传递正确的数据结构
         const translations = translationResult.translations || translationResult;
-        await saveTranslation(optionResourceId, product.shopId, targetLang, translations);
+        await saveTranslation(optionResourceId, product.shopId, targetLang, translations, {
+          promptProfileAudit: translationResult.promptProfileAudit,
+          glossaryViolations: translationResult.glossaryViolations
+        });
 
         successCount += 1;
 
@@ -592,12 +595,20 @@ async function translateProductMetafieldsIfExists(product, targetLang, admin) {
         const metafield = metafields.find(m => m.id === metafieldResult.id) || metafieldResult;
         if (!metafield) continue;
 
+        let promptProfileAudit = null;
+        let glossaryViolations = [];
         const translatedValue = await translateText(metafield.value, targetLang, {
           shopId: product.shopId,
           resourceType: 'PRODUCT_METAFIELD',
           resourceId: metafield.id,
           fieldName: `${metafield.namespace}.${metafield.key}`,
-          operation: 'translate_product_metafield'
+          operation: 'translate_product_metafield',
+          onPromptProfileApplied: (audit) => {
+            promptProfileAudit = audit;
+          },
+          onGlossaryViolations: (violations) => {
+            glossaryViolations = violations;
+          }
         });
 
         const derivedId = buildDerivedResourceId(product, 'metafield', `${metafield.namespace}-${metafield.key}`);
@@ -631,7 +642,7 @@ async function translateProductMetafieldsIfExists(product, targetLang, admin) {
         };
 
         // 注意这里的 translations 已经是构造好的对象，直接传递
-        await saveTranslation(metafieldResource.id, product.shopId, targetLang, translations);
+        await saveTranslation(metafieldResource.id, product.shopId, targetLang, translations, { promptProfileAudit, glossaryViolations });
 
         successCount++;
         logger.debug(`Metafield翻译并保存完成: ${metafield.namespace}.${metafield.key}`);
@@ -0,0 +1,364 @@
+/**
+ * 提示词配置（品牌语气）服务
+ * - 每个店铺可按目标语言 / 资源类型维护提示词配置：语气、称呼（du/Sie、tu/vous）、目标受众、禁用词、品牌名单、补充要求
+ * - 每次修改保存一份版本快照，可恢复到任意历史版本
+ * - 翻译时按 语言 + 资源类型 选出最匹配的配置注入提示词，并把配置与版本记录到 Translation
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+
+const CACHE_TTL = 5 * 60 * 1000;
+const profileCache = new Map();
+
+export const PROMPT_TONES = ['neutral', 'formal', 'casual'];
+export const PROMPT_ADDRESS_FORMS = ['default', 'formal', 'informal'];
+
+// 参与版本快照的配置字段
+const PROFILE_SETTING_FIELDS = [
+  'name',
+  'locale',
+  'resourceTypes',
+  'tone',
+  'addressForm',
+  'audience',
+  'forbiddenWords',
+  'brandNames',
+  'instructions',
+  'isActive'
+];
+
+const MAX_PREVIEW_LENGTH = 2000;
+
+const TONE_RULES = {
+  formal: '使用正式、礼貌的语调',
+  casual: '使用轻松、亲切的口语化语调'
+};
+
+const ADDRESS_RULES = {
+  formal: '称呼读者时使用尊称（如德语 Sie、法语 vous、西班牙语 usted、荷兰语 u）',
+  informal: '称呼读者时使用非正式称呼（如德语 du、法语 tu、西班牙语 tú、荷兰语 je）'
+};
+
+function getBaseLanguage(lang = '') {
+  return String(lang).split(/[-_]/)[0].toLowerCase();
+}
+
+function normalizeList(value) {
+  const items = typeof value === 'string' ? value.split(/[\n,，]/) : Array.isArray(value) ? value : [];
+  const seen = new Set();
+  const result = [];
+  for (const item of items) {
+    const text = typeof item === 'string' ? item.trim() : '';
+    if (text && !seen.has(text.toLowerCase())) {
+      seen.add(text.toLowerCase());
+      result.push(text);
+    }
+  }
+  return result;
+}
+
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * 规范化提示词配置输入
+ * @param {Object} input
+ * @returns {Object} 可直接写入 PromptProfile 的配置字段
+ */
+export function normalizePromptProfileInput(input = {}) {
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    throw new ValidationError('name is required', 'name');
+  }
+
+  const tone = input.tone || 'neutral';
+  if (!PROMPT_TONES.includes(tone)) {
+    throw new ValidationError(`不支持的语气: ${tone}`, 'tone');
+  }
+
+  const addressForm = input.addressForm || 'default';
+  if (!PROMPT_ADDRESS_FORMS.includes(addressForm)) {
+    throw new ValidationError(`不支持的称呼方式: ${addressForm}`, 'addressForm');
+  }
+
+  return {
+    name,
+    locale: optionalText(input.locale),
+    resourceTypes: normalizeList(input.resourceTypes).map((type) => type.toLowerCase()),
+    tone,
+    addressForm,
+    audience: optionalText(input.audience),
+    forbiddenWords: normalizeList(input.forbiddenWords),
+    brandNames: normalizeList(input.brandNames),
+    instructions: optionalText(input.instructions),
+    isActive: input.isActive !== false && input.isActive !== 'false'
+  };
+}
+
+function pickSettings(profile) {
+  return Object.fromEntries(PROFILE_SETTING_FIELDS.map((field) => [field, profile[field] ?? null]));
+}
+
+function settingsEqual(a, b) {
+  return JSON.stringify(pickSettings(a)) === JSON.stringify(pickSettings(b));
+}
+
+/**
+ * 生成注入提示词的品牌语气段落
+ * @param {Object|null} profile PromptProfile 或未保存的配置
+ * @returns {string}
+ */
+export function buildProfilePromptSection(profile) {
+  if (!profile) {
+    return '';
+  }
+
+  const lines = [];
+  if (TONE_RULES[profile.tone]) lines.push(`- ${TONE_RULES[profile.tone]}`);
+  if (ADDRESS_RULES[profile.addressForm]) lines.push(`- ${ADDRESS_RULES[profile.addressForm]}`);
+  if (profile.audience) lines.push(`- 目标受众：${profile.audience}，用词和表达方式需符合该受众`);
+
+  const forbiddenWords = normalizeList(profile.forbiddenWords);
+  if (forbiddenWords.length > 0) {
+    lines.push(`- 译文中禁止出现以下词语，需改用其他表达：${forbiddenWords.join('、')}`);
+  }
+  if (profile.instructions) lines.push(`- 补充要求：${profile.instructions}`);
+
+  if (lines.length === 0) {
+    return '';
+  }
+
+  return `品牌语气要求（店铺配置，优先级高于默认语调）：
+${lines.join('\n')}
+`;
+}
+
+/**
+ * 从候选配置中选出最匹配的一项：语言越具体越优先（完全匹配 > 基础语言 > 全部语言），其次是指定了资源类型的配置
+ * @param {Array} profiles 已启用的配置
+ * @param {string} targetLang
+ * @param {string} [resourceType]
+ * @returns {Object|null}
+ */
+export function selectPromptProfile(profiles = [], targetLang, resourceType) {
+  const lang = String(targetLang || '').toLowerCase();
+  const type = String(resourceType || '').toLowerCase();
+  let best = null;
+  let bestScore = -1;
+
+  for (const profile of profiles) {
+    if (!profile || profile.isActive === false) continue;
+
+    let localeScore = 0;
+    if (profile.locale) {
+      const locale = profile.locale.toLowerCase();
+      if (locale === lang) localeScore = 2;
+      else if (locale === getBaseLanguage(lang)) localeScore = 1;
+      else continue;
+    }
+
+    const types = normalizeList(profile.resourceTypes).map((item) => item.toLowerCase());
+    let typeScore = 0;
+    if (types.length > 0) {
+      if (!type || !types.includes(type)) continue;
+      typeScore = 1;
+    }
+
+    const score = localeScore * 2 + typeScore;
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+async function getActiveProfiles(shopId) {
+  const cached = profileCache.get(shopId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.profiles;
+  }
+
+  const profiles = await prisma.promptProfile.findMany({
+    where: { shopId, isActive: true },
+    orderBy: { updatedAt: 'desc' }
+  });
+  profileCache.set(shopId, { profiles, expiresAt: Date.now() + CACHE_TTL });
+  return profiles;
+}
+
+/**
+ * 获取翻译时使用的提示词配置
+ * @param {string} shopId
+ * @param {string} targetLang
+ * @param {string} [resourceType]
+ * @returns {Promise<Object|null>} 未配置或读取失败时返回 null，使用默认提示词
+ */
+export async function resolvePromptProfile(shopId, targetLang, resourceType) {
+  if (!shopId || !targetLang) return null;
+
+  try {
+    return selectPromptProfile(await getActiveProfiles(shopId), targetLang, resourceType);
+  } catch (error) {
+    logger.warn('[PromptProfile] 读取提示词配置失败，本次翻译使用默认提示词', { shopId, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * 生成译文记录上的提示词配置审计字段
+ * 由构建提示词的翻译策略调用，记录的是实际生效的配置；未保存的预览配置没有 id，记为 null
+ * @param {Object|null} profile 构建提示词时使用的配置
+ * @returns {{ promptProfileId: string|null, promptProfileVersion: number|null }}
+ */
+export function toPromptProfileAudit(profile) {
+  return {
+    promptProfileId: profile?.id ?? null,
+    promptProfileVersion: profile?.id ? profile.version ?? null : null
+  };
+}
+
+export function invalidatePromptProfileCache(shopId) {
+  if (shopId) {
+    profileCache.delete(shopId);
+  } else {
+    profileCache.clear();
+  }
+}
+
+export async function listPromptProfiles(shopId) {
+  return prisma.promptProfile.findMany({
+    where: { shopId },
+    orderBy: [{ locale: 'asc' }, { name: 'asc' }]
+  });
+}
+
+export async function listPromptProfileVersions(shopId, profileId) {
+  return prisma.promptProfileVersion.findMany({
+    where: { shopId, profileId },
+    orderBy: { version: 'desc' }
+  });
+}
+
+async function findProfile(shopId, profileId) {
+  const profile = await prisma.promptProfile.findFirst({ where: { id: profileId, shopId } });
+  if (!profile) {
+    throw new ValidationError('提示词配置不存在', 'profileId');
+  }
+  return profile;
+}
+
+export async function createPromptProfile(shopId, input, actor = null) {
+  const data = normalizePromptProfileInput(input);
+
+  const profile = await prisma.$transaction(async (tx) => {
+    const created = await tx.promptProfile.create({
+      data: { shopId, ...data, version: 1, createdBy: actor }
+    });
+    await tx.promptProfileVersion.create({
+      data: { profileId: created.id, shopId, version: 1, settings: pickSettings(created), createdBy: actor }
+    });
+    return created;
+  });
+
+  invalidatePromptProfileCache(shopId);
+  logger.info('[PromptProfile] 创建提示词配置', { shopId, profileId: profile.id, locale: profile.locale });
+  return profile;
+}
+
+/**
+ * 更新配置；内容有变化时版本号 +1 并保存快照
+ */
+export async function updatePromptProfile(shopId, profileId, input, actor = null) {
+  const current = await findProfile(shopId, profileId);
+  const data = normalizePromptProfileInput({ ...pickSettings(current), ...input });
+
+  if (settingsEqual(current, data)) {
+    return current;
+  }
+
+  const version = current.version + 1;
+  const profile = await prisma.$transaction(async (tx) => {
+    const updated = await tx.promptProfile.update({
+      where: { id: profileId },
+      data: { ...data, version }
+    });
+    await tx.promptProfileVersion.create({
+      data: { profileId, shopId, version, settings: pickSettings(updated), createdBy: actor }
+    });
+    return updated;
+  });
+
+  invalidatePromptProfileCache(shopId);
+  logger.info('[PromptProfile] 更新提示词配置', { shopId, profileId, version });
+  return profile;
+}
+
+/**
+ * 恢复到历史版本（作为新版本保存，历史不被改写）
+ */
+export async function restorePromptProfileVersion(shopId, profileId, version, actor = null) {
+  const snapshot = await prisma.promptProfileVersion.findFirst({
+    where: { shopId, profileId, version: Number(version) }
+  });
+  if (!snapshot) {
+    throw new ValidationError('提示词配置版本不存在', 'version');
+  }
+  return updatePromptProfile(shopId, profileId, snapshot.settings, actor);
+}
+
+export async function deletePromptProfile(shopId, profileId) {
+  const result = await prisma.promptProfile.deleteMany({ where: { shopId, id: profileId } });
+  invalidatePromptProfileCache(shopId);
+  return { deleted: result.count };
+}
+
+/**
+ * 预览：用未保存的配置翻译一段示例文本，返回生成的提示词与译文
+ * @param {string} shopId
+ * @param {Object} input 配置输入（不会保存）
+ * @param {Object} options
+ * @param {string} options.sampleText 示例原文
+ * @param {string} options.targetLang 目标语言（默认取配置的语言）
+ * @param {string} [options.resourceType]
+ */
+export async function previewPromptProfile(shopId, input, { sampleText, targetLang, resourceType } = {}) {
+  const profile = normalizePromptProfileInput(input);
+  const language = targetLang || profile.locale;
+  const text = typeof sampleText === 'string' ? sampleText.trim() : '';
+
+  if (!language) {
+    throw new ValidationError('targetLang is required', 'targetLang');
+  }
+  if (!text) {
+    throw new ValidationError('sampleText is required', 'sampleText');
+  }
+  if (text.length > MAX_PREVIEW_LENGTH) {
+    throw new ValidationError(`示例文本不能超过 ${MAX_PREVIEW_LENGTH} 个字符`, 'sampleText');
+  }
+
+  // 动态导入，避免与翻译核心模块循环依赖
+  const [{ translateText }, { buildEnhancedPrompt }] = await Promise.all([
+    import('./translation/core.server.js'),
+    import('./translation/prompts.server.js')
+  ]);
+
+  const result = await translateText(text, language, {
+    shopId,
+    resourceType: resourceType || profile.resourceTypes[0],
+    promptProfile: profile,
+    skipTranslationMemory: true,
+    operation: 'prompt_profile_preview'
+  });
+
+  return {
+    targetLang: language,
+    sampleText: text,
+    translation: typeof result === 'string' ? result : result?.text ?? '',
+    prompt: buildEnhancedPrompt(language, { profile })
+  };
+}
@@ -2,6 +2,7 @@ import { prisma } from '../db.server.js';
 import { captureError, TranslationError } from '../utils/error-handler.server.js';
 import { logger } from '../utils/logger.server.js';
 import { validateTranslation } from './translation.server.js';
+import { blendQualityScore } from './translation/deep-quality.server.js';
 
 // 品牌词定义（应该与translation.server.js保持一致）
 const BRAND_WORDS = new Set([
@@ -77,6 +78,8 @@ export class QualityErrorAnalyzer {
       } = context;
 
       const startTime = Date.now();
+      // 深度质量评估明细（回译 / 评审模型）存在时，准确性与流畅性以其为主
+      const deepQuality = context.qualityBreakdown ?? await this._loadDeepQuality(resourceId, language);
 
       // 并行执行多维度质量评估
       const [
@@ -89,8 +92,8 @@ export class QualityErrorAnalyzer {
         errorCorrelation
       ] = await Promise.all([
         this._assessCompleteness(originalText, translatedText),
-        this._assessAccuracy(originalText, translatedText, language),
-        this._assessFluency(translatedText, language),
+        this._assessAccuracy(originalText, translatedText, language, deepQuality),
+        this._assessFluency(translatedText, language, deepQuality),
         this._assessConsistency(resourceId, language, translatedText),
         this._assessHtmlIntegrity(originalText, translatedText),
         this._assessBrandPreservation(originalText, translatedText),
@@ -419,11 +422,29 @@ export class QualityErrorAnalyzer {
     return Math.max(0, lengthRatio - placeholderPenalty);
   }
 
+  /**
+   * 读取译文已保存的深度质量评估明细
+   * @private
+   */
+  async _loadDeepQuality(resourceId, language) {
+    if (!resourceId || !language) return null;
+    try {
+      const translation = await prisma.translation.findUnique({
+        where: { resourceId_language: { resourceId, language } },
+        select: { qualityBreakdown: true }
+      });
+      return translation?.qualityBreakdown || null;
+    } catch (error) {
+      logger.warn('读取深度质量评估明细失败', { resourceId, language, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * 评估准确性
    * @private
    */
-  async _assessAccuracy(originalText, translatedText, language) {
+  async _assessAccuracy(originalText, translatedText, language, deepQuality) {
     // 简化实现：基于常见翻译错误检测
     let accuracyScore = 0.8; // 基础分数
 
@@ -450,15 +471,19 @@ export class QualityErrorAnalyzer {
       accuracyScore -= 0.3;
     }
 
-    return Math.max(0, Math.min(1, accuracyScore));
+    accuracyScore = Math.max(0, Math.min(1, accuracyScore));
+    return blendQualityScore(accuracyScore, deepQuality?.adequacy);
   }
 
   /**
    * 评估流畅性
    * @private
    */
-  async _assessFluency(translatedText, language) {
+  async _assessFluency(translatedText, language, deepQuality) {
     if (!translatedText) return 0;
+    if (Number.isFinite(deepQuality?.fluency)) {
+      return deepQuality.fluency;
+    }
 
     let fluencyScore = 0.7; // 基础分数
 
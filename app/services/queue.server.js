@@ -12,6 +12,7 @@ import { createShopRedisConfig, parseRedisUrl } from '../utils/redis-parser.serv
 import { logger } from '../utils/logger.server.js';
 import { getLinkConversionConfig } from './market-urls.server.js';
 import { getEnvWithDevOverride } from '../utils/env.server.js';
+import { getLocaleInheritance } from './locale-inheritance.server.js';
 
 /**
  * Redis任务队列服务
@@ -295,6 +296,12 @@ function ensureProcessorDefinitions() {
     handler: handleBatchTranslate
   });
 
+  processorDefinitions.push({
+    name: 'incrementalTranslate',
+    concurrency: () => 1,
+    handler: handleIncrementalTranslate
+  });
+
   processorsInitialized = true;
   return processorDefinitions;
 }
@@ -772,7 +779,7 @@ async function handleTranslateResource(job) {
   });
   
   assertJobPayload(job?.data);
-  const { resourceId, shopId, shopDomain, language, forceRelatedTranslation, userRequested } = job.data;
+  const { resourceId, shopId, shopDomain, language, forceRelatedTranslation, userRequested, sessionId } = job.data;
   let resource;
 
   logger.info(`[Worker] 开始翻译: resourceId=${resourceId}, language=${language}`, { jobId: job.id, shopId });
@@ -809,6 +816,21 @@ async function handleTranslateResource(job) {
       };
     }
 
+    // 继承父语言的地区变体由父语言译文派生，不单独调用模型翻译
+    const inheritance = await getLocaleInheritance(shopId, language);
+    if (inheritance) {
+      logger.info(`[Worker] 跳过继承语言: ${language} 由 ${inheritance.parentCode} 派生`, { jobId: job.id, resourceId });
+      job.progress(100);
+      return {
+        resourceId,
+        resourceType: resource.resourceType,
+        title: resource.title,
+        success: true,
+        skipped: true,
+        skipReason: 'inherited_locale'
+      };
+    }
+
     await updateResourceStatus(resourceId, 'processing');
     job.progress(20);
 
@@ -847,7 +869,8 @@ async function handleTranslateResource(job) {
     // ✅ 构建翻译选项（只保留可序列化字段）
     const translationOptions = {
       shopId: shop.domain,
-      linkConversion: linkConversionConfig || { enabled: false }
+      linkConversion: linkConversionConfig || { enabled: false },
+      ...(sessionId && { sessionId }) // 额度消耗记录归属到翻译会话，撤销会话时据此退回
     };
 
     // ✅ 提前normalize资源类型（防止大小写不匹配）
@@ -929,7 +952,11 @@ async function handleTranslateResource(job) {
       throw new Error(`翻译结果缺少有效的 translations 字段: resourceId=${resourceId}`);
     }
 
-    await saveTranslation(resourceId, shopId, language, translationData);
+    await saveTranslation(resourceId, shopId, language, translationData, {
+      sessionId,
+      promptProfileAudit: translationResult.promptProfileAudit,
+      glossaryViolations: translationResult.glossaryViolations
+    });
     job.progress(70);
 
     logger.info(`✅ 翻译完成，状态设为pending等待发布: ${resource.title} -> ${language}`);
@@ -992,7 +1019,7 @@ async function handleBatchTranslate(job) {
   assertBatchJobPayload(job?.data);
 
   // ✅ 从 job.data 解构变量
-  const { resourceIds, shopId, shopDomain, language, forceRelatedTranslation, userRequested } = job.data;
+  const { resourceIds, shopId, shopDomain, language, forceRelatedTranslation, userRequested, sessionId } = job.data;
   const total = resourceIds.length;
   const jobIds = [];
   const errors = [];
@@ -1014,7 +1041,8 @@ async function handleBatchTranslate(job) {
         shopDomain,
         language,
         forceRelatedTranslation,
-        userRequested
+        userRequested,
+        sessionId
       };
 
       assertJobPayload(singleJobPayload);
@@ -1052,6 +1080,27 @@ async function handleBatchTranslate(job) {
 
 initializeQueue();
 
+/**
+ * 增量翻译任务：只翻译源内容变更的字段（由内容类 webhook 触发）
+ */
+async function handleIncrementalTranslate(job) {
+  assertBatchJobPayload(job?.data);
+
+  const { resourceIds, shopId, language } = job.data;
+  const { performIncrementalTranslation } = await import('./incremental-translation.server.js');
+  const summary = await performIncrementalTranslation(shopId, language, resourceIds);
+
+  logger.info('[Incremental] 增量翻译任务完成', {
+    jobId: job.id,
+    shopId,
+    language,
+    resourceCount: resourceIds.length,
+    fieldsTranslated: summary?.fieldsTranslated
+  });
+
+  return summary;
+}
+
 /**
  * 手动注册队列processors（供Worker进程在queue ready后调用）
  * 🆕 增强：等待Bull连接就绪 + 重试 + 降级 + 状态同步
@@ -1193,7 +1242,8 @@ export async function addTranslationJob(resourceId, shopId, language, shopDomain
     shopDomain,
     language,
     forceRelatedTranslation: options.forceRelatedTranslation || false,
-    userRequested: options.userRequested || false
+    userRequested: options.userRequested || false,
+    sessionId: options.sessionId || null
   };
 
   assertJobPayload(jobData);
@@ -1271,7 +1321,8 @@ export async function addBatchTranslationJob(resourceIds, shopId, language, shop
     shopDomain,
     language,
     forceRelatedTranslation: options.forceRelatedTranslation || false,
-    userRequested: options.userRequested || false
+    userRequested: options.userRequested || false,
+    sessionId: options.sessionId || null
   };
 
   assertBatchJobPayload(jobData);
@@ -1320,6 +1371,93 @@ export async function addBatchTranslationJob(resourceIds, shopId, language, shop
   }
 }
 
+/**
+ * 增量翻译任务的确定性 jobId：同一店铺、资源、语言的更新共用一个任务
+ * @param {string} shopId
+ * @param {string} resourceId
+ * @param {string} language
+ * @returns {string}
+ */
+export function getIncrementalJobId(shopId, resourceId, language) {
+  return `incremental:${shopId}:${resourceId}:${language}`;
+}
+
+/**
+ * 为确定性 jobId 腾出队列位置，使一次突发更新只在最后一次更新后执行一次翻译
+ * - 尚未执行（delayed / waiting）的同名任务被移除，随后以新的延迟重新排队
+ * - 同名任务正在执行时改用补跑槽位，保证执行期间的更新在其结束后再翻译一次
+ * - 已结束的任务记录被清理，否则队列会把新任务视为重复而忽略
+ * @param {string} jobId
+ * @returns {Promise<string>} 实际使用的 jobId
+ */
+async function claimIncrementalJobSlot(jobId) {
+  const slots = await Promise.all([jobId, `${jobId}:followup`].map(async (id) => {
+    const job = await translationQueue.getJob(id);
+    const state = job ? await job.getState() : null;
+    return { id, job, state };
+  }));
+
+  const target = slots.find((slot) => slot.state === 'delayed' || slot.state === 'waiting')
+    || slots.find((slot) => slot.state !== 'active')
+    || slots[1];
+
+  if (target.job && target.state !== 'active') {
+    try {
+      await target.job.remove();
+    } catch (error) {
+      // 任务恰好被取走执行时无法移除，新任务会被去重，由正在执行的任务完成翻译
+      logger.warn('[addIncrementalTranslationJob] 移除待执行任务失败', { jobId: target.id, error: error.message });
+    }
+  }
+
+  return target.id;
+}
+
+/**
+ * 添加增量翻译任务到队列
+ * 指定 options.jobId 时按该 id 去抖：替换尚未执行的同名任务并重新计算延迟
+ * @param {Array} resourceIds - 资源ID列表
+ * @param {string} shopId - 店铺ID
+ * @param {string} language - 目标语言
+ * @param {string} shopDomain - 店铺域名
+ * @param {Object} options - 任务选项（priority、delay、jobId 等）
+ * @returns {Promise<Object>} 任务信息
+ */
+export async function addIncrementalTranslationJob(resourceIds, shopId, language, shopDomain, options = {}) {
+  if (!translationQueue) {
+    throw new Error('任务队列未配置，无法创建增量翻译任务');
+  }
+
+  const jobData = { resourceIds, shopId, shopDomain, language };
+  assertBatchJobPayload(jobData);
+
+  const jobOptions = { ...options };
+  if (options.jobId != null) {
+    jobOptions.jobId = await claimIncrementalJobSlot(options.jobId);
+  }
+
+  const job = await translationQueue.add('incrementalTranslate', jobData, {
+    attempts: 2,
+    backoff: { type: 'exponential', delay: 2000 },
+    removeOnComplete: 10,
+    removeOnFail: 5,
+    ...jobOptions
+  });
+
+  logger.info('[addIncrementalTranslationJob] 增量翻译任务已添加', {
+    jobId: job.id,
+    resourceCount: resourceIds.length,
+    language
+  });
+
+  return {
+    jobId: job.id,
+    resourceCount: resourceIds.length,
+    shopDomain,
+    status: 'queued'
+  };
+}
+
 /**
  * 获取任务状态
  * @param {string} jobId - 任务ID
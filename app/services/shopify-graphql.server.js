@@ -14,6 +14,8 @@ import { logger } from '../utils/logger.server.js';
 import { captureError } from '../utils/error-handler.server.js';
 import { createSyncWarning } from '../utils/sync-error-helper.server.js';
 import { sanitizeTranslationValue as sanitizeTranslationValueUtil } from '../utils/html-sanitizer.server.js';
+import { MEDIA_ALT_FIELD, buildMediaAltKey, toPublishableMediaAlt } from './media-alt.server.js';
+import { buildMetaobjectResource } from './metaobject-translation.server.js';
 
 // 诊断开关
 const DIAGNOSE_OPTION = process.env.DIAGNOSE_PRODUCT_OPTION === 'true';
@@ -96,7 +98,10 @@ export const RESOURCE_TYPES = {
   SHOP: 'SHOP',
   SHOP_POLICY: 'SHOP_POLICY',
   
-  // D. 其他尝试（按官方分类）
+  // D. 元对象（只翻译文本 / 富文本字段）
+  METAOBJECT: 'METAOBJECT',
+
+  // E. 其他尝试（按官方分类）
   METAFIELD: 'METAFIELD' // 若后端不支持，该类型不会返回数据
 };;
 
@@ -150,7 +155,9 @@ export const FIELD_MAPPINGS = {
   },
   [RESOURCE_TYPES.FILTER]: {
     labelTrans: 'label'
-  }
+  },
+  // 字段 key 由 metaobject 定义决定，全部经 translationFields 发布
+  [RESOURCE_TYPES.METAOBJECT]: {}
 };
 // 新增资源类型的字段映射
 export const EXTENDED_FIELD_MAPPINGS = {
@@ -235,6 +242,11 @@ export const RESOURCE_FIELD_MAPPINGS = {
   [RESOURCE_TYPES.FILTER]: ['label']
 };
 
+// 每个产品读取的媒体数量上限；nodes 查询每批资源数（控制查询成本）
+const MEDIA_ALT_PAGE_SIZE = 10;
+const MEDIA_ALT_NODES_BATCH_SIZE = 25;
+const METAOBJECT_NODES_BATCH_SIZE = 50;
+
 // GraphQL查询：获取产品（包括富文本内容）
 const GET_PRODUCTS_QUERY = `
   query getProducts($cursor: String) {
@@ -250,6 +262,15 @@ const GET_PRODUCTS_QUERY = `
             title
             description
           }
+          media(first: ${MEDIA_ALT_PAGE_SIZE}) {
+            edges {
+              node {
+                id
+                alt
+                mediaContentType
+              }
+            }
+          }
         }
       }
       pageInfo {
@@ -312,6 +333,75 @@ const TRANSLATABLE_RESOURCES_BY_TYPE_QUERY = `
             value
             digest
             locale
+            type
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+// GraphQL查询：批量获取产品媒体 / 文章图片的替代文本
+const MEDIA_ALT_NODES_QUERY = `
+  query getMediaAltTexts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        media(first: ${MEDIA_ALT_PAGE_SIZE}) {
+          edges {
+            node {
+              id
+              alt
+              mediaContentType
+            }
+          }
+        }
+      }
+      ... on Article {
+        id
+        image {
+          id
+          altText
+        }
+      }
+    }
+  }
+`;
+
+// GraphQL查询：批量获取 metaobject 的定义类型与展示名
+const METAOBJECT_DETAILS_QUERY = `
+  query getMetaobjectDetails($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Metaobject {
+        id
+        type
+        handle
+        displayName
+      }
+    }
+  }
+`;
+
+// 菜单链接（Shopify 菜单最多三级）；需要 read_online_store_navigation 权限
+const MENU_ITEM_FIELDS = 'id title type url resourceId';
+const MENUS_QUERY = `
+  query getMenus($cursor: String) {
+    menus(first: 50, after: $cursor) {
+      nodes {
+        id
+        handle
+        title
+        items {
+          ${MENU_ITEM_FIELDS}
+          items {
+            ${MENU_ITEM_FIELDS}
+            items {
+              ${MENU_ITEM_FIELDS}
+            }
           }
         }
       }
@@ -340,6 +430,165 @@ const TRANSLATIONS_REGISTER_MUTATION = `
   }
 `;
 
+// GraphQL查询：资源在指定语言下已发布的译文 key
+const RESOURCE_TRANSLATION_KEYS_QUERY = `
+  query getResourceTranslationKeys($resourceId: ID!, $locale: String!, $marketId: ID) {
+    translatableResource(resourceId: $resourceId) {
+      resourceId
+      translations(locale: $locale, marketId: $marketId) {
+        key
+      }
+    }
+  }
+`;
+
+const TRANSLATIONS_REMOVE_MUTATION = `
+  mutation translationsRemove($resourceId: ID!, $translationKeys: [String!]!, $locales: [String!]!, $marketIds: [ID!]) {
+    translationsRemove(resourceId: $resourceId, translationKeys: $translationKeys, locales: $locales, marketIds: $marketIds) {
+      userErrors {
+        message
+        field
+      }
+      translations {
+        key
+        locale
+      }
+    }
+  }
+`;
+
+/**
+ * 提取产品图片媒体的 alt（仅 MediaImage 支持 alt 翻译）
+ * @param {Object} product - 含 media 连接的产品节点
+ * @returns {Array<{ id: string, alt: string, resourceType: string }>}
+ */
+function extractProductMediaAlt(product) {
+  return (product?.media?.edges || [])
+    .map(({ node }) => node)
+    .filter((node) => node?.mediaContentType === 'IMAGE' && node.alt?.trim())
+    .map((node) => ({ id: node.id, alt: node.alt, resourceType: 'MEDIA_IMAGE' }));
+}
+
+/**
+ * 提取文章图片的 alt
+ * @param {Object} article - 含 image 的文章节点
+ * @returns {Array<{ id: string, alt: string, resourceType: string }>}
+ */
+function extractArticleImageAlt(article) {
+  const image = article?.image;
+  return image?.id && image.altText?.trim()
+    ? [{ id: image.id, alt: image.altText, resourceType: 'ARTICLE_IMAGE' }]
+    : [];
+}
+
+/**
+ * 为产品 / 文章补充媒体 alt 文本，写入 contentFields.mediaAlt
+ * translatableResources 不返回媒体内容，需要按资源 GID 额外查询；失败时不影响扫描
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {Array} resources - fetchResourcesByType 构建的资源对象
+ * @param {number} maxRetries - 最大重试次数
+ */
+export async function attachMediaAltTexts(admin, resources, maxRetries = 3) {
+  for (let i = 0; i < resources.length; i += MEDIA_ALT_NODES_BATCH_SIZE) {
+    const batch = resources.slice(i, i + MEDIA_ALT_NODES_BATCH_SIZE);
+    try {
+      const data = await executeGraphQLWithRetry(
+        admin,
+        MEDIA_ALT_NODES_QUERY,
+        { ids: batch.map((resource) => resource.gid) },
+        maxRetries
+      );
+      const nodesById = new Map((data.data?.nodes || []).filter(Boolean).map((node) => [node.id, node]));
+
+      for (const resource of batch) {
+        const node = nodesById.get(resource.gid);
+        if (!node) continue;
+        const mediaAlt = node.media ? extractProductMediaAlt(node) : extractArticleImageAlt(node);
+        if (mediaAlt.length > 0) {
+          resource.contentFields = { ...(resource.contentFields || {}), [MEDIA_ALT_FIELD]: mediaAlt };
+        }
+      }
+    } catch (error) {
+      logger.warn('获取媒体替代文本失败，跳过该批资源', { count: batch.length, error: error.message });
+    }
+  }
+  return resources;
+}
+
+/**
+ * 为 metaobject 补充展示名、handle 与定义类型（contentFields.metaobjectType）
+ * translatableResources 只返回字段内容；查询失败时以 GID 作为标题，不影响扫描
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {Array} resources - buildMetaobjectResource 构建的资源对象
+ * @param {number} maxRetries - 最大重试次数
+ */
+export async function attachMetaobjectDetails(admin, resources, maxRetries = 3) {
+  for (let i = 0; i < resources.length; i += METAOBJECT_NODES_BATCH_SIZE) {
+    const batch = resources.slice(i, i + METAOBJECT_NODES_BATCH_SIZE);
+    try {
+      const data = await executeGraphQLWithRetry(
+        admin,
+        METAOBJECT_DETAILS_QUERY,
+        { ids: batch.map((resource) => resource.gid) },
+        maxRetries
+      );
+      const nodesById = new Map((data.data?.nodes || []).filter(Boolean).map((node) => [node.id, node]));
+
+      for (const resource of batch) {
+        const node = nodesById.get(resource.gid);
+        if (!node) continue;
+        resource.title = node.displayName || node.handle || '';
+        resource.handle = node.handle || '';
+        resource.contentFields = { ...resource.contentFields, metaobjectType: node.type || null };
+      }
+    } catch (error) {
+      logger.warn('获取 metaobject 详情失败，跳过该批资源', { count: batch.length, error: error.message });
+    }
+  }
+
+  for (const resource of resources) {
+    if (!resource.title) resource.title = resource.gid;
+  }
+  return resources;
+}
+
+/**
+ * 获取所有菜单的链接项（展开为一维列表）
+ * LINK 资源的 translatableContent 只有 title，链接 URL 需要从菜单结构读取
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {number} maxRetries - 最大重试次数
+ * @returns {Promise<Array<{ menuId: string, menuHandle: string, id: string, title: string, type: string, url: string, resourceId: string|null }>>}
+ */
+export async function fetchMenuLinks(admin, maxRetries = 3) {
+  const links = [];
+  const collect = (menu, items = []) => {
+    for (const item of items) {
+      links.push({
+        menuId: menu.id,
+        menuHandle: menu.handle,
+        id: item.id,
+        title: item.title,
+        type: item.type,
+        url: item.url || '',
+        resourceId: item.resourceId || null
+      });
+      collect(menu, item.items);
+    }
+  };
+
+  let cursor = null;
+  do {
+    const data = await executeGraphQLWithRetry(admin, MENUS_QUERY, { cursor }, maxRetries);
+    const menus = data.data?.menus;
+    for (const menu of menus?.nodes || []) {
+      collect(menu, menu.items);
+    }
+    cursor = menus?.pageInfo?.hasNextPage ? menus.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return links;
+}
+
 /**
  * 获取店铺所有产品，支持重试机制
  * @param {Object} admin - Shopify Admin API客户端
@@ -401,6 +650,7 @@ export async function fetchAllProducts(admin, maxRetries = 3) {
     for (const edge of productEdges) {
       const product = edge.node;
       const productId = product.id.replace('gid://shopify/Product/', '');
+      const mediaAlt = extractProductMediaAlt(product);
       products.push({
         id: productId,
         originalId: productId, // 添加originalId字段
@@ -411,7 +661,8 @@ export async function fetchAllProducts(admin, maxRetries = 3) {
         handle: product.handle || '',
         seoTitle: product.seo?.title || '',
         seoDescription: product.seo?.description || '',
-        resourceType: 'product'
+        resourceType: 'product',
+        ...(mediaAlt.length > 0 && { contentFields: { [MEDIA_ALT_FIELD]: mediaAlt } })
       });
     }
 
@@ -640,9 +891,16 @@ export async function fetchResourcesByType(admin, resourceType, maxRetries = 3)
 
     const edges = data.data.translatableResources.edges;
     logger.debug('成功获取资源', { resourceType, count: edges.length });
+    const pageResources = [];
     
     for (const edge of edges) {
       const resource = edge.node;
+
+      // Metaobject 字段 key 由定义决定，不套用标题 / 正文等标准字段
+      if (resourceType === RESOURCE_TYPES.METAOBJECT) {
+        pageResources.push(buildMetaobjectResource(resource));
+        continue;
+      }
       
       // 提取基础信息从translatableContent
       const content = {};
@@ -695,9 +953,17 @@ export async function fetchResourcesByType(admin, resourceType, maxRetries = 3)
         resourceData.contentFields = otherFields;
       }
 
-      resources.push(resourceData);
+      pageResources.push(resourceData);
     }
 
+    // 产品媒体与文章图片的 alt 不在 translatableContent 中，单独补充
+    if (resourceType === RESOURCE_TYPES.PRODUCT || resourceType === RESOURCE_TYPES.ARTICLE) {
+      await attachMediaAltTexts(admin, pageResources, maxRetries);
+    } else if (resourceType === RESOURCE_TYPES.METAOBJECT) {
+      await attachMetaobjectDetails(admin, pageResources, maxRetries);
+    }
+    resources.push(...pageResources);
+
     hasNextPage = data.data.translatableResources.pageInfo.hasNextPage;
     cursor = data.data.translatableResources.pageInfo.endCursor;
   }
@@ -816,6 +1082,125 @@ export async function updateMetafieldTranslation(admin, metafieldGid, translated
   }
 }
 
+/**
+ * 从 Shopify 移除资源在指定语言下已发布的译文
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {string} resourceGid - 资源GID
+ * @param {string} locale - 目标语言
+ * @param {Array<string>|null} translationKeys - 要移除的 key，为空时移除该语言下全部已发布 key
+ * @param {number} maxRetries - 最大重试次数
+ * @param {Object} [options] - 移除选项
+ * @param {string} [options.marketId] - 市场GID，指定时只移除该市场专属译文
+ * @returns {Promise<{ success: boolean, removedKeys: Array<string>, message?: string }>}
+ */
+export async function removeResourceTranslations(admin, resourceGid, locale, translationKeys = null, maxRetries = 3, options = {}) {
+  const marketId = options.marketId || null;
+  try {
+    let keys = translationKeys;
+    if (!keys) {
+      const data = await executeGraphQLWithRetry(
+        admin,
+        RESOURCE_TRANSLATION_KEYS_QUERY,
+        { resourceId: resourceGid, locale, marketId },
+        maxRetries
+      );
+      keys = (data.data.translatableResource?.translations || []).map((item) => item.key);
+    }
+
+    if (keys.length === 0) {
+      return { success: true, removedKeys: [] };
+    }
+
+    const removeData = await executeGraphQLWithRetry(
+      admin,
+      TRANSLATIONS_REMOVE_MUTATION,
+      {
+        resourceId: resourceGid,
+        translationKeys: keys,
+        locales: [locale],
+        ...(marketId ? { marketIds: [marketId] } : {})
+      },
+      maxRetries
+    );
+
+    const { userErrors = [], translations = [] } = removeData.data.translationsRemove || {};
+    if (userErrors.length > 0) {
+      logger.error('❌ 译文移除失败:', userErrors);
+      return {
+        success: false,
+        removedKeys: [],
+        message: `译文移除失败: ${userErrors.map(e => e.message).join(', ')}`,
+        errors: userErrors
+      };
+    }
+
+    return { success: true, removedKeys: (translations || []).map((item) => item.key) };
+  } catch (error) {
+    logger.error('❌ removeResourceTranslations错误:', error);
+    return {
+      success: false,
+      removedKeys: [],
+      message: `移除译文失败: ${error.message}`,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * 注册媒体 alt 译文（产品媒体图片 / 文章图片各自是独立的可翻译资源，key 为 alt）
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {Object} mediaAlt - translationFields.mediaAlt：{ [媒体GID]: { value, sourceDigest } | string }
+ * @param {string} targetLocale - 目标语言
+ * @param {number} maxRetries - 最大重试次数
+ * @returns {Promise<{ registered: number, failed: number, warnings: Array }>}
+ */
+export async function updateMediaAltTranslations(admin, mediaAlt, targetLocale, maxRetries = 3) {
+  const result = { registered: 0, failed: 0, warnings: [] };
+
+  for (const [mediaGid, value] of Object.entries(toPublishableMediaAlt(mediaAlt))) {
+    try {
+      const data = await executeGraphQLWithRetry(admin, TRANSLATABLE_RESOURCE_QUERY, { resourceId: mediaGid }, maxRetries);
+      const altContent = (data.data.translatableResource?.translatableContent || []).find((item) => item.key === 'alt');
+      if (!altContent) {
+        result.warnings.push(createSyncWarning(buildMediaAltKey(mediaGid), 'FIELD_NOT_IN_TRANSLATABLE_CONTENT'));
+        continue;
+      }
+
+      const sanitizedValue = sanitizeTranslationValue(value);
+      if (sanitizedValue.shouldSkip) continue;
+
+      const registerData = await executeGraphQLWithRetry(
+        admin,
+        TRANSLATIONS_REGISTER_MUTATION,
+        {
+          resourceId: mediaGid,
+          translations: [{
+            locale: targetLocale,
+            key: 'alt',
+            value: sanitizedValue.value,
+            translatableContentDigest: altContent.digest
+          }]
+        },
+        maxRetries
+      );
+
+      const userErrors = registerData.data.translationsRegister.userErrors;
+      if (userErrors.length > 0) {
+        result.failed++;
+        logger.warn('媒体替代文本翻译注册失败', { mediaGid, targetLocale, userErrors });
+        continue;
+      }
+      result.registered++;
+    } catch (error) {
+      result.failed++;
+      logger.warn('媒体替代文本翻译注册异常', { mediaGid, targetLocale, error: error.message });
+    }
+  }
+
+  logger.debug('媒体替代文本翻译注册完成', { targetLocale, ...result, warnings: result.warnings.length });
+  return result;
+}
+
 // 获取单个产品的 metafields（按需懒加载）
 export async function fetchMetafieldsForProduct(admin, productGid, maxRetries = 3) {
   const QUERY = `#graphql
@@ -1258,9 +1643,11 @@ export async function fetchShopInfo(admin, resourceType, maxRetries = 3) {
  * @param {Object} translations - 翻译内容
  * @param {string} targetLocale - 目标语言
  * @param {Array} fieldMapping - 字段映射配置
+ * @param {Object} [options] - 注册选项
+ * @param {string} [options.marketId] - 市场GID，指定时注册为该市场专属译文
  * @returns {Promise<{success: boolean, warnings: Array}>} 注册结果（包含成功标志和警告列表）
  */
-export async function updateResourceTranslation(admin, resourceGid, translations, targetLocale, resourceType) {
+export async function updateResourceTranslation(admin, resourceGid, translations, targetLocale, resourceType, options = {}) {
   try {
     // 收集发布过程中的警告（如字段因Shopify API限制无法发布）
     const warningsCollector = [];
@@ -1493,11 +1880,15 @@ export async function updateResourceTranslation(admin, resourceGid, translations
       if (!isThemeResource) {
         logger.debug('📝 处理标准translationFields结构');
         for (const [fieldKey, fieldValue] of Object.entries(translations.translationFields)) {
+          // 媒体 alt 按媒体资源单独注册
+          if (fieldKey === MEDIA_ALT_FIELD) continue;
           logger.debug(`🔍 处理标准动态字段: ${fieldKey}`);
           const content = translatableContent.find(item => item.key === fieldKey);
           if (content) {
-            // 标准化字段值
-            const standardizedValue = typeof fieldValue === 'string' ? fieldValue : JSON.stringify(fieldValue);
+            // 标准化字段值（{ value, sourceDigest } 结构取 value，如 metaobject 字段）
+            const standardizedValue = typeof fieldValue === 'string'
+              ? fieldValue
+              : (typeof fieldValue?.value === 'string' ? fieldValue.value : JSON.stringify(fieldValue));
 
             // 应用数据清洗
             sanitizationStats.total++;
@@ -1560,11 +1951,21 @@ export async function updateResourceTranslation(admin, resourceGid, translations
       }
     }
 
+    // 媒体 alt 属于独立的 MEDIA_IMAGE / ARTICLE_IMAGE 资源，按媒体 GID 注册（市场覆盖不包含媒体 alt）
+    const mediaAltResult = translations.translationFields?.[MEDIA_ALT_FIELD] && !options.marketId
+      ? await updateMediaAltTranslations(admin, translations.translationFields[MEDIA_ALT_FIELD], targetLocale)
+      : null;
+    if (mediaAltResult) {
+      warningsCollector.push(...mediaAltResult.warnings);
+    }
+
     if (translationInputs.length === 0) {
       logger.debug('⚠️ 警告：没有找到可翻译的内容，跳过翻译注册');
       return { 
         success: true, 
-        message: '没有可翻译的内容',
+        message: mediaAltResult ? '仅注册媒体替代文本' : '没有可翻译的内容',
+        warnings: warningsCollector,
+        mediaAlt: mediaAltResult,
         details: {
           availableKeys: translatableContent.map(item => item.key),
           mappedKeys: Object.values(fieldMapping),
@@ -1592,7 +1993,8 @@ export async function updateResourceTranslation(admin, resourceGid, translations
     const beforeCount = translationInputs.length;
     const afterCount = dedupedMap.size;
     const removedCount = beforeCount - afterCount;
-    const translationInputsFinal = Array.from(dedupedMap.values());
+    const translationInputsFinal = Array.from(dedupedMap.values())
+      .map(item => (options.marketId ? { ...item, marketId: options.marketId } : item));
 
     // 输出数据清洗统计报告
     logger.debug('🧹 数据清洗统计报告:', {
@@ -1718,6 +2120,7 @@ export async function updateResourceTranslation(admin, resourceGid, translations
       success: true,
       warnings: warningsCollector,  // 返回警告列表（如字段因Shopify API限制无法发布）
       translations: allTranslations,
+      mediaAlt: mediaAltResult,
       details: {
         processedInputs: translationInputs.length,
         successfulRegistrations: allTranslations.length,
@@ -1740,15 +2143,16 @@ export async function updateResourceTranslation(admin, resourceGid, translations
  * @param {Object} translations - 翻译内容
  * @param {string} targetLocale - 目标语言
  * @param {string} resourceType - 资源类型
+ * @param {Object} [options] - 注册选项（marketId 等）
  * @returns {Promise<Object>} 注册结果
  */
-export async function updateTranslationByType(admin, resourceGid, translations, targetLocale, resourceType) {
+export async function updateTranslationByType(admin, resourceGid, translations, targetLocale, resourceType, options = {}) {
   const fieldMapping = FIELD_MAPPINGS[resourceType];
   if (!fieldMapping) {
     throw new Error(`不支持的资源类型: ${resourceType}`);
   }
   
-  return await updateResourceTranslation(admin, resourceGid, translations, targetLocale, fieldMapping);
+  return await updateResourceTranslation(admin, resourceGid, translations, targetLocale, fieldMapping, options);
 }
 
 /**
@@ -1759,10 +2163,11 @@ export async function updateTranslationByType(admin, resourceGid, translations,
  * @param {Object} translations - 翻译内容
  * @param {string} targetLocale - 目标语言
  * @param {string} resourceType - 资源类型
+ * @param {Object} [options] - 注册选项（marketId 等）
  * @returns {Promise<Object>} 注册结果
  */
-export async function updateResourceTranslationBatch(admin, resourceGid, translations, targetLocale, resourceType) {
-  return await updateTranslationByType(admin, resourceGid, translations, targetLocale, resourceType);
+export async function updateResourceTranslationBatch(admin, resourceGid, translations, targetLocale, resourceType, options = {}) {
+  return await updateTranslationByType(admin, resourceGid, translations, targetLocale, resourceType, options);
 }
 
 /**
@@ -1800,6 +2205,13 @@ export async function fetchAllFilters(admin, maxRetries = 3) {
   return await fetchResourcesByType(admin, RESOURCE_TYPES.FILTER, maxRetries);
 }
 
+/**
+ * 便捷函数：获取元对象资源
+ */
+export async function fetchAllMetaobjects(admin, maxRetries = 3) {
+  return await fetchResourcesByType(admin, RESOURCE_TYPES.METAOBJECT, maxRetries);
+}
+
 /**
  * 简化的 Metafield 翻译注册函数（别名）
  * 为了保持与现有函数的一致性，提供一个更简洁的名称
@@ -0,0 +1,97 @@
+/**
+ * 店铺源语言服务
+ * - 翻译源语言取自 Shopify shopLocales 中的主语言，保存在 Shop.primaryLocale
+ * - 翻译时按店铺读取（带缓存），未同步过的店铺默认英语
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { DEFAULT_SOURCE_LANGUAGE } from './translation/language-detection.server.js';
+
+const CACHE_TTL = 5 * 60 * 1000;
+const sourceLanguageCache = new Map();
+
+/**
+ * 从 shopLocales 中取主语言
+ * @param {Array<{ locale: string, primary: boolean }>} shopLocales getShopLocales 结果
+ * @returns {string|null}
+ */
+export function getPrimaryLocale(shopLocales = []) {
+  const primary = Array.isArray(shopLocales) ? shopLocales.find((locale) => locale?.primary) : null;
+  return primary?.locale || null;
+}
+
+/**
+ * 将 Shopify 主语言同步到店铺记录；失败不影响调用方
+ * @param {string} shopId
+ * @param {Array} shopLocales getShopLocales 结果
+ * @returns {Promise<string|null>} 主语言
+ */
+export async function syncShopPrimaryLocale(shopId, shopLocales) {
+  const primaryLocale = getPrimaryLocale(shopLocales);
+  if (!shopId || !primaryLocale) return primaryLocale;
+
+  const cached = sourceLanguageCache.get(shopId);
+  if (cached && cached.language === primaryLocale && cached.expiresAt > Date.now()) {
+    return primaryLocale;
+  }
+
+  try {
+    const { count } = await prisma.shop.updateMany({
+      where: { id: shopId, OR: [{ primaryLocale: null }, { primaryLocale: { not: primaryLocale } }] },
+      data: { primaryLocale }
+    });
+    if (count > 0) {
+      logger.info('[SourceLanguage] 店铺主语言已更新', { shopId, primaryLocale });
+    }
+    sourceLanguageCache.set(shopId, { language: primaryLocale, expiresAt: Date.now() + CACHE_TTL });
+  } catch (error) {
+    logger.warn('[SourceLanguage] 同步店铺主语言失败', { shopId, error: error.message });
+  }
+
+  return primaryLocale;
+}
+
+/**
+ * 获取店铺翻译源语言
+ * @param {string} shopId
+ * @returns {Promise<string>} 未配置或读取失败时返回 'en'
+ */
+export async function getShopSourceLanguage(shopId) {
+  if (!shopId) return DEFAULT_SOURCE_LANGUAGE;
+
+  const cached = sourceLanguageCache.get(shopId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.language;
+  }
+
+  try {
+    const shop = await prisma.shop.findUnique({
+      where: { id: shopId },
+      select: { primaryLocale: true }
+    });
+    const language = shop?.primaryLocale || DEFAULT_SOURCE_LANGUAGE;
+    sourceLanguageCache.set(shopId, { language, expiresAt: Date.now() + CACHE_TTL });
+    return language;
+  } catch (error) {
+    logger.warn('[SourceLanguage] 读取店铺主语言失败，按英语处理', { shopId, error: error.message });
+    return DEFAULT_SOURCE_LANGUAGE;
+  }
+}
+
+/**
+ * 解析本次翻译的源语言：调用方显式传入优先，否则取店铺主语言
+ * @param {Object} options translateText 选项
+ * @returns {Promise<string>}
+ */
+export async function resolveSourceLanguage(options = {}) {
+  return options.sourceLanguage || getShopSourceLanguage(options.shopId);
+}
+
+export function invalidateSourceLanguageCache(shopId) {
+  if (shopId) {
+    sourceLanguageCache.delete(shopId);
+  } else {
+    sourceLanguageCache.clear();
+  }
+}
@@ -0,0 +1,480 @@
+/**
+ * 结构化来源的链接转换
+ * convertLinksForLocale 只处理 HTML 中的 <a href>；以下来源的链接需要单独按语言改写：
+ * - 主题 JSON 中的 link / url 设置（被 THEME_TECHNICAL_PATTERNS 过滤，不进入翻译）
+ * - 富文本 JSON（metaobject / metafield rich_text）中的 link 节点
+ * - 菜单 LINK 资源（Shopify 只开放 title 翻译，URL 只能报告，需人工调整）
+ * 另提供 dry-run 报告（按语言列出将被改写的链接）与已翻译 handle 的链接校验
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { convertUrlForLocale } from './link-converter.server.js';
+import { isThemeUrlField } from './theme-field-filter.server.js';
+import { getMetaobjectFields, getMetaobjectFieldKind } from './metaobject-translation.server.js';
+import { getCachedMarketConfig, syncMarketConfig, resolveLinkConversionSettings } from './market-urls.server.js';
+import { fetchMenuLinks } from './shopify-graphql.server.js';
+
+export const RICH_TEXT_METAFIELD_TYPE = 'rich_text_field';
+
+// 含结构化链接的资源类型
+const THEME_RESOURCE_PREFIX = 'ONLINE_STORE_THEME';
+const STRUCTURED_LINK_RESOURCE_TYPES = [
+  'ONLINE_STORE_THEME',
+  'ONLINE_STORE_THEME_JSON_TEMPLATE',
+  'ONLINE_STORE_THEME_SETTINGS_DATA_SECTIONS',
+  'ONLINE_STORE_THEME_SECTION_GROUP',
+  'ONLINE_STORE_THEME_SETTINGS_CATEGORY',
+  'ONLINE_STORE_THEME_APP_EMBED',
+  'METAOBJECT',
+  'PRODUCT_METAFIELD'
+];
+
+// 店内资源路径：/products/<handle>、/collections/<handle>、/pages/<handle>、/blogs/<blog>/<article>
+const HANDLE_PATH_PATTERN = /^\/(?:[a-z]{2}(?:-[a-z0-9]{2,4})?\/)?(products|collections|pages|blogs)\/([^/?#]+)(?:\/([^/?#]+))?/i;
+const HANDLE_PATH_RESOURCE_TYPES = {
+  products: 'PRODUCT',
+  collections: 'COLLECTION',
+  pages: 'PAGE',
+  blogs: 'BLOG'
+};
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+function parseContentFields(contentFields) {
+  if (!contentFields) return {};
+  if (typeof contentFields === 'string') return parseJson(contentFields) || {};
+  return contentFields;
+}
+
+/**
+ * 由链接转换配置（getLinkConversionConfig 的返回值）创建单个URL的转换函数，未启用时返回 null
+ * @param {Object|null} linkConversion
+ * @param {string} [fallbackLocale]
+ * @returns {((url: string) => string)|null}
+ */
+export function createStructuredUrlConverter(linkConversion, fallbackLocale) {
+  if (!linkConversion || linkConversion.enabled === false || !linkConversion.marketConfig) {
+    return null;
+  }
+  const locale = linkConversion.locale || fallbackLocale;
+  if (!locale) return null;
+  return (url) => convertUrlForLocale(url, locale, linkConversion.marketConfig, linkConversion.options);
+}
+
+function mapJsonLinks(value, path, mapUrl) {
+  if (typeof value === 'string') {
+    return path && isThemeUrlField(path) ? mapUrl(path, value) : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => mapJsonLinks(item, path ? `${path}.${index}` : String(index), mapUrl));
+  }
+  if (isRecord(value)) {
+    const mapped = {};
+    for (const [key, child] of Object.entries(value)) {
+      mapped[key] = mapJsonLinks(child, path ? `${path}.${key}` : key, mapUrl);
+    }
+    return mapped;
+  }
+  return value;
+}
+
+// 字段条目可能是字符串，也可能是 { value, digest } / { key, value } 结构
+function mapEntryLink(entry, path, mapUrl) {
+  if (typeof entry === 'string') {
+    return isThemeUrlField(path) ? mapUrl(path, entry) : entry;
+  }
+  if (isRecord(entry) && typeof entry.value === 'string' && isThemeUrlField(path)) {
+    const value = mapUrl(path, entry.value);
+    return value === entry.value ? entry : { ...entry, value };
+  }
+  return entry;
+}
+
+function mapThemeData(themeData, mapUrl) {
+  if (typeof themeData !== 'string') {
+    return isRecord(themeData) || Array.isArray(themeData) ? mapJsonLinks(themeData, '', mapUrl) : themeData;
+  }
+  const parsed = parseJson(themeData);
+  if (parsed === undefined || typeof parsed !== 'object') return themeData;
+
+  let changed = false;
+  const mapped = mapJsonLinks(parsed, '', (path, url) => {
+    const next = mapUrl(path, url);
+    if (next !== url) changed = true;
+    return next;
+  });
+  return changed ? JSON.stringify(mapped, null, 2) : themeData;
+}
+
+/**
+ * 改写主题字段中的 link / url 设置
+ * 兼容扫描结构（contentFields：dynamicFields 为 { value, digest }）与译文结构（扁平化后的 translationFields）
+ * @param {Object} fields - contentFields 或 translationFields
+ * @param {(path: string, url: string) => string} mapUrl
+ * @returns {Object} 新对象，未改写的部分保持原引用
+ */
+export function mapThemeLinks(fields, mapUrl) {
+  if (!isRecord(fields)) return fields;
+
+  const mapped = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === 'themeData') {
+      mapped[key] = mapThemeData(value, mapUrl);
+    } else if (key === 'dynamicFields' && isRecord(value)) {
+      mapped[key] = Object.fromEntries(
+        Object.entries(value).map(([fieldKey, entry]) => [fieldKey, mapEntryLink(entry, fieldKey, mapUrl)])
+      );
+    } else if (key === 'translatableFields' && Array.isArray(value)) {
+      mapped[key] = value.map((field) => (field?.key ? mapEntryLink(field, field.key, mapUrl) : field));
+    } else if (typeof value === 'string') {
+      mapped[key] = mapEntryLink(value, key, mapUrl);
+    } else if (isRecord(value) || Array.isArray(value)) {
+      mapped[key] = mapJsonLinks(value, key, mapUrl);
+    } else {
+      mapped[key] = value;
+    }
+  }
+  return mapped;
+}
+
+function mapRichTextNode(node, mapUrl, field) {
+  if (!isRecord(node)) return node;
+  let mapped = node;
+  if (node.type === 'link' && typeof node.url === 'string') {
+    const url = mapUrl(field, node.url);
+    if (url !== node.url) mapped = { ...node, url };
+  }
+  if (Array.isArray(node.children)) {
+    mapped = { ...mapped, children: node.children.map((child) => mapRichTextNode(child, mapUrl, field)) };
+  }
+  return mapped;
+}
+
+/**
+ * 改写富文本 JSON 中 link 节点的 url
+ * @param {string} value - 富文本 JSON 字符串
+ * @param {(path: string, url: string) => string} mapUrl
+ * @param {string} field - 字段 key（用于报告）
+ * @returns {string} 无法解析或未改写时返回原字符串
+ */
+export function mapRichTextLinks(value, mapUrl, field) {
+  if (typeof value !== 'string') return value;
+  const document = parseJson(value);
+  if (!isRecord(document)) return value;
+
+  let changed = false;
+  const mapped = mapRichTextNode(document, (path, url) => {
+    const next = mapUrl(path, url);
+    if (next !== url) changed = true;
+    return next;
+  }, field);
+  return changed ? JSON.stringify(mapped) : value;
+}
+
+function isRichTextMetafield(contentFields) {
+  return String(contentFields?.type || '').toLowerCase() === RICH_TEXT_METAFIELD_TYPE;
+}
+
+/**
+ * 翻译流程中改写 metaobject 富文本字段与 rich_text metafield 的链接
+ * @param {Object} resource - 源资源
+ * @param {Object} translationFields - 译文字段（metaobject: { key: { value, sourceDigest } }；metafield: { value }）
+ * @param {Object|null} linkConversion - 链接转换配置
+ * @param {string} targetLang
+ * @returns {Object} 改写后的译文字段
+ */
+export function convertRichTextTranslationLinks(resource, translationFields, linkConversion, targetLang) {
+  const convert = createStructuredUrlConverter(linkConversion, targetLang);
+  if (!convert || !isRecord(translationFields)) return translationFields;
+  const mapUrl = (path, url) => convert(url);
+  const resourceType = String(resource?.resourceType || '').toUpperCase();
+
+  if (resourceType === 'METAOBJECT') {
+    const mapped = { ...translationFields };
+    for (const field of getMetaobjectFields(resource)) {
+      const entry = mapped[field.key];
+      if (getMetaobjectFieldKind(field.type) !== 'rich_text' || typeof entry?.value !== 'string') continue;
+      mapped[field.key] = { ...entry, value: mapRichTextLinks(entry.value, mapUrl, field.key) };
+    }
+    return mapped;
+  }
+
+  if (resourceType === 'PRODUCT_METAFIELD' && isRichTextMetafield(parseContentFields(resource.contentFields))) {
+    if (typeof translationFields.value !== 'string') return translationFields;
+    return { ...translationFields, value: mapRichTextLinks(translationFields.value, mapUrl, 'value') };
+  }
+
+  return translationFields;
+}
+
+/**
+ * 翻译流程中改写主题译文的 link / url 设置
+ * @param {Object} translationFields - 扁平化后的主题译文字段
+ * @param {Object|null} linkConversion
+ * @param {string} targetLang
+ */
+export function convertThemeTranslationLinks(translationFields, linkConversion, targetLang) {
+  const convert = createStructuredUrlConverter(linkConversion, targetLang);
+  if (!convert) return translationFields;
+  return mapThemeLinks(translationFields, (path, url) => convert(url));
+}
+
+/**
+ * 收集资源源内容中的结构化链接
+ * @param {Object} resource - 含 resourceType / contentFields 的资源
+ * @returns {Array<{ field: string, url: string }>}
+ */
+export function collectStructuredLinks(resource) {
+  const links = [];
+  const record = (field, url) => {
+    if (typeof url === 'string' && url.trim()) links.push({ field, url });
+    return url;
+  };
+  const resourceType = String(resource?.resourceType || '').toUpperCase();
+  const contentFields = parseContentFields(resource?.contentFields);
+
+  if (resourceType.startsWith(THEME_RESOURCE_PREFIX)) {
+    mapThemeLinks(contentFields, record);
+  } else if (resourceType === 'METAOBJECT') {
+    for (const field of getMetaobjectFields(resource)) {
+      if (getMetaobjectFieldKind(field.type) === 'rich_text') {
+        mapRichTextLinks(field.value, record, field.key);
+      }
+    }
+  } else if (resourceType === 'PRODUCT_METAFIELD' && isRichTextMetafield(contentFields)) {
+    mapRichTextLinks(contentFields.value, record, 'value');
+  }
+
+  return links;
+}
+
+/**
+ * 解析指向店内资源的链接路径
+ * @returns {{ resourceType: string, handle: string, blogHandle?: string }|null}
+ */
+export function parseInternalHandleLink(url, primaryHost) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+
+  let path = url.trim();
+  if (/^https?:\/\//i.test(path)) {
+    try {
+      const parsed = new URL(path);
+      const host = parsed.host.replace(/^www\./, '');
+      if (!primaryHost || host !== String(primaryHost).replace(/^www\./, '')) return null;
+      path = parsed.pathname;
+    } catch {
+      return null;
+    }
+  } else if (!path.startsWith('/') || path.startsWith('//')) {
+    return null;
+  }
+
+  const match = path.match(HANDLE_PATH_PATTERN);
+  if (!match) return null;
+
+  const [, segment, first, second] = match;
+  const section = segment.toLowerCase();
+  if (section === 'blogs') {
+    return second
+      ? { resourceType: 'ARTICLE', handle: decodeURIComponent(second), blogHandle: decodeURIComponent(first) }
+      : { resourceType: 'BLOG', handle: decodeURIComponent(first) };
+  }
+  return { resourceType: HANDLE_PATH_RESOURCE_TYPES[section], handle: decodeURIComponent(first) };
+}
+
+/**
+ * 校验指向已翻译 handle 的店内链接
+ * 目标语言下资源 handle 已翻译时，链接仍使用源 handle 会依赖 Shopify 重定向，报告建议改用译文 handle
+ * @param {string} shopId
+ * @param {Array<{ url: string, source: string, resourceId?: string, field?: string }>} links
+ * @param {Array<string>} locales
+ * @param {string} primaryHost
+ * @returns {Promise<Array>} 警告列表
+ */
+export async function validateTranslatedHandleLinks(shopId, links, locales, primaryHost) {
+  const parsedLinks = links
+    .map((link) => ({ ...link, target: parseInternalHandleLink(link.url, primaryHost) }))
+    .filter((link) => link.target);
+  if (parsedLinks.length === 0 || locales.length === 0) return [];
+
+  const handles = [...new Set(parsedLinks.map((link) => link.target.handle))];
+  const resources = await prisma.resource.findMany({
+    where: { shopId, handle: { in: handles } },
+    select: {
+      id: true,
+      resourceType: true,
+      handle: true,
+      translations: {
+        where: { language: { in: locales }, handleTrans: { not: null } },
+        select: { language: true, handleTrans: true }
+      }
+    }
+  });
+
+  const resourcesByKey = new Map(
+    resources.map((resource) => [`${String(resource.resourceType).toUpperCase()}::${resource.handle}`, resource])
+  );
+
+  const warnings = [];
+  for (const link of parsedLinks) {
+    const resource = resourcesByKey.get(`${link.target.resourceType}::${link.target.handle}`);
+    if (!resource) continue;
+
+    for (const translation of resource.translations) {
+      const translatedHandle = translation.handleTrans?.trim();
+      if (!translatedHandle || translatedHandle === resource.handle) continue;
+      warnings.push({
+        locale: translation.language,
+        source: link.source,
+        resourceId: link.resourceId ?? null,
+        field: link.field ?? null,
+        url: link.url,
+        linkedResourceId: resource.id,
+        linkedResourceType: link.target.resourceType,
+        handle: resource.handle,
+        translatedHandle
+      });
+    }
+  }
+  return warnings;
+}
+
+async function loadMarketConfig(shopId, admin) {
+  let marketConfig = await getCachedMarketConfig(shopId).catch(() => null);
+  if (!marketConfig && admin) {
+    marketConfig = await syncMarketConfig(shopId, admin).catch(() => null);
+  }
+  return marketConfig;
+}
+
+async function loadMenuLinks(admin) {
+  if (!admin) {
+    return { available: false, error: null, links: [] };
+  }
+  try {
+    return { available: true, error: null, links: await fetchMenuLinks(admin) };
+  } catch (error) {
+    logger.warn('[LinkConversion] 读取菜单链接失败', { error: error.message });
+    return { available: false, error: error.message, links: [] };
+  }
+}
+
+/**
+ * 链接转换 dry-run 报告：按语言列出主题设置、富文本、菜单中将被改写的链接，不写入任何数据
+ * @param {string} shopId
+ * @param {{ locales?: Array<string>, admin?: Object }} options
+ */
+export async function buildLinkConversionReport(shopId, options = {}) {
+  const { admin } = options;
+  const marketConfig = await loadMarketConfig(shopId, admin);
+  if (!marketConfig?.mappings) {
+    throw new ValidationError('未找到 Markets 配置，请先同步市场设置', 'marketConfig');
+  }
+
+  const availableLocales = Object.entries(marketConfig.mappings)
+    .filter(([, mapping]) => mapping?.type && mapping.type !== 'primary')
+    .map(([locale]) => locale);
+  const locales = Array.isArray(options.locales) && options.locales.length > 0
+    ? options.locales
+    : availableLocales;
+  const unknownLocale = locales.find((locale) => !availableLocales.includes(locale));
+  if (unknownLocale) {
+    throw new ValidationError(`语言 ${unknownLocale} 没有可用的市场域名配置`, 'locales');
+  }
+
+  const resources = await prisma.resource.findMany({
+    where: {
+      shopId,
+      resourceType: {
+        in: [...STRUCTURED_LINK_RESOURCE_TYPES, ...STRUCTURED_LINK_RESOURCE_TYPES.map((type) => type.toLowerCase())]
+      }
+    },
+    select: { id: true, resourceType: true, title: true, contentFields: true }
+  });
+
+  const links = [];
+  for (const resource of resources) {
+    for (const link of collectStructuredLinks(resource)) {
+      links.push({
+        source: String(resource.resourceType).toUpperCase().startsWith(THEME_RESOURCE_PREFIX) ? 'theme' : 'rich_text',
+        resourceId: resource.id,
+        resourceType: resource.resourceType,
+        title: resource.title,
+        field: link.field,
+        url: link.url,
+        publishable: true
+      });
+    }
+  }
+
+  // 菜单链接 URL 不在 LINK 的 translatableContent 中，无法按语言发布，只报告供人工调整
+  const menus = await loadMenuLinks(admin);
+  for (const item of menus.links) {
+    if (!item.url) continue;
+    links.push({
+      source: 'menu',
+      resourceId: item.id,
+      resourceType: 'LINK',
+      title: item.title,
+      field: item.menuHandle,
+      url: item.url,
+      publishable: false
+    });
+  }
+
+  // 与翻译写入使用相同的转换选项；报告不受开关限制，始终给出开启后的改写结果
+  const settings = await resolveLinkConversionSettings(shopId);
+  const byLocale = {};
+  let totalChanges = 0;
+  for (const locale of locales) {
+    const convert = createStructuredUrlConverter({ enabled: true, marketConfig, options: settings.options }, locale);
+    const changes = [];
+    for (const link of links) {
+      const converted = convert(link.url);
+      if (converted === link.url) continue;
+      changes.push({ ...link, from: link.url, to: converted });
+    }
+    byLocale[locale] = { count: changes.length, changes };
+    totalChanges += changes.length;
+  }
+
+  const handleWarnings = await validateTranslatedHandleLinks(shopId, links, locales, marketConfig.primaryHost);
+
+  logger.info('[LinkConversion] 结构化链接 dry-run 完成', {
+    shopId,
+    locales,
+    links: links.length,
+    totalChanges,
+    handleWarnings: handleWarnings.length
+  });
+
+  return {
+    enabled: settings.enabled,
+    locales,
+    scannedLinks: links.length,
+    totalChanges,
+    byLocale,
+    handleWarnings,
+    menus: { available: menus.available, error: menus.error, count: menus.links.length }
+  };
+}
+
+export default {
+  buildLinkConversionReport,
+  validateTranslatedHandleLinks,
+  collectStructuredLinks,
+  convertThemeTranslationLinks,
+  convertRichTextTranslationLinks
+};
@@ -4,8 +4,9 @@
  */
 
 import prisma from '../db.server.js';
-import { updateResourceTranslationBatch } from './shopify-graphql.server.js';
+import { updateResourceTranslationBatch, removeResourceTranslations } from './shopify-graphql.server.js';
 import { invalidateCoverageCache } from './language-coverage.server.js';
+import { getReviewSettings, buildReviewSyncFilter } from './translation-review.server.js';
 import { startPipeline, endPipeline, runStep, PIPELINE_PHASE } from '../utils/pipeline.server.js';
 import { logger as baseLogger } from '../utils/logger.server.js';
 
@@ -26,17 +27,24 @@ const DIAGNOSE_OPTION = process.env.DIAGNOSE_PRODUCT_OPTION === 'true';
  * @returns {Promise<Array>} 待同步的翻译记录
  */
 export async function getPendingTranslations(shopId, options = {}) {
-  const { resourceType, language, limit } = options;
+  const { resourceType, language, limit, resourceId } = options;
   
   const where = {
     shopId,
     syncStatus: 'pending',
-    status: 'completed'
+    status: 'completed',
+    // 审核模式下仅发布已审核通过的翻译
+    ...buildReviewSyncFilter(await getReviewSettings(shopId))
   };
   
   if (language) {
     where.language = language;
   }
+
+  // 单资源重新同步（人工编辑后）
+  if (resourceId) {
+    where.resourceId = resourceId;
+  }
   
   if (resourceType) {
     where.resource = {
@@ -62,7 +70,7 @@ export async function getPendingTranslations(shopId, options = {}) {
  * @returns {Promise<Object>} 状态统计
  */
 export async function getSyncStatusStats(shopId) {
-  const [pending, syncing, synced, failed] = await Promise.all([
+  const [pending, syncing, synced, failed, unpublished] = await Promise.all([
     prisma.translation.count({
       where: { shopId, syncStatus: 'pending', status: 'completed' }
     }),
@@ -74,6 +82,9 @@ export async function getSyncStatusStats(shopId) {
     }),
     prisma.translation.count({
       where: { shopId, syncStatus: 'failed' }
+    }),
+    prisma.translation.count({
+      where: { shopId, syncStatus: 'unpublished' }
     })
   ]);
   
@@ -82,6 +93,7 @@ export async function getSyncStatusStats(shopId) {
     syncing,
     synced,
     failed,
+    unpublished,
     total: pending + syncing + synced + failed
   };
 }
@@ -191,7 +203,7 @@ function prepareTranslationData(translation, resource) {
  * @param {number} batchIndex - 批次索引
  * @returns {Promise<Object>} 同步结果
  */
-async function syncResourceTranslations(admin, resourceData, batchIndex = 0) {
+export async function syncResourceTranslations(admin, resourceData, batchIndex = 0) {
   const { resource, translations } = resourceData;
   const results = {
     success: [],
@@ -306,6 +318,7 @@ export async function syncTranslationsToShopify(admin, shopId, options = {}) {
     
     if (pendingTranslations.length === 0) {
       syncLogger.info('没有待同步的翻译');
+      results.market = await syncMarketTranslationsSafely(admin, shopId, options);
       return results;
     }
     
@@ -349,6 +362,9 @@ export async function syncTranslationsToShopify(admin, shopId, options = {}) {
       batchIndex++;
     }
     
+    // 市场专属译文覆盖在语言译文之后发布
+    results.market = await syncMarketTranslationsSafely(admin, shopId, options);
+
     const duration = Date.now() - startTime;
     syncLogger.info(`同步完成，耗时 ${duration}ms，成功 ${results.successCount}，失败 ${results.failedCount}`);
     
@@ -363,6 +379,203 @@ export async function syncTranslationsToShopify(admin, shopId, options = {}) {
   return results;
 }
 
+/**
+ * 获取待发布的市场专属译文（仅限已启用的覆盖，且对应语言译文可发布：审核模式下需已通过审核）
+ * @param {string} shopId
+ * @param {{ marketId?: string, language?: string, resourceId?: string }} options
+ */
+export async function getPendingMarketTranslations(shopId, options = {}) {
+  const overrides = await prisma.marketTranslationOverride.findMany({
+    where: {
+      shopId,
+      enabled: true,
+      ...(options.marketId ? { marketId: options.marketId } : {}),
+      ...(options.language ? { language: options.language } : {})
+    },
+    select: { marketId: true, language: true }
+  });
+  if (overrides.length === 0) return [];
+
+  const reviewFilter = buildReviewSyncFilter(await getReviewSettings(shopId));
+  return prisma.marketTranslation.findMany({
+    where: {
+      shopId,
+      syncStatus: { in: ['pending', 'failed'] },
+      OR: overrides.map(({ marketId, language }) => ({
+        marketId,
+        language,
+        resource: { translations: { some: { language, status: 'completed', ...reviewFilter } } }
+      })),
+      ...(options.resourceId ? { resourceId: options.resourceId } : {})
+    },
+    include: { resource: { select: { id: true, gid: true, resourceType: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * 发布市场专属译文覆盖
+ * 每条记录只包含与语言译文不同的字段，按 marketId 注册为市场专属译文
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {string} shopId - 店铺ID
+ * @param {Object} options - 筛选选项
+ * @param {string} [options.marketId] - 限定市场
+ * @param {string} [options.language] - 限定语言
+ * @param {string} [options.resourceId] - 限定资源
+ * @returns {Promise<Object>} 发布结果
+ */
+export async function syncMarketTranslations(admin, shopId, options = {}) {
+  // 已撤回的覆盖先从 Shopify 移除，不受覆盖启用状态限制
+  const removal = await removeMarketTranslations(admin, shopId, options);
+  const pending = await getPendingMarketTranslations(shopId, options);
+  const results = {
+    totalProcessed: pending.length,
+    successCount: 0,
+    failedCount: 0,
+    errors: [],
+    removal
+  };
+
+  for (const row of pending) {
+    try {
+      const result = await updateResourceTranslationBatch(
+        admin,
+        row.resource.gid,
+        row.fields,
+        row.language,
+        row.resource.resourceType,
+        { marketId: row.marketId }
+      );
+      if (!result.success) {
+        throw new Error(result.error || result.message || '同步失败');
+      }
+
+      await prisma.marketTranslation.update({
+        where: { id: row.id },
+        data: { syncStatus: 'synced', syncedAt: new Date(), syncError: null }
+      });
+      results.successCount++;
+    } catch (error) {
+      await prisma.marketTranslation.update({
+        where: { id: row.id },
+        data: { syncStatus: 'failed', syncError: error.message }
+      });
+      results.failedCount++;
+      results.errors.push({ resourceGid: row.resource.gid, marketId: row.marketId, error: error.message });
+      syncLogger.error(`资源 ${row.resource.gid} 的市场译文 ${row.marketId}/${row.language} 同步失败:`, error);
+    }
+  }
+
+  if (pending.length > 0) {
+    syncLogger.info(`市场译文同步完成，成功 ${results.successCount}，失败 ${results.failedCount}`, { shopId });
+  }
+  return results;
+}
+
+/**
+ * 撤回市场专属译文：从未发布过的记录直接删除，其余标记为待移除（pending_removal），
+ * 由 removeMarketTranslations / 下次同步从 Shopify 移除
+ * @param {Object} where - marketTranslation 筛选条件（需包含 shopId）
+ * @returns {Promise<{ deleted: number, marked: number }>}
+ */
+export async function markMarketTranslationsForRemoval(where) {
+  const deleted = await prisma.marketTranslation.deleteMany({
+    where: { ...where, syncStatus: 'pending', syncedAt: null }
+  });
+  const marked = await prisma.marketTranslation.updateMany({
+    where,
+    data: { syncStatus: 'pending_removal', syncError: null }
+  });
+  return { deleted: deleted.count, marked: marked.count };
+}
+
+/**
+ * 从 Shopify 移除待移除的市场专属译文（translationsRemove 带 marketIds），成功后删除本地记录
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {string} shopId - 店铺ID
+ * @param {Object} options - 筛选选项
+ * @param {string} [options.marketId] - 限定市场
+ * @param {string} [options.language] - 限定语言
+ * @param {string} [options.resourceId] - 限定资源
+ * @param {Array<string>} [options.resourceIds] - 限定资源列表
+ * @returns {Promise<Object>} 移除结果
+ */
+export async function removeMarketTranslations(admin, shopId, options = {}) {
+  const resourceIds = Array.isArray(options.resourceIds) && options.resourceIds.length > 0
+    ? options.resourceIds
+    : null;
+  const rows = await prisma.marketTranslation.findMany({
+    where: {
+      shopId,
+      syncStatus: 'pending_removal',
+      ...(options.marketId ? { marketId: options.marketId } : {}),
+      ...(options.language ? { language: options.language } : {}),
+      ...(options.resourceId ? { resourceId: options.resourceId } : {}),
+      ...(resourceIds ? { resourceId: { in: resourceIds } } : {})
+    },
+    include: { resource: { select: { id: true, gid: true, resourceType: true } } },
+    orderBy: { createdAt: 'asc' }
+  });
+  const results = {
+    totalProcessed: rows.length,
+    removedCount: 0,
+    failedCount: 0,
+    errors: []
+  };
+
+  for (const row of rows) {
+    try {
+      const result = await removeResourceTranslations(admin, row.resource.gid, row.language, null, 3, {
+        marketId: row.marketId
+      });
+      if (!result.success) {
+        throw new Error(result.message || '移除译文失败');
+      }
+
+      await prisma.marketTranslation.delete({ where: { id: row.id } });
+      results.removedCount++;
+    } catch (error) {
+      // 保持待移除状态，下次同步重试
+      await prisma.marketTranslation.update({
+        where: { id: row.id },
+        data: { syncError: `移除失败: ${error.message}` }
+      });
+      results.failedCount++;
+      results.errors.push({ resourceGid: row.resource.gid, marketId: row.marketId, error: error.message });
+      syncLogger.error(`资源 ${row.resource.gid} 的市场译文 ${row.marketId}/${row.language} 移除失败:`, error);
+    }
+  }
+
+  if (rows.length > 0) {
+    syncLogger.info(`市场译文移除完成，成功 ${results.removedCount}，失败 ${results.failedCount}`, { shopId });
+  }
+  return results;
+}
+
+// 取消发布语言译文时一并移除依附于它的市场译文，失败不影响语言译文的取消发布结果
+async function withdrawMarketTranslationsSafely(admin, shopId, language, resourceIds) {
+  try {
+    await markMarketTranslationsForRemoval({ shopId, language, resourceId: { in: resourceIds } });
+    return await removeMarketTranslations(admin, shopId, { language, resourceIds });
+  } catch (error) {
+    syncLogger.warn('移除市场译文失败', { shopId, language, error: error.message });
+    return null;
+  }
+}
+
+// 批量同步时附带发布市场译文，失败不影响语言译文的同步结果
+async function syncMarketTranslationsSafely(admin, shopId, options) {
+  try {
+    return await syncMarketTranslations(admin, shopId, {
+      language: options.language,
+      resourceId: options.resourceId
+    });
+  } catch (error) {
+    syncLogger.warn('市场译文同步失败', { shopId, error: error.message });
+    return null;
+  }
+}
+
 /**
  * 重试失败的翻译同步
  * @param {Object} admin - Shopify Admin API客户端
@@ -407,6 +620,28 @@ export async function clearSyncErrors(shopId) {
   return result.count;
 }
 
+/**
+ * 解析分类/子分类对应的资源类型
+ * 分类配置使用大写类型（PRODUCT），数据库中 resourceType 为小写（product），两种写法都返回
+ * @param {string} categoryKey - 分类键
+ * @param {string} [subcategoryKey] - 子分类键
+ * @returns {Promise<Array<string>>} 资源类型列表
+ */
+async function resolveCategoryResourceTypes(categoryKey, subcategoryKey) {
+  const { RESOURCE_CATEGORIES } = await import('../config/resource-categories.js');
+  const category = categoryKey ? RESOURCE_CATEGORIES[categoryKey] : null;
+  if (!category) {
+    return [];
+  }
+
+  const subcategories = subcategoryKey && category.subcategories[subcategoryKey]
+    ? [category.subcategories[subcategoryKey]]
+    : Object.values(category.subcategories);
+  const types = subcategories.flatMap(sub => sub.resources);
+
+  return [...new Set([...types, ...types.map(type => type.toLowerCase())])];
+}
+
 /**
  * 按分类同步资源翻译
  * @param {Object} admin - Shopify Admin API客户端
@@ -429,24 +664,8 @@ export async function syncCategoryResources(admin, shopId, options = {}) {
   
   try {
     // 导入分类配置
-    const { RESOURCE_CATEGORIES } = await import('../config/resource-categories.js');
-    
     // 获取分类对应的资源类型
-    let resourceTypes = [];
-    
-    if (categoryKey && RESOURCE_CATEGORIES[categoryKey]) {
-      const category = RESOURCE_CATEGORIES[categoryKey];
-      
-      if (subcategoryKey && category.subcategories[subcategoryKey]) {
-        // 特定子分类的资源类型
-        resourceTypes = category.subcategories[subcategoryKey].resources;
-      } else {
-        // 整个分类的所有资源类型
-        Object.values(category.subcategories).forEach(sub => {
-          resourceTypes = [...resourceTypes, ...sub.resources];
-        });
-      }
-    }
+    const resourceTypes = await resolveCategoryResourceTypes(categoryKey, subcategoryKey);
     
     if (resourceTypes.length === 0) {
       throw new Error(`未找到分类 ${categoryKey} 的资源类型配置`);
@@ -460,6 +679,7 @@ export async function syncCategoryResources(admin, shopId, options = {}) {
       syncStatus: 'pending',
       status: 'completed',
       language,
+      ...buildReviewSyncFilter(await getReviewSettings(shopId)),
       resource: {
         resourceType: {
           in: resourceTypes
@@ -569,3 +789,156 @@ export async function syncCategoryResources(admin, shopId, options = {}) {
   
   return results;
 }
+
+/**
+ * 从 Shopify 移除已发布的译文（取消发布）
+ * 按资源 / 语言 / 分类筛选 Resource，分批调用 translationsRemove（译文 key 从 Shopify 查询）；
+ * 没有本地译文的资源（如清空本地数据后）同样会移除 Shopify 上该语言的译文。
+ * 成功后本地译文 syncStatus 置为 unpublished，deleteLocal 为 true 时同时删除本地译文记录
+ * @param {Object} admin - Shopify Admin API客户端
+ * @param {string} shopId - 店铺ID
+ * @param {Object} options - 选项
+ * @param {string} options.language - 目标语言（必填）
+ * @param {Array<string>} [options.resourceIds] - 限定资源ID
+ * @param {string} [options.categoryKey] - 限定分类
+ * @param {string} [options.subcategoryKey] - 限定子分类
+ * @param {boolean} [options.deleteLocal=false] - 是否同时删除本地译文
+ * @param {number} [options.batchSize=10] - 每批并发处理的资源数
+ * @returns {Promise<Object>} 取消发布结果
+ */
+export async function unpublishTranslations(admin, shopId, options = {}) {
+  const { language, resourceIds, categoryKey, subcategoryKey, deleteLocal = false, batchSize = 10 } = options;
+
+  if (!language) {
+    throw new Error('取消发布译文必须指定语言');
+  }
+
+  const where = { shopId };
+
+  if (Array.isArray(resourceIds) && resourceIds.length > 0) {
+    where.id = { in: resourceIds };
+  }
+
+  if (categoryKey) {
+    const resourceTypes = await resolveCategoryResourceTypes(categoryKey, subcategoryKey);
+    if (resourceTypes.length === 0) {
+      throw new Error(`未找到分类 ${categoryKey} 的资源类型配置`);
+    }
+    where.resourceType = { in: resourceTypes };
+  }
+
+  const resources = await prisma.resource.findMany({
+    where,
+    select: {
+      id: true,
+      gid: true,
+      resourceType: true,
+      translations: {
+        where: { language },
+        select: { id: true, syncStatus: true, translationFields: true }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  // 本地记录为已取消发布的资源无需再调用 Shopify；删除本地译文时一并清理
+  const targets = resources
+    .map((resource) => ({ resource, translation: resource.translations?.[0] || null }))
+    .filter(({ translation }) => deleteLocal || translation?.syncStatus !== 'unpublished');
+
+  const results = {
+    total: targets.length,
+    unpublishedCount: 0,
+    failedCount: 0,
+    removedKeys: 0,
+    unpublished: [],
+    failed: [],
+    market: { removedCount: 0, failedCount: 0 }
+  };
+
+  syncLogger.info(`开始取消发布译文，语言: ${language}, 共 ${targets.length} 个资源`, {
+    shopId,
+    categoryKey,
+    subcategoryKey,
+    deleteLocal
+  });
+
+  for (let i = 0; i < targets.length; i += batchSize) {
+    const batch = targets.slice(i, i + batchSize);
+
+    const outcomes = await Promise.all(batch.map(async ({ resource, translation }) => {
+      // 媒体 alt 是独立的可翻译资源，需要单独移除（媒体 GID 只能从本地译文得知）
+      const gids = [
+        resource.gid,
+        ...Object.keys(translation?.translationFields?.mediaAlt || {})
+      ].filter(Boolean);
+
+      let removedKeys = 0;
+      for (const gid of gids) {
+        const result = await removeResourceTranslations(admin, gid, language);
+        if (!result.success) {
+          return { resource, translation, error: result.message || '移除译文失败' };
+        }
+        removedKeys += result.removedKeys.length;
+      }
+      return { resource, translation, removedKeys };
+    }));
+
+    const succeeded = outcomes.filter(outcome => !outcome.error);
+    const failed = outcomes.filter(outcome => outcome.error);
+
+    const ids = succeeded.filter(outcome => outcome.translation).map(outcome => outcome.translation.id);
+    if (ids.length > 0) {
+      if (deleteLocal) {
+        await prisma.translation.deleteMany({ where: { id: { in: ids } } });
+      } else {
+        await batchUpdateSyncStatus(ids, 'unpublished', { syncedAt: null, syncError: null });
+      }
+    }
+
+    for (const outcome of failed.filter(item => item.translation)) {
+      // 保留原 syncStatus，仅记录错误，Shopify 上的译文仍然有效
+      await prisma.translation.update({
+        where: { id: outcome.translation.id },
+        data: { syncError: `取消发布失败: ${outcome.error}` }
+      }).catch(error => syncLogger.warn('记录取消发布错误失败', { translationId: outcome.translation.id, error: error.message }));
+    }
+
+    if (succeeded.length > 0) {
+      const market = await withdrawMarketTranslationsSafely(
+        admin,
+        shopId,
+        language,
+        succeeded.map(outcome => outcome.resource.id)
+      );
+      results.market.removedCount += market?.removedCount || 0;
+      results.market.failedCount += market?.failedCount || 0;
+    }
+
+    results.unpublishedCount += succeeded.length;
+    results.failedCount += failed.length;
+    results.removedKeys += succeeded.reduce((sum, outcome) => sum + outcome.removedKeys, 0);
+    results.unpublished.push(...succeeded.map(outcome => ({
+      translationId: outcome.translation?.id || null,
+      resourceId: outcome.resource.id,
+      resourceType: outcome.resource.resourceType
+    })));
+    results.failed.push(...failed.map(outcome => ({
+      translationId: outcome.translation?.id || null,
+      resourceId: outcome.resource.id,
+      error: outcome.error
+    })));
+  }
+
+  if (results.unpublishedCount > 0) {
+    invalidateCoverageCache(shopId, { language });
+  }
+
+  syncLogger.info(`取消发布完成，成功 ${results.unpublishedCount}，失败 ${results.failedCount}`, {
+    shopId,
+    language,
+    removedKeys: results.removedKeys
+  });
+
+  return results;
+}
@@ -18,6 +18,8 @@ import {
   preloadThemeSchemaCache
 } from './theme-field-filter.server.js';
 import { collectMetric } from './metrics-persistence.server.js';
+import { loadFieldLocksSafe, buildThemeLockKey } from './field-lock.server.js';
+import { convertThemeTranslationLinks } from './structured-link-converter.server.js';
 
 // 验证必需函数是否正确导入
 if (typeof translateTextWithFallback !== 'function') {
@@ -789,6 +791,9 @@ export async function translateThemeResource(resource, targetLang, options = {})
       };
 
       const contentFields = resource.contentFields || {};
+      // 字段级锁：已锁定字段保持原值，saveTranslation 会保留现有译文
+      const fieldLocks = await loadFieldLocksSafe(resource.id, targetLang);
+      const LOCKED_REASON = '字段已锁定';
 
       if (!contentFields || Object.keys(contentFields).length === 0) {
         logger.error(`[Theme翻译] 错误：Theme资源缺少contentFields数据: ${resource.id}`);
@@ -861,6 +866,12 @@ export async function translateThemeResource(resource, targetLang, options = {})
                 recordFieldMetrics(metricsTracker);
               }
 
+              if (fieldLocks.has(buildThemeLockKey('dynamicFields', key))) {
+                errorContext.recordSkip(LOCKED_REASON, key, fieldValue);
+                translatedDynamic[key] = fieldData;
+                continue;
+              }
+
               let decision =
                 typeof fieldValue === 'string'
                   ? shouldTranslateThemeFieldWithReason(key, fieldValue)
@@ -925,6 +936,12 @@ export async function translateThemeResource(resource, targetLang, options = {})
             const translatedFields = [];
 
             for (const field of contentFields.translatableFields) {
+              if (fieldLocks.has(buildThemeLockKey('translatableFields', field.key))) {
+                errorContext.recordSkip(LOCKED_REASON, field.key, field.value);
+                translatedFields.push(field);
+                continue;
+              }
+
               if (typeof field.value === 'string') {
                 recordFieldMetrics(metricsTracker);
                 const { shouldTranslate, reason } = shouldTranslateThemeFieldWithReason(
@@ -969,7 +986,9 @@ export async function translateThemeResource(resource, targetLang, options = {})
         case 'ONLINE_STORE_THEME_LOCALE_CONTENT': {
           logger.debug(`[Theme翻译] 处理本地化内容类型资源`);
 
-          if (contentFields.localeContent) {
+          if (contentFields.localeContent && fieldLocks.has('localeContent')) {
+            errorContext.recordSkip(LOCKED_REASON, 'localeContent', contentFields.localeContent);
+          } else if (contentFields.localeContent) {
             try {
               recordFieldMetrics(metricsTracker);
               const { protectedText, protectedMap } = protectLiquidVariables(contentFields.localeContent);
@@ -994,7 +1013,10 @@ export async function translateThemeResource(resource, targetLang, options = {})
           logger.debug(`[Theme翻译] 处理设置类型资源`);
 
           for (const [key, value] of Object.entries(contentFields)) {
-            if (typeof value === 'string') {
+            if (fieldLocks.has(buildThemeLockKey(null, key))) {
+              errorContext.recordSkip(LOCKED_REASON, key, value);
+              result.translationFields[key] = value;
+            } else if (typeof value === 'string') {
               recordFieldMetrics(metricsTracker);
               const { shouldTranslate, reason } = shouldTranslateThemeFieldWithReason(key, value);
 
@@ -1030,7 +1052,10 @@ export async function translateThemeResource(resource, targetLang, options = {})
           logger.debug(`[Theme翻译] 未知的Theme资源类型: ${resourceType}，使用通用处理`);
 
           for (const [key, value] of Object.entries(contentFields)) {
-            if (typeof value === 'string') {
+            if (fieldLocks.has(buildThemeLockKey(null, key))) {
+              errorContext.recordSkip(LOCKED_REASON, key, value);
+              result.translationFields[key] = value;
+            } else if (typeof value === 'string') {
               recordFieldMetrics(metricsTracker);
               const { shouldTranslate, reason } = shouldTranslateThemeFieldWithReason(key, value);
 
@@ -1062,6 +1087,12 @@ export async function translateThemeResource(resource, targetLang, options = {})
 
       if (result.translationFields) {
         result.translationFields = flattenTranslationFields(result.translationFields);
+        // link / url 设置不进入翻译，按目标语言的市场域名单独改写
+        result.translationFields = convertThemeTranslationLinks(
+          result.translationFields,
+          runtimeOptions?.linkConversion,
+          targetLang
+        );
       }
 
       logger.info('[Theme翻译] Theme资源翻译完成', {
@@ -0,0 +1,668 @@
+/**
+ * 译文交换服务：XLIFF 2.0 / gettext PO 导出与导入
+ * - 导出：按语言 + RESOURCE_CATEGORIES 分类生成片段，每个片段携带源内容 digest
+ * - 导入：校验片段ID（资源 + 字段）与 digest，源内容已变更的片段拒绝写入
+ * - 写入：Translation 行标记为 completed + syncStatus=pending，等待发布
+ *
+ * 片段ID格式：`<Resource.id>::<fieldKey>`
+ * fieldKey 与 Resource.contentDigests 的键保持一致（title / description / seoTitle ...），
+ * Theme 资源使用 translationFields 路径（dynamicFields.<key> / translatableFields.<key> / localeContent / <key>）
+ */
+
+import crypto from 'crypto';
+import { JSDOM } from 'jsdom';
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { RESOURCE_CATEGORIES } from '../config/resource-categories.js';
+import { invalidateCoverageCache } from './language-coverage.server.js';
+import { recordTranslationMemory } from './translation-memory.server.js';
+import { assessTranslationReview } from './translation-review.server.js';
+import { buildSourceDigests, mergeSourceDigests } from './content-digest-tracker.server.js';
+import { recordTranslationRevision, REVISION_SOURCE } from './translation-revision.server.js';
+import { refreshDerivedTranslations } from './derived-translations.server.js';
+
+export const EXCHANGE_FORMATS = ['xliff', 'po'];
+
+const SEGMENT_SEPARATOR = '::';
+const XLIFF_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// 基础字段：fieldKey -> { Translation 列, 源字段候选（按优先级） }
+const BASE_SEGMENT_FIELDS = {
+  title: { targetField: 'titleTrans', sources: ['title'] },
+  description: { targetField: 'descTrans', sources: ['descriptionHtml', 'description'] },
+  seoTitle: { targetField: 'seoTitleTrans', sources: ['seoTitle'] },
+  seoDescription: { targetField: 'seoDescTrans', sources: ['seoDescription'] },
+  summary: { targetField: 'summaryTrans', sources: ['summary'] },
+  label: { targetField: 'labelTrans', sources: ['label'] }
+};
+
+/**
+ * 计算源内容 digest（与增量翻译 contentDigests 的算法一致）
+ * @param {string} content
+ * @returns {string|null}
+ */
+export function calculateSegmentDigest(content) {
+  if (typeof content !== 'string' || !content.trim()) return null;
+  return crypto.createHash('md5').update(content.trim()).digest('hex');
+}
+
+export function buildSegmentId(resourceId, fieldKey) {
+  return `${resourceId}${SEGMENT_SEPARATOR}${fieldKey}`;
+}
+
+export function parseSegmentId(segmentId = '') {
+  const index = String(segmentId).indexOf(SEGMENT_SEPARATOR);
+  if (index <= 0) return null;
+  const fieldKey = segmentId.slice(index + SEGMENT_SEPARATOR.length);
+  if (!fieldKey) return null;
+  return { resourceId: segmentId.slice(0, index), fieldKey };
+}
+
+/**
+ * 解析分类参数，返回资源类型列表（大写）
+ * @param {string} category 顶级分类（如 THEME）
+ * @param {string} [subcategory] 子分类（如 TEMPLATES）
+ * @returns {string[]}
+ */
+export function resolveCategoryResourceTypes(category, subcategory) {
+  const categoryConfig = RESOURCE_CATEGORIES[String(category || '').toUpperCase()];
+  if (!categoryConfig) {
+    throw new ValidationError(`未知的资源分类: ${category}`, 'category');
+  }
+
+  if (subcategory) {
+    const sub = categoryConfig.subcategories[String(subcategory).toUpperCase()];
+    if (!sub) {
+      throw new ValidationError(`未知的资源子分类: ${category}.${subcategory}`, 'subcategory');
+    }
+    return [...sub.resources];
+  }
+
+  return Object.values(categoryConfig.subcategories).flatMap((sub) => sub.resources);
+}
+
+function isThemeResource(resourceType = '') {
+  return String(resourceType).toUpperCase().startsWith('ONLINE_STORE_THEME');
+}
+
+function pickBaseSource(resource, fieldKey, config) {
+  // 与 translateResource 保持一致：page 优先使用纯文本 description
+  const sources = fieldKey === 'description' && String(resource.resourceType).toLowerCase() === 'page'
+    ? [...config.sources].reverse()
+    : config.sources;
+  const key = sources.find((name) => typeof resource[name] === 'string' && resource[name].trim());
+  return key ? resource[key] : null;
+}
+
+function collectThemeSegments(resource, translationFields = {}) {
+  const contentFields = resource.contentFields || {};
+  const segments = [];
+
+  if (contentFields.dynamicFields && typeof contentFields.dynamicFields === 'object') {
+    for (const [key, fieldData] of Object.entries(contentFields.dynamicFields)) {
+      const source = fieldData && typeof fieldData === 'object' && 'value' in fieldData ? fieldData.value : fieldData;
+      if (typeof source !== 'string' || !source.trim()) continue;
+      const existing = translationFields.dynamicFields?.[key];
+      const target = existing && typeof existing === 'object' ? existing.value : existing;
+      segments.push({
+        fieldKey: `dynamicFields.${key}`,
+        source,
+        target: typeof target === 'string' && target !== source ? target : ''
+      });
+    }
+  }
+
+  if (Array.isArray(contentFields.translatableFields)) {
+    const translatedByKey = new Map(
+      (translationFields.translatableFields || []).map((field) => [field.key, field])
+    );
+    for (const field of contentFields.translatableFields) {
+      if (typeof field?.value !== 'string' || !field.value.trim()) continue;
+      const target = translatedByKey.get(field.key)?.value;
+      segments.push({
+        fieldKey: `translatableFields.${field.key}`,
+        source: field.value,
+        target: typeof target === 'string' && target !== field.value ? target : ''
+      });
+    }
+  }
+
+  if (typeof contentFields.localeContent === 'string' && contentFields.localeContent.trim()) {
+    segments.push({
+      fieldKey: 'localeContent',
+      source: contentFields.localeContent,
+      target: typeof translationFields.localeContent === 'string' ? translationFields.localeContent : ''
+    });
+  }
+
+  // 设置类资源：顶层字符串字段直接映射到 translationFields[key]
+  for (const [key, value] of Object.entries(contentFields)) {
+    if (['dynamicFields', 'translatableFields', 'localeContent', 'themeData'].includes(key)) continue;
+    if (typeof value !== 'string' || !value.trim()) continue;
+    const target = translationFields[key];
+    segments.push({
+      fieldKey: key,
+      source: value,
+      target: typeof target === 'string' && target !== value ? target : ''
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * 提取单个资源的可交换片段
+ * @param {Object} resource Resource 行
+ * @param {Object|null} translation Translation 行（可选）
+ * @returns {Array<{id, resourceId, resourceType, fieldKey, source, target, digest}>}
+ */
+export function extractExchangeSegments(resource, translation = null) {
+  if (!resource) return [];
+
+  let rawSegments;
+  if (isThemeResource(resource.resourceType)) {
+    rawSegments = collectThemeSegments(resource, translation?.translationFields || {});
+  } else {
+    rawSegments = [];
+    for (const [fieldKey, fieldConfig] of Object.entries(BASE_SEGMENT_FIELDS)) {
+      const source = pickBaseSource(resource, fieldKey, fieldConfig);
+      if (!source) continue;
+      rawSegments.push({
+        fieldKey,
+        source,
+        target: translation?.[fieldConfig.targetField] || ''
+      });
+    }
+  }
+
+  return rawSegments.map((segment) => ({
+    id: buildSegmentId(resource.id, segment.fieldKey),
+    resourceId: resource.id,
+    resourceType: resource.resourceType,
+    fieldKey: segment.fieldKey,
+    source: segment.source,
+    target: segment.target,
+    digest: calculateSegmentDigest(segment.source)
+  }));
+}
+
+// ---------- XLIFF 2.0 ----------
+
+function escapeXml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 序列化为 XLIFF 2.0
+ * 每个分组（资源类型）输出一个 <file>，每个片段一个 <unit>；
+ * unit 的 name 保存片段ID，digest 写入 <notes>
+ * @param {Array} segments
+ * @param {Object} options
+ * @param {string} options.sourceLanguage
+ * @param {string} options.targetLanguage
+ * @returns {string}
+ */
+export function serializeXliff(segments, { sourceLanguage, targetLanguage }) {
+  const groups = new Map();
+  for (const segment of segments) {
+    const key = String(segment.resourceType || 'resource').toLowerCase();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(segment);
+  }
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${escapeXml(sourceLanguage)}" trgLang="${escapeXml(targetLanguage)}">`
+  ];
+
+  let unitIndex = 0;
+  for (const [groupKey, groupSegments] of groups) {
+    lines.push(`  <file id="${escapeXml(groupKey)}">`);
+    for (const segment of groupSegments) {
+      unitIndex += 1;
+      lines.push(`    <unit id="u${unitIndex}" name="${escapeXml(segment.id)}">`);
+      lines.push('      <notes>');
+      lines.push(`        <note category="digest">${escapeXml(segment.digest || '')}</note>`);
+      lines.push('      </notes>');
+      lines.push(`      <segment state="${segment.target ? 'translated' : 'initial'}">`);
+      lines.push(`        <source>${escapeXml(segment.source)}</source>`);
+      lines.push(`        <target>${escapeXml(segment.target || '')}</target>`);
+      lines.push('      </segment>');
+      lines.push('    </unit>');
+    }
+    lines.push('  </file>');
+  }
+
+  lines.push('</xliff>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 解析 XLIFF 2.0，返回 { targetLanguage, entries: [{ id, digest, target }] }
+ * @param {string} content
+ */
+export function parseXliff(content) {
+  const dom = new JSDOM(String(content || ''), { contentType: 'application/xml' });
+  const document = dom.window.document;
+
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    throw new ValidationError('XLIFF 文件格式无效', 'xliff');
+  }
+
+  const root = document.documentElement;
+  if (!root || root.localName !== 'xliff' || root.getAttribute('version') !== '2.0') {
+    throw new ValidationError('仅支持 XLIFF 2.0 文件', 'xliff');
+  }
+
+  const entries = [];
+  for (const unit of Array.from(document.getElementsByTagNameNS('*', 'unit'))) {
+    const digestNote = Array.from(unit.getElementsByTagNameNS('*', 'note'))
+      .find((note) => note.getAttribute('category') === 'digest');
+    const targets = Array.from(unit.getElementsByTagNameNS('*', 'target'));
+
+    entries.push({
+      id: unit.getAttribute('name') || unit.getAttribute('id'),
+      digest: digestNote?.textContent?.trim() || null,
+      // 多个 segment 时按顺序拼接（CAT 工具拆分句段后回传）
+      target: targets.map((node) => node.textContent || '').join('')
+    });
+  }
+
+  return { targetLanguage: root.getAttribute('trgLang') || null, entries };
+}
+
+// ---------- gettext PO ----------
+
+function escapePo(value = '') {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+function unescapePo(value = '') {
+  return value.replace(/\\(["\\ntr])/g, (match, char) => {
+    switch (char) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      case 'r': return '\r';
+      default: return char;
+    }
+  });
+}
+
+function formatPoString(keyword, value = '') {
+  const text = String(value);
+  if (!text.includes('\n')) {
+    return `${keyword} "${escapePo(text)}"`;
+  }
+  // 多行文本按 gettext 惯例拆行，便于 CAT 工具显示
+  const parts = text.split(/(?<=\n)/);
+  return [`${keyword} ""`, ...parts.map((part) => `"${escapePo(part)}"`)].join('\n');
+}
+
+/**
+ * 序列化为 gettext PO
+ * msgctxt 保存片段ID，digest 写入提取注释 `#. digest:`
+ */
+export function serializePo(segments, { sourceLanguage, targetLanguage }) {
+  const header = [
+    'msgid ""',
+    'msgstr ""',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    `"Language: ${escapePo(targetLanguage)}\\n"`,
+    `"X-Source-Language: ${escapePo(sourceLanguage)}\\n"`
+  ].join('\n');
+
+  const blocks = segments.map((segment) => [
+    `#. digest: ${segment.digest || ''}`,
+    `#: ${segment.resourceType || ''}`,
+    formatPoString('msgctxt', segment.id),
+    formatPoString('msgid', segment.source),
+    formatPoString('msgstr', segment.target || '')
+  ].join('\n'));
+
+  return `${[header, ...blocks].join('\n\n')}\n`;
+}
+
+/**
+ * 解析 gettext PO，返回 { targetLanguage, entries: [{ id, digest, target, fuzzy }] }
+ * @param {string} content
+ */
+export function parsePo(content) {
+  const entries = [];
+  let targetLanguage = null;
+  let current = null;
+  let activeKey = null;
+
+  const flush = () => {
+    if (current && current.msgctxt) {
+      entries.push({
+        id: current.msgctxt,
+        digest: current.digest,
+        target: current.msgstr || '',
+        fuzzy: current.fuzzy
+      });
+    } else if (current && current.msgid === '' && current.msgstr) {
+      const match = current.msgstr.match(/^Language:\s*(.+)$/m);
+      if (match) targetLanguage = match[1].trim();
+    }
+    current = null;
+    activeKey = null;
+  };
+
+  const ensureEntry = () => {
+    if (!current) current = { digest: null, fuzzy: false };
+    return current;
+  };
+
+  for (const rawLine of String(content || '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      flush();
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      // 注释出现在已有 msgstr 之后视为新条目开始
+      if (current && current.msgstr !== undefined) flush();
+      const entry = ensureEntry();
+      const digestMatch = line.match(/^#\.\s*digest:\s*(\S*)/);
+      if (digestMatch) entry.digest = digestMatch[1] || null;
+      if (/^#,.*\bfuzzy\b/.test(line)) entry.fuzzy = true;
+      continue;
+    }
+
+    const keywordMatch = line.match(/^(msgctxt|msgid|msgstr)\s+"(.*)"$/);
+    if (keywordMatch) {
+      const [, keyword, value] = keywordMatch;
+      if (keyword === 'msgctxt' && current && current.msgstr !== undefined) flush();
+      if (keyword === 'msgid' && current && current.msgstr !== undefined) flush();
+      const entry = ensureEntry();
+      entry[keyword] = unescapePo(value);
+      activeKey = keyword;
+      continue;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation && current && activeKey) {
+      current[activeKey] += unescapePo(continuation[1]);
+    }
+  }
+  flush();
+
+  return { targetLanguage, entries };
+}
+
+// ---------- 导出 / 导入 ----------
+
+/**
+ * 导出指定语言、分类的译文
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.language 目标语言
+ * @param {string} params.category RESOURCE_CATEGORIES 顶级键
+ * @param {string} [params.subcategory]
+ * @param {string} [params.format] xliff | po
+ * @param {string} [params.sourceLanguage]
+ * @returns {Promise<{ content: string, format: string, segmentCount: number, resourceCount: number }>}
+ */
+export async function exportTranslations({
+  shopId,
+  language,
+  category,
+  subcategory,
+  format = 'xliff',
+  sourceLanguage = 'en'
+}) {
+  if (!language) {
+    throw new ValidationError('缺少 language 参数', 'language');
+  }
+  if (!EXCHANGE_FORMATS.includes(format)) {
+    throw new ValidationError(`不支持的导出格式: ${format}`, 'format');
+  }
+
+  const resourceTypes = resolveCategoryResourceTypes(category, subcategory);
+  const resources = await prisma.resource.findMany({
+    where: {
+      shopId,
+      resourceType: { in: [...resourceTypes, ...resourceTypes.map((type) => type.toLowerCase())] }
+    },
+    include: {
+      translations: { where: { language } }
+    },
+    orderBy: [{ resourceType: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  const segments = resources.flatMap((resource) =>
+    extractExchangeSegments(resource, resource.translations?.[0] || null)
+  );
+
+  const options = { sourceLanguage, targetLanguage: language };
+  const content = format === 'po' ? serializePo(segments, options) : serializeXliff(segments, options);
+
+  logger.info('[TranslationExchange] 导出译文', {
+    shopId,
+    language,
+    category,
+    subcategory,
+    format,
+    resources: resources.length,
+    segments: segments.length
+  });
+
+  return { content, format, segmentCount: segments.length, resourceCount: resources.length };
+}
+
+/**
+ * 识别文件格式
+ * @param {string} content
+ * @param {string} [hint] 文件名或显式格式
+ * @returns {'xliff'|'po'}
+ */
+export function detectExchangeFormat(content, hint = '') {
+  const normalizedHint = String(hint || '').toLowerCase();
+  if (normalizedHint === 'po' || normalizedHint.endsWith('.po')) return 'po';
+  if (normalizedHint === 'xliff' || /\.(xliff|xlf)$/.test(normalizedHint)) return 'xliff';
+  return /^\s*(<\?xml|<xliff)/.test(String(content || '').replace(/^\uFEFF/, '')) ? 'xliff' : 'po';
+}
+
+function applySegmentToTranslation(data, resource, fieldKey, value) {
+  const baseConfig = BASE_SEGMENT_FIELDS[fieldKey];
+  if (!isThemeResource(resource.resourceType) && baseConfig) {
+    data[baseConfig.targetField] = value;
+    return;
+  }
+
+  const translationFields = data.translationFields;
+  const contentFields = resource.contentFields || {};
+
+  if (fieldKey.startsWith('dynamicFields.')) {
+    const key = fieldKey.slice('dynamicFields.'.length);
+    const original = contentFields.dynamicFields?.[key];
+    translationFields.dynamicFields = { ...(translationFields.dynamicFields || {}) };
+    translationFields.dynamicFields[key] = {
+      value,
+      digest: original?.digest || null,
+      original: original && typeof original === 'object' ? original.value : original
+    };
+    return;
+  }
+
+  if (fieldKey.startsWith('translatableFields.')) {
+    const key = fieldKey.slice('translatableFields.'.length);
+    const base = Array.isArray(translationFields.translatableFields)
+      ? translationFields.translatableFields
+      : (contentFields.translatableFields || []);
+    translationFields.translatableFields = base.map((field) => {
+      if (field.key !== key) return field;
+      const original = (contentFields.translatableFields || []).find((item) => item.key === key);
+      return { ...field, value, original: original?.value ?? field.original };
+    });
+    return;
+  }
+
+  translationFields[fieldKey] = value;
+}
+
+/**
+ * 导入 XLIFF / PO 译文
+ * - 片段ID 必须指向本店铺资源的现存字段，否则记为 unknown_segment
+ * - 文件中的 digest 与当前源内容 digest 不一致时记为 stale，不写入
+ * - 空译文与 PO fuzzy 条目跳过
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.language
+ * @param {string} params.content 文件内容
+ * @param {string} [params.format] xliff | po；缺省时自动识别
+ * @returns {Promise<{ format, imported, updatedResources, skipped, rejected: Array<{ id, reason }> }>}
+ */
+export async function importTranslations({ shopId, language, content, format }) {
+  if (!content || !String(content).trim()) {
+    throw new ValidationError('导入文件内容为空', 'content');
+  }
+
+  const resolvedFormat = format && EXCHANGE_FORMATS.includes(format)
+    ? format
+    : detectExchangeFormat(content, format);
+  const parsed = resolvedFormat === 'po' ? parsePo(content) : parseXliff(content);
+  const targetLanguage = language || parsed.targetLanguage;
+
+  if (!targetLanguage) {
+    throw new ValidationError('缺少 language 参数', 'language');
+  }
+  if (language && parsed.targetLanguage && parsed.targetLanguage !== language) {
+    throw new ValidationError(
+      `文件目标语言(${parsed.targetLanguage})与请求语言(${language})不一致`,
+      'language'
+    );
+  }
+
+  const rejected = [];
+  let skipped = 0;
+  const byResource = new Map();
+
+  for (const entry of parsed.entries) {
+    if (entry.fuzzy || !entry.target || !entry.target.trim()) {
+      skipped += 1;
+      continue;
+    }
+    const segmentRef = parseSegmentId(entry.id);
+    if (!segmentRef) {
+      rejected.push({ id: entry.id, reason: 'unknown_segment' });
+      continue;
+    }
+    if (!byResource.has(segmentRef.resourceId)) byResource.set(segmentRef.resourceId, []);
+    byResource.get(segmentRef.resourceId).push({ ...entry, fieldKey: segmentRef.fieldKey });
+  }
+
+  const resources = byResource.size > 0
+    ? await prisma.resource.findMany({
+      where: { shopId, id: { in: [...byResource.keys()] } },
+      include: { translations: { where: { language: targetLanguage } } }
+    })
+    : [];
+  const resourceMap = new Map(resources.map((resource) => [resource.id, resource]));
+
+  let imported = 0;
+  let updatedResources = 0;
+
+  for (const [resourceId, entries] of byResource) {
+    const resource = resourceMap.get(resourceId);
+    if (!resource) {
+      entries.forEach((entry) => rejected.push({ id: entry.id, reason: 'unknown_segment' }));
+      continue;
+    }
+
+    const existing = resource.translations?.[0] || null;
+    const currentSegments = new Map(
+      extractExchangeSegments(resource, existing).map((segment) => [segment.fieldKey, segment])
+    );
+    const data = {
+      translationFields: { ...(existing?.translationFields || {}) }
+    };
+    const contentDigests = { ...(resource.contentDigests || {}) };
+    const importedFields = [];
+    const memorySegments = [];
+    let accepted = 0;
+
+    for (const entry of entries) {
+      const current = currentSegments.get(entry.fieldKey);
+      if (!current) {
+        rejected.push({ id: entry.id, reason: 'unknown_segment' });
+        continue;
+      }
+      if (!entry.digest || entry.digest !== current.digest) {
+        rejected.push({ id: entry.id, reason: 'stale' });
+        continue;
+      }
+
+      applySegmentToTranslation(data, resource, entry.fieldKey, entry.target);
+      contentDigests[entry.fieldKey] = current.digest;
+      importedFields.push(entry.fieldKey);
+      memorySegments.push({ sourceText: current.source, translatedText: entry.target });
+      accepted += 1;
+    }
+
+    if (accepted === 0) continue;
+
+    // 导入译文同样走审核评估，审核模式下需审核通过后才会发布
+    const review = await assessTranslationReview({ shopId, language: targetLanguage, pairs: memorySegments });
+    data.sourceDigests = mergeSourceDigests(existing?.sourceDigests, buildSourceDigests(resource, importedFields));
+
+    const saved = await prisma.translation.upsert({
+      where: { resourceId_language: { resourceId, language: targetLanguage } },
+      update: { ...data, ...review, status: 'completed', syncStatus: 'pending', syncError: null, inheritedFrom: null },
+      create: {
+        resourceId,
+        shopId,
+        language: targetLanguage,
+        ...data,
+        ...review,
+        status: 'completed',
+        syncStatus: 'pending'
+      }
+    });
+    await recordTranslationRevision(saved, { source: REVISION_SOURCE.IMPORT, actor: resolvedFormat, previous: existing });
+    await refreshDerivedTranslations(saved);
+    // 记录译文对应的源 digest，增量翻译据此判断无需重译
+    await prisma.resource.update({
+      where: { id: resourceId },
+      data: { contentDigests }
+    });
+
+    for (const segment of memorySegments) {
+      await recordTranslationMemory({ shopId, targetLang: targetLanguage, origin: 'import', ...segment });
+    }
+
+    invalidateCoverageCache(shopId, { language: targetLanguage, scope: 'resource', scopeId: resourceId });
+    imported += accepted;
+    updatedResources += 1;
+  }
+
+  logger.info('[TranslationExchange] 导入译文完成', {
+    shopId,
+    language: targetLanguage,
+    format: resolvedFormat,
+    imported,
+    updatedResources,
+    skipped,
+    rejected: rejected.length
+  });
+
+  return {
+    format: resolvedFormat,
+    language: targetLanguage,
+    imported,
+    updatedResources,
+    skipped,
+    rejected
+  };
+}
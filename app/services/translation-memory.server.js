@@ -0,0 +1,362 @@
+/**
+ * 翻译记忆服务
+ * - 以“规范化源片段 + 目标语言”为键持久化已完成的译文
+ * - translateText 调用 API 前先查询：精确命中直接复用、不消耗额度
+ * - 模糊命中只作为参考译文交给模型（否定词等细微差异相似度仍很高，不能直接复用），正常计费
+ * - 只记录已通过审核或无需审核且达到质量阈值的译文，未审核的机器译文不会被复用
+ */
+
+import crypto from 'crypto';
+import { prisma } from '../db.server.js';
+import { config } from '../utils/config.server.js';
+import { logger } from '../utils/logger.server.js';
+import { createServiceErrorHandler } from '../utils/service-error-handler.server.js';
+import { creditCalculator } from './credit-calculator.server.js';
+
+// Translation 字段 -> Resource 源字段
+const MEMORY_FIELD_SOURCES = {
+  titleTrans: ['title'],
+  descTrans: ['descriptionHtml', 'description'],
+  summaryTrans: ['summary'],
+  labelTrans: ['label'],
+  seoTitleTrans: ['seoTitle'],
+  seoDescTrans: ['seoDescription']
+};
+
+const REBUILD_BATCH_SIZE = 200;
+
+// 与 translation-review 的 REVIEW_STATUS.APPROVED 一致（该模块依赖本模块，这里不反向引用）
+const APPROVED_REVIEW_STATUS = 'approved';
+
+const handleMemoryError = createServiceErrorHandler('TRANSLATION_MEMORY', {
+  throwErrors: false,
+  getFallbackValue: () => null
+});
+
+/**
+ * 规范化源片段：Unicode NFC + 合并空白
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeSegment(text = '') {
+  if (typeof text !== 'string') return '';
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+export function hashSegment(normalized) {
+  return crypto.createHash('md5').update(normalized).digest('hex');
+}
+
+function buildBigrams(text) {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i += 1) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * 基于字符二元组的 Dice 相似度（0~1），长文本下仍为线性复杂度
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function calculateSimilarity(a = '', b = '') {
+  const left = a.toLowerCase();
+  const right = b.toLowerCase();
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const leftGrams = buildBigrams(left);
+  const rightGrams = buildBigrams(right);
+  let overlap = 0;
+  for (const [gram, count] of leftGrams) {
+    overlap += Math.min(count, rightGrams.get(gram) || 0);
+  }
+
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+}
+
+function extractNumbers(text = '') {
+  return (text.match(/\d+(?:[.,]\d+)?/g) || []).join('|');
+}
+
+/**
+ * 模糊命中的安全检查：数字（尺寸、天数、价格）必须完全一致
+ */
+function isSafeFuzzyMatch(source, candidate) {
+  return extractNumbers(source) === extractNumbers(candidate);
+}
+
+function isMemoryEnabled(options = {}) {
+  return Boolean(config.translationMemory?.enabled) && !options.skipTranslationMemory;
+}
+
+async function markHit(entryId) {
+  try {
+    await prisma.translationMemory.update({
+      where: { id: entryId },
+      data: { hitCount: { increment: 1 }, lastUsedAt: new Date() }
+    });
+  } catch (error) {
+    logger.debug('[TranslationMemory] 更新命中计数失败', { entryId, error: error.message });
+  }
+}
+
+/**
+ * 查询翻译记忆
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.text 源文本
+ * @param {string} params.targetLang
+ * @param {boolean} [params.allowFuzzy=true]
+ * @param {boolean} [params.trackHit=true] 是否记录命中次数（预估时关闭）
+ * @returns {Promise<{matchType: 'exact'|'fuzzy', score: number, translatedText: string, sourceText: string, entryId: string}|null>}
+ */
+async function lookupTranslationMemoryInternal({ shopId, text, targetLang, allowFuzzy = true, trackHit = true, ...options }) {
+  if (!shopId || !targetLang || !isMemoryEnabled(options)) return null;
+
+  const normalized = normalizeSegment(text);
+  if (normalized.length < (config.translationMemory.minLength ?? 2)) return null;
+
+  const segmentHash = hashSegment(normalized);
+  const exact = await prisma.translationMemory.findUnique({
+    where: { shopId_targetLang_segmentHash: { shopId, targetLang, segmentHash } }
+  });
+
+  if (exact) {
+    if (trackHit) await markHit(exact.id);
+    return { matchType: 'exact', score: 1, translatedText: exact.translatedText, sourceText: exact.normalizedText, entryId: exact.id };
+  }
+
+  if (!allowFuzzy || !config.translationMemory.fuzzyEnabled) return null;
+
+  const threshold = config.translationMemory.fuzzyThreshold ?? 0.95;
+  // 长度差超过 (1 - threshold) 的候选不可能达到阈值
+  const tolerance = Math.ceil(normalized.length * (1 - threshold)) + 1;
+  const candidates = await prisma.translationMemory.findMany({
+    where: {
+      shopId,
+      targetLang,
+      charCount: { gte: normalized.length - tolerance, lte: normalized.length + tolerance }
+    },
+    select: { id: true, normalizedText: true, translatedText: true },
+    take: config.translationMemory.maxCandidates ?? 200,
+    orderBy: { hitCount: 'desc' }
+  });
+
+  let best = null;
+  for (const candidate of candidates) {
+    const score = calculateSimilarity(normalized, candidate.normalizedText);
+    if (score >= threshold && (!best || score > best.score) && isSafeFuzzyMatch(normalized, candidate.normalizedText)) {
+      best = { ...candidate, score };
+    }
+  }
+
+  if (!best) return null;
+
+  if (trackHit) await markHit(best.id);
+  return {
+    matchType: 'fuzzy',
+    score: best.score,
+    translatedText: best.translatedText,
+    sourceText: best.normalizedText,
+    entryId: best.id
+  };
+}
+
+export const lookupTranslationMemory = handleMemoryError(lookupTranslationMemoryInternal);
+
+/**
+ * 结合翻译记忆预估额度：只有精确命中按 0 额度计算（模糊命中仍会调用模型）
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.targetLang
+ * @param {string} [params.resourceType]
+ * @param {string[]} params.segments 源文本列表
+ * @returns {Promise<{credits: number, effectiveChars: number, memoryHits: number, savedCredits: number, estimates: Array}>}
+ */
+export async function estimateCreditsWithMemory({ shopId, targetLang, resourceType, segments = [] }) {
+  const estimates = [];
+  for (const text of segments) {
+    if (typeof text !== 'string' || !text.trim()) continue;
+    const memoryMatch = await lookupTranslationMemory({ shopId, text, targetLang, allowFuzzy: false, trackHit: false });
+    estimates.push(creditCalculator.calculateEstimated(text, targetLang, resourceType, { memoryMatch }));
+  }
+  return { ...creditCalculator.summarizeEstimates(estimates), estimates };
+}
+
+/**
+ * 写入（或更新）一条翻译记忆
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.targetLang
+ * @param {string} params.sourceText
+ * @param {string} params.translatedText
+ * @param {string} [params.origin='translation']
+ */
+async function recordTranslationMemoryInternal({ shopId, targetLang, sourceText, translatedText, origin = 'translation' }) {
+  if (!shopId || !targetLang || !config.translationMemory?.enabled) return null;
+
+  const normalized = normalizeSegment(sourceText);
+  const translated = typeof translatedText === 'string' ? translatedText.trim() : '';
+  if (normalized.length < (config.translationMemory.minLength ?? 2) || !translated) return null;
+  // 译文与原文一致（品牌词、型号）没有复用价值
+  if (normalizeSegment(translated) === normalized) return null;
+
+  const segmentHash = hashSegment(normalized);
+  return prisma.translationMemory.upsert({
+    where: { shopId_targetLang_segmentHash: { shopId, targetLang, segmentHash } },
+    update: { translatedText: translated, sourceText, origin },
+    create: {
+      shopId,
+      targetLang,
+      segmentHash,
+      normalizedText: normalized,
+      sourceText,
+      translatedText: translated,
+      charCount: normalized.length,
+      origin
+    }
+  });
+}
+
+export const recordTranslationMemory = handleMemoryError(recordTranslationMemoryInternal);
+
+/**
+ * 将 Translation 行中的字段与资源原文配对，生成记忆片段
+ * @param {Object} resource Resource（含 title/description 等源字段）
+ * @param {Object} translation Translation 字段（titleTrans 等）
+ * @returns {Array<{sourceText: string, translatedText: string}>}
+ */
+export function extractMemorySegments(resource = {}, translation = {}) {
+  const segments = [];
+  for (const [field, sourceKeys] of Object.entries(MEMORY_FIELD_SOURCES)) {
+    const translatedText = translation?.[field];
+    if (typeof translatedText !== 'string' || !translatedText.trim()) continue;
+
+    // 与 translateResource 保持一致：page 优先使用 description
+    const keys = field === 'descTrans' && resource?.resourceType === 'page' ? [...sourceKeys].reverse() : sourceKeys;
+    const sourceKey = keys.find((key) => typeof resource?.[key] === 'string' && resource[key].trim());
+    if (!sourceKey) continue;
+
+    segments.push({ sourceText: resource[sourceKey], translatedText });
+  }
+  return segments;
+}
+
+/**
+ * 译文是否可以写入翻译记忆：已通过审核，或未进入审核（无需审核且达到质量阈值）
+ * @param {{ reviewStatus?: string|null }} translation
+ * @returns {boolean}
+ */
+export function isMemoryEligible(translation = {}) {
+  const reviewStatus = translation?.reviewStatus ?? null;
+  return reviewStatus === null || reviewStatus === APPROVED_REVIEW_STATUS;
+}
+
+/**
+ * 从已完成的 Translation 写入翻译记忆（saveTranslation 后调用）
+ * @param {string} resourceId
+ * @param {string} shopId
+ * @param {string} language
+ * @param {Object} translation Translation 字段
+ * @param {string} [origin]
+ */
+async function recordTranslationMemoryForResourceInternal(resourceId, shopId, language, translation, origin = 'translation') {
+  if (!config.translationMemory?.enabled) return 0;
+
+  const resource = await prisma.resource.findUnique({
+    where: { id: resourceId },
+    select: {
+      resourceType: true,
+      title: true,
+      description: true,
+      descriptionHtml: true,
+      summary: true,
+      label: true,
+      seoTitle: true,
+      seoDescription: true
+    }
+  });
+  if (!resource) return 0;
+
+  const segments = extractMemorySegments(resource, translation);
+  for (const segment of segments) {
+    await recordTranslationMemoryInternal({ shopId, targetLang: language, origin, ...segment });
+  }
+  return segments.length;
+}
+
+export const recordTranslationMemoryForResource = handleMemoryError(recordTranslationMemoryForResourceInternal);
+
+/**
+ * 从已有的 completed Translation 行重建翻译记忆（仅已通过或无需审核的译文）
+ * @param {string} shopId
+ * @param {Object} [options]
+ * @param {string} [options.language]
+ * @returns {Promise<{ translations: number, segments: number }>}
+ */
+export async function rebuildTranslationMemory(shopId, { language } = {}) {
+  let cursor;
+  let translations = 0;
+  let segments = 0;
+
+  while (true) {
+    const batch = await prisma.translation.findMany({
+      where: {
+        shopId,
+        status: 'completed',
+        OR: [{ reviewStatus: null }, { reviewStatus: APPROVED_REVIEW_STATUS }],
+        ...(language ? { language } : {})
+      },
+      include: { resource: true },
+      orderBy: { id: 'asc' },
+      take: REBUILD_BATCH_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+    });
+    if (batch.length === 0) break;
+
+    for (const translation of batch) {
+      const pairs = extractMemorySegments(translation.resource, translation);
+      for (const pair of pairs) {
+        const saved = await recordTranslationMemoryInternal({
+          shopId,
+          targetLang: translation.language,
+          ...pair
+        });
+        if (saved) segments += 1;
+      }
+    }
+
+    translations += batch.length;
+    cursor = batch[batch.length - 1].id;
+  }
+
+  logger.info('[TranslationMemory] 重建完成', { shopId, language, translations, segments });
+  return { translations, segments };
+}
+
+export async function getTranslationMemoryStats(shopId) {
+  const grouped = await prisma.translationMemory.groupBy({
+    by: ['targetLang'],
+    where: { shopId },
+    _count: { id: true },
+    _sum: { hitCount: true, charCount: true }
+  });
+
+  return grouped.map((row) => ({
+    language: row.targetLang,
+    entries: row._count.id,
+    hits: row._sum.hitCount || 0,
+    characters: row._sum.charCount || 0
+  }));
+}
+
+export async function clearTranslationMemory(shopId, { language } = {}) {
+  const result = await prisma.translationMemory.deleteMany({
+    where: { shopId, ...(language ? { targetLang: language } : {}) }
+  });
+  return result.count;
+}
@@ -0,0 +1,520 @@
+/**
+ * 翻译人工审核服务
+ * - 保存翻译时按 validators 管线打分，低于阈值或校验未通过的进入待审核（reviewStatus=pending）
+ * - 店铺开启"审核模式"（ShopSettings.reviewRequired）后，所有新译文都需审核，
+ *   且 syncTranslationsToShopify 只发布 reviewStatus=approved 的记录
+ * - 审核人可在线编辑译文、通过或驳回并填写备注
+ * - 可选深度质量评估（回译 / 评审模型），评估明细写入 qualityBreakdown 并计入 qualityScore
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { runValidationPipeline } from './translation/validators.server.js';
+import { invalidateCoverageCache } from './language-coverage.server.js';
+import { extractMemorySegments, recordTranslationMemoryForResource } from './translation-memory.server.js';
+import { DEEP_QUALITY_MODES, assessDeepQuality, blendQualityScore } from './translation/deep-quality.server.js';
+import { diffHtmlStructure } from './translation/html-segmenter.server.js';
+import { recordTranslationRevision, REVISION_SOURCE } from './translation-revision.server.js';
+import { refreshDerivedTranslations, refreshMarketOverrides } from './derived-translations.server.js';
+import { getShopSourceLanguage } from './source-language.server.js';
+
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// 译文未遵守术语表时记录的审核问题
+export const GLOSSARY_VIOLATION_ISSUE = 'GLOSSARY_VIOLATION';
+
+export const DEFAULT_REVIEW_SETTINGS = {
+  reviewRequired: false,
+  qualityThreshold: 0.7,
+  deepQualityMode: DEEP_QUALITY_MODES.OFF,
+  deepQualitySampleSize: 3
+};
+
+const MAX_DEEP_QUALITY_SAMPLE_SIZE = 10;
+const HTML_TAG_PATTERN = /<[a-z][^>]*>/i;
+
+// 审核页允许在线编辑的译文字段
+export const REVIEW_EDITABLE_FIELDS = [
+  'titleTrans',
+  'descTrans',
+  'handleTrans',
+  'summaryTrans',
+  'labelTrans',
+  'seoTitleTrans',
+  'seoDescTrans'
+];
+
+const SETTINGS_TTL = 60 * 1000;
+const settingsCache = new Map();
+
+function isValidSampleSize(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_DEEP_QUALITY_SAMPLE_SIZE;
+}
+
+export function normalizeReviewSettings(raw) {
+  const threshold = Number(raw?.reviewQualityThreshold ?? raw?.qualityThreshold);
+  const sampleSize = Number(raw?.deepQualitySampleSize);
+  return {
+    reviewRequired: Boolean(raw?.reviewRequired),
+    qualityThreshold: Number.isFinite(threshold) && threshold >= 0 && threshold <= 1
+      ? threshold
+      : DEFAULT_REVIEW_SETTINGS.qualityThreshold,
+    deepQualityMode: Object.values(DEEP_QUALITY_MODES).includes(raw?.deepQualityMode)
+      ? raw.deepQualityMode
+      : DEFAULT_REVIEW_SETTINGS.deepQualityMode,
+    deepQualitySampleSize: isValidSampleSize(sampleSize) ? sampleSize : DEFAULT_REVIEW_SETTINGS.deepQualitySampleSize
+  };
+}
+
+/**
+ * 读取店铺审核配置（短时缓存）
+ * @param {string} shopId
+ * @returns {Promise<{ reviewRequired: boolean, qualityThreshold: number, deepQualityMode: string, deepQualitySampleSize: number }>}
+ */
+export async function getReviewSettings(shopId) {
+  if (!shopId) return { ...DEFAULT_REVIEW_SETTINGS };
+
+  const cached = settingsCache.get(shopId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  let value = { ...DEFAULT_REVIEW_SETTINGS };
+  try {
+    const settings = await prisma.shopSettings.findUnique({
+      where: { shopId },
+      select: {
+        reviewRequired: true,
+        reviewQualityThreshold: true,
+        deepQualityMode: true,
+        deepQualitySampleSize: true
+      }
+    });
+    value = normalizeReviewSettings(settings);
+  } catch (error) {
+    logger.warn('[TranslationReview] 读取审核配置失败，使用默认配置', { shopId, error: error.message });
+  }
+
+  settingsCache.set(shopId, { value, expiresAt: Date.now() + SETTINGS_TTL });
+  return value;
+}
+
+export function invalidateReviewSettingsCache(shopId) {
+  if (shopId) {
+    settingsCache.delete(shopId);
+  } else {
+    settingsCache.clear();
+  }
+}
+
+/**
+ * 保存店铺审核配置
+ * @param {string} shopId
+ * @param {{ reviewRequired?: boolean, qualityThreshold?: number, deepQualityMode?: string, deepQualitySampleSize?: number }} input
+ */
+export async function updateReviewSettings(shopId, input = {}) {
+  const threshold = input.qualityThreshold === undefined ? undefined : Number(input.qualityThreshold);
+  if (threshold !== undefined && (!Number.isFinite(threshold) || threshold < 0 || threshold > 1)) {
+    throw new ValidationError('质量阈值必须在 0 到 1 之间', 'qualityThreshold');
+  }
+
+  if (input.deepQualityMode !== undefined && !Object.values(DEEP_QUALITY_MODES).includes(input.deepQualityMode)) {
+    throw new ValidationError(`未知的深度质量评估模式: ${input.deepQualityMode}`, 'deepQualityMode');
+  }
+  const sampleSize = input.deepQualitySampleSize === undefined ? undefined : Number(input.deepQualitySampleSize);
+  if (sampleSize !== undefined && !isValidSampleSize(sampleSize)) {
+    throw new ValidationError(`抽样数量必须在 1 到 ${MAX_DEEP_QUALITY_SAMPLE_SIZE} 之间`, 'deepQualitySampleSize');
+  }
+
+  const data = {};
+  if (input.reviewRequired !== undefined) data.reviewRequired = Boolean(input.reviewRequired);
+  if (threshold !== undefined) data.reviewQualityThreshold = threshold;
+  if (input.deepQualityMode !== undefined) data.deepQualityMode = input.deepQualityMode;
+  if (sampleSize !== undefined) data.deepQualitySampleSize = sampleSize;
+
+  const saved = await prisma.shopSettings.upsert({
+    where: { shopId },
+    update: data,
+    create: { shopId, ...data }
+  });
+  invalidateReviewSettingsCache(shopId);
+  return normalizeReviewSettings(saved);
+}
+
+/**
+ * 对原文/译文片段逐一跑校验管线并汇总质量分
+ * 单片段：通过得 1 分（每个 warning 扣 0.1，最多扣 0.3）；未通过得 0.4；终止类问题（空译文等）得 0
+ * @param {Array<{ sourceText: string, translatedText: string }>} pairs
+ * @param {string} targetLang
+ * @param {string} [sourceLanguage] 原文语言（店铺主语言）
+ * @returns {{ qualityScore: number|null, issues: string[] }}
+ */
+export function scoreTranslationPairs(pairs = [], targetLang, sourceLanguage) {
+  const scored = pairs.filter((pair) => typeof pair?.sourceText === 'string' && pair.sourceText.trim());
+  if (scored.length === 0) {
+    return { qualityScore: null, issues: [] };
+  }
+
+  const issues = new Set();
+  let total = 0;
+
+  for (const { sourceText, translatedText } of scored) {
+    const result = runValidationPipeline({
+      originalText: sourceText,
+      translatedText: translatedText || '',
+      targetLang,
+      sourceLanguage
+    });
+
+    result.quality.issues.forEach((code) => issues.add(code));
+    result.quality.warnings.forEach((code) => issues.add(code));
+    if (!result.completeness.isComplete && result.completeness.reason) {
+      issues.add(result.completeness.reason);
+    }
+
+    // HTML 字段逐标签比对，结构被改动的译文不计为通过
+    const structureMismatch = Boolean(translatedText) && HTML_TAG_PATTERN.test(sourceText)
+      && !diffHtmlStructure(sourceText, translatedText).identical;
+    if (structureMismatch) issues.add('HTML_STRUCTURE_MISMATCH');
+
+    if (result.quality.terminate) {
+      total += 0;
+    } else if (!result.passed || structureMismatch) {
+      total += 0.4;
+    } else {
+      total += 1 - Math.min(0.3, result.quality.warnings.length * 0.1);
+    }
+  }
+
+  return {
+    qualityScore: Math.round((total / scored.length) * 100) / 100,
+    issues: [...issues]
+  };
+}
+
+/**
+ * 根据质量分、校验问题、深度评估、术语表违规与店铺配置决定审核状态
+ * 深度评估综合分单独低于阈值时同样进入待审核，并把评审理由写入备注；术语表违规逐条写入备注
+ * @returns {{ qualityScore?: number, qualityBreakdown?: Object, isManualReview: boolean, reviewStatus: string|null, reviewNotes: string|null }}
+ */
+export function resolveReviewState({ qualityScore, issues = [], settings = DEFAULT_REVIEW_SETTINGS, qualityBreakdown, glossaryViolations = [] }) {
+  const belowThreshold = Number.isFinite(qualityScore) && qualityScore < settings.qualityThreshold;
+  const deepScore = qualityBreakdown?.score;
+  const deepBelowThreshold = Number.isFinite(deepScore) && deepScore < settings.qualityThreshold;
+  if (glossaryViolations.length > 0 && !issues.includes(GLOSSARY_VIOLATION_ISSUE)) {
+    issues = [...issues, GLOSSARY_VIOLATION_ISSUE];
+  }
+  const flagged = belowThreshold || deepBelowThreshold || issues.length > 0;
+
+  const notes = [];
+  if (belowThreshold) notes.push(`质量分 ${qualityScore} 低于阈值 ${settings.qualityThreshold}`);
+  if (deepBelowThreshold) {
+    const reasons = qualityBreakdown.reasons?.length > 0 ? `: ${qualityBreakdown.reasons.join('; ')}` : '';
+    notes.push(`深度评估 ${deepScore}（充分性 ${qualityBreakdown.adequacy ?? '-'}，流畅度 ${qualityBreakdown.fluency ?? '-'}）${reasons}`);
+  }
+  if (issues.length > 0) notes.push(`校验问题: ${issues.join(', ')}`);
+  if (glossaryViolations.length > 0) {
+    const terms = glossaryViolations.map((violation) => (
+      `${violation.field ? `${violation.field} ` : ''}${violation.sourceTerm} → ${violation.expected}`
+    ));
+    notes.push(`术语未遵循: ${terms.join(', ')}`);
+  }
+
+  const state = {
+    isManualReview: flagged,
+    reviewStatus: flagged || settings.reviewRequired ? REVIEW_STATUS.PENDING : null,
+    reviewNotes: notes.length > 0 ? notes.join('；') : null,
+    reviewedAt: null,
+    reviewedBy: null
+  };
+  if (Number.isFinite(qualityScore)) {
+    state.qualityScore = qualityScore;
+  }
+  if (qualityBreakdown) {
+    state.qualityBreakdown = qualityBreakdown;
+  }
+  return state;
+}
+
+/**
+ * 为即将保存的译文计算审核字段（saveTranslation / 导入时调用）
+ * @param {Object} params
+ * @param {string} params.shopId
+ * @param {string} params.language
+ * @param {Array<{ sourceText, translatedText }>} params.pairs
+ * @param {string} [params.sourceLang] 源语言（深度评估回译目标），缺省取店铺主语言
+ * @param {Array} [params.glossaryViolations] 翻译时检出的术语表违规
+ */
+export async function assessTranslationReview({ shopId, language, pairs, sourceLang, glossaryViolations = [] }) {
+  try {
+    const settings = await getReviewSettings(shopId);
+    const sourceLanguage = sourceLang || await getShopSourceLanguage(shopId);
+    const { qualityScore, issues } = scoreTranslationPairs(pairs, language, sourceLanguage);
+
+    if (settings.deepQualityMode === DEEP_QUALITY_MODES.OFF) {
+      return resolveReviewState({ qualityScore, issues, settings, glossaryViolations });
+    }
+
+    const qualityBreakdown = await assessDeepQuality({
+      pairs,
+      targetLang: language,
+      sourceLang: sourceLanguage,
+      shopId,
+      mode: settings.deepQualityMode,
+      sampleSize: settings.deepQualitySampleSize
+    });
+    return resolveReviewState({
+      qualityScore: blendQualityScore(qualityScore, qualityBreakdown?.score),
+      issues,
+      settings,
+      qualityBreakdown,
+      glossaryViolations
+    });
+  } catch (error) {
+    logger.warn('[TranslationReview] 审核评估失败，按需审核处理', { shopId, language, error: error.message });
+    return { isManualReview: true, reviewStatus: REVIEW_STATUS.PENDING, reviewNotes: `审核评估失败: ${error.message}` };
+  }
+}
+
+/**
+ * 按资源源字段与译文字段配对后评估（saveTranslation 调用）
+ * @param {string} resourceId
+ * @param {string} shopId
+ * @param {string} language
+ * @param {Object} translationData Translation 字段
+ * @param {{ glossaryViolations?: Array }} [options]
+ */
+export async function assessSavedTranslation(resourceId, shopId, language, translationData, options = {}) {
+  const resource = await prisma.resource.findUnique({
+    where: { id: resourceId },
+    select: {
+      resourceType: true,
+      title: true,
+      description: true,
+      descriptionHtml: true,
+      summary: true,
+      label: true,
+      seoTitle: true,
+      seoDescription: true
+    }
+  });
+
+  return assessTranslationReview({
+    shopId,
+    language,
+    pairs: resource ? extractMemorySegments(resource, translationData) : [],
+    glossaryViolations: options.glossaryViolations || []
+  });
+}
+
+/**
+ * 生成发布查询的审核过滤条件
+ * 审核模式下只发布已通过的译文；非审核模式下同样排除被驳回的译文
+ * @param {{ reviewRequired: boolean }} settings
+ * @returns {Object} 追加到 translation where 的条件
+ */
+export function buildReviewSyncFilter(settings) {
+  if (settings?.reviewRequired) {
+    return { reviewStatus: REVIEW_STATUS.APPROVED };
+  }
+  // Prisma 的 not 不匹配 NULL，未进入审核的译文需显式包含
+  return { OR: [{ reviewStatus: null }, { reviewStatus: { not: REVIEW_STATUS.REJECTED } }] };
+}
+
+/**
+ * 判断单条译文是否满足发布的审核条件（与 buildReviewSyncFilter 语义一致）
+ * 供不经过查询、直接发布指定译文的路径使用
+ * @param {{ reviewStatus?: string|null }} translation
+ * @param {{ reviewRequired: boolean }} settings
+ * @returns {boolean}
+ */
+export function isReviewPublishable(translation, settings) {
+  if (settings?.reviewRequired) {
+    return translation?.reviewStatus === REVIEW_STATUS.APPROVED;
+  }
+  return translation?.reviewStatus !== REVIEW_STATUS.REJECTED;
+}
+
+/**
+ * 审核队列列表
+ * @param {string} shopId
+ * @param {Object} [options]
+ * @param {string} [options.language]
+ * @param {string} [options.resourceType]
+ * @param {string} [options.status] pending | rejected | approved
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ */
+export async function listReviewQueue(shopId, options = {}) {
+  const { language, resourceType, status = REVIEW_STATUS.PENDING, limit = 50, offset = 0 } = options;
+
+  if (!Object.values(REVIEW_STATUS).includes(status)) {
+    throw new ValidationError(`未知的审核状态: ${status}`, 'status');
+  }
+
+  const where = { shopId, reviewStatus: status };
+  if (language) where.language = language;
+  if (resourceType) {
+    where.resource = { resourceType: { in: [resourceType, resourceType.toLowerCase(), resourceType.toUpperCase()] } };
+  }
+
+  const [items, total] = await Promise.all([
+    prisma.translation.findMany({
+      where,
+      include: {
+        resource: {
+          select: {
+            id: true,
+            resourceType: true,
+            title: true,
+            description: true,
+            descriptionHtml: true,
+            handle: true,
+            summary: true,
+            label: true,
+            seoTitle: true,
+            seoDescription: true
+          }
+        }
+      },
+      orderBy: [{ qualityScore: 'asc' }, { updatedAt: 'desc' }],
+      take: limit,
+      skip: offset
+    }),
+    prisma.translation.count({ where })
+  ]);
+
+  return { items, total };
+}
+
+/**
+ * 按语言 / 资源类型统计待审核数量
+ * @param {string} shopId
+ */
+export async function getReviewQueueSummary(shopId) {
+  const rows = await prisma.translation.findMany({
+    where: { shopId, reviewStatus: REVIEW_STATUS.PENDING },
+    select: { language: true, resource: { select: { resourceType: true } } }
+  });
+
+  const byLanguage = {};
+  const byResourceType = {};
+  for (const row of rows) {
+    const type = String(row.resource?.resourceType || 'unknown').toUpperCase();
+    byLanguage[row.language] = (byLanguage[row.language] || 0) + 1;
+    byResourceType[type] = (byResourceType[type] || 0) + 1;
+  }
+
+  return { total: rows.length, byLanguage, byResourceType };
+}
+
+async function loadShopTranslation(shopId, translationId) {
+  const translation = await prisma.translation.findFirst({
+    where: { id: translationId, shopId }
+  });
+  if (!translation) {
+    throw new ValidationError(`翻译记录不存在: ${translationId}`, 'translationId');
+  }
+  return translation;
+}
+
+function pickEditableFields(edits = {}) {
+  const data = {};
+  for (const field of REVIEW_EDITABLE_FIELDS) {
+    if (typeof edits[field] === 'string') {
+      data[field] = edits[field];
+    }
+  }
+  return data;
+}
+
+async function applyReviewDecision(shopId, translationId, decision, { reviewer, notes, edits } = {}) {
+  const translation = await loadShopTranslation(shopId, translationId);
+  const editedFields = pickEditableFields(edits);
+
+  const updated = await prisma.translation.update({
+    where: { id: translation.id },
+    data: {
+      ...editedFields,
+      reviewStatus: decision,
+      isManualReview: decision !== REVIEW_STATUS.APPROVED,
+      reviewNotes: notes ?? translation.reviewNotes,
+      reviewedAt: new Date(),
+      reviewedBy: reviewer || null,
+      // 通过（或修改后通过）的译文重新进入发布队列
+      ...(decision === REVIEW_STATUS.APPROVED ? { syncStatus: 'pending', syncError: null } : {})
+    }
+  });
+
+  if (Object.keys(editedFields).length > 0) {
+    await recordTranslationRevision(updated, { source: REVISION_SOURCE.MANUAL, actor: reviewer || 'review', previous: translation });
+    await refreshDerivedTranslations(updated);
+  } else {
+    // 审核结果决定译文能否发布：通过后生成市场译文，驳回后撤回
+    await refreshMarketOverrides(shopId, translation.language, [translation.resourceId]);
+  }
+  // 只有通过审核的译文（含在线修改）写入翻译记忆
+  if (decision === REVIEW_STATUS.APPROVED) {
+    await recordTranslationMemoryForResource(translation.resourceId, shopId, translation.language, updated, 'review');
+  }
+  invalidateCoverageCache(shopId, { language: translation.language, scope: 'resource', scopeId: translation.resourceId });
+
+  logger.info('[TranslationReview] 审核决定已保存', {
+    shopId,
+    translationId,
+    decision,
+    reviewer,
+    editedFields: Object.keys(editedFields)
+  });
+
+  return updated;
+}
+
+/**
+ * 通过审核（可附带在线修改）
+ */
+export async function approveTranslation(shopId, translationId, options = {}) {
+  return applyReviewDecision(shopId, translationId, REVIEW_STATUS.APPROVED, options);
+}
+
+/**
+ * 驳回审核：必须填写备注，译文不会被发布
+ */
+export async function rejectTranslation(shopId, translationId, options = {}) {
+  if (!options.notes || !String(options.notes).trim()) {
+    throw new ValidationError('驳回时必须填写审核备注', 'notes');
+  }
+  return applyReviewDecision(shopId, translationId, REVIEW_STATUS.REJECTED, options);
+}
+
+/**
+ * 在线编辑译文但暂不做审核决定（保持待审核）
+ */
+export async function updateTranslationForReview(shopId, translationId, edits = {}, { reviewer, notes } = {}) {
+  const translation = await loadShopTranslation(shopId, translationId);
+  const editedFields = pickEditableFields(edits);
+  if (Object.keys(editedFields).length === 0) {
+    throw new ValidationError('没有可保存的译文字段', 'edits');
+  }
+
+  const updated = await prisma.translation.update({
+    where: { id: translation.id },
+    data: {
+      ...editedFields,
+      reviewStatus: REVIEW_STATUS.PENDING,
+      reviewNotes: notes ?? translation.reviewNotes,
+      reviewedBy: reviewer || translation.reviewedBy,
+      syncStatus: 'pending'
+    }
+  });
+
+  // 仍待审核，通过后再写入翻译记忆
+  await recordTranslationRevision(updated, { source: REVISION_SOURCE.MANUAL, actor: reviewer || 'review', previous: translation });
+  await refreshDerivedTranslations(updated);
+  return updated;
+}
@@ -0,0 +1,294 @@
+/**
+ * 译文修订历史服务
+ * - 每次译文内容变化（模型翻译 / 人工编辑 / 导入 / 翻译会话 / 回滚）保存一份快照
+ * - 启用版本记录前已存在的译文，首次被覆盖时先把旧内容记为基线版本
+ * - 任意两个版本之间按字段对比
+ * - 回滚：把译文恢复到指定版本并通过 syncResourceTranslations 重新发布（同样受审核条件约束）
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { invalidateCoverageCache } from './language-coverage.server.js';
+import { refreshDerivedTranslations } from './derived-translations.server.js';
+
+export const REVISION_SOURCE = {
+  MODEL: 'model',
+  MANUAL: 'manual',
+  IMPORT: 'import',
+  SESSION: 'session',
+  ROLLBACK: 'rollback',
+  INHERIT: 'inherit',
+  BASELINE: 'baseline'
+};
+
+// 参与版本对比与回滚的译文字段
+export const REVISION_FIELDS = [
+  'titleTrans',
+  'descTrans',
+  'handleTrans',
+  'summaryTrans',
+  'labelTrans',
+  'seoTitleTrans',
+  'seoDescTrans',
+  'translationFields'
+];
+
+const DEFAULT_LIST_LIMIT = 50;
+
+/**
+ * 稳定序列化（对象键排序），用于比较 JSON 字段
+ * @private
+ */
+function stableStringify(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+function toDisplayValue(value) {
+  if (value == null) return null;
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+/**
+ * 从 Translation 行提取快照（译文字段 + 译文依据的源 digest）
+ * @param {Object} translation
+ * @returns {Object}
+ */
+export function buildRevisionSnapshot(translation) {
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = translation?.[field] ?? null;
+  }
+  snapshot.sourceDigests = translation?.sourceDigests ?? null;
+  return snapshot;
+}
+
+/**
+ * 对比两个快照，translationFields 按顶层键展开为 translationFields.<key>
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ field: string, before: string|null, after: string|null }>}
+ */
+export function diffRevisionSnapshots(before, after) {
+  const changes = [];
+
+  for (const field of REVISION_FIELDS) {
+    if (field === 'translationFields') continue;
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+    if (previous !== next) {
+      changes.push({ field, before: toDisplayValue(previous), after: toDisplayValue(next) });
+    }
+  }
+
+  const previousFields = before?.translationFields || {};
+  const nextFields = after?.translationFields || {};
+  const keys = [...new Set([...Object.keys(previousFields), ...Object.keys(nextFields)])].sort();
+  for (const key of keys) {
+    if (stableStringify(previousFields[key]) !== stableStringify(nextFields[key])) {
+      changes.push({
+        field: `translationFields.${key}`,
+        before: toDisplayValue(previousFields[key]),
+        after: toDisplayValue(nextFields[key])
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * 记录一次译文修订；内容与最近一个版本相同时不重复记录
+ * 记录失败只告警，不影响译文保存
+ * @param {Object} translation - 保存后的 Translation 行
+ * @param {Object} options
+ * @param {string} options.source - REVISION_SOURCE
+ * @param {string} [options.sessionId]
+ * @param {string} [options.actor]
+ * @param {string} [options.rolledBackFrom]
+ * @param {Object} [options.previous] - 覆盖前的 Translation 行；该译文还没有任何版本时先记为基线
+ * @returns {Promise<Object|null>} 新建的版本，无变化或失败时为 null
+ */
+export async function recordTranslationRevision(translation, { source, sessionId = null, actor = null, rolledBackFrom = null, previous = null } = {}) {
+  if (!translation?.id) return null;
+
+  try {
+    const snapshot = buildRevisionSnapshot(translation);
+    let latest = await prisma.translationRevision.findFirst({
+      where: { translationId: translation.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!latest && previous && diffRevisionSnapshots(buildRevisionSnapshot(previous), snapshot).length > 0) {
+      latest = await prisma.translationRevision.create({
+        data: {
+          translationId: translation.id,
+          shopId: translation.shopId,
+          resourceId: translation.resourceId,
+          language: translation.language,
+          source: REVISION_SOURCE.BASELINE,
+          sessionId: previous.translationSessionId || null,
+          snapshot: buildRevisionSnapshot(previous),
+          changedFields: [],
+          // 以旧译文的最后修改时间排序，保证排在本次修改之前
+          createdAt: previous.updatedAt || new Date(Date.now() - 1)
+        }
+      });
+    }
+    const changedFields = diffRevisionSnapshots(latest?.snapshot || null, snapshot).map((change) => change.field);
+
+    if (latest && changedFields.length === 0 && !rolledBackFrom) {
+      return null;
+    }
+
+    return await prisma.translationRevision.create({
+      data: {
+        translationId: translation.id,
+        shopId: translation.shopId,
+        resourceId: translation.resourceId,
+        language: translation.language,
+        source: source || REVISION_SOURCE.MODEL,
+        sessionId: sessionId || translation.translationSessionId || null,
+        actor,
+        snapshot,
+        changedFields,
+        rolledBackFrom
+      }
+    });
+  } catch (error) {
+    logger.warn('[TranslationRevision] 记录译文版本失败', {
+      translationId: translation.id,
+      source,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+function summarizeRevision(revision) {
+  const { snapshot, ...rest } = revision;
+  return rest;
+}
+
+/**
+ * 列出资源某语言的译文版本（新 → 旧，不含快照内容）
+ * @param {string} shopId
+ * @param {string} resourceId - Resource.id
+ * @param {string} language
+ * @param {Object} options
+ * @param {number} [options.limit]
+ */
+export async function listTranslationRevisions(shopId, resourceId, language, { limit = DEFAULT_LIST_LIMIT } = {}) {
+  if (!resourceId || !language) {
+    throw new ValidationError('缺少资源或目标语言', 'resourceId');
+  }
+
+  const revisions = await prisma.translationRevision.findMany({
+    where: { shopId, resourceId, language },
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+  return revisions.map(summarizeRevision);
+}
+
+async function loadRevision(shopId, revisionId) {
+  const revision = await prisma.translationRevision.findFirst({
+    where: { id: revisionId, shopId }
+  });
+  if (!revision) {
+    throw new ValidationError(`译文版本不存在: ${revisionId}`, 'revisionId');
+  }
+  return revision;
+}
+
+/**
+ * 对比同一译文的两个版本
+ * @param {string} shopId
+ * @param {string} fromId - 旧版本
+ * @param {string} toId - 新版本
+ * @returns {Promise<{ from: Object, to: Object, changes: Array }>}
+ */
+export async function compareTranslationRevisions(shopId, fromId, toId) {
+  const [from, to] = await Promise.all([loadRevision(shopId, fromId), loadRevision(shopId, toId)]);
+  if (from.translationId !== to.translationId) {
+    throw new ValidationError('只能对比同一资源同一语言的译文版本', 'revisionId');
+  }
+
+  return {
+    from: summarizeRevision(from),
+    to: summarizeRevision(to),
+    changes: diffRevisionSnapshots(from.snapshot, to.snapshot)
+  };
+}
+
+/**
+ * 回滚到指定版本并重新同步到 Shopify
+ * 回滚不改变审核状态：审核模式下未通过（或已被驳回）的译文只恢复内容，不直接发布
+ * @param {Object|null} admin - Shopify Admin API客户端（为空时只标记待同步）
+ * @param {string} shopId
+ * @param {string} revisionId
+ * @param {Object} options
+ * @param {string} [options.actor]
+ * @param {boolean} [options.sync=true]
+ * @returns {Promise<{ translation: Object, revision: Object|null, sync: Object|null, reviewBlocked: boolean }>}
+ */
+export async function rollbackToRevision(admin, shopId, revisionId, { actor = null, sync = true } = {}) {
+  const target = await loadRevision(shopId, revisionId);
+  const snapshot = target.snapshot || {};
+
+  const data = {};
+  for (const field of REVISION_FIELDS) {
+    data[field] = snapshot[field] ?? null;
+  }
+  // 可空 Json 字段需用 DbNull 清空
+  data.translationFields = snapshot.translationFields ?? Prisma.DbNull;
+  data.sourceDigests = snapshot.sourceDigests ?? Prisma.DbNull;
+
+  const translation = await prisma.translation.update({
+    where: { id: target.translationId },
+    data: {
+      ...data,
+      // 回滚后的内容只归属目标版本的翻译会话，避免被算作当前会话的产出
+      translationSessionId: target.source === REVISION_SOURCE.SESSION ? target.sessionId : null,
+      status: 'completed',
+      syncStatus: 'pending',
+      syncError: null
+    },
+    include: { resource: true }
+  });
+
+  const revision = await recordTranslationRevision(translation, {
+    source: REVISION_SOURCE.ROLLBACK,
+    actor,
+    rolledBackFrom: target.id
+  });
+  invalidateCoverageCache(shopId, { language: translation.language, scope: 'resource', scopeId: translation.resourceId });
+  await refreshDerivedTranslations(translation);
+
+  let syncResult = null;
+  let reviewBlocked = false;
+  if (sync && admin) {
+    const { getReviewSettings, isReviewPublishable } = await import('./translation-review.server.js');
+    reviewBlocked = !isReviewPublishable(translation, await getReviewSettings(shopId));
+    if (!reviewBlocked) {
+      const { syncResourceTranslations } = await import('./sync-to-shopify.server.js');
+      const { resource, ...translationRow } = translation;
+      syncResult = await syncResourceTranslations(admin, { resource, translations: [{ ...translationRow, resource }] });
+    }
+  }
+
+  logger.info('[TranslationRevision] 译文已回滚', {
+    shopId,
+    translationId: translation.id,
+    revisionId: target.id,
+    actor,
+    synced: syncResult ? syncResult.success.length > 0 : false,
+    reviewBlocked
+  });
+
+  return { translation, revision, sync: syncResult, reviewBlocked };
+}
@@ -0,0 +1,601 @@
+/**
+ * 定时翻译计划服务
+ * - 每个店铺可配置多个 cron 计划（分 时 日 月 周），按时区计算下一次运行时间
+ * - 由 scripts/translation-queue-worker.js 中的 TranslationScheduleRunner 定期触发
+ * - 每次运行：检查可用额度 → 刷新无 webhook 的资源 → 增量扫描 → 增量翻译 → 发布到 Shopify，并写入运行记录
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { creditManager } from './credit-manager.server.js';
+import { performIncrementalScan, performIncrementalTranslation } from './incremental-translation.server.js';
+import { syncTranslationsToShopify } from './sync-to-shopify.server.js';
+import { createAdminForShop } from './billing-scheduler.server.js';
+import { saveResources } from './database.server.js';
+import { fetchResourcesByType, fetchShopInfo, RESOURCE_TYPES } from './shopify-graphql.server.js';
+import { getLocaleInheritance } from './locale-inheritance.server.js';
+
+export const SCHEDULE_RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+export const SCHEDULE_TRIGGER = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// 查找下一次运行时间的最大范围（分钟），覆盖闰年 2 月 29 日这类稀疏表达式
+const MAX_LOOKAHEAD_MINUTES = 366 * 24 * 60 * 5;
+const PUBLISH_BATCH_LIMIT = 250;
+
+// 菜单与店铺政策没有 webhook 主题，源内容变更只能在定时运行时从 Shopify 重新拉取
+const WEBHOOKLESS_RESOURCE_TYPES = [RESOURCE_TYPES.MENU, RESOURCE_TYPES.LINK, RESOURCE_TYPES.SHOP_POLICY];
+
+function parseCronField(expression, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new ValidationError(`cron 字段 ${name} 的步长无效: ${part}`, 'cron');
+    }
+
+    let start = min;
+    let end = max;
+    if (rangePart !== '*') {
+      const [from, to] = rangePart.split('-');
+      start = Number(from);
+      end = to === undefined ? (stepPart === undefined ? start : max) : Number(to);
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new ValidationError(`cron 字段 ${name} 超出范围 ${min}-${max}: ${part}`, 'cron');
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * 解析 5 段 cron 表达式
+ * 支持 *、数字、范围（1-5）、列表（1,3）和步长（*\/15、0-30/10），周日可写作 0 或 7
+ * @param {string} expression
+ * @returns {{ minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>,
+ *   dayOfWeek: Set<number>, dayOfMonthRestricted: boolean, dayOfWeekRestricted: boolean }}
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length || !parts[0]) {
+    throw new ValidationError('cron 表达式必须包含 5 段：分 时 日 月 周', 'cron');
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseCronField(parts[index], field);
+  });
+
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.delete(7);
+    parsed.dayOfWeek.add(0);
+  }
+
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    dayOfMonth: Number(parts.day),
+    month: Number(parts.month),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * 校验时区名称
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 计算 from 之后（不含）的下一次运行时间
+ * @param {string} cron - 5 段 cron 表达式
+ * @param {Date} [from]
+ * @param {string} [timezone] - IANA 时区，默认 UTC
+ * @returns {Date}
+ */
+export function getNextRunAt(cron, from = new Date(), timezone = 'UTC') {
+  const spec = typeof cron === 'string' ? parseCron(cron) : cron;
+  const candidate = new Date(from.getTime());
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  for (let checked = 0; checked < MAX_LOOKAHEAD_MINUTES;) {
+    const parts = getZonedParts(candidate, timezone);
+    const dayMatches = spec.dayOfMonthRestricted && spec.dayOfWeekRestricted
+      ? spec.dayOfMonth.has(parts.dayOfMonth) || spec.dayOfWeek.has(parts.dayOfWeek)
+      : spec.dayOfMonth.has(parts.dayOfMonth) && spec.dayOfWeek.has(parts.dayOfWeek);
+
+    // 不匹配时按当地时间向后跳，避免逐分钟遍历；每次跳转后重新读取当地时间
+    // 夏令时切换当天只有 23 / 25 小时，日期不匹配时先跳到当地 22 点附近（偏移不超过 2 小时，不会越过午夜），
+    // 之后逐小时前进到次日零点
+    let skip = 1;
+    if (!spec.month.has(parts.month) || !dayMatches) {
+      skip = Math.max(60 - parts.minute, (22 - parts.hour) * 60 - parts.minute);
+    } else if (!spec.hour.has(parts.hour)) {
+      skip = 60 - parts.minute;
+    } else if (spec.minute.has(parts.minute)) {
+      return candidate;
+    }
+
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + skip);
+    checked += skip;
+  }
+
+  throw new ValidationError(`cron 表达式在可预见时间内不会触发: ${cron}`, 'cron');
+}
+
+function normalizeList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map((item) => String(item).trim()).filter(Boolean))];
+}
+
+/**
+ * 校验并规范化计划输入
+ * @param {Object} input
+ * @param {{ partial?: boolean }} [options] - partial=true 时只校验提供的字段（更新）
+ * @returns {Object} Prisma data
+ */
+export function normalizeScheduleInput(input = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      throw new ValidationError('计划名称不能为空', 'name');
+    }
+    data.name = name;
+  }
+
+  if (!partial || input.cron !== undefined) {
+    data.cron = String(input.cron || '').trim().split(/\s+/).join(' ');
+    parseCron(data.cron);
+  }
+
+  if (!partial || input.timezone !== undefined) {
+    data.timezone = String(input.timezone || 'UTC').trim();
+    if (!isValidTimezone(data.timezone)) {
+      throw new ValidationError(`无效的时区: ${data.timezone}`, 'timezone');
+    }
+  }
+
+  if (!partial || input.languages !== undefined) {
+    data.languages = normalizeList(input.languages);
+    if (data.languages.length === 0) {
+      throw new ValidationError('至少需要一个目标语言', 'languages');
+    }
+  }
+
+  if (!partial || input.resourceTypes !== undefined) {
+    // 空数组表示全部资源类型
+    data.resourceTypes = normalizeList(input.resourceTypes).filter((type) => type !== 'all');
+  }
+
+  if (input.autoPublish !== undefined) {
+    data.autoPublish = input.autoPublish === true || input.autoPublish === 'true';
+  }
+
+  if (input.minCredits !== undefined) {
+    const minCredits = Number(input.minCredits || 0);
+    if (!Number.isInteger(minCredits) || minCredits < 0) {
+      throw new ValidationError('最低额度必须是非负整数', 'minCredits');
+    }
+    data.minCredits = minCredits;
+  }
+
+  if (input.enabled !== undefined) {
+    data.enabled = input.enabled === true || input.enabled === 'true';
+  }
+
+  return data;
+}
+
+async function findScheduleForShop(shopId, scheduleId) {
+  const schedule = await prisma.translationSchedule.findFirst({
+    where: { id: scheduleId, shopId }
+  });
+  if (!schedule) {
+    throw new ValidationError('计划不存在或不属于当前店铺', 'scheduleId');
+  }
+  return schedule;
+}
+
+/**
+ * 列出店铺的定时计划
+ * @param {string} shopId
+ */
+export async function listSchedules(shopId) {
+  return prisma.translationSchedule.findMany({
+    where: { shopId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+/**
+ * 创建定时计划
+ * @param {string} shopId
+ * @param {Object} input - name、cron、timezone、languages、resourceTypes、autoPublish、minCredits、enabled
+ * @param {string} [createdBy]
+ */
+export async function createSchedule(shopId, input, createdBy = null) {
+  const data = normalizeScheduleInput(input);
+  const enabled = data.enabled ?? true;
+
+  const schedule = await prisma.translationSchedule.create({
+    data: {
+      ...data,
+      shopId,
+      createdBy,
+      nextRunAt: enabled ? getNextRunAt(data.cron, new Date(), data.timezone) : null
+    }
+  });
+
+  logger.info('[TranslationScheduler] 创建定时计划', { shopId, scheduleId: schedule.id, cron: schedule.cron });
+  return schedule;
+}
+
+/**
+ * 更新定时计划（修改 cron / 时区 / 启用状态时重新计算下一次运行时间）
+ * @param {string} shopId
+ * @param {string} scheduleId
+ * @param {Object} input
+ */
+export async function updateSchedule(shopId, scheduleId, input) {
+  const existing = await findScheduleForShop(shopId, scheduleId);
+  const data = normalizeScheduleInput(input, { partial: true });
+
+  const merged = { ...existing, ...data };
+  data.nextRunAt = merged.enabled ? getNextRunAt(merged.cron, new Date(), merged.timezone) : null;
+
+  const schedule = await prisma.translationSchedule.update({
+    where: { id: existing.id },
+    data
+  });
+
+  logger.info('[TranslationScheduler] 更新定时计划', { shopId, scheduleId, fields: Object.keys(data) });
+  return schedule;
+}
+
+/**
+ * 删除定时计划（运行记录随之级联删除）
+ */
+export async function deleteSchedule(shopId, scheduleId) {
+  const existing = await findScheduleForShop(shopId, scheduleId);
+  await prisma.translationSchedule.delete({ where: { id: existing.id } });
+  logger.info('[TranslationScheduler] 删除定时计划', { shopId, scheduleId });
+  return { id: existing.id };
+}
+
+/**
+ * 查询运行记录
+ * @param {string} shopId
+ * @param {{ scheduleId?: string, limit?: number }} options
+ */
+export async function listScheduleRuns(shopId, { scheduleId, limit = 50 } = {}) {
+  return prisma.translationScheduleRun.findMany({
+    where: {
+      shopId,
+      ...(scheduleId && { scheduleId })
+    },
+    include: { schedule: { select: { id: true, name: true } } },
+    orderBy: { startedAt: 'desc' },
+    take: limit
+  });
+}
+
+async function resolveAdmin(shopId) {
+  const shop = await prisma.shop.findUnique({ where: { id: shopId } });
+  return createAdminForShop(shop);
+}
+
+function getWebhooklessResourceTypes(schedule) {
+  if (!Array.isArray(schedule.resourceTypes) || schedule.resourceTypes.length === 0) {
+    return WEBHOOKLESS_RESOURCE_TYPES;
+  }
+  const selected = new Set(schedule.resourceTypes.map((type) => String(type).toUpperCase()));
+  return WEBHOOKLESS_RESOURCE_TYPES.filter((type) => selected.has(type));
+}
+
+/**
+ * 从 Shopify 重新拉取菜单 / 链接 / 店铺政策的源内容
+ * 写入后由增量扫描按 digest 识别变更字段；单个类型失败不影响本次运行
+ * @returns {Promise<Object>} 资源类型 -> 刷新数量（失败为 null）
+ */
+async function refreshWebhooklessResources(shopId, admin, resourceTypes) {
+  const refreshed = {};
+  if (!admin || resourceTypes.length === 0) return refreshed;
+
+  for (const resourceType of resourceTypes) {
+    try {
+      const resources = resourceType === RESOURCE_TYPES.SHOP_POLICY
+        ? await fetchShopInfo(admin, resourceType)
+        : await fetchResourcesByType(admin, resourceType);
+      await saveResources(shopId, resources);
+      refreshed[resourceType] = resources.length;
+    } catch (error) {
+      refreshed[resourceType] = null;
+      logger.warn('[TranslationScheduler] 刷新源内容失败', { shopId, resourceType, error: error.message });
+    }
+  }
+  return refreshed;
+}
+
+async function scanLanguage(schedule, language) {
+  const resourceTypes = Array.isArray(schedule.resourceTypes) && schedule.resourceTypes.length > 0
+    ? schedule.resourceTypes
+    : [null];
+
+  const result = { scanned: 0, pendingFields: 0, resourceIds: [] };
+  for (const resourceType of resourceTypes) {
+    const { summary, details } = await performIncrementalScan({
+      shopId: schedule.shopId,
+      language,
+      resourceType,
+      includeDetails: true,
+      limit: 0
+    });
+    result.scanned += summary.totalResources;
+    result.pendingFields += summary.totalUntranslatedFields;
+    result.resourceIds.push(...(details || []).map((item) => item.resourceId));
+  }
+  return result;
+}
+
+/**
+ * 执行一次定时计划并写入运行记录
+ * @param {Object} schedule - TranslationSchedule
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - schedule / manual
+ * @param {Object} [options.admin] - Admin API 客户端；缺省时使用店铺离线 token
+ * @returns {Promise<Object>} TranslationScheduleRun
+ */
+export async function executeSchedule(schedule, { trigger = SCHEDULE_TRIGGER.SCHEDULE, admin = null } = {}) {
+  const { shopId } = schedule;
+  const run = await prisma.translationScheduleRun.create({
+    data: { scheduleId: schedule.id, shopId, trigger, status: SCHEDULE_RUN_STATUS.RUNNING }
+  });
+
+  const totals = { scanned: 0, translated: 0, skipped: 0, published: 0, failed: 0 };
+  const languages = [];
+  let refreshed = {};
+  let creditsAvailable = null;
+  let status = SCHEDULE_RUN_STATUS.COMPLETED;
+  let error = null;
+
+  try {
+    const credits = await creditManager.getAvailableCredits(shopId);
+    creditsAvailable = credits.available;
+    const requiredCredits = Math.max(1, schedule.minCredits || 0);
+    const refreshTypes = getWebhooklessResourceTypes(schedule);
+    const shopAdmin = schedule.autoPublish || refreshTypes.length > 0
+      ? (admin || await resolveAdmin(shopId))
+      : null;
+    const publisher = schedule.autoPublish ? shopAdmin : null;
+    refreshed = await refreshWebhooklessResources(shopId, shopAdmin, refreshTypes);
+
+    for (const language of Array.isArray(schedule.languages) ? schedule.languages : []) {
+      const entry = { language, scanned: 0, pendingFields: 0, translated: 0, locked: 0, failed: 0, published: 0 };
+      languages.push(entry);
+
+      // 继承父语言的地区变体随父语言译文派生，不扫描、不翻译，只发布已派生的译文
+      const inheritance = await getLocaleInheritance(shopId, language);
+      if (inheritance) {
+        entry.inheritedFrom = inheritance.parentCode;
+      }
+
+      const scan = inheritance
+        ? { scanned: 0, pendingFields: 0, resourceIds: [] }
+        : await scanLanguage(schedule, language);
+      entry.scanned = scan.scanned;
+      entry.pendingFields = scan.pendingFields;
+      totals.scanned += scan.scanned;
+
+      if (scan.resourceIds.length > 0) {
+        // 每个语言翻译前重新检查额度，前一个语言可能已耗尽额度
+        const available = languages.length === 1
+          ? creditsAvailable
+          : (await creditManager.getAvailableCredits(shopId)).available;
+        if (available < requiredCredits) {
+          entry.skippedReason = 'insufficient_credits';
+          totals.skipped += scan.pendingFields;
+          continue;
+        }
+
+        const summary = await performIncrementalTranslation(shopId, language, scan.resourceIds);
+        entry.translated = summary.fieldsTranslated;
+        entry.locked = summary.fieldsLocked || 0;
+        entry.failed = summary.failureCount;
+        totals.translated += summary.fieldsTranslated;
+        totals.skipped += entry.locked;
+        totals.failed += summary.failureCount;
+      }
+
+      if (!schedule.autoPublish) continue;
+      if (!publisher) {
+        // 无可用凭证时译文保持 pending，等待下次发布
+        entry.publishSkippedReason = 'no_admin';
+        continue;
+      }
+      const sync = await syncTranslationsToShopify(publisher, shopId, { language, limit: PUBLISH_BATCH_LIMIT });
+      entry.published = sync.successCount;
+      totals.published += sync.successCount;
+      totals.failed += sync.failedCount;
+    }
+
+    const skippedLanguages = languages.filter((entry) => entry.skippedReason);
+    if (skippedLanguages.length > 0 && skippedLanguages.length === languages.length) {
+      status = SCHEDULE_RUN_STATUS.SKIPPED;
+    } else if (skippedLanguages.length > 0 || totals.failed > 0) {
+      status = SCHEDULE_RUN_STATUS.PARTIAL;
+    }
+  } catch (runError) {
+    status = SCHEDULE_RUN_STATUS.FAILED;
+    error = runError.message;
+    logger.error('[TranslationScheduler] 定时计划执行失败', { shopId, scheduleId: schedule.id, error: runError.message });
+  }
+
+  const finished = await prisma.translationScheduleRun.update({
+    where: { id: run.id },
+    data: {
+      ...totals,
+      status,
+      error,
+      creditsAvailable,
+      details: { languages, refreshed },
+      finishedAt: new Date()
+    }
+  });
+
+  logger.info('[TranslationScheduler] 定时计划运行结束', { shopId, scheduleId: schedule.id, status, ...totals });
+  return finished;
+}
+
+/**
+ * 立即运行一次计划（不影响下一次定时时间）
+ */
+export async function runScheduleNow(shopId, scheduleId, { admin = null } = {}) {
+  const schedule = await findScheduleForShop(shopId, scheduleId);
+  return executeSchedule(schedule, { trigger: SCHEDULE_TRIGGER.MANUAL, admin });
+}
+
+/**
+ * 执行所有到期的计划
+ * 先以 nextRunAt 作为乐观锁推进下一次运行时间，多个 worker 同时扫描时同一计划只会执行一次
+ * @param {{ now?: Date, shopId?: string }} [options]
+ * @returns {Promise<Object[]>} 本次执行的运行记录
+ */
+export async function runDueSchedules({ now = new Date(), shopId } = {}) {
+  const due = await prisma.translationSchedule.findMany({
+    where: {
+      enabled: true,
+      nextRunAt: { lte: now },
+      ...(shopId && { shopId })
+    },
+    orderBy: { nextRunAt: 'asc' }
+  });
+
+  const runs = [];
+  for (const schedule of due) {
+    let nextRunAt = null;
+    try {
+      nextRunAt = getNextRunAt(schedule.cron, now, schedule.timezone);
+    } catch (error) {
+      logger.warn('[TranslationScheduler] cron 表达式无效，停用计划', { scheduleId: schedule.id, error: error.message });
+    }
+
+    const claimed = await prisma.translationSchedule.updateMany({
+      where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt, lastRunAt: now, ...(nextRunAt ? {} : { enabled: false }) }
+    });
+    if (claimed.count === 0 || !nextRunAt) continue;
+
+    runs.push(await executeSchedule(schedule));
+  }
+
+  return runs;
+}
+
+/**
+ * Worker 内的定时触发器
+ */
+export class TranslationScheduleRunner {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs ?? 60 * 1000; // 默认每分钟检查一次
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return false;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.();
+    logger.info(`[TranslationScheduler] started, interval ${this.intervalMs}ms`);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('[TranslationScheduler] stopped');
+  }
+
+  async tick() {
+    // 上一轮仍在运行时跳过，避免长时间翻译导致重入
+    if (this.ticking) return [];
+    this.ticking = true;
+    try {
+      return await runDueSchedules();
+    } catch (error) {
+      logger.error('[TranslationScheduler] 扫描到期计划失败', { error: error.message });
+      return [];
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
@@ -1,6 +1,15 @@
 import { prisma } from '../db.server.js';
 import { captureError, TranslationError } from '../utils/error-handler.server.js';
 import { logger } from '../utils/logger.server.js';
+import { REVISION_SOURCE, rollbackToRevision } from './translation-revision.server.js';
+import { invalidateCoverageCache } from './language-coverage.server.js';
+import { removeResourceTranslations } from './shopify-graphql.server.js';
+import { creditManager } from './credit-manager.server.js';
+
+const REVERT_ACTIONS = {
+  RESTORE: 'restore', // 会话前已有译文版本：恢复到该版本
+  REMOVE: 'remove'    // 译文由会话新建：删除
+};
 
 /**
  * 翻译会话管理器 - 断点续传核心服务
@@ -57,7 +66,8 @@ export class TranslationSessionManager {
           maxRetries,
           languages: JSON.stringify(languages),
           resourceTypes: JSON.stringify(resourceTypes),
-          translationConfig: JSON.stringify(translationConfig),
+          // 指定资源时一并保存，启动会话时按此入队
+          translationConfig: JSON.stringify(resourceIds.length > 0 ? { ...translationConfig, resourceIds } : translationConfig),
           qualityThreshold,
           enableManualReview,
           status: 'PENDING',
@@ -97,13 +107,18 @@ export class TranslationSessionManager {
   }
 
   /**
-   * 启动翻译会话
+   * 启动翻译会话：首次启动时为每个目标语言创建批量翻译任务，任务携带 sessionId，
+   * 译文修订与额度消耗据此归属到会话（撤销会话依赖这两项记录）
    * @param {string} sessionId 会话ID
+   * @param {Object} [options]
+   * @param {string} [options.shopId] 校验会话归属的店铺
+   * @param {string} [options.shopDomain] 店铺域名，缺省使用 session.shopId
    * @returns {Promise<Object>} 启动结果
    */
-  async startSession(sessionId) {
+  async startSession(sessionId, { shopId, shopDomain } = {}) {
     try {
       const session = await this._getSessionById(sessionId);
+      this._assertSessionShop(session, shopId);
       
       if (session.status !== 'PENDING' && session.status !== 'PAUSED') {
         throw new TranslationError('会话状态不允许启动', 'INVALID_SESSION_STATUS', { 
@@ -111,6 +126,7 @@ export class TranslationSessionManager {
           currentStatus: session.status 
         });
       }
+      const firstStart = session.status === 'PENDING';
 
       // 更新会话状态
       const updatedSession = await prisma.translationSession.update({
@@ -129,12 +145,18 @@ export class TranslationSessionManager {
         lastActivity: Date.now()
       });
 
-      logger.info('翻译会话启动成功', { sessionId });
+      // 暂停后再次启动时任务已在队列中，不重复入队
+      const jobs = firstStart
+        ? await this._queueSessionTranslations(updatedSession, shopDomain)
+        : [];
+
+      logger.info('翻译会话启动成功', { sessionId, jobs: jobs.length });
 
       return {
         success: true,
         sessionId,
         status: 'RUNNING',
+        jobs,
         message: '翻译会话已启动'
       };
     } catch (error) {
@@ -490,6 +512,161 @@ export class TranslationSessionManager {
     }
   }
 
+  /**
+   * 预览撤销翻译会话：列出会话改动过的译文及撤销方式，不做任何写入
+   * @param {string} sessionId 会话ID
+   * @param {Object} options
+   * @param {string} [options.shopId] 校验会话归属的店铺
+   * @returns {Promise<Object>} 受影响译文、汇总与额度处理预估
+   */
+  async previewSessionRevert(sessionId, { shopId } = {}) {
+    try {
+      const session = await this._getSessionById(sessionId);
+      this._assertSessionShop(session, shopId);
+      const items = await this._collectRevertItems(session);
+      // 预览按默认选项估算：与会话后修改冲突的译文会被跳过，不退回其额度
+      const credits = await creditManager.refundSessionUsage(session.shopId, sessionId, {
+        targets: items.filter((item) => !item.conflict),
+        dryRun: true
+      });
+
+      return {
+        sessionId,
+        sessionName: session.sessionName,
+        status: session.status,
+        items,
+        summary: this._summarizeRevertItems(items),
+        credits
+      };
+    } catch (error) {
+      await captureError(error, {
+        operation: 'previewSessionRevert',
+        sessionId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销翻译会话：把会话改动过的译文恢复到会话前的版本
+   * 会话之后又被人工编辑 / 导入等修改过的译文默认跳过（includeConflicts 强制撤销）
+   * @param {string} sessionId 会话ID
+   * @param {Object|null} admin Shopify Admin API客户端
+   * @param {Object} options
+   * @param {boolean} [options.removeFromShopify=false] 先用 translationsRemove 移除该语言已发布的译文
+   * @param {boolean} [options.sync=true] 恢复的译文立即重新发布（否则标记为待同步）
+   * @param {boolean} [options.refundCredits=true] 退回本月额度；false 时只标记消耗记录
+   * @param {boolean} [options.includeConflicts=false]
+   * @param {string} [options.actor]
+   * @param {string} [options.shopId] 校验会话归属的店铺
+   * @returns {Promise<Object>} 撤销结果
+   */
+  async revertSession(sessionId, admin, options = {}) {
+    const {
+      removeFromShopify = false,
+      sync = true,
+      refundCredits = true,
+      includeConflicts = false,
+      actor = null,
+      shopId
+    } = options;
+
+    try {
+      const session = await this._getSessionById(sessionId);
+      this._assertSessionShop(session, shopId);
+
+      if (session.status === 'RUNNING' || session.status === 'REVERTED') {
+        throw new TranslationError('会话状态不允许撤销', 'INVALID_SESSION_STATUS', {
+          sessionId,
+          currentStatus: session.status
+        });
+      }
+
+      const items = await this._collectRevertItems(session);
+      const results = { restored: [], removed: [], skipped: [], failed: [] };
+
+      for (const item of items) {
+        if (item.conflict && !includeConflicts) {
+          results.skipped.push({ ...item, reason: 'edited_after_session' });
+          continue;
+        }
+
+        try {
+          if (removeFromShopify && admin && item.resourceGid) {
+            const removal = await removeResourceTranslations(admin, item.resourceGid, item.language);
+            if (!removal.success) {
+              throw new Error(removal.message);
+            }
+          }
+
+          if (item.action === REVERT_ACTIONS.RESTORE) {
+            await rollbackToRevision(admin, session.shopId, item.restoreRevisionId, { actor, sync });
+            results.restored.push(item);
+          } else {
+            await prisma.translation.delete({ where: { id: item.translationId } });
+            invalidateCoverageCache(session.shopId, { language: item.language, scope: 'resource', scopeId: item.resourceId });
+            results.removed.push(item);
+          }
+        } catch (error) {
+          logger.warn('撤销会话译文失败', {
+            sessionId,
+            translationId: item.translationId,
+            error: error.message
+          });
+          results.failed.push({ ...item, error: error.message });
+        }
+      }
+
+      const credits = await creditManager.refundSessionUsage(session.shopId, sessionId, {
+        targets: [...results.restored, ...results.removed],
+        refund: refundCredits
+      });
+      const summary = {
+        total: items.length,
+        restored: results.restored.length,
+        removed: results.removed.length,
+        skipped: results.skipped.length,
+        failed: results.failed.length
+      };
+      const previousResumeData = session.resumeData ? JSON.parse(session.resumeData) : {};
+
+      await prisma.translationSession.update({
+        where: { id: sessionId },
+        data: {
+          status: 'REVERTED',
+          resumeData: JSON.stringify({
+            ...previousResumeData,
+            revert: {
+              revertedAt: Date.now(),
+              actor,
+              removeFromShopify,
+              summary,
+              credits
+            }
+          })
+        }
+      });
+      this.activeSessions.delete(sessionId);
+
+      logger.info('翻译会话已撤销', { sessionId, summary, credits });
+
+      return {
+        success: results.failed.length === 0,
+        sessionId,
+        status: 'REVERTED',
+        summary,
+        credits,
+        ...results
+      };
+    } catch (error) {
+      await captureError(error, {
+        operation: 'revertTranslationSession',
+        sessionId
+      });
+      throw error;
+    }
+  }
+
   // 私有方法
 
   /**
@@ -518,6 +695,96 @@ export class TranslationSessionManager {
     return session;
   }
 
+  /**
+   * 校验会话归属
+   * @private
+   */
+  _assertSessionShop(session, shopId) {
+    if (shopId && session.shopId !== shopId) {
+      throw new TranslationError('翻译会话不存在', 'SESSION_NOT_FOUND', { sessionId: session.id });
+    }
+  }
+
+  /**
+   * 收集会话改动过的译文及其会话前版本
+   * 依据 TranslationRevision：会话写入的版本（source=session）之前的最近一个版本即会话前状态
+   * @private
+   */
+  async _collectRevertItems(session) {
+    const sessionRevisions = await prisma.translationRevision.findMany({
+      where: { sessionId: session.id, source: REVISION_SOURCE.SESSION },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true, translationId: true, changedFields: true, createdAt: true }
+    });
+    if (sessionRevisions.length === 0) {
+      return [];
+    }
+
+    const translationIds = [...new Set(sessionRevisions.map((revision) => revision.translationId))];
+    const [history, translations] = await Promise.all([
+      prisma.translationRevision.findMany({
+        where: { translationId: { in: translationIds } },
+        orderBy: { createdAt: 'asc' },
+        select: { id: true, translationId: true, sessionId: true, source: true, createdAt: true }
+      }),
+      prisma.translation.findMany({
+        where: { id: { in: translationIds } },
+        select: {
+          id: true,
+          language: true,
+          syncStatus: true,
+          resource: { select: { id: true, gid: true, resourceType: true, title: true } }
+        }
+      })
+    ]);
+
+    const translationsById = new Map(translations.map((translation) => [translation.id, translation]));
+    const items = [];
+
+    for (const translationId of translationIds) {
+      const translation = translationsById.get(translationId);
+      if (!translation) continue; // 译文已被删除
+
+      const ownRevisions = sessionRevisions.filter((revision) => revision.translationId === translationId);
+      const firstSessionAt = ownRevisions[0].createdAt;
+      const timeline = history.filter((revision) => revision.translationId === translationId);
+      const prior = timeline.filter((revision) => revision.createdAt < firstSessionAt).pop() || null;
+      const latest = timeline[timeline.length - 1];
+      const changedFields = [...new Set(ownRevisions.flatMap((revision) => revision.changedFields || []))];
+
+      items.push({
+        translationId,
+        resourceId: translation.resource.id,
+        resourceGid: translation.resource.gid || null,
+        resourceType: translation.resource.resourceType,
+        title: translation.resource.title,
+        language: translation.language,
+        syncStatus: translation.syncStatus,
+        action: prior ? REVERT_ACTIONS.RESTORE : REVERT_ACTIONS.REMOVE,
+        restoreRevisionId: prior?.id || null,
+        changedFields,
+        conflict: Boolean(latest) && !(latest.sessionId === session.id && latest.source === REVISION_SOURCE.SESSION),
+        latestSource: latest?.source || null
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * 撤销预览汇总
+   * @private
+   */
+  _summarizeRevertItems(items) {
+    return {
+      total: items.length,
+      restore: items.filter((item) => item.action === REVERT_ACTIONS.RESTORE).length,
+      remove: items.filter((item) => item.action === REVERT_ACTIONS.REMOVE).length,
+      conflicts: items.filter((item) => item.conflict).length,
+      published: items.filter((item) => item.syncStatus === 'synced').length
+    };
+  }
+
   /**
    * 统计资源数量
    * @private
@@ -532,6 +799,43 @@ export class TranslationSessionManager {
     return await prisma.resource.count({ where });
   }
 
+  /**
+   * 为会话的每个目标语言创建批量翻译任务
+   * @private
+   */
+  async _queueSessionTranslations(session, shopDomain) {
+    const parseJson = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : value ?? fallback);
+    const languages = parseJson(session.languages, []);
+    const resourceTypes = parseJson(session.resourceTypes, []);
+    const { resourceIds = [] } = parseJson(session.translationConfig, {});
+
+    const resources = await prisma.resource.findMany({
+      where: {
+        shopId: session.shopId,
+        ...(resourceIds.length > 0 && { id: { in: resourceIds } }),
+        ...(resourceTypes.length > 0 && { resourceType: { in: resourceTypes } })
+      },
+      select: { id: true }
+    });
+    if (resources.length === 0) {
+      return [];
+    }
+
+    const { addBatchTranslationJob } = await import('./queue.server.js');
+    const jobs = [];
+    for (const language of languages) {
+      const job = await addBatchTranslationJob(
+        resources.map((resource) => resource.id),
+        session.shopId,
+        language,
+        shopDomain || session.shopId,
+        { sessionId: session.id }
+      );
+      jobs.push({ language, ...job });
+    }
+    return jobs;
+  }
+
   /**
    * 创建检查点
    * @private
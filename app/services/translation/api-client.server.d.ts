@@ -5,6 +5,7 @@ export interface TranslationRequest {
   strategy?: string;
   extras?: Record<string, any>;
   context?: Record<string, any>;
+  provider?: string;
 }
 
 export interface TranslationResult {
@@ -27,10 +28,18 @@ export interface TranslationAPIClientOptions {
   deduplicate?: ReturnType<typeof createRequestDeduplicator> | null;
   fallbacks?: Array<{
     name: string;
-    prepare: (ctx: any) => Partial<TranslationRequest>;
+    provider?: string;
+    prepare?: (ctx: any) => Partial<TranslationRequest>;
   }>;
+  resolveProvider?: (params: {
+    provider?: string;
+    shopId?: string;
+    targetLang: string;
+  }) => Promise<string>;
 }
 
+export function acquireTranslationRequestSlot(): Promise<void>;
+
 export function createInMemoryCache(options?: {
   ttlSeconds?: number;
   cleanupIntervalSeconds?: number;
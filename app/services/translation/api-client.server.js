@@ -1,14 +1,14 @@
 import { config } from '../../utils/config.server.js';
 import { PRICING_CONFIG } from '../../utils/pricing-config.js';
 import {
-  createAPIHeaders,
-  createTranslationRequestBody,
-  parseAPIResponse,
-  extractTranslationFromResponse,
   estimateTokenCount,
   calculateDynamicTokenLimit
 } from '../../utils/api.server.js';
 import { logger } from '../../utils/logger.server.js';
+import {
+  getTranslationProvider,
+  resolveTranslationProvider
+} from './providers.server.js';
 
 function createRateLimiter({ minIntervalMs = 0, maxRequestsPerMinute = 0 } = {}) {
   const requestTimestamps = [];
@@ -67,6 +67,15 @@ const requestRateLimiter = createRateLimiter({
   maxRequestsPerMinute: Math.max(0, config.translation.maxRequestsPerMinute ?? 0)
 });
 
+/**
+ * 占用一次全局翻译请求配额（与 TranslationAPIClient 共用限流器）
+ * 供直接调用翻译引擎的场景（如回译评估）使用，避免绕过限流
+ * @returns {Promise<void>}
+ */
+export function acquireTranslationRequestSlot() {
+  return requestRateLimiter.acquire();
+}
+
 const DEFAULT_OPTIONS = {
   maxRetries: 2,
   retryDelay: 1000,
@@ -75,7 +84,8 @@ const DEFAULT_OPTIONS = {
   cache: null,
   cacheTTL: 3600,
   deduplicate: null,
-  fallbacks: []
+  fallbacks: [],
+  resolveProvider: resolveTranslationProvider
 };
 
 function buildCacheKey(text, targetLang, systemPrompt, extras = {}) {
@@ -286,11 +296,28 @@ export function createRequestDeduplicator({ maxInFlight = 500 } = {}) {
 }
 
 async function fetchTranslation({ text, targetLang, systemPrompt, options, context }) {
-  await requestRateLimiter.acquire();
-
-  const headers = createAPIHeaders();
   const transformedText = text ?? '';
   const modelToUse = options.model || PRICING_CONFIG.GPT_MODEL_NAME;
+  const providerName = options.provider || config.translation.provider || 'openai';
+  const provider = getTranslationProvider(providerName);
+  const baseMeta = {
+    provider: providerName,
+    modelUsed: modelToUse,
+    isFallbackModel: modelToUse !== PRICING_CONFIG.GPT_MODEL_NAME
+  };
+
+  if (!provider) {
+    return {
+      success: false,
+      text: transformedText,
+      error: `未注册的翻译引擎: ${providerName}`,
+      isOriginal: true,
+      retryable: false,
+      meta: baseMeta
+    };
+  }
+
+  await requestRateLimiter.acquire();
 
   const dynamicMaxTokens = options.maxTokens || calculateDynamicTokenLimit(transformedText, targetLang);
   const estimatedInputTokens = estimateTokenCount(systemPrompt) + estimateTokenCount(transformedText, targetLang);
@@ -312,42 +339,37 @@ async function fetchTranslation({ text, targetLang, systemPrompt, options, conte
     safeMaxTokens = minResponseTokens;
   }
 
-  const requestBody = createTranslationRequestBody(transformedText, targetLang, systemPrompt, safeMaxTokens);
-
   const controller = new AbortController();
   const timeout = options.timeout ?? config.translation.timeout ?? 45000;
   const timeoutId = setTimeout(() => controller.abort(), timeout);
 
   try {
-    const response = await fetch(`${config.translation.apiUrl}/chat/completions`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(requestBody),
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    const result = await parseAPIResponse(response, {
-      textLength: transformedText.length,
+    const result = await provider.translate({
+      text: transformedText,
       targetLang,
+      systemPrompt,
       model: modelToUse,
       maxTokens: safeMaxTokens,
-      ...context
+      signal: controller.signal,
+      responseContext: {
+        textLength: transformedText.length,
+        targetLang,
+        model: modelToUse,
+        maxTokens: safeMaxTokens,
+        provider: providerName,
+        ...context
+      }
     });
 
-    const translatedText = extractTranslationFromResponse(result);
+    clearTimeout(timeoutId);
 
     return {
       success: true,
-      text: translatedText,
+      text: result.text,
       isOriginal: false,
       language: targetLang,
       tokenLimit: safeMaxTokens,
-      meta: {
-        modelUsed: modelToUse,
-        isFallbackModel: modelToUse !== PRICING_CONFIG.GPT_MODEL_NAME
-      }
+      meta: baseMeta
     };
   } catch (error) {
     clearTimeout(timeoutId);
@@ -373,10 +395,7 @@ async function fetchTranslation({ text, targetLang, systemPrompt, options, conte
       error: errorMessage,
       isOriginal: true,
       originalError: error,
-      meta: {
-        modelUsed: modelToUse,
-        isFallbackModel: modelToUse !== PRICING_CONFIG.GPT_MODEL_NAME
-      }
+      meta: baseMeta
     };
   }
 }
@@ -408,6 +427,7 @@ function normalizeFallbackDefinitions(fallbacks = []) {
         context,
         extras,
         optionsOverride,
+        provider,
         cacheKeyExtras,
         skipCache,
         skipDeduplicate,
@@ -436,6 +456,7 @@ function normalizeFallbackDefinitions(fallbacks = []) {
           type: 'api',
           prepare: requestBuilder,
           optionsOverride,
+          provider,
           cacheKeyExtras,
           skipCache,
           skipDeduplicate,
@@ -445,7 +466,7 @@ function normalizeFallbackDefinitions(fallbacks = []) {
         };
       }
 
-      if (strategy || systemPrompt || text || targetLang || context || extras || optionsOverride) {
+      if (strategy || systemPrompt || text || targetLang || context || extras || optionsOverride || provider) {
         const staticRequest = {
           strategy,
           systemPrompt,
@@ -454,6 +475,7 @@ function normalizeFallbackDefinitions(fallbacks = []) {
           context,
           extras,
           optionsOverride,
+          provider,
           cacheKeyExtras,
           skipCache,
           skipDeduplicate,
@@ -465,6 +487,7 @@ function normalizeFallbackDefinitions(fallbacks = []) {
           type: 'api',
           prepare: () => staticRequest,
           optionsOverride,
+          provider,
           cacheKeyExtras,
           skipCache,
           skipDeduplicate,
@@ -507,6 +530,9 @@ export class TranslationAPIClient {
     this.cacheTTL = this.options.cacheTTL ?? DEFAULT_OPTIONS.cacheTTL;
     this.deduplicator = this.options.deduplicate;
     this.defaultFallbacks = Array.isArray(this.options.fallbacks) ? this.options.fallbacks : [];
+    this.resolveProvider = typeof this.options.resolveProvider === 'function'
+      ? this.options.resolveProvider
+      : DEFAULT_OPTIONS.resolveProvider;
   }
 
   async execute({ text, targetLang, systemPrompt, context = {}, strategy = 'primary', fallbacks = [], extras = {} }) {
@@ -617,6 +643,7 @@ export class TranslationAPIClient {
       logger.warn('[Translation] Fallback model used', {
         targetLang,
         strategyChain: meta.fallback.chain,
+        provider: meta.provider,
         modelUsed: resultWithoutMeta?.meta?.modelUsed || PRICING_CONFIG.FALLBACK_MODEL_NAME
       });
     } else if (resultWithoutMeta?.meta?.modelUsed) {
@@ -675,8 +702,22 @@ export class TranslationAPIClient {
       strategy: strategyName
     };
 
+    const callOptions = {
+      ...this.options,
+      ...(step.optionsOverride || {}),
+      ...(requestConfig.optionsOverride || {})
+    };
+
+    // 降级步骤可以显式指定引擎，实现跨引擎链式降级
+    const providerName = await this.resolveProvider({
+      provider: requestConfig.provider ?? step.provider ?? callOptions.provider,
+      shopId: contextToUse.shopId,
+      targetLang: targetLangToUse
+    });
+
     const cacheKeyExtras = {
       strategy: strategyName,
+      provider: providerName,
       ...(requestConfig.extras || {}),
       ...(step.cacheKeyExtras || {}),
       ...(requestConfig.cacheKeyExtras || {})
@@ -709,19 +750,19 @@ export class TranslationAPIClient {
       ? buildCacheKey(textToUse, targetLangToUse, systemPromptToUse, { ...cacheKeyExtras, dedupe: true })
       : null;
 
-    const callOptions = {
-      ...this.options,
-      ...(step.optionsOverride || {}),
-      ...(requestConfig.optionsOverride || {})
-    };
-
     const maxRetries = Number.isInteger(callOptions.maxRetries) ? callOptions.maxRetries : this.options.maxRetries;
     const retryDelay = callOptions.retryDelay ?? this.options.retryDelay;
     const useExponentialBackoff = callOptions.useExponentialBackoff ?? this.options.useExponentialBackoff;
     const maxRetryDelay = callOptions.maxRetryDelay ?? this.options.maxRetryDelay ?? DEFAULT_OPTIONS.maxRetryDelay;
     const cacheTTL = requestConfig.cacheTTL ?? step.cacheTTL ?? callOptions.cacheTTL ?? this.cacheTTL;
 
-    const { cache: _unusedCache, deduplicate: _unusedDeduplicate, fallbacks: _unusedFallbacks, ...apiOptions } = callOptions;
+    const {
+      cache: _unusedCache,
+      deduplicate: _unusedDeduplicate,
+      fallbacks: _unusedFallbacks,
+      resolveProvider: _unusedResolveProvider,
+      ...apiOptions
+    } = callOptions;
 
     const start = Date.now();
     let retries = 0;
@@ -735,6 +776,7 @@ export class TranslationAPIClient {
         systemPrompt: systemPromptToUse,
         options: {
           ...apiOptions,
+          provider: providerName,
           // 优先使用策略指定的模型，否则使用配置的主模型
           model: requestConfig.model || PRICING_CONFIG.GPT_MODEL_NAME
         },
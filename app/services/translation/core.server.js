@@ -20,7 +20,6 @@ import {
   chunkText,
   isLikelyHtml
 } from './chunking.server.js';
-import { protectHtmlTags, restoreHtmlTags } from './html-handler.server.js';
 import { applyPostProcessors } from './post-processors.server.js';
 import {
   checkBrandWords,
@@ -63,6 +62,12 @@ export {
 } from './config-check.server.js';
 export { getTranslationStats, getTranslationLogs, getPlaceholderErrorStats } from './logs.server.js';
 
+// 源语言与语言检测
+import { resolveSourceLanguage } from '../source-language.server.js';
+import { ALREADY_TARGET_LANGUAGE, detectAlreadyTargetLanguage } from './language-detection.server.js';
+// 导入翻译记忆
+import { lookupTranslationMemory } from '../translation-memory.server.js';
+
 // 导入质量分析器
 import { qualityErrorAnalyzer } from '../quality-error-analyzer.server.js';
 
@@ -254,6 +259,64 @@ export async function translateText(text, targetLang, options = {}) {
     };
   }
 
+  // 源语言：调用方未指定时取店铺主语言（Shopify primary locale）
+  optionPayload.sourceLanguage = await resolveSourceLanguage(optionPayload);
+
+  // 逐字段语言检测：原文已是目标语言时保留原文，不调用API、不计费
+  const alreadyTarget = detectAlreadyTargetLanguage(normalizedText, targetLang, optionPayload.sourceLanguage);
+  if (alreadyTarget) {
+    logger.info('[TRANSLATION] 原文已是目标语言，跳过翻译', {
+      targetLang,
+      sourceLanguage: optionPayload.sourceLanguage,
+      detectedLanguage: alreadyTarget.detectedLanguage,
+      confidence: alreadyTarget.confidence,
+      resourceType: optionPayload.resourceType,
+      fieldName: optionPayload.fieldName
+    });
+    return {
+      text: normalizedText,
+      skipped: true,
+      skipReason: ALREADY_TARGET_LANGUAGE,
+      detectedLanguage: alreadyTarget.detectedLanguage
+    };
+  }
+
+  // 翻译记忆：只有精确命中（规范化后原文一致）直接复用，不调用API、不计费
+  // 模糊命中可能只差一个否定词（"is waterproof" / "is not waterproof"），只作为参考译文交给模型，正常计费
+  const memoryHit = await lookupTranslationMemory({
+    shopId: optionPayload.shopId,
+    text: normalizedText,
+    targetLang,
+    skipTranslationMemory: optionPayload.skipTranslationMemory
+  });
+  if (memoryHit?.matchType === 'fuzzy') {
+    logger.info('[TRANSLATION] 翻译记忆模糊命中，作为参考译文', {
+      targetLang,
+      score: Number(memoryHit.score.toFixed(3)),
+      resourceType: optionPayload.resourceType,
+      fieldName: optionPayload.fieldName
+    });
+    optionPayload.memoryReference = {
+      sourceText: memoryHit.sourceText,
+      translatedText: memoryHit.translatedText,
+      score: memoryHit.score
+    };
+  } else if (memoryHit) {
+    logger.info('[TRANSLATION] 命中翻译记忆', {
+      targetLang,
+      matchType: memoryHit.matchType,
+      score: Number(memoryHit.score.toFixed(3)),
+      resourceType: optionPayload.resourceType,
+      fieldName: optionPayload.fieldName
+    });
+    return buildTranslationResult(
+      { success: true, text: memoryHit.translatedText, isOriginal: false },
+      text,
+      targetLang,
+      logger
+    );
+  }
+
   const strategySelection = selectTranslationStrategy({
     text: normalizedText,
     targetLang,
@@ -324,6 +387,16 @@ export async function translateText(text, targetLang, options = {}) {
     }
   }
 
+  // 返回值是纯文本，实际生效的提示词配置通过回调交给调用方写入审计字段
+  // 记忆精确命中、原文已是目标语言等没有调用模型的情况不会回调
+  if (translationResult.promptProfileAudit && typeof optionPayload.onPromptProfileApplied === 'function') {
+    optionPayload.onPromptProfileApplied(translationResult.promptProfileAudit);
+  }
+  // 术语表违规同样通过回调交给调用方，随译文保存为审核问题
+  if (translationResult.glossaryViolations?.length > 0 && typeof optionPayload.onGlossaryViolations === 'function') {
+    optionPayload.onGlossaryViolations(translationResult.glossaryViolations, { fieldName: optionPayload.fieldName });
+  }
+
   return buildTranslationResult(translationResult, text, targetLang, logger);
 }
 
@@ -379,8 +452,8 @@ async function translateTextWithSkip(text, targetLang, context = {}) {
  */
 // 增强的翻译完整性验证
 // 增强的翻译完整性验证
-async function validateTranslationCompleteness(originalText, translatedText, targetLang) {
-  const evaluation = evaluateCompleteness(originalText, translatedText, targetLang);
+async function validateTranslationCompleteness(originalText, translatedText, targetLang, sourceLanguage) {
+  const evaluation = evaluateCompleteness(originalText, translatedText, targetLang, sourceLanguage);
 
   for (const event of evaluation.events) {
     const { level = 'debug', message, meta } = event;
@@ -395,8 +468,8 @@ async function validateTranslationCompleteness(originalText, translatedText, tar
   };
 }
 
-export async function validateTranslation(originalText, translatedText, targetLang) {
-  const evaluation = evaluateTranslationQuality(originalText, translatedText, targetLang);
+export async function validateTranslation(originalText, translatedText, targetLang, sourceLanguage) {
+  const evaluation = evaluateTranslationQuality(originalText, translatedText, targetLang, sourceLanguage);
 
   for (const event of evaluation.events) {
     const { level = 'debug', message, meta } = event;
@@ -0,0 +1,390 @@
+/**
+ * 深度质量评估（可选，按店铺开启）
+ * - backtranslation: 抽样译文回译为源语言，与原文做相似度比对得出充分性（adequacy）
+ * - judge: 请评审模型按充分性 / 流畅度（fluency）打分并给出理由（OpenAI 兼容 chat/completions）
+ * - both: 两者同时执行，充分性取平均
+ *
+ * 评估器以注册表方式管理：测试可注册本地桩，或把评审接口指向本地桩服务
+ */
+
+import { config } from '../../utils/config.server.js';
+import {
+  calculateDynamicTokenLimit,
+  parseAPIResponse,
+  extractTranslationFromResponse
+} from '../../utils/api.server.js';
+import { logger } from '../../utils/logger.server.js';
+import { calculateSimilarity } from '../translation-memory.server.js';
+import { getTranslationProvider, resolveTranslationProvider } from './providers.server.js';
+import { acquireTranslationRequestSlot } from './api-client.server.js';
+import { recordTranslationCall } from './metrics.server.js';
+
+export const DEEP_QUALITY_MODES = {
+  OFF: 'off',
+  BACK_TRANSLATION: 'backtranslation',
+  JUDGE: 'judge',
+  BOTH: 'both'
+};
+
+const MODE_EVALUATORS = {
+  [DEEP_QUALITY_MODES.BACK_TRANSLATION]: ['backtranslation'],
+  [DEEP_QUALITY_MODES.JUDGE]: ['judge'],
+  [DEEP_QUALITY_MODES.BOTH]: ['backtranslation', 'judge']
+};
+
+// 深度评分在最终 qualityScore 中的权重，其余为校验管线的启发式分
+export const DEEP_QUALITY_WEIGHT = 0.6;
+// 综合分中充分性的权重，其余为流畅度
+const ADEQUACY_WEIGHT = 0.6;
+// 回译相似度低于该值时记录理由
+const BACK_TRANSLATION_REASON_THRESHOLD = 0.6;
+// 送评文本与存档样本的截断长度
+const MAX_SAMPLE_TEXT_LENGTH = 2000;
+const STORED_SAMPLE_TEXT_LENGTH = 200;
+const MAX_STORED_REASONS = 10;
+
+const evaluators = new Map();
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function average(values) {
+  const numbers = values.filter((value) => Number.isFinite(value));
+  if (numbers.length === 0) return null;
+  return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+}
+
+function toPlainText(text = '') {
+  return String(text)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_SAMPLE_TEXT_LENGTH);
+}
+
+/**
+ * 规范化评审分数：接受 0~1、0~10 与 0~100 三种刻度
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function normalizeJudgeScore(value) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number) || number < 0) {
+    return null;
+  }
+  if (number <= 1) return round2(number);
+  if (number <= 10) return round2(number / 10);
+  if (number <= 100) return round2(number / 100);
+  return null;
+}
+
+function combineScores(adequacy, fluency) {
+  if (Number.isFinite(adequacy) && Number.isFinite(fluency)) {
+    return round2(adequacy * ADEQUACY_WEIGHT + fluency * (1 - ADEQUACY_WEIGHT));
+  }
+  if (Number.isFinite(adequacy)) return round2(adequacy);
+  if (Number.isFinite(fluency)) return round2(fluency);
+  return null;
+}
+
+/**
+ * 抽取送评样本：去除 HTML 后按原文长度降序取前 N 条（长文本信息量更大）
+ * @param {Array<{ sourceText: string, translatedText: string }>} pairs
+ * @param {number} size
+ * @returns {Array<{ index: number, sourceText: string, translatedText: string }>}
+ */
+export function selectQualitySamples(pairs = [], size = 3) {
+  return pairs
+    .map((pair) => ({
+      sourceText: toPlainText(pair?.sourceText),
+      translatedText: toPlainText(pair?.translatedText)
+    }))
+    .filter((pair) => pair.sourceText && pair.translatedText)
+    .sort((a, b) => b.sourceText.length - a.sourceText.length)
+    .slice(0, Math.max(1, size))
+    .map((pair, index) => ({ index, ...pair }));
+}
+
+function buildBackTranslationPrompt(sourceLang) {
+  return `You are a professional translator. Translate the user's text into ${sourceLang} as literally as possible. ` +
+    'Return only the translation without explanations.';
+}
+
+/**
+ * 回译评估器：使用店铺在源语言上的翻译引擎回译，再以字符二元组相似度衡量充分性
+ * 回译调用与主翻译流程共用限流器，并计入翻译调用指标（strategy = backtranslation）
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @param {string} [options.provider] 指定翻译引擎名称，默认按店铺配置解析
+ */
+export function createBackTranslationEvaluator({ name = 'backtranslation', provider } = {}) {
+  return {
+    name,
+    label: 'Back-translation',
+    isConfigured: () => true,
+    async evaluate({ samples, sourceLang, shopId, signal }) {
+      const providerName = provider || await resolveTranslationProvider({ shopId, targetLang: sourceLang });
+      const engine = getTranslationProvider(providerName);
+      if (!engine) {
+        throw new Error(`未注册的翻译引擎: ${providerName}`);
+      }
+
+      const items = [];
+      for (const sample of samples) {
+        await acquireTranslationRequestSlot();
+        const startedAt = Date.now();
+        let success = false;
+        let text;
+        try {
+          ({ text } = await engine.translate({
+            text: sample.translatedText,
+            targetLang: sourceLang,
+            systemPrompt: buildBackTranslationPrompt(sourceLang),
+            maxTokens: calculateDynamicTokenLimit(sample.translatedText, sourceLang, 256, 2000),
+            signal: signal || AbortSignal.timeout(config.translation.timeout),
+            responseContext: { targetLang: sourceLang, provider: providerName, strategy: name }
+          }));
+          success = true;
+        } finally {
+          recordTranslationCall({
+            success,
+            strategy: name,
+            targetLang: sourceLang,
+            duration: Date.now() - startedAt,
+            cached: false,
+            retries: 0
+          });
+        }
+        const backTranslation = toPlainText(text);
+        const adequacy = round2(calculateSimilarity(sample.sourceText, backTranslation));
+
+        items.push({
+          index: sample.index,
+          adequacy,
+          backTranslation,
+          reasons: adequacy < BACK_TRANSLATION_REASON_THRESHOLD
+            ? [`回译与原文差异较大（相似度 ${adequacy}）`]
+            : []
+        });
+      }
+      return { items };
+    }
+  };
+}
+
+const JUDGE_SYSTEM_PROMPT = [
+  'You are a strict translation quality reviewer for an e-commerce store.',
+  'For every item, rate adequacy (meaning preserved, nothing added or omitted) and fluency (natural, grammatical target language) from 0 to 1,',
+  'and list short reasons for any deduction.',
+  'Respond with JSON only: {"items":[{"index":0,"adequacy":0.9,"fluency":0.8,"reasons":["..."]}]}'
+].join(' ');
+
+/**
+ * 解析评审模型输出（容忍 Markdown 代码块和前后多余文本）
+ * @param {string} content
+ * @returns {Array<{ index: number, adequacy: number|null, fluency: number|null, reasons: string[] }>}
+ */
+export function parseJudgeResponse(content = '') {
+  const text = String(content).replace(/```(?:json)?/gi, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('评审模型未返回 JSON');
+  }
+
+  const parsed = JSON.parse(text.slice(start, end + 1));
+  const items = Array.isArray(parsed.items) ? parsed.items : [];
+  return items.map((item, position) => ({
+    index: Number.isInteger(item?.index) ? item.index : position,
+    adequacy: normalizeJudgeScore(item?.adequacy),
+    fluency: normalizeJudgeScore(item?.fluency),
+    reasons: (Array.isArray(item?.reasons) ? item.reasons : [item?.reasons])
+      .filter((reason) => typeof reason === 'string' && reason.trim())
+      .map((reason) => reason.trim())
+  }));
+}
+
+/**
+ * 评审模型评估器（OpenAI 兼容 chat/completions）
+ * 接口地址 / 密钥 / 模型默认取 QUALITY_JUDGE_*，未配置时复用翻译接口
+ * @param {Object} [overrides]
+ * @param {string} [overrides.name]
+ * @param {string} [overrides.apiUrl]
+ * @param {string} [overrides.apiKey]
+ * @param {string} [overrides.model]
+ */
+export function createJudgeEvaluator(overrides = {}) {
+  const settings = () => ({
+    apiUrl: overrides.apiUrl ?? config.translation.qualityJudge?.apiUrl ?? config.translation.apiUrl,
+    apiKey: overrides.apiKey ?? config.translation.qualityJudge?.apiKey ?? config.translation.apiKey,
+    model: overrides.model ?? config.translation.qualityJudge?.model ?? config.translation.model
+  });
+
+  return {
+    name: overrides.name || 'judge',
+    label: 'LLM judge',
+    isConfigured: () => Boolean(settings().apiUrl),
+    async evaluate({ samples, sourceLang, targetLang, signal }) {
+      const { apiUrl, apiKey, model } = settings();
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+        headers['api-key'] = apiKey;
+      }
+
+      const payload = {
+        sourceLang,
+        targetLang,
+        items: samples.map((sample) => ({
+          index: sample.index,
+          source: sample.sourceText,
+          translation: sample.translatedText
+        }))
+      };
+
+      const response = await fetch(`${apiUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: 'system', content: JUDGE_SYSTEM_PROMPT },
+            { role: 'user', content: JSON.stringify(payload) }
+          ],
+          temperature: 0,
+          max_tokens: Math.min(2000, 200 + samples.length * 150)
+        }),
+        signal: signal || AbortSignal.timeout(config.translation.timeout)
+      });
+      const result = await parseAPIResponse(response, { targetLang, model });
+
+      return { items: parseJudgeResponse(extractTranslationFromResponse(result)) };
+    }
+  };
+}
+
+/**
+ * 注册（或覆盖）质量评估器
+ * @param {Object} evaluator 需提供 name / evaluate()，可选 isConfigured()
+ */
+export function registerQualityEvaluator(evaluator) {
+  if (!evaluator?.name || typeof evaluator.evaluate !== 'function') {
+    throw new Error('质量评估器必须提供 name 与 evaluate()');
+  }
+  evaluators.set(evaluator.name, {
+    isConfigured: () => true,
+    label: evaluator.name,
+    ...evaluator
+  });
+  return evaluator;
+}
+
+export function unregisterQualityEvaluator(name) {
+  return evaluators.delete(name);
+}
+
+export function getQualityEvaluator(name) {
+  return evaluators.get(name) || null;
+}
+
+/**
+ * 将深度评分与启发式评分合并为最终 qualityScore
+ * @param {number|null} heuristicScore 校验管线得分
+ * @param {number|null} deepScore 深度评估综合分
+ * @returns {number|null}
+ */
+export function blendQualityScore(heuristicScore, deepScore) {
+  if (!Number.isFinite(deepScore)) return heuristicScore;
+  if (!Number.isFinite(heuristicScore)) return round2(deepScore);
+  return round2(heuristicScore * (1 - DEEP_QUALITY_WEIGHT) + deepScore * DEEP_QUALITY_WEIGHT);
+}
+
+function truncate(text) {
+  return text.length > STORED_SAMPLE_TEXT_LENGTH ? `${text.slice(0, STORED_SAMPLE_TEXT_LENGTH)}…` : text;
+}
+
+/**
+ * 对抽样片段执行深度质量评估
+ * 单个评估器失败只记录到 errors，不影响其它评估器与译文保存
+ * @param {Object} params
+ * @param {Array<{ sourceText, translatedText }>} params.pairs
+ * @param {string} params.targetLang
+ * @param {string} [params.sourceLang='en']
+ * @param {string} [params.shopId]
+ * @param {string} params.mode DEEP_QUALITY_MODES
+ * @param {number} [params.sampleSize=3]
+ * @param {AbortSignal} [params.signal] 取消评估请求；未提供时各评估器按翻译超时自行中止
+ * @returns {Promise<Object|null>} 评估明细（写入 Translation.qualityBreakdown）；未开启或无样本时为 null
+ */
+export async function assessDeepQuality({ pairs = [], targetLang, sourceLang = 'en', shopId, mode, sampleSize = 3, signal } = {}) {
+  const names = MODE_EVALUATORS[mode];
+  if (!names) return null;
+
+  const samples = selectQualitySamples(pairs, sampleSize);
+  if (samples.length === 0) return null;
+
+  const results = samples.map(() => ({ adequacy: [], fluency: [], reasons: [], backTranslation: null }));
+  const used = [];
+  const errors = [];
+
+  for (const name of names) {
+    const evaluator = getQualityEvaluator(name);
+    if (!evaluator || !evaluator.isConfigured()) {
+      errors.push({ evaluator: name, message: '评估器未注册或未配置' });
+      continue;
+    }
+
+    try {
+      const { items = [] } = await evaluator.evaluate({ samples, sourceLang, targetLang, shopId, signal });
+      for (const item of items) {
+        const target = results[item.index];
+        if (!target) continue;
+        target.adequacy.push(item.adequacy);
+        target.fluency.push(item.fluency);
+        target.reasons.push(...(item.reasons || []));
+        if (item.backTranslation) target.backTranslation = item.backTranslation;
+      }
+      used.push(name);
+    } catch (error) {
+      logger.warn('[DeepQuality] 质量评估器执行失败', { evaluator: name, shopId, targetLang, error: error.message });
+      errors.push({ evaluator: name, message: error.message });
+    }
+  }
+
+  const sampleBreakdown = samples.map((sample, index) => {
+    const result = results[index];
+    const adequacy = average(result.adequacy);
+    const fluency = average(result.fluency);
+    return {
+      source: truncate(sample.sourceText),
+      translation: truncate(sample.translatedText),
+      backTranslation: result.backTranslation ? truncate(result.backTranslation) : null,
+      adequacy: adequacy === null ? null : round2(adequacy),
+      fluency: fluency === null ? null : round2(fluency),
+      score: combineScores(adequacy, fluency),
+      reasons: result.reasons
+    };
+  });
+
+  const adequacy = average(sampleBreakdown.map((sample) => sample.adequacy));
+  const fluency = average(sampleBreakdown.map((sample) => sample.fluency));
+
+  return {
+    mode,
+    sourceLang,
+    targetLang,
+    adequacy: adequacy === null ? null : round2(adequacy),
+    fluency: fluency === null ? null : round2(fluency),
+    score: combineScores(adequacy, fluency),
+    reasons: [...new Set(sampleBreakdown.flatMap((sample) => sample.reasons))].slice(0, MAX_STORED_REASONS),
+    samples: sampleBreakdown,
+    evaluators: used,
+    errors,
+    assessedAt: new Date().toISOString()
+  };
+}
+
+registerQualityEvaluator(createBackTranslationEvaluator());
+registerQualityEvaluator(createJudgeEvaluator());
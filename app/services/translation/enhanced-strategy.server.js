@@ -6,6 +6,10 @@ import { logger , logShortTextTranslation, logTranslationQuality, logEnglishRemn
 import { createErrorResponse, withErrorHandling } from '../../utils/error-handler.server.js';
 import { executeTranslationRequest } from './core.server.js';
 import { translateLongTextStrategy } from './long-text-strategy.server.js';
+import { isTranslationProviderConfigured } from './providers.server.js';
+import { getGlossaryTerms, findMatchingTerms } from '../glossary.server.js';
+import { resolvePromptProfile, toPromptProfileAudit } from '../prompt-profile.server.js';
+import { getLanguageScript } from './language-detection.server.js';
 
 export async function translateTextEnhancedStrategy(text, targetLang, options = {}) {
   const runtimeOptions = typeof options === 'number' ? { retryCount: options } : { ...(options || {}) };
@@ -21,7 +25,12 @@ export async function translateTextEnhancedStrategy(text, targetLang, options =
     };
   }
 
-  if (!process.env.GPT_API_KEY) {
+  const providerReady = await isTranslationProviderConfigured({
+    provider: runtimeOptions.provider,
+    shopId: runtimeOptions.shopId,
+    targetLang
+  });
+  if (!providerReady) {
     logger.warn('API密钥未配置，返回原文');
     return createErrorResponse(new Error('API密钥未配置'), text);
   }
@@ -30,13 +39,27 @@ export async function translateTextEnhancedStrategy(text, targetLang, options =
     return translateLongTextStrategy(text, targetLang, {
       postProcess: postProcessOptions,
       linkConversion,
-      maxChunkSize: runtimeOptions.maxChunkSize
+      maxChunkSize: runtimeOptions.maxChunkSize,
+      shopId: runtimeOptions.shopId,
+      resourceType: runtimeOptions.resourceType,
+      promptProfile: runtimeOptions.promptProfile,
+      sourceLanguage: runtimeOptions.sourceLanguage
     });
   }
 
   logger.logTranslationStart(text, targetLang, { strategy: 'enhanced' });
 
-  const systemPrompt = buildEnhancedPrompt(targetLang);
+  const glossaryTerms = await getGlossaryTerms(runtimeOptions.shopId);
+  const glossary = findMatchingTerms(text, glossaryTerms, targetLang);
+  // 预览时直接使用传入的未保存配置
+  const profile = runtimeOptions.promptProfile
+    ?? await resolvePromptProfile(runtimeOptions.shopId, targetLang, runtimeOptions.resourceType);
+  const systemPrompt = buildEnhancedPrompt(targetLang, {
+    glossary,
+    profile,
+    sourceLanguage: runtimeOptions.sourceLanguage,
+    memoryReference: runtimeOptions.memoryReference
+  });
 
   const translationFunction = withErrorHandling(async () => {
     const startTime = Date.now();
@@ -48,7 +71,8 @@ export async function translateTextEnhancedStrategy(text, targetLang, options =
       strategy: 'enhanced',
       context: {
         functionName: 'translateTextEnhanced',
-        attempt: retryCount + 1
+        attempt: retryCount + 1,
+        shopId: runtimeOptions.shopId
       }
     });
 
@@ -83,7 +107,8 @@ export async function translateTextEnhancedStrategy(text, targetLang, options =
     const validation = runValidationPipeline({
       originalText: text,
       translatedText,
-      targetLang
+      targetLang,
+      sourceLanguage: runtimeOptions.sourceLanguage
     });
 
     if (!validation.passed) {
@@ -100,7 +125,10 @@ export async function translateTextEnhancedStrategy(text, targetLang, options =
       strategy: 'enhanced'
     });
 
-    const englishRemnants = translatedText.match(/[a-zA-Z]{5,}/g);
+    // 非拉丁文字源语言的原文中不存在英文残留问题
+    const englishRemnants = getLanguageScript(runtimeOptions.sourceLanguage) === 'latin'
+      ? translatedText.match(/[a-zA-Z]{5,}/g)
+      : null;
     if (englishRemnants) {
       logEnglishRemnants(text, translatedText, targetLang, {
         remnants: englishRemnants.slice(0, 5)
@@ -110,6 +138,9 @@ export async function translateTextEnhancedStrategy(text, targetLang, options =
     const finalContext = {
       targetLang,
       originalText: text,
+      shopId: runtimeOptions.shopId,
+      resourceType: runtimeOptions.resourceType,
+      glossary,
       ...postProcessOptions,
       linkConversion: linkConversion || postProcessOptions.linkConversion
     };
@@ -121,7 +152,9 @@ export async function translateTextEnhancedStrategy(text, targetLang, options =
       text: finalText,
       isOriginal: !validation.passed,
       language: targetLang,
-      processingTime
+      processingTime,
+      glossaryViolations: finalContext.glossaryReport?.violations ?? [],
+      promptProfileAudit: toPromptProfileAudit(profile)
     };
 
   }, {
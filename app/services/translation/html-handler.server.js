@@ -1,5 +1,9 @@
 import { logger } from '../../utils/logger.server.js';
 
+/**
+ * 正则占位符保护（旧实现）
+ * 翻译链路默认使用 html-segmenter.server.js 的 DOM 分段，仅在分段解析失败时由长文本策略降级使用
+ */
 export function protectHtmlTags(text) {
   const protectionMap = new Map();
   let counter = 0;
@@ -0,0 +1,246 @@
+import {
+  segmentHtml,
+  reassembleHtml,
+  getTextNodeSegments,
+  diffHtmlStructure
+} from './html-segmenter.server.js';
+import { applyPostProcessors } from './post-processors.server.js';
+import { runValidationPipeline } from './validators.server.js';
+import { buildSegmentPrompt } from './prompts.server.js';
+import { executeTranslationRequest } from './core.server.js';
+import { logger } from '../../utils/logger.server.js';
+import { getGlossaryTerms, findMatchingTerms } from '../glossary.server.js';
+import { resolvePromptProfile, toPromptProfileAudit } from '../prompt-profile.server.js';
+
+const DEFAULT_BATCH_SIZE = 1000;
+// jsdom 无法带源码位置解析的 HTML（如表格中的游离文本），调用方应降级为分块翻译
+export const HTML_SEGMENTATION_FAILED = 'HTML_SEGMENTATION_FAILED';
+const SEGMENT_PATTERN = /<s(\d+)>([\s\S]*?)<\/s\1>/gi;
+
+/**
+ * 按字符数把片段打包成请求批次（单个超长片段独占一批）
+ * @param {Array<{ id: string, text: string }>} segments
+ * @param {number} maxBatchSize
+ * @returns {Array<Array<Object>>}
+ */
+export function buildSegmentBatches(segments, maxBatchSize = DEFAULT_BATCH_SIZE) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+
+  for (const segment of segments) {
+    if (current.length > 0 && size + segment.text.length > maxBatchSize) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(segment);
+    size += segment.text.length;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * 解析 <sN>…</sN> 包裹的批次译文；单片段批次未保留包裹标记时取整段译文
+ * @returns {Map<string, string>} 片段 id -> 译文
+ */
+export function parseSegmentResponse(text, batch) {
+  const translations = new Map();
+  const output = typeof text === 'string' ? text : '';
+
+  SEGMENT_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = SEGMENT_PATTERN.exec(output)) !== null) {
+    const segment = batch[Number(match[1]) - 1];
+    if (segment && match[2].trim()) {
+      translations.set(segment.id, match[2].trim());
+    }
+  }
+
+  if (translations.size === 0 && batch.length === 1 && output.trim() && !/<\/?s\d+>/i.test(output)) {
+    translations.set(batch[0].id, output.trim());
+  }
+  return translations;
+}
+
+async function requestBatch(batch, targetLang, { glossaryTerms, profile, sourceLanguage, shopId, batchIndex, batchCount }) {
+  const text = batch.map((segment, index) => `<s${index + 1}>${segment.text}</s${index + 1}>`).join('\n');
+  const response = await executeTranslationRequest({
+    text,
+    targetLang,
+    systemPrompt: buildSegmentPrompt(targetLang, {
+      glossary: findMatchingTerms(text, glossaryTerms, targetLang),
+      profile,
+      sourceLanguage
+    }),
+    strategy: 'html-segments',
+    context: {
+      functionName: 'translateHtmlSegmentStrategy',
+      chunkIndex: batchIndex,
+      chunkCount: batchCount,
+      shopId
+    }
+  });
+
+  if (!response.success) {
+    throw new Error(response.error || `片段批次 ${batchIndex + 1} 翻译失败`);
+  }
+  return parseSegmentResponse(response.text, batch);
+}
+
+/**
+ * 分批翻译片段；批次中遗漏的片段逐个重试一次
+ * @returns {Promise<Map<string, string>>}
+ */
+async function translateSegments(segments, targetLang, options) {
+  const translations = new Map();
+  const batches = buildSegmentBatches(segments, options.maxBatchSize);
+
+  for (let index = 0; index < batches.length; index += 1) {
+    const batch = batches[index];
+    const parsed = await requestBatch(batch, targetLang, { ...options, batchIndex: index, batchCount: batches.length });
+    parsed.forEach((value, key) => translations.set(key, value));
+
+    const missing = batch.length > 1 ? batch.filter((segment) => !parsed.has(segment.id)) : [];
+    for (const segment of missing) {
+      const retried = await requestBatch([segment], targetLang, { ...options, batchIndex: index, batchCount: batches.length });
+      retried.forEach((value, key) => translations.set(key, value));
+    }
+  }
+
+  return translations;
+}
+
+/**
+ * HTML 分段翻译：DOM 解析 -> 片段翻译 -> 按源码位置回填 -> 逐标签结构校验
+ * 结构校验未通过时返回失败，译文不会被保存；无法分段解析时返回 errorCode=HTML_SEGMENTATION_FAILED
+ * @param {string} text
+ * @param {string} targetLang
+ * @param {Object} [options]
+ * @param {number} [options.maxChunkSize] 每个请求的最大字符数
+ * @param {string} [options.shopId]
+ * @param {string} [options.resourceType]
+ * @param {Object} [options.promptProfile] 指定提示词配置（预览用），缺省时按语言与资源类型匹配
+ * @param {string} [options.sourceLanguage] 原文语言（店铺主语言）
+ * @param {Object} [options.postProcess]
+ * @param {Object} [options.linkConversion]
+ */
+export async function translateHtmlSegmentStrategy(text, targetLang, options = {}) {
+  const postProcessOptions = options.postProcess || {};
+
+  let document;
+  try {
+    document = segmentHtml(text);
+  } catch (error) {
+    logger.warn('[TRANSLATION] HTML 无法分段解析', {
+      error: error.message,
+      targetLang,
+      resourceType: options.resourceType
+    });
+    return {
+      success: false,
+      text,
+      error: `HTML 分段解析失败: ${error.message}`,
+      errorCode: HTML_SEGMENTATION_FAILED,
+      retryable: false,
+      isOriginal: true,
+      language: targetLang
+    };
+  }
+
+  try {
+    if (document.segments.length === 0) {
+      return { success: true, text, isOriginal: true, language: targetLang };
+    }
+
+    const glossaryTerms = await getGlossaryTerms(options.shopId);
+    const requestOptions = {
+      glossaryTerms,
+      profile: options.promptProfile
+        ?? await resolvePromptProfile(options.shopId, targetLang, options.resourceType),
+      sourceLanguage: options.sourceLanguage,
+      shopId: options.shopId,
+      maxBatchSize: options.maxChunkSize ?? DEFAULT_BATCH_SIZE
+    };
+
+    const translations = await translateSegments(document.segments, targetLang, requestOptions);
+    let assembled = reassembleHtml(document, translations);
+
+    if (assembled.mismatched.length > 0) {
+      logger.warn('[TRANSLATION] 行内标记校验未通过，改为逐文本节点翻译', {
+        units: assembled.mismatched.length,
+        targetLang,
+        resourceType: options.resourceType
+      });
+      const fallback = await translateSegments(getTextNodeSegments(document, assembled.mismatched), targetLang, requestOptions);
+      fallback.forEach((value, key) => translations.set(key, value));
+      assembled = reassembleHtml(document, translations);
+    }
+
+    const finalContext = {
+      targetLang,
+      originalText: text,
+      shopId: options.shopId,
+      resourceType: options.resourceType,
+      glossary: findMatchingTerms(text, glossaryTerms, targetLang),
+      ...postProcessOptions,
+      linkConversion: options.linkConversion || postProcessOptions.linkConversion
+    };
+    const combined = await applyPostProcessors(assembled.html, finalContext);
+
+    const structure = diffHtmlStructure(text, combined);
+    if (!structure.identical) {
+      logger.error('[TRANSLATION] HTML 结构校验未通过，放弃保存译文', {
+        targetLang,
+        resourceType: options.resourceType,
+        missing: structure.missing.slice(0, 5),
+        unexpected: structure.unexpected.slice(0, 5)
+      });
+      return {
+        success: false,
+        text,
+        error: `HTML 结构校验未通过：缺少 ${structure.missing.length} 个标签，多出 ${structure.unexpected.length} 个标签`,
+        errorCode: 'HTML_STRUCTURE_MISMATCH',
+        retryable: false,
+        isOriginal: true,
+        language: targetLang
+      };
+    }
+
+    const validation = runValidationPipeline({
+      originalText: text,
+      translatedText: combined,
+      targetLang,
+      sourceLanguage: options.sourceLanguage
+    });
+
+    logger.info('[TRANSLATION] HTML 分段翻译完成', {
+      originalLength: text.length,
+      translatedLength: combined.length,
+      segments: document.segments.length,
+      fallbackUnits: assembled.mismatched.length,
+      untranslatedSegments: assembled.untranslated.length,
+      isTranslated: validation.passed,
+      resourceType: options.resourceType
+    });
+
+    return {
+      success: true,
+      text: combined,
+      isOriginal: !validation.passed,
+      language: targetLang,
+      glossaryViolations: finalContext.glossaryReport?.violations ?? [],
+      promptProfileAudit: toPromptProfileAudit(requestOptions.profile)
+    };
+  } catch (error) {
+    logger.error('HTML 分段翻译失败', { error: error.message, targetLang });
+    return {
+      success: false,
+      text,
+      error: `HTML 分段翻译失败: ${error.message}`,
+      isOriginal: true,
+      language: targetLang
+    };
+  }
+}
@@ -0,0 +1,485 @@
+/**
+ * 基于 DOM 的 HTML 分段
+ * - 使用 jsdom（保留源码位置）解析，提取可翻译的文本节点与属性（alt / title / placeholder / aria-label）
+ * - 同一块级元素内相邻的文本与行内元素合并为一个翻译单元，行内标签以 <x1>…</x1> / <x2/> 标记表示
+ * - 回填按源码位置拼接：标签、未翻译属性、注释、脚本等逐字节保留
+ * - 标记缺失、重复或嵌套被改动的单元改为逐文本节点回填，保证结构与原文一致
+ * - diffHtmlStructure 逐标签比对原文与译文，供保存前校验
+ */
+
+import { JSDOM } from 'jsdom';
+
+export const TRANSLATABLE_ATTRIBUTES = ['alt', 'title', 'placeholder', 'aria-label'];
+
+// 可与文本合并翻译的行内元素
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'cite', 'data', 'del', 'dfn', 'em', 'font', 'i', 'ins',
+  'label', 'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u'
+]);
+// 行内空元素：以 <xN/> 标记整体保留，属性仍可翻译
+const VOID_INLINE_TAGS = new Set(['br', 'img', 'input', 'wbr']);
+// 行内但内容不翻译的元素：以 <xN/> 标记整体保留
+const OPAQUE_INLINE_TAGS = new Set(['code', 'kbd', 'samp', 'var']);
+// 整个子树原样保留，且作为翻译单元的边界
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'pre', 'noscript', 'template', 'svg', 'math', 'iframe',
+  'textarea', 'select', 'object', 'canvas', 'video', 'audio', 'head'
+]);
+
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const ELEMENT_NODE = 1;
+const MARKER_PATTERN = /<(\/?)x(\d+)\s*(\/?)>/gi;
+
+function tagOf(element) {
+  return element.localName;
+}
+
+function isNoTranslate(element) {
+  return element.getAttribute('translate') === 'no' || element.classList?.contains('notranslate');
+}
+
+function hasBlockDescendant(element) {
+  for (const child of element.children) {
+    const tag = tagOf(child);
+    if (SKIPPED_TAGS.has(tag)) return true;
+    if (!INLINE_TAGS.has(tag) && !VOID_INLINE_TAGS.has(tag) && !OPAQUE_INLINE_TAGS.has(tag)) return true;
+    if (INLINE_TAGS.has(tag) && hasBlockDescendant(child)) return true;
+  }
+  return false;
+}
+
+function isInlineNode(node) {
+  if (node.nodeType === TEXT_NODE || node.nodeType === COMMENT_NODE) return true;
+  if (node.nodeType !== ELEMENT_NODE) return false;
+  const tag = tagOf(node);
+  if (VOID_INLINE_TAGS.has(tag) || OPAQUE_INLINE_TAGS.has(tag)) return true;
+  return INLINE_TAGS.has(tag) && !hasBlockDescendant(node);
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+function escapeAttribute(text) {
+  return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, '\u00a0')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function splitWhitespace(text) {
+  const [, lead, body, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return { lead, body, trail };
+}
+
+function toMap(translations) {
+  if (translations instanceof Map) return translations;
+  return new Map(Object.entries(translations || {}));
+}
+
+/**
+ * 把 [start, end) 范围内的源码按替换表重写（替换表需按 start 升序且互不重叠）
+ */
+function renderRange(source, start, end, replacements) {
+  let output = '';
+  let cursor = start;
+  for (const replacement of replacements) {
+    if (replacement.start < cursor || replacement.end > end) continue;
+    output += source.slice(cursor, replacement.start) + replacement.text;
+    cursor = replacement.end;
+  }
+  return output + source.slice(cursor, end);
+}
+
+class SegmentCollector {
+  constructor(dom, source) {
+    this.dom = dom;
+    this.source = source;
+    this.units = [];
+    this.attributes = [];
+  }
+
+  location(node) {
+    return this.dom.nodeLocation(node) || null;
+  }
+
+  collectAttributes(element) {
+    const location = this.location(element);
+    for (const name of TRANSLATABLE_ATTRIBUTES) {
+      const value = element.getAttribute(name);
+      const range = location?.attrs?.[name];
+      if (!value || !value.trim() || !range) continue;
+
+      const written = this.source.slice(range.startOffset, range.endOffset);
+      const nameMatch = written.match(/^([^\s=]+)\s*=/);
+      if (!nameMatch) continue;
+
+      this.attributes.push({
+        id: `a${this.attributes.length + 1}`,
+        kind: 'attribute',
+        name: nameMatch[1],
+        text: value,
+        start: range.startOffset,
+        end: range.endOffset
+      });
+    }
+  }
+
+  walk(parent) {
+    let run = [];
+    const flush = () => {
+      if (run.length > 0) this.addUnit(run);
+      run = [];
+    };
+
+    for (const node of parent.childNodes) {
+      if (node.nodeType === ELEMENT_NODE && SKIPPED_TAGS.has(tagOf(node))) {
+        flush();
+        continue;
+      }
+      if (isInlineNode(node)) {
+        run.push(node);
+        continue;
+      }
+      flush();
+      if (node.nodeType === ELEMENT_NODE) {
+        if (!isNoTranslate(node)) {
+          this.collectAttributes(node);
+          this.walk(node);
+        }
+      }
+    }
+    flush();
+  }
+
+  addUnit(nodes) {
+    const unit = {
+      id: `u${this.units.length + 1}`,
+      kind: 'unit',
+      markers: new Map(),
+      textNodes: [],
+      markup: true,
+      hasText: false
+    };
+    let markerCount = 0;
+
+    const visit = (node, parentMarker) => {
+      const location = this.location(node);
+      if (!location) {
+        unit.markup = false;
+        return '';
+      }
+
+      if (node.nodeType === TEXT_NODE) {
+        if (node.data.trim()) {
+          unit.hasText = true;
+          unit.textNodes.push({
+            id: `${unit.id}.t${unit.textNodes.length + 1}`,
+            kind: 'text',
+            text: node.data,
+            start: location.startOffset,
+            end: location.endOffset
+          });
+        }
+        return escapeText(node.data);
+      }
+
+      markerCount += 1;
+      const markerId = markerCount;
+      const tag = node.nodeType === ELEMENT_NODE ? tagOf(node) : '#comment';
+      const opaque = node.nodeType === COMMENT_NODE || OPAQUE_INLINE_TAGS.has(tag) || isNoTranslate(node);
+
+      if (node.nodeType === ELEMENT_NODE && !opaque) {
+        this.collectAttributes(node);
+      }
+
+      if (opaque || VOID_INLINE_TAGS.has(tag)) {
+        unit.markers.set(markerId, {
+          type: 'void',
+          parent: parentMarker,
+          start: location.startOffset,
+          end: location.endOffset
+        });
+        return `<x${markerId}/>`;
+      }
+
+      if (!location.startTag || !location.endTag) {
+        unit.markup = false;
+      }
+      const marker = {
+        type: 'pair',
+        parent: parentMarker,
+        startTag: location.startTag,
+        endTag: location.endTag
+      };
+      unit.markers.set(markerId, marker);
+
+      let inner = '';
+      for (const child of node.childNodes) {
+        inner += visit(child, markerId);
+      }
+      return `<x${markerId}>${inner}</x${markerId}>`;
+    };
+
+    let tagged = '';
+    let previousEnd = -1;
+    for (const node of nodes) {
+      const location = this.location(node);
+      // 被解析器挪动的节点位置不连续，只能逐节点回填
+      // 注意：表格中的游离文本会让 jsdom 在带位置解析时直接抛错，由 segmentHtml 的调用方降级处理
+      if (!location || location.startOffset < previousEnd) {
+        unit.markup = false;
+      } else {
+        previousEnd = location.endOffset;
+      }
+      tagged += visit(node, 0);
+    }
+
+    if (!unit.hasText) return;
+
+    const first = this.location(nodes[0]);
+    const last = this.location(nodes[nodes.length - 1]);
+    if (!first || !last) {
+      unit.markup = false;
+    } else {
+      unit.start = first.startOffset;
+      unit.end = last.endOffset;
+    }
+
+    const { lead, body, trail } = splitWhitespace(tagged);
+    unit.lead = lead;
+    unit.trail = trail;
+    unit.text = body;
+    // 没有行内标记的单元与逐节点翻译等价，直接按文本节点处理更稳妥
+    if (unit.markers.size === 0 && unit.textNodes.length === 1) {
+      unit.markup = false;
+    }
+    this.units.push(unit);
+  }
+}
+
+/**
+ * 解析 HTML 并提取翻译片段
+ * @param {string} html
+ * @returns {{ source: string, units: Array, attributes: Array, segments: Array<{ id: string, kind: string, text: string }> }}
+ *   segments 中 kind=unit 的文本带 <xN> 行内标记，kind=text / attribute 为纯文本
+ * @throws {TypeError} jsdom 无法带源码位置解析时（如表格中的游离文本）
+ */
+export function segmentHtml(html) {
+  const source = typeof html === 'string' ? html : '';
+  const dom = new JSDOM(source, { includeNodeLocations: true });
+  const collector = new SegmentCollector(dom, source);
+  collector.walk(dom.window.document.documentElement);
+
+  const segments = [];
+  for (const unit of collector.units) {
+    if (unit.markup) {
+      segments.push({ id: unit.id, kind: 'unit', text: unit.text });
+    } else {
+      segments.push(...unit.textNodes.map(({ id, kind, text }) => ({ id, kind, text: text.trim() })));
+    }
+  }
+  segments.push(...collector.attributes.map(({ id, kind, text }) => ({ id, kind, text })));
+
+  dom.window.close();
+  return { source, units: collector.units, attributes: collector.attributes, segments };
+}
+
+/**
+ * 标记回退单元的逐文本节点片段（标记校验失败后重新翻译用）
+ * @param {Object} document segmentHtml 结果
+ * @param {string[]} unitIds
+ */
+export function getTextNodeSegments(document, unitIds = []) {
+  const ids = new Set(unitIds);
+  return document.units
+    .filter((unit) => ids.has(unit.id))
+    .flatMap((unit) => unit.textNodes.map(({ id, kind, text }) => ({ id, kind, text: text.trim() })));
+}
+
+/**
+ * 校验并渲染带行内标记的译文：每个标记恰好出现一次、父子关系与原文一致
+ * 同级行内元素允许因语序调整而换位
+ * @returns {{ ok: boolean, html?: string, reason?: string }}
+ */
+function renderMarkedUnit(source, unit, translated, attributeReplacements) {
+  const seen = new Set();
+  const stack = [0];
+  let output = '';
+  let cursor = 0;
+
+  const appendText = (text) => {
+    output += escapeText(decodeEntities(text));
+  };
+
+  MARKER_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = MARKER_PATTERN.exec(translated)) !== null) {
+    appendText(translated.slice(cursor, match.index));
+    cursor = match.index + match[0].length;
+
+    const closing = match[1] === '/';
+    const selfClosing = match[3] === '/';
+    const markerId = Number(match[2]);
+    const marker = unit.markers.get(markerId);
+    if (!marker) return { ok: false, reason: `unknown marker x${markerId}` };
+
+    const parent = stack[stack.length - 1];
+    if (closing) {
+      if (marker.type !== 'pair' || parent !== markerId) {
+        return { ok: false, reason: `unexpected closing marker x${markerId}` };
+      }
+      stack.pop();
+      output += source.slice(marker.endTag.startOffset, marker.endTag.endOffset);
+      continue;
+    }
+
+    if (seen.has(markerId) || marker.parent !== parent) {
+      return { ok: false, reason: `marker x${markerId} duplicated or moved` };
+    }
+    seen.add(markerId);
+
+    if (marker.type === 'void') {
+      output += renderRange(source, marker.start, marker.end, attributeReplacements);
+      continue;
+    }
+    if (selfClosing) {
+      return { ok: false, reason: `marker x${markerId} must wrap text` };
+    }
+    stack.push(markerId);
+    output += renderRange(source, marker.startTag.startOffset, marker.startTag.endOffset, attributeReplacements);
+  }
+  appendText(translated.slice(cursor));
+
+  if (stack.length !== 1) return { ok: false, reason: 'unclosed marker' };
+  if (seen.size !== unit.markers.size) return { ok: false, reason: 'missing marker' };
+
+  return { ok: true, html: unit.lead + output + unit.trail };
+}
+
+/**
+ * 用译文回填 HTML
+ * @param {Object} document segmentHtml 结果
+ * @param {Map<string, string>|Object} translations 片段 id -> 译文
+ * @returns {{ html: string, mismatched: string[], untranslated: string[] }}
+ *   mismatched 为标记校验失败、需按文本节点重译的单元；untranslated 为保留原文的片段
+ */
+export function reassembleHtml(document, translations) {
+  const { source } = document;
+  const translated = toMap(translations);
+  const mismatched = [];
+  const untranslated = [];
+
+  const attributeReplacements = document.attributes
+    .filter((attribute) => typeof translated.get(attribute.id) === 'string' && translated.get(attribute.id).trim())
+    .map((attribute) => ({
+      start: attribute.start,
+      end: attribute.end,
+      text: `${attribute.name}="${escapeAttribute(translated.get(attribute.id).trim())}"`
+    }))
+    .sort((a, b) => a.start - b.start);
+  document.attributes
+    .filter((attribute) => !attributeReplacements.some((replacement) => replacement.start === attribute.start))
+    .forEach((attribute) => untranslated.push(attribute.id));
+
+  const unitReplacements = [];
+  const textReplacements = [];
+
+  for (const unit of document.units) {
+    const unitText = translated.get(unit.id);
+    if (unit.markup && typeof unitText === 'string' && unitText.trim()) {
+      const rendered = renderMarkedUnit(source, unit, unitText.trim(), attributeReplacements);
+      if (rendered.ok) {
+        unitReplacements.push({ start: unit.start, end: unit.end, text: rendered.html });
+        continue;
+      }
+      mismatched.push(unit.id);
+    }
+
+    for (const node of unit.textNodes) {
+      const nodeText = translated.get(node.id);
+      if (typeof nodeText !== 'string' || !nodeText.trim()) {
+        untranslated.push(node.id);
+        continue;
+      }
+      const { lead, trail } = splitWhitespace(node.text);
+      textReplacements.push({ start: node.start, end: node.end, text: lead + escapeText(nodeText.trim()) + trail });
+    }
+  }
+
+  // 整单元替换已包含其内部的属性翻译，顶层只保留不被覆盖的替换
+  const covered = (replacement) => unitReplacements.some((unit) => replacement.start >= unit.start && replacement.end <= unit.end);
+  const replacements = [
+    ...unitReplacements,
+    ...textReplacements.filter((replacement) => !covered(replacement)),
+    ...attributeReplacements.filter((replacement) => !covered(replacement))
+  ].sort((a, b) => a.start - b.start);
+
+  return {
+    html: renderRange(source, 0, source.length, replacements),
+    mismatched,
+    untranslated
+  };
+}
+
+function collectSignatures(html) {
+  const dom = new JSDOM(typeof html === 'string' ? html : '');
+  const signatures = new Map();
+  const translatable = new Set(TRANSLATABLE_ATTRIBUTES);
+
+  const visit = (element, path) => {
+    for (const child of element.children) {
+      const tag = tagOf(child);
+      // 可翻译属性只比较是否存在；href 会被链接转换改写，同样只比较是否存在
+      const attributes = [...child.attributes]
+        .map((attribute) => (translatable.has(attribute.name) || attribute.name === 'href'
+          ? attribute.name
+          : `${attribute.name}=${attribute.value}`))
+        .sort()
+        .join(' ');
+      const signature = `${path}>${tag}${attributes ? `[${attributes}]` : ''}`;
+      signatures.set(signature, (signatures.get(signature) || 0) + 1);
+      visit(child, `${path}>${tag}`);
+    }
+  };
+
+  visit(dom.window.document.documentElement, 'html');
+  dom.window.close();
+  return signatures;
+}
+
+/**
+ * 逐标签比对原文与译文结构（标签、层级与非翻译属性），同级行内元素的顺序可以不同
+ * @param {string} sourceHtml
+ * @param {string} translatedHtml
+ * @returns {{ identical: boolean, missing: string[], unexpected: string[] }}
+ */
+export function diffHtmlStructure(sourceHtml, translatedHtml) {
+  const expected = collectSignatures(sourceHtml);
+  const actual = collectSignatures(translatedHtml);
+  const missing = [];
+  const unexpected = [];
+
+  for (const [signature, count] of expected) {
+    const diff = count - (actual.get(signature) || 0);
+    for (let i = 0; i < diff; i += 1) missing.push(signature);
+  }
+  for (const [signature, count] of actual) {
+    const diff = count - (expected.get(signature) || 0);
+    for (let i = 0; i < diff; i += 1) unexpected.push(signature);
+  }
+
+  return {
+    identical: missing.length === 0 && unexpected.length === 0,
+    missing,
+    unexpected
+  };
+}
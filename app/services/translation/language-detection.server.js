@@ -0,0 +1,203 @@
+// 文本语言检测（纯函数版）
+// 基于文字系统 + 常用词的轻量启发式，用于源语言判断与"原文已是目标语言"检测
+
+export const DEFAULT_SOURCE_LANGUAGE = 'en';
+
+// 原文已是目标语言时的跳过原因
+export const ALREADY_TARGET_LANGUAGE = 'already_target_language';
+
+const SCRIPT_BY_LANGUAGE = {
+  zh: 'han',
+  ja: 'japanese',
+  ko: 'hangul',
+  ru: 'cyrillic',
+  uk: 'cyrillic',
+  bg: 'cyrillic',
+  sr: 'cyrillic',
+  ar: 'arabic',
+  fa: 'arabic',
+  he: 'hebrew',
+  th: 'thai',
+  el: 'greek',
+  hi: 'devanagari'
+};
+
+const SCRIPT_PATTERNS = {
+  latin: /[A-Za-z\u00c0-\u024f]/g,
+  han: /[\u4e00-\u9fff]/g,
+  japanese: /[\u3040-\u309f\u30a0-\u30ff]/g,
+  hangul: /[\uac00-\ud7af]/g,
+  cyrillic: /[\u0400-\u04ff]/g,
+  arabic: /[\u0600-\u06ff]/g,
+  hebrew: /[\u0590-\u05ff]/g,
+  thai: /[\u0e00-\u0e7f]/g,
+  greek: /[\u0370-\u03ff]/g,
+  devanagari: /[\u0900-\u097f]/g
+};
+
+// 仅由单一语言使用的文字系统，检测到即可确定语言
+const SCRIPT_LANGUAGE = {
+  japanese: 'ja',
+  hangul: 'ko',
+  thai: 'th',
+  greek: 'el',
+  hebrew: 'he',
+  devanagari: 'hi',
+  arabic: 'ar',
+  cyrillic: 'ru',
+  han: 'zh'
+};
+
+// 拉丁文字语言的高频功能词
+const LATIN_STOPWORDS = {
+  en: ['the', 'and', 'with', 'for', 'this', 'that', 'you', 'your', 'are', 'our', 'from', 'is', 'of', 'to', 'in'],
+  de: ['der', 'die', 'das', 'und', 'mit', 'für', 'ist', 'nicht', 'ein', 'eine', 'sie', 'auf', 'den', 'dem', 'zu'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'pour', 'avec', 'est', 'une', 'dans', 'vous', 'du', 'sur', 'pas', 'au'],
+  es: ['el', 'los', 'las', 'y', 'para', 'con', 'es', 'una', 'del', 'por', 'que', 'su', 'sus', 'muy', 'al'],
+  it: ['il', 'gli', 'e', 'di', 'per', 'con', 'è', 'una', 'della', 'che', 'non', 'sono', 'nel', 'alla', 'lo'],
+  pt: ['o', 'os', 'as', 'e', 'para', 'com', 'é', 'uma', 'do', 'da', 'não', 'em', 'seu', 'sua', 'ao'],
+  nl: ['de', 'het', 'een', 'en', 'voor', 'met', 'is', 'van', 'niet', 'op', 'zijn', 'je', 'uw', 'ook', 'dat']
+};
+
+const MIN_DETECTION_LETTERS = 12;
+
+// 源语言文字占比达到该值的混合文本仍需翻译（如夹杂中文说明的英文规格参数）
+const SOURCE_SCRIPT_TOLERANCE = 0.05;
+
+export function getBaseLanguage(lang = '') {
+  return String(lang || '').split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * 获取语言使用的文字系统（未知语言按拉丁文字处理）
+ */
+export function getLanguageScript(lang) {
+  return SCRIPT_BY_LANGUAGE[getBaseLanguage(lang)] || 'latin';
+}
+
+/**
+ * 统计文本中某种文字系统的字符数
+ */
+export function countScriptChars(text, script) {
+  const pattern = SCRIPT_PATTERNS[script];
+  if (!pattern || typeof text !== 'string') return 0;
+  return (text.match(pattern) || []).length;
+}
+
+/**
+ * 两种语言是否视为同一语言（zh-CN 与 zh-TW 等同一基础语言的变体视为相同）
+ */
+export function isSameBaseLanguage(a, b) {
+  return Boolean(a) && Boolean(b) && getBaseLanguage(a) === getBaseLanguage(b);
+}
+
+/**
+ * 源语言与目标语言是否使用可区分的文字系统（中文与日语共用汉字，视为不可区分）
+ * 可区分时才能通过统计译文中的源语言文字判断残留
+ */
+export function hasDistinctScripts(sourceLanguage, targetLang) {
+  const sourceScript = getLanguageScript(sourceLanguage);
+  const targetScript = getLanguageScript(targetLang);
+  if (sourceScript === targetScript) return false;
+  return !(sourceScript === 'han' && targetScript === 'japanese');
+}
+
+function toPlainText(text) {
+  return String(text)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\{\{[^}]*\}\}|__PROTECTED_[A-Z0-9_]+__/g, ' ');
+}
+
+function countLetters(plain) {
+  return Object.keys(SCRIPT_PATTERNS).reduce((sum, script) => sum + countScriptChars(plain, script), 0);
+}
+
+// 按句子与换行拆分，用于逐段检测混合语言文本
+function splitSentences(plain) {
+  return plain.split(/[\r\n.!?;。！？；]+/).map((sentence) => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * 检测文本语言
+ * @param {string} text
+ * @returns {{ language: string, script: string, confidence: number } | null} 文本过短或无法判断时返回 null
+ */
+export function detectTextLanguage(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const plain = toPlainText(text);
+  const counts = Object.keys(SCRIPT_PATTERNS).map((script) => [script, countScriptChars(plain, script)]);
+  const letters = countLetters(plain);
+  if (letters < MIN_DETECTION_LETTERS) return null;
+
+  // 含假名即为日语（日文汉字与中文共用汉字区）
+  const kana = countScriptChars(plain, 'japanese');
+  if (kana > 0 && kana / letters >= 0.05) {
+    return { language: 'ja', script: 'japanese', confidence: Math.min(1, 0.6 + kana / letters) };
+  }
+
+  const [dominant, dominantCount] = counts.sort((a, b) => b[1] - a[1])[0];
+  const share = dominantCount / letters;
+  if (dominant !== 'latin') {
+    return share >= 0.5 ? { language: SCRIPT_LANGUAGE[dominant], script: dominant, confidence: share } : null;
+  }
+
+  const words = plain.toLowerCase().match(/[a-z\u00c0-\u024f]+/g) || [];
+  let best = null;
+  let bestHits = 0;
+  let totalHits = 0;
+  for (const [language, stopwords] of Object.entries(LATIN_STOPWORDS)) {
+    const hits = words.filter((word) => stopwords.includes(word)).length;
+    totalHits += hits;
+    if (hits > bestHits) {
+      best = language;
+      bestHits = hits;
+    }
+  }
+
+  if (!best || bestHits < 2) return null;
+  return { language: best, script: 'latin', confidence: Number((bestHits / totalHits).toFixed(2)) };
+}
+
+/**
+ * 判断文本是否像源语言（替代只识别英文的 isLikelyEnglish）
+ * 文本过短无法检测时按文字系统判断
+ */
+export function isLikelySourceLanguage(text, sourceLanguage = DEFAULT_SOURCE_LANGUAGE) {
+  const detected = detectTextLanguage(text);
+  if (detected) {
+    // 非拉丁文字（西里尔文等）多语言共用，按文字系统比较
+    return isSameBaseLanguage(detected.language, sourceLanguage) ||
+      (detected.script !== 'latin' && detected.script === getLanguageScript(sourceLanguage));
+  }
+  const script = getLanguageScript(sourceLanguage);
+  return countScriptChars(toPlainText(text || ''), script) > 0;
+}
+
+/**
+ * 判断原文是否已经是目标语言
+ * 源语言与目标语言为同一基础语言（如 zh-CN → zh-TW）时无法区分，返回 null
+ * 混有源语言内容时不跳过：文字系统可区分时看源语言字符占比，否则逐句检测
+ * @returns {{ detectedLanguage: string, confidence: number } | null}
+ */
+export function detectAlreadyTargetLanguage(text, targetLang, sourceLanguage = DEFAULT_SOURCE_LANGUAGE) {
+  if (!targetLang || isSameBaseLanguage(targetLang, sourceLanguage)) return null;
+
+  const detected = detectTextLanguage(text);
+  if (!detected || !isSameBaseLanguage(detected.language, targetLang) || detected.confidence < 0.6) {
+    return null;
+  }
+
+  const plain = toPlainText(text);
+  if (hasDistinctScripts(sourceLanguage, targetLang)) {
+    const sourceChars = countScriptChars(plain, getLanguageScript(sourceLanguage));
+    if (sourceChars / countLetters(plain) >= SOURCE_SCRIPT_TOLERANCE) return null;
+  } else {
+    const hasSourceSentence = splitSentences(plain)
+      .some((sentence) => detectTextLanguage(sentence) && isLikelySourceLanguage(sentence, sourceLanguage));
+    if (hasSourceSentence) return null;
+  }
+
+  return { detectedLanguage: detected.language, confidence: detected.confidence };
+}
@@ -5,15 +5,30 @@ import { runValidationPipeline } from './validators.server.js';
 import { buildEnhancedPrompt } from './prompts.server.js';
 import { executeTranslationRequest } from './core.server.js';
 import { logger } from '../../utils/logger.server.js';
+import { getGlossaryTerms, findMatchingTerms } from '../glossary.server.js';
+import { resolvePromptProfile, toPromptProfileAudit } from '../prompt-profile.server.js';
+import { translateHtmlSegmentStrategy, HTML_SEGMENTATION_FAILED } from './html-segment-strategy.server.js';
 
 export async function translateLongTextStrategy(text, targetLang, options = {}) {
   const maxChunkSize = options.maxChunkSize ?? options?.translation?.maxChunkSize ?? 1000;
   const htmlDetected = isLikelyHtml(text);
 
-  let workingText = text;
-  let tagMap = null;
+  // HTML 走 DOM 分段翻译；无法分段解析的 HTML 降级为占位符保护后按字符分块
+  if (htmlDetected) {
+    const segmented = await translateHtmlSegmentStrategy(text, targetLang, { ...options, maxChunkSize });
+    if (segmented.errorCode !== HTML_SEGMENTATION_FAILED) {
+      return segmented;
+    }
+    logger.warn('[TRANSLATION] HTML 分段不可用，降级为分块翻译', {
+      textLength: text.length,
+      targetLang,
+      resourceType: options.resourceType
+    });
+  }
 
   const postProcessOptions = options.postProcess || {};
+  let workingText = text;
+  let tagMap = null;
 
   try {
     if (htmlDetected) {
@@ -34,6 +49,9 @@ export async function translateLongTextStrategy(text, targetLang, options = {})
       resourceType: options.resourceType
     });
 
+    const glossaryTerms = await getGlossaryTerms(options.shopId);
+    const profile = options.promptProfile
+      ?? await resolvePromptProfile(options.shopId, targetLang, options.resourceType);
     const translatedChunks = [];
 
     for (let index = 0; index < chunkCount; index += 1) {
@@ -42,12 +60,17 @@ export async function translateLongTextStrategy(text, targetLang, options = {})
       const response = await executeTranslationRequest({
         text: chunk,
         targetLang,
-        systemPrompt: buildEnhancedPrompt(targetLang),
+        systemPrompt: buildEnhancedPrompt(targetLang, {
+          glossary: findMatchingTerms(chunk, glossaryTerms, targetLang),
+          profile,
+          sourceLanguage: options.sourceLanguage
+        }),
         strategy: chunkCount > 1 ? 'long-text-chunk' : 'long-text',
         context: {
           functionName: 'translateLongTextStrategy',
           chunkIndex: index,
-          chunkCount
+          chunkCount,
+          shopId: options.shopId
         }
       });
 
@@ -66,9 +89,7 @@ export async function translateLongTextStrategy(text, targetLang, options = {})
       translatedChunks.push(processedChunk);
     }
 
-    const joiner = htmlDetected ? '' : '\\n\\n';
-    let combined = translatedChunks.join(joiner);
-
+    let combined = translatedChunks.join(htmlDetected ? '' : '\n\n');
     if (tagMap && tagMap.size) {
       combined = restoreHtmlTags(combined, tagMap);
     }
@@ -76,6 +97,9 @@ export async function translateLongTextStrategy(text, targetLang, options = {})
     const finalContext = {
       targetLang,
       originalText: text,
+      shopId: options.shopId,
+      resourceType: options.resourceType,
+      glossary: findMatchingTerms(text, glossaryTerms, targetLang),
       ...(postProcessOptions || {}),
       linkConversion: options.linkConversion || postProcessOptions.linkConversion
     };
@@ -85,14 +109,14 @@ export async function translateLongTextStrategy(text, targetLang, options = {})
     const validation = runValidationPipeline({
       originalText: text,
       translatedText: combined,
-      targetLang
+      targetLang,
+      sourceLanguage: options.sourceLanguage
     });
 
     logger.info('[TRANSLATION] 长文本翻译完成', {
       originalLength: text.length,
       translatedLength: combined.length,
       chunkCount,
-      htmlDetected,
       isTranslated: validation.passed,
       lengthRatio: (combined.length / text.length).toFixed(2),
       resourceType: options.resourceType
@@ -101,9 +125,10 @@ export async function translateLongTextStrategy(text, targetLang, options = {})
     return {
       success: true,
       text: combined,
-      tagMap,
-      isOriginal: !isTranslated,
-      language: targetLang
+      isOriginal: !validation.passed,
+      language: targetLang,
+      glossaryViolations: finalContext.glossaryReport?.violations ?? [],
+      promptProfileAudit: toPromptProfileAudit(profile)
     };
   } catch (error) {
     logger.error('长文本翻译失败', { error: error.message, targetLang });
@@ -1,5 +1,6 @@
 import { logger } from '../../utils/logger.server.js';
 import { convertLinksForLocale } from '../link-converter.server.js';
+import { checkGlossaryCompliance } from '../glossary.server.js';
 
 const BASE_PROCESSORS = [normalizeLineEndings, trimResult, ensureFallback];
 
@@ -47,6 +48,29 @@ function createLinkConversionProcessor(context) {
   };
 }
 
+/**
+ * 术语表校验：只报告不改写，结果写入 context.glossaryReport
+ */
+function createGlossaryProcessor(context) {
+  return function verifyGlossary(input) {
+    const report = checkGlossaryCompliance({
+      translatedText: input,
+      matches: context.glossary
+    });
+    context.glossaryReport = report;
+
+    if (!report.passed) {
+      logger.warn('[PostProcess] 译文未遵守术语表', {
+        targetLang: context.targetLang,
+        shopId: context.shopId,
+        resourceType: context.resourceType,
+        violations: report.violations
+      });
+    }
+    return input;
+  };
+}
+
 function buildPipeline(context = {}) {
   const pipeline = [...BASE_PROCESSORS];
 
@@ -54,6 +78,10 @@ function buildPipeline(context = {}) {
     pipeline.push(createLinkConversionProcessor(context));
   }
 
+  if (Array.isArray(context.glossary) && context.glossary.length > 0) {
+    pipeline.push(createGlossaryProcessor(context));
+  }
+
   if (Array.isArray(context.extraProcessors)) {
     context.extraProcessors
       .filter(fn => typeof fn === 'function')
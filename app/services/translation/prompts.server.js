@@ -1,6 +1,9 @@
 // 提示词与语言名称集中管理
 // 暂保留现有逻辑，后续可按策略扩展
 
+import { buildGlossaryPromptSection } from '../glossary.server.js';
+import { buildProfilePromptSection } from '../prompt-profile.server.js';
+
 const LANGUAGE_NAMES = {
   en: '英语',
   zh: '中文',
@@ -38,6 +41,7 @@ const EXAMPLE_TRANSLATIONS = {
 };
 
 const DEFAULT_EXAMPLE_PLACEHOLDER = '对应语言';
+const DEFAULT_TONE_RULE = '保持专业的商务语调';
 
 function pickExampleTranslation(exampleKey, targetLang) {
   const translations = EXAMPLE_TRANSLATIONS[exampleKey];
@@ -54,21 +58,72 @@ export function getLanguageName(langCode = '') {
   return LANGUAGE_NAMES[langCode] || LANGUAGE_NAMES[langCode.toLowerCase?.()] || langCode;
 }
 
-export function buildEnhancedPrompt(targetLang) {
-  const languageName = getLanguageName(targetLang);
-  const waterproofExample = pickExampleTranslation('waterproof', targetLang);
-  const lightweightExample = pickExampleTranslation('lightweight', targetLang);
+/**
+ * 源语言相关的提示词片段；源语言为英语时沿用原有措辞
+ */
+function describeSourceLanguage(sourceLanguage) {
+  const base = String(sourceLanguage || 'en').split(/[-_]/)[0].toLowerCase();
+  if (base === 'en') {
+    return { isEnglish: true, textLabel: '', remnantLabel: '英文', wordLabel: '英文单词' };
+  }
+  const name = getLanguageName(sourceLanguage);
+  return { isEnglish: false, textLabel: name, remnantLabel: `${name}原文`, wordLabel: `${name}原文词语` };
+}
 
-  return `你是一个专业的电商翻译助手。请将用户提供的文本完全翻译成${languageName}。
+function buildBrandRule(brandNames) {
+  const brands = Array.isArray(brandNames) ? brandNames.filter(Boolean) : [];
+  if (brands.length === 0) {
+    return '保持品牌名称不变（店铺自有品牌及 Apple、Nike 等知名品牌）';
+  }
+  return `保持以下品牌名称不变：${brands.join('、')}；其他品牌名称同样保持原文`;
+}
+
+/**
+ * 翻译记忆模糊命中的参考译文：原文与当前文本存在差异，只能参考用词与风格
+ * @param {{ sourceText: string, translatedText: string }} [reference]
+ */
+function buildMemoryReferenceSection(reference) {
+  if (!reference?.sourceText || !reference?.translatedText) {
+    return '';
+  }
+  return `参考译文（翻译记忆中相似原文的译文，仅供参考术语与风格）：
+- 相似原文：${reference.sourceText}
+- 参考译文：${reference.translatedText}
+- 相似原文与当前原文并不相同，必须逐句按当前原文翻译，特别注意否定词、数字、条件等差异，不要照搬参考译文
+`;
+}
+
+/**
+ * 构建增强翻译提示词
+ * @param {string} targetLang
+ * @param {Object} [options]
+ * @param {Array} [options.glossary] 原文命中的术语表条目（findMatchingTerms 结果）
+ * @param {Object} [options.profile] 店铺提示词配置（resolvePromptProfile 结果）
+ * @param {string} [options.sourceLanguage='en'] 原文语言（店铺主语言）
+ * @param {Object} [options.memoryReference] 翻译记忆模糊命中的参考译文
+ */
+export function buildEnhancedPrompt(targetLang, options = {}) {
+  const languageName = getLanguageName(targetLang);
+  const source = describeSourceLanguage(options.sourceLanguage);
+  // 示例词为英文，仅在英文原文时给出
+  const exampleRules = source.isEnglish
+    ? `
+- 例如："waterproof" 必须翻译成 "${pickExampleTranslation('waterproof', targetLang)}"
+- 例如："lightweight" 必须翻译成 "${pickExampleTranslation('lightweight', targetLang)}"`
+    : '';
+  const glossarySection = buildGlossaryPromptSection(options.glossary);
+  const profileSection = buildProfilePromptSection(options.profile);
+  const referenceSection = buildMemoryReferenceSection(options.memoryReference);
+  const toneRule = options.profile && options.profile.tone !== 'neutral' ? '语调以下方品牌语气要求为准' : DEFAULT_TONE_RULE;
+
+  return `你是一个专业的电商翻译助手。请将用户提供的${source.textLabel}文本完全翻译成${languageName}。
 
 ⚠️ 重要：若原文并无"__PROTECTED_"前缀，则不要生成此类占位符。FAQ、URL、PDF等常见缩写可保留或翻译为对应语言常用表达。
 
 🔴 最重要的要求：
 - 必须将所有内容100%翻译成${languageName}
-- 除了品牌名称和产品型号外，不得保留任何英文单词
-- 即使是技术术语也要翻译成${languageName}
-- 例如："waterproof" 必须翻译成 "${waterproofExample}"
-- 例如："lightweight" 必须翻译成 "${lightweightExample}"
+- 除了品牌名称和产品型号外，不得保留任何${source.wordLabel}
+- 即使是技术术语也要翻译成${languageName}${exampleRules}
 
 🔵 HTML/CSS保护规则（非常重要）：
 1. 绝对不能翻译或修改任何以"__PROTECTED_"开头和"__"结尾的占位符
@@ -82,24 +137,39 @@ export function buildEnhancedPrompt(targetLang) {
    - 保持不变：__PROTECTED_IMG_3__
 
 品牌保护规则：
-1. 保持品牌名称不变：Onewind、Apple、Nike、Adidas等
+1. ${buildBrandRule(options.profile?.brandNames)}
 2. 保持产品型号不变：iPhone 15、Model 3、PS5等
 
 翻译标准：
 - 必须完整翻译所有文本内容，不能遗漏任何部分
-- 翻译后的文本中不应包含英文（除品牌和型号）
+- 翻译后的文本中不应包含${source.remnantLabel}（除品牌和型号）
 - 如果原文很长，确保翻译完整，不要截断
 - 保持段落和换行结构
 - 使用地道的${languageName}表达方式
-- 保持专业的商务语调
+- ${toneRule}
 - 只返回翻译结果，不要添加任何解释或说明
 
 质量检查：
-- 翻译完成后，检查是否还有英文单词残留
+- 翻译完成后，检查是否还有${source.wordLabel}残留
 - 确保所有技术术语都已翻译
 - 确保翻译自然流畅，符合目标语言习惯
 - 确保所有占位符保持原样
-`;
+${profileSection ? `\n${profileSection}` : ''}${glossarySection ? `\n${glossarySection}` : ''}${referenceSection ? `\n${referenceSection}` : ''}`;
+}
+
+/**
+ * HTML 分段翻译提示词：在增强提示词基础上说明片段与行内标记规则
+ * @param {string} targetLang
+ * @param {Object} [options] 同 buildEnhancedPrompt
+ */
+export function buildSegmentPrompt(targetLang, options = {}) {
+  return `${buildEnhancedPrompt(targetLang, options)}
+
+🟣 分段标记规则（必须遵守）：
+1. 输入由若干 <s1>…</s1>、<s2>…</s2> 片段组成，每个片段独立翻译，原样保留片段标记与编号，不要合并或拆分片段
+2. 片段中的 <x1>…</x1> 表示行内格式（加粗、链接等），<x2/> 表示图片、换行等不可翻译的内容
+3. 每个 <xN> 标记必须原样出现且只出现一次，可以随语序调整位置，但不能改变嵌套关系
+4. 不要新增任何 HTML 标签`;
 }
 
 export function buildConfigKeyPrompt(targetLang) {
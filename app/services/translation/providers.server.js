@@ -0,0 +1,397 @@
+/**
+ * 翻译引擎（Provider）注册表
+ * - openai: OpenAI 兼容的 chat/completions 接口（默认）
+ * - deepl: DeepL 风格 REST 接口
+ * - google: Google Cloud Translation v3 接口
+ * - mock: 本地模拟引擎，供测试与离线调试使用（生产环境不注册，店铺无法选用）
+ *
+ * 引擎选择优先级：显式指定 > 店铺按语言配置 > 店铺默认 > 环境变量按语言路由 > 环境变量默认
+ */
+
+import { config } from '../../utils/config.server.js';
+import {
+  createAPIHeaders,
+  createTranslationRequestBody,
+  parseAPIResponse,
+  extractTranslationFromResponse
+} from '../../utils/api.server.js';
+import { logger } from '../../utils/logger.server.js';
+
+export const DEFAULT_PROVIDER = 'openai';
+
+const SHOP_SETTINGS_TTL = 5 * 60 * 1000;
+
+const providers = new Map();
+const shopSettingsCache = new Map();
+
+function isLikelyHtml(text = '') {
+  return /<[a-z][^>]*>/i.test(text);
+}
+
+function getBaseLanguage(lang = '') {
+  return String(lang).split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * DeepL 目标语言代码映射（Shopify locale -> DeepL target_lang）
+ * @param {string} targetLang
+ * @returns {string}
+ */
+export function toDeepLLanguage(targetLang = '') {
+  const normalized = String(targetLang).replace('_', '-').toLowerCase();
+  const special = {
+    'zh-cn': 'ZH-HANS',
+    'zh-tw': 'ZH-HANT',
+    'zh-hk': 'ZH-HANT',
+    zh: 'ZH-HANS',
+    en: 'EN-US',
+    pt: 'PT-PT',
+    nb: 'NB',
+    no: 'NB'
+  };
+
+  if (special[normalized]) return special[normalized];
+  if (normalized === 'en-gb' || normalized === 'en-us' || normalized === 'pt-br' || normalized === 'pt-pt') {
+    return normalized.toUpperCase();
+  }
+  return getBaseLanguage(normalized).toUpperCase();
+}
+
+/**
+ * Google v3 目标语言代码映射（Shopify locale -> BCP-47）
+ * @param {string} targetLang
+ * @returns {string}
+ */
+export function toGoogleLanguage(targetLang = '') {
+  const normalized = String(targetLang).replace('_', '-');
+  const [base, region] = normalized.split('-');
+  if (!region) return base.toLowerCase();
+  // Google 仅对中文区分地区，其余语言使用基础代码更稳定
+  if (base.toLowerCase() === 'zh') return `zh-${region.toUpperCase()}`;
+  return base.toLowerCase();
+}
+
+async function postJson(url, { headers, body, signal, responseContext }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+    signal
+  });
+  return parseAPIResponse(response, responseContext);
+}
+
+/**
+ * OpenAI 兼容 chat/completions 引擎
+ */
+export function createOpenAIChatProvider(overrides = {}) {
+  const settings = () => ({
+    apiUrl: overrides.apiUrl ?? config.translation.apiUrl,
+    apiKey: overrides.apiKey ?? config.translation.apiKey
+  });
+
+  return {
+    name: overrides.name || 'openai',
+    label: 'OpenAI-compatible chat',
+    usesSystemPrompt: true,
+    isConfigured: () => Boolean(settings().apiUrl && settings().apiKey),
+    async translate({ text, targetLang, systemPrompt, maxTokens, signal, responseContext }) {
+      const { apiUrl, apiKey } = settings();
+      const headers = createAPIHeaders();
+      if (overrides.apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+        headers['api-key'] = apiKey;
+      }
+
+      const result = await postJson(`${apiUrl}/chat/completions`, {
+        headers,
+        body: createTranslationRequestBody(text, targetLang, systemPrompt, maxTokens),
+        signal,
+        responseContext
+      });
+
+      return { text: extractTranslationFromResponse(result) };
+    }
+  };
+}
+
+/**
+ * DeepL 风格 REST 引擎（POST /v2/translate）
+ */
+export function createDeepLProvider(overrides = {}) {
+  const settings = () => ({
+    apiUrl: overrides.apiUrl ?? config.translation.deepl?.apiUrl,
+    apiKey: overrides.apiKey ?? config.translation.deepl?.apiKey
+  });
+
+  return {
+    name: overrides.name || 'deepl',
+    label: 'DeepL REST',
+    usesSystemPrompt: false,
+    isConfigured: () => Boolean(settings().apiUrl && settings().apiKey),
+    async translate({ text, targetLang, signal, responseContext }) {
+      const { apiUrl, apiKey } = settings();
+      const body = {
+        text: [text],
+        target_lang: toDeepLLanguage(targetLang),
+        preserve_formatting: true
+      };
+      if (isLikelyHtml(text)) {
+        body.tag_handling = 'html';
+      }
+
+      const result = await postJson(`${apiUrl}/v2/translate`, {
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `DeepL-Auth-Key ${apiKey}`
+        },
+        body,
+        signal,
+        responseContext
+      });
+
+      const translated = result?.translations?.[0]?.text;
+      if (typeof translated !== 'string') {
+        throw new Error('API响应格式异常: 缺少translations字段');
+      }
+
+      return {
+        text: translated.trim(),
+        detectedSourceLanguage: result.translations[0].detected_source_language || null
+      };
+    }
+  };
+}
+
+/**
+ * Google Cloud Translation v3 引擎（projects/{id}/locations/{loc}:translateText）
+ */
+export function createGoogleV3Provider(overrides = {}) {
+  const settings = () => ({
+    apiUrl: overrides.apiUrl ?? config.translation.google?.apiUrl,
+    projectId: overrides.projectId ?? config.translation.google?.projectId,
+    location: overrides.location ?? config.translation.google?.location ?? 'global',
+    accessToken: overrides.accessToken ?? config.translation.google?.accessToken
+  });
+
+  return {
+    name: overrides.name || 'google',
+    label: 'Google Translation v3',
+    usesSystemPrompt: false,
+    isConfigured: () => {
+      const { apiUrl, projectId, accessToken } = settings();
+      return Boolean(apiUrl && projectId && accessToken);
+    },
+    async translate({ text, targetLang, signal, responseContext }) {
+      const { apiUrl, projectId, location, accessToken } = settings();
+
+      const result = await postJson(
+        `${apiUrl}/projects/${projectId}/locations/${location}:translateText`,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${accessToken}`
+          },
+          body: {
+            contents: [text],
+            targetLanguageCode: toGoogleLanguage(targetLang),
+            mimeType: isLikelyHtml(text) ? 'text/html' : 'text/plain'
+          },
+          signal,
+          responseContext
+        }
+      );
+
+      const translated = result?.translations?.[0]?.translatedText;
+      if (typeof translated !== 'string') {
+        throw new Error('API响应格式异常: 缺少translations字段');
+      }
+
+      return {
+        text: translated.trim(),
+        detectedSourceLanguage: result.translations[0].detectedLanguageCode || null
+      };
+    }
+  };
+}
+
+/**
+ * 本地模拟引擎：不发起网络请求，默认返回 `[lang] 原文`
+ * @param {Object} [options]
+ * @param {string} [options.name]
+ * @param {Function} [options.translate] 自定义翻译函数 ({ text, targetLang }) => string
+ */
+export function createMockProvider({ name = 'mock', translate } = {}) {
+  return {
+    name,
+    label: 'Local mock',
+    usesSystemPrompt: false,
+    isConfigured: () => true,
+    async translate(request) {
+      const output = typeof translate === 'function'
+        ? await translate(request)
+        : `[${request.targetLang}] ${request.text}`;
+      return { text: typeof output === 'string' ? output : output?.text ?? '' };
+    }
+  };
+}
+
+/**
+ * 注册（或覆盖）翻译引擎
+ * @param {Object} provider 需提供 name / isConfigured / translate
+ */
+export function registerTranslationProvider(provider) {
+  if (!provider?.name || typeof provider.translate !== 'function') {
+    throw new Error('翻译引擎必须提供 name 与 translate()');
+  }
+  providers.set(provider.name, {
+    isConfigured: () => true,
+    usesSystemPrompt: false,
+    label: provider.name,
+    ...provider
+  });
+  return provider;
+}
+
+export function unregisterTranslationProvider(name) {
+  return providers.delete(name);
+}
+
+export function getTranslationProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * 列出已注册引擎及其配置状态（供设置页展示）
+ */
+export function listTranslationProviders() {
+  return [...providers.values()].map((provider) => ({
+    name: provider.name,
+    label: provider.label,
+    configured: Boolean(provider.isConfigured()),
+    usesSystemPrompt: Boolean(provider.usesSystemPrompt)
+  }));
+}
+
+/**
+ * 解析 "ja:deepl,de:google" 形式的语言路由
+ * @param {string} raw
+ * @returns {Object<string, string>}
+ */
+export function parseProviderRoutes(raw = '') {
+  return String(raw || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .reduce((routes, entry) => {
+      const [lang, provider] = entry.split(':').map((part) => part?.trim());
+      if (lang && provider) {
+        routes[lang] = provider;
+      }
+      return routes;
+    }, {});
+}
+
+function pickLanguageRoute(routes = {}, targetLang = '') {
+  if (!routes || typeof routes !== 'object' || !targetLang) return null;
+  return routes[targetLang] || routes[getBaseLanguage(targetLang)] || null;
+}
+
+/**
+ * 规范化店铺引擎配置
+ * @param {Object} value ShopSettings.translationProviders
+ * @returns {{ default: string|null, languages: Object<string, string> }}
+ */
+export function normalizeProviderSettings(value) {
+  const raw = value && typeof value === 'object' ? value : {};
+  const languages = {};
+  for (const [lang, provider] of Object.entries(raw.languages || {})) {
+    if (lang && typeof provider === 'string' && provider.trim()) {
+      languages[lang] = provider.trim();
+    }
+  }
+  return {
+    default: typeof raw.default === 'string' && raw.default.trim() ? raw.default.trim() : null,
+    languages
+  };
+}
+
+async function loadShopProviderSettings(shopId) {
+  const cached = shopSettingsCache.get(shopId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  let value = normalizeProviderSettings(null);
+  try {
+    const { prisma } = await import('../../db.server.js');
+    const settings = await prisma.shopSettings.findUnique({
+      where: { shopId },
+      select: { translationProviders: true }
+    });
+    value = normalizeProviderSettings(settings?.translationProviders);
+  } catch (error) {
+    logger.warn('[TranslationProvider] 读取店铺引擎配置失败，使用默认引擎', {
+      shopId,
+      error: error.message
+    });
+  }
+
+  shopSettingsCache.set(shopId, { value, expiresAt: Date.now() + SHOP_SETTINGS_TTL });
+  return value;
+}
+
+export function invalidateProviderSettingsCache(shopId) {
+  if (shopId) {
+    shopSettingsCache.delete(shopId);
+  } else {
+    shopSettingsCache.clear();
+  }
+}
+
+/**
+ * 解析本次请求应使用的引擎名称
+ * @param {Object} params
+ * @param {string} [params.provider] 显式指定
+ * @param {string} [params.shopId]
+ * @param {string} params.targetLang
+ * @returns {Promise<string>}
+ */
+export async function resolveTranslationProvider({ provider, shopId, targetLang } = {}) {
+  const candidates = [provider];
+
+  if (shopId) {
+    const shopSettings = await loadShopProviderSettings(shopId);
+    candidates.push(pickLanguageRoute(shopSettings.languages, targetLang), shopSettings.default);
+  }
+
+  candidates.push(
+    pickLanguageRoute(parseProviderRoutes(config.translation.providerRoutes), targetLang),
+    config.translation.provider,
+    DEFAULT_PROVIDER
+  );
+
+  for (const name of candidates) {
+    if (!name) continue;
+    if (providers.has(name)) return name;
+    logger.warn('[TranslationProvider] 未注册的翻译引擎，继续回退', { provider: name, shopId, targetLang });
+  }
+
+  return DEFAULT_PROVIDER;
+}
+
+/**
+ * 判断目标语言对应引擎是否已配置（未配置时翻译直接返回原文）
+ */
+export async function isTranslationProviderConfigured(params = {}) {
+  const name = await resolveTranslationProvider(params);
+  return Boolean(getTranslationProvider(name)?.isConfigured());
+}
+
+registerTranslationProvider(createOpenAIChatProvider());
+registerTranslationProvider(createDeepLProvider());
+registerTranslationProvider(createGoogleV3Provider());
+// 模拟引擎输出 "[fr] 原文"，生产环境注册后会被发布到店面
+if (process.env.NODE_ENV !== 'production') {
+  registerTranslationProvider(createMockProvider());
+}
@@ -1,6 +1,13 @@
 import { shouldTranslate, schedule, validate } from '../hooks-manager.server.js';
 import { translateText, postProcessTranslation, translationLogger } from './core.server.js';
 import { logger } from '../../utils/logger.server.js';
+import { loadFieldLocksSafe } from '../field-lock.server.js';
+import { MEDIA_ALT_FIELD, translateMediaAltTexts } from '../media-alt.server.js';
+import { isMetaobjectResource, translateMetaobjectFields } from '../metaobject-translation.server.js';
+import { convertRichTextTranslationLinks } from '../structured-link-converter.server.js';
+import { ALREADY_TARGET_LANGUAGE } from './language-detection.server.js';
+import { toPromptProfileAudit } from '../prompt-profile.server.js';
+import { mergeGlossaryViolations } from '../glossary.server.js';
 
 function normalizeOptionValue(value) {
   if (typeof value === 'string') {
@@ -108,6 +115,11 @@ export async function translateResource(resource, targetLang, options = {}) {
   }
 
   const resourceTranslationTask = async () => {
+    // 实际调用模型时生效的提示词配置；全部字段命中记忆或无需翻译时保持为空
+    let promptProfileAudit = toPromptProfileAudit(null);
+    // 译文未遵守术语表的字段，随结果返回并在保存时写入审核问题
+    let glossaryViolations = [];
+
     const baseTranslationOptions = {
       shopId: options.shopId,
       resourceType: resource.resourceType,
@@ -116,18 +128,44 @@ export async function translateResource(resource, targetLang, options = {}) {
       sessionId: options.sessionId,
       requestId: options.requestId,
       sourceLanguage: options.sourceLanguage,
-      batchId: options.batchId
+      batchId: options.batchId,
+      onPromptProfileApplied: (audit) => {
+        if (audit?.promptProfileId) {
+          promptProfileAudit = audit;
+        }
+      },
+      onGlossaryViolations: (violations, { fieldName } = {}) => {
+        glossaryViolations = mergeGlossaryViolations(glossaryViolations, violations, fieldName);
+      }
     };
 
+    // 原文已是目标语言的字段（保留原文），随结果返回供界面提示
+    const languageFlags = [];
+
     const translateField = async (value, fieldName, extraOptions = {}) => {
       if (!value) return value;
-      return translateText(value, targetLang, {
+      const result = await translateText(value, targetLang, {
         ...baseTranslationOptions,
         fieldName,
         ...extraOptions
       });
+      if (result?.skipReason === ALREADY_TARGET_LANGUAGE) {
+        languageFlags.push({ field: fieldName, detectedLanguage: result.detectedLanguage });
+      }
+      return result;
     };
 
+    // 已锁定字段不调用翻译，保存时保留现有译文
+    const fieldLocks = await loadFieldLocksSafe(resource.id, targetLang);
+    const isLocked = (field) => fieldLocks.has(field);
+    if (fieldLocks.size > 0) {
+      translationLogger.info('跳过已锁定字段', {
+        resourceId: resource.id,
+        targetLang,
+        fields: [...fieldLocks]
+      });
+    }
+
     const translated = {
       titleTrans: null,
       descTrans: null,
@@ -139,7 +177,8 @@ export async function translateResource(resource, targetLang, options = {}) {
     };
 
     try {
-      if (resource.title) {
+      // Metaobject 的 title 是展示名（来自字段本身），只翻译字段
+      if (resource.title && !isMetaobjectResource(resource) && !isLocked('titleTrans')) {
         translated.titleTrans = await translateField(resource.title, 'title');
         translated.titleTrans = await postProcessTranslation(
           translated.titleTrans,
@@ -160,7 +199,7 @@ export async function translateResource(resource, targetLang, options = {}) {
         descriptionToTranslate = resource.descriptionHtml || resource.description;
       }
 
-      if (descriptionToTranslate) {
+      if (descriptionToTranslate && !isLocked('descTrans')) {
         translated.descTrans = await translateField(descriptionToTranslate, 'description');
         translated.descTrans = await postProcessTranslation(
           translated.descTrans,
@@ -180,7 +219,7 @@ export async function translateResource(resource, targetLang, options = {}) {
         translated.handleTrans = null;
       }
 
-      if (resource.summary) {
+      if (resource.summary && !isLocked('summaryTrans')) {
         translated.summaryTrans = await translateField(resource.summary, 'summary');
         translated.summaryTrans = await postProcessTranslation(
           translated.summaryTrans,
@@ -190,7 +229,7 @@ export async function translateResource(resource, targetLang, options = {}) {
         );
       }
 
-      if (resource.label) {
+      if (resource.label && !isLocked('labelTrans')) {
         translated.labelTrans = await translateField(resource.label, 'label');
         translated.labelTrans = await postProcessTranslation(
           translated.labelTrans,
@@ -200,7 +239,7 @@ export async function translateResource(resource, targetLang, options = {}) {
         );
       }
 
-      if (resource.seoTitle) {
+      if (resource.seoTitle && !isLocked('seoTitleTrans')) {
         translated.seoTitleTrans = await translateField(resource.seoTitle, 'seoTitle');
         translated.seoTitleTrans = await postProcessTranslation(
           translated.seoTitleTrans,
@@ -214,7 +253,7 @@ export async function translateResource(resource, targetLang, options = {}) {
         });
       }
 
-      if (resource.seoDescription) {
+      if (resource.seoDescription && !isLocked('seoDescTrans')) {
         translated.seoDescTrans = await translateField(resource.seoDescription, 'seoDescription');
         translated.seoDescTrans = await postProcessTranslation(
           translated.seoDescTrans,
@@ -231,7 +270,7 @@ export async function translateResource(resource, targetLang, options = {}) {
       switch ((resource.resourceType || '').toUpperCase()) {
         case 'PRODUCT_OPTION':
         case 'PRODUCT_OPTION_VALUE':
-          if (contentFields.name) {
+          if (contentFields.name && !isLocked('name')) {
             const normalizedName = normalizeOptionValue(contentFields.name);
             if (normalizedName) {
               dynamicTranslationFields.name = await translateField(normalizedName, 'name');
@@ -249,7 +288,7 @@ export async function translateResource(resource, targetLang, options = {}) {
               });
             }
           }
-          if (Array.isArray(contentFields.values) && contentFields.values.length > 0) {
+          if (Array.isArray(contentFields.values) && contentFields.values.length > 0 && !isLocked('values')) {
             dynamicTranslationFields.values = [];
             for (const value of contentFields.values) {
               const normalizedValue = normalizeOptionValue(value);
@@ -277,7 +316,7 @@ export async function translateResource(resource, targetLang, options = {}) {
           break;
 
         case 'PRODUCT_METAFIELD':
-          if (typeof contentFields.value === 'string' && contentFields.value.trim()) {
+          if (typeof contentFields.value === 'string' && contentFields.value.trim() && !isLocked('value')) {
             const translatedValue = await translateField(contentFields.value, 'value');
             dynamicTranslationFields.value = await postProcessTranslation(
               translatedValue,
@@ -285,13 +324,58 @@ export async function translateResource(resource, targetLang, options = {}) {
               contentFields.value,
               { linkConversion: options.linkConversion }
             );
+            // rich_text 类型的值是 JSON，链接在 link 节点的 url 中
+            Object.assign(
+              dynamicTranslationFields,
+              convertRichTextTranslationLinks(
+                resource,
+                { value: dynamicTranslationFields.value },
+                options.linkConversion,
+                targetLang
+              )
+            );
           }
           break;
 
+        case 'METAOBJECT': {
+          const metaobjectFields = await translateMetaobjectFields(
+            resource,
+            async (text, fieldKey) => postProcessTranslation(
+              await translateField(text, fieldKey),
+              targetLang,
+              text,
+              { linkConversion: options.linkConversion }
+            ),
+            isLocked
+          );
+          if (metaobjectFields) {
+            Object.assign(
+              dynamicTranslationFields,
+              convertRichTextTranslationLinks(resource, metaobjectFields, options.linkConversion, targetLang)
+            );
+          }
+          break;
+        }
+
         default:
           break;
       }
 
+      // 产品媒体 / 文章图片的 alt 文本
+      if (!isLocked(MEDIA_ALT_FIELD)) {
+        const mediaAlt = await translateMediaAltTexts(resource, async (alt, fieldName) =>
+          postProcessTranslation(
+            await translateField(alt, fieldName),
+            targetLang,
+            alt,
+            { linkConversion: options.linkConversion }
+          )
+        );
+        if (mediaAlt) {
+          dynamicTranslationFields[MEDIA_ALT_FIELD] = mediaAlt;
+        }
+      }
+
       if (Object.keys(dynamicTranslationFields).length > 0) {
         translated.translationFields = {
           ...(translated.translationFields || {}),
@@ -307,9 +391,20 @@ export async function translateResource(resource, targetLang, options = {}) {
         processedFields: processedFields.join(', ')
       });
 
+      if (languageFlags.length > 0) {
+        translationLogger.warn('部分原文字段已是目标语言，保留原文', {
+          resourceId: resource.id,
+          targetLang,
+          fields: languageFlags.map((flag) => flag.field)
+        });
+      }
+
       return {
         skipped: false,
-        translations: translated
+        translations: translated,
+        promptProfileAudit,
+        glossaryViolations,
+        ...(languageFlags.length > 0 ? { languageFlags } : {})
       };
     } catch (error) {
       translationLogger.error('资源翻译失败', {
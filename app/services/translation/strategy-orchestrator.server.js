@@ -9,6 +9,11 @@ import { createErrorResponse } from '../../utils/error-handler.server.js';
 import { buildTranslationResult } from './result-utils.server.js';
 import { executeTranslationRequest } from './core.server.js'; // re-use core request executor
 import { translateConfigKeyWithFallback } from './config-key-fallback.server.js';
+import { isLikelyHtml } from './chunking.server.js';
+import { diffHtmlStructure } from './html-segmenter.server.js';
+import { translateHtmlSegmentStrategy, HTML_SEGMENTATION_FAILED } from './html-segment-strategy.server.js';
+import { detectAlreadyTargetLanguage } from './language-detection.server.js';
+import { resolveSourceLanguage } from '../source-language.server.js';
 
 export async function translateTextWithFallbackOrchestrated(text, targetLang, options = {}) {
   const normalizedText = typeof text === 'string' ? text : '';
@@ -49,6 +54,24 @@ export async function translateTextWithFallbackOrchestrated(text, targetLang, op
     };
   }
 
+  const sourceLanguage = await resolveSourceLanguage(options);
+  const alreadyTarget = detectAlreadyTargetLanguage(normalizedText, targetLang, sourceLanguage);
+  if (alreadyTarget) {
+    logger.info('[TRANSLATION] 原文已是目标语言，跳过翻译', {
+      targetLang,
+      sourceLanguage,
+      detectedLanguage: alreadyTarget.detectedLanguage,
+      resourceType: options.resourceType
+    });
+    return {
+      success: true,
+      text: normalizedText,
+      isOriginal: true,
+      language: targetLang,
+      meta: { alreadyTargetLanguage: true, detectedLanguage: alreadyTarget.detectedLanguage }
+    };
+  }
+
   const allowSimplePrompt = options.allowSimplePrompt !== false;
   const retryCount = options.retryCount ?? 0;
   const additionalFallbacks = Array.isArray(options.fallbacks) ? options.fallbacks : [];
@@ -105,6 +128,7 @@ export async function translateTextWithFallbackOrchestrated(text, targetLang, op
         ...requestPayload,
         context: {
           ...options.context,
+          shopId: options.shopId,
           strategy: strategy.name,
           retryCount
         },
@@ -146,6 +170,27 @@ export async function translateTextWithFallbackOrchestrated(text, targetLang, op
         return placeholderHandled.result;
       }
 
+      // 整段 HTML 直译后标签被改动时，改走 DOM 分段翻译（逐标签校验后才返回）
+      if (isLikelyHtml(normalizedText) && !diffHtmlStructure(normalizedText, finalText).identical) {
+        logger.warn('[TRANSLATION] 译文 HTML 结构与原文不一致，改用分段翻译', {
+          targetLang,
+          strategy: strategy.name,
+          resourceType: options.resourceType
+        });
+        const segmented = await translateHtmlSegmentStrategy(normalizedText, targetLang, {
+          shopId: options.shopId,
+          resourceType: options.resourceType,
+          promptProfile: options.promptProfile,
+          sourceLanguage,
+          postProcess: postProcessOptions,
+          linkConversion
+        });
+        // 无法分段解析的 HTML 保持原有行为，返回整段直译结果
+        if (segmented.errorCode !== HTML_SEGMENTATION_FAILED) {
+          return segmented;
+        }
+      }
+
       return buildTranslationResult(
         {
           ...response,
@@ -1,6 +1,14 @@
 // 翻译验证管线（纯函数版）
 // 提供校验逻辑的无副作用实现，调用方负责日志与错误上报
 
+import {
+  DEFAULT_SOURCE_LANGUAGE,
+  countScriptChars,
+  getBaseLanguage,
+  getLanguageScript,
+  hasDistinctScripts
+} from './language-detection.server.js';
+
 const latinScriptLanguages = new Set([
   'en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'sv', 'da', 'no', 'fi',
   'pl', 'tr', 'ro', 'cs', 'sk', 'hu', 'bg', 'et', 'lv', 'lt'
@@ -38,7 +46,8 @@ const QualityCodes = {
   BRAND_WORD_ALTERED: 'BRAND_WORD_ALTERED',
   TRANSLATION_TOO_SHORT: 'TRANSLATION_TOO_SHORT',
   MISSING_TARGET_LANGUAGE: 'MISSING_TARGET_LANGUAGE',
-  EXCESSIVE_ENGLISH: 'EXCESSIVE_ENGLISH_REMNANTS'
+  EXCESSIVE_ENGLISH: 'EXCESSIVE_ENGLISH_REMNANTS',
+  EXCESSIVE_SOURCE: 'EXCESSIVE_SOURCE_LANGUAGE_REMNANTS'
 };
 
 const technicalKeywords = [
@@ -80,8 +89,20 @@ function buildRecord({ category, code, message, severity, retryable, context })
   return { category, code, message, severity, retryable, context };
 }
 
-export function evaluateCompleteness(originalText, translatedText, targetLang) {
+function isEnglishSource(sourceLanguage) {
+  return getBaseLanguage(sourceLanguage) === 'en';
+}
+
+/**
+ * 译文完整性检查
+ * @param {string} originalText
+ * @param {string} translatedText
+ * @param {string} targetLang
+ * @param {string} [sourceLanguage='en'] 原文语言（店铺主语言），决定"未翻译残留"按哪种文字统计
+ */
+export function evaluateCompleteness(originalText, translatedText, targetLang, sourceLanguage = DEFAULT_SOURCE_LANGUAGE) {
   const events = [];
+  const sourceScript = getLanguageScript(sourceLanguage);
 
   const isTechnicalContent = technicalKeywords.some(keyword =>
     originalText.toLowerCase().includes(keyword.toLowerCase())
@@ -106,10 +127,12 @@ export function evaluateCompleteness(originalText, translatedText, targetLang) {
     });
 
     if (originalText.trim() === translatedText.trim()) {
-      if ((targetLang === 'zh-CN' || targetLang === 'zh-TW') && /^[a-zA-Z\s\-_,.!?]+$/.test(originalText)) {
+      if ((targetLang === 'zh-CN' || targetLang === 'zh-TW') && sourceScript === 'latin' && /^[a-zA-Z\s\-_,.!?]+$/.test(originalText)) {
         return {
           isComplete: false,
-          reason: '短文本未翻译，原文和译文完全相同（英文应翻译为中文）',
+          reason: isEnglishSource(sourceLanguage)
+            ? '短文本未翻译，原文和译文完全相同（英文应翻译为中文）'
+            : `短文本未翻译，原文和译文完全相同（${sourceLanguage} 原文应翻译为中文）`,
           events
         };
       }
@@ -128,21 +151,27 @@ export function evaluateCompleteness(originalText, translatedText, targetLang) {
       }
     }
 
-    const englishChars = (translatedText.match(/[a-zA-Z]/g) || []).length;
+    // 源语言文字残留：仅在源/目标文字系统可区分时检查（拉丁源语言 → 拉丁目标语言无法据此判断）
+    const sourceChars = sourceScript === 'latin'
+      ? (translatedText.match(/[a-zA-Z]/g) || []).length
+      : countScriptChars(translatedText, sourceScript);
     const totalChars = translatedText.length;
-    const actualEnglishRatio = englishChars / Math.max(totalChars, 1);
+    const actualSourceRatio = sourceChars / Math.max(totalChars, 1);
     const normalizedTargetLang = (targetLang || '').toLowerCase();
-    const shouldCheckEnglishRatio = !latinScriptLanguages.has(normalizedTargetLang) && !normalizedTargetLang.startsWith('zh');
+    const shouldCheckSourceRatio = isEnglishSource(sourceLanguage)
+      ? !latinScriptLanguages.has(normalizedTargetLang) && !normalizedTargetLang.startsWith('zh')
+      : hasDistinctScripts(sourceLanguage, targetLang) && !normalizedTargetLang.startsWith('zh');
 
-    if (shouldCheckEnglishRatio) {
-      let englishThreshold = 0.7;
-      if (isProductContent) englishThreshold = 0.8;
-      else if (isTechnicalContent) englishThreshold = 0.75;
+    if (shouldCheckSourceRatio) {
+      let sourceThreshold = 0.7;
+      if (isProductContent) sourceThreshold = 0.8;
+      else if (isTechnicalContent) sourceThreshold = 0.75;
 
-      if (actualEnglishRatio > englishThreshold) {
+      if (actualSourceRatio > sourceThreshold) {
+        const label = isEnglishSource(sourceLanguage) ? '英文' : `源语言(${sourceLanguage})`;
         return {
           isComplete: false,
-          reason: `短文本英文内容过多，英文比例: ${(actualEnglishRatio * 100).toFixed(1)}% (阈值: ${(englishThreshold * 100).toFixed(1)}%)`,
+          reason: `短文本${label}内容过多，${label}比例: ${(actualSourceRatio * 100).toFixed(1)}% (阈值: ${(sourceThreshold * 100).toFixed(1)}%)`,
           events
         };
       }
@@ -293,7 +322,7 @@ export function evaluateCompleteness(originalText, translatedText, targetLang) {
   };
 }
 
-export function evaluateTranslationQuality(originalText, translatedText, targetLang) {
+export function evaluateTranslationQuality(originalText, translatedText, targetLang, sourceLanguage = DEFAULT_SOURCE_LANGUAGE) {
   const events = [];
   const issues = [];
   const warnings = [];
@@ -470,7 +499,7 @@ export function evaluateTranslationQuality(originalText, translatedText, targetL
     };
   }
 
-  if (targetLang !== 'en' && targetLang !== 'en-US' && targetLang !== 'en-GB') {
+  if (isEnglishSource(sourceLanguage) && targetLang !== 'en' && targetLang !== 'en-US' && targetLang !== 'en-GB') {
     const englishWords = translatedText.match(/\b[a-zA-Z]{4,}\b/g) || [];
     const nonBrandEnglish = englishWords.filter(word =>
       !brandWords.some(brand => brand.toLowerCase() === word.toLowerCase())
@@ -497,6 +526,28 @@ export function evaluateTranslationQuality(originalText, translatedText, targetL
     }
   }
 
+  if (!isEnglishSource(sourceLanguage) && hasDistinctScripts(sourceLanguage, targetLang)) {
+    const sourceScript = getLanguageScript(sourceLanguage);
+    const remainingChars = countScriptChars(translatedText.replace(/<[^>]+>/g, ' '), sourceScript);
+    const originalChars = countScriptChars(originalText.replace(/<[^>]+>/g, ' '), sourceScript);
+
+    if (originalChars > 0 && remainingChars > originalChars * 0.6) {
+      warnings.push(QualityCodes.EXCESSIVE_SOURCE);
+      pushRecord('WARNING', QualityCodes.EXCESSIVE_SOURCE,
+        `Too much ${sourceLanguage} text remains in ${targetLang} translation`,
+        2,
+        true,
+        {
+          sourceLanguage,
+          targetLanguage: targetLang,
+          remainingChars,
+          originalChars,
+          threshold: '60%'
+        }
+      );
+    }
+  }
+
   return {
     isValid: issues.length === 0,
     terminate: false,
@@ -508,9 +559,9 @@ export function evaluateTranslationQuality(originalText, translatedText, targetL
   };
 }
 
-export function runValidationPipeline({ originalText, translatedText, targetLang }) {
-  const completeness = evaluateCompleteness(originalText, translatedText, targetLang);
-  const quality = evaluateTranslationQuality(originalText, translatedText, targetLang);
+export function runValidationPipeline({ originalText, translatedText, targetLang, sourceLanguage }) {
+  const completeness = evaluateCompleteness(originalText, translatedText, targetLang, sourceLanguage);
+  const quality = evaluateTranslationQuality(originalText, translatedText, targetLang, sourceLanguage);
 
   return {
     completeness,
@@ -3,17 +3,39 @@
  * 处理Shopify webhook事件，触发自动翻译
  */
 
+import crypto from 'crypto';
 import prisma from '../db.server.js';
 import { logger } from '../utils/logger.server.js';
-import { addTranslationJob } from './queue.server.js';
+import { addTranslationJob, addIncrementalTranslationJob, getIncrementalJobId } from './queue.server.js';
 import { captureError } from '../utils/error-handler.server.js';
 import { invalidateCoverageCache } from './language-coverage.server.js';
+import { notificationDispatcher } from './notification-channels.server.js';
 import { webhookConfig, getResourcePriority, getDedupWindowMs } from '../config/webhook-config.js';
 
+/**
+ * 内容类资源 webhook：topic 前缀 -> 资源类型与 payload 字段到 Resource 列的映射
+ * 菜单与店铺政策在 Admin API 中没有对应的 webhook 主题，由定时翻译计划在每次运行前从 Shopify 刷新源内容
+ */
+const CONTENT_WEBHOOK_RESOURCES = {
+  pages: {
+    resourceType: 'PAGE',
+    fields: { title: 'title', body_html: 'description' }
+  },
+  articles: {
+    resourceType: 'ARTICLE',
+    fields: { title: 'title', body_html: 'description', summary_html: 'summary' }
+  },
+  blogs: {
+    resourceType: 'BLOG',
+    fields: { title: 'title' }
+  }
+};
+
 /**
  * Webhook事件处理器注册表
  */
 const WEBHOOK_HANDLERS = {
+  ...buildContentWebhookHandlers(),
   'products/create': handleProductCreate,
   'products/update': handleProductUpdate,
   'products/delete': handleProductDelete,
@@ -64,8 +86,10 @@ export async function logWebhookEvent(shop, topic, payload) {
  */
 export async function processWebhookEvent(shop, topic, payload) {
   try {
-    // 检查是否启用自动翻译
-    if (!webhookConfig.autoTranslateEnabled) {
+    const contentResource = getContentWebhookResource(topic);
+
+    // 检查是否启用自动翻译（内容类主题仍需记录源内容变更，由处理器决定是否入队）
+    if (!webhookConfig.autoTranslateEnabled && !contentResource) {
       logger.info('Webhook自动翻译未启用', { shop, topic });
       return { success: true, message: '自动翻译未启用' };
     }
@@ -73,6 +97,11 @@ export async function processWebhookEvent(shop, topic, payload) {
     // 检查去重（避免短时间内重复处理）
     const isDuplicate = await checkDuplicateEvent(shop, topic, payload);
     if (isDuplicate) {
+      // 内容类更新：窗口内不重复记录事件，但源内容有变化时仍排队（窗口内首个事件可能没有可翻译变更）
+      if (contentResource && !topic.endsWith('/delete')) {
+        logger.info('内容webhook在去重窗口内，按源内容变更处理', { shop, topic });
+        return await handleContentUpsert(shop, contentResource, payload, { debounced: true });
+      }
       logger.info('检测到重复webhook事件，跳过处理', { shop, topic });
       return { success: true, message: '重复事件已跳过' };
     }
@@ -148,20 +177,13 @@ async function checkDuplicateEvent(shop, topic, payload) {
  * 发送错误通知
  */
 async function sendErrorNotification(shop, topic, result) {
-  const message = `Webhook处理失败\n店铺: ${shop}\n事件: ${topic}\n错误: ${result.error || result.message}`;
-  
-  // 发送到Slack
-  if (webhookConfig.notification.slackWebhook) {
-    try {
-      await fetch(webhookConfig.notification.slackWebhook, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text: message })
-      });
-    } catch (error) {
-      logger.error('发送Slack通知失败', { error: error.message });
-    }
-  }
+  // 经通知分发器发送到店铺渠道和默认渠道，同一窗口内的失败合并为一条摘要
+  await notificationDispatcher.notify({
+    level: 'CRITICAL',
+    type: 'WEBHOOK_FAILURE',
+    message: `Webhook处理失败: ${topic} - ${result.error || result.message}`,
+    details: { topic }
+  }, { shopId: shop });
   
   // 记录到日志
   logger.error('Webhook处理失败', {
@@ -227,6 +249,13 @@ async function shouldTranslate(shop, resourceType, resourceId) {
   }
 }
 
+/**
+ * webhook 优先级 -> 队列优先级（数值越小越先执行）
+ */
+function toQueuePriority(priority) {
+  return priority === 'HIGH' ? 1 : priority === 'NORMAL' ? 5 : 10;
+}
+
 /**
  * 将资源加入翻译队列
  */
@@ -278,7 +307,7 @@ async function queueTranslation(shop, resourceType, resourceId, priority = 'NORM
         lang.code,
         shop,
         {
-          priority: priority === 'HIGH' ? 1 : priority === 'NORMAL' ? 5 : 10,
+          priority: toQueuePriority(priority),
           source: 'webhook'
         }
       );
@@ -547,6 +576,194 @@ async function handleLocaleUpdate(shop, payload, event) {
 }
 
 
+/**
+ * 内容摘要（与增量翻译 contentDigests 的算法一致）
+ */
+function calculateContentDigest(content) {
+  if (!content || typeof content !== 'string') {
+    return null;
+  }
+  return crypto.createHash('md5').update(content.trim()).digest('hex');
+}
+
+function getContentWebhookResource(topic) {
+  return CONTENT_WEBHOOK_RESOURCES[topic.split('/')[0]] || null;
+}
+
+function buildContentWebhookHandlers() {
+  const handlers = {};
+  for (const [prefix, contentResource] of Object.entries(CONTENT_WEBHOOK_RESOURCES)) {
+    const upsert = (shop, payload) => handleContentUpsert(shop, contentResource, payload);
+    handlers[`${prefix}/create`] = upsert;
+    handlers[`${prefix}/update`] = upsert;
+    handlers[`${prefix}/delete`] = (shop, payload) => handleContentDelete(shop, contentResource, payload);
+  }
+  return handlers;
+}
+
+async function findContentResource(shop, resourceType, payload) {
+  // payload 缺少 id 时不查询，避免 resourceId 条件被忽略而匹配到其他资源
+  if (payload.id == null) return null;
+  return prisma.resource.findFirst({
+    where: {
+      shopId: shop,
+      resourceType: resourceType.toLowerCase(),
+      resourceId: payload.id?.toString()
+    }
+  });
+}
+
+/**
+ * 对比 payload 与已存储的源内容，返回需要更新的列
+ * 变更字段保留译文对应的旧 digest；尚无 digest 时写入旧内容的 digest，
+ * 使增量翻译将其识别为 content_changed
+ */
+function buildContentChange(resource, payload, fields) {
+  const data = {};
+  const changedFields = [];
+  const contentDigests = { ...(resource?.contentDigests || {}) };
+
+  for (const [payloadKey, column] of Object.entries(fields)) {
+    if (!Object.prototype.hasOwnProperty.call(payload, payloadKey)) continue;
+
+    const next = payload[payloadKey] ?? '';
+    const previous = resource?.[column] ?? '';
+    if (resource && next === previous) continue;
+
+    changedFields.push(column);
+    data[column] = next;
+    if (column === 'description') {
+      data.descriptionHtml = next;
+    }
+    if (resource && contentDigests[column] === undefined) {
+      contentDigests[column] = calculateContentDigest(previous);
+    }
+  }
+
+  return { data, changedFields, contentDigests };
+}
+
+/**
+ * 为店铺所有启用语言创建增量翻译任务
+ * 每个（店铺、资源、语言）使用固定 jobId，窗口内的后续更新替换待执行任务并重新计时，
+ * 一次突发更新只在最后一次更新后翻译一次；已是最新的字段仍按 digest 跳过
+ */
+async function queueIncrementalTranslation(shop, resource, resourceType) {
+  const languages = await prisma.language.findMany({
+    where: { shopId: shop, enabled: true }
+  });
+
+  if (languages.length === 0) {
+    logger.warn('店铺未配置目标语言', { shop });
+    return [];
+  }
+
+  const priority = getResourcePriority(resourceType);
+  const jobs = [];
+  for (const lang of languages) {
+    jobs.push(await addIncrementalTranslationJob([resource.id], shop, lang.code, shop, {
+      priority: toQueuePriority(priority),
+      delay: getDedupWindowMs(),
+      jobId: getIncrementalJobId(shop, resource.id, lang.code)
+    }));
+  }
+
+  logger.info('增量翻译任务已加入队列', {
+    shop,
+    resourceType,
+    resourceId: resource.id,
+    taskCount: jobs.length,
+    priority
+  });
+  return jobs;
+}
+
+/**
+ * 处理页面 / 文章 / 博客的创建与更新：写入新的源内容，并按需排队增量翻译
+ */
+async function handleContentUpsert(shop, contentResource, payload, { debounced = false } = {}) {
+  const { resourceType, fields } = contentResource;
+  if (payload.id == null) {
+    return { success: false, message: 'payload 缺少资源 id' };
+  }
+  invalidateCoverageCache(shop, {
+    resourceType,
+    scope: 'resource',
+    scopeId: payload.admin_graphql_api_id
+  });
+
+  const existing = await findContentResource(shop, resourceType, payload);
+  const { data, changedFields, contentDigests } = buildContentChange(existing, payload, fields);
+
+  if (changedFields.length === 0) {
+    return { success: true, message: '内容未变化，无需翻译' };
+  }
+
+  const resource = existing
+    ? await prisma.resource.update({
+        where: { id: existing.id },
+        data: {
+          ...data,
+          contentDigests,
+          contentVersion: { increment: 1 }
+        }
+      })
+    : await prisma.resource.create({
+        data: {
+          shopId: shop,
+          resourceType: resourceType.toLowerCase(),
+          resourceId: payload.id.toString(),
+          originalResourceId: payload.admin_graphql_api_id || null,
+          gid: payload.admin_graphql_api_id || '',
+          handle: payload.handle || null,
+          title: '',
+          ...data,
+          status: 'pending'
+        }
+      });
+
+  logger.info('内容webhook已记录源内容变更', {
+    shop,
+    resourceType,
+    resourceId: resource.id,
+    changedFields,
+    debounced
+  });
+
+  const shopSettings = await prisma.shop.findUnique({
+    where: { domain: shop },
+    select: { autoTranslateEnabled: true }
+  });
+  if (!webhookConfig.autoTranslateEnabled || !shopSettings?.autoTranslateEnabled) {
+    return { success: true, message: '源内容已标记变更，自动翻译未启用', changedFields };
+  }
+
+  await queueIncrementalTranslation(shop, resource, resourceType);
+  return { success: true, message: '增量翻译任务已创建', changedFields };
+}
+
+/**
+ * 处理页面 / 文章 / 博客删除：清理资源及其翻译记录
+ */
+async function handleContentDelete(shop, contentResource, payload) {
+  const { resourceType } = contentResource;
+  invalidateCoverageCache(shop, {
+    resourceType,
+    scope: 'resource',
+    scopeId: payload.admin_graphql_api_id || payload.id?.toString()
+  });
+
+  const resource = await findContentResource(shop, resourceType, payload);
+  if (!resource) {
+    return { success: true, message: '资源未扫描，无需清理' };
+  }
+
+  await prisma.translation.deleteMany({ where: { resourceId: resource.id } });
+  await prisma.resource.delete({ where: { id: resource.id } });
+
+  return { success: true, message: `${resourceType} 翻译记录已清理` };
+}
+
 /**
  * 从topic获取资源类型
  */
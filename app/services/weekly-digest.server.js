@@ -0,0 +1,453 @@
+/**
+ * 商家周报服务
+ * - 统计周期为上一个完整自然周（UTC 周一 00:00 至下周一 00:00）
+ * - 汇总：各语言完成的翻译数、额度消耗与套餐额度、覆盖率变化（与上一份周报对比）、
+ *   源内容修改导致的过期译文、同步失败与错误日志
+ * - 报告存入 WeeklyDigest.report，应用内页面与 HTML 邮件共用同一份数据
+ * - 由 scripts/translation-queue-worker.js 中的 WeeklyDigestRunner 定期生成，
+ *   邮件发送到店铺启用的邮件通知渠道
+ */
+
+import { prisma } from '../db.server.js';
+import { logger } from '../utils/logger.server.js';
+import { ValidationError } from '../utils/error-handler.server.js';
+import { calculateLanguageCoverage } from './language-coverage.server.js';
+import { notificationDispatcher, NOTIFICATION_CHANNEL_TYPES } from './notification-channels.server.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const SYNC_FAILURE_LIMIT = 10;
+const ERROR_TYPE_LIMIT = 5;
+
+/**
+ * 计算 now 之前最近一个完整自然周
+ * @param {Date} [now]
+ * @returns {{ periodStart: Date, periodEnd: Date }}
+ */
+export function getDigestPeriod(now = new Date()) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const daysSinceMonday = (new Date(midnight).getUTCDay() + 6) % 7;
+  const periodEnd = new Date(midnight - daysSinceMonday * DAY_MS);
+  return { periodStart: new Date(periodEnd.getTime() - WEEK_MS), periodEnd };
+}
+
+function toCount(row) {
+  return typeof row._count === 'number' ? row._count : row._count?._all ?? 0;
+}
+
+async function collectTranslations(shopId, range) {
+  const rows = await prisma.translation.groupBy({
+    by: ['language'],
+    where: { shopId, status: 'completed', updatedAt: range },
+    _count: { _all: true }
+  });
+  const byLanguage = rows
+    .map((row) => ({ language: row.language, completed: toCount(row) }))
+    .sort((a, b) => b.completed - a.completed);
+  return {
+    total: byLanguage.reduce((sum, row) => sum + row.completed, 0),
+    byLanguage
+  };
+}
+
+async function collectCredits(shopId, range, periodEnd) {
+  const monthStart = new Date(Date.UTC(periodEnd.getUTCFullYear(), periodEnd.getUTCMonth(), 1));
+  const [byLanguageRows, monthUsage, subscription] = await Promise.all([
+    prisma.creditUsage.groupBy({
+      by: ['targetLanguage'],
+      where: { shopId, status: 'completed', usageDate: range },
+      _sum: { creditsUsed: true }
+    }),
+    prisma.creditUsage.aggregate({
+      where: { shopId, status: 'completed', usageDate: { gte: monthStart, lt: periodEnd } },
+      _sum: { creditsUsed: true }
+    }),
+    prisma.shopSubscription.findUnique({
+      where: { shopId },
+      include: { plan: true }
+    })
+  ]);
+
+  const byLanguage = byLanguageRows
+    .map((row) => ({ language: row.targetLanguage || null, credits: row._sum.creditsUsed || 0 }))
+    .sort((a, b) => b.credits - a.credits);
+  const planCredits = subscription?.plan?.monthlyCredits ?? null;
+  const monthToDate = monthUsage._sum.creditsUsed || 0;
+
+  return {
+    spent: byLanguage.reduce((sum, row) => sum + row.credits, 0),
+    byLanguage,
+    monthToDate,
+    planName: subscription?.plan?.displayName || null,
+    planCredits,
+    planUsagePercent: planCredits ? Number((monthToDate / planCredits * 100).toFixed(1)) : null
+  };
+}
+
+async function collectCoverage(shopId, previousReport) {
+  const languages = await prisma.language.findMany({
+    where: { shopId, isActive: true, enabled: true },
+    select: { code: true, name: true }
+  });
+  const previous = new Map((previousReport?.coverage || []).map((row) => [row.language, row]));
+
+  const rows = [];
+  for (const language of languages) {
+    try {
+      const result = await calculateLanguageCoverage(shopId, language.code, { forceRefresh: true });
+      const coverage = result.percentages.coverage;
+      const before = previous.get(language.code)?.coverage;
+      rows.push({
+        language: language.code,
+        name: language.name,
+        coverage,
+        previous: before ?? null,
+        delta: before == null ? null : Number((coverage - before).toFixed(2)),
+        total: result.counts.total,
+        stale: result.counts.stale,
+        missing: result.counts.missing
+      });
+    } catch (error) {
+      logger.warn('[WeeklyDigest] 覆盖率计算失败，已跳过该语言', { shopId, language: language.code, error: error.message });
+    }
+  }
+  return rows;
+}
+
+async function collectSyncFailures(shopId, range) {
+  const where = { shopId, syncStatus: 'failed', updatedAt: range };
+  const [total, rows] = await Promise.all([
+    prisma.translation.count({ where }),
+    prisma.translation.findMany({
+      where,
+      orderBy: { updatedAt: 'desc' },
+      take: SYNC_FAILURE_LIMIT,
+      select: {
+        language: true,
+        syncError: true,
+        updatedAt: true,
+        resource: { select: { resourceType: true, title: true } }
+      }
+    })
+  ]);
+
+  return {
+    total,
+    items: rows.map((row) => ({
+      language: row.language,
+      resourceType: row.resource?.resourceType || null,
+      title: row.resource?.title || null,
+      error: row.syncError ? String(row.syncError).slice(0, 200) : null,
+      at: row.updatedAt.toISOString()
+    }))
+  };
+}
+
+async function collectErrors(shopId, range) {
+  const rows = await prisma.errorLog.groupBy({
+    by: ['errorType'],
+    where: { shopId, createdAt: range },
+    _count: { _all: true }
+  });
+  const byType = rows
+    .map((row) => ({ errorType: row.errorType, count: toCount(row) }))
+    .sort((a, b) => b.count - a.count);
+  return {
+    total: byType.reduce((sum, row) => sum + row.count, 0),
+    byType: byType.slice(0, ERROR_TYPE_LIMIT)
+  };
+}
+
+/**
+ * 生成周报数据（不落库）
+ * 覆盖率为生成时的当前值，delta 相对上一份周报
+ * @param {string} shopId
+ * @param {{ periodStart: Date, periodEnd: Date, previousReport?: Object }} options
+ */
+export async function buildWeeklyDigest(shopId, { periodStart, periodEnd, previousReport = null }) {
+  const range = { gte: periodStart, lt: periodEnd };
+
+  const [translations, credits, coverage, syncFailures, errors] = await Promise.all([
+    collectTranslations(shopId, range),
+    collectCredits(shopId, range, periodEnd),
+    collectCoverage(shopId, previousReport),
+    collectSyncFailures(shopId, range),
+    collectErrors(shopId, range)
+  ]);
+
+  return {
+    period: { start: periodStart.toISOString(), end: periodEnd.toISOString() },
+    translations,
+    credits,
+    coverage,
+    stale: { total: coverage.reduce((sum, row) => sum + row.stale, 0) },
+    syncFailures,
+    errors
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatDay(iso) {
+  return iso.slice(0, 10);
+}
+
+function formatDelta(delta) {
+  if (delta == null) return 'new';
+  return `${delta > 0 ? '+' : ''}${delta} pts`;
+}
+
+function renderTable(headings, rows) {
+  const cell = 'padding:6px 10px;border-bottom:1px solid #e3e3e3;text-align:left;';
+  return [
+    '<table style="border-collapse:collapse;width:100%;font-size:14px;">',
+    `<tr>${headings.map((heading) => `<th style="${cell}background:#f6f6f7;">${escapeHtml(heading)}</th>`).join('')}</tr>`,
+    ...rows.map((row) => `<tr>${row.map((value) => `<td style="${cell}">${escapeHtml(value)}</td>`).join('')}</tr>`),
+    '</table>'
+  ].join('\n');
+}
+
+/**
+ * 渲染周报邮件（英文，面向商家）
+ * @param {Object} report - buildWeeklyDigest 的返回值
+ * @param {{ shopDomain: string, appUrl?: string }} options
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderDigestEmail(report, { shopDomain, appUrl } = {}) {
+  const period = `${formatDay(report.period.start)} – ${formatDay(new Date(Date.parse(report.period.end) - DAY_MS).toISOString())}`;
+  const { translations, credits, coverage, stale, syncFailures, errors } = report;
+  const planLine = credits.planCredits
+    ? `${credits.monthToDate} of ${credits.planCredits} monthly credits used (${credits.planUsagePercent}%)`
+    : `${credits.monthToDate} credits used this month`;
+
+  const subject = `Weekly translation digest for ${shopDomain} (${period})`;
+
+  const text = [
+    subject,
+    '',
+    `Translations completed: ${translations.total}`,
+    ...translations.byLanguage.map((row) => `  ${row.language}: ${row.completed}`),
+    `Credits spent: ${credits.spent} · ${planLine}`,
+    'Coverage:',
+    ...coverage.map((row) => `  ${row.language}: ${row.coverage}% (${formatDelta(row.delta)}), ${row.stale} outdated`),
+    `Outdated translations after source edits: ${stale.total}`,
+    `Sync failures: ${syncFailures.total}`,
+    ...syncFailures.items.map((item) => `  ${item.language} · ${item.title || item.resourceType}: ${item.error || 'unknown error'}`),
+    `Errors logged: ${errors.total}`,
+    ...(appUrl ? ['', `Open the full report: ${appUrl}`] : [])
+  ].join('\n');
+
+  const section = (title, body) => `<h3 style="margin:24px 0 8px;font-size:16px;">${escapeHtml(title)}</h3>\n${body}`;
+  const html = [
+    '<div style="font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,sans-serif;color:#202223;max-width:640px;">',
+    `<h2 style="font-size:20px;margin:0 0 4px;">Weekly translation digest</h2>`,
+    `<p style="margin:0;color:#6d7175;">${escapeHtml(shopDomain)} · ${escapeHtml(period)}</p>`,
+    section(
+      `Translations completed: ${translations.total}`,
+      translations.byLanguage.length > 0
+        ? renderTable(['Language', 'Completed'], translations.byLanguage.map((row) => [row.language, row.completed]))
+        : '<p>No translations were completed this week.</p>'
+    ),
+    section(
+      `Credits spent: ${credits.spent}`,
+      `<p>${escapeHtml(planLine)}</p>`
+    ),
+    section(
+      'Language coverage',
+      coverage.length > 0
+        ? renderTable(
+          ['Language', 'Coverage', 'Change', 'Outdated', 'Missing'],
+          coverage.map((row) => [row.language, `${row.coverage}%`, formatDelta(row.delta), row.stale, row.missing])
+        )
+        : '<p>No target languages are enabled.</p>'
+    ),
+    section(
+      `Outdated after source edits: ${stale.total}`,
+      '<p>These fields changed in your store after they were translated and will be refreshed on the next run.</p>'
+    ),
+    section(
+      `Sync failures: ${syncFailures.total}`,
+      syncFailures.items.length > 0
+        ? renderTable(
+          ['Language', 'Resource', 'Error'],
+          syncFailures.items.map((item) => [item.language, item.title || item.resourceType || '-', item.error || '-'])
+        )
+        : '<p>All translations were published successfully.</p>'
+    ),
+    section(
+      `Errors logged: ${errors.total}`,
+      errors.byType.length > 0
+        ? renderTable(['Type', 'Count'], errors.byType.map((row) => [row.errorType, row.count]))
+        : '<p>No errors were recorded.</p>'
+    ),
+    ...(appUrl ? [`<p style="margin-top:24px;"><a href="${escapeHtml(appUrl)}">Open the full report</a></p>`] : []),
+    '</div>'
+  ].join('\n');
+
+  return { subject, text, html };
+}
+
+async function sendDigestEmail(shop, digest) {
+  const channels = await prisma.notificationChannel.findMany({
+    where: { shopId: shop.id, enabled: true, type: NOTIFICATION_CHANNEL_TYPES.EMAIL }
+  });
+  if (channels.length === 0) {
+    return { sent: 0, error: null };
+  }
+
+  const appUrl = process.env.SHOPIFY_APP_URL ? `${process.env.SHOPIFY_APP_URL.replace(/\/$/, '')}/app/digest` : undefined;
+  const message = renderDigestEmail(digest.report, { shopDomain: shop.domain, appUrl });
+  const errors = [];
+  let sent = 0;
+
+  for (const channel of channels) {
+    const result = await notificationDispatcher.send(channel, message);
+    if (result.sent) sent++;
+    else errors.push(result.error);
+  }
+
+  return { sent, error: errors.length > 0 ? errors.join('; ').slice(0, 500) : null };
+}
+
+/**
+ * 生成（或重新生成）指定周期的周报，并按需发送邮件
+ * @param {string} shopId
+ * @param {{ now?: Date, sendEmail?: boolean }} [options]
+ */
+export async function generateWeeklyDigest(shopId, { now = new Date(), sendEmail = true } = {}) {
+  const shop = await prisma.shop.findUnique({
+    where: { id: shopId },
+    select: { id: true, domain: true }
+  });
+  if (!shop) {
+    throw new ValidationError('店铺不存在', 'shopId');
+  }
+
+  const { periodStart, periodEnd } = getDigestPeriod(now);
+  const previous = await prisma.weeklyDigest.findFirst({
+    where: { shopId, periodStart: { lt: periodStart } },
+    orderBy: { periodStart: 'desc' }
+  });
+
+  const report = await buildWeeklyDigest(shopId, { periodStart, periodEnd, previousReport: previous?.report });
+  let digest = await prisma.weeklyDigest.upsert({
+    where: { shopId_periodStart: { shopId, periodStart } },
+    create: { shopId, periodStart, periodEnd, report },
+    update: { periodEnd, report }
+  });
+
+  logger.info('[WeeklyDigest] 周报已生成', {
+    shopId,
+    periodStart: periodStart.toISOString(),
+    translations: report.translations.total,
+    credits: report.credits.spent
+  });
+
+  if (sendEmail) {
+    const result = await sendDigestEmail(shop, digest);
+    if (result.sent > 0 || result.error) {
+      digest = await prisma.weeklyDigest.update({
+        where: { id: digest.id },
+        data: {
+          emailedAt: result.sent > 0 ? new Date() : digest.emailedAt,
+          emailError: result.error
+        }
+      });
+    }
+  }
+
+  return digest;
+}
+
+export async function listWeeklyDigests(shopId, { limit = 12 } = {}) {
+  return prisma.weeklyDigest.findMany({
+    where: { shopId },
+    orderBy: { periodStart: 'desc' },
+    take: limit
+  });
+}
+
+export async function getWeeklyDigest(shopId, digestId) {
+  const digest = await prisma.weeklyDigest.findFirst({
+    where: { id: digestId, shopId }
+  });
+  if (!digest) {
+    throw new ValidationError('周报不存在或不属于当前店铺', 'digestId');
+  }
+  return digest;
+}
+
+/**
+ * 为尚未生成本期周报的店铺生成周报
+ * @param {{ now?: Date }} [options]
+ * @returns {Promise<Array<{ shopId: string, digestId?: string, error?: string }>>}
+ */
+export async function runDueDigests({ now = new Date() } = {}) {
+  const { periodStart } = getDigestPeriod(now);
+  const shops = await prisma.shop.findMany({ select: { id: true } });
+  const results = [];
+
+  for (const shop of shops) {
+    const existing = await prisma.weeklyDigest.findUnique({
+      where: { shopId_periodStart: { shopId: shop.id, periodStart } },
+      select: { id: true }
+    });
+    if (existing) continue;
+
+    try {
+      const digest = await generateWeeklyDigest(shop.id, { now });
+      results.push({ shopId: shop.id, digestId: digest.id });
+    } catch (error) {
+      logger.error('[WeeklyDigest] 周报生成失败', { shopId: shop.id, error: error.message });
+      results.push({ shopId: shop.id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Worker 内的周报触发器
+ */
+export class WeeklyDigestRunner {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs ?? 60 * 60 * 1000; // 默认每小时检查一次
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return false;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    this.timer.unref?.();
+    logger.info(`[WeeklyDigest] started, interval ${this.intervalMs}ms`);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    logger.info('[WeeklyDigest] stopped');
+  }
+
+  async tick() {
+    if (this.ticking) return [];
+    this.ticking = true;
+    try {
+      return await runDueDigests();
+    } catch (error) {
+      logger.error('[WeeklyDigest] 检查待生成周报失败', { error: error.message });
+      return [];
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
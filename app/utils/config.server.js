@@ -81,8 +81,36 @@ export const config = {
     minRequestIntervalMs: getEnvVar('TRANSLATION_MIN_REQUEST_INTERVAL_MS', 3000, 'number'),
     skipEnabled: getEnvVar('ENABLE_TRANSLATION_SKIP', 'false') === 'true',
     skipOnlyWithHash: getEnvVar('TRANSLATION_SKIP_ONLY_WITH_HASH', 'true') !== 'false',
+    // 翻译引擎选择：openai / deepl / google / mock
+    provider: getEnvVar('TRANSLATION_PROVIDER', 'openai'),
+    providerRoutes: getEnvVar('TRANSLATION_PROVIDER_ROUTES', ''), // 按语言路由，如 "ja:deepl,de:google"
+    deepl: {
+      apiUrl: getEnvVar('DEEPL_API_URL', 'https://api-free.deepl.com'),
+      apiKey: getEnvVar('DEEPL_API_KEY'),
+    },
+    google: {
+      apiUrl: getEnvVar('GOOGLE_TRANSLATE_API_URL', 'https://translation.googleapis.com/v3'),
+      projectId: getEnvVar('GOOGLE_TRANSLATE_PROJECT_ID'),
+      location: getEnvVar('GOOGLE_TRANSLATE_LOCATION', 'global'),
+      accessToken: getEnvVar('GOOGLE_TRANSLATE_ACCESS_TOKEN'),
+    },
+    // 深度质量评估的评审模型（OpenAI 兼容接口），未配置时复用翻译接口
+    qualityJudge: {
+      apiUrl: getEnvVar('QUALITY_JUDGE_API_URL'),
+      apiKey: getEnvVar('QUALITY_JUDGE_API_KEY'),
+      model: getEnvVar('QUALITY_JUDGE_MODEL'),
+    },
   },
   
+  // 翻译记忆配置
+  translationMemory: {
+    enabled: getEnvVar('TRANSLATION_MEMORY_ENABLED', true, 'boolean'),
+    fuzzyEnabled: getEnvVar('TRANSLATION_MEMORY_FUZZY_ENABLED', true, 'boolean'),
+    fuzzyThreshold: getEnvVar('TRANSLATION_MEMORY_FUZZY_THRESHOLD', 0.95, 'number'), // 模糊命中最低相似度
+    maxCandidates: getEnvVar('TRANSLATION_MEMORY_MAX_CANDIDATES', 200, 'number'),
+    minLength: getEnvVar('TRANSLATION_MEMORY_MIN_LENGTH', 2, 'number'),
+  },
+
   // 队列配置
   queue: {
     concurrency: getEnvVar('QUEUE_CONCURRENCY', 2, 'number'),
@@ -0,0 +1,86 @@
+/**
+ * 标记差异工具 - 客户端/服务端通用
+ *
+ * 对比原文与译文中的 HTML 标签与占位符，供人工编辑器高亮差异：
+ * - HTML 标签：按标签名+开闭类型计数（忽略属性值，属性翻译属于正常改动）
+ * - 占位符：Liquid {{ x }} / {% x %}、{x}、%s / %1$s 等
+ */
+
+const TAG_PATTERN = /<\/?([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*?(\/?)>/g;
+const PLACEHOLDER_PATTERN = /\{\{[^}]*\}\}|\{%[^%]*%\}|\{[a-zA-Z0-9_.-]+\}|%(?:\d+\$)?[sdif@]/g;
+
+/**
+ * 提取标签与占位符序列
+ * @param {string} text - 原文或译文
+ * @returns {{ tags: string[], placeholders: string[] }}
+ */
+export function extractMarkupTokens(text) {
+  if (typeof text !== 'string' || !text) {
+    return { tags: [], placeholders: [] };
+  }
+
+  const tags = [];
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const name = match[1].toLowerCase();
+    const isClosing = match[0].startsWith('</');
+    const isSelfClosing = match[2] === '/';
+    tags.push(isClosing ? `</${name}>` : `<${name}${isSelfClosing ? '/' : ''}>`);
+  }
+
+  const placeholders = (text.match(PLACEHOLDER_PATTERN) || [])
+    .map(token => token.replace(/\s+/g, ''));
+
+  return { tags, placeholders };
+}
+
+/**
+ * 计算 a 中多于 b 的元素（按出现次数）
+ * @private
+ */
+function subtractTokens(a, b) {
+  const remaining = new Map();
+  b.forEach(token => remaining.set(token, (remaining.get(token) || 0) + 1));
+
+  const result = [];
+  a.forEach(token => {
+    const count = remaining.get(token) || 0;
+    if (count > 0) {
+      remaining.set(token, count - 1);
+    } else {
+      result.push(token);
+    }
+  });
+  return result;
+}
+
+/**
+ * 对比原文与译文的标记差异
+ * @param {string} source - 原文
+ * @param {string} target - 译文
+ * @returns {{
+ *   missingTags: string[],
+ *   extraTags: string[],
+ *   missingPlaceholders: string[],
+ *   extraPlaceholders: string[],
+ *   hasDifferences: boolean
+ * }}
+ */
+export function diffMarkup(source, target) {
+  const sourceTokens = extractMarkupTokens(source);
+  const targetTokens = extractMarkupTokens(target);
+
+  const missingTags = subtractTokens(sourceTokens.tags, targetTokens.tags);
+  const extraTags = subtractTokens(targetTokens.tags, sourceTokens.tags);
+  const missingPlaceholders = subtractTokens(sourceTokens.placeholders, targetTokens.placeholders);
+  const extraPlaceholders = subtractTokens(targetTokens.placeholders, sourceTokens.placeholders);
+
+  return {
+    missingTags,
+    extraTags,
+    missingPlaceholders,
+    extraPlaceholders,
+    hasDifferences: Boolean(
+      missingTags.length || extraTags.length || missingPlaceholders.length || extraPlaceholders.length
+    )
+  };
+}
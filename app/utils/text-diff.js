@@ -0,0 +1,82 @@
+/**
+ * 文本差异工具 - 客户端/服务端通用
+ *
+ * 按词（含空白）计算两段文本的最长公共子序列，供译文版本对比高亮：
+ * - equal：两版相同的片段
+ * - delete：仅旧版存在的片段
+ * - insert：仅新版存在的片段
+ * 超长文本（词数乘积超过 MAX_LCS_CELLS）退化为整段替换，避免浏览器卡顿
+ */
+
+const TOKEN_PATTERN = /(\s+)/;
+const MAX_LCS_CELLS = 250000;
+
+/**
+ * 拆分为词与空白片段
+ * @private
+ */
+function tokenize(text) {
+  if (typeof text !== 'string' || !text) return [];
+  return text.split(TOKEN_PATTERN).filter(token => token !== '');
+}
+
+/**
+ * 合并相邻同类型片段
+ * @private
+ */
+function pushPart(parts, type, value) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    parts.push({ type, value });
+  }
+}
+
+/**
+ * 计算词级差异
+ * @param {string} before - 旧版本文本
+ * @param {string} after - 新版本文本
+ * @returns {Array<{ type: 'equal'|'delete'|'insert', value: string }>}
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const parts = [];
+
+  if (a.length * b.length > MAX_LCS_CELLS) {
+    if (before) pushPart(parts, 'delete', before);
+    if (after) pushPart(parts, 'insert', after);
+    return parts;
+  }
+
+  // lengths[i][j]：a[i..] 与 b[j..] 的最长公共子序列长度
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pushPart(parts, 'equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushPart(parts, 'delete', a[i]);
+      i++;
+    } else {
+      pushPart(parts, 'insert', b[j]);
+      j++;
+    }
+  }
+  while (i < a.length) pushPart(parts, 'delete', a[i++]);
+  while (j < b.length) pushPart(parts, 'insert', b[j++]);
+
+  return parts;
+}
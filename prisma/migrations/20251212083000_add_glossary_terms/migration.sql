@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "GlossaryTerm" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "sourceTerm" TEXT NOT NULL,
+    "translations" JSONB,
+    "caseSensitive" BOOLEAN NOT NULL DEFAULT false,
+    "doNotTranslate" BOOLEAN NOT NULL DEFAULT false,
+    "partOfSpeech" TEXT,
+    "notes" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "GlossaryTerm_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "GlossaryTerm_shopId_isActive_idx" ON "GlossaryTerm"("shopId", "isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GlossaryTerm_shopId_sourceTerm_key" ON "GlossaryTerm"("shopId", "sourceTerm");
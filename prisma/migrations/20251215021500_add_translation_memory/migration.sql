@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "TranslationMemory" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "targetLang" TEXT NOT NULL,
+    "segmentHash" TEXT NOT NULL,
+    "normalizedText" TEXT NOT NULL,
+    "sourceText" TEXT NOT NULL,
+    "translatedText" TEXT NOT NULL,
+    "charCount" INTEGER NOT NULL,
+    "origin" TEXT NOT NULL DEFAULT 'translation',
+    "hitCount" INTEGER NOT NULL DEFAULT 0,
+    "lastUsedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "TranslationMemory_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "TranslationMemory_shopId_targetLang_charCount_idx" ON "TranslationMemory"("shopId", "targetLang", "charCount");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TranslationMemory_shopId_targetLang_segmentHash_key" ON "TranslationMemory"("shopId", "targetLang", "segmentHash");
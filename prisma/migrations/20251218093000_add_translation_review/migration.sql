@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Translation" ADD COLUMN "reviewStatus" TEXT;
+ALTER TABLE "Translation" ADD COLUMN "reviewedAt" DATETIME;
+ALTER TABLE "Translation" ADD COLUMN "reviewedBy" TEXT;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "reviewRequired" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "ShopSettings" ADD COLUMN "reviewQualityThreshold" REAL NOT NULL DEFAULT 0.7;
+
+-- CreateIndex
+CREATE INDEX "Translation_shopId_reviewStatus_idx" ON "Translation"("shopId", "reviewStatus");
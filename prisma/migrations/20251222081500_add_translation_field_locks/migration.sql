@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "TranslationFieldLock" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "resourceId" TEXT NOT NULL,
+    "language" TEXT NOT NULL,
+    "fieldKey" TEXT NOT NULL,
+    "reason" TEXT NOT NULL DEFAULT 'manual',
+    "lockedBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TranslationFieldLock_resourceId_fkey" FOREIGN KEY ("resourceId") REFERENCES "Resource" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "TranslationFieldLock_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "TranslationFieldLock_shopId_language_idx" ON "TranslationFieldLock"("shopId", "language");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TranslationFieldLock_resourceId_language_fieldKey_key" ON "TranslationFieldLock"("resourceId", "language", "fieldKey");
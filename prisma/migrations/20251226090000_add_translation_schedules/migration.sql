@@ -0,0 +1,52 @@
+-- CreateTable
+CREATE TABLE "TranslationSchedule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "cron" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "languages" JSONB NOT NULL,
+    "resourceTypes" JSONB,
+    "autoPublish" BOOLEAN NOT NULL DEFAULT true,
+    "minCredits" INTEGER NOT NULL DEFAULT 0,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "lastRunAt" DATETIME,
+    "nextRunAt" DATETIME,
+    "createdBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "TranslationSchedule_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "TranslationScheduleRun" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "scheduleId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "scanned" INTEGER NOT NULL DEFAULT 0,
+    "translated" INTEGER NOT NULL DEFAULT 0,
+    "skipped" INTEGER NOT NULL DEFAULT 0,
+    "published" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "creditsAvailable" INTEGER,
+    "error" TEXT,
+    "details" JSONB,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    CONSTRAINT "TranslationScheduleRun_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "TranslationSchedule" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "TranslationScheduleRun_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "TranslationSchedule_shopId_idx" ON "TranslationSchedule"("shopId");
+
+-- CreateIndex
+CREATE INDEX "TranslationSchedule_enabled_nextRunAt_idx" ON "TranslationSchedule"("enabled", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "TranslationScheduleRun_scheduleId_startedAt_idx" ON "TranslationScheduleRun"("scheduleId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "TranslationScheduleRun_shopId_startedAt_idx" ON "TranslationScheduleRun"("shopId", "startedAt");
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Translation" ADD COLUMN "qualityBreakdown" JSONB;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "deepQualityMode" TEXT NOT NULL DEFAULT 'off';
+ALTER TABLE "ShopSettings" ADD COLUMN "deepQualitySampleSize" INTEGER NOT NULL DEFAULT 3;
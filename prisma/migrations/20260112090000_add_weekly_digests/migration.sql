@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "WeeklyDigest" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "periodStart" DATETIME NOT NULL,
+    "periodEnd" DATETIME NOT NULL,
+    "report" JSONB NOT NULL,
+    "emailedAt" DATETIME,
+    "emailError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "WeeklyDigest_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WeeklyDigest_shopId_periodStart_key" ON "WeeklyDigest"("shopId", "periodStart");
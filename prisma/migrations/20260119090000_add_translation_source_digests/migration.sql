@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Translation" ADD COLUMN "sourceDigests" JSONB;
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "TranslationRevision" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "translationId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "resourceId" TEXT NOT NULL,
+    "language" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "actor" TEXT,
+    "snapshot" JSONB NOT NULL,
+    "changedFields" JSONB,
+    "rolledBackFrom" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "TranslationRevision_translationId_fkey" FOREIGN KEY ("translationId") REFERENCES "Translation" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "TranslationRevision_translationId_createdAt_idx" ON "TranslationRevision"("translationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "TranslationRevision_shopId_resourceId_language_idx" ON "TranslationRevision"("shopId", "resourceId", "language");
+
+-- CreateIndex
+CREATE INDEX "TranslationRevision_sessionId_idx" ON "TranslationRevision"("sessionId");
@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "Translation" ADD COLUMN "promptProfileId" TEXT;
+ALTER TABLE "Translation" ADD COLUMN "promptProfileVersion" INTEGER;
+
+-- CreateTable
+CREATE TABLE "PromptProfile" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "locale" TEXT,
+    "resourceTypes" JSONB,
+    "tone" TEXT NOT NULL DEFAULT 'neutral',
+    "addressForm" TEXT NOT NULL DEFAULT 'default',
+    "audience" TEXT,
+    "forbiddenWords" JSONB,
+    "brandNames" JSONB,
+    "instructions" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "createdBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "PromptProfile_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "PromptProfileVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "profileId" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "settings" JSONB NOT NULL,
+    "createdBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "PromptProfileVersion_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "PromptProfile" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PromptProfile_shopId_isActive_idx" ON "PromptProfile"("shopId", "isActive");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromptProfile_shopId_name_key" ON "PromptProfile"("shopId", "name");
+
+-- CreateIndex
+CREATE INDEX "PromptProfileVersion_shopId_idx" ON "PromptProfileVersion"("shopId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromptProfileVersion_profileId_version_key" ON "PromptProfileVersion"("profileId", "version");
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Language" ADD COLUMN "parentCode" TEXT;
+ALTER TABLE "Language" ADD COLUMN "inheritanceMode" TEXT NOT NULL DEFAULT 'none';
+ALTER TABLE "Language" ADD COLUMN "inheritanceRules" JSONB;
+
+-- AlterTable
+ALTER TABLE "Translation" ADD COLUMN "inheritedFrom" TEXT;
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "MarketTranslationOverride" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "marketId" TEXT NOT NULL,
+    "marketName" TEXT,
+    "language" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "variant" TEXT,
+    "rules" JSONB,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "MarketTranslationOverride_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "MarketTranslation" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shopId" TEXT NOT NULL,
+    "resourceId" TEXT NOT NULL,
+    "language" TEXT NOT NULL,
+    "marketId" TEXT NOT NULL,
+    "fields" JSONB NOT NULL,
+    "syncStatus" TEXT NOT NULL DEFAULT 'pending',
+    "syncedAt" DATETIME,
+    "syncError" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "MarketTranslation_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "MarketTranslation_resourceId_fkey" FOREIGN KEY ("resourceId") REFERENCES "Resource" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MarketTranslationOverride_shopId_marketId_language_key" ON "MarketTranslationOverride"("shopId", "marketId", "language");
+
+-- CreateIndex
+CREATE INDEX "MarketTranslation_shopId_syncStatus_idx" ON "MarketTranslation"("shopId", "syncStatus");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MarketTranslation_resourceId_language_marketId_key" ON "MarketTranslation"("resourceId", "language", "marketId");
@@ -9,6 +9,8 @@ import Bull from 'bull';
 import { getEnvWithDevOverride } from '../app/utils/env.server.js';
 import { logger } from '../app/utils/logger.server.js';
 import { handleTranslateResource, handleBatchTranslate } from '../app/services/queue.server.js';
+import { TranslationScheduleRunner } from '../app/services/translation-scheduler.server.js';
+import { WeeklyDigestRunner } from '../app/services/weekly-digest.server.js';
 
 const SHOP_ID = getEnvWithDevOverride('SHOP_ID', 'unknown');
 const QUEUE_ROLE = getEnvWithDevOverride('QUEUE_ROLE', 'unknown');
@@ -101,6 +103,16 @@ const queue = new Bull(`translation_${SHOP_ID}`, {
   }
 });
 
+// ✅ 定时翻译计划（每个部署独立数据库，扫描库内全部到期计划）
+const scheduleRunner = new TranslationScheduleRunner({
+  intervalMs: Number(getEnvWithDevOverride('TRANSLATION_SCHEDULE_INTERVAL_MS', 60_000))
+});
+
+// ✅ 商家周报（每周一生成上一周的报告并发送到邮件渠道）
+const digestRunner = new WeeklyDigestRunner({
+  intervalMs: Number(getEnvWithDevOverride('WEEKLY_DIGEST_INTERVAL_MS', 3_600_000))
+});
+
 // 🔍 捕获未处理的Promise rejection
 process.on('unhandledRejection', (reason, promise) => {
   logger.error('[Worker] Unhandled Promise Rejection', {
@@ -202,6 +214,8 @@ async function start() {
 // ✅ 优雅关闭
 async function gracefulShutdown(signal) {
   logger.info(`[Worker] Received ${signal}, shutting down queue worker`, { shopId: SHOP_ID });
+  scheduleRunner.stop();
+  digestRunner.stop();
   try {
     await queue.close();
     logger.info('[Worker] Queue closed gracefully');
@@ -220,6 +234,8 @@ process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 
 // ✅ 启动Worker
 await start();
+scheduleRunner.start();
+digestRunner.start();
 
 // ✅ 心跳日志
 setInterval(async () => {
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import crypto from 'crypto';
+import {
+  estimateShopTranslationCost,
+  resolveEstimateResourceTypes
+} from '../../app/services/cost-estimator.server.js';
+import { intelligentSkipEngine } from '../../app/services/intelligent-skip-engine.server.js';
+import { estimateCreditsWithMemory } from '../../app/services/translation-memory.server.js';
+
+const db = vi.hoisted(() => ({ resources: [], locks: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const prisma = {
+    resource: {
+      findMany: vi.fn(async ({ where }) => db.resources.filter((row) => row.shopId === where.shopId &&
+        (!where.resourceType || where.resourceType.in.includes(row.resourceType))))
+    },
+    translationFieldLock: {
+      findMany: vi.fn(async ({ where }) => db.locks.filter((row) => row.language === where.language))
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/intelligent-skip-engine.server.js', () => ({
+  intelligentSkipEngine: { batchEvaluate: vi.fn() }
+}));
+
+vi.mock('../../app/services/credit-manager.server.js', () => ({
+  creditManager: { getAvailableCredits: vi.fn(async () => ({ available: 3 })) }
+}));
+
+vi.mock('../../app/services/translation-memory.server.js', () => ({
+  estimateCreditsWithMemory: vi.fn(async ({ segments }) => ({
+    credits: 0,
+    effectiveChars: segments.join('').length,
+    memoryHits: segments.length,
+    savedCredits: segments.length
+  }))
+}));
+
+vi.mock('../../app/services/translation.server.js', () => ({
+  translateTextWithFallback: vi.fn()
+}));
+
+vi.mock('../../app/services/market-urls.server.js', () => ({
+  getLinkConversionConfig: vi.fn(async () => null)
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const digest = (text) => crypto.createHash('md5').update(text.trim()).digest('hex');
+
+describe('shop translation cost estimator', () => {
+  beforeEach(() => {
+    db.resources = [
+      { id: 'r1', shopId: 'shop1', resourceType: 'product', title: 'Rain jacket', seoTitle: 'Buy now', translations: [] },
+      { id: 'r2', shopId: 'shop1', resourceType: 'product', title: 'Old boots', translations: [] },
+      {
+        id: 'r3',
+        shopId: 'shop1',
+        resourceType: 'page',
+        title: 'About us',
+        contentDigests: { title: digest('About us') },
+        translations: [{ language: 'de', titleTrans: 'Über uns' }]
+      }
+    ];
+    db.locks = [{ resourceId: 'r1', language: 'de', fieldKey: 'seoTitleTrans' }];
+    vi.mocked(intelligentSkipEngine.batchEvaluate).mockResolvedValue(new Map([
+      ['r2_de', { shouldSkip: true, reason: 'CONTENT_UNCHANGED' }],
+      ['r2_fr', { shouldSkip: true, reason: 'CONTENT_UNCHANGED' }]
+    ]));
+    vi.mocked(estimateCreditsWithMemory).mockClear();
+  });
+
+  it('maps categories and subcategories to resource types', () => {
+    expect(resolveEstimateResourceTypes({ categories: ['PAGES'], resourceTypes: ['article'] }))
+      .toEqual(['ARTICLE', 'PAGE']);
+    expect(resolveEstimateResourceTypes({ categories: ['CONTENT'] })).toEqual(['MENU', 'LINK']);
+    expect(resolveEstimateResourceTypes()).toEqual([]);
+  });
+
+  it('excludes skipped resources, unchanged digests and locked fields from the estimate', async () => {
+    const estimate = await estimateShopTranslationCost('shop1', { languages: ['de', 'fr'], useMemory: false });
+
+    expect(intelligentSkipEngine.batchEvaluate).toHaveBeenCalledWith(
+      db.resources,
+      ['de', 'fr'],
+      expect.objectContaining({ dryRun: true })
+    );
+    expect(estimate.totals).toMatchObject({
+      resources: 3,
+      fields: 4,
+      characters: 37,
+      credits: 4,
+      skippedResources: 2,
+      unchangedFields: 1,
+      lockedFields: 1
+    });
+    expect(estimate.totals.estimatedSeconds).toBeGreaterThan(0);
+    expect(estimate.byLanguage.de).toMatchObject({ fields: 1, credits: 1, lockedFields: 1, unchangedFields: 1 });
+    expect(estimate.byLanguage.fr).toMatchObject({ fields: 3, credits: 3 });
+    expect(estimate.byResourceType.PRODUCT).toMatchObject({ credits: 3, skippedResources: 2 });
+    expect(estimate.byResourceType.PAGE).toMatchObject({ credits: 1, unchangedFields: 1 });
+    expect(estimate.skipReasons).toEqual({ CONTENT_UNCHANGED: 2 });
+    expect(estimate.credits).toEqual({ available: 3, required: 4, shortfall: 1, sufficient: false });
+    expect(estimateCreditsWithMemory).not.toHaveBeenCalled();
+  });
+
+  it('filters by category and subtracts translation memory hits', async () => {
+    const estimate = await estimateShopTranslationCost('shop1', { languages: ['fr'], categories: ['PAGES'] });
+
+    expect(estimate.resourceTypes).toEqual(['PAGE']);
+    expect(estimate.totals).toMatchObject({ fields: 1, credits: 0, memoryHits: 1, estimatedSeconds: 0 });
+    expect(estimateCreditsWithMemory).toHaveBeenCalledWith({
+      shopId: 'shop1',
+      targetLang: 'fr',
+      resourceType: 'page',
+      segments: ['About us']
+    });
+    expect(estimate.credits.sufficient).toBe(true);
+    await expect(estimateShopTranslationCost('shop1', { languages: [] })).rejects.toThrow('至少需要一个目标语言');
+  });
+});
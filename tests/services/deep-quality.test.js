@@ -0,0 +1,234 @@
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'node:http';
+import {
+  assessDeepQuality,
+  blendQualityScore,
+  createBackTranslationEvaluator,
+  createJudgeEvaluator,
+  parseJudgeResponse,
+  registerQualityEvaluator,
+  selectQualitySamples
+} from '../../app/services/translation/deep-quality.server.js';
+import {
+  createMockProvider,
+  registerTranslationProvider,
+  unregisterTranslationProvider
+} from '../../app/services/translation/providers.server.js';
+import { getTranslationMetrics } from '../../app/services/translation/metrics.server.js';
+import {
+  REVIEW_STATUS,
+  assessTranslationReview,
+  invalidateReviewSettingsCache
+} from '../../app/services/translation-review.server.js';
+
+vi.hoisted(() => {
+  process.env.TRANSLATION_MIN_REQUEST_INTERVAL_MS = '0';
+  process.env.TRANSLATION_MAX_REQUESTS_PER_MINUTE = '0';
+});
+
+const db = vi.hoisted(() => ({ settings: null }));
+
+vi.mock('../../app/db.server.js', () => {
+  const prisma = {
+    shopSettings: {
+      findUnique: vi.fn(async () => db.settings)
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+// 本地评审桩：含 "Regen" / "夹克" 的译文判为准确，其余判为意思偏差
+const stub = { requests: [], backRequests: [], fail: false };
+const backTranslations = {
+  'Wasserdichte Jacke für Regentage': 'Waterproof jacket for rainy days',
+  'Kostenloser Versand': 'Free returns'
+};
+
+function judgeItem(item) {
+  const accurate = /Regen|夹克/.test(item.translation);
+  return {
+    index: item.index,
+    adequacy: accurate ? 9 : 0.4,
+    fluency: 0.8,
+    reasons: accurate ? [] : ['Meaning changed']
+  };
+}
+
+let server;
+
+describe('deep quality scoring', () => {
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        stub.requests.push({ url: req.url, headers: req.headers, payload });
+        if (stub.fail) {
+          res.writeHead(503, { 'Content-Type': 'text/plain' });
+          res.end('judge unavailable');
+          return;
+        }
+        const { items } = JSON.parse(payload.messages[1].content);
+        const content = `\`\`\`json\n${JSON.stringify({ items: items.map(judgeItem) })}\n\`\`\``;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content } }] }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+    registerQualityEvaluator(createJudgeEvaluator({
+      apiUrl: `http://127.0.0.1:${server.address().port}`,
+      apiKey: 'judge-key',
+      model: 'judge-test'
+    }));
+    registerTranslationProvider(createMockProvider({
+      name: 'back-translation-stub',
+      translate: (request) => {
+        stub.backRequests.push(request);
+        return backTranslations[request.text] ?? request.text;
+      }
+    }));
+    registerQualityEvaluator(createBackTranslationEvaluator({ provider: 'back-translation-stub' }));
+  });
+
+  afterAll(async () => {
+    registerQualityEvaluator(createJudgeEvaluator());
+    registerQualityEvaluator(createBackTranslationEvaluator());
+    unregisterTranslationProvider('back-translation-stub');
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    stub.requests = [];
+    stub.backRequests = [];
+    stub.fail = false;
+    db.settings = null;
+    invalidateReviewSettingsCache();
+  });
+
+  it('parses judge output, samples the longest fields and blends scores', () => {
+    expect(parseJudgeResponse('Result: {"items":[{"index":1,"adequacy":85,"fluency":"0.7","reasons":"Too literal"}]}'))
+      .toEqual([{ index: 1, adequacy: 0.85, fluency: 0.7, reasons: ['Too literal'] }]);
+    expect(() => parseJudgeResponse('no json here')).toThrow('未返回 JSON');
+
+    const samples = selectQualitySamples([
+      { sourceText: 'Hi', translatedText: 'Hallo' },
+      { sourceText: '<p>Long <b>description</b></p>', translatedText: '<p>Lange Beschreibung</p>' },
+      { sourceText: 'Empty', translatedText: '' }
+    ], 1);
+    expect(samples).toEqual([{ index: 0, sourceText: 'Long description', translatedText: 'Lange Beschreibung' }]);
+
+    expect(blendQualityScore(1, 0.5)).toBe(0.7);
+    expect(blendQualityScore(0.9, null)).toBe(0.9);
+    expect(blendQualityScore(null, 0.55)).toBe(0.55);
+  });
+
+  it('combines back-translation and judge scores against the local stub endpoint', async () => {
+    const breakdown = await assessDeepQuality({
+      mode: 'both',
+      targetLang: 'de',
+      pairs: [
+        { sourceText: 'Free shipping', translatedText: 'Kostenloser Versand' },
+        { sourceText: '<p>Waterproof jacket for rainy days</p>', translatedText: '<p>Wasserdichte Jacke für Regentage</p>' }
+      ]
+    });
+
+    expect(stub.requests).toHaveLength(1);
+    expect(stub.requests[0].url).toBe('/chat/completions');
+    expect(stub.requests[0].headers.authorization).toBe('Bearer judge-key');
+    expect(stub.requests[0].payload.model).toBe('judge-test');
+    expect(stub.requests[0].payload.messages[1].content).not.toContain('<p>');
+
+    expect(breakdown.evaluators).toEqual(['backtranslation', 'judge']);
+    expect(breakdown.errors).toEqual([]);
+    expect(breakdown.samples[0]).toMatchObject({
+      source: 'Waterproof jacket for rainy days',
+      backTranslation: 'Waterproof jacket for rainy days',
+      adequacy: 0.95,
+      fluency: 0.8,
+      score: 0.89
+    });
+    expect(breakdown.samples[1].adequacy).toBeLessThan(0.6);
+    expect(breakdown.reasons).toEqual(expect.arrayContaining(['Meaning changed', expect.stringContaining('回译与原文差异较大')]));
+    expect(breakdown.fluency).toBe(0.8);
+    expect(breakdown.score).toBeGreaterThan(0);
+    expect(breakdown.score).toBeLessThan(0.89);
+  });
+
+  it('bounds back-translation calls with a timeout and records them in translation metrics', async () => {
+    const before = getTranslationMetrics().strategies.backtranslation?.total ?? 0;
+
+    await assessDeepQuality({
+      mode: 'backtranslation',
+      targetLang: 'de',
+      pairs: [{ sourceText: 'Free shipping', translatedText: 'Kostenloser Versand' }]
+    });
+
+    expect(stub.backRequests).toHaveLength(1);
+    expect(stub.backRequests[0].signal).toBeInstanceOf(AbortSignal);
+    expect(stub.backRequests[0].targetLang).toBe('en');
+    expect(getTranslationMetrics().strategies.backtranslation.total).toBe(before + 1);
+
+    const controller = new AbortController();
+    await assessDeepQuality({
+      mode: 'backtranslation',
+      targetLang: 'de',
+      pairs: [{ sourceText: 'Free shipping', translatedText: 'Kostenloser Versand' }],
+      signal: controller.signal
+    });
+    expect(stub.backRequests[1].signal).toBe(controller.signal);
+  });
+
+  it('records evaluator failures without discarding the heuristic score', async () => {
+    stub.fail = true;
+    db.settings = { reviewQualityThreshold: 0.7, deepQualityMode: 'judge' };
+
+    const review = await assessTranslationReview({
+      shopId: 'shop1',
+      language: 'zh-CN',
+      pairs: [{ sourceText: 'Waterproof hiking jacket', translatedText: '防水徒步夹克' }]
+    });
+
+    expect(review.qualityScore).toBe(1);
+    expect(review.reviewStatus).toBeNull();
+    expect(review.qualityBreakdown).toMatchObject({ score: null, evaluators: [] });
+    expect(review.qualityBreakdown.errors[0]).toMatchObject({ evaluator: 'judge', message: expect.stringContaining('503') });
+  });
+
+  it('feeds low judge scores into qualityScore and the review queue', async () => {
+    db.settings = { reviewQualityThreshold: 0.7, deepQualityMode: 'judge', deepQualitySampleSize: 2 };
+
+    const review = await assessTranslationReview({
+      shopId: 'shop1',
+      language: 'zh-CN',
+      pairs: [{ sourceText: 'Lightweight shell for rainy days', translatedText: '适合晴天的厚重外套' }]
+    });
+
+    // 启发式 1 分，评审综合分 0.4 * 0.6 + 0.8 * 0.4 = 0.56
+    expect(review.qualityBreakdown).toMatchObject({ mode: 'judge', adequacy: 0.4, fluency: 0.8, score: 0.56 });
+    expect(review.qualityScore).toBe(0.74);
+    expect(review.reviewStatus).toBe(REVIEW_STATUS.PENDING);
+    expect(review.isManualReview).toBe(true);
+    expect(review.reviewNotes).toContain('Meaning changed');
+
+    db.settings = { deepQualityMode: 'off' };
+    invalidateReviewSettingsCache();
+    const heuristicOnly = await assessTranslationReview({
+      shopId: 'shop1',
+      language: 'zh-CN',
+      pairs: [{ sourceText: 'Lightweight shell for rainy days', translatedText: '适合晴天的厚重外套' }]
+    });
+    expect(heuristicOnly.qualityBreakdown).toBeUndefined();
+    expect(stub.requests).toHaveLength(1);
+  });
+});
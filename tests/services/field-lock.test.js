@@ -0,0 +1,192 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { Prisma } from '@prisma/client';
+import {
+  applyFieldLocks,
+  enforceFieldLocks,
+  lockFields,
+  unlockFields,
+  lockManuallyEditedFields
+} from '../../app/services/field-lock.server.js';
+import { performIncrementalTranslation } from '../../app/services/incremental-translation.server.js';
+import { translateTextWithFallback } from '../../app/services/translation.server.js';
+
+const db = vi.hoisted(() => ({ resources: [], translations: [], locks: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => {
+    if (value && typeof value === 'object' && Array.isArray(value.in)) return value.in.includes(row[key]);
+    return row[key] === value;
+  });
+  const prisma = {
+    resource: {
+      findFirst: vi.fn(async ({ where }) => db.resources.find((row) => matches(row, where)) || null),
+      findMany: vi.fn(async ({ where }) => db.resources
+        .filter((row) => matches(row, where))
+        .map((row) => ({ ...row, translations: db.translations.filter((t) => t.resourceId === row.id) })))
+    },
+    translation: {
+      findUnique: vi.fn(async ({ where }) => {
+        const { resourceId, language } = where.resourceId_language;
+        return db.translations.find((row) => row.resourceId === resourceId && row.language === language) || null;
+      }),
+      findMany: vi.fn(async ({ where }) => db.translations.filter((row) => matches(row, where))),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.translations.find((row) => row.id === where.id), data))
+    },
+    translationFieldLock: {
+      findMany: vi.fn(async ({ where }) => db.locks.filter((row) => matches(row, where))),
+      create: vi.fn(async ({ data }) => {
+        db.locks.push(data);
+        return data;
+      }),
+      deleteMany: vi.fn(async ({ where }) => {
+        const before = db.locks.length;
+        db.locks = db.locks.filter((row) => !(row.resourceId === where.resourceId &&
+          row.language === where.language && where.fieldKey.in.includes(row.fieldKey)));
+        return { count: before - db.locks.length };
+      })
+    },
+    $transaction: vi.fn(async (callback) => callback({
+      resource: { update: vi.fn(async () => ({})) },
+      translation: {
+        upsert: vi.fn(async ({ where, update }) => {
+          const { resourceId, language } = where.resourceId_language;
+          const row = db.translations.find((item) => item.resourceId === resourceId && item.language === language);
+          return Object.assign(row, update);
+        })
+      }
+    }))
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/translation.server.js', () => ({
+  translateTextWithFallback: vi.fn(async (text) => ({ success: true, text: `[de] ${text}` }))
+}));
+
+vi.mock('../../app/services/market-urls.server.js', () => ({
+  getLinkConversionConfig: vi.fn(async () => null)
+}));
+
+vi.mock('../../app/services/locale-inheritance.server.js', () => ({
+  getLocaleInheritance: vi.fn(async () => null),
+  rederiveInheritedChildren: vi.fn(async () => [])
+}));
+
+vi.mock('../../app/services/manual-translation.server.js', () => ({
+  MANUAL_OVERRIDE_REASON: 'MANUAL_OVERRIDE',
+  getManualFields: vi.fn((translation) => JSON.parse(translation.skipConditions).manualFields)
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+describe('field-level translation locks', () => {
+  beforeEach(() => {
+    db.resources = [{
+      id: 'r1',
+      shopId: 'shop1',
+      resourceType: 'product',
+      title: 'Rain jacket',
+      seoTitle: 'Buy the rain jacket',
+      contentDigests: {},
+      contentVersion: 1
+    }];
+    db.translations = [{
+      id: 't1',
+      shopId: 'shop1',
+      resourceId: 'r1',
+      language: 'de',
+      titleTrans: 'Regenjacke',
+      seoTitleTrans: 'Handpolierter SEO-Titel',
+      translationFields: {
+        dynamicFields: { 'sections.hero.heading': 'Willkommen' },
+        translatableFields: [{ key: 'sections.hero.button', value: 'Jetzt kaufen', original: 'Shop now' }],
+        localeContent: '{"a":"b"}'
+      },
+      skipReason: 'MANUAL_OVERRIDE',
+      skipConditions: JSON.stringify({ manualFields: ['seoTitleTrans'] })
+    }];
+    db.locks = [];
+    vi.mocked(translateTextWithFallback).mockClear();
+  });
+
+  it('restores locked columns and theme keys from the existing translation', () => {
+    const incoming = {
+      titleTrans: 'Neue Jacke',
+      seoTitleTrans: 'Automatischer Titel',
+      summaryTrans: 'Zusammenfassung',
+      translationFields: {
+        dynamicFields: { 'sections.hero.heading': 'Hallo', 'sections.hero.sub': 'Neu' },
+        translatableFields: [
+          { key: 'sections.hero.button', value: 'Kaufen', original: 'Shop now' },
+          { key: 'sections.footer.text', value: 'Fußzeile', original: 'Footer' }
+        ],
+        localeContent: '{"a":"c"}'
+      }
+    };
+    const locks = new Set([
+      'seoTitleTrans',
+      'summaryTrans',
+      'dynamicFields.sections.hero.heading',
+      'dynamicFields.sections.hero.sub',
+      'translatableFields.sections.hero.button',
+      'localeContent'
+    ]);
+
+    const result = applyFieldLocks(incoming, db.translations[0], locks);
+
+    expect(result.titleTrans).toBe('Neue Jacke');
+    expect(result.seoTitleTrans).toBe('Handpolierter SEO-Titel');
+    expect(result).not.toHaveProperty('summaryTrans');
+    expect(result.translationFields.dynamicFields).toEqual({ 'sections.hero.heading': 'Willkommen' });
+    expect(result.translationFields.translatableFields).toEqual([
+      { key: 'sections.hero.button', value: 'Jetzt kaufen', original: 'Shop now' },
+      { key: 'sections.footer.text', value: 'Fußzeile', original: 'Footer' }
+    ]);
+    expect(result.translationFields.localeContent).toBe('{"a":"b"}');
+    expect(incoming.seoTitleTrans).toBe('Automatischer Titel');
+  });
+
+  it('locks and unlocks fields per resource and language', async () => {
+    expect(await lockFields({ shopId: 'shop1', resourceId: 'r1', language: 'de', fieldKeys: ['seoTitleTrans', 'seoTitleTrans'] }))
+      .toEqual(['seoTitleTrans']);
+    expect(await lockFields({ shopId: 'shop1', resourceId: 'r1', language: 'de', fieldKeys: ['seoTitleTrans'] }))
+      .toEqual([]);
+    await expect(lockFields({ shopId: 'shop2', resourceId: 'r1', language: 'de', fieldKeys: ['titleTrans'] }))
+      .rejects.toThrow('不属于当前店铺');
+
+    const saved = await enforceFieldLocks('r1', 'de', { titleTrans: 'Neu', seoTitleTrans: 'Neu' });
+    expect(saved).toEqual({ titleTrans: 'Neu', seoTitleTrans: 'Handpolierter SEO-Titel' });
+    expect(await enforceFieldLocks('r1', 'fr', { seoTitleTrans: 'Nouveau' })).toEqual({ seoTitleTrans: 'Nouveau' });
+
+    expect(await unlockFields({ shopId: 'shop1', resourceId: 'r1', language: 'de', fieldKeys: ['seoTitleTrans'] })).toBe(1);
+    expect(db.locks).toHaveLength(0);
+  });
+
+  it('converts manual overrides into field locks and lifts the resource lock', async () => {
+    const result = await lockManuallyEditedFields('shop1', { language: 'de', lockedBy: 'anna@example.com' });
+
+    expect(result).toEqual({ translations: 1, locked: 1 });
+    expect(db.locks).toEqual([expect.objectContaining({
+      resourceId: 'r1',
+      language: 'de',
+      fieldKey: 'seoTitleTrans',
+      reason: 'manual_edit',
+      lockedBy: 'anna@example.com'
+    })]);
+    expect(db.translations[0]).toMatchObject({ skipReason: null, skipConditions: Prisma.DbNull });
+  });
+
+  it('skips locked fields during incremental translation', async () => {
+    db.locks = [{ shopId: 'shop1', resourceId: 'r1', language: 'de', fieldKey: 'seoTitleTrans' }];
+
+    const summary = await performIncrementalTranslation('shop1', 'de', ['r1']);
+
+    expect(summary).toMatchObject({ fieldsTranslated: 1, fieldsLocked: 1 });
+    expect(translateTextWithFallback).toHaveBeenCalledTimes(1);
+    expect(translateTextWithFallback).toHaveBeenCalledWith('Rain jacket', 'de', expect.any(Object));
+    expect(db.translations[0].seoTitleTrans).toBe('Handpolierter SEO-Titel');
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { translateResource } from '../../app/services/translation/resource-translator.server.js';
+import { saveTranslation } from '../../app/services/database.server.js';
+import { translateText } from '../../app/services/translation/core.server.js';
+
+const db = vi.hoisted(() => ({ resources: [], translations: [] }));
+
+const prisma = vi.hoisted(() => ({
+  resource: {
+    findUnique: vi.fn(async ({ where }) => db.resources.find((row) => row.id === where.id) || null)
+  },
+  shopSettings: {
+    findUnique: vi.fn(async () => null)
+  },
+  translation: {
+    findUnique: vi.fn(async ({ where }) => {
+      const { resourceId, language } = where.resourceId_language;
+      return db.translations.find((row) => row.resourceId === resourceId && row.language === language) || null;
+    }),
+    upsert: vi.fn(async ({ create }) => {
+      const row = { id: `t${db.translations.length + 1}`, ...create };
+      db.translations.push(row);
+      return row;
+    })
+  }
+}));
+
+vi.mock('@prisma/client', () => ({ PrismaClient: vi.fn(() => prisma), Prisma: {} }));
+vi.mock('../../app/db.server.js', () => ({ prisma, default: prisma }));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+vi.mock('../../app/services/translation/core.server.js', () => {
+  const noop = vi.fn();
+  return {
+    translateText: vi.fn(),
+    postProcessTranslation: vi.fn(async (text) => text),
+    translationLogger: { info: noop, warn: noop, error: noop, debug: noop }
+  };
+});
+
+vi.mock('../../app/services/hooks-manager.server.js', () => ({
+  shouldTranslate: vi.fn(async () => true),
+  schedule: vi.fn(async (task) => task()),
+  validate: vi.fn(async () => ({ success: true }))
+}));
+
+vi.mock('../../app/services/field-lock.server.js', () => ({
+  loadFieldLocksSafe: vi.fn(async () => new Set()),
+  enforceFieldLocks: vi.fn(async (resourceId, language, data) => data)
+}));
+
+vi.mock('../../app/services/translation-memory.server.js', () => ({
+  extractMemorySegments: vi.fn(() => []),
+  recordTranslationMemoryForResource: vi.fn(async () => 0),
+  isMemoryEligible: vi.fn(() => false)
+}));
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/services/translation-revision.server.js', () => ({
+  REVISION_SOURCE: { MODEL: 'model', SESSION: 'session' },
+  recordTranslationRevision: vi.fn(async () => null)
+}));
+
+vi.mock('../../app/services/derived-translations.server.js', () => ({
+  refreshDerivedTranslations: vi.fn(async () => {}),
+  refreshMarketOverrides: vi.fn(async () => {})
+}));
+
+vi.mock('../../app/services/source-language.server.js', () => ({
+  getShopSourceLanguage: vi.fn(async () => 'en')
+}));
+
+const resource = {
+  id: 'r1',
+  shopId: 'shop1',
+  resourceType: 'product',
+  title: 'Onewind waterproof jacket',
+  descriptionHtml: '<p>Light rain jacket</p>'
+};
+
+describe('glossary compliance', () => {
+  beforeEach(() => {
+    db.resources = [resource];
+    db.translations = [];
+    vi.mocked(translateText).mockImplementation(async (text, targetLang, options) => {
+      if (options.fieldName === 'title') {
+        options.onGlossaryViolations([
+          { sourceTerm: 'waterproof', expected: 'wasserdicht', type: 'missing_target' },
+          { sourceTerm: 'Onewind', expected: 'Onewind', type: 'do_not_translate' }
+        ], { fieldName: options.fieldName });
+        // 同一术语重复报告时只保留一条
+        options.onGlossaryViolations([
+          { sourceTerm: 'waterproof', expected: 'wasserdicht', type: 'missing_target' }
+        ], { fieldName: options.fieldName });
+        return 'Wasserfeste Jacke von Oneweind';
+      }
+      return '<p>Leichte Regenjacke</p>';
+    });
+  });
+
+  it('saves glossary violations found while translating as review issues', async () => {
+    const result = await translateResource(resource, 'de', { shopId: 'shop1' });
+
+    expect(result.glossaryViolations).toEqual([
+      { sourceTerm: 'waterproof', expected: 'wasserdicht', type: 'missing_target', field: 'title' },
+      { sourceTerm: 'Onewind', expected: 'Onewind', type: 'do_not_translate', field: 'title' }
+    ]);
+
+    await saveTranslation('r1', 'shop1', 'de', result.translations, {
+      glossaryViolations: result.glossaryViolations
+    });
+
+    expect(db.translations[0]).toMatchObject({
+      titleTrans: 'Wasserfeste Jacke von Oneweind',
+      isManualReview: true,
+      reviewStatus: 'pending'
+    });
+    expect(db.translations[0].reviewNotes).toContain('GLOSSARY_VIOLATION');
+    expect(db.translations[0].reviewNotes).toContain('术语未遵循: title waterproof → wasserdicht, title Onewind → Onewind');
+  });
+
+  it('keeps compliant translations out of the review queue', async () => {
+    vi.mocked(translateText).mockImplementation(async () => 'Jacke');
+
+    const result = await translateResource(resource, 'de', { shopId: 'shop1' });
+    await saveTranslation('r1', 'shop1', 'de', result.translations, {
+      glossaryViolations: result.glossaryViolations
+    });
+
+    expect(result.glossaryViolations).toEqual([]);
+    expect(db.translations[0]).toMatchObject({ isManualReview: false, reviewStatus: null, reviewNotes: null });
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  findMatchingTerms,
+  checkGlossaryCompliance,
+  buildGlossaryPromptSection,
+  parseGlossaryCsv,
+  buildGlossaryCsv
+} from '../../app/services/glossary.server.js';
+import { applyPostProcessors } from '../../app/services/translation/post-processors.server.js';
+import { buildEnhancedPrompt } from '../../app/services/translation/prompts.server.js';
+
+vi.mock('../../app/db.server.js', () => ({ prisma: {} }));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const TERMS = [
+  { sourceTerm: 'waterproof', translations: { de: 'wasserdicht', ja: '防水' } },
+  { sourceTerm: 'Onewind', doNotTranslate: true, caseSensitive: true },
+  { sourceTerm: 'rain jacket', translations: { de: 'Regenjacke' }, partOfSpeech: 'noun' },
+  { sourceTerm: 'tarp', translations: { fr: 'bâche' } }
+];
+
+describe('glossary matching', () => {
+  it('matches whole words and skips terms without a target for the locale', () => {
+    const matches = findMatchingTerms('<p>Onewind waterproof rain jacket with tarpaulin</p>', TERMS, 'de');
+
+    expect(matches.map((entry) => entry.sourceTerm)).toEqual(['rain jacket', 'waterproof', 'Onewind']);
+    expect(matches.find((entry) => entry.sourceTerm === 'Onewind').targetTerm).toBe('Onewind');
+  });
+
+  it('respects case sensitivity', () => {
+    expect(findMatchingTerms('onewind tent', TERMS, 'de')).toEqual([]);
+    expect(findMatchingTerms('WATERPROOF tent', TERMS, 'de')).toHaveLength(1);
+  });
+
+  it('reports missing targets and translated do-not-translate terms', () => {
+    const matches = findMatchingTerms('Onewind waterproof rain jacket', TERMS, 'de');
+    const report = checkGlossaryCompliance({
+      translatedText: 'Wasserdichte Regenjacke von Oneweind',
+      matches
+    });
+
+    expect(report.passed).toBe(false);
+    expect(report.violations).toEqual([
+      { sourceTerm: 'waterproof', expected: 'wasserdicht', type: 'missing_target' },
+      { sourceTerm: 'Onewind', expected: 'Onewind', type: 'do_not_translate' }
+    ]);
+  });
+
+  it('injects matched entries into the enhanced prompt', () => {
+    const matches = findMatchingTerms('rain jacket', TERMS, 'de');
+    const section = buildGlossaryPromptSection(matches);
+
+    expect(section).toContain('"rain jacket" → "Regenjacke"（词性: noun）');
+    expect(buildEnhancedPrompt('de', { glossary: matches })).toContain(section.trim());
+    expect(buildEnhancedPrompt('de')).not.toContain('术语表');
+  });
+
+  it('records the glossary report during post-processing without rewriting text', async () => {
+    const context = {
+      targetLang: 'ja',
+      originalText: 'waterproof',
+      glossary: findMatchingTerms('waterproof', TERMS, 'ja')
+    };
+
+    const output = await applyPostProcessors('防水', context);
+
+    expect(output).toBe('防水');
+    expect(context.glossaryReport).toEqual({ passed: true, violations: [] });
+  });
+});
+
+describe('glossary CSV', () => {
+  it('round-trips terms with quoted fields and locale columns', () => {
+    const csv = buildGlossaryCsv([
+      {
+        sourceTerm: 'rain jacket',
+        translations: { de: 'Regenjacke', fr: 'veste, imperméable' },
+        caseSensitive: false,
+        doNotTranslate: false,
+        partOfSpeech: 'noun',
+        notes: 'Use "Regenjacke" only'
+      }
+    ]);
+
+    expect(csv.split('\n')[0]).toBe('source_term,case_sensitive,do_not_translate,part_of_speech,notes,de,fr');
+
+    const { terms, errors } = parseGlossaryCsv(csv);
+    expect(errors).toEqual([]);
+    expect(terms).toEqual([
+      {
+        sourceTerm: 'rain jacket',
+        translations: { de: 'Regenjacke', fr: 'veste, imperméable' },
+        caseSensitive: false,
+        doNotTranslate: false,
+        partOfSpeech: 'noun',
+        notes: 'Use "Regenjacke" only'
+      }
+    ]);
+  });
+
+  it('collects row errors and rejects an invalid header', () => {
+    const { terms, errors } = parseGlossaryCsv('source_term,do_not_translate\nOnewind,yes\n,true\n');
+    expect(terms).toHaveLength(1);
+    expect(terms[0].doNotTranslate).toBe(true);
+    expect(errors).toEqual([{ line: 3, message: 'source_term is empty' }]);
+
+    expect(() => parseGlossaryCsv('term,de\nfoo,bar')).toThrow('source_term');
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  diffHtmlStructure,
+  getTextNodeSegments,
+  reassembleHtml,
+  segmentHtml
+} from '../../app/services/translation/html-segmenter.server.js';
+import {
+  parseSegmentResponse,
+  translateHtmlSegmentStrategy,
+  HTML_SEGMENTATION_FAILED
+} from '../../app/services/translation/html-segment-strategy.server.js';
+import { translateLongTextStrategy } from '../../app/services/translation/long-text-strategy.server.js';
+import { executeTranslationRequest } from '../../app/services/translation/core.server.js';
+import { resolvePromptProfile } from '../../app/services/prompt-profile.server.js';
+
+vi.mock('../../app/services/translation/core.server.js', () => ({
+  executeTranslationRequest: vi.fn()
+}));
+
+vi.mock('../../app/services/glossary.server.js', () => ({
+  getGlossaryTerms: vi.fn(async () => []),
+  findMatchingTerms: vi.fn(() => []),
+  buildGlossaryPromptSection: vi.fn(() => ''),
+  checkGlossaryCompliance: vi.fn(() => ({ violations: [] }))
+}));
+
+vi.mock('../../app/services/prompt-profile.server.js', () => ({
+  resolvePromptProfile: vi.fn(async () => null),
+  toPromptProfileAudit: vi.fn((profile) => ({ promptProfileId: profile?.id ?? null, promptProfileVersion: profile?.version ?? null })),
+  buildProfilePromptSection: vi.fn(() => '')
+}));
+
+vi.mock('../../app/services/link-converter.server.js', () => ({
+  convertLinksForLocale: vi.fn(async (text) => text)
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+// 模拟模型：把标记之间的文本转为大写，标记与片段包裹原样保留
+function upperCaseSegments({ text }) {
+  return { success: true, text: text.replace(/>([^<]+)</g, (_, content) => `>${content.toUpperCase()}<`) };
+}
+
+function translate(document, mapper) {
+  return new Map(document.segments.map((segment) => [segment.id, mapper(segment)]));
+}
+
+describe('html segmenter', () => {
+  it('groups inline markup into units and extracts translatable attributes', () => {
+    const document = segmentHtml(
+      '<div class="hero"><p>Hello <b>brave</b> world<br>again</p><img src="/a.png" alt="Red shoes"><input placeholder="Search"><script>var a = "skip";</script></div>'
+    );
+
+    expect(document.segments).toEqual([
+      { id: 'u1', kind: 'unit', text: 'Hello <x1>brave</x1> world<x2/>again' },
+      { id: 'a1', kind: 'attribute', text: 'Red shoes' },
+      { id: 'a2', kind: 'attribute', text: 'Search' }
+    ]);
+  });
+
+  it('reassembles byte-for-byte outside translated text and allows inline reordering', () => {
+    const source = '<section data-x=\'1\'>\n  <p>Buy <strong>now</strong> today</p>\n  <!-- keep -->\n  <a href="/sale" title="Sale">Shop</a>\n</section>';
+    const document = segmentHtml(source);
+    const words = { 'Buy <x1>now</x1> today': 'Heute <x1>sofort</x1> kaufen', Shop: 'Einkaufen', Sale: 'Angebot' };
+
+    const { html, mismatched } = reassembleHtml(document, translate(document, (segment) =>
+      Object.entries(words).reduce((text, [from, to]) => text.replace(from, to), segment.text)
+    ));
+
+    expect(mismatched).toEqual([]);
+    expect(html).toBe('<section data-x=\'1\'>\n  <p>Heute <strong>sofort</strong> kaufen</p>\n  <!-- keep -->\n  <a href="/sale" title="Angebot">Einkaufen</a>\n</section>');
+    expect(diffHtmlStructure(source, html).identical).toBe(true);
+  });
+
+  it('falls back to text nodes when markers are dropped or duplicated', () => {
+    const document = segmentHtml('<p>Hello <em>big</em> world</p>');
+    const { html, mismatched } = reassembleHtml(document, new Map([['u1', 'Bonjour grand monde']]));
+
+    expect(mismatched).toEqual(['u1']);
+    expect(html).toBe('<p>Hello <em>big</em> world</p>');
+    expect(getTextNodeSegments(document, mismatched).map((segment) => segment.text)).toEqual(['Hello', 'big', 'world']);
+  });
+
+  it('reports missing and unexpected tags while ignoring translated attribute values', () => {
+    const source = '<ul><li><a href="/a" title="One">One</a></li><li class="x">Two</li></ul>';
+    expect(diffHtmlStructure(source, '<ul><li><a href="/fr/a" title="Un">Un</a></li><li class="x">Deux</li></ul>').identical).toBe(true);
+
+    const diff = diffHtmlStructure(source, '<ul><li><a href="/a" title="Un">Un</a></li><li>Deux</li><li>Trois</li></ul>');
+    expect(diff.identical).toBe(false);
+    expect(diff.missing).toHaveLength(1);
+    expect(diff.unexpected).toHaveLength(2);
+  });
+});
+
+describe('translateHtmlSegmentStrategy', () => {
+  beforeEach(() => {
+    executeTranslationRequest.mockReset();
+  });
+
+  it('parses wrapped batch responses', () => {
+    const batch = [{ id: 'u1' }, { id: 'a1' }];
+    expect(parseSegmentResponse('<s2>Titre</s2>\n<s1>Bonjour <x1>monde</x1></s1>', batch))
+      .toEqual(new Map([['a1', 'Titre'], ['u1', 'Bonjour <x1>monde</x1>']]));
+    expect(parseSegmentResponse('Bonjour', [{ id: 'u1' }])).toEqual(new Map([['u1', 'Bonjour']]));
+  });
+
+  it('translates segments in batches and keeps the structure intact', async () => {
+    executeTranslationRequest.mockImplementation(async (request) => upperCaseSegments(request));
+    const source = '<div><h2>Care guide</h2><p>Wash <b>cold</b> only.</p><img src="/c.png" alt="Label"></div>';
+
+    const result = await translateHtmlSegmentStrategy(source, 'fr', { maxChunkSize: 30 });
+
+    expect(result.success).toBe(true);
+    expect(result.text).toBe('<div><h2>CARE GUIDE</h2><p>WASH <b>COLD</b> ONLY.</p><img src="/c.png" alt="LABEL"></div>');
+    expect(executeTranslationRequest).toHaveBeenCalledTimes(2);
+    expect(executeTranslationRequest.mock.calls[0][0]).toMatchObject({ strategy: 'html-segments', targetLang: 'fr' });
+  });
+
+  it('reports the prompt profile that built the prompt', async () => {
+    executeTranslationRequest.mockImplementation(async (request) => upperCaseSegments(request));
+    resolvePromptProfile.mockResolvedValueOnce({ id: 'profile-1', version: 3, tone: 'formal' });
+
+    const result = await translateHtmlSegmentStrategy('<p>Hello</p>', 'fr', { shopId: 'shop1' });
+
+    expect(result.promptProfileAudit).toEqual({ promptProfileId: 'profile-1', promptProfileVersion: 3 });
+  });
+
+  it('retranslates text nodes when the model breaks inline markers', async () => {
+    executeTranslationRequest.mockImplementation(async ({ text }) => {
+      if (text.includes('<x1>')) return { success: true, text: '<s1>LAVER A FROID</s1>' };
+      return upperCaseSegments({ text });
+    });
+
+    const result = await translateHtmlSegmentStrategy('<p>Wash <b>cold</b> only</p>', 'fr');
+
+    expect(result.success).toBe(true);
+    expect(result.text).toBe('<p>WASH <b>COLD</b> ONLY</p>');
+  });
+
+  it('falls back to chunked translation for HTML the segmenter cannot parse', async () => {
+    const source = '<table><tr><td>Size</td></tr>Washable</table>';
+    expect(() => segmentHtml(source)).toThrow(TypeError);
+    executeTranslationRequest.mockImplementation(async (request) => upperCaseSegments(request));
+
+    const segmented = await translateHtmlSegmentStrategy(source, 'fr');
+    expect(segmented).toMatchObject({ success: false, errorCode: HTML_SEGMENTATION_FAILED, text: source });
+    expect(executeTranslationRequest).not.toHaveBeenCalled();
+
+    const result = await translateLongTextStrategy(source, 'fr');
+    expect(result).toMatchObject({ success: true, text: '<table><tr><td>SIZE</td></tr>WASHABLE</table>' });
+    expect(executeTranslationRequest).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the source untouched when translation fails', async () => {
+    executeTranslationRequest.mockResolvedValue({ success: false, error: 'rate limited' });
+
+    const result = await translateHtmlSegmentStrategy('<p>Hello</p>', 'fr');
+
+    expect(result).toMatchObject({ success: false, text: '<p>Hello</p>', isOriginal: true });
+    expect(result.error).toContain('rate limited');
+  });
+});
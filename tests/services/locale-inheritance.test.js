@@ -0,0 +1,210 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  localizeText,
+  getInheritanceRules,
+  configureLocaleInheritance,
+  deriveInheritedTranslations,
+  getLocaleInheritance,
+  rederiveInheritedChildren
+} from '../../app/services/locale-inheritance.server.js';
+import { calculateAltDigest } from '../../app/services/media-alt.server.js';
+import { calculateLanguageCoverage } from '../../app/services/language-coverage.server.js';
+import { reserveBillingIfNeeded, confirmBillingIfNeeded } from '../../app/services/translation/billing-orchestrator.server.js';
+import { refreshMarketOverrides } from '../../app/services/derived-translations.server.js';
+
+const db = vi.hoisted(() => ({ languages: [], translations: [], resources: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const findLanguage = (where) => db.languages.find(
+    (lang) => lang.shopId === where.shopId_code.shopId && lang.code === where.shopId_code.code
+  ) || null;
+  const prisma = {
+    language: {
+      findUnique: vi.fn(async ({ where }) => findLanguage(where)),
+      findMany: vi.fn(async ({ where }) => db.languages.filter((lang) => lang.shopId === where.shopId &&
+        lang.parentCode === where.parentCode && lang.isActive && lang.inheritanceMode !== where.inheritanceMode.not)),
+      update: vi.fn(async ({ where, data }) => Object.assign(findLanguage(where), data))
+    },
+    translation: {
+      findMany: vi.fn(async ({ where }) => db.translations
+        .filter((translation) => translation.shopId === where.shopId && translation.language === where.language)
+        .filter((translation) => !where.status || translation.status === where.status)
+        .filter((translation) => !where.resourceId?.in || where.resourceId.in.includes(translation.resourceId))
+        .map((translation) => ({ ...translation, resource: { resourceType: 'PRODUCT' } }))),
+      upsert: vi.fn(async ({ where, update, create }) => {
+        const { resourceId, language } = where.resourceId_language;
+        const existing = db.translations.find((t) => t.resourceId === resourceId && t.language === language);
+        if (existing) return Object.assign(existing, update);
+        const created = { id: `t-${db.translations.length + 1}`, ...create };
+        db.translations.push(created);
+        return created;
+      })
+    },
+    resource: { findMany: vi.fn(async () => db.resources) }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+vi.mock('../../app/services/translation/billing-orchestrator.server.js', () => ({
+  reserveBillingIfNeeded: vi.fn(async () => ({ billingEnabled: true, reservationId: 'res-1', estimatedUsage: { credits: 1 } })),
+  confirmBillingIfNeeded: vi.fn(async () => {}),
+  ensureReservationReleased: vi.fn(async () => {})
+}));
+
+vi.mock('../../app/services/field-lock.server.js', () => ({
+  enforceFieldLocks: vi.fn(async (resourceId, language, data) => data)
+}));
+
+vi.mock('../../app/services/derived-translations.server.js', () => ({
+  refreshMarketOverrides: vi.fn(async () => {})
+}));
+
+vi.mock('../../app/services/translation-revision.server.js', () => ({
+  REVISION_SOURCE: { INHERIT: 'inherit' },
+  recordTranslationRevision: vi.fn(async () => null)
+}));
+
+const SHOP = 'shop1.myshopify.com';
+
+function parentTranslation(resourceId, titleTrans) {
+  return {
+    id: `fr-${resourceId}`,
+    shopId: SHOP,
+    resourceId,
+    language: 'fr',
+    titleTrans,
+    descTrans: '<p>Livraison le week-end</p>',
+    handleTrans: 'veste-e-mail',
+    status: 'completed',
+    qualityScore: 0.9,
+    isManualReview: false,
+    reviewStatus: null,
+    sourceDigests: { title: 'd-title' }
+  };
+}
+
+describe('locale inheritance', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.languages = [
+      { shopId: SHOP, code: 'fr', isActive: true, parentCode: null, inheritanceMode: 'none', inheritanceRules: null },
+      { shopId: SHOP, code: 'fr-CA', isActive: true, parentCode: null, inheritanceMode: 'none', inheritanceRules: null },
+      { shopId: SHOP, code: 'de', isActive: true, parentCode: null, inheritanceMode: 'none', inheritanceRules: null }
+    ];
+    db.translations = [
+      parentTranslation('r1', 'Veste pour le week-end'),
+      parentTranslation('r2', 'Veste imperméable'),
+      { id: 'native', shopId: SHOP, resourceId: 'r2', language: 'fr-CA', titleTrans: 'Manteau', inheritedFrom: null, status: 'completed' }
+    ];
+  });
+
+  it('localizes regional vocabulary without touching markup', () => {
+    const rules = getInheritanceRules('fr-CA', [{ from: 'panier', to: 'chariot' }]);
+
+    expect(localizeText('<a href="/e-mail">E-mail</a> et email', rules)).toBe('<a href="/e-mail">Courriel</a> et courriel');
+    expect(localizeText('Votre PANIER {{ panier }}', rules)).toBe('Votre CHARIOT {{ panier }}');
+    expect(localizeText('Patatas y patata', getInheritanceRules('es-MX'))).toBe('Papas y papa');
+    expect(localizeText('Emailing', rules)).toBe('Emailing');
+  });
+
+  it('leaves styles, scripts, URLs and email addresses untouched', () => {
+    const rules = getInheritanceRules('fr-CA');
+    const british = getInheritanceRules('en-GB');
+
+    expect(localizeText('<style>p{text-align:center;color:gray}</style><p>Gray center</p>', british))
+      .toBe('<style>p{text-align:center;color:gray}</style><p>Grey centre</p>');
+    expect(localizeText('<script>var color = "gray";</script>Color', british)).toBe('<script>var color = "gray";</script>Colour');
+    expect(localizeText('Écrivez à support@email.com ou mailto:shopping@email.com', rules))
+      .toBe('Écrivez à support@email.com ou mailto:shopping@email.com');
+    expect(localizeText('Voir /pages/shopping et https://shop.example.com/shopping pour le shopping', rules))
+      .toBe('Voir /pages/shopping et https://shop.example.com/shopping pour le magasinage');
+  });
+
+  it('only allows parents that share the base language', async () => {
+    await expect(configureLocaleInheritance(SHOP, 'fr-CA', { parentCode: 'de', mode: 'copy' }))
+      .rejects.toThrow('只能继承同一基础语言');
+    await expect(configureLocaleInheritance(SHOP, 'fr-CA', { mode: 'mirror' })).rejects.toThrow('无效的继承模式');
+
+    const config = await configureLocaleInheritance(SHOP, 'fr-CA', { mode: 'localize', rules: [{ from: ' panier ', to: 'chariot' }] });
+    expect(config).toMatchObject({ parentCode: 'fr', inheritanceMode: 'localize', inheritanceRules: [{ from: 'panier', to: 'chariot' }] });
+  });
+
+  it('derives from the parent, bills only localized fields and keeps native translations', async () => {
+    await configureLocaleInheritance(SHOP, 'fr-CA', { mode: 'localize' });
+
+    const summary = await deriveInheritedTranslations(SHOP, 'fr-CA');
+
+    expect(summary).toMatchObject({ derived: 1, skippedNative: 1, localizedFields: 2 });
+    const derived = db.translations.find((t) => t.resourceId === 'r1' && t.language === 'fr-CA');
+    expect(derived).toMatchObject({
+      titleTrans: 'Veste pour la fin de semaine',
+      descTrans: '<p>Livraison la fin de semaine</p>',
+      handleTrans: 'veste-e-mail',
+      inheritedFrom: 'fr',
+      syncStatus: 'pending',
+      sourceDigests: { title: 'd-title' }
+    });
+    expect(db.translations.find((t) => t.id === 'native').titleTrans).toBe('Manteau');
+    expect(reserveBillingIfNeeded).toHaveBeenCalledTimes(1);
+    expect(reserveBillingIfNeeded.mock.calls[0][0]).toBe('Veste pour le week-end\n<p>Livraison le week-end</p>');
+    expect(confirmBillingIfNeeded).toHaveBeenCalledTimes(1);
+    expect(refreshMarketOverrides).toHaveBeenCalledWith(SHOP, 'fr-CA', ['r1']);
+
+    const again = await deriveInheritedTranslations(SHOP, 'fr-CA');
+    expect(again).toMatchObject({ derived: 0, unchanged: 1 });
+    expect(reserveBillingIfNeeded).toHaveBeenCalledTimes(1);
+  });
+
+  it('copies parent translations without billing', async () => {
+    await configureLocaleInheritance(SHOP, 'fr-CA', { mode: 'copy' });
+
+    const summary = await deriveInheritedTranslations(SHOP, 'fr-CA');
+
+    expect(summary).toMatchObject({ derived: 1, localizedFields: 0 });
+    expect(db.translations.find((t) => t.resourceId === 'r1' && t.language === 'fr-CA').titleTrans).toBe('Veste pour le week-end');
+    expect(reserveBillingIfNeeded).not.toHaveBeenCalled();
+  });
+
+  it('re-derives inherited children when the parent translation changes', async () => {
+    expect(await getLocaleInheritance(SHOP, 'fr-CA')).toBeNull();
+    await configureLocaleInheritance(SHOP, 'fr-CA', { mode: 'localize' });
+    expect(await getLocaleInheritance(SHOP, 'fr-CA')).toEqual({ parentCode: 'fr', inheritanceMode: 'localize' });
+    await deriveInheritedTranslations(SHOP, 'fr-CA');
+
+    db.translations.find((t) => t.id === 'fr-r1').titleTrans = 'Parking du week-end';
+    const [summary] = await rederiveInheritedChildren(SHOP, 'fr', ['r1']);
+
+    expect(summary).toMatchObject({ language: 'fr-CA', total: 1, derived: 1 });
+    expect(db.translations.find((t) => t.resourceId === 'r1' && t.language === 'fr-CA').titleTrans)
+      .toBe('Stationnement de la fin de semaine');
+    expect(await rederiveInheritedChildren(SHOP, 'de', ['r1'])).toEqual([]);
+  });
+
+  it('reports inherited and native translations in coverage', async () => {
+    const digest = calculateAltDigest('Red jacket');
+    const resource = (id, inheritedFrom) => ({
+      id,
+      resourceId: id,
+      resourceType: 'PRODUCT',
+      contentDigests: {},
+      contentFields: { mediaAlt: [{ id: `gid://shopify/MediaImage/${id}`, alt: 'Red jacket' }] },
+      translations: [{
+        language: 'fr-CA',
+        qualityScore: 0.9,
+        inheritedFrom,
+        translationFields: { mediaAlt: { [`gid://shopify/MediaImage/${id}`]: { value: 'Veste rouge', sourceDigest: digest } } }
+      }]
+    });
+    db.resources = [resource('1', 'fr'), resource('2', null), resource('3', 'fr')];
+
+    const coverage = await calculateLanguageCoverage(SHOP, 'fr-CA', { forceRefresh: true });
+
+    expect(coverage.counts).toMatchObject({ total: 3, upToDate: 3, inherited: 2, native: 1 });
+    expect(coverage.breakdown.PRODUCT).toMatchObject({ inherited: 2, native: 1 });
+  });
+});
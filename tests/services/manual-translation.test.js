@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { diffMarkup } from '../../app/utils/markup-diff.js';
+import {
+  MANUAL_OVERRIDE_REASON,
+  saveManualOverride,
+  getManualFields
+} from '../../app/services/manual-translation.server.js';
+import { IntelligentSkipEngine } from '../../app/services/intelligent-skip-engine.server.js';
+import { getPendingTranslations } from '../../app/services/sync-to-shopify.server.js';
+import { recordTranslationMemoryForResource } from '../../app/services/translation-memory.server.js';
+import { enforceFieldLocks } from '../../app/services/field-lock.server.js';
+
+const db = vi.hoisted(() => ({ resources: [], translations: [], locks: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  // 对象条件（如 qualityScore: { gt: 0 }）在此忽略
+  const matches = (row, where = {}) => Object.entries(where)
+    .every(([key, value]) => (value && typeof value === 'object') || row[key] === value);
+  const prisma = {
+    resource: {
+      findFirst: vi.fn(async ({ where }) => db.resources.find((row) => matches(row, where)) || null)
+    },
+    shopSettings: {
+      findUnique: vi.fn(async () => null)
+    },
+    errorLog: {
+      count: vi.fn(async () => 0)
+    },
+    translationFieldLock: {
+      findMany: vi.fn(async ({ where }) => db.locks.filter((row) => matches(row, where))),
+      create: vi.fn(async ({ data }) => {
+        db.locks.push(data);
+        return data;
+      })
+    },
+    translation: {
+      findUnique: vi.fn(async ({ where }) => {
+        const { resourceId, language } = where.resourceId_language;
+        return db.translations.find((row) => row.resourceId === resourceId && row.language === language) || null;
+      }),
+      findFirst: vi.fn(async ({ where }) => db.translations.find((row) => matches(row, where)) || null),
+      findMany: vi.fn(async ({ where }) => db.translations.filter((row) => matches(row, where))),
+      count: vi.fn(async () => 0),
+      upsert: vi.fn(async ({ where, update, create }) => {
+        const { resourceId, language } = where.resourceId_language;
+        const existing = db.translations.find((row) => row.resourceId === resourceId && row.language === language);
+        if (existing) {
+          return Object.assign(existing, update);
+        }
+        const row = { id: `t${db.translations.length + 1}`, ...create };
+        db.translations.push(row);
+        return row;
+      })
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/translation-memory.server.js', () => ({
+  extractMemorySegments: vi.fn((resource, translation) => (translation.descTrans
+    ? [{ sourceText: resource.descriptionHtml, translatedText: translation.descTrans }]
+    : [])),
+  recordTranslationMemoryForResource: vi.fn(async () => 0)
+}));
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/services/shopify-graphql.server.js', () => ({
+  updateResourceTranslationBatch: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const product = {
+  id: 'r1',
+  shopId: 'shop1',
+  resourceType: 'product',
+  title: 'Rain jacket',
+  descriptionHtml: '<p>Only {{ count }} left, <strong>order now</strong></p>',
+  contentVersion: 1
+};
+
+describe('manual translation overrides', () => {
+  beforeEach(() => {
+    db.resources = [product];
+    db.locks = [];
+    db.translations = [
+      { id: 't0', shopId: 'shop1', resourceId: 'r2', language: 'de', status: 'completed', syncStatus: 'pending', reviewStatus: null }
+    ];
+    vi.mocked(recordTranslationMemoryForResource).mockClear();
+  });
+
+  it('reports missing and extra tags and placeholders', () => {
+    expect(diffMarkup(product.descriptionHtml, '<p>Nur noch {{count}} übrig, <strong>jetzt bestellen</strong></p>'))
+      .toMatchObject({ hasDifferences: false });
+
+    const diff = diffMarkup(product.descriptionHtml, '<p>Nur noch 3 übrig, jetzt bestellen</p><br/> %s');
+    expect(diff.missingTags).toEqual(['<strong>', '</strong>']);
+    expect(diff.extraTags).toEqual(['<br/>']);
+    expect(diff.missingPlaceholders).toEqual(['{{count}}']);
+    expect(diff.extraPlaceholders).toEqual(['%s']);
+    expect(diff.hasDifferences).toBe(true);
+  });
+
+  it('saves edits as a locked, approved override and returns markup warnings', async () => {
+    const result = await saveManualOverride({
+      shopId: 'shop1',
+      resourceId: 'r1',
+      language: 'de',
+      fields: { titleTrans: 'Regenjacke', descTrans: '<p>Nur noch wenige</p>', status: 'failed' },
+      editedBy: 'anna@example.com'
+    });
+
+    expect(result.translation).toMatchObject({
+      titleTrans: 'Regenjacke',
+      status: 'completed',
+      syncStatus: 'pending',
+      skipReason: MANUAL_OVERRIDE_REASON,
+      reviewStatus: 'approved',
+      reviewedBy: 'anna@example.com'
+    });
+    expect(result.manualFields).toEqual(['titleTrans', 'descTrans']);
+    expect(result.markupWarnings.descTrans.missingPlaceholders).toEqual(['{{count}}']);
+    expect(recordTranslationMemoryForResource).toHaveBeenCalledWith('r1', 'shop1', 'de', {
+      titleTrans: 'Regenjacke',
+      descTrans: '<p>Nur noch wenige</p>'
+    }, 'manual');
+
+    expect(db.locks).toEqual([
+      expect.objectContaining({ resourceId: 'r1', language: 'de', fieldKey: 'titleTrans', reason: 'manual_edit', lockedBy: 'anna@example.com' }),
+      expect.objectContaining({ resourceId: 'r1', language: 'de', fieldKey: 'descTrans', reason: 'manual_edit' })
+    ]);
+    // 下一次自动翻译保存时保留人工译文
+    expect(await enforceFieldLocks('r1', 'de', { titleTrans: 'Automatische Jacke', seoTitleTrans: 'Jacke' }))
+      .toMatchObject({ titleTrans: 'Regenjacke', seoTitleTrans: 'Jacke' });
+
+    await saveManualOverride({ shopId: 'shop1', resourceId: 'r1', language: 'de', fields: { seoTitleTrans: 'Jacke' } });
+    expect(getManualFields(db.translations.find((row) => row.resourceId === 'r1')))
+      .toEqual(['titleTrans', 'descTrans', 'seoTitleTrans']);
+  });
+
+  it('rejects empty edits and resources of other shops', async () => {
+    await expect(saveManualOverride({ shopId: 'shop1', resourceId: 'r1', language: 'de', fields: {} }))
+      .rejects.toThrow('没有可保存的译文字段');
+    await expect(saveManualOverride({ shopId: 'shop1', resourceId: 'r1', language: 'de', fields: { titleTrans: ' ' } }))
+      .rejects.toThrow('不能为空');
+    await expect(saveManualOverride({ shopId: 'shop2', resourceId: 'r1', language: 'de', fields: { titleTrans: 'x' } }))
+      .rejects.toThrow('不属于当前店铺');
+  });
+
+  it('makes the skip engine treat the override as locked, even when forced', async () => {
+    await saveManualOverride({ shopId: 'shop1', resourceId: 'r1', language: 'de', fields: { titleTrans: 'Regenjacke' } });
+
+    const engine = new IntelligentSkipEngine();
+    const decision = await engine.evaluateSkip(product, 'de', { forceEvaluation: true });
+    expect(decision).toMatchObject({ shouldSkip: true, reason: MANUAL_OVERRIDE_REASON });
+    expect(decision.details.manualFields).toEqual(['titleTrans']);
+  });
+
+  it('re-queues sync for just the edited resource', async () => {
+    await saveManualOverride({ shopId: 'shop1', resourceId: 'r1', language: 'de', fields: { titleTrans: 'Regenjacke' } });
+
+    const all = await getPendingTranslations('shop1');
+    expect(all.map((row) => row.resourceId)).toEqual(['r2', 'r1']);
+
+    const scoped = await getPendingTranslations('shop1', { resourceId: 'r1', language: 'de' });
+    expect(scoped.map((row) => row.resourceId)).toEqual(['r1']);
+  });
+});
@@ -0,0 +1,274 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { localizeText, getInheritanceRules } from '../../app/services/locale-inheritance.server.js';
+import {
+  setMarketOverride,
+  deriveMarketTranslations,
+  refreshMarketTranslations
+} from '../../app/services/market-translation.server.js';
+import { syncMarketTranslations } from '../../app/services/sync-to-shopify.server.js';
+import { updateResourceTranslationBatch, removeResourceTranslations } from '../../app/services/shopify-graphql.server.js';
+import { invalidateReviewSettingsCache } from '../../app/services/translation-review.server.js';
+
+const db = vi.hoisted(() => ({ overrides: [], translations: [], marketTranslations: [], settings: null }));
+
+vi.mock('../../app/db.server.js', () => {
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+    if (key === 'OR') return value.some((condition) => matches(row, condition));
+    if (key === 'resource') {
+      return db.translations.some((t) => t.resourceId === row.resourceId && matches(t, value.translations.some));
+    }
+    if (value && typeof value === 'object' && 'in' in value) return value.in.includes(row[key]);
+    if (value && typeof value === 'object' && 'not' in value) return row[key] !== value.not;
+    return (row[key] ?? null) === value;
+  });
+  const findOverride = (key) => db.overrides.find(
+    (o) => o.shopId === key.shopId && o.marketId === key.marketId && o.language === key.language
+  ) || null;
+  const prisma = {
+    marketTranslationOverride: {
+      findUnique: vi.fn(async ({ where }) => findOverride(where.shopId_marketId_language)),
+      findMany: vi.fn(async ({ where }) => db.overrides.filter((o) => matches(o, where))),
+      upsert: vi.fn(async ({ where, update, create }) => {
+        const existing = findOverride(where.shopId_marketId_language);
+        if (existing) return Object.assign(existing, update);
+        db.overrides.push({ ...create });
+        return create;
+      })
+    },
+    shopSettings: {
+      findUnique: vi.fn(async () => db.settings)
+    },
+    translation: {
+      findMany: vi.fn(async ({ where }) => db.translations.filter((t) => matches(t, where)))
+    },
+    marketTranslation: {
+      findMany: vi.fn(async ({ where }) => db.marketTranslations
+        .filter((row) => matches(row, where))
+        .map((row) => ({ ...row, resource: { id: row.resourceId, gid: `gid://shopify/Product/${row.resourceId}`, resourceType: 'PRODUCT' } }))),
+      upsert: vi.fn(async ({ where, update, create }) => {
+        const { resourceId, language, marketId } = where.resourceId_language_marketId;
+        const existing = db.marketTranslations.find(
+          (row) => row.resourceId === resourceId && row.language === language && row.marketId === marketId
+        );
+        if (existing) return Object.assign(existing, update);
+        const created = { id: `mt-${db.marketTranslations.length + 1}`, ...create };
+        db.marketTranslations.push(created);
+        return created;
+      }),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.marketTranslations.find((row) => row.id === where.id), data)),
+      updateMany: vi.fn(async ({ where, data }) => {
+        const rows = db.marketTranslations.filter((row) => matches(row, where));
+        rows.forEach((row) => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+      delete: vi.fn(async ({ where }) => {
+        db.marketTranslations = db.marketTranslations.filter((row) => row.id !== where.id);
+      }),
+      deleteMany: vi.fn(async ({ where }) => {
+        const before = db.marketTranslations.length;
+        db.marketTranslations = db.marketTranslations.filter((row) => !matches(row, where));
+        return { count: before - db.marketTranslations.length };
+      })
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+vi.mock('../../app/services/translation/billing-orchestrator.server.js', () => ({
+  reserveBillingIfNeeded: vi.fn(),
+  confirmBillingIfNeeded: vi.fn(),
+  ensureReservationReleased: vi.fn()
+}));
+
+vi.mock('../../app/services/market-urls.server.js', () => ({
+  getCachedMarketConfig: vi.fn(async () => ({
+    markets: [
+      { id: 'gid://shopify/Market/uk', name: 'United Kingdom', languages: [{ locale: 'en' }] },
+      { id: 'gid://shopify/Market/ch', name: 'Switzerland', languages: [{ locale: 'de' }, { locale: 'fr' }] }
+    ]
+  }))
+}));
+
+vi.mock('../../app/services/shopify-graphql.server.js', () => ({
+  updateResourceTranslationBatch: vi.fn(async () => ({ success: true })),
+  removeResourceTranslations: vi.fn(async () => ({ success: true, removedKeys: ['title'] }))
+}));
+
+const SHOP = 'shop1.myshopify.com';
+const UK = 'gid://shopify/Market/uk';
+
+function translation(resourceId, titleTrans, translationFields = null) {
+  return {
+    id: `en-${resourceId}`,
+    shopId: SHOP,
+    resourceId,
+    language: 'en',
+    titleTrans,
+    descTrans: '<p class="color">Soft fabric</p>',
+    handleTrans: 'gray-jacket',
+    translationFields,
+    status: 'completed',
+    reviewStatus: null
+  };
+}
+
+describe('market translation overrides', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.overrides = [];
+    db.marketTranslations = [];
+    db.settings = null;
+    invalidateReviewSettingsCache();
+    db.translations = [
+      translation('r1', 'Gray jacket in your favorite color', {
+        body_html: 'Organize your jewelry',
+        mediaAlt: { 'gid://shopify/MediaImage/1': { value: 'Gray jacket' } }
+      }),
+      translation('r2', 'Waterproof jacket')
+    ];
+  });
+
+  it('applies character-level rules for Swiss German', () => {
+    expect(localizeText('Die Straße ist groß', getInheritanceRules('de-CH'))).toBe('Die Strasse ist gross');
+    expect(localizeText('<a href="/straße">Maße</a>', getInheritanceRules('de-CH'))).toBe('<a href="/straße">Masse</a>');
+  });
+
+  it('validates markets and languages against the Markets configuration', async () => {
+    await expect(setMarketOverride(SHOP, { marketId: 'gid://shopify/Market/xx', language: 'en' }))
+      .rejects.toThrow('不存在或未启用');
+    await expect(setMarketOverride(SHOP, { marketId: UK, language: 'de' })).rejects.toThrow('未启用语言');
+    await expect(setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'de-CH' }))
+      .rejects.toThrow('不属于同一基础语言');
+
+    const override = await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB' });
+    expect(override).toMatchObject({ marketName: 'United Kingdom', enabled: true, variant: 'en-GB', rules: [] });
+  });
+
+  it('stores only the fields that differ from the language translation', async () => {
+    await expect(deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' })).rejects.toThrow('未启用');
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB' });
+
+    const summary = await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+
+    expect(summary).toMatchObject({ total: 2, derived: 1, identical: 1 });
+    expect(db.marketTranslations).toHaveLength(1);
+    expect(db.marketTranslations[0]).toMatchObject({
+      resourceId: 'r1',
+      marketId: UK,
+      syncStatus: 'pending',
+      fields: {
+        titleTrans: 'Grey jacket in your favourite colour',
+        translationFields: { body_html: 'Organise your jewellery' }
+      }
+    });
+    expect(db.marketTranslations[0].fields).not.toHaveProperty('descTrans');
+    expect(db.marketTranslations[0].fields).not.toHaveProperty('handleTrans');
+
+    const again = await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+    expect(again).toMatchObject({ derived: 0, unchanged: 1 });
+  });
+
+  it('publishes pending overrides as market-scoped translations', async () => {
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB' });
+    await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+
+    const result = await syncMarketTranslations({}, SHOP, { language: 'en' });
+
+    expect(result).toMatchObject({ totalProcessed: 1, successCount: 1, failedCount: 0 });
+    expect(updateResourceTranslationBatch).toHaveBeenCalledWith(
+      {},
+      'gid://shopify/Product/r1',
+      db.marketTranslations[0].fields,
+      'en',
+      'PRODUCT',
+      { marketId: UK }
+    );
+    expect(db.marketTranslations[0].syncStatus).toBe('synced');
+
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', enabled: false });
+    db.marketTranslations[0].syncStatus = 'pending';
+    expect(await syncMarketTranslations({}, SHOP, {})).toMatchObject({ totalProcessed: 0 });
+  });
+
+  it('re-derives overrides when the language translation is saved', async () => {
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB' });
+    await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+    await syncMarketTranslations({}, SHOP, {});
+
+    db.translations[1].titleTrans = 'Waterproof jacket in gray';
+    const summaries = await refreshMarketTranslations(SHOP, 'en', ['r2']);
+
+    expect(summaries).toEqual([expect.objectContaining({ marketId: UK, total: 1, derived: 1 })]);
+    expect(db.marketTranslations.find((row) => row.resourceId === 'r2')).toMatchObject({
+      syncStatus: 'pending',
+      fields: { titleTrans: 'Waterproof jacket in grey' }
+    });
+    expect(db.marketTranslations.find((row) => row.resourceId === 'r1').syncStatus).toBe('synced');
+    expect(await refreshMarketTranslations(SHOP, 'fr', ['r2'])).toEqual([]);
+  });
+
+  it('withdraws published overrides that are no longer needed', async () => {
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB' });
+    await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+    await syncMarketTranslations({}, SHOP, {});
+
+    // 语言译文改成与英国英语相同后，旧的市场译文需要撤回
+    db.translations[0].titleTrans = 'Grey jacket';
+    db.translations[0].translationFields = null;
+    const summary = await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+    expect(summary).toMatchObject({ derived: 0, identical: 2, removed: 1 });
+    expect(db.marketTranslations[0].syncStatus).toBe('pending_removal');
+
+    const result = await syncMarketTranslations({}, SHOP, {});
+    expect(result.removal).toMatchObject({ totalProcessed: 1, removedCount: 1, failedCount: 0 });
+    expect(removeResourceTranslations).toHaveBeenCalledWith({}, 'gid://shopify/Product/r1', 'en', null, 3, { marketId: UK });
+    expect(db.marketTranslations).toHaveLength(0);
+  });
+
+  it('removes overrides from Shopify when the override is disabled', async () => {
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB' });
+    await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB', enabled: false });
+
+    // 从未发布过的市场译文直接删除
+    expect(db.marketTranslations).toHaveLength(0);
+    expect(removeResourceTranslations).not.toHaveBeenCalled();
+
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB' });
+    await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+    await syncMarketTranslations({}, SHOP, {});
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', enabled: false }, { admin: {} });
+
+    expect(removeResourceTranslations).toHaveBeenCalledWith({}, 'gid://shopify/Product/r1', 'en', null, 3, { marketId: UK });
+    expect(db.marketTranslations).toHaveLength(0);
+  });
+
+  it('only publishes overrides of approved translations when review is required', async () => {
+    db.settings = { reviewRequired: true };
+    db.translations[0].reviewStatus = 'pending';
+    db.translations[1].reviewStatus = 'approved';
+    db.translations[1].titleTrans = 'Gray waterproof jacket';
+    await setMarketOverride(SHOP, { marketId: UK, language: 'en', variant: 'en-GB' });
+
+    const summary = await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en' });
+    expect(summary).toMatchObject({ total: 1, derived: 1 });
+    expect(db.marketTranslations.map((row) => row.resourceId)).toEqual(['r2']);
+
+    // 发布前被驳回的语言译文，其市场译文不会发布
+    db.translations[1].reviewStatus = 'rejected';
+    expect(await syncMarketTranslations({}, SHOP, {})).toMatchObject({ totalProcessed: 0 });
+
+    // 已发布的市场译文在语言译文被驳回后撤回
+    db.translations[1].reviewStatus = 'approved';
+    await syncMarketTranslations({}, SHOP, {});
+    db.translations[1].reviewStatus = 'rejected';
+    const again = await deriveMarketTranslations(SHOP, { marketId: UK, language: 'en', resourceIds: ['r2'] });
+    expect(again).toMatchObject({ total: 0, removed: 1 });
+    expect(db.marketTranslations[0].syncStatus).toBe('pending_removal');
+  });
+});
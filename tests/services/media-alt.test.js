@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  fetchResourcesByType,
+  updateResourceTranslation
+} from '../../app/services/shopify-graphql.server.js';
+import { calculateAltDigest, translateMediaAltTexts } from '../../app/services/media-alt.server.js';
+import { calculateLanguageCoverage } from '../../app/services/language-coverage.server.js';
+
+const db = vi.hoisted(() => ({ resources: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const prisma = {
+    resource: {
+      findMany: vi.fn(async () => db.resources)
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/error-handler.server.js', () => ({
+  captureError: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const PRODUCT_GID = 'gid://shopify/Product/1';
+const MEDIA_GID = 'gid://shopify/MediaImage/11';
+
+// 模拟 Admin API：按查询名返回固定数据，并记录注册的翻译
+function createAdmin() {
+  const registered = [];
+  const graphql = vi.fn(async (query, { variables }) => {
+    let data;
+    if (query.includes('getTranslatableResourcesByType')) {
+      data = {
+        translatableResources: {
+          edges: [{
+            node: {
+              resourceId: PRODUCT_GID,
+              translatableContent: [
+                { key: 'title', value: 'Trail shoe', digest: 'd-title', locale: 'en' },
+                { key: 'product_type', value: 'Shoes', digest: 'd-type', locale: 'en' }
+              ]
+            }
+          }],
+          pageInfo: { hasNextPage: false, endCursor: null }
+        }
+      };
+    } else if (query.includes('getMediaAltTexts')) {
+      data = {
+        nodes: [{
+          id: PRODUCT_GID,
+          media: {
+            edges: [
+              { node: { id: MEDIA_GID, alt: 'Red trail shoe', mediaContentType: 'IMAGE' } },
+              { node: { id: 'gid://shopify/Video/12', alt: 'Promo video', mediaContentType: 'VIDEO' } },
+              { node: { id: 'gid://shopify/MediaImage/13', alt: '', mediaContentType: 'IMAGE' } }
+            ]
+          }
+        }]
+      };
+    } else if (query.includes('getTranslatableResource')) {
+      const key = variables.resourceId === MEDIA_GID ? 'alt' : 'title';
+      data = {
+        translatableResource: {
+          resourceId: variables.resourceId,
+          translatableContent: [{ key, value: 'source', digest: `digest-${key}`, locale: 'en' }]
+        }
+      };
+    } else if (query.includes('translationsRegister')) {
+      registered.push(variables);
+      data = { translationsRegister: { userErrors: [], translations: variables.translations } };
+    }
+    return { json: async () => ({ data }) };
+  });
+  return { graphql, registered };
+}
+
+describe('media alt text', () => {
+  beforeEach(() => {
+    db.resources = [];
+  });
+
+  it('stores product image alt text in contentFields during scanning', async () => {
+    const admin = createAdmin();
+
+    const [product] = await fetchResourcesByType(admin, 'PRODUCT');
+
+    expect(product.contentFields).toEqual({
+      product_type: 'Shoes',
+      mediaAlt: [{ id: MEDIA_GID, alt: 'Red trail shoe', resourceType: 'MEDIA_IMAGE' }]
+    });
+  });
+
+  it('translates each alt text with its source digest', async () => {
+    const translateField = vi.fn(async (text) => `fr:${text}`);
+
+    const mediaAlt = await translateMediaAltTexts({
+      contentFields: JSON.stringify({ mediaAlt: [{ id: MEDIA_GID, alt: 'Red trail shoe' }, { id: 'x', alt: ' ' }] })
+    }, translateField);
+
+    expect(translateField).toHaveBeenCalledTimes(1);
+    expect(mediaAlt).toEqual({
+      [MEDIA_GID]: { value: 'fr:Red trail shoe', sourceDigest: calculateAltDigest('Red trail shoe') }
+    });
+    expect(await translateMediaAltTexts({ contentFields: {} }, translateField)).toBeNull();
+  });
+
+  it('publishes alt translations against the media resource instead of the product', async () => {
+    const admin = createAdmin();
+
+    const result = await updateResourceTranslation(admin, PRODUCT_GID, {
+      titleTrans: 'Chaussure de trail',
+      translationFields: {
+        mediaAlt: { [MEDIA_GID]: { value: 'Chaussure de trail rouge', sourceDigest: 'x' } }
+      }
+    }, 'fr', 'PRODUCT');
+
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual([]);
+    expect(result.mediaAlt).toMatchObject({ registered: 1, failed: 0 });
+    expect(admin.registered).toEqual([
+      {
+        resourceId: MEDIA_GID,
+        translations: [{ locale: 'fr', key: 'alt', value: 'Chaussure de trail rouge', translatableContentDigest: 'digest-alt' }]
+      },
+      {
+        resourceId: PRODUCT_GID,
+        translations: [{ locale: 'fr', key: 'title', value: 'Chaussure de trail', translatableContentDigest: 'digest-title' }]
+      }
+    ]);
+  });
+
+  it('counts every image alt text as a coverage field', async () => {
+    const digest = calculateAltDigest('Red trail shoe');
+    db.resources = [{
+      id: 'r1',
+      resourceId: '1',
+      resourceType: 'PRODUCT',
+      contentDigests: {},
+      contentFields: {
+        mediaAlt: [
+          { id: MEDIA_GID, alt: 'Red trail shoe' },
+          { id: 'gid://shopify/MediaImage/13', alt: 'Side view' }
+        ]
+      },
+      translations: [{
+        language: 'fr',
+        qualityScore: 0.9,
+        translationFields: { mediaAlt: { [MEDIA_GID]: { value: 'Chaussure rouge', sourceDigest: digest } } }
+      }]
+    }];
+
+    const coverage = await calculateLanguageCoverage('shop-media', 'fr', { forceRefresh: true });
+
+    expect(coverage.counts).toMatchObject({ total: 2, upToDate: 1, missing: 1 });
+    expect(coverage.metadata.mediaAltFields).toBe(2);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { MemoryQueue } from '../../app/services/memory-queue.server.js';
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+vi.mock('../../app/utils/error-handler.server.js', () => ({
+  captureError: vi.fn()
+}));
+
+describe('memory queue job ids', () => {
+  let queue;
+  let processed;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    processed = [];
+    queue = new MemoryQueue('test');
+    queue.process('incrementalTranslate', async (job) => {
+      processed.push(job.data.version);
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('keeps one job per explicit jobId like Bull does', async () => {
+    const first = await queue.add('incrementalTranslate', { version: 1 }, { jobId: 'incremental:shop:r1:fr', delay: 1000 });
+    const duplicate = await queue.add('incrementalTranslate', { version: 2 }, { jobId: 'incremental:shop:r1:fr', delay: 1000 });
+
+    expect(duplicate.id).toBe(first.id);
+    expect((await queue.getJob('incremental:shop:r1:fr')).data).toEqual({ version: 1 });
+    expect(await (await queue.getJob('incremental:shop:r1:fr')).getState()).toBe('delayed');
+  });
+
+  it('cancels a removed delayed job so only the replacement runs', async () => {
+    await queue.add('incrementalTranslate', { version: 1 }, { jobId: 'incremental:shop:r1:fr', delay: 1000 });
+    await vi.advanceTimersByTimeAsync(600);
+
+    await (await queue.getJob('incremental:shop:r1:fr')).remove();
+    await queue.add('incrementalTranslate', { version: 2 }, { jobId: 'incremental:shop:r1:fr', delay: 1000 });
+
+    await vi.advanceTimersByTimeAsync(600);
+    expect(processed).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(600);
+    expect(processed).toEqual([2]);
+  });
+
+  it('still looks up numeric ids passed as strings', async () => {
+    const job = await queue.add('incrementalTranslate', { version: 1 }, { delay: 1000 });
+    expect((await queue.getJob(String(job.id))).id).toBe(job.id);
+  });
+});
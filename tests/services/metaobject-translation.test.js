@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  fetchResourcesByType,
+  updateResourceTranslation
+} from '../../app/services/shopify-graphql.server.js';
+import {
+  getMetaobjectFieldKind,
+  translateMetaobjectFields
+} from '../../app/services/metaobject-translation.server.js';
+import { calculateLanguageCoverage } from '../../app/services/language-coverage.server.js';
+
+const db = vi.hoisted(() => ({ resources: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const prisma = {
+    resource: {
+      findMany: vi.fn(async () => db.resources)
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/error-handler.server.js', () => ({
+  captureError: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const METAOBJECT_GID = 'gid://shopify/Metaobject/7';
+const RICH_TEXT = JSON.stringify({
+  type: 'root',
+  children: [{
+    type: 'paragraph',
+    children: [
+      { type: 'text', value: 'Machine wash', bold: true },
+      { type: 'link', url: '/pages/care', children: [{ type: 'text', value: 'care guide' }] }
+    ]
+  }]
+});
+
+const TRANSLATABLE_CONTENT = [
+  { key: 'question', value: 'Does it run small?', digest: 'd-question', locale: 'en', type: 'SINGLE_LINE_TEXT_FIELD' },
+  { key: 'answer', value: RICH_TEXT, digest: 'd-answer', locale: 'en', type: 'RICH_TEXT_FIELD' },
+  { key: 'tags', value: '["Fit","Sizing"]', digest: 'd-tags', locale: 'en', type: 'LIST_SINGLE_LINE_TEXT_FIELD' },
+  { key: 'chart', value: 'https://cdn.example.com/chart.png', digest: 'd-chart', locale: 'en', type: 'URL' },
+  { key: 'product', value: 'gid://shopify/Product/1', digest: 'd-product', locale: 'en', type: 'FILE_REFERENCE' }
+];
+
+function createAdmin() {
+  const registered = [];
+  const graphql = vi.fn(async (query, { variables }) => {
+    let data;
+    if (query.includes('getTranslatableResourcesByType')) {
+      data = {
+        translatableResources: {
+          edges: [{ node: { resourceId: METAOBJECT_GID, translatableContent: TRANSLATABLE_CONTENT } }],
+          pageInfo: { hasNextPage: false, endCursor: null }
+        }
+      };
+    } else if (query.includes('getMetaobjectDetails')) {
+      data = { nodes: [{ id: METAOBJECT_GID, type: 'faq', handle: 'sizing', displayName: 'Sizing FAQ' }] };
+    } else if (query.includes('getTranslatableResource')) {
+      data = { translatableResource: { resourceId: variables.resourceId, translatableContent: TRANSLATABLE_CONTENT } };
+    } else if (query.includes('translationsRegister')) {
+      registered.push(variables);
+      data = { translationsRegister: { userErrors: [], translations: variables.translations } };
+    }
+    return { json: async () => ({ data }) };
+  });
+  return { graphql, registered };
+}
+
+describe('metaobject translation', () => {
+  beforeEach(() => {
+    db.resources = [];
+  });
+
+  it('classifies fields by localizable content type', () => {
+    expect(getMetaobjectFieldKind('MULTI_LINE_TEXT_FIELD')).toBe('text');
+    expect(getMetaobjectFieldKind('RICH_TEXT_FIELD')).toBe('rich_text');
+    expect(getMetaobjectFieldKind('LIST_SINGLE_LINE_TEXT_FIELD')).toBe('list');
+    expect(getMetaobjectFieldKind('URL')).toBeNull();
+    expect(getMetaobjectFieldKind('JSON')).toBeNull();
+  });
+
+  it('scans metaobjects with display name and only text fields', async () => {
+    const [metaobject] = await fetchResourcesByType(createAdmin(), 'METAOBJECT');
+
+    expect(metaobject).toMatchObject({ gid: METAOBJECT_GID, resourceType: 'metaobject', title: 'Sizing FAQ', handle: 'sizing' });
+    expect(metaobject.contentFields.metaobjectType).toBe('faq');
+    expect(metaobject.contentFields.fields.map((field) => field.key)).toEqual(['question', 'answer', 'tags']);
+    expect(metaobject.contentFields.skippedFields).toEqual([
+      { key: 'chart', type: 'URL' },
+      { key: 'product', type: 'FILE_REFERENCE' }
+    ]);
+  });
+
+  it('translates rich text nodes and list items while keeping their JSON shape', async () => {
+    const [metaobject] = await fetchResourcesByType(createAdmin(), 'METAOBJECT');
+    const translate = vi.fn(async (text) => `fr:${text}`);
+
+    const fields = await translateMetaobjectFields(metaobject, translate, (key) => key === 'question');
+
+    expect(Object.keys(fields)).toEqual(['answer', 'tags']);
+    expect(JSON.parse(fields.answer.value).children[0].children).toEqual([
+      { type: 'text', value: 'fr:Machine wash', bold: true },
+      { type: 'link', url: '/pages/care', children: [{ type: 'text', value: 'fr:care guide' }] }
+    ]);
+    expect(fields.tags).toEqual({ value: '["fr:Fit","fr:Sizing"]', sourceDigest: 'd-tags' });
+    expect(translate).not.toHaveBeenCalledWith('Does it run small?', 'question');
+  });
+
+  it('publishes field translations by key', async () => {
+    const admin = createAdmin();
+
+    const result = await updateResourceTranslation(admin, METAOBJECT_GID, {
+      translationFields: {
+        question: { value: 'Taille-t-il petit ?', sourceDigest: 'd-question' },
+        tags: { value: '["Coupe"]', sourceDigest: 'd-tags' }
+      }
+    }, 'fr', 'METAOBJECT');
+
+    expect(result.success).toBe(true);
+    expect(admin.registered).toEqual([{
+      resourceId: METAOBJECT_GID,
+      translations: [
+        { locale: 'fr', key: 'question', value: 'Taille-t-il petit ?', translatableContentDigest: 'd-question' },
+        { locale: 'fr', key: 'tags', value: '["Coupe"]', translatableContentDigest: 'd-tags' }
+      ]
+    }]);
+  });
+
+  it('counts only text fields toward coverage', async () => {
+    const [metaobject] = await fetchResourcesByType(createAdmin(), 'METAOBJECT');
+    db.resources = [{
+      id: 'r1',
+      resourceId: '7',
+      resourceType: 'metaobject',
+      contentDigests: Object.fromEntries(TRANSLATABLE_CONTENT.map((item) => [item.key, item.digest])),
+      contentFields: metaobject.contentFields,
+      translations: [{
+        language: 'fr',
+        qualityScore: 0.9,
+        translationFields: { question: { value: 'Taille-t-il petit ?', sourceDigest: 'd-question' } }
+      }]
+    }];
+
+    const coverage = await calculateLanguageCoverage('shop-metaobject', 'fr', { forceRefresh: true });
+
+    expect(coverage.counts).toMatchObject({ total: 3, upToDate: 1, missing: 2 });
+  });
+});
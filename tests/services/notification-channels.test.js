@@ -0,0 +1,299 @@
+import http from 'http';
+import net from 'net';
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import {
+  deliverNotification,
+  assertPublicWebhookUrl,
+  createPinnedLookup,
+  signWebhookPayload,
+  WEBHOOK_SIGNATURE_HEADER,
+  WEBHOOK_TIMESTAMP_HEADER
+} from '../../app/services/notification-transports.server.js';
+import {
+  NotificationDispatcher,
+  normalizeChannelInput,
+  sendTestNotification
+} from '../../app/services/notification-channels.server.js';
+
+const db = vi.hoisted(() => ({ channels: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const prisma = {
+    notificationChannel: {
+      findMany: vi.fn(async ({ where }) => db.channels.filter((row) => row.shopId === where.shopId && row.enabled)),
+      findFirst: vi.fn(async ({ where }) => db.channels.find((row) => row.id === where.id && row.shopId === where.shopId) || null),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.channels.find((row) => row.id === where.id), data))
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const SHOP = 'demo.myshopify.com';
+
+// 本地 SMTP 替身：记录命令与 DATA 内容
+function startSmtpServer() {
+  const session = { commands: [], messages: [] };
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 stand-in ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          session.messages.push(buffer.slice(0, end));
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 2.0.0 queued as TEST1\r\n');
+          continue;
+        }
+        const index = buffer.indexOf('\r\n');
+        if (index === -1) return;
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-stand-in\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        else if (verb === 'AUTH') socket.write('235 2.7.0 authenticated\r\n');
+        else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 end with <CRLF>.<CRLF>\r\n');
+        } else if (verb === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, session, port: server.address().port }));
+  });
+}
+
+// 本地 HTTP 替身：记录请求，按 statusCode 返回
+function startHttpServer() {
+  const state = { requests: [], statusCode: 200 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      state.requests.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(state.statusCode);
+      res.end(state.statusCode === 200 ? 'ok' : 'boom');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, state, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+// 本地替身监听在 127.0.0.1，测试中显式放行内网地址
+const trustedDeliver = (channel, message) => deliverNotification(channel, message, { allowPrivateNetwork: true });
+
+function decodeBase64Part(message, contentType) {
+  const part = message.split(`Content-Type: ${contentType}; charset=UTF-8\r\nContent-Transfer-Encoding: base64\r\n\r\n`)[1];
+  return Buffer.from(part.split('\r\n--')[0].replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+describe('notification channels', () => {
+  let smtp;
+  let hook;
+
+  beforeAll(async () => {
+    smtp = await startSmtpServer();
+    hook = await startHttpServer();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => smtp.server.close(resolve));
+    await new Promise((resolve) => hook.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    db.channels = [];
+    smtp.session.commands.length = 0;
+    smtp.session.messages.length = 0;
+    hook.state.requests.length = 0;
+    hook.state.statusCode = 200;
+  });
+
+  it('delivers email through SMTP with auth and encoded subject', async () => {
+    const smtpConfig = {
+      host: '127.0.0.1',
+      port: smtp.port,
+      secure: false,
+      startTls: true,
+      user: 'mailer',
+      pass: 'secret',
+      from: 'Lightsler <alerts@example.com>'
+    };
+
+    const result = await deliverNotification(
+      { type: 'email', target: 'ops@example.com, oncall@example.com' },
+      { subject: '[Lightsler CRITICAL] 翻译失败率过高', text: '失败率 30%', html: '<p>失败率 30%</p>' },
+      { smtpConfig, timeoutMs: 2000 }
+    );
+
+    expect(result.accepted).toEqual(['ops@example.com', 'oncall@example.com']);
+    expect(smtp.session.commands).toContain(`AUTH PLAIN ${Buffer.from('\0mailer\0secret').toString('base64')}`);
+    expect(smtp.session.commands).toContain('MAIL FROM:<alerts@example.com>');
+    expect(smtp.session.commands.filter((line) => line.startsWith('RCPT TO'))).toEqual([
+      'RCPT TO:<ops@example.com>',
+      'RCPT TO:<oncall@example.com>'
+    ]);
+
+    const [message] = smtp.session.messages;
+    expect(message).toContain(`Subject: =?UTF-8?B?${Buffer.from('[Lightsler CRITICAL] 翻译失败率过高').toString('base64')}?=`);
+    expect(decodeBase64Part(message, 'text/plain')).toBe('失败率 30%');
+    expect(decodeBase64Part(message, 'text/html')).toBe('<p>失败率 30%</p>');
+  });
+
+  it('posts Slack text and signs generic webhook bodies', async () => {
+    await trustedDeliver({ type: 'slack', target: `${hook.url}/slack` }, { subject: 'Queue backlog', text: '120 jobs pending' });
+    await deliverNotification(
+      { type: 'webhook', target: `${hook.url}/hook`, secret: 'whsec' },
+      { subject: 'Queue backlog', text: '120 jobs pending', payload: { event: 'alert', total: 1 } },
+      { now: 1767225600000, allowPrivateNetwork: true }
+    );
+
+    const [slack, webhook] = hook.state.requests;
+    expect(JSON.parse(slack.body)).toEqual({ text: '*Queue backlog*\n120 jobs pending' });
+    expect(JSON.parse(webhook.body)).toEqual({ subject: 'Queue backlog', text: '120 jobs pending', event: 'alert', total: 1 });
+    expect(webhook.headers[WEBHOOK_TIMESTAMP_HEADER.toLowerCase()]).toBe('1767225600');
+    expect(webhook.headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()]).toBe(`sha256=${signWebhookPayload('whsec', '1767225600', webhook.body)}`);
+  });
+
+  it('aggregates a burst of alerts into one digest per channel and respects minimum level', async () => {
+    db.channels = [
+      { id: 'ch-1', shopId: SHOP, type: 'webhook', target: `${hook.url}/shop`, secret: 's1', minLevel: 'CRITICAL', enabled: true },
+      { id: 'ch-2', shopId: SHOP, type: 'slack', target: `${hook.url}/quiet`, minLevel: 'EMERGENCY', enabled: true }
+    ];
+    const dispatcher = new NotificationDispatcher({
+      windowMs: 60000,
+      maxPerHour: 6,
+      deliver: trustedDeliver,
+      getDefaultChannels: () => [{ id: 'env:slack', type: 'slack', target: `${hook.url}/ops`, minLevel: 'WARNING' }]
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await dispatcher.notify({ level: 'CRITICAL', type: 'WEBHOOK_FAILURE', message: 'Webhook处理失败: products/update' }, { shopId: SHOP });
+    }
+    await dispatcher.notify({ level: 'WARNING', type: 'QUEUE_LENGTH', message: '队列积压' }, { shopId: SHOP });
+    expect(hook.state.requests).toHaveLength(0);
+
+    await dispatcher.flush();
+
+    const byPath = Object.fromEntries(hook.state.requests.map((request) => [request.url, JSON.parse(request.body)]));
+    expect(Object.keys(byPath).sort()).toEqual(['/ops', '/shop']);
+    expect(byPath['/shop']).toMatchObject({ event: 'alert_digest', total: 3, highestLevel: 'CRITICAL' });
+    expect(byPath['/shop'].alerts).toHaveLength(1);
+    expect(byPath['/shop'].alerts[0]).toMatchObject({ count: 3, shopId: SHOP });
+    expect(byPath['/ops'].text).toContain('共 4 条告警');
+    expect(byPath['/ops'].text).toContain('[CRITICAL] Webhook处理失败: products/update ×3');
+    expect(db.channels[0].lastSentAt).toBeInstanceOf(Date);
+    expect(db.channels[0].lastError).toBeNull();
+  });
+
+  it('holds alerts while a channel is rate limited and sends them as one digest later', async () => {
+    let now = Date.parse('2026-01-01T00:00:00Z');
+    const dispatcher = new NotificationDispatcher({
+      windowMs: 60000,
+      maxPerHour: 1,
+      now: () => now,
+      getDefaultChannels: () => [{ id: 'env:webhook', type: 'webhook', target: `${hook.url}/ops`, minLevel: 'CRITICAL' }]
+    });
+
+    await dispatcher.notify({ level: 'EMERGENCY', type: 'ERROR_RATE', message: '错误率 25%' });
+    await dispatcher.flush();
+    expect(hook.state.requests).toHaveLength(1);
+
+    now += 5 * 60 * 1000;
+    await dispatcher.notify({ level: 'CRITICAL', type: 'ERROR_RATE', message: '错误率 12%' });
+    now += 60 * 1000;
+    await dispatcher.notify({ level: 'CRITICAL', type: 'API_LIMIT', message: 'API 限流 30 次' });
+    const limited = await dispatcher.flush();
+
+    expect(limited).toEqual([{ sent: false, rateLimited: true }]);
+    expect(dispatcher.getPendingCount()).toBe(2);
+    expect(hook.state.requests).toHaveLength(1);
+
+    now += 60 * 60 * 1000;
+    await dispatcher.flush();
+
+    expect(hook.state.requests).toHaveLength(2);
+    expect(JSON.parse(hook.state.requests[1].body)).toMatchObject({ event: 'alert_digest', total: 2 });
+    dispatcher.discard('env:webhook');
+  });
+
+  it('sends test notifications immediately and records delivery errors', async () => {
+    db.channels = [{ id: 'ch-1', shopId: SHOP, type: 'webhook', target: `${hook.url}/shop`, secret: 's1', minLevel: 'CRITICAL', enabled: true }];
+    const dispatcher = new NotificationDispatcher({ windowMs: 60000, maxPerHour: 1, deliver: trustedDeliver, getDefaultChannels: () => [] });
+
+    const ok = await sendTestNotification(SHOP, 'ch-1', dispatcher);
+    expect(ok).toEqual({ sent: true, count: 1 });
+    expect(JSON.parse(hook.state.requests[0].body).event).toBe('test');
+
+    hook.state.statusCode = 500;
+    const failed = await sendTestNotification(SHOP, 'ch-1', dispatcher);
+    expect(failed.sent).toBe(false);
+    expect(db.channels[0].lastError).toContain('500');
+    expect(db.channels[0].lastError).not.toContain('boom');
+
+    await expect(sendTestNotification('other.myshopify.com', 'ch-1', dispatcher)).rejects.toThrow('通知渠道不存在');
+  });
+
+  it('rejects shop webhook targets that are not public https endpoints', async () => {
+    for (const target of [
+      'http://hooks.example.com/x',
+      'https://localhost:8080/x',
+      'https://127.0.0.1/x',
+      'https://169.254.169.254/latest/meta-data',
+      'https://[::1]/x',
+      'https://[::ffff:10.0.0.1]/x',
+      'https://metadata.google.internal/x'
+    ]) {
+      expect(() => normalizeChannelInput({ type: 'webhook', target }), target).toThrow(/https|内网/);
+    }
+    expect(normalizeChannelInput({ type: 'slack', target: 'https://hooks.slack.com/services/T/B/X' }).target)
+      .toBe('https://hooks.slack.com/services/T/B/X');
+
+    const lookup = vi.fn(async () => [{ address: '93.184.216.34' }, { address: '10.1.2.3' }]);
+    await expect(assertPublicWebhookUrl('https://rebind.example.com/hook', { lookup })).rejects.toThrow('内网');
+    expect(lookup).toHaveBeenCalledWith('rebind.example.com', { all: true });
+    await expect(assertPublicWebhookUrl('https://hooks.example.com/hook', { lookup: async () => [{ address: '93.184.216.34' }] }))
+      .resolves.toEqual([{ address: '93.184.216.34', family: 4 }]);
+
+    // 店铺渠道使用默认传输，不会访问本地替身
+    db.channels = [{ id: 'ch-1', shopId: SHOP, type: 'webhook', target: `${hook.url}/shop`, minLevel: 'CRITICAL', enabled: true }];
+    const dispatcher = new NotificationDispatcher({ windowMs: 60000, maxPerHour: 5, getDefaultChannels: () => [] });
+    const blocked = await sendTestNotification(SHOP, 'ch-1', dispatcher);
+    expect(blocked.sent).toBe(false);
+    expect(hook.state.requests).toHaveLength(0);
+  });
+
+  it('connects to the validated address instead of resolving the hostname again', async () => {
+    const lookup = createPinnedLookup([{ address: '127.0.0.1', family: 4 }]);
+
+    expect(await new Promise((resolve, reject) => lookup('rebind.example.com', { all: true }, (error, result) => (error ? reject(error) : resolve(result)))))
+      .toEqual([{ address: '127.0.0.1', family: 4 }]);
+    await expect(new Promise((resolve, reject) => lookup('rebind.example.com', { family: 6 }, (error) => (error ? reject(error) : resolve()))))
+      .rejects.toMatchObject({ code: 'ENOTFOUND' });
+
+    // 未注册的域名也会连到固定地址，说明连接阶段没有再次查询 DNS
+    const status = await new Promise((resolve, reject) => {
+      const request = http.request(`http://rebind.invalid:${hook.server.address().port}/pinned`, { method: 'POST', lookup }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      request.on('error', reject);
+      request.end('{}');
+    });
+    expect(status).toBe(200);
+    expect(hook.state.requests[0].url).toBe('/pinned');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  selectPromptProfile,
+  createPromptProfile,
+  updatePromptProfile,
+  restorePromptProfileVersion,
+  resolvePromptProfile,
+  toPromptProfileAudit,
+  invalidatePromptProfileCache
+} from '../../app/services/prompt-profile.server.js';
+import { buildEnhancedPrompt } from '../../app/services/translation/prompts.server.js';
+
+const db = vi.hoisted(() => ({ profiles: [], versions: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+  const prisma = {
+    promptProfile: {
+      findMany: vi.fn(async ({ where }) => db.profiles.filter((row) => matches(row, where))),
+      findFirst: vi.fn(async ({ where }) => db.profiles.find((row) => matches(row, where)) || null),
+      create: vi.fn(async ({ data }) => {
+        const row = { id: `p${db.profiles.length + 1}`, ...data };
+        db.profiles.push(row);
+        return row;
+      }),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.profiles.find((row) => row.id === where.id), data))
+    },
+    promptProfileVersion: {
+      findFirst: vi.fn(async ({ where }) => db.versions.find((row) => matches(row, where)) || null),
+      create: vi.fn(async ({ data }) => {
+        db.versions.push({ id: `v${db.versions.length + 1}`, ...data });
+      })
+    },
+    $transaction: vi.fn(async (callback) => callback(prisma))
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const PROFILES = [
+  { id: 'all', locale: null, resourceTypes: [], isActive: true },
+  { id: 'fr', locale: 'fr', resourceTypes: [], isActive: true },
+  { id: 'fr-products', locale: 'fr', resourceTypes: ['product'], isActive: true },
+  { id: 'fr-CA', locale: 'fr-CA', resourceTypes: [], isActive: true },
+  { id: 'de-off', locale: 'de', resourceTypes: [], isActive: false }
+];
+
+describe('prompt profiles', () => {
+  beforeEach(() => {
+    db.profiles = [];
+    db.versions = [];
+    invalidatePromptProfileCache();
+  });
+
+  it('selects the most specific profile for language and resource type', () => {
+    expect(selectPromptProfile(PROFILES, 'fr', 'PRODUCT').id).toBe('fr-products');
+    expect(selectPromptProfile(PROFILES, 'fr', 'collection').id).toBe('fr');
+    expect(selectPromptProfile(PROFILES, 'fr-CA', 'product').id).toBe('fr-CA');
+    expect(selectPromptProfile(PROFILES, 'fr-BE', 'page').id).toBe('fr');
+    expect(selectPromptProfile(PROFILES, 'de', 'product').id).toBe('all');
+  });
+
+  it('injects brand voice into the prompt without a hard-coded brand', () => {
+    const base = buildEnhancedPrompt('de');
+    expect(base).not.toContain('Onewind');
+    expect(base).toContain('保持专业的商务语调');
+    expect(base).not.toContain('品牌语气要求');
+
+    const prompt = buildEnhancedPrompt('de', {
+      profile: {
+        tone: 'casual',
+        addressForm: 'informal',
+        audience: 'Bergsteiger',
+        forbiddenWords: ['billig'],
+        brandNames: ['Trailpeak'],
+        instructions: 'Kurze Sätze'
+      }
+    });
+    expect(prompt).toContain('保持以下品牌名称不变：Trailpeak');
+    expect(prompt).toContain('德语 du');
+    expect(prompt).toContain('目标受众：Bergsteiger');
+    expect(prompt).toContain('billig');
+    expect(prompt).toContain('补充要求：Kurze Sätze');
+    expect(prompt).not.toContain('保持专业的商务语调');
+  });
+
+  it('versions every change, restores old versions and reports the profile for audit', async () => {
+    const created = await createPromptProfile('shop1', {
+      name: 'German shop voice',
+      locale: 'de',
+      tone: 'formal',
+      addressForm: 'formal',
+      brandNames: 'Trailpeak, trailpeak, Summit'
+    }, 'owner@example.com');
+    expect(created).toMatchObject({ version: 1, brandNames: ['Trailpeak', 'Summit'], resourceTypes: [] });
+
+    const unchanged = await updatePromptProfile('shop1', created.id, { tone: 'formal' });
+    expect(unchanged.version).toBe(1);
+
+    const updated = await updatePromptProfile('shop1', created.id, { addressForm: 'informal' });
+    expect(updated.version).toBe(2);
+    expect(toPromptProfileAudit(await resolvePromptProfile('shop1', 'de', 'product'))).toEqual({ promptProfileId: created.id, promptProfileVersion: 2 });
+
+    const restored = await restorePromptProfileVersion('shop1', created.id, 1);
+    expect(restored).toMatchObject({ version: 3, addressForm: 'formal' });
+    expect(db.versions.map((row) => [row.version, row.settings.addressForm])).toEqual([[1, 'formal'], [2, 'informal'], [3, 'formal']]);
+
+    expect(toPromptProfileAudit(await resolvePromptProfile('shop1', 'ja', 'product'))).toEqual({ promptProfileId: null, promptProfileVersion: null });
+    await expect(updatePromptProfile('shop1', created.id, { tone: 'playful' })).rejects.toThrow('不支持的语气');
+    await expect(restorePromptProfileVersion('other', created.id, 1)).rejects.toThrow('版本不存在');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  detectTextLanguage,
+  detectAlreadyTargetLanguage,
+  isLikelySourceLanguage
+} from '../../app/services/translation/language-detection.server.js';
+import {
+  evaluateCompleteness,
+  evaluateTranslationQuality
+} from '../../app/services/translation/validators.server.js';
+import { buildEnhancedPrompt } from '../../app/services/translation/prompts.server.js';
+import {
+  syncShopPrimaryLocale,
+  getShopSourceLanguage,
+  invalidateSourceLanguageCache
+} from '../../app/services/source-language.server.js';
+
+const db = vi.hoisted(() => ({ shops: {} }));
+
+vi.mock('../../app/db.server.js', () => {
+  const prisma = {
+    shop: {
+      findUnique: vi.fn(async ({ where }) => db.shops[where.id] || null),
+      updateMany: vi.fn(async ({ where, data }) => {
+        const shop = db.shops[where.id];
+        if (!shop || shop.primaryLocale === data.primaryLocale) return { count: 0 };
+        Object.assign(shop, data);
+        return { count: 1 };
+      })
+    },
+    promptProfile: { findMany: vi.fn(async () => []) },
+    glossaryTerm: { findMany: vi.fn(async () => []) }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const GERMAN = 'Die wasserdichte Jacke ist leicht und für das Wandern mit dem Rucksack gemacht';
+const ENGLISH = 'The waterproof jacket is light and made for hiking with your backpack';
+
+describe('source language', () => {
+  beforeEach(() => {
+    db.shops = { 'shop1.myshopify.com': { id: 'shop1.myshopify.com', primaryLocale: null } };
+    invalidateSourceLanguageCache();
+  });
+
+  it('detects the language of each field', () => {
+    expect(detectTextLanguage(GERMAN)).toMatchObject({ language: 'de', script: 'latin' });
+    expect(detectTextLanguage(ENGLISH)).toMatchObject({ language: 'en' });
+    expect(detectTextLanguage('この防水ジャケットは軽量でハイキングに最適です')).toMatchObject({ language: 'ja' });
+    expect(detectTextLanguage('这款防水夹克轻便耐用，适合徒步旅行使用')).toMatchObject({ language: 'zh' });
+    expect(detectTextLanguage('Jacke')).toBeNull();
+
+    expect(isLikelySourceLanguage(GERMAN, 'de')).toBe(true);
+    expect(isLikelySourceLanguage(GERMAN, 'en')).toBe(false);
+  });
+
+  it('flags source fields that are already in the target language', () => {
+    expect(detectAlreadyTargetLanguage(ENGLISH, 'en', 'de')).toMatchObject({ detectedLanguage: 'en' });
+    expect(detectAlreadyTargetLanguage(GERMAN, 'en', 'de')).toBeNull();
+    expect(detectAlreadyTargetLanguage('这款防水夹克轻便耐用，适合徒步旅行使用', 'zh-TW', 'zh-CN')).toBeNull();
+  });
+
+  it('translates fields that still contain source language text', () => {
+    const specs = 'Waterproof rating 20000mm with taped seams and the adjustable hood for your trips';
+    expect(detectAlreadyTargetLanguage(specs, 'en', 'zh-CN')).toMatchObject({ detectedLanguage: 'en' });
+    expect(detectAlreadyTargetLanguage(`${specs}。防水面料，适合徒步`, 'en', 'zh-CN')).toBeNull();
+
+    const mixed = `${ENGLISH}. ${ENGLISH}. Die Jacke ist wasserdicht und leicht`;
+    expect(detectTextLanguage(mixed)).toMatchObject({ language: 'en' });
+    expect(detectAlreadyTargetLanguage(mixed, 'en', 'de')).toBeNull();
+  });
+
+  it('validates against the source language instead of assuming English', () => {
+    const german = evaluateTranslationQuality(
+      'Die wasserdichte Jacke ist leicht',
+      'The waterproof jacket is very lightweight',
+      'en',
+      'de'
+    );
+    expect(german.warnings).not.toContain('EXCESSIVE_ENGLISH_REMNANTS');
+
+    const japanese = evaluateTranslationQuality(
+      'この防水ジャケットは軽量です',
+      'この防水ジャケットは軽量です 방수 재킷',
+      'ko',
+      'ja'
+    );
+    expect(japanese.warnings).toContain('EXCESSIVE_SOURCE_LANGUAGE_REMNANTS');
+
+    const untranslated = evaluateCompleteness('ハイキング用の軽量な防水ジャケットです', 'ハイキング用の軽量な防水ジャケットです', 'ko', 'ja');
+    expect(untranslated).toMatchObject({ isComplete: false });
+    expect(untranslated.reason).toContain('源语言(ja)');
+  });
+
+  it('describes the source language in the prompt', () => {
+    const prompt = buildEnhancedPrompt('fr', { sourceLanguage: 'de' });
+    expect(prompt).toContain('请将用户提供的德语文本完全翻译成法语');
+    expect(prompt).toContain('不得保留任何德语原文词语');
+    expect(prompt).not.toContain('waterproof');
+    expect(buildEnhancedPrompt('fr')).toContain('不得保留任何英文单词');
+  });
+
+  it('stores the Shopify primary locale as the shop source language', async () => {
+    expect(await getShopSourceLanguage('shop1.myshopify.com')).toBe('en');
+
+    const primary = await syncShopPrimaryLocale('shop1.myshopify.com', [
+      { locale: 'fr', primary: false },
+      { locale: 'de', primary: true }
+    ]);
+    expect(primary).toBe('de');
+    expect(db.shops['shop1.myshopify.com'].primaryLocale).toBe('de');
+    expect(await getShopSourceLanguage('shop1.myshopify.com')).toBe('de');
+
+    invalidateSourceLanguageCache();
+    expect(await getShopSourceLanguage('shop1.myshopify.com')).toBe('de');
+    expect(await getShopSourceLanguage('missing.myshopify.com')).toBe('en');
+  });
+});
@@ -0,0 +1,221 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { convertUrlForLocale } from '../../app/services/link-converter.server.js';
+import {
+  convertThemeTranslationLinks,
+  convertRichTextTranslationLinks,
+  buildLinkConversionReport,
+  parseInternalHandleLink
+} from '../../app/services/structured-link-converter.server.js';
+import { fetchMenuLinks } from '../../app/services/shopify-graphql.server.js';
+
+const db = vi.hoisted(() => ({ resources: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const prisma = {
+    resource: {
+      findMany: vi.fn(async ({ where, select }) => {
+        if (where.handle) {
+          const languages = select.translations.where.language.in;
+          return db.resources
+            .filter((resource) => resource.shopId === where.shopId && where.handle.in.includes(resource.handle))
+            .map((resource) => ({
+              ...resource,
+              translations: resource.translations.filter((translation) => languages.includes(translation.language))
+            }));
+        }
+        return db.resources.filter(
+          (resource) => resource.shopId === where.shopId && where.resourceType.in.includes(resource.resourceType)
+        );
+      })
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const marketConfig = vi.hoisted(() => ({
+  primaryHost: 'shop.example.com',
+  primaryUrl: 'https://shop.example.com',
+  mappings: {
+    en: { type: 'primary', url: 'https://shop.example.com' },
+    fr: { type: 'subfolder', suffix: 'fr', url: 'https://shop.example.com/fr' },
+    de: { type: 'domain', url: 'https://shop.example.de' }
+  }
+}));
+
+const linkSettings = vi.hoisted(() => ({ enabled: true, options: { strategy: 'conservative' } }));
+
+vi.mock('../../app/services/market-urls.server.js', () => ({
+  getCachedMarketConfig: vi.fn(async () => marketConfig),
+  syncMarketConfig: vi.fn(async () => null),
+  resolveLinkConversionSettings: vi.fn(async () => linkSettings)
+}));
+
+vi.mock('../../app/services/shopify-graphql.server.js', () => ({
+  fetchMenuLinks: vi.fn(async () => [])
+}));
+
+const SHOP = 'shop1.myshopify.com';
+const linkConversion = (locale) => ({ enabled: true, locale, marketConfig, options: { strategy: 'conservative' } });
+
+function richText(url) {
+  return JSON.stringify({
+    type: 'root',
+    children: [{ type: 'paragraph', children: [{ type: 'link', url, children: [{ type: 'text', value: 'Shop' }] }] }]
+  });
+}
+
+describe('structured link conversion', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    db.resources = [];
+    linkSettings.enabled = true;
+    linkSettings.options = { strategy: 'conservative' };
+  });
+
+  it('converts single URLs including internal absolute ones', () => {
+    expect(convertUrlForLocale('/collections/sale', 'fr', marketConfig)).toBe('/fr/collections/sale');
+    expect(convertUrlForLocale('https://shop.example.com/pages/about?ref=1', 'de', marketConfig))
+      .toBe('https://shop.example.de/pages/about?ref=1');
+    expect(convertUrlForLocale('https://other.com/x', 'fr', marketConfig)).toBe('https://other.com/x');
+    expect(convertUrlForLocale('shopify://collections/sale', 'fr', marketConfig)).toBe('shopify://collections/sale');
+    expect(convertUrlForLocale(' /fr/pages/about ', 'fr', marketConfig)).toBe(' /fr/pages/about ');
+    expect(convertUrlForLocale('/pages/about', 'fr-CA', marketConfig)).toBe('/fr/pages/about');
+  });
+
+  it('rewrites link settings in translated theme fields only', () => {
+    const themeData = JSON.stringify({
+      sections: { hero: { settings: { heading: '/pages/about', button_link: '/collections/sale' } } }
+    }, null, 2);
+    const fields = convertThemeTranslationLinks({
+      themeData,
+      dynamicFields: { 'sections.footer.settings.url': '/pages/contact', 'sections.footer.settings.text': '/x' },
+      translatableFields: [{ key: 'sections.header.blocks.menu.settings.link', value: '/blogs/news' }]
+    }, linkConversion('fr'), 'fr');
+
+    expect(JSON.parse(fields.themeData).sections.hero.settings).toEqual({
+      heading: '/pages/about',
+      button_link: '/fr/collections/sale'
+    });
+    expect(fields.dynamicFields).toEqual({
+      'sections.footer.settings.url': '/fr/pages/contact',
+      'sections.footer.settings.text': '/x'
+    });
+    expect(fields.translatableFields[0].value).toBe('/fr/blogs/news');
+
+    const untouched = { themeData };
+    expect(convertThemeTranslationLinks(untouched, null, 'fr')).toBe(untouched);
+  });
+
+  it('rewrites link nodes in rich text metaobjects and metafields', () => {
+    const metaobject = {
+      resourceType: 'METAOBJECT',
+      contentFields: {
+        fields: [
+          { key: 'body', type: 'rich_text_field', value: richText('/products/jacket') },
+          { key: 'cta', type: 'single_line_text_field', value: '/products/jacket' }
+        ]
+      }
+    };
+    const translated = convertRichTextTranslationLinks(metaobject, {
+      body: { value: richText('/products/jacket'), sourceDigest: 'd1' },
+      cta: { value: '/products/jacket', sourceDigest: 'd2' }
+    }, linkConversion('de'), 'de');
+
+    expect(translated.body).toEqual({ value: richText('https://shop.example.de/products/jacket'), sourceDigest: 'd1' });
+    expect(translated.cta.value).toBe('/products/jacket');
+
+    const metafield = { resourceType: 'product_metafield', contentFields: { type: 'rich_text_field', value: richText('/pages/faq') } };
+    expect(convertRichTextTranslationLinks(metafield, { value: richText('/pages/faq') }, linkConversion('fr'), 'fr'))
+      .toEqual({ value: richText('/fr/pages/faq') });
+    expect(convertRichTextTranslationLinks(metafield, { value: 'not json' }, linkConversion('fr'), 'fr'))
+      .toEqual({ value: 'not json' });
+  });
+
+  it('parses internal handle links', () => {
+    expect(parseInternalHandleLink('/fr/products/jacket?variant=1', 'shop.example.com'))
+      .toEqual({ resourceType: 'PRODUCT', handle: 'jacket' });
+    expect(parseInternalHandleLink('https://shop.example.com/blogs/news/launch', 'shop.example.com'))
+      .toEqual({ resourceType: 'ARTICLE', handle: 'launch', blogHandle: 'news' });
+    expect(parseInternalHandleLink('https://other.com/products/jacket', 'shop.example.com')).toBeNull();
+    expect(parseInternalHandleLink('/search?q=x', 'shop.example.com')).toBeNull();
+  });
+
+  it('reports per-locale changes and links to translated handles without writing', async () => {
+    db.resources = [
+      {
+        id: 'theme-1',
+        shopId: SHOP,
+        resourceType: 'online_store_theme_json_template',
+        title: 'Home',
+        contentFields: { dynamicFields: { 'sections.hero.settings.button_link': { value: '/products/jacket', digest: 'x' } } }
+      },
+      {
+        id: 'mf-1',
+        shopId: SHOP,
+        resourceType: 'PRODUCT_METAFIELD',
+        title: 'Care',
+        contentFields: { type: 'rich_text_field', value: richText('https://shop.example.com/pages/care') }
+      },
+      {
+        id: 'product-1',
+        shopId: SHOP,
+        resourceType: 'product',
+        handle: 'jacket',
+        translations: [
+          { language: 'fr', handleTrans: 'veste' },
+          { language: 'de', handleTrans: 'jacket' }
+        ]
+      }
+    ];
+    fetchMenuLinks.mockResolvedValueOnce([
+      { menuId: 'm1', menuHandle: 'main-menu', id: 'item-1', title: 'Sale', type: 'COLLECTION', url: '/collections/sale' }
+    ]);
+
+    const report = await buildLinkConversionReport(SHOP, { admin: {} });
+
+    expect(report).toMatchObject({ enabled: true, locales: ['fr', 'de'], scannedLinks: 3, totalChanges: 6 });
+    expect(report.byLocale.fr.changes.map(({ source, from, to, publishable }) => ({ source, from, to, publishable })))
+      .toEqual([
+        { source: 'theme', from: '/products/jacket', to: '/fr/products/jacket', publishable: true },
+        { source: 'rich_text', from: 'https://shop.example.com/pages/care', to: 'https://shop.example.com/fr/pages/care', publishable: true },
+        { source: 'menu', from: '/collections/sale', to: '/fr/collections/sale', publishable: false }
+      ]);
+    expect(report.handleWarnings).toEqual([
+      expect.objectContaining({ locale: 'fr', resourceId: 'theme-1', handle: 'jacket', translatedHandle: 'veste' })
+    ]);
+    expect(report.menus).toEqual({ available: true, error: null, count: 1 });
+
+    await expect(buildLinkConversionReport(SHOP, { locales: ['ja'] })).rejects.toThrow('没有可用的市场域名配置');
+  });
+
+  it('keeps reporting when menus cannot be read', async () => {
+    fetchMenuLinks.mockRejectedValueOnce(new Error('Access denied for menus field'));
+
+    const report = await buildLinkConversionReport(SHOP, { admin: {}, locales: ['fr'] });
+
+    expect(report.menus).toEqual({ available: false, error: 'Access denied for menus field', count: 0 });
+    expect(report.totalChanges).toBe(0);
+  });
+
+  it('reports with the same conversion options as the translation path', async () => {
+    linkSettings.enabled = false;
+    linkSettings.options = { strategy: 'conservative', preserveQueryParams: false, preserveAnchors: true };
+    db.resources = [{
+      id: 'mf-1',
+      shopId: SHOP,
+      resourceType: 'PRODUCT_METAFIELD',
+      title: 'Care',
+      contentFields: { type: 'rich_text_field', value: richText('https://shop.example.com/pages/care?ref=1#wash') }
+    }];
+
+    const report = await buildLinkConversionReport(SHOP, { admin: {}, locales: ['fr'] });
+
+    expect(report.enabled).toBe(false);
+    expect(report.byLocale.fr.changes[0].to).toBe('https://shop.example.com/fr/pages/care#wash');
+  });
+});
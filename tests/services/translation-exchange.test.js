@@ -0,0 +1,215 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  extractExchangeSegments,
+  serializeXliff,
+  parseXliff,
+  serializePo,
+  parsePo,
+  exportTranslations,
+  importTranslations,
+  calculateSegmentDigest
+} from '../../app/services/translation-exchange.server.js';
+import { recordTranslationMemory } from '../../app/services/translation-memory.server.js';
+
+const db = vi.hoisted(() => ({ resources: [], translations: new Map(), digestUpdates: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const attachTranslations = (resource, include) => ({
+    ...resource,
+    translations: include?.translations
+      ? [db.translations.get(`${resource.id}|${include.translations.where.language}`)].filter(Boolean)
+      : undefined
+  });
+  const prisma = {
+    resource: {
+      findMany: vi.fn(async ({ where, include }) => db.resources
+        .filter((resource) => resource.shopId === where.shopId)
+        .filter((resource) => !where.resourceType || where.resourceType.in.includes(resource.resourceType))
+        .filter((resource) => !where.id || where.id.in.includes(resource.id))
+        .map((resource) => attachTranslations(resource, include))),
+      update: vi.fn(async ({ where, data }) => {
+        db.digestUpdates.push({ id: where.id, ...data });
+        return { id: where.id, ...data };
+      })
+    },
+    translation: {
+      upsert: vi.fn(async ({ where, update, create }) => {
+        const key = `${where.resourceId_language.resourceId}|${where.resourceId_language.language}`;
+        const existing = db.translations.get(key);
+        const next = existing ? { ...existing, ...update } : { ...create };
+        db.translations.set(key, next);
+        return next;
+      })
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/translation-memory.server.js', () => ({
+  recordTranslationMemory: vi.fn(async () => null)
+}));
+
+vi.mock('../../app/services/translation-review.server.js', () => ({
+  assessTranslationReview: vi.fn(async () => ({ isManualReview: false, reviewStatus: null }))
+}));
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const product = {
+  id: 'res_product',
+  shopId: 'shop1',
+  resourceType: 'product',
+  title: 'Rain "Jacket" & Hood',
+  description: 'Plain',
+  descriptionHtml: '<p>Stays dry\nall day</p>',
+  seoTitle: null,
+  contentFields: {}
+};
+
+const template = {
+  id: 'res_template',
+  shopId: 'shop1',
+  resourceType: 'online_store_theme_json_template',
+  title: 'index',
+  contentFields: {
+    dynamicFields: {
+      'sections.hero.settings.heading': { value: 'Welcome', digest: 'shopify-digest' }
+    },
+    translatableFields: [{ key: 'sections.hero.settings.button', value: 'Shop now' }]
+  }
+};
+
+describe('translation exchange', () => {
+  beforeEach(() => {
+    db.resources = [product, template];
+    db.translations = new Map([
+      ['res_product|de', { resourceId: 'res_product', language: 'de', titleTrans: 'Regenjacke', status: 'completed' }]
+    ]);
+    db.digestUpdates = [];
+    vi.mocked(recordTranslationMemory).mockClear();
+  });
+
+  it('extracts base and theme segments with digests', () => {
+    const base = extractExchangeSegments(product, { titleTrans: 'Regenjacke' });
+    expect(base.map((segment) => segment.fieldKey)).toEqual(['title', 'description']);
+    expect(base[0]).toMatchObject({ id: 'res_product::title', target: 'Regenjacke' });
+    expect(base[1].source).toBe(product.descriptionHtml);
+    expect(base[1].digest).toBe(calculateSegmentDigest(product.descriptionHtml));
+
+    const theme = extractExchangeSegments(template);
+    expect(theme.map((segment) => segment.fieldKey)).toEqual([
+      'dynamicFields.sections.hero.settings.heading',
+      'translatableFields.sections.hero.settings.button'
+    ]);
+  });
+
+  it('round-trips XLIFF 2.0 and PO including escaping and multi-line text', () => {
+    const segments = extractExchangeSegments(product, { titleTrans: 'Regen"jacke" & Kapuze' });
+    const options = { sourceLanguage: 'en', targetLanguage: 'de' };
+
+    const xliff = serializeXliff(segments, options);
+    expect(xliff).toContain('xmlns="urn:oasis:names:tc:xliff:document:2.0"');
+    expect(xliff).toContain('trgLang="de"');
+    const fromXliff = parseXliff(xliff);
+    expect(fromXliff.targetLanguage).toBe('de');
+    expect(fromXliff.entries[0]).toEqual({
+      id: 'res_product::title',
+      digest: segments[0].digest,
+      target: 'Regen"jacke" & Kapuze'
+    });
+
+    const po = serializePo(segments.map((segment) => ({ ...segment, target: segment.source })), options);
+    const fromPo = parsePo(po);
+    expect(fromPo.targetLanguage).toBe('de');
+    expect(fromPo.entries).toHaveLength(2);
+    expect(fromPo.entries[1]).toMatchObject({
+      id: 'res_product::description',
+      digest: segments[1].digest,
+      target: '<p>Stays dry\nall day</p>'
+    });
+  });
+
+  it('exports only resources of the requested category', async () => {
+    const result = await exportTranslations({
+      shopId: 'shop1',
+      language: 'de',
+      category: 'THEME',
+      format: 'po'
+    });
+
+    expect(result.resourceCount).toBe(1);
+    expect(result.segmentCount).toBe(2);
+    expect(result.content).toContain('msgctxt "res_template::dynamicFields.sections.hero.settings.heading"');
+    expect(result.content).not.toContain('res_product');
+
+    await expect(exportTranslations({ shopId: 'shop1', language: 'de', category: 'NOPE' }))
+      .rejects.toThrow('未知的资源分类');
+  });
+
+  it('imports valid segments, rejects stale and unknown ones and marks rows for sync', async () => {
+    const { content } = await exportTranslations({
+      shopId: 'shop1',
+      language: 'de',
+      category: 'PRODUCTS',
+      subcategory: 'PRODUCTS'
+    });
+    const parsed = parseXliff(content);
+    const edited = content
+      .replace('<target>Regenjacke</target>', '<target>Regenjacke mit Kapuze</target>')
+      .replace(
+        `<note category="digest">${parsed.entries[1].digest}</note>`,
+        '<note category="digest">outdated</note>'
+      )
+      .replace('<target></target>', '<target>&lt;p&gt;Bleibt trocken&lt;/p&gt;</target>')
+      .replace('</file>', [
+        '<unit id="x" name="res_missing::title"><segment><source>a</source><target>b</target></segment></unit>',
+        '<unit id="y" name="res_product::seoTitle"><segment><source>a</source><target>b</target></segment></unit>',
+        '</file>'
+      ].join(''));
+
+    const result = await importTranslations({ shopId: 'shop1', language: 'de', content: edited });
+
+    expect(result.format).toBe('xliff');
+    expect(result.imported).toBe(1);
+    expect(result.rejected).toEqual([
+      { id: 'res_product::description', reason: 'stale' },
+      { id: 'res_product::seoTitle', reason: 'unknown_segment' },
+      { id: 'res_missing::title', reason: 'unknown_segment' }
+    ]);
+
+    const saved = db.translations.get('res_product|de');
+    expect(saved).toMatchObject({ titleTrans: 'Regenjacke mit Kapuze', status: 'completed', syncStatus: 'pending' });
+    expect(saved.descTrans).toBeUndefined();
+    expect(db.digestUpdates[0].contentDigests.title).toBe(calculateSegmentDigest(product.title));
+    expect(recordTranslationMemory).toHaveBeenCalledWith(expect.objectContaining({ origin: 'import' }));
+  });
+
+  it('writes theme segments into translationFields from PO files', async () => {
+    const { content } = await exportTranslations({
+      shopId: 'shop1',
+      language: 'fr',
+      category: 'THEME',
+      format: 'po'
+    });
+    const translated = content
+      .replace(/(msgid "Welcome"\n)msgstr ""/, '$1msgstr "Bienvenue"')
+      .replace(/(msgid "Shop now"\n)msgstr ""/, '#, fuzzy\n$1msgstr "Acheter"');
+
+    const result = await importTranslations({ shopId: 'shop1', content: translated, format: 'po' });
+
+    expect(result).toMatchObject({ language: 'fr', imported: 1, skipped: 1, rejected: [] });
+    const saved = db.translations.get('res_template|fr');
+    expect(saved.translationFields.dynamicFields['sections.hero.settings.heading']).toEqual({
+      value: 'Bienvenue',
+      digest: 'shopify-digest',
+      original: 'Welcome'
+    });
+  });
+});
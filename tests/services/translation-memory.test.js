@@ -0,0 +1,175 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  normalizeSegment,
+  calculateSimilarity,
+  lookupTranslationMemory,
+  recordTranslationMemory,
+  extractMemorySegments,
+  estimateCreditsWithMemory,
+  isMemoryEligible
+} from '../../app/services/translation-memory.server.js';
+import { creditCalculator } from '../../app/services/credit-calculator.server.js';
+import { buildEnhancedPrompt } from '../../app/services/translation/prompts.server.js';
+
+const store = vi.hoisted(() => new Map());
+
+vi.mock('../../app/db.server.js', () => {
+  const keyOf = ({ shopId, targetLang, segmentHash }) => `${shopId}|${targetLang}|${segmentHash}`;
+  const prisma = {
+    translationMemory: {
+      findUnique: vi.fn(async ({ where }) => store.get(keyOf(where.shopId_targetLang_segmentHash)) || null),
+      findMany: vi.fn(async ({ where }) => [...store.values()].filter((entry) =>
+        entry.shopId === where.shopId &&
+        entry.targetLang === where.targetLang &&
+        entry.charCount >= where.charCount.gte &&
+        entry.charCount <= where.charCount.lte
+      )),
+      upsert: vi.fn(async ({ where, update, create }) => {
+        const key = keyOf(where.shopId_targetLang_segmentHash);
+        const existing = store.get(key);
+        const next = existing
+          ? { ...existing, ...update }
+          : { id: `tm_${store.size + 1}`, hitCount: 0, ...create };
+        store.set(key, next);
+        return next;
+      }),
+      update: vi.fn(async ({ where }) => {
+        const entry = [...store.values()].find((item) => item.id === where.id);
+        entry.hitCount += 1;
+        return entry;
+      })
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const CARE = 'Machine wash cold with like colors. Do not bleach. Tumble dry low for 30 minutes.';
+
+describe('translation memory', () => {
+  beforeEach(async () => {
+    store.clear();
+    await recordTranslationMemory({
+      shopId: 'shop1',
+      targetLang: 'de',
+      sourceText: `  ${CARE}\n`,
+      translatedText: 'Kalt mit ähnlichen Farben waschen. Nicht bleichen. 30 Minuten bei niedriger Temperatur trocknen.'
+    });
+  });
+
+  it('normalizes whitespace and scores similarity', () => {
+    expect(normalizeSegment('  a\n\tb  c ')).toBe('a b c');
+    expect(calculateSimilarity('Free shipping', 'free shipping')).toBe(1);
+    expect(calculateSimilarity('Free shipping over $50', 'Free shipping over $50!')).toBeGreaterThan(0.95);
+    expect(calculateSimilarity('Free shipping', 'Returns policy')).toBeLessThan(0.3);
+  });
+
+  it('returns exact hits for whitespace-only differences', async () => {
+    const hit = await lookupTranslationMemory({ shopId: 'shop1', text: CARE, targetLang: 'de' });
+
+    expect(hit.matchType).toBe('exact');
+    expect(hit.translatedText).toContain('Nicht bleichen');
+    expect([...store.values()][0].hitCount).toBe(1);
+  });
+
+  it('returns fuzzy hits above threshold only when numbers match', async () => {
+    const fuzzy = await lookupTranslationMemory({
+      shopId: 'shop1',
+      text: CARE.replace('Do not bleach.', 'Do not bleach!'),
+      targetLang: 'de'
+    });
+    expect(fuzzy.matchType).toBe('fuzzy');
+    expect(fuzzy.score).toBeGreaterThanOrEqual(0.95);
+
+    const differentNumber = await lookupTranslationMemory({
+      shopId: 'shop1',
+      text: CARE.replace('30 minutes', '40 minutes'),
+      targetLang: 'de'
+    });
+    expect(differentNumber).toBeNull();
+  });
+
+  it('is scoped by shop and locale and can be skipped', async () => {
+    expect(await lookupTranslationMemory({ shopId: 'shop2', text: CARE, targetLang: 'de' })).toBeNull();
+    expect(await lookupTranslationMemory({ shopId: 'shop1', text: CARE, targetLang: 'fr' })).toBeNull();
+    expect(await lookupTranslationMemory({
+      shopId: 'shop1',
+      text: CARE,
+      targetLang: 'de',
+      skipTranslationMemory: true
+    })).toBeNull();
+  });
+
+  it('skips identical translations when recording', async () => {
+    const saved = await recordTranslationMemory({
+      shopId: 'shop1',
+      targetLang: 'de',
+      sourceText: 'Onewind',
+      translatedText: 'Onewind'
+    });
+    expect(saved).toBeNull();
+  });
+
+  it('pairs translation fields with resource source fields', () => {
+    const segments = extractMemorySegments(
+      { resourceType: 'page', title: 'About', description: 'Plain', descriptionHtml: '<p>Html</p>' },
+      { titleTrans: 'Über uns', descTrans: 'Schlicht', seoTitleTrans: 'SEO' }
+    );
+
+    expect(segments).toEqual([
+      { sourceText: 'About', translatedText: 'Über uns' },
+      { sourceText: 'Plain', translatedText: 'Schlicht' }
+    ]);
+  });
+
+  it('charges zero credits for memory hits in estimates', async () => {
+    const direct = creditCalculator.calculateEstimated(CARE, 'de', 'PRODUCT', {
+      memoryMatch: { matchType: 'exact', score: 1 }
+    });
+    expect(direct.credits).toBe(0);
+    expect(direct.details.translationMemory.savedCredits).toBeGreaterThan(0);
+
+    const summary = await estimateCreditsWithMemory({
+      shopId: 'shop1',
+      targetLang: 'de',
+      resourceType: 'PRODUCT',
+      segments: [CARE, 'Brand new description text']
+    });
+
+    expect(summary.memoryHits).toBe(1);
+    expect(summary.credits).toBe(creditCalculator.calculateEstimated('Brand new description text', 'de', 'PRODUCT').credits);
+    expect([...store.values()][0].hitCount).toBe(0);
+  });
+
+  it('charges fuzzy matches and only passes them to the model as a reference', async () => {
+    const negated = CARE.replace('Do not bleach.', 'Do bleach.');
+    const fuzzy = await lookupTranslationMemory({ shopId: 'shop1', text: negated, targetLang: 'de' });
+    expect(fuzzy).toMatchObject({ matchType: 'fuzzy', sourceText: CARE });
+
+    const summary = await estimateCreditsWithMemory({
+      shopId: 'shop1',
+      targetLang: 'de',
+      resourceType: 'PRODUCT',
+      segments: [negated]
+    });
+    expect(summary.memoryHits).toBe(0);
+    expect(summary.credits).toBe(creditCalculator.calculateEstimated(negated, 'de', 'PRODUCT').credits);
+    expect(creditCalculator.calculateEstimated(negated, 'de', 'PRODUCT', { memoryMatch: fuzzy }).credits).toBeGreaterThan(0);
+
+    const prompt = buildEnhancedPrompt('de', { memoryReference: fuzzy });
+    expect(prompt).toContain(`参考译文：${fuzzy.translatedText}`);
+    expect(prompt).toContain('否定词');
+    expect(buildEnhancedPrompt('de')).not.toContain('参考译文');
+  });
+
+  it('only records approved translations or ones that need no review', () => {
+    expect(isMemoryEligible({ reviewStatus: null })).toBe(true);
+    expect(isMemoryEligible({ reviewStatus: 'approved' })).toBe(true);
+    expect(isMemoryEligible({ reviewStatus: 'pending' })).toBe(false);
+    expect(isMemoryEligible({ reviewStatus: 'rejected' })).toBe(false);
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  calculateSourceDigest,
+  getFieldTranslationStates,
+  getOutdatedFields
+} from '../../app/services/content-digest-tracker.server.js';
+import {
+  detectUntranslatedFields,
+  performIncrementalTranslation
+} from '../../app/services/incremental-translation.server.js';
+import { getResourceCoverage } from '../../app/services/language-coverage.server.js';
+import { applyFieldLocks } from '../../app/services/field-lock.server.js';
+import { translateTextWithFallback } from '../../app/services/translation.server.js';
+import { invalidateReviewSettingsCache } from '../../app/services/translation-review.server.js';
+import { getLocaleInheritance, rederiveInheritedChildren } from '../../app/services/locale-inheritance.server.js';
+
+const db = vi.hoisted(() => ({ resources: [], translations: [], settings: null }));
+
+vi.mock('../../app/db.server.js', () => {
+  const withTranslations = (row, language) => ({
+    ...row,
+    translations: db.translations.filter((t) => t.resourceId === row.id && (!language || t.language === language))
+  });
+  const prisma = {
+    resource: {
+      findFirst: vi.fn(async ({ where, select }) => {
+        const row = db.resources.find((item) => item.shopId === where.shopId &&
+          where.OR.some((cond) => Object.entries(cond).every(([key, value]) => item[key] === value)));
+        return row ? withTranslations(row, select?.translations?.where?.language) : null;
+      }),
+      findMany: vi.fn(async ({ where, include }) => db.resources
+        .filter((row) => row.shopId === where.shopId && (!where.id || where.id.in.includes(row.id)))
+        .map((row) => withTranslations(row, include?.translations?.where?.language)))
+    },
+    translation: {
+      findUnique: vi.fn(async ({ where }) => {
+        const { resourceId, language } = where.resourceId_language;
+        return db.translations.find((row) => row.resourceId === resourceId && row.language === language) || null;
+      })
+    },
+    translationFieldLock: {
+      findMany: vi.fn(async () => [])
+    },
+    shopSettings: {
+      findUnique: vi.fn(async () => db.settings)
+    },
+    shop: {
+      findUnique: vi.fn(async () => ({ primaryLocale: 'en' }))
+    },
+    $transaction: vi.fn(async (callback) => callback({
+      resource: { update: vi.fn(async () => ({})) },
+      translation: {
+        upsert: vi.fn(async ({ where, update }) => {
+          const { resourceId, language } = where.resourceId_language;
+          const row = db.translations.find((item) => item.resourceId === resourceId && item.language === language);
+          return Object.assign(row, update);
+        })
+      }
+    }))
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/translation.server.js', () => ({
+  translateTextWithFallback: vi.fn(async (text) => ({ success: true, text: `[fr] ${text}` }))
+}));
+
+vi.mock('../../app/services/market-urls.server.js', () => ({
+  getLinkConversionConfig: vi.fn(async () => null)
+}));
+
+vi.mock('../../app/services/locale-inheritance.server.js', () => ({
+  getLocaleInheritance: vi.fn(async () => null),
+  rederiveInheritedChildren: vi.fn(async () => [])
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const digest = (text) => calculateSourceDigest(text);
+
+function seed() {
+  db.resources = [{
+    id: 'r1',
+    shopId: 'shop1',
+    resourceId: 'rain-jacket',
+    resourceType: 'product',
+    title: 'Rain jacket v2',
+    description: 'Waterproof shell',
+    seoTitle: 'Rain jacket | Shop',
+    seoDescription: 'Stay dry',
+    contentVersion: 3,
+    // Shopify 扫描写入的 digest（算法不同），不参与过期判断
+    contentDigests: { title: 'shopify-title', body_html: 'shopify-body', meta_title: 'shopify-seo', meta_description: 'shopify-seo-desc' }
+  }];
+  db.translations = [{
+    id: 't1',
+    resourceId: 'r1',
+    shopId: 'shop1',
+    language: 'fr',
+    titleTrans: 'Veste de pluie',
+    descTrans: 'Coque imperméable',
+    seoTitleTrans: 'Veste de pluie | Boutique',
+    seoDescTrans: null,
+    translationFields: {},
+    sourceDigests: {
+      title: digest('Rain jacket'),
+      description: digest('Waterproof shell'),
+      seoTitle: digest('Rain jacket | Shop')
+    },
+    qualityScore: 0.9,
+    syncStatus: 'synced',
+    status: 'completed'
+  }];
+}
+
+describe('outdated translation fields', () => {
+  beforeEach(() => {
+    seed();
+    db.settings = null;
+    invalidateReviewSettingsCache();
+    translateTextWithFallback.mockClear();
+  });
+
+  it('marks fields whose source changed after translation as outdated', () => {
+    const [resource] = db.resources;
+    const [translation] = db.translations;
+
+    const states = Object.fromEntries(
+      getFieldTranslationStates(resource, translation).map((state) => [state.field, state.status])
+    );
+    expect(states).toEqual({
+      title: 'outdated',
+      description: 'up_to_date',
+      seoTitle: 'up_to_date',
+      seoDescription: 'missing'
+    });
+    expect(getOutdatedFields(resource, translation)).toEqual(['titleTrans']);
+
+    // 无快照的历史译文：展示口径不回退到 contentDigests
+    const legacy = { ...translation, sourceDigests: null };
+    expect(getOutdatedFields(resource, legacy)).toEqual([]);
+    expect(getFieldTranslationStates(resource, legacy, { legacyDigests: false })[0].status).toBe('unverified');
+  });
+
+  it('filters incremental detection and re-translation by field status', async () => {
+    const [resource] = db.resources;
+
+    const outdated = await detectUntranslatedFields(resource, 'fr', null, { statuses: ['outdated'] });
+    expect(outdated).toEqual([expect.objectContaining({ field: 'title', status: 'outdated', reason: 'content_changed' })]);
+
+    const all = await detectUntranslatedFields(resource, 'fr');
+    expect(all.map((field) => [field.field, field.status])).toEqual([['title', 'outdated'], ['seoDescription', 'missing']]);
+
+    const summary = await performIncrementalTranslation('shop1', 'fr', ['r1'], { fieldStatuses: ['outdated'] });
+
+    expect(summary).toMatchObject({ fieldsTranslated: 1, fieldStatuses: ['outdated'] });
+    expect(translateTextWithFallback).toHaveBeenCalledTimes(1);
+    expect(translateTextWithFallback).toHaveBeenCalledWith('Rain jacket v2', 'fr', expect.any(Object));
+    expect(db.translations[0].sourceDigests).toEqual({
+      title: digest('Rain jacket v2'),
+      description: digest('Waterproof shell'),
+      seoTitle: digest('Rain jacket | Shop')
+    });
+  });
+
+  it('re-assesses review state instead of keeping an earlier approval', async () => {
+    db.settings = { reviewRequired: true, reviewQualityThreshold: 0.7 };
+    Object.assign(db.translations[0], { reviewStatus: 'approved', reviewedBy: 'anna@example.com' });
+
+    await performIncrementalTranslation('shop1', 'fr', ['r1'], { fieldStatuses: ['outdated'] });
+
+    expect(db.translations[0]).toMatchObject({ reviewStatus: 'pending', reviewedBy: null, syncStatus: 'pending' });
+    expect(db.translations[0].qualityScore).not.toBe(0.8);
+  });
+
+  it('skips inherited locales and re-derives children of the saved language', async () => {
+    getLocaleInheritance.mockResolvedValueOnce({ parentCode: 'fr', inheritanceMode: 'copy' });
+
+    const skipped = await performIncrementalTranslation('shop1', 'fr-CA', ['r1']);
+    expect(skipped).toMatchObject({ skippedReason: 'inherited_locale', inheritedFrom: 'fr', fieldsTranslated: 0 });
+    expect(translateTextWithFallback).not.toHaveBeenCalled();
+
+    await performIncrementalTranslation('shop1', 'fr', ['r1'], { fieldStatuses: ['outdated'] });
+    expect(rederiveInheritedChildren).toHaveBeenCalledWith('shop1', 'fr', ['r1']);
+  });
+
+  it('counts outdated fields as stale in resource coverage', async () => {
+    const coverage = await getResourceCoverage('shop1', 'r1', 'fr', { forceRefresh: true });
+    const byKey = Object.fromEntries(coverage.fields.map((field) => [field.key, field.status]));
+
+    expect(byKey).toEqual({
+      title: 'STALE',
+      body_html: 'UP_TO_DATE',
+      meta_title: 'UP_TO_DATE',
+      meta_description: 'MISSING'
+    });
+    expect(coverage.counts).toMatchObject({ total: 4, stale: 1, upToDate: 2, missing: 1 });
+  });
+
+  it('keeps the previous source digest for locked columns', () => {
+    const data = {
+      titleTrans: 'Nouvelle veste',
+      seoTitleTrans: 'Nouveau titre',
+      sourceDigests: { title: digest('Rain jacket v2'), seoTitle: digest('Rain jacket | Shop') }
+    };
+
+    const result = applyFieldLocks(data, db.translations[0], new Set(['titleTrans']));
+
+    expect(result.titleTrans).toBe('Veste de pluie');
+    expect(result.sourceDigests).toEqual({ title: digest('Rain jacket'), seoTitle: digest('Rain jacket | Shop') });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  createMockProvider,
+  registerTranslationProvider,
+  unregisterTranslationProvider,
+  resolveTranslationProvider,
+  parseProviderRoutes,
+  toDeepLLanguage,
+  toGoogleLanguage
+} from '../../app/services/translation/providers.server.js';
+import { createTranslationAPIClient } from '../../app/services/translation/api-client.server.js';
+import { config } from '../../app/utils/config.server.js';
+
+vi.hoisted(() => {
+  process.env.TRANSLATION_MIN_REQUEST_INTERVAL_MS = '0';
+  process.env.TRANSLATION_MAX_REQUESTS_PER_MINUTE = '0';
+});
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+describe('translation providers', () => {
+  const originalProvider = config.translation.provider;
+  const originalRoutes = config.translation.providerRoutes;
+
+  afterEach(() => {
+    config.translation.provider = originalProvider;
+    config.translation.providerRoutes = originalRoutes;
+    unregisterTranslationProvider('failing');
+    unregisterTranslationProvider('secondary');
+  });
+
+  it('parses language routes and maps provider language codes', () => {
+    expect(parseProviderRoutes('ja:deepl, de:google,broken')).toEqual({ ja: 'deepl', de: 'google' });
+    expect(toDeepLLanguage('zh-CN')).toBe('ZH-HANS');
+    expect(toDeepLLanguage('pt-BR')).toBe('PT-BR');
+    expect(toDeepLLanguage('fr')).toBe('FR');
+    expect(toGoogleLanguage('zh-TW')).toBe('zh-TW');
+    expect(toGoogleLanguage('de-CH')).toBe('de');
+  });
+
+  it('resolves explicit provider, then language route, then default', async () => {
+    config.translation.provider = 'mock';
+    config.translation.providerRoutes = 'ja:deepl,pt:google';
+
+    expect(await resolveTranslationProvider({ provider: 'openai', targetLang: 'ja' })).toBe('openai');
+    expect(await resolveTranslationProvider({ targetLang: 'ja' })).toBe('deepl');
+    expect(await resolveTranslationProvider({ targetLang: 'pt-BR' })).toBe('google');
+    expect(await resolveTranslationProvider({ targetLang: 'de' })).toBe('mock');
+    expect(await resolveTranslationProvider({ provider: 'missing', targetLang: 'de' })).toBe('mock');
+  });
+
+  it('routes requests through the resolved provider', async () => {
+    const client = createTranslationAPIClient({
+      maxRetries: 0,
+      resolveProvider: async ({ provider }) => provider || 'mock'
+    });
+
+    const result = await client.execute({ text: 'Hello', targetLang: 'de', systemPrompt: 'sys' });
+
+    expect(result.success).toBe(true);
+    expect(result.text).toBe('[de] Hello');
+    expect(result.meta.provider).toBe('mock');
+  });
+
+  it('chains fallbacks across providers', async () => {
+    registerTranslationProvider({
+      name: 'failing',
+      translate: async () => {
+        throw new Error('翻译API调用失败: 400 Bad Request');
+      }
+    });
+    registerTranslationProvider(createMockProvider({
+      name: 'secondary',
+      translate: ({ text }) => `secondary:${text}`
+    }));
+
+    const client = createTranslationAPIClient({
+      maxRetries: 0,
+      resolveProvider: async ({ provider }) => provider || 'failing'
+    });
+
+    const result = await client.execute({
+      text: 'Hello',
+      targetLang: 'ja',
+      systemPrompt: 'sys',
+      strategy: 'enhanced',
+      fallbacks: [{ name: 'secondary-engine', provider: 'secondary' }]
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.text).toBe('secondary:Hello');
+    expect(result.meta.provider).toBe('secondary');
+    expect(result.meta.fallback.chain).toBe('enhanced->secondary-engine');
+  });
+
+  it('does not register the mock provider in production', async () => {
+    vi.resetModules();
+    vi.stubEnv('NODE_ENV', 'production');
+    try {
+      const providers = await import('../../app/services/translation/providers.server.js');
+      expect(providers.getTranslationProvider('mock')).toBeFalsy();
+      expect(providers.getTranslationProvider('openai')).toBeTruthy();
+    } finally {
+      vi.unstubAllEnvs();
+    }
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  REVIEW_STATUS,
+  scoreTranslationPairs,
+  resolveReviewState,
+  approveTranslation,
+  rejectTranslation,
+  invalidateReviewSettingsCache
+} from '../../app/services/translation-review.server.js';
+import { getPendingTranslations } from '../../app/services/sync-to-shopify.server.js';
+import { recordTranslationMemoryForResource } from '../../app/services/translation-memory.server.js';
+
+const db = vi.hoisted(() => ({ settings: null, translations: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const prisma = {
+    shopSettings: {
+      findUnique: vi.fn(async () => db.settings)
+    },
+    translation: {
+      findFirst: vi.fn(async ({ where }) =>
+        db.translations.find((row) => row.id === where.id && row.shopId === where.shopId) || null),
+      findMany: vi.fn(async ({ where }) => db.translations.filter((row) =>
+        Object.entries(where).every(([key, value]) => (key === 'OR'
+          ? value.some((condition) => condition.reviewStatus === row.reviewStatus ||
+            (condition.reviewStatus?.not && row.reviewStatus !== null && row.reviewStatus !== condition.reviewStatus.not))
+          : row[key] === value)))),
+      update: vi.fn(async ({ where, data }) => {
+        const row = db.translations.find((item) => item.id === where.id);
+        Object.assign(row, data);
+        return row;
+      })
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/translation-memory.server.js', () => ({
+  extractMemorySegments: vi.fn(() => []),
+  recordTranslationMemoryForResource: vi.fn(async () => 0)
+}));
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/services/shopify-graphql.server.js', () => ({
+  updateResourceTranslationBatch: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+describe('translation review workflow', () => {
+  beforeEach(() => {
+    invalidateReviewSettingsCache();
+    db.settings = null;
+    db.translations = [
+      { id: 't1', shopId: 'shop1', resourceId: 'r1', language: 'de', status: 'completed', syncStatus: 'pending', reviewStatus: REVIEW_STATUS.PENDING, titleTrans: 'Jacke' },
+      { id: 't2', shopId: 'shop1', resourceId: 'r2', language: 'de', status: 'completed', syncStatus: 'pending', reviewStatus: null },
+      { id: 't3', shopId: 'shop1', resourceId: 'r3', language: 'de', status: 'completed', syncStatus: 'pending', reviewStatus: REVIEW_STATUS.APPROVED }
+    ];
+    vi.mocked(recordTranslationMemoryForResource).mockClear();
+  });
+
+  it('scores field pairs with the validation pipeline', () => {
+    const good = scoreTranslationPairs([
+      { sourceText: 'Waterproof hiking jacket', translatedText: '防水徒步夹克' }
+    ], 'zh-CN');
+    expect(good).toEqual({ qualityScore: 1, issues: [] });
+
+    const bad = scoreTranslationPairs([
+      { sourceText: 'Waterproof hiking jacket', translatedText: '防水徒步夹克' },
+      { sourceText: 'Lightweight shell for rainy days', translatedText: '' }
+    ], 'zh-CN');
+    expect(bad.qualityScore).toBe(0.5);
+    expect(bad.issues).toContain('EMPTY_TRANSLATION');
+
+    expect(scoreTranslationPairs([], 'zh-CN').qualityScore).toBeNull();
+  });
+
+  it('flags low scores and validator issues, and requires review in review mode', () => {
+    const settings = { reviewRequired: false, qualityThreshold: 0.7 };
+
+    expect(resolveReviewState({ qualityScore: 0.9, issues: [], settings })).toMatchObject({
+      qualityScore: 0.9,
+      isManualReview: false,
+      reviewStatus: null
+    });
+
+    const low = resolveReviewState({ qualityScore: 0.5, issues: [], settings });
+    expect(low).toMatchObject({ isManualReview: true, reviewStatus: REVIEW_STATUS.PENDING });
+    expect(low.reviewNotes).toContain('0.7');
+
+    expect(resolveReviewState({ qualityScore: 0.95, issues: ['HTML_TAG_MISMATCH'], settings }).reviewStatus)
+      .toBe(REVIEW_STATUS.PENDING);
+
+    expect(resolveReviewState({
+      qualityScore: 0.95,
+      issues: [],
+      settings: { ...settings, reviewRequired: true }
+    })).toMatchObject({ isManualReview: false, reviewStatus: REVIEW_STATUS.PENDING });
+  });
+
+  it('approves with inline edits and re-queues the translation for sync', async () => {
+    db.translations[0].syncStatus = 'synced';
+
+    const updated = await approveTranslation('shop1', 't1', {
+      reviewer: 'anna@example.com',
+      notes: 'fixed tone',
+      edits: { titleTrans: 'Regenjacke', status: 'failed' }
+    });
+
+    expect(updated).toMatchObject({
+      titleTrans: 'Regenjacke',
+      status: 'completed',
+      reviewStatus: REVIEW_STATUS.APPROVED,
+      reviewedBy: 'anna@example.com',
+      reviewNotes: 'fixed tone',
+      syncStatus: 'pending',
+      isManualReview: false
+    });
+    expect(recordTranslationMemoryForResource).toHaveBeenCalledWith(
+      'r1',
+      'shop1',
+      'de',
+      expect.objectContaining({ titleTrans: 'Regenjacke', reviewStatus: REVIEW_STATUS.APPROVED }),
+      'review'
+    );
+  });
+
+  it('requires notes to reject and scopes decisions to the shop', async () => {
+    await expect(rejectTranslation('shop1', 't1', {})).rejects.toThrow('备注');
+    await expect(approveTranslation('shop2', 't1')).rejects.toThrow('不存在');
+
+    const rejected = await rejectTranslation('shop1', 't1', { notes: 'wrong product name' });
+    expect(rejected.reviewStatus).toBe(REVIEW_STATUS.REJECTED);
+    expect(rejected.isManualReview).toBe(true);
+    expect(recordTranslationMemoryForResource).not.toHaveBeenCalled();
+  });
+
+  it('publishes only approved translations when review is required', async () => {
+    const open = await getPendingTranslations('shop1');
+    expect(open.map((row) => row.id)).toEqual(['t1', 't2', 't3']);
+
+    await rejectTranslation('shop1', 't1', { notes: 'wrong product name' });
+    const withoutRejected = await getPendingTranslations('shop1');
+    expect(withoutRejected.map((row) => row.id)).toEqual(['t2', 't3']);
+
+    invalidateReviewSettingsCache('shop1');
+    db.settings = { reviewRequired: true, reviewQualityThreshold: 0.8 };
+    const gated = await getPendingTranslations('shop1');
+    expect(gated.map((row) => row.id)).toEqual(['t3']);
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  REVISION_SOURCE,
+  recordTranslationRevision,
+  listTranslationRevisions,
+  compareTranslationRevisions,
+  rollbackToRevision
+} from '../../app/services/translation-revision.server.js';
+import { syncResourceTranslations } from '../../app/services/sync-to-shopify.server.js';
+import { diffWords } from '../../app/utils/text-diff.js';
+import { invalidateReviewSettingsCache } from '../../app/services/translation-review.server.js';
+
+const db = vi.hoisted(() => ({ revisions: [], translations: [], settings: null, clock: 0 }));
+
+vi.mock('../../app/db.server.js', () => {
+  const byNewest = (a, b) => b.createdAt - a.createdAt;
+  const prisma = {
+    translationRevision: {
+      findFirst: vi.fn(async ({ where }) => db.revisions
+        .filter((row) => Object.entries(where).every(([key, value]) => row[key] === value))
+        .sort(byNewest)[0] || null),
+      findMany: vi.fn(async ({ where, take }) => db.revisions
+        .filter((row) => row.shopId === where.shopId && row.resourceId === where.resourceId && row.language === where.language)
+        .sort(byNewest)
+        .slice(0, take)),
+      create: vi.fn(async ({ data }) => {
+        db.clock += 1;
+        const row = { id: `rev-${db.revisions.length + 1}`, createdAt: new Date(Date.UTC(2026, 0, 1, 0, db.clock)), ...data };
+        db.revisions.push(row);
+        return row;
+      })
+    },
+    shopSettings: {
+      findUnique: vi.fn(async () => db.settings)
+    },
+    translation: {
+      update: vi.fn(async ({ where, data }) => {
+        const row = db.translations.find((item) => item.id === where.id);
+        Object.assign(row, data);
+        return { ...row, resource: { id: row.resourceId, resourceType: 'product', gid: 'gid://shopify/Product/1' } };
+      })
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/sync-to-shopify.server.js', () => ({
+  syncResourceTranslations: vi.fn(async () => ({ success: [{ id: 't1' }], failed: [] }))
+}));
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+function seed() {
+  db.clock = 0;
+  db.revisions = [];
+  db.settings = null;
+  db.translations = [{
+    id: 't1',
+    shopId: 'shop1',
+    resourceId: 'r1',
+    language: 'fr',
+    titleTrans: 'Veste de pluie',
+    descTrans: '<p>Coque imperméable</p>',
+    translationFields: { tags: ['pluie'] },
+    sourceDigests: { title: 'a' },
+    translationSessionId: null
+  }];
+}
+
+describe('translation revisions', () => {
+  beforeEach(() => {
+    seed();
+    invalidateReviewSettingsCache();
+    syncResourceTranslations.mockClear();
+  });
+
+  it('records a revision per content change with its origin', async () => {
+    const [translation] = db.translations;
+
+    const first = await recordTranslationRevision(translation, { source: REVISION_SOURCE.MODEL });
+    const duplicate = await recordTranslationRevision({ ...translation }, { source: REVISION_SOURCE.MODEL });
+    const edited = await recordTranslationRevision(
+      { ...translation, titleTrans: 'Veste imperméable', translationSessionId: 'session-9' },
+      { source: REVISION_SOURCE.MANUAL, actor: 'owner@example.com' }
+    );
+
+    expect(first.changedFields).toEqual(expect.arrayContaining(['titleTrans', 'descTrans', 'translationFields.tags']));
+    expect(duplicate).toBeNull();
+    expect(edited).toMatchObject({
+      source: 'manual',
+      actor: 'owner@example.com',
+      sessionId: 'session-9',
+      changedFields: ['titleTrans']
+    });
+
+    const listed = await listTranslationRevisions('shop1', 'r1', 'fr');
+    expect(listed.map((row) => row.id)).toEqual([edited.id, first.id]);
+    expect(listed[0]).not.toHaveProperty('snapshot');
+  });
+
+  it('keeps the pre-existing content as a baseline before the first recorded overwrite', async () => {
+    const previous = { ...db.translations[0], updatedAt: new Date('2025-06-01T00:00:00Z') };
+    const saved = { ...previous, titleTrans: 'Imperméable', updatedAt: new Date() };
+
+    const revision = await recordTranslationRevision(saved, { source: REVISION_SOURCE.MODEL, previous });
+    const again = await recordTranslationRevision(
+      { ...saved, titleTrans: 'Veste' },
+      { source: REVISION_SOURCE.MODEL, previous: saved }
+    );
+
+    const listed = await listTranslationRevisions('shop1', 'r1', 'fr');
+    expect(listed.map((row) => row.source)).toEqual(['model', 'model', 'baseline']);
+    expect(listed[2]).toMatchObject({ createdAt: previous.updatedAt, changedFields: [] });
+    expect(db.revisions.find((row) => row.source === 'baseline').snapshot.titleTrans).toBe('Veste de pluie');
+    expect(revision.changedFields).toEqual(['titleTrans']);
+    expect(again.changedFields).toEqual(['titleTrans']);
+
+    // 新建的译文（无旧内容）不生成基线
+    seed();
+    await recordTranslationRevision(db.translations[0], { source: REVISION_SOURCE.MODEL, previous: null });
+    expect(db.revisions.map((row) => row.source)).toEqual(['model']);
+  });
+
+  it('compares two revisions field by field', async () => {
+    const [translation] = db.translations;
+    const first = await recordTranslationRevision(translation, { source: REVISION_SOURCE.MODEL });
+    const second = await recordTranslationRevision(
+      { ...translation, descTrans: '<p>Coque légère</p>', translationFields: { tags: ['pluie', 'été'] } },
+      { source: REVISION_SOURCE.IMPORT }
+    );
+
+    const { changes } = await compareTranslationRevisions('shop1', first.id, second.id);
+
+    expect(changes).toEqual([
+      { field: 'descTrans', before: '<p>Coque imperméable</p>', after: '<p>Coque légère</p>' },
+      { field: 'translationFields.tags', before: expect.stringContaining('pluie'), after: expect.stringContaining('été') }
+    ]);
+    expect(diffWords('Veste de pluie', 'Veste pour pluie')).toEqual([
+      { type: 'equal', value: 'Veste ' },
+      { type: 'delete', value: 'de' },
+      { type: 'insert', value: 'pour' },
+      { type: 'equal', value: ' pluie' }
+    ]);
+  });
+
+  it('restores a revision, records the rollback and re-syncs the resource', async () => {
+    const [translation] = db.translations;
+    const original = await recordTranslationRevision(translation, { source: REVISION_SOURCE.MODEL });
+    Object.assign(translation, { titleTrans: 'Mauvaise traduction', translationFields: null });
+    await recordTranslationRevision(translation, { source: REVISION_SOURCE.MANUAL });
+
+    const admin = { graphql: vi.fn() };
+    const result = await rollbackToRevision(admin, 'shop1', original.id, { actor: 'owner@example.com' });
+
+    expect(db.translations[0]).toMatchObject({
+      titleTrans: 'Veste de pluie',
+      translationFields: { tags: ['pluie'] },
+      syncStatus: 'pending'
+    });
+    expect(result.revision).toMatchObject({ source: 'rollback', rolledBackFrom: original.id, actor: 'owner@example.com' });
+    expect(syncResourceTranslations).toHaveBeenCalledWith(admin, expect.objectContaining({
+      resource: expect.objectContaining({ id: 'r1' }),
+      translations: [expect.objectContaining({ id: 't1', titleTrans: 'Veste de pluie' })]
+    }));
+
+    await expect(rollbackToRevision(admin, 'other-shop', original.id)).rejects.toThrow('译文版本不存在');
+  });
+
+  it('restores but does not publish a revision whose translation has not passed review', async () => {
+    const [translation] = db.translations;
+    const original = await recordTranslationRevision(translation, { source: REVISION_SOURCE.MODEL });
+    Object.assign(translation, { titleTrans: 'Mauvaise traduction', reviewStatus: 'pending' });
+    await recordTranslationRevision(translation, { source: REVISION_SOURCE.MANUAL });
+    db.settings = { reviewRequired: true };
+
+    const admin = { graphql: vi.fn() };
+    const blocked = await rollbackToRevision(admin, 'shop1', original.id);
+
+    expect(db.translations[0]).toMatchObject({ titleTrans: 'Veste de pluie', syncStatus: 'pending' });
+    expect(blocked).toMatchObject({ sync: null, reviewBlocked: true });
+    expect(syncResourceTranslations).not.toHaveBeenCalled();
+
+    // 非审核模式下被驳回的译文同样不发布
+    db.settings = { reviewRequired: false };
+    invalidateReviewSettingsCache();
+    translation.reviewStatus = 'rejected';
+    expect((await rollbackToRevision(admin, 'shop1', original.id)).reviewBlocked).toBe(true);
+
+    translation.reviewStatus = 'approved';
+    db.settings = { reviewRequired: true };
+    invalidateReviewSettingsCache();
+    const published = await rollbackToRevision(admin, 'shop1', original.id);
+    expect(published.reviewBlocked).toBe(false);
+    expect(syncResourceTranslations).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,218 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getNextRunAt,
+  parseCron,
+  createSchedule,
+  runDueSchedules,
+  SCHEDULE_RUN_STATUS
+} from '../../app/services/translation-scheduler.server.js';
+import { creditManager } from '../../app/services/credit-manager.server.js';
+import { performIncrementalTranslation } from '../../app/services/incremental-translation.server.js';
+import { syncTranslationsToShopify } from '../../app/services/sync-to-shopify.server.js';
+import { saveResources } from '../../app/services/database.server.js';
+import { fetchResourcesByType, fetchShopInfo } from '../../app/services/shopify-graphql.server.js';
+
+const db = vi.hoisted(() => ({ schedules: [], runs: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const sameValue = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+  const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => {
+    if (value && typeof value === 'object' && value.lte instanceof Date) return row[key] && row[key] <= value.lte;
+    return sameValue(row[key], value);
+  });
+  const prisma = {
+    shop: {
+      findUnique: vi.fn(async () => ({ id: 'shop1', domain: 'shop1.myshopify.com', accessToken: 'token' }))
+    },
+    translationSchedule: {
+      create: vi.fn(async ({ data }) => {
+        const row = { id: `s${db.schedules.length + 1}`, enabled: true, autoPublish: true, minCredits: 0, ...data };
+        db.schedules.push(row);
+        return row;
+      }),
+      findMany: vi.fn(async ({ where }) => db.schedules.filter((row) => matches(row, where))),
+      updateMany: vi.fn(async ({ where, data }) => {
+        const rows = db.schedules.filter((row) => matches(row, where));
+        rows.forEach((row) => Object.assign(row, data));
+        return { count: rows.length };
+      })
+    },
+    translationScheduleRun: {
+      create: vi.fn(async ({ data }) => {
+        const row = { id: `run${db.runs.length + 1}`, ...data };
+        db.runs.push(row);
+        return row;
+      }),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.runs.find((row) => row.id === where.id), data))
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/credit-manager.server.js', () => ({
+  creditManager: { getAvailableCredits: vi.fn() }
+}));
+
+vi.mock('../../app/services/incremental-translation.server.js', () => ({
+  performIncrementalScan: vi.fn(async ({ language }) => ({
+    summary: { totalResources: 3, totalUntranslatedFields: 4 },
+    details: [{ resourceId: `r-${language}-1` }, { resourceId: `r-${language}-2` }]
+  })),
+  performIncrementalTranslation: vi.fn(async () => ({ fieldsTranslated: 3, fieldsLocked: 1, failureCount: 0 }))
+}));
+
+vi.mock('../../app/services/sync-to-shopify.server.js', () => ({
+  syncTranslationsToShopify: vi.fn(async () => ({ successCount: 2, failedCount: 0 }))
+}));
+
+vi.mock('../../app/services/database.server.js', () => ({
+  saveResources: vi.fn(async (shopId, resources) => resources)
+}));
+
+vi.mock('../../app/services/shopify-graphql.server.js', () => ({
+  RESOURCE_TYPES: { MENU: 'MENU', LINK: 'LINK', SHOP_POLICY: 'SHOP_POLICY' },
+  fetchResourcesByType: vi.fn(async (admin, resourceType) => [{ id: `${resourceType}-1`, resourceType: resourceType.toLowerCase() }]),
+  fetchShopInfo: vi.fn(async () => [{ id: 'policy-1', resourceType: 'shop_policy' }])
+}));
+
+vi.mock('../../app/services/locale-inheritance.server.js', () => ({
+  getLocaleInheritance: vi.fn(async (shopId, code) => (code === 'fr-CA' ? { parentCode: 'fr', inheritanceMode: 'localize' } : null))
+}));
+
+vi.mock('../../app/services/billing-scheduler.server.js', () => ({
+  createAdminForShop: vi.fn(() => ({ graphql: vi.fn() }))
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+describe('scheduled translation jobs', () => {
+  beforeEach(() => {
+    db.schedules = [];
+    db.runs = [];
+    vi.mocked(creditManager.getAvailableCredits).mockReset();
+    vi.mocked(performIncrementalTranslation).mockClear();
+    vi.mocked(syncTranslationsToShopify).mockClear();
+    vi.mocked(saveResources).mockClear();
+    vi.mocked(fetchResourcesByType).mockClear();
+  });
+
+  it('computes the next run time for cron expressions and timezones', () => {
+    const from = new Date('2025-03-05T10:17:30Z'); // 周三
+
+    expect(getNextRunAt('*/15 * * * *', from).toISOString()).toBe('2025-03-05T10:30:00.000Z');
+    expect(getNextRunAt('0 3 * * *', from).toISOString()).toBe('2025-03-06T03:00:00.000Z');
+    expect(getNextRunAt('30 9 * * 1', from).toISOString()).toBe('2025-03-10T09:30:00.000Z');
+    expect(getNextRunAt('0 0 1 */2 *', from).toISOString()).toBe('2025-05-01T00:00:00.000Z');
+    expect(getNextRunAt('0 3 * * *', from, 'Asia/Shanghai').toISOString()).toBe('2025-03-05T19:00:00.000Z');
+    expect(parseCron('0 0 * * 7').dayOfWeek).toEqual(new Set([0]));
+
+    expect(() => parseCron('0 3 * *')).toThrow('5 段');
+    expect(() => parseCron('61 * * * *')).toThrow('超出范围');
+  });
+
+  it('keeps local run times across daylight saving changes', () => {
+    // 2026-03-29 周日 Europe/Berlin 02:00 → 03:00，当天只有 23 小时
+    const springForward = new Date('2026-03-28T23:45:00Z'); // 当地 03-29 00:45（UTC+1）
+    expect(getNextRunAt('30 0 * * 1', springForward, 'Europe/Berlin').toISOString()).toBe('2026-03-29T22:30:00.000Z');
+    expect(getNextRunAt('15 3 * * *', springForward, 'Europe/Berlin').toISOString()).toBe('2026-03-29T01:15:00.000Z');
+
+    // 2026-10-25 周日 03:00 → 02:00，当天有 25 小时
+    const fallBack = new Date('2026-10-24T22:30:00Z'); // 当地 10-25 00:30（UTC+2）
+    expect(getNextRunAt('30 0 * * 1', fallBack, 'Europe/Berlin').toISOString()).toBe('2026-10-25T23:30:00.000Z');
+    expect(getNextRunAt('0 9 * * *', fallBack, 'Europe/Berlin').toISOString()).toBe('2026-10-25T08:00:00.000Z');
+  });
+
+  it('validates schedules and stores the first run time', async () => {
+    await expect(createSchedule('shop1', { name: 'Nightly', cron: '0 3 * * *', languages: [] }))
+      .rejects.toThrow('至少需要一个目标语言');
+    await expect(createSchedule('shop1', { name: 'Nightly', cron: '0 3 * * *', timezone: 'Mars/Base', languages: ['de'] }))
+      .rejects.toThrow('无效的时区');
+
+    const schedule = await createSchedule('shop1', { name: 'Nightly', cron: '0  3 * * *', languages: 'de, fr' }, 'anna@example.com');
+    expect(schedule).toMatchObject({ cron: '0 3 * * *', timezone: 'UTC', languages: ['de', 'fr'], resourceTypes: [] });
+    expect(schedule.nextRunAt).toBeInstanceOf(Date);
+  });
+
+  it('runs due schedules once, translating and publishing each language', async () => {
+    vi.mocked(creditManager.getAvailableCredits).mockResolvedValue({ available: 500 });
+    const now = new Date('2025-03-05T03:00:20Z');
+    db.schedules.push({
+      id: 's1', shopId: 'shop1', cron: '0 3 * * *', timezone: 'UTC', languages: ['de', 'fr'], resourceTypes: [],
+      autoPublish: true, minCredits: 0, enabled: true, nextRunAt: new Date('2025-03-05T03:00:00Z')
+    });
+
+    const runs = await runDueSchedules({ now });
+
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({
+      status: SCHEDULE_RUN_STATUS.COMPLETED,
+      scanned: 6,
+      translated: 6,
+      skipped: 2,
+      published: 4,
+      failed: 0,
+      creditsAvailable: 500
+    });
+    expect(performIncrementalTranslation).toHaveBeenCalledWith('shop1', 'de', ['r-de-1', 'r-de-2']);
+    expect(syncTranslationsToShopify).toHaveBeenCalledWith(expect.any(Object), 'shop1', expect.objectContaining({ language: 'fr' }));
+    expect(db.schedules[0].nextRunAt.toISOString()).toBe('2025-03-06T03:00:00.000Z');
+    // 菜单与店铺政策没有 webhook，扫描前先刷新源内容
+    expect(fetchResourcesByType.mock.calls.map(([, type]) => type)).toEqual(['MENU', 'LINK']);
+    expect(fetchShopInfo).toHaveBeenCalledWith(expect.any(Object), 'SHOP_POLICY');
+    expect(saveResources).toHaveBeenCalledWith('shop1', [{ id: 'policy-1', resourceType: 'shop_policy' }]);
+    expect(runs[0].details.refreshed).toEqual({ MENU: 1, LINK: 1, SHOP_POLICY: 1 });
+
+    expect(await runDueSchedules({ now })).toHaveLength(0);
+  });
+
+  it('skips languages once available credits fall below the minimum', async () => {
+    vi.mocked(creditManager.getAvailableCredits)
+      .mockResolvedValueOnce({ available: 120 })
+      .mockResolvedValueOnce({ available: 40 });
+    db.schedules.push({
+      id: 's1', shopId: 'shop1', cron: '0 * * * *', timezone: 'UTC', languages: ['de', 'fr'], resourceTypes: ['product'],
+      autoPublish: false, minCredits: 100, enabled: true, nextRunAt: new Date('2025-03-05T03:00:00Z')
+    });
+
+    const [run] = await runDueSchedules({ now: new Date('2025-03-05T03:00:00Z') });
+
+    expect(run).toMatchObject({ status: SCHEDULE_RUN_STATUS.PARTIAL, translated: 3, skipped: 5, published: 0 });
+    expect(run.details.languages[1]).toMatchObject({ language: 'fr', skippedReason: 'insufficient_credits' });
+    expect(performIncrementalTranslation).toHaveBeenCalledTimes(1);
+    expect(syncTranslationsToShopify).not.toHaveBeenCalled();
+    expect(saveResources).not.toHaveBeenCalled();
+  });
+
+  it('keeps running when refreshing webhookless resources fails', async () => {
+    vi.mocked(creditManager.getAvailableCredits).mockResolvedValue({ available: 500 });
+    vi.mocked(fetchResourcesByType).mockRejectedValueOnce(new Error('Throttled'));
+    db.schedules.push({
+      id: 's1', shopId: 'shop1', cron: '0 * * * *', timezone: 'UTC', languages: ['de'], resourceTypes: ['link', 'product'],
+      autoPublish: false, minCredits: 0, enabled: true, nextRunAt: new Date('2025-03-05T03:00:00Z')
+    });
+
+    const [run] = await runDueSchedules({ now: new Date('2025-03-05T03:00:00Z') });
+
+    expect(run).toMatchObject({ status: SCHEDULE_RUN_STATUS.COMPLETED, translated: 3 });
+    expect(run.details.refreshed).toEqual({ LINK: null });
+    expect(saveResources).not.toHaveBeenCalled();
+  });
+
+  it('publishes inherited locales without translating them', async () => {
+    vi.mocked(creditManager.getAvailableCredits).mockResolvedValue({ available: 500 });
+    db.schedules.push({
+      id: 's1', shopId: 'shop1', cron: '0 * * * *', timezone: 'UTC', languages: ['fr', 'fr-CA'], resourceTypes: ['product'],
+      autoPublish: true, minCredits: 0, enabled: true, nextRunAt: new Date('2025-03-05T03:00:00Z')
+    });
+
+    const [run] = await runDueSchedules({ now: new Date('2025-03-05T03:00:00Z') });
+
+    expect(run).toMatchObject({ status: SCHEDULE_RUN_STATUS.COMPLETED, scanned: 3, translated: 3, published: 4 });
+    expect(run.details.languages[1]).toMatchObject({ language: 'fr-CA', inheritedFrom: 'fr', scanned: 0, translated: 0 });
+    expect(performIncrementalTranslation).toHaveBeenCalledTimes(1);
+    expect(syncTranslationsToShopify).toHaveBeenCalledWith(expect.any(Object), 'shop1', expect.objectContaining({ language: 'fr-CA' }));
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { translationSessionManager } from '../../app/services/translation-session-manager.server.js';
+import { removeResourceTranslations } from '../../app/services/shopify-graphql.server.js';
+import { syncResourceTranslations } from '../../app/services/sync-to-shopify.server.js';
+import { addBatchTranslationJob } from '../../app/services/queue.server.js';
+
+const db = vi.hoisted(() => ({ sessions: [], translations: [], revisions: [], usages: [], resources: {}, shop: null }));
+
+vi.mock('../../app/db.server.js', () => {
+  const at = (minute) => new Date(Date.UTC(2026, 0, 10, 0, minute));
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => (
+    value && typeof value === 'object' && 'in' in value ? value.in.includes(row[key]) : row[key] === value
+  ));
+  const withResource = (row) => ({ ...row, resource: db.resources[row.resourceId] });
+  db.resources = {
+    r1: { id: 'r1', gid: 'gid://shopify/Product/1', resourceType: 'product', title: 'Rain jacket' },
+    r2: { id: 'r2', gid: 'gid://shopify/Product/2', resourceType: 'product', title: 'Trail shoe' },
+    r3: { id: 'r3', gid: 'gid://shopify/Product/3', resourceType: 'product', title: 'Wool hat' }
+  };
+  db.at = at;
+
+  const prisma = {
+    translationSession: {
+      findUnique: vi.fn(async ({ where }) => db.sessions.find((row) => row.id === where.id) || null),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.sessions.find((row) => row.id === where.id), data))
+    },
+    resource: {
+      findMany: vi.fn(async ({ where }) => Object.values(db.resources)
+        .filter((row) => (!where.id || where.id.in.includes(row.id)) && (!where.resourceType || where.resourceType.in.includes(row.resourceType)))
+        .map(({ id }) => ({ id })))
+    },
+    translationRevision: {
+      findMany: vi.fn(async ({ where }) => db.revisions
+        .filter((row) => matches(row, where))
+        .sort((a, b) => a.createdAt - b.createdAt)),
+      findFirst: vi.fn(async ({ where }) => db.revisions
+        .filter((row) => matches(row, where))
+        .sort((a, b) => b.createdAt - a.createdAt)[0] || null),
+      create: vi.fn(async ({ data }) => {
+        const row = { id: `rev-${db.revisions.length + 1}`, createdAt: at(100 + db.revisions.length), ...data };
+        db.revisions.push(row);
+        return row;
+      })
+    },
+    translation: {
+      findMany: vi.fn(async ({ where }) => db.translations.filter((row) => matches(row, where)).map(withResource)),
+      update: vi.fn(async ({ where, data }) => withResource(Object.assign(db.translations.find((row) => row.id === where.id), data))),
+      delete: vi.fn(async ({ where }) => {
+        db.translations = db.translations.filter((row) => row.id !== where.id);
+        db.revisions = db.revisions.filter((row) => row.translationId !== where.id);
+      })
+    },
+    creditUsage: {
+      findMany: vi.fn(async ({ where }) => db.usages.filter((row) => matches(row, where))),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.usages.find((row) => row.id === where.id), data))
+    },
+    shop: {
+      update: vi.fn(async ({ data }) => {
+        db.shop.topUpCredits += data.topUpCredits.increment;
+        return db.shop;
+      })
+    },
+    $transaction: vi.fn(async (callback) => callback(prisma))
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/shopify-graphql.server.js', () => ({
+  removeResourceTranslations: vi.fn(async () => ({ success: true, removedKeys: ['title'] }))
+}));
+
+vi.mock('../../app/services/sync-to-shopify.server.js', () => ({
+  syncResourceTranslations: vi.fn(async () => ({ success: [{ id: 't1' }], failed: [] }))
+}));
+
+vi.mock('../../app/services/queue.server.js', () => ({
+  addBatchTranslationJob: vi.fn(async (resourceIds) => ({ jobId: 'job-1', resourceCount: resourceIds.length, status: 'queued' }))
+}));
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/utils/error-handler.server.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  captureError: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  const log = { info: noop, warn: noop, error: noop, debug: noop };
+  return { logger: log, billingLogger: log };
+});
+
+function revision(id, translationId, minute, source, sessionId, snapshot = {}) {
+  return { id, translationId, shopId: 'shop1', createdAt: db.at(minute), source, sessionId, snapshot, changedFields: ['titleTrans'] };
+}
+
+function seed() {
+  db.shop = { id: 'shop1', topUpCredits: 10 };
+  db.sessions = [{ id: 's1', shopId: 'shop1', status: 'COMPLETED', sessionName: 'Bad prompt run', resumeData: null }];
+  db.translations = [
+    { id: 't1', shopId: 'shop1', resourceId: 'r1', language: 'fr', titleTrans: 'Mauvais titre', syncStatus: 'synced', translationSessionId: 's1' },
+    { id: 't2', shopId: 'shop1', resourceId: 'r2', language: 'fr', titleTrans: 'Chaussure', syncStatus: 'synced', translationSessionId: 's1' },
+    { id: 't3', shopId: 'shop1', resourceId: 'r3', language: 'fr', titleTrans: 'Bonnet corrigé', syncStatus: 'pending', translationSessionId: 's1' }
+  ];
+  db.revisions = [
+    revision('rA', 't1', 1, 'model', null, { titleTrans: 'Veste de pluie' }),
+    revision('rB', 't1', 2, 'session', 's1', { titleTrans: 'Mauvais titre' }),
+    revision('rC', 't2', 3, 'session', 's1', { titleTrans: 'Chaussure' }),
+    revision('rD', 't3', 0, 'model', null, { titleTrans: 'Bonnet' }),
+    revision('rE', 't3', 4, 'session', 's1', { titleTrans: 'Bonnet laine' }),
+    // 会话之后的人工修改（translationSessionId 仍指向 s1）
+    revision('rF', 't3', 5, 'manual', 's1', { titleTrans: 'Bonnet corrigé' })
+  ];
+  const usage = (id, resourceId, targetLanguage, creditsUsed, extra = {}) => ({
+    id, shopId: 'shop1', sessionId: 's1', resourceId, targetLanguage, status: 'completed', creditsUsed, usageDate: new Date(), metadata: {}, ...extra
+  });
+  db.usages = [
+    usage('u1', 'r1', 'fr', 100, { metadata: { sources: { subscription: 70, topUp: 30 } } }),
+    usage('u2', 'r2', 'fr', 50, { usageDate: new Date(Date.now() - 40 * 24 * 60 * 60 * 1000) }),
+    // 与会话后修改冲突、默认跳过的译文，以及会话中未被撤销的其他语言
+    usage('u3', 'r3', 'fr', 80),
+    usage('u4', 'r1', 'de', 60)
+  ];
+}
+
+describe('translation session revert', () => {
+  beforeEach(() => {
+    seed();
+    removeResourceTranslations.mockClear();
+    syncResourceTranslations.mockClear();
+  });
+
+  it('previews affected translations and credits without writing', async () => {
+    const preview = await translationSessionManager.previewSessionRevert('s1', { shopId: 'shop1' });
+
+    expect(preview.items.map((item) => [item.translationId, item.action, item.restoreRevisionId, item.conflict])).toEqual([
+      ['t1', 'restore', 'rA', false],
+      ['t2', 'remove', null, false],
+      ['t3', 'restore', 'rD', true]
+    ]);
+    expect(preview.summary).toEqual({ total: 3, restore: 2, remove: 1, conflicts: 1, published: 2 });
+    expect(preview.credits).toEqual({ usageCount: 2, refundable: 100, refundedTopUp: 30, recorded: 50 });
+    expect(db.usages[0].status).toBe('completed');
+
+    await expect(translationSessionManager.previewSessionRevert('s1', { shopId: 'other' })).rejects.toThrow('翻译会话不存在');
+  });
+
+  it('restores prior revisions, removes session-created translations and refunds this month', async () => {
+    const admin = { graphql: vi.fn() };
+    const result = await translationSessionManager.revertSession('s1', admin, {
+      removeFromShopify: true,
+      actor: 'owner@example.com',
+      shopId: 'shop1'
+    });
+
+    expect(result.summary).toEqual({ total: 3, restored: 1, removed: 1, skipped: 1, failed: 0 });
+    expect(result.skipped[0]).toMatchObject({ translationId: 't3', reason: 'edited_after_session' });
+
+    expect(removeResourceTranslations.mock.calls.map(([, gid, locale]) => [gid, locale])).toEqual([
+      ['gid://shopify/Product/1', 'fr'],
+      ['gid://shopify/Product/2', 'fr']
+    ]);
+    expect(db.translations.find((row) => row.id === 't1')).toMatchObject({ titleTrans: 'Veste de pluie', translationSessionId: null });
+    expect(db.translations.find((row) => row.id === 't2')).toBeUndefined();
+    expect(db.translations.find((row) => row.id === 't3').titleTrans).toBe('Bonnet corrigé');
+    expect(syncResourceTranslations).toHaveBeenCalledTimes(1);
+
+    expect(db.usages.map((row) => row.status)).toEqual(['refunded', 'completed', 'completed', 'completed']);
+    expect(db.usages[1].metadata.sessionRevert).toMatchObject({ refunded: false });
+    expect(db.usages[2].metadata.sessionRevert).toBeUndefined();
+    expect(db.usages[3].metadata.sessionRevert).toBeUndefined();
+    expect(db.shop.topUpCredits).toBe(40);
+
+    expect(db.sessions[0].status).toBe('REVERTED');
+    expect(JSON.parse(db.sessions[0].resumeData).revert.summary.restored).toBe(1);
+    await expect(translationSessionManager.revertSession('s1', admin)).rejects.toThrow('会话状态不允许撤销');
+  });
+
+  it('queues batch jobs tagged with the session when it is first started', async () => {
+    db.sessions = [{
+      id: 's2', shopId: 'shop1', status: 'PENDING', languages: '["fr","de"]', resourceTypes: '["product"]',
+      translationConfig: JSON.stringify({ resourceIds: ['r1', 'r3'] })
+    }];
+    addBatchTranslationJob.mockClear();
+
+    const result = await translationSessionManager.startSession('s2', { shopId: 'shop1', shopDomain: 'shop1.myshopify.com' });
+
+    expect(result).toMatchObject({ success: true, status: 'RUNNING' });
+    expect(result.jobs.map((job) => job.language)).toEqual(['fr', 'de']);
+    expect(addBatchTranslationJob).toHaveBeenCalledWith(['r1', 'r3'], 'shop1', 'fr', 'shop1.myshopify.com', { sessionId: 's2' });
+
+    db.sessions[0].status = 'PAUSED';
+    await translationSessionManager.startSession('s2', { shopId: 'shop1' });
+    expect(addBatchTranslationJob).toHaveBeenCalledTimes(2);
+    await expect(translationSessionManager.startSession('s2', { shopId: 'other' })).rejects.toThrow('翻译会话不存在');
+  });
+});
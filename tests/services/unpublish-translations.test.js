@@ -0,0 +1,182 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { unpublishTranslations } from '../../app/services/sync-to-shopify.server.js';
+import { removeResourceTranslations } from '../../app/services/shopify-graphql.server.js';
+import { invalidateCoverageCache } from '../../app/services/language-coverage.server.js';
+
+const db = vi.hoisted(() => ({ translations: [], resources: {}, marketTranslations: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+    if (key === 'resource') {
+      return value.resourceType.in.includes(db.resources[row.resourceId].resourceType);
+    }
+    if (value && typeof value === 'object' && 'in' in value) return value.in.includes(row[key]);
+    if (value && typeof value === 'object' && 'not' in value) return row[key] !== value.not;
+    return row[key] === value;
+  });
+  const byIds = (where) => (row) => where.id.in.includes(row.id);
+
+  const prisma = {
+    resource: {
+      findMany: vi.fn(async ({ where, select }) => Object.values(db.resources)
+        .filter((row) => row.shopId === where.shopId)
+        .filter((row) => !where.id || where.id.in.includes(row.id))
+        .filter((row) => !where.resourceType || where.resourceType.in.includes(row.resourceType))
+        .map((row) => ({
+          ...row,
+          translations: db.translations.filter((translation) => (
+            translation.resourceId === row.id && translation.language === select.translations.where.language
+          ))
+        })))
+    },
+    translation: {
+      findMany: vi.fn(async ({ where }) => db.translations
+        .filter((row) => matches(row, where))
+        .map((row) => ({ ...row, resource: db.resources[row.resourceId] }))),
+      updateMany: vi.fn(async ({ where, data }) => {
+        const rows = db.translations.filter(byIds(where));
+        rows.forEach((row) => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.translations.find((row) => row.id === where.id), data)),
+      deleteMany: vi.fn(async ({ where }) => {
+        const before = db.translations.length;
+        db.translations = db.translations.filter((row) => !byIds(where)(row));
+        return { count: before - db.translations.length };
+      })
+    },
+    marketTranslation: {
+      findMany: vi.fn(async ({ where }) => db.marketTranslations
+        .filter((row) => matches(row, where))
+        .map((row) => ({ ...row, resource: db.resources[row.resourceId] }))),
+      updateMany: vi.fn(async ({ where, data }) => {
+        const rows = db.marketTranslations.filter((row) => matches(row, where));
+        rows.forEach((row) => Object.assign(row, data));
+        return { count: rows.length };
+      }),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.marketTranslations.find((row) => row.id === where.id), data)),
+      delete: vi.fn(async ({ where }) => {
+        db.marketTranslations = db.marketTranslations.filter((row) => row.id !== where.id);
+      }),
+      deleteMany: vi.fn(async ({ where }) => {
+        const before = db.marketTranslations.length;
+        db.marketTranslations = db.marketTranslations.filter((row) => !matches(row, where));
+        return { count: before - db.marketTranslations.length };
+      })
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/shopify-graphql.server.js', () => ({
+  updateResourceTranslationBatch: vi.fn(),
+  removeResourceTranslations: vi.fn()
+}));
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+function seed() {
+  db.resources = {
+    r1: { id: 'r1', shopId: 'shop1', gid: 'gid://shopify/Product/1', resourceType: 'product' },
+    r2: { id: 'r2', shopId: 'shop1', gid: 'gid://shopify/Product/2', resourceType: 'product' },
+    r3: { id: 'r3', shopId: 'shop1', gid: 'gid://shopify/Page/3', resourceType: 'page' }
+  };
+  db.translations = [
+    {
+      id: 't1', shopId: 'shop1', resourceId: 'r1', language: 'fr', syncStatus: 'synced', syncedAt: new Date(),
+      translationFields: { mediaAlt: { 'gid://shopify/MediaImage/9': 'Veste' } }
+    },
+    { id: 't2', shopId: 'shop1', resourceId: 'r2', language: 'fr', syncStatus: 'synced', syncedAt: new Date(), translationFields: null },
+    { id: 't3', shopId: 'shop1', resourceId: 'r3', language: 'fr', syncStatus: 'synced', syncedAt: new Date(), translationFields: null },
+    { id: 't4', shopId: 'shop1', resourceId: 'r1', language: 'de', syncStatus: 'synced', syncedAt: new Date(), translationFields: null }
+  ];
+  db.marketTranslations = [];
+}
+
+describe('unpublish translations', () => {
+  beforeEach(() => {
+    seed();
+    invalidateCoverageCache.mockClear();
+    removeResourceTranslations.mockReset();
+    removeResourceTranslations.mockImplementation(async (admin, gid) => (
+      gid === 'gid://shopify/Product/2'
+        ? { success: false, removedKeys: [], message: '移除译文失败: Resource not found' }
+        : { success: true, removedKeys: ['title', 'body_html'] }
+    ));
+  });
+
+  it('removes a category from Shopify in batches and marks it unpublished', async () => {
+    const admin = { graphql: vi.fn() };
+    const result = await unpublishTranslations(admin, 'shop1', { language: 'fr', categoryKey: 'PRODUCTS', batchSize: 1 });
+
+    expect(removeResourceTranslations.mock.calls.map(([, gid, locale]) => [gid, locale])).toEqual([
+      ['gid://shopify/Product/1', 'fr'],
+      ['gid://shopify/MediaImage/9', 'fr'],
+      ['gid://shopify/Product/2', 'fr']
+    ]);
+    expect(result).toMatchObject({ total: 2, unpublishedCount: 1, failedCount: 1, removedKeys: 4 });
+    expect(result.failed[0]).toMatchObject({ translationId: 't2', error: expect.stringContaining('Resource not found') });
+
+    const byId = Object.fromEntries(db.translations.map((row) => [row.id, row]));
+    expect(byId.t1).toMatchObject({ syncStatus: 'unpublished', syncedAt: null, syncError: null });
+    expect(byId.t2).toMatchObject({ syncStatus: 'synced', syncError: expect.stringContaining('取消发布失败') });
+    expect(byId.t3.syncStatus).toBe('synced');
+    expect(byId.t4.syncStatus).toBe('synced');
+    expect(invalidateCoverageCache).toHaveBeenCalledWith('shop1', { language: 'fr' });
+
+    // 已取消发布的记录不会重复调用 Shopify
+    removeResourceTranslations.mockClear();
+    await unpublishTranslations(admin, 'shop1', { language: 'fr', resourceIds: ['r1'] });
+    expect(removeResourceTranslations).not.toHaveBeenCalled();
+  });
+
+  it('deletes local translations when requested and requires a language', async () => {
+    const admin = { graphql: vi.fn() };
+    const result = await unpublishTranslations(admin, 'shop1', { language: 'fr', resourceIds: ['r3'], deleteLocal: true });
+
+    expect(result.unpublished).toEqual([{ translationId: 't3', resourceId: 'r3', resourceType: 'page' }]);
+    expect(db.translations.map((row) => row.id)).toEqual(['t1', 't2', 't4']);
+
+    await expect(unpublishTranslations(admin, 'shop1', {})).rejects.toThrow('必须指定语言');
+  });
+
+  it('removes Shopify translations for resources without a local translation row', async () => {
+    // 本地译文已被清空，但 Shopify 上仍有该语言的译文
+    db.translations = [];
+    db.resources.r4 = { id: 'r4', shopId: 'shop1', gid: 'gid://shopify/Collection/4', resourceType: 'collection' };
+
+    const result = await unpublishTranslations({ graphql: vi.fn() }, 'shop1', { language: 'fr', resourceIds: ['r3', 'r4'] });
+
+    expect(removeResourceTranslations.mock.calls.map(([, gid, locale]) => [gid, locale])).toEqual([
+      ['gid://shopify/Page/3', 'fr'],
+      ['gid://shopify/Collection/4', 'fr']
+    ]);
+    expect(result).toMatchObject({ total: 2, unpublishedCount: 2, failedCount: 0, removedKeys: 4 });
+    expect(result.unpublished[1]).toEqual({ translationId: null, resourceId: 'r4', resourceType: 'collection' });
+  });
+
+  it('removes market overrides of the unpublished resources', async () => {
+    const CH = 'gid://shopify/Market/ch';
+    db.marketTranslations = [
+      { id: 'm1', shopId: 'shop1', resourceId: 'r3', language: 'fr', marketId: CH, syncStatus: 'synced', syncedAt: new Date() },
+      { id: 'm2', shopId: 'shop1', resourceId: 'r3', language: 'fr', marketId: 'gid://shopify/Market/be', syncStatus: 'pending', syncedAt: null },
+      { id: 'm3', shopId: 'shop1', resourceId: 'r1', language: 'de', marketId: CH, syncStatus: 'synced', syncedAt: new Date() }
+    ];
+
+    const result = await unpublishTranslations({ graphql: vi.fn() }, 'shop1', { language: 'fr', resourceIds: ['r3'] });
+
+    expect(removeResourceTranslations.mock.calls.map(([, gid, locale, , , options]) => [gid, locale, options])).toEqual([
+      ['gid://shopify/Page/3', 'fr', undefined],
+      ['gid://shopify/Page/3', 'fr', { marketId: CH }]
+    ]);
+    expect(result.market).toEqual({ removedCount: 1, failedCount: 0 });
+    expect(db.marketTranslations.map((row) => row.id)).toEqual(['m3']);
+  });
+});
@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { processWebhookEvent } from '../../app/services/webhook-manager.server.js';
+import { addIncrementalTranslationJob } from '../../app/services/queue.server.js';
+
+const db = vi.hoisted(() => ({ resources: [], events: [], translations: [], autoTranslate: true }));
+
+vi.mock('../../app/db.server.js', () => {
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => {
+    if (key === 'createdAt') return row.createdAt >= value.gte;
+    return row[key] === value;
+  });
+  const prisma = {
+    resource: {
+      findFirst: vi.fn(async ({ where }) => db.resources.find((row) => matches(row, where)) || null),
+      create: vi.fn(async ({ data }) => {
+        const row = { id: `res-${db.resources.length + 1}`, contentVersion: 1, contentDigests: null, ...data };
+        db.resources.push(row);
+        return row;
+      }),
+      update: vi.fn(async ({ where, data }) => {
+        const row = db.resources.find((item) => item.id === where.id);
+        const { contentVersion, ...rest } = data;
+        Object.assign(row, rest, { contentVersion: row.contentVersion + (contentVersion?.increment || 0) });
+        return row;
+      }),
+      delete: vi.fn(async ({ where }) => {
+        db.resources = db.resources.filter((row) => row.id !== where.id);
+      })
+    },
+    translation: {
+      deleteMany: vi.fn(async ({ where }) => {
+        db.translations = db.translations.filter((row) => row.resourceId !== where.resourceId);
+      })
+    },
+    webhookEvent: {
+      findFirst: vi.fn(async ({ where }) => db.events.find((row) => matches(row, where)) || null),
+      create: vi.fn(async ({ data }) => {
+        const row = { id: `evt-${db.events.length + 1}`, createdAt: new Date(), ...data };
+        db.events.push(row);
+        return row;
+      }),
+      update: vi.fn(async () => ({}))
+    },
+    shop: {
+      findUnique: vi.fn(async () => ({ autoTranslateEnabled: db.autoTranslate }))
+    },
+    language: {
+      findMany: vi.fn(async () => [{ code: 'fr' }, { code: 'de' }])
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/queue.server.js', () => ({
+  addTranslationJob: vi.fn(),
+  addIncrementalTranslationJob: vi.fn(async (resourceIds, shopId, language) => ({ jobId: `${language}-job`, status: 'queued' })),
+  getIncrementalJobId: (shopId, resourceId, language) => `incremental:${shopId}:${resourceId}:${language}`
+}));
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  invalidateCoverageCache: vi.fn()
+}));
+
+vi.mock('../../app/config/webhook-config.js', () => ({
+  webhookConfig: {
+    autoTranslateEnabled: true,
+    translateDelay: 0,
+    errorNotification: false,
+    notification: {}
+  },
+  getResourcePriority: (type) => ({ PAGE: 'NORMAL', ARTICLE: 'HIGH' }[type] || 'NORMAL'),
+  getDedupWindowMs: () => 60000
+}));
+
+vi.mock('../../app/utils/error-handler.server.js', () => ({
+  captureError: vi.fn()
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const SHOP = 'demo.myshopify.com';
+const md5 = (value) => crypto.createHash('md5').update(value.trim()).digest('hex');
+
+function seedPage(overrides = {}) {
+  db.resources.push({
+    id: 'page-1',
+    shopId: SHOP,
+    resourceType: 'page',
+    resourceId: '42',
+    title: 'Shipping',
+    description: '<p>Ships in 2 days</p>',
+    descriptionHtml: '<p>Ships in 2 days</p>',
+    contentDigests: { title: md5('Shipping') },
+    contentVersion: 3,
+    ...overrides
+  });
+}
+
+describe('content webhooks', () => {
+  beforeEach(() => {
+    db.resources = [];
+    db.events = [];
+    db.translations = [];
+    db.autoTranslate = true;
+    addIncrementalTranslationJob.mockClear();
+  });
+
+  it('marks changed page fields and queues delayed incremental translation per language', async () => {
+    seedPage();
+
+    const result = await processWebhookEvent(SHOP, 'pages/update', {
+      id: 42,
+      admin_graphql_api_id: 'gid://shopify/Page/42',
+      title: 'Shipping',
+      body_html: '<p>Ships in 1 day</p>'
+    });
+
+    expect(result).toMatchObject({ success: true, changedFields: ['description'] });
+    expect(db.resources[0]).toMatchObject({
+      description: '<p>Ships in 1 day</p>',
+      descriptionHtml: '<p>Ships in 1 day</p>',
+      contentVersion: 4,
+      contentDigests: { title: md5('Shipping'), description: md5('<p>Ships in 2 days</p>') }
+    });
+    expect(addIncrementalTranslationJob).toHaveBeenCalledTimes(2);
+    expect(addIncrementalTranslationJob).toHaveBeenCalledWith(['page-1'], SHOP, 'fr', SHOP, {
+      priority: 5,
+      delay: 60000,
+      jobId: `incremental:${SHOP}:page-1:fr`
+    });
+  });
+
+  it('records bursts inside the dedup window once but still queues each source change', async () => {
+    seedPage();
+    const payload = { id: 42, admin_graphql_api_id: 'gid://shopify/Page/42', body_html: '<p>v2</p>' };
+
+    await processWebhookEvent(SHOP, 'pages/update', payload);
+    const second = await processWebhookEvent(SHOP, 'pages/update', { ...payload, body_html: '<p>v3</p>' });
+    const repeated = await processWebhookEvent(SHOP, 'pages/update', { ...payload, body_html: '<p>v3</p>' });
+
+    expect(second).toMatchObject({ success: true, changedFields: ['description'] });
+    expect(repeated.message).toContain('内容未变化');
+    expect(db.events).toHaveLength(1);
+    expect(db.resources[0].description).toBe('<p>v3</p>');
+    // 旧 digest 仍指向已翻译的原文，增量翻译会识别为 content_changed
+    expect(db.resources[0].contentDigests.description).toBe(md5('<p>Ships in 2 days</p>'));
+    expect(addIncrementalTranslationJob).toHaveBeenCalledTimes(4);
+    // 同一资源与语言复用固定 jobId，由队列替换待执行任务，突发更新只翻译一次
+    const frJobIds = addIncrementalTranslationJob.mock.calls
+      .filter((call) => call[2] === 'fr')
+      .map((call) => call[4].jobId);
+    expect(frJobIds).toEqual([`incremental:${SHOP}:page-1:fr`, `incremental:${SHOP}:page-1:fr`]);
+  });
+
+  it('queues a real edit that follows an unchanged event inside the dedup window', async () => {
+    seedPage();
+    const payload = { id: 42, admin_graphql_api_id: 'gid://shopify/Page/42', title: 'Shipping' };
+
+    const first = await processWebhookEvent(SHOP, 'pages/update', payload);
+    const edited = await processWebhookEvent(SHOP, 'pages/update', { ...payload, body_html: '<p>Ships today</p>' });
+
+    expect(first.message).toContain('内容未变化');
+    expect(edited).toMatchObject({ success: true, changedFields: ['description'] });
+    expect(addIncrementalTranslationJob).toHaveBeenCalledTimes(2);
+    expect(addIncrementalTranslationJob).toHaveBeenCalledWith(['page-1'], SHOP, 'fr', SHOP, {
+      priority: 5,
+      delay: 60000,
+      jobId: `incremental:${SHOP}:page-1:fr`
+    });
+  });
+
+  it('creates new articles with configured priority but skips queueing when the shop disabled auto translate', async () => {
+    const created = await processWebhookEvent(SHOP, 'articles/create', {
+      id: 7,
+      admin_graphql_api_id: 'gid://shopify/Article/7',
+      title: 'Spring lookbook',
+      body_html: '<p>New season</p>',
+      summary_html: '<p>Fresh picks</p>'
+    });
+
+    expect(created.changedFields).toEqual(['title', 'description', 'summary']);
+    expect(db.resources[0]).toMatchObject({ resourceType: 'article', resourceId: '7', title: 'Spring lookbook', summary: '<p>Fresh picks</p>' });
+    expect(addIncrementalTranslationJob.mock.calls[0][4]).toMatchObject({ priority: 1, delay: 60000 });
+
+    db.autoTranslate = false;
+    addIncrementalTranslationJob.mockClear();
+    const updated = await processWebhookEvent(SHOP, 'blogs/update', { id: 9, title: 'Journal' });
+
+    expect(updated.message).toContain('自动翻译未启用');
+    expect(db.resources.find((row) => row.resourceType === 'blog')?.title).toBe('Journal');
+    expect(addIncrementalTranslationJob).not.toHaveBeenCalled();
+  });
+
+  it('removes the resource and its translations on delete', async () => {
+    seedPage();
+    db.translations = [{ id: 't1', resourceId: 'page-1' }, { id: 't2', resourceId: 'other' }];
+
+    const result = await processWebhookEvent(SHOP, 'pages/delete', { id: 42 });
+
+    expect(result.success).toBe(true);
+    expect(db.resources).toEqual([]);
+    expect(db.translations).toEqual([{ id: 't2', resourceId: 'other' }]);
+  });
+});
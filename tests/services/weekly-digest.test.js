@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getDigestPeriod,
+  renderDigestEmail,
+  runDueDigests
+} from '../../app/services/weekly-digest.server.js';
+import { calculateLanguageCoverage } from '../../app/services/language-coverage.server.js';
+import { notificationDispatcher } from '../../app/services/notification-channels.server.js';
+
+const db = vi.hoisted(() => ({ digests: [], channels: [] }));
+
+vi.mock('../../app/db.server.js', () => {
+  const inRange = (value, range) => value >= range.gte && value < range.lt;
+  const translations = [
+    { shopId: 'shop-a', language: 'fr', status: 'completed', syncStatus: 'synced', updatedAt: new Date('2026-01-06T10:00:00Z') },
+    { shopId: 'shop-a', language: 'fr', status: 'completed', syncStatus: 'synced', updatedAt: new Date('2026-01-07T10:00:00Z') },
+    { shopId: 'shop-a', language: 'de', status: 'completed', syncStatus: 'failed', syncError: 'Invalid <digest>', updatedAt: new Date('2026-01-08T10:00:00Z'), resource: { resourceType: 'product', title: 'Trail Jacket' } },
+    { shopId: 'shop-a', language: 'de', status: 'completed', syncStatus: 'synced', updatedAt: new Date('2025-12-20T10:00:00Z') }
+  ];
+  const prisma = {
+    shop: {
+      findMany: vi.fn(async () => [{ id: 'shop-a' }]),
+      findUnique: vi.fn(async ({ where }) => ({ id: where.id, domain: `${where.id}.myshopify.com` }))
+    },
+    translation: {
+      groupBy: vi.fn(async ({ where }) => {
+        const counts = {};
+        for (const row of translations.filter((item) => item.status === where.status && inRange(item.updatedAt, where.updatedAt))) {
+          counts[row.language] = (counts[row.language] || 0) + 1;
+        }
+        return Object.entries(counts).map(([language, count]) => ({ language, _count: { _all: count } }));
+      }),
+      count: vi.fn(async ({ where }) => translations.filter((item) => item.syncStatus === where.syncStatus && inRange(item.updatedAt, where.updatedAt)).length),
+      findMany: vi.fn(async ({ where }) => translations.filter((item) => item.syncStatus === where.syncStatus && inRange(item.updatedAt, where.updatedAt)))
+    },
+    creditUsage: {
+      groupBy: vi.fn(async () => [
+        { targetLanguage: 'fr', _sum: { creditsUsed: 1200 } },
+        { targetLanguage: 'de', _sum: { creditsUsed: 300 } }
+      ]),
+      aggregate: vi.fn(async () => ({ _sum: { creditsUsed: 4000 } }))
+    },
+    shopSubscription: {
+      findUnique: vi.fn(async () => ({ plan: { displayName: 'Starter', monthlyCredits: 10000 } }))
+    },
+    language: {
+      findMany: vi.fn(async () => [{ code: 'fr', name: 'French' }, { code: 'de', name: 'German' }])
+    },
+    errorLog: {
+      groupBy: vi.fn(async () => [{ errorType: 'SHOPIFY', _count: { _all: 2 } }])
+    },
+    notificationChannel: {
+      findMany: vi.fn(async ({ where }) => db.channels.filter((row) => row.shopId === where.shopId && row.type === where.type))
+    },
+    weeklyDigest: {
+      findFirst: vi.fn(async ({ where }) => db.digests
+        .filter((row) => row.shopId === where.shopId && row.periodStart < where.periodStart.lt)
+        .sort((a, b) => b.periodStart - a.periodStart)[0] || null),
+      findUnique: vi.fn(async ({ where }) => db.digests.find((row) => row.shopId === where.shopId_periodStart.shopId
+        && row.periodStart.getTime() === where.shopId_periodStart.periodStart.getTime()) || null),
+      upsert: vi.fn(async ({ create }) => {
+        const row = { id: `digest-${db.digests.length + 1}`, emailedAt: null, emailError: null, ...create };
+        db.digests.push(row);
+        return row;
+      }),
+      update: vi.fn(async ({ where, data }) => Object.assign(db.digests.find((row) => row.id === where.id), data))
+    }
+  };
+  return { prisma, default: prisma };
+});
+
+vi.mock('../../app/services/language-coverage.server.js', () => ({
+  calculateLanguageCoverage: vi.fn(async (shopId, language) => ({
+    counts: { total: 100, stale: language === 'fr' ? 4 : 10, missing: language === 'fr' ? 6 : 30 },
+    percentages: { coverage: language === 'fr' ? 90 : 60 }
+  }))
+}));
+
+vi.mock('../../app/services/notification-channels.server.js', () => ({
+  NOTIFICATION_CHANNEL_TYPES: { EMAIL: 'email', SLACK: 'slack', WEBHOOK: 'webhook' },
+  notificationDispatcher: { send: vi.fn(async () => ({ sent: true, count: 1 })) }
+}));
+
+vi.mock('../../app/utils/logger.server.js', () => {
+  const noop = vi.fn();
+  return { logger: { info: noop, warn: noop, error: noop, debug: noop } };
+});
+
+const NOW = new Date('2026-01-14T08:30:00Z'); // 周三
+
+describe('weekly digest', () => {
+  beforeEach(() => {
+    db.digests = [];
+    db.channels = [];
+    notificationDispatcher.send.mockClear();
+    calculateLanguageCoverage.mockClear();
+  });
+
+  it('uses the previous full UTC week', () => {
+    expect(getDigestPeriod(NOW)).toEqual({
+      periodStart: new Date('2026-01-05T00:00:00Z'),
+      periodEnd: new Date('2026-01-12T00:00:00Z')
+    });
+    expect(getDigestPeriod(new Date('2026-01-12T00:00:00Z')).periodStart).toEqual(new Date('2026-01-05T00:00:00Z'));
+  });
+
+  it('summarizes the week with coverage deltas against the previous digest and emails it once', async () => {
+    db.channels = [{ id: 'ch-1', shopId: 'shop-a', type: 'email', target: 'owner@example.com', enabled: true }];
+    db.digests = [{
+      id: 'digest-0',
+      shopId: 'shop-a',
+      periodStart: new Date('2025-12-29T00:00:00Z'),
+      report: { coverage: [{ language: 'fr', coverage: 85.5 }] }
+    }];
+
+    const results = await runDueDigests({ now: NOW });
+    const digest = db.digests.find((row) => row.id === results[0].digestId);
+
+    expect(digest.report.translations).toEqual({
+      total: 3,
+      byLanguage: [{ language: 'fr', completed: 2 }, { language: 'de', completed: 1 }]
+    });
+    expect(digest.report.credits).toMatchObject({ spent: 1500, monthToDate: 4000, planCredits: 10000, planUsagePercent: 40 });
+    expect(digest.report.coverage).toEqual([
+      expect.objectContaining({ language: 'fr', coverage: 90, previous: 85.5, delta: 4.5, stale: 4 }),
+      expect.objectContaining({ language: 'de', coverage: 60, previous: null, delta: null, stale: 10 })
+    ]);
+    expect(digest.report.stale.total).toBe(14);
+    expect(digest.report.syncFailures).toEqual({
+      total: 1,
+      items: [expect.objectContaining({ language: 'de', title: 'Trail Jacket', error: 'Invalid <digest>' })]
+    });
+    expect(digest.report.errors).toEqual({ total: 2, byType: [{ errorType: 'SHOPIFY', count: 2 }] });
+
+    expect(notificationDispatcher.send).toHaveBeenCalledTimes(1);
+    const [channel, message] = notificationDispatcher.send.mock.calls[0];
+    expect(channel.id).toBe('ch-1');
+    expect(message.subject).toBe('Weekly translation digest for shop-a.myshopify.com (2026-01-05 – 2026-01-11)');
+    expect(digest.emailedAt).toBeInstanceOf(Date);
+
+    const again = await runDueDigests({ now: NOW });
+    expect(again).toEqual([]);
+    expect(notificationDispatcher.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('renders an escaped HTML email', () => {
+    const { html, text } = renderDigestEmail({
+      period: { start: '2026-01-05T00:00:00.000Z', end: '2026-01-12T00:00:00.000Z' },
+      translations: { total: 0, byLanguage: [] },
+      credits: { spent: 0, byLanguage: [], monthToDate: 0, planCredits: null },
+      coverage: [{ language: 'fr', coverage: 90, delta: -1.5, stale: 2, missing: 8 }],
+      stale: { total: 2 },
+      syncFailures: { total: 1, items: [{ language: 'fr', title: '<b>Sale</b>', error: 'boom' }] },
+      errors: { total: 0, byType: [] }
+    }, { shopDomain: 'demo.myshopify.com', appUrl: 'https://app.example.com/app/digest' });
+
+    expect(html).toContain('&lt;b&gt;Sale&lt;/b&gt;');
+    expect(html).not.toContain('<b>Sale</b>');
+    expect(html).toContain('-1.5 pts');
+    expect(html).toContain('No translations were completed this week.');
+    expect(text).toContain('Open the full report: https://app.example.com/app/digest');
+  });
+});